@@ -16,6 +16,9 @@ const createApp = () => {
       // Skip JSON parsing for webhook - let express.raw() handle it in the route
       console.log("[MIDDLEWARE] Skipping JSON parsing for webhook route");
       next();
+    } else if (req.originalUrl.startsWith("/api/zones")) {
+      // Zone boundary uploads carry full polygon coordinates
+      express.json({ limit: "5mb" })(req, res, next);
     } else {
       express.json()(req, res, next);
     }
@@ -0,0 +1,209 @@
+/**
+ * Scheduled Job Definitions
+ * Every background job the scheduler knows about
+ *
+ * Job fields:
+ * - name: Unique job name (used in CronJobRun history and manual triggers)
+ * - description: Human-readable description for the admin status page
+ * - timezone: Timezone the cron expression is evaluated in
+ * - getSchedule(): Returns the cron expression (re-evaluated when configKey changes)
+ * - configKey: SystemConfig key whose changes should reschedule the job
+ * - period: "DAY" for once-a-day jobs, "MINUTE" for interval jobs (defines the run slot)
+ * - onePerPeriod: Manual/external triggers share the scheduled slot, so the job can't run twice a day
+ * - catchUpMinutes: Run a missed slot if leadership changed hands shortly after it was due
+ * - timeoutMinutes: A RUNNING record older than this is treated as abandoned
+ * - isEnabled(): Optional runtime switch checked before scheduled runs
+ * - handler(): Does the work, returns the raw output
+ * - summarize(output): Optional reducer for what gets stored in CronJobRun.result
+ */
+
+import { runVoucherExpiryCron } from "../scripts/voucher-expiry-cron.js";
+import { runAutoOrderBatch, retryAllFailedAutoOrders } from "../services/auto-order.service.js";
+import { getAutoOrderConfig } from "../services/config.service.js";
+import {
+  batchUnbatchedOrders,
+  autoDispatchDueBatches,
+  closeUndecidedFailures,
+} from "../src/delivery/delivery.controller.js";
+import { retryFailedRefunds } from "../src/refund/refund.controller.js";
+import { dispatchQueuedNotifications } from "../services/notification.service.js";
+import { runDueCampaigns } from "../services/campaign.service.js";
+import { runSubscriptionRenewals } from "../services/subscription-renewal.service.js";
+import { runClosureNotices } from "../services/closure.service.js";
+import { sendKitchenForecasts } from "../services/auto-order-forecast.service.js";
+
+/**
+ * Convert an "HH:mm" time into a daily cron expression
+ * @param {string} time - Time in HH:mm
+ * @param {string} fallback - Fallback time if the configured one is invalid
+ * @returns {string} Cron expression
+ */
+function dailyAt(time, fallback) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time || "") || /^(\d{2}):(\d{2})$/.exec(fallback);
+  return `${Number(match[2])} ${Number(match[1])} * * *`;
+}
+
+/**
+ * Strip the per-subscription error list from an auto-order batch result
+ * Details are already in AutoOrderLog under the same cronRunId
+ * @param {Object} results - runAutoOrderBatch output
+ * @returns {Object} Summary
+ */
+function summarizeAutoOrderBatch(results) {
+  const { errors = [], ...summary } = results;
+  return { ...summary, errorCount: errors.length };
+}
+
+export const JOBS = [
+  {
+    name: "voucherExpiry",
+    description: "Expires vouchers and sends expiry reminders (8:00 AM IST)",
+    timezone: "UTC",
+    getSchedule: () => "30 2 * * *",
+    period: "DAY",
+    catchUpMinutes: 120,
+    timeoutMinutes: 60,
+    handler: async () => {
+      const result = await runVoucherExpiryCron();
+      if (!result.success) {
+        throw new Error(result.error || "Voucher expiry cron failed");
+      }
+      return { duration: result.duration, stats: result.stats };
+    },
+  },
+  {
+    name: "autoOrderLunch",
+    description: "Places LUNCH auto-orders for subscribers (autoOrder.lunchCronTime IST)",
+    timezone: "Asia/Kolkata",
+    getSchedule: () => dailyAt(getAutoOrderConfig().lunchCronTime, "10:00"),
+    configKey: "autoOrder",
+    period: "DAY",
+    onePerPeriod: true,
+    catchUpMinutes: 30,
+    timeoutMinutes: 60,
+    isEnabled: () => getAutoOrderConfig().enabled !== false,
+    handler: () => runAutoOrderBatch("LUNCH"),
+    summarize: summarizeAutoOrderBatch,
+  },
+  {
+    name: "autoOrderDinner",
+    description: "Places DINNER auto-orders for subscribers (autoOrder.dinnerCronTime IST)",
+    timezone: "Asia/Kolkata",
+    getSchedule: () => dailyAt(getAutoOrderConfig().dinnerCronTime, "19:00"),
+    configKey: "autoOrder",
+    period: "DAY",
+    onePerPeriod: true,
+    catchUpMinutes: 30,
+    timeoutMinutes: 60,
+    isEnabled: () => getAutoOrderConfig().enabled !== false,
+    handler: () => runAutoOrderBatch("DINNER"),
+    summarize: summarizeAutoOrderBatch,
+  },
+  {
+    name: "autoOrderRetry",
+    description: "Retries transient auto-order failures until the meal window cutoff (every 10 minutes)",
+    timezone: "Asia/Kolkata",
+    getSchedule: () => "*/10 * * * *",
+    period: "MINUTE",
+    timeoutMinutes: 20,
+    isEnabled: () => getAutoOrderConfig().enabled !== false,
+    handler: () => retryAllFailedAutoOrders(),
+  },
+  {
+    name: "autoOrderForecast",
+    description: "Tells kitchens how many auto-orders to expect tomorrow (8:00 PM IST)",
+    timezone: "Asia/Kolkata",
+    getSchedule: () => "0 20 * * *",
+    period: "DAY",
+    catchUpMinutes: 120,
+    timeoutMinutes: 60,
+    isEnabled: () => getAutoOrderConfig().enabled !== false,
+    handler: () => sendKitchenForecasts(),
+  },
+  {
+    name: "autoBatch",
+    description: "Groups accepted meal orders into delivery batches (every 5 minutes)",
+    timezone: "Asia/Kolkata",
+    getSchedule: () => "*/5 * * * *",
+    period: "MINUTE",
+    timeoutMinutes: 10,
+    handler: () => batchUnbatchedOrders(),
+    summarize: ({ batches, ...counts }) => counts,
+  },
+  {
+    name: "autoDispatch",
+    description: "Dispatches collecting batches once the kitchen's meal window cutoff has passed (every 5 minutes)",
+    timezone: "Asia/Kolkata",
+    getSchedule: () => "*/5 * * * *",
+    period: "MINUTE",
+    timeoutMinutes: 10,
+    handler: () => autoDispatchDueBatches(),
+  },
+  {
+    name: "failedDeliveryClose",
+    description: "Closes failed deliveries left undecided for an hour and settles redeliveries not batched within 3 hours (every 15 minutes)",
+    timezone: "Asia/Kolkata",
+    getSchedule: () => "*/15 * * * *",
+    period: "MINUTE",
+    timeoutMinutes: 30,
+    handler: () => closeUndecidedFailures(),
+  },
+  {
+    name: "refundRetry",
+    description: "Retries failed gateway refunds that are due (every 15 minutes)",
+    timezone: "Asia/Kolkata",
+    getSchedule: () => "*/15 * * * *",
+    period: "MINUTE",
+    timeoutMinutes: 30,
+    handler: () => retryFailedRefunds(),
+  },
+  {
+    name: "queuedNotifications",
+    description: "Sends notifications held back by users' quiet hours (every 5 minutes)",
+    timezone: "Asia/Kolkata",
+    getSchedule: () => "*/5 * * * *",
+    period: "MINUTE",
+    timeoutMinutes: 10,
+    handler: () => dispatchQueuedNotifications(),
+  },
+  {
+    name: "campaignDispatch",
+    description: "Sends admin push campaigns whose scheduled time has passed (every minute)",
+    timezone: "Asia/Kolkata",
+    getSchedule: () => "* * * * *",
+    period: "MINUTE",
+    timeoutMinutes: 60,
+    handler: () => runDueCampaigns(),
+    summarize: ({ results, ...counts }) => counts,
+  },
+  {
+    name: "subscriptionRenewal",
+    description: "Sends renewal reminders and charges saved mandates for ended auto-renew subscriptions (hourly)",
+    timezone: "Asia/Kolkata",
+    getSchedule: () => "15 * * * *",
+    period: "MINUTE",
+    timeoutMinutes: 50,
+    handler: () => runSubscriptionRenewals(),
+  },
+  {
+    name: "closureNotices",
+    description: "Tells subscribers about kitchen/zone closures in the next 7 days and extends their vouchers (9:00 AM IST)",
+    timezone: "Asia/Kolkata",
+    getSchedule: () => "0 9 * * *",
+    period: "DAY",
+    catchUpMinutes: 120,
+    timeoutMinutes: 60,
+    handler: () => runClosureNotices(),
+  },
+];
+
+/**
+ * Find a job definition by name
+ * @param {string} name - Job name
+ * @returns {Object|null} Job definition
+ */
+export function getJob(name) {
+  return JOBS.find((job) => job.name === name) || null;
+}
+
+export default { JOBS, getJob };
@@ -2,87 +2,439 @@
  * Cron Job Scheduler
  * Manages all scheduled tasks for the application
  *
- * Uses node-cron for scheduling background jobs
+ * Uses node-cron for timing and MongoDB for coordination:
+ * - Every instance registers the jobs, but only the instance holding the
+ *   "cron-leader" lease (SchedulerLock) executes them. This keeps PM2 cluster
+ *   workers and multiple servers from running a job twice.
+ * - Each execution claims a (jobName, runKey) slot in CronJobRun, which both
+ *   records history and stops a slot from running again after a leader handover.
+ * - Auto-order jobs read their times from config.service and are rescheduled
+ *   when autoOrder.lunchCronTime / dinnerCronTime change.
+ *
+ * Job definitions live in cron/jobs.js
  */
 
+import os from "os";
+import crypto from "crypto";
 import cron from "node-cron";
-import { runVoucherExpiryCron } from "../scripts/voucher-expiry-cron.js";
+import SchedulerLock from "../schema/schedulerLock.schema.js";
+import CronJobRun from "../schema/cronJobRun.schema.js";
+import { reloadConfig, onConfigChange } from "../services/config.service.js";
+import { JOBS, getJob } from "./jobs.js";
 import { createLogger } from "../utils/logger.utils.js";
 
 const log = createLogger("CronScheduler");
 
+const LEADER_LOCK_NAME = "cron-leader";
+const LEADER_LEASE_MS = 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = 20 * 1000;
+
+// Identifies this process in locks and run history
+const INSTANCE_ID = [os.hostname(), process.pid, process.env.NODE_APP_INSTANCE]
+  .filter((part) => part !== undefined)
+  .join(":");
+
+// Scheduler state for this process
+const state = {
+  tasks: {},
+  schedules: {},
+  heartbeatTimer: null,
+  unsubscribeConfig: null,
+  isLeader: false,
+  leaseExpiresAt: null,
+};
+
 /**
- * Initialize all cron jobs
+ *
+ * TIME HELPERS
+ *
+ */
+
+/**
+ * Get the calendar parts of a date in a timezone
+ * @param {Date} date - Date
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, weekday }
+ */
+function getZonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    weekday: "short",
+    hourCycle: "h23",
+  }).formatToParts(date);
+
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  const weekdays = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: Number(get("hour")),
+    minute: Number(get("minute")),
+    weekday: weekdays.indexOf(get("weekday")),
+  };
+}
+
+/**
+ * Build the run slot key for a job at a given time
+ * DAY jobs get one slot per calendar day, MINUTE jobs one per minute
+ * @param {Object} job - Job definition
+ * @param {Date} date - Slot time
+ * @returns {string} Run key
+ */
+function buildRunKey(job, date) {
+  const p = getZonedParts(date, job.timezone);
+  const day = `${p.year}-${p.month}-${p.day}`;
+  if (job.period === "DAY") return day;
+  return `${day}T${String(p.hour).padStart(2, "0")}:${String(p.minute).padStart(2, "0")}`;
+}
+
+/**
+ * Check whether a value matches one cron field (supports *, n, a-b, a,b and step /n)
+ * @param {string} field - Cron field
+ * @param {number} value - Value to test
+ * @returns {boolean}
+ */
+function matchesCronField(field, value) {
+  return field.split(",").some((part) => {
+    const [range, stepStr] = part.split("/");
+    const step = stepStr ? Number(stepStr) : 1;
+
+    if (range === "*") return value % step === 0;
+
+    const [start, end] = range.split("-").map(Number);
+    const upper = end === undefined ? (stepStr ? Infinity : start) : end;
+    return value >= start && value <= upper && (value - start) % step === 0;
+  });
+}
+
+/**
+ * Check whether a date matches a 5-field cron expression in a timezone
+ * @param {string} expression - Cron expression
+ * @param {string} timezone - IANA timezone
+ * @param {Date} date - Date to test
+ * @returns {boolean}
+ */
+function matchesCron(expression, timezone, date) {
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = expression.trim().split(/\s+/);
+  const p = getZonedParts(date, timezone);
+
+  return (
+    matchesCronField(minute, p.minute) &&
+    matchesCronField(hour, p.hour) &&
+    matchesCronField(dayOfMonth, Number(p.day)) &&
+    matchesCronField(month, Number(p.month)) &&
+    matchesCronField(dayOfWeek, p.weekday)
+  );
+}
+
+/**
+ * Find the next (or previous) minute matching a cron expression
+ * @param {string} expression - Cron expression
+ * @param {string} timezone - IANA timezone
+ * @param {Object} options
+ * @param {Date} options.from - Start point (default now)
+ * @param {number} options.direction - 1 for next, -1 for previous
+ * @param {number} options.maxMinutes - How far to search
+ * @returns {Date|null} Matching minute
+ */
+function findCronMatch(expression, timezone, { from = new Date(), direction = 1, maxMinutes = 8 * 24 * 60 } = {}) {
+  const cursor = new Date(from);
+  cursor.setSeconds(0, 0);
+  if (direction > 0) cursor.setMinutes(cursor.getMinutes() + 1);
+
+  for (let i = 0; i < maxMinutes; i++) {
+    if (matchesCron(expression, timezone, cursor)) {
+      return new Date(cursor);
+    }
+    cursor.setMinutes(cursor.getMinutes() + direction);
+  }
+  return null;
+}
+
+/**
+ *
+ * LEADER ELECTION
+ *
  */
-export function initializeCronJobs() {
-  log.info("initializeCronJobs", "Initializing scheduled tasks");
 
-  // Voucher Expiry - Daily at 8:00 AM IST (2:30 AM UTC)
-  // Cron format: minute hour day month dayOfWeek
-  // 30 2 * * * = 2:30 AM UTC = 8:00 AM IST
-  const voucherExpiryCron = cron.schedule("30 2 * * *", async () => {
-    log.info("voucherExpiryCron", "Starting voucher expiry cron job");
+/**
+ * Whether this instance currently holds an unexpired leader lease
+ * @returns {boolean}
+ */
+function isLeaderNow() {
+  return state.isLeader && state.leaseExpiresAt && state.leaseExpiresAt > new Date();
+}
+
+/**
+ * Acquire/renew the leader lease, sync config and catch up on missed slots
+ */
+async function heartbeat() {
+  const wasLeader = state.isLeader;
+
+  try {
+    const acquired = await SchedulerLock.acquire(LEADER_LOCK_NAME, INSTANCE_ID, LEADER_LEASE_MS);
+    state.isLeader = acquired;
+    state.leaseExpiresAt = acquired ? new Date(Date.now() + LEADER_LEASE_MS) : null;
+  } catch (error) {
+    state.isLeader = false;
+    state.leaseExpiresAt = null;
+    log.error("heartbeat", "Failed to renew leader lease", { error });
+  }
+
+  if (state.isLeader !== wasLeader) {
+    log.info("heartbeat", state.isLeader ? "Acquired scheduler leadership" : "Lost scheduler leadership", {
+      instanceId: INSTANCE_ID,
+    });
+  }
+
+  // Admin config changes may have been made through another instance
+  try {
+    await reloadConfig("autoOrder");
+  } catch (error) {
+    log.warn("heartbeat", "Failed to reload autoOrder config", { error: error.message });
+  }
+
+  if (isLeaderNow()) {
+    await catchUpMissedRuns();
+  }
+}
+
+/**
+ * Run slots that were due shortly before this instance became leader
+ * (e.g. the previous leader crashed just before the lunch auto-order time)
+ */
+async function catchUpMissedRuns() {
+  for (const job of JOBS) {
+    if (!job.catchUpMinutes) continue;
+    if (job.isEnabled && !job.isEnabled()) continue;
+
+    const expression = state.schedules[job.name];
+    if (!expression) continue;
+
+    const lastDue = findCronMatch(expression, job.timezone, {
+      direction: -1,
+      maxMinutes: job.catchUpMinutes,
+    });
+    if (!lastDue) continue;
 
     try {
-      const result = await runVoucherExpiryCron();
-
-      if (result.success) {
-        log.info("voucherExpiryCron", "Completed successfully", {
-          duration: result.duration,
-          stats: result.stats
-        });
-      } else {
-        log.error("voucherExpiryCron", "Failed to complete", {
-          error: result.error,
-          duration: result.duration
-        });
-      }
-    } catch (error) {
-      log.error("voucherExpiryCron", "Unexpected error", {
-        error: error.message,
-        stack: error.stack
+      const runKey = buildRunKey(job, lastDue);
+      const alreadyRecorded = await CronJobRun.exists({ jobName: job.name, runKey });
+      if (alreadyRecorded) continue;
+
+      log.warn("catchUpMissedRuns", `Running missed slot for ${job.name}`, { runKey });
+      runJob(job.name, { trigger: "SCHEDULED", runKey }).catch((error) => {
+        log.error("catchUpMissedRuns", `Catch-up run failed for ${job.name}`, { error });
       });
+    } catch (error) {
+      log.error("catchUpMissedRuns", `Failed to check ${job.name}`, { error });
     }
-  }, {
-    scheduled: true,
-    timezone: "UTC" // We handle IST offset in the cron time
+  }
+}
+
+/**
+ *
+ * JOB EXECUTION
+ *
+ */
+
+/**
+ * Execute a job and record the run in CronJobRun
+ * @param {string} jobName - Job name from cron/jobs.js
+ * @param {Object} options
+ * @param {string} options.trigger - SCHEDULED, MANUAL or EXTERNAL
+ * @param {ObjectId} options.triggeredBy - User who triggered a manual run
+ * @param {string} options.runKey - Explicit slot key (defaults from the job period)
+ * @returns {Promise<{executed: boolean, success?: boolean, run: Object, output?: any, error?: string}>}
+ *   executed=false means the slot already ran (or is running) elsewhere
+ */
+export async function runJob(jobName, { trigger = "MANUAL", triggeredBy = null, runKey = null } = {}) {
+  const job = getJob(jobName);
+  if (!job) {
+    throw new Error(`Unknown job: ${jobName}`);
+  }
+
+  const now = new Date();
+  const sharesSlot = trigger === "SCHEDULED" || job.onePerPeriod;
+  const key = runKey
+    || (sharesSlot
+      ? buildRunKey(job, now)
+      : `${trigger}-${now.toISOString()}-${crypto.randomBytes(3).toString("hex")}`);
+
+  const { claimed, run } = await CronJobRun.claim({
+    jobName,
+    runKey: key,
+    trigger,
+    instanceId: INSTANCE_ID,
+    triggeredBy,
+    staleAfterMs: (job.timeoutMinutes || 60) * 60 * 1000,
   });
 
-  // Voucher Expiry Notifications - Daily at 8:00 AM IST (same time as expiry)
-  const voucherNotificationCron = cron.schedule("30 2 * * *", async () => {
-    log.info("voucherNotificationCron", "Voucher notification already handled by expiry cron");
-    // The expiry cron script already includes notification processing
-  }, {
+  if (!claimed) {
+    log.info("runJob", `${jobName} slot ${key} already claimed, skipping`, {
+      status: run?.status,
+      instanceId: run?.instanceId,
+    });
+    return { executed: false, run };
+  }
+
+  log.info("runJob", `Starting ${jobName}`, { runKey: key, trigger, attempt: run.attempts });
+  const startTime = Date.now();
+
+  try {
+    const output = await job.handler();
+    const result = job.summarize ? job.summarize(output) : output;
+
+    run.status = "SUCCESS";
+    run.result = result ?? null;
+    run.completedAt = new Date();
+    run.durationMs = Date.now() - startTime;
+    await run.save();
+
+    log.info("runJob", `Completed ${jobName}`, { runKey: key, durationMs: run.durationMs });
+    return { executed: true, success: true, run, output };
+  } catch (error) {
+    run.status = "FAILED";
+    run.error = error.message?.slice(0, 2000) || "Unknown error";
+    run.completedAt = new Date();
+    run.durationMs = Date.now() - startTime;
+    await run.save().catch((saveError) => {
+      log.error("runJob", `Failed to record failure for ${jobName}`, { error: saveError });
+    });
+
+    log.error("runJob", `Failed ${jobName}`, { runKey: key, error });
+    return { executed: true, success: false, run, error: run.error };
+  }
+}
+
+/**
+ * Scheduled tick handler - only the leader executes
+ * @param {Object} job - Job definition
+ */
+function onTick(job) {
+  if (!isLeaderNow()) return;
+
+  if (job.isEnabled && !job.isEnabled()) {
+    log.info("onTick", `${job.name} is disabled, skipping`);
+    return;
+  }
+
+  runJob(job.name, { trigger: "SCHEDULED" }).catch((error) => {
+    log.error("onTick", `Unexpected error running ${job.name}`, { error });
+  });
+}
+
+/**
+ * Register (or re-register) a job with node-cron using its current schedule
+ * @param {Object} job - Job definition
+ */
+function scheduleJob(job) {
+  const expression = job.getSchedule();
+
+  if (!cron.validate(expression)) {
+    log.error("scheduleJob", `Invalid cron expression for ${job.name}`, { expression });
+    return;
+  }
+
+  if (state.tasks[job.name]) {
+    state.tasks[job.name].stop();
+  }
+
+  state.tasks[job.name] = cron.schedule(expression, () => onTick(job), {
     scheduled: true,
-    timezone: "UTC"
+    timezone: job.timezone,
   });
+  state.schedules[job.name] = expression;
+}
+
+/**
+ * Reschedule jobs bound to a config key when that config changes
+ * @param {string} key - Changed config key
+ */
+function handleConfigChange(key) {
+  for (const job of JOBS) {
+    if (job.configKey !== key) continue;
+
+    const expression = job.getSchedule();
+    if (expression === state.schedules[job.name]) continue;
+
+    const previous = state.schedules[job.name];
+    scheduleJob(job);
+    log.info("handleConfigChange", `Rescheduled ${job.name}`, { from: previous, to: expression });
+  }
+}
+
+/**
+ *
+ * LIFECYCLE
+ *
+ */
+
+/**
+ * Initialize all cron jobs
+ * @returns {Object} Scheduler state (pass to stopCronJobs)
+ */
+export function initializeCronJobs() {
+  log.info("initializeCronJobs", "Initializing scheduled tasks", { instanceId: INSTANCE_ID });
+
+  for (const job of JOBS) {
+    scheduleJob(job);
+  }
+
+  state.unsubscribeConfig = onConfigChange(handleConfigChange);
+
+  heartbeat();
+  state.heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
 
   log.info("initializeCronJobs", "Cron jobs initialized", {
-    jobs: [
-      { name: "voucherExpiry", schedule: "30 2 * * *", timezone: "UTC", description: "8:00 AM IST daily" },
-    ]
+    jobs: JOBS.map((job) => ({
+      name: job.name,
+      schedule: state.schedules[job.name],
+      timezone: job.timezone,
+    })),
   });
 
-  return {
-    voucherExpiryCron,
-    voucherNotificationCron
-  };
+  return state;
 }
 
 /**
  * Stop all cron jobs (for graceful shutdown)
- * @param {Object} jobs - Cron jobs object returned from initializeCronJobs
+ * Releases the leader lease so another instance can take over immediately
+ * @returns {Promise<void>}
  */
-export function stopCronJobs(jobs) {
+export async function stopCronJobs() {
   log.info("stopCronJobs", "Stopping all cron jobs");
 
-  if (jobs) {
-    Object.keys(jobs).forEach(jobName => {
-      if (jobs[jobName] && typeof jobs[jobName].stop === "function") {
-        jobs[jobName].stop();
-        log.info("stopCronJobs", `Stopped ${jobName}`);
-      }
-    });
+  Object.keys(state.tasks).forEach((jobName) => {
+    state.tasks[jobName].stop();
+    log.info("stopCronJobs", `Stopped ${jobName}`);
+  });
+  state.tasks = {};
+
+  if (state.heartbeatTimer) {
+    clearInterval(state.heartbeatTimer);
+    state.heartbeatTimer = null;
+  }
+
+  if (state.unsubscribeConfig) {
+    state.unsubscribeConfig();
+    state.unsubscribeConfig = null;
+  }
+
+  if (state.isLeader) {
+    state.isLeader = false;
+    try {
+      await SchedulerLock.release(LEADER_LOCK_NAME, INSTANCE_ID);
+    } catch (error) {
+      log.error("stopCronJobs", "Failed to release leader lease", { error });
+    }
   }
 
   log.info("stopCronJobs", "All cron jobs stopped");
@@ -90,25 +442,43 @@ export function stopCronJobs(jobs) {
 
 /**
  * Get cron job status
- * @param {Object} jobs - Cron jobs object
+ * @returns {Promise<Object>} { scheduler, jobs }
  */
-export function getCronJobStatus(jobs) {
-  const status = {};
+export async function getCronJobStatus() {
+  const [leaderLock, latestRuns] = await Promise.all([
+    SchedulerLock.findById(LEADER_LOCK_NAME).lean(),
+    CronJobRun.getLatestRuns(),
+  ]);
 
-  if (jobs) {
-    Object.keys(jobs).forEach(jobName => {
-      status[jobName] = {
-        running: jobs[jobName] ? true : false,
-        scheduled: jobs[jobName] ? true : false
-      };
-    });
+  const jobs = {};
+  for (const job of JOBS) {
+    const expression = state.schedules[job.name] || job.getSchedule();
+    jobs[job.name] = {
+      description: job.description,
+      cronExpression: expression,
+      timezone: job.timezone,
+      status: state.tasks[job.name] ? "scheduled" : "stopped",
+      enabled: job.isEnabled ? job.isEnabled() : true,
+      lastRun: latestRuns[job.name] || null,
+      nextRun: findCronMatch(expression, job.timezone),
+    };
   }
 
-  return status;
+  return {
+    scheduler: {
+      instanceId: INSTANCE_ID,
+      isLeader: Boolean(isLeaderNow()),
+      leader: leaderLock
+        ? { instanceId: leaderLock.holderId, expiresAt: leaderLock.expiresAt }
+        : null,
+    },
+    jobs,
+  };
 }
 
 export default {
   initializeCronJobs,
   stopCronJobs,
-  getCronJobStatus
+  getCronJobStatus,
+  runJob,
 };
@@ -41,7 +41,9 @@ module.exports = {
       kill_timeout: 5000, // Timeout before force kill (ms)
 
       // Cron jobs are handled within the app (node-cron)
-      // No need for PM2 cron here
+      // Every worker registers them, but only the instance holding the
+      // MongoDB "cron-leader" lease (SchedulerLock) executes, so cluster
+      // mode does not run jobs twice. No need for PM2 cron here
 
       // Environment-specific settings
       node_args: "--max-old-space-size=1024", // Increase heap size if needed
@@ -29,18 +29,20 @@ const startServer = async () => {
 };
 
 // Graceful shutdown
-process.on("SIGTERM", () => {
+process.on("SIGTERM", async () => {
   console.log("> SIGTERM signal received: closing HTTP server and stopping cron jobs");
   if (cronJobs) {
-    stopCronJobs(cronJobs);
+    // Releases the scheduler leader lease so another instance takes over immediately
+    await stopCronJobs();
   }
   process.exit(0);
 });
 
-process.on("SIGINT", () => {
+process.on("SIGINT", async () => {
   console.log("> SIGINT signal received: closing HTTP server and stopping cron jobs");
   if (cronJobs) {
-    stopCronJobs(cronJobs);
+    // Releases the scheduler leader lease so another instance takes over immediately
+    await stopCronJobs();
   }
   process.exit(0);
 });
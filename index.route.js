@@ -20,7 +20,13 @@ import adminRoutes from "./src/admin/admin.routes.js";
 import cronRoutes from "./src/admin/cron.routes.js";
 import refundRoutes from "./src/refund/refund.routes.js";
 import paymentRoutes from "./src/payment/payment.routes.js";
+import walletRoutes from "./src/wallet/wallet.routes.js";
+import pricingRoutes from "./src/pricing/pricing.routes.js";
+import settlementRoutes from "./src/settlement/settlement.routes.js";
 import notificationRoutes from "./src/notification/notification.routes.js";
+import campaignRoutes from "./src/campaign/campaign.routes.js";
+import closureRoutes from "./src/closure/closure.routes.js";
+import claimRoutes from "./src/claim/claim.routes.js";
 
 const router = Router();
 
@@ -140,6 +146,42 @@ router.use("/refunds", refundRoutes);
  */
 router.use("/payment", paymentRoutes);
 
+/**
+ * @route /api/wallet
+ * @desc Customer wallet routes (balance, statement, top-ups)
+ */
+router.use("/wallet", walletRoutes);
+
+/**
+ * @route /api/pricing-rules
+ * @desc Versioned delivery fee and charge rules (Admin)
+ */
+router.use("/pricing-rules", pricingRoutes);
+
+/**
+ * @route /api/settlements
+ * @desc Partner kitchen payout statements (Admin)
+ */
+router.use("/settlements", settlementRoutes);
+
+/**
+ * @route /api/campaigns
+ * @desc Scheduled, segmented push campaigns (Admin)
+ */
+router.use("/campaigns", campaignRoutes);
+
+/**
+ * @route /api/closures
+ * @desc Planned kitchen and zone closures (Admin)
+ */
+router.use("/closures", closureRoutes);
+
+/**
+ * @route /api/claims
+ * @desc Delivery issue claims on delivered orders
+ */
+router.use("/claims", claimRoutes);
+
 /**
  * @route /api/notifications
  * @desc In-app notification routes
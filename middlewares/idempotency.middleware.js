@@ -0,0 +1,141 @@
+import crypto from "crypto";
+import IdempotencyKey from "../schema/idempotencyKey.schema.js";
+import { sendResponse } from "../utils/response.utils.js";
+
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+/**
+ * Serialize a value with object keys sorted so equal bodies hash equally
+ * @param {any} value - Value to serialize
+ * @returns {string} JSON string
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+/**
+ * Hash the parts of a request that must match on retry
+ * @param {Object} req - Express request
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRequest(req) {
+  const path = req.originalUrl.split("?")[0];
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${path}\n${stableStringify(req.body || {})}`)
+    .digest("hex");
+}
+
+/**
+ * Creates an Idempotency-Key middleware
+ * Requests without the header pass through unchanged. For a repeated key the
+ * stored response is replayed; a key reused with a different request gets 409,
+ * as does a retry while the first request is still running. 5xx responses are
+ * not stored so the client can retry with the same key.
+ * Mount after auth so keys are scoped to the caller.
+ *
+ * @param {Object} options
+ * @param {number} options.ttlHours - How long keys are remembered (IDEMPOTENCY_KEY_TTL_HOURS, default 24)
+ * @param {number} options.lockSeconds - How long an in-flight request holds its key
+ * @param {Function} options.scopeGenerator - (req) => scope, defaults to user ID then "internal"
+ * @returns {Function} Express middleware function
+ */
+export const idempotency = ({
+  ttlHours = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24,
+  lockSeconds = 60,
+  scopeGenerator = (req) => req.user?._id?.toString() || "internal",
+} = {}) => {
+  const ttlMs = ttlHours * 60 * 60 * 1000;
+  const lockMs = lockSeconds * 1000;
+
+  return async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+      return sendResponse(res, 400, false, "Invalid Idempotency-Key header", null, "Key must be 1-255 printable ASCII characters");
+    }
+
+    const scope = scopeGenerator(req);
+    const requestHash = hashRequest(req);
+
+    let claim;
+    try {
+      claim = await IdempotencyKey.claim({
+        scope,
+        key,
+        requestHash,
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        ttlMs,
+        lockMs,
+      });
+    } catch (error) {
+      // Store unavailable - let the request through rather than block it
+      console.log(`> Idempotency store error for ${req.method} ${req.originalUrl}:`, error.message);
+      return next();
+    }
+
+    const { claimed, record } = claim;
+
+    if (!claimed) {
+      if (!record) {
+        // Expired and removed between claim and lookup
+        return sendResponse(res, 409, false, "Idempotency-Key conflict, please retry");
+      }
+
+      if (record.requestHash !== requestHash) {
+        console.log(`> Idempotency key reused with different request: ${key} (${scope})`);
+        return sendResponse(res, 409, false, "Idempotency-Key was already used with a different request");
+      }
+
+      if (record.status === "COMPLETED") {
+        console.log(`> Idempotent replay: ${req.method} ${req.originalUrl} (${key})`);
+        res.set("Idempotent-Replayed", "true");
+        return res.status(record.responseStatus).json(record.responseBody);
+      }
+
+      const retryAfter = Math.max(1, Math.ceil((record.lockedUntil - Date.now()) / 1000));
+      res.set("Retry-After", String(retryAfter));
+      return sendResponse(res, 409, false, "A request with this Idempotency-Key is still being processed");
+    }
+
+    // Capture the JSON response so it can be replayed
+    let responseBody;
+    const originalJson = res.json;
+    res.json = function (body) {
+      responseBody = body;
+      return originalJson.call(this, body);
+    };
+
+    let settled = false;
+    const settle = (finished) => {
+      if (settled) return;
+      settled = true;
+
+      const store = finished && responseBody !== undefined && res.statusCode < 500
+        ? IdempotencyKey.complete(record._id, res.statusCode, JSON.parse(JSON.stringify(responseBody)))
+        : IdempotencyKey.release(record._id);
+
+      store.catch((error) => {
+        console.log(`> Idempotency store update failed for ${key}:`, error.message);
+      });
+    };
+
+    res.on("finish", () => settle(true));
+    res.on("close", () => settle(res.writableFinished));
+
+    next();
+  };
+};
+
+export default idempotency;
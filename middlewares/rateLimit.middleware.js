@@ -0,0 +1,55 @@
+import { sendResponse } from "../utils/response.utils.js";
+
+/**
+ * Creates a fixed-window rate limiting middleware
+ * Counters are kept in memory per process, so with N cluster workers a
+ * client can reach at most N x max requests per window.
+ *
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Max requests per key per window
+ * @param {Function} options.keyGenerator - (req) => key, defaults to user ID then IP
+ * @param {string} options.message - Error message when limited
+ * @returns {Function} Express middleware function
+ */
+export const rateLimit = ({
+  windowMs,
+  max,
+  keyGenerator = (req) => req.user?._id?.toString() || req.ip,
+  message = "Too many requests, please slow down",
+}) => {
+  const hits = new Map();
+
+  // Drop expired windows so idle keys don't accumulate
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    const now = Date.now();
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count++;
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      console.log(`> Rate limit exceeded: ${req.method} ${req.originalUrl} (${key})`);
+      return sendResponse(res, 429, false, message, null, `Retry after ${retryAfter}s`);
+    }
+
+    next();
+  };
+};
+
+export default rateLimit;
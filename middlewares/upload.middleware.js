@@ -1,4 +1,5 @@
 import multer from "multer";
+import { sendResponse } from "../utils/response.utils.js";
 
 /**
  * Multer configuration for file uploads
@@ -41,4 +42,36 @@ export const uploadMultiple = upload.array("files", 10);
  */
 export const uploadAny = upload.any();
 
+// Image-only filter for customer photos
+const imageFilter = (req, file, cb) => {
+  if (!file.mimetype.startsWith("image/")) {
+    return cb(new Error("Only image files can be uploaded"));
+  }
+  cb(null, true);
+};
+
+const photosUpload = multer({
+  storage,
+  fileFilter: imageFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB per photo
+  },
+}).array("photos", 5);
+
+/**
+ * Middleware for customer photo upload (e.g. order claims)
+ * Field name: "photos"
+ * Max files: 5, images only
+ * Upload errors (wrong type, too many, too large) are returned as 400
+ */
+export const uploadPhotos = (req, res, next) => {
+  photosUpload(req, res, (error) => {
+    if (error) {
+      console.log(`> Photo upload error: ${error.message}`);
+      return sendResponse(res, 400, false, "Photo upload failed", null, error.message);
+    }
+    next();
+  });
+};
+
 export default upload;
@@ -18,7 +18,7 @@ const auditLogSchema = new mongoose.Schema(
     userRole: {
       type: String,
       required: [true, "User role is required"],
-      enum: ["ADMIN", "KITCHEN_STAFF", "DRIVER", "SYSTEM"],
+      enum: ["ADMIN", "KITCHEN_STAFF", "DRIVER", "CUSTOMER", "SYSTEM"],
     },
 
     userName: {
@@ -45,6 +45,7 @@ const auditLogSchema = new mongoose.Schema(
           "UNASSIGN",
           "CANCEL",
           "REFUND",
+          "TRANSFER",
           "LOGIN",
           "LOGOUT",
           "PASSWORD_CHANGE",
@@ -85,6 +86,13 @@ const auditLogSchema = new mongoose.Schema(
           "DELIVERY_BATCH",
           "REFUND",
           "SYSTEM_CONFIG",
+          "REPORT",
+          "WALLET",
+          "PRICING_RULE",
+          "SETTLEMENT",
+          "CAMPAIGN",
+          "CLOSURE",
+          "ORDER_CLAIM",
         ],
         message: "Invalid entity type",
       },
@@ -77,12 +77,16 @@ const autoOrderLogSchema = new mongoose.Schema(
           "NO_ZONE",
           "NO_KITCHEN",
           "KITCHEN_NOT_SERVING_ZONE",
+          "KITCHEN_SOLD_OUT",
           "NO_MENU_ITEM",
           "VOUCHER_REDEMPTION_FAILED",
           "ORDER_CREATION_FAILED",
           "SUBSCRIPTION_PAUSED",
           "SLOT_SKIPPED",
           "SUBSCRIPTION_EXPIRED",
+          "DIETARY_MISMATCH",
+          "KITCHEN_CLOSED",
+          "ZONE_CLOSED",
           "UNKNOWN",
         ],
         message: "Invalid failure category",
@@ -127,6 +131,66 @@ const autoOrderLogSchema = new mongoose.Schema(
       vouchersAvailable: {
         type: Number,
       },
+      variant: {
+        type: String,
+        trim: true,
+      },
+      addonsCharged: {
+        type: Number,
+      },
+      // Preferences that couldn't be applied (variant not offered, add-on unavailable, ...)
+      preferenceNotes: {
+        type: [String],
+        default: undefined,
+      },
+      // Planned closure that skipped the auto-order
+      closureId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Closure",
+      },
+      // Default kitchen the order was moved away from, and why
+      fallbackFromKitchenId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Kitchen",
+      },
+      fallbackReason: {
+        type: String,
+        trim: true,
+      },
+      // Failure notification offered "order from alternative"
+      alternativeOffered: {
+        type: Boolean,
+      },
+    },
+
+    // Attempt number for this subscription within the cron run (1 = scheduled batch)
+    attempt: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+
+    // What started the attempt
+    trigger: {
+      type: String,
+      enum: {
+        values: ["BATCH", "RETRY", "CUSTOMER"],
+        message: "Trigger must be BATCH, RETRY, or CUSTOMER",
+      },
+      default: "BATCH",
+    },
+
+    // Set on a failed attempt once a later attempt placed the order
+    recoveredAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Set when a retry or the customer's alternative order takes this failure
+    // up, so only one of them places an order for it
+    recoveryClaimedAt: {
+      type: Date,
+      default: null,
     },
 
     // Cron job run identifier (groups logs from same cron run)
@@ -169,6 +233,7 @@ autoOrderLogSchema.index({ mealWindow: 1, processedDate: -1 });
 autoOrderLogSchema.index({ status: 1, mealWindow: 1 });
 autoOrderLogSchema.index({ userId: 1, processedDate: -1 });
 autoOrderLogSchema.index({ failureCategory: 1, createdAt: -1 });
+autoOrderLogSchema.index({ cronRunId: 1, subscriptionId: 1 });
 
 /**
  * Get failure summary grouped by category and meal window
@@ -191,6 +256,8 @@ autoOrderLogSchema.statics.getFailureSummary = function (dateFrom, dateTo) {
           mealWindow: "$mealWindow",
         },
         count: { $sum: 1 },
+        // Failures a retry or alternative kitchen later made up for
+        recovered: { $sum: { $cond: [{ $ne: ["$recoveredAt", null] }, 1, 0] } },
       },
     },
     {
@@ -0,0 +1,199 @@
+import mongoose from "mongoose";
+
+/**
+ * Campaign Schema
+ * Scheduled admin push notification to a segment of users
+ *
+ * Campaigns are created SCHEDULED and sent by the campaignDispatch job once
+ * scheduledAt has passed. Users are processed in _id order and
+ * lastProcessedUserId is saved after each chunk, so a run that dies part
+ * way through resumes without notifying anyone twice. The heartbeat is
+ * refreshed after every send, and a runner whose claim was taken over stops.
+ */
+
+export const CAMPAIGN_STATUSES = ["SCHEDULED", "RUNNING", "COMPLETED", "CANCELLED", "FAILED"];
+
+export const CAMPAIGN_DIETARY_PREFERENCES = ["VEG", "NON_VEG", "VEGAN", "JAIN", "EGGETARIAN"];
+
+const segmentSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: ["CUSTOMER", "KITCHEN_STAFF", "DRIVER", "ADMIN"],
+      default: "CUSTOMER",
+    },
+
+    // Default delivery address in one of these zones
+    zoneIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Zone",
+      },
+    ],
+
+    // Default delivery address in a zone of one of these cities
+    cities: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+
+    // Has an active subscription with vouchers left
+    activeSubscribers: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Has usable vouchers expiring within this many days
+    vouchersExpiringWithinDays: {
+      type: Number,
+      min: 1,
+    },
+
+    // Has ordered before, but not in this many days
+    lapsedDays: {
+      type: Number,
+      min: 1,
+    },
+
+    // Any of these dietary preferences
+    dietaryPreferences: {
+      type: [String],
+      enum: {
+        values: CAMPAIGN_DIETARY_PREFERENCES,
+        message: "Invalid dietary preference",
+      },
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
+const campaignSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Campaign name is required"],
+      trim: true,
+      maxlength: [100, "Campaign name cannot exceed 100 characters"],
+    },
+
+    title: {
+      type: String,
+      required: [true, "Notification title is required"],
+      trim: true,
+      maxlength: [100, "Title cannot exceed 100 characters"],
+    },
+
+    body: {
+      type: String,
+      required: [true, "Notification body is required"],
+      trim: true,
+      maxlength: [500, "Body cannot exceed 500 characters"],
+    },
+
+    // Deep link payload
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    segment: {
+      type: segmentSchema,
+      default: () => ({}),
+    },
+
+    scheduledAt: {
+      type: Date,
+      required: [true, "Scheduled time is required"],
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: CAMPAIGN_STATUSES,
+        message: "Invalid campaign status",
+      },
+      default: "SCHEDULED",
+    },
+
+    // Send progress
+    audienceCount: {
+      type: Number,
+      default: 0,
+    },
+    processedCount: {
+      type: Number,
+      default: 0,
+    },
+    sentCount: {
+      type: Number,
+      default: 0,
+    },
+    queuedCount: {
+      type: Number,
+      default: 0,
+    },
+    skippedCount: {
+      type: Number,
+      default: 0,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    lastProcessedUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+
+    startedAt: {
+      type: Date,
+    },
+    heartbeatAt: {
+      type: Date,
+    },
+    // Set on each claim; a runner that no longer holds it stops sending
+    runId: {
+      type: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+    error: {
+      type: String,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    cancellationReason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+campaignSchema.index({ status: 1, scheduledAt: 1 });
+campaignSchema.index({ createdAt: -1 });
+
+const Campaign = mongoose.model("Campaign", campaignSchema);
+
+export default Campaign;
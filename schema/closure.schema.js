@@ -0,0 +1,140 @@
+import mongoose from "mongoose";
+
+/**
+ * Closure Schema
+ * A planned closure of a kitchen or a delivery zone, e.g. a kitchen closed
+ * for Diwali or a zone with no deliveries on a Sunday.
+ *
+ * `startDate` and `endDate` are service days (IST) stored as UTC midnight,
+ * both inclusive. Only the listed meal windows are closed on those days;
+ * ON_DEMAND covers on-demand orders.
+ *
+ * Affected subscribers are told ahead of time and have their voucher expiry
+ * pushed back (see closure.service.js).
+ */
+
+export const CLOSURE_WINDOWS = ["LUNCH", "DINNER", "ON_DEMAND"];
+
+const closureSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      required: [true, "Scope is required"],
+      enum: {
+        values: ["KITCHEN", "ZONE"],
+        message: "Scope must be KITCHEN or ZONE",
+      },
+    },
+
+    kitchenId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Kitchen",
+      default: null,
+    },
+
+    zoneId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Zone",
+      default: null,
+    },
+
+    // Short name shown to customers, e.g. "Diwali"
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+      maxlength: [100, "Title cannot exceed 100 characters"],
+    },
+
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Message cannot exceed 300 characters"],
+    },
+
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+
+    endDate: {
+      type: Date,
+      required: [true, "End date is required"],
+    },
+
+    mealWindows: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: CLOSURE_WINDOWS,
+            message: "Invalid meal window",
+          },
+        },
+      ],
+      default: () => [...CLOSURE_WINDOWS],
+    },
+
+    // Push back affected subscribers' voucher expiry by the closed days
+    extendVouchers: {
+      type: Boolean,
+      default: true,
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: ["ACTIVE", "CANCELLED"],
+        message: "Invalid status",
+      },
+      default: "ACTIVE",
+    },
+
+    // Subscriber notices (running totals; new subscribers are picked up daily)
+    notices: {
+      subscribersNotified: {
+        type: Number,
+        default: 0,
+      },
+      vouchersExtended: {
+        type: Number,
+        default: 0,
+      },
+      lastRunAt: {
+        type: Date,
+      },
+    },
+
+    cancelledAt: {
+      type: Date,
+    },
+
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (_doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+closureSchema.index({ status: 1, kitchenId: 1, endDate: 1 });
+closureSchema.index({ status: 1, zoneId: 1, endDate: 1 });
+closureSchema.index({ status: 1, startDate: 1 });
+
+const Closure = mongoose.model("Closure", closureSchema);
+
+export default Closure;
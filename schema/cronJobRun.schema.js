@@ -0,0 +1,198 @@
+import mongoose from "mongoose";
+
+/**
+ * CronJobRun Schema
+ * One document per execution of a scheduled job (voucher expiry, auto-orders, batching, etc.)
+ * The unique (jobName, runKey) pair doubles as a claim so a slot runs once across all instances
+ */
+const cronJobRunSchema = new mongoose.Schema(
+  {
+    jobName: {
+      type: String,
+      required: [true, "Job name is required"],
+      trim: true,
+    },
+
+    // Slot identifier - e.g. "2025-01-15" for daily jobs, "2025-01-15T10:05" for interval jobs
+    runKey: {
+      type: String,
+      required: [true, "Run key is required"],
+      trim: true,
+    },
+
+    trigger: {
+      type: String,
+      required: true,
+      enum: {
+        values: ["SCHEDULED", "MANUAL", "EXTERNAL"],
+        message: "Invalid trigger",
+      },
+      default: "SCHEDULED",
+    },
+
+    status: {
+      type: String,
+      required: true,
+      enum: {
+        values: ["RUNNING", "SUCCESS", "FAILED"],
+        message: "Invalid run status",
+      },
+      default: "RUNNING",
+    },
+
+    // Process that executed the run (hostname:pid[:pm2 instance])
+    instanceId: {
+      type: String,
+      trim: true,
+    },
+
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    startedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+
+    // Number of times this slot was claimed (re-claims happen after a failure or stale run)
+    attempts: {
+      type: Number,
+      default: 1,
+    },
+
+    // Job-specific summary (orders created, refunds retried, etc.)
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    error: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Error cannot exceed 2000 characters"],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (_doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+cronJobRunSchema.index({ jobName: 1, runKey: 1 }, { unique: true });
+cronJobRunSchema.index({ jobName: 1, startedAt: -1 });
+cronJobRunSchema.index({ status: 1, startedAt: -1 });
+// Keep 90 days of history
+cronJobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+/**
+ * Claim a run slot for a job
+ * Inserts a RUNNING record; if the slot already exists it is only re-claimed
+ * when the previous attempt failed or has been RUNNING longer than staleAfterMs
+ * @param {Object} params
+ * @param {string} params.jobName - Job name
+ * @param {string} params.runKey - Slot identifier
+ * @param {string} params.trigger - SCHEDULED, MANUAL or EXTERNAL
+ * @param {string} params.instanceId - Executing instance
+ * @param {ObjectId} [params.triggeredBy] - User who triggered a manual run
+ * @param {number} params.staleAfterMs - Age after which a RUNNING record is considered dead
+ * @returns {Promise<{claimed: boolean, run: Object}>}
+ */
+cronJobRunSchema.statics.claim = async function ({
+  jobName,
+  runKey,
+  trigger,
+  instanceId,
+  triggeredBy = null,
+  staleAfterMs,
+}) {
+  const now = new Date();
+
+  try {
+    const run = await this.create({
+      jobName,
+      runKey,
+      trigger,
+      instanceId,
+      triggeredBy,
+      startedAt: now,
+    });
+    return { claimed: true, run };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Slot exists - re-claim only failed or abandoned runs
+  const run = await this.findOneAndUpdate(
+    {
+      jobName,
+      runKey,
+      $or: [
+        { status: "FAILED" },
+        { status: "RUNNING", startedAt: { $lt: new Date(now.getTime() - staleAfterMs) } },
+      ],
+    },
+    {
+      $set: {
+        status: "RUNNING",
+        trigger,
+        instanceId,
+        triggeredBy,
+        startedAt: now,
+        completedAt: null,
+        durationMs: null,
+        result: null,
+        error: null,
+      },
+      $inc: { attempts: 1 },
+    },
+    { new: true }
+  );
+
+  if (run) {
+    return { claimed: true, run };
+  }
+
+  return { claimed: false, run: await this.findOne({ jobName, runKey }) };
+};
+
+/**
+ * Get the most recent run of each job
+ * @returns {Promise<Object>} Map of jobName -> latest run
+ */
+cronJobRunSchema.statics.getLatestRuns = async function () {
+  const latest = await this.aggregate([
+    { $sort: { startedAt: -1 } },
+    { $group: { _id: "$jobName", run: { $first: "$$ROOT" } } },
+  ]);
+
+  const result = {};
+  for (const entry of latest) {
+    result[entry._id] = entry.run;
+  }
+  return result;
+};
+
+const CronJobRun = mongoose.model("CronJobRun", cronJobRunSchema);
+
+export default CronJobRun;
@@ -4,6 +4,26 @@ import mongoose from "mongoose";
  * DeliveryAssignment Schema
  * Individual delivery assignment and status per order
  */
+// Number of recent GPS points kept per assignment
+const LOCATION_HISTORY_LIMIT = 50;
+
+// Assignment statuses where the driver is on the road for this order
+export const TRACKABLE_STATUSES = ["ACKNOWLEDGED", "PICKED_UP", "EN_ROUTE", "ARRIVED"];
+
+// Delivery attempts allowed per order (first attempt, same-run retries and redeliveries)
+export const MAX_DELIVERY_ATTEMPTS = 3;
+
+// Who is at fault for each failure reason. CUSTOMER forfeits the payment and
+// vouchers; PLATFORM refunds the order and returns its vouchers.
+export const FAILURE_FAULTS = {
+  CUSTOMER_UNAVAILABLE: "CUSTOMER",
+  WRONG_ADDRESS: "CUSTOMER",
+  CUSTOMER_REFUSED: "CUSTOMER",
+  CUSTOMER_UNREACHABLE: "CUSTOMER",
+  ADDRESS_NOT_FOUND: "PLATFORM",
+  OTHER: "PLATFORM",
+};
+
 const deliveryAssignmentSchema = new mongoose.Schema(
   {
     orderId: {
@@ -79,17 +99,21 @@ const deliveryAssignmentSchema = new mongoose.Schema(
     returnedAt: Date,
     cancelledAt: Date,
 
-    // Location Tracking (optional)
+    // Location Tracking (driver app GPS, see POST /api/delivery/location)
     lastKnownLocation: {
       latitude: Number,
       longitude: Number,
-      updatedAt: Date,
+      accuracy: Number, // metres
+      speed: Number, // km/h
+      heading: Number, // degrees
+      updatedAt: Date, // when the GPS fix was taken
     },
 
     locationHistory: [
       {
         latitude: Number,
         longitude: Number,
+        accuracy: Number,
         timestamp: Date,
       },
     ],
@@ -139,6 +163,74 @@ const deliveryAssignmentSchema = new mongoose.Schema(
       default: false,
     },
 
+    // Earlier failed attempts (kept across retries and redeliveries)
+    failureHistory: [
+      {
+        attempt: Number,
+        batchId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "DeliveryBatch",
+        },
+        reason: String,
+        notes: String,
+        failedAt: Date,
+        // Decision on this failure, kept once the order is attempted again
+        resolution: {
+          type: String,
+          enum: ["PENDING", "RETRYING", "REDELIVERY_SCHEDULED", "AWAITING_RETURN", "SETTLED"],
+        },
+        fault: {
+          type: String,
+          enum: ["CUSTOMER", "PLATFORM"],
+        },
+        decidedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        decidedByRole: {
+          type: String,
+          enum: ["DRIVER", "KITCHEN_STAFF", "ADMIN", "SYSTEM"],
+        },
+        decidedAt: Date,
+      },
+    ],
+
+    // What happens after the latest failure
+    failureResolution: {
+      status: {
+        type: String,
+        enum: ["PENDING", "RETRYING", "REDELIVERY_SCHEDULED", "AWAITING_RETURN", "SETTLED"],
+      },
+      fault: {
+        type: String,
+        enum: ["CUSTOMER", "PLATFORM"],
+      },
+      decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      decidedByRole: {
+        type: String,
+        enum: ["DRIVER", "KITCHEN_STAFF", "ADMIN", "SYSTEM"],
+      },
+      decidedAt: Date,
+      returnAcknowledgedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      returnAcknowledgedAt: Date,
+      amountRefunded: { type: Number, default: 0 },
+      refundIds: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Refund",
+        },
+      ],
+      vouchersRestored: { type: Number, default: 0 },
+      vouchersForfeited: { type: Number, default: 0 },
+      settledAt: Date,
+    },
+
     // Driver Notes
     driverNotes: String,
 
@@ -173,6 +265,7 @@ deliveryAssignmentSchema.index({ batchId: 1 }, { sparse: true });
 deliveryAssignmentSchema.index({ status: 1 });
 deliveryAssignmentSchema.index({ assignedAt: -1 });
 deliveryAssignmentSchema.index({ driverId: 1, status: 1 });
+deliveryAssignmentSchema.index({ "failureResolution.status": 1, failedAt: 1 }, { sparse: true });
 
 // Update status with timestamp
 deliveryAssignmentSchema.methods.updateStatus = async function (newStatus) {
@@ -226,14 +319,55 @@ deliveryAssignmentSchema.methods.updateLocation = async function (latitude, long
     timestamp: now,
   });
 
-  // Keep only last 50 locations
-  if (this.locationHistory.length > 50) {
-    this.locationHistory = this.locationHistory.slice(-50);
+  // Keep only the most recent locations
+  if (this.locationHistory.length > LOCATION_HISTORY_LIMIT) {
+    this.locationHistory = this.locationHistory.slice(-LOCATION_HISTORY_LIMIT);
   }
 
   return this.save();
 };
 
+/**
+ * Record a batch of GPS points on all of a driver's trackable assignments
+ * @param {ObjectId} driverId - Driver ID
+ * @param {Array<Object>} points - Points sorted oldest first ({latitude, longitude, accuracy, speed, heading, timestamp})
+ * @returns {Promise<number>} Number of assignments updated
+ */
+deliveryAssignmentSchema.statics.recordDriverLocation = async function (driverId, points) {
+  if (points.length === 0) return 0;
+
+  const latest = points[points.length - 1];
+
+  const result = await this.updateMany(
+    { driverId, status: { $in: TRACKABLE_STATUSES } },
+    {
+      $set: {
+        lastKnownLocation: {
+          latitude: latest.latitude,
+          longitude: latest.longitude,
+          accuracy: latest.accuracy,
+          speed: latest.speed,
+          heading: latest.heading,
+          updatedAt: latest.timestamp,
+        },
+      },
+      $push: {
+        locationHistory: {
+          $each: points.map((point) => ({
+            latitude: point.latitude,
+            longitude: point.longitude,
+            accuracy: point.accuracy,
+            timestamp: point.timestamp,
+          })),
+          $slice: -LOCATION_HISTORY_LIMIT,
+        },
+      },
+    }
+  );
+
+  return result.modifiedCount;
+};
+
 // Verify OTP
 deliveryAssignmentSchema.methods.verifyOtp = async function (enteredOtp) {
   if (!this.proofOfDelivery?.otp) {
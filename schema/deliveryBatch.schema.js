@@ -83,6 +83,13 @@ const deliveryBatchSchema = new mongoose.Schema(
       },
     ],
 
+    // Set once a driver, kitchen or admin supplied the sequence; kept on
+    // re-planning unless the policy is SYSTEM_OPTIMIZED
+    sequenceSetManually: {
+      type: Boolean,
+      default: false,
+    },
+
     // Status
     status: {
       type: String,
@@ -0,0 +1,164 @@
+import mongoose from "mongoose";
+import { normalizePhone } from "../utils/phone.utils.js";
+
+/**
+ * Gift Subscription Schema
+ * A subscription bought for someone else, addressed to their phone number
+ *
+ * The recipient's subscription and vouchers are created when the gift is
+ * claimed (on registration or sync with that phone), so validity starts
+ * from the claim, not the purchase.
+ */
+const giftSubscriptionSchema = new mongoose.Schema(
+  {
+    giftNumber: {
+      type: String,
+      required: [true, "Gift number is required"],
+      unique: true,
+      trim: true,
+    },
+
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Sender is required"],
+    },
+
+    // Recipient
+    recipientPhone: {
+      type: String,
+      required: [true, "Recipient phone is required"],
+      trim: true,
+      match: [/^[6-9]\d{9}$/, "Invalid phone number format (must be 10 digits starting with 6-9)"],
+      set: normalizePhone,
+    },
+
+    recipientName: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Recipient name cannot exceed 100 characters"],
+    },
+
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Message cannot exceed 300 characters"],
+    },
+
+    recipientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // Plan as bought; the plan itself may change or be archived before the claim
+    planId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SubscriptionPlan",
+      required: [true, "Plan ID is required"],
+    },
+
+    planSnapshot: {
+      name: { type: String, trim: true },
+      durationDays: { type: Number },
+      vouchersPerDay: { type: Number },
+      totalVouchers: { type: Number },
+      voucherValidityDays: { type: Number },
+      mealTypes: { type: [String] },
+      price: { type: Number },
+    },
+
+    // Payment (made by the sender)
+    amountPaid: {
+      type: Number,
+      required: [true, "Amount paid is required"],
+      min: [0, "Amount cannot be negative"],
+    },
+
+    paymentId: {
+      type: String,
+      trim: true,
+    },
+
+    paymentMethod: {
+      type: String,
+      trim: true,
+      enum: ["UPI", "CARD", "NETBANKING", "WALLET", "OTHER"],
+    },
+
+    // Reserved at purchase so a claim can only ever create one subscription
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription",
+      required: true,
+    },
+
+    status: {
+      type: String,
+      required: true,
+      enum: {
+        values: ["PENDING_CLAIM", "CLAIMED", "CANCELLED"],
+        message: "Invalid status",
+      },
+      default: "PENDING_CLAIM",
+    },
+
+    claimedAt: {
+      type: Date,
+    },
+
+    // Cancellation (sender, before the claim)
+    cancelledAt: {
+      type: Date,
+    },
+
+    cancellationReason: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Cancellation reason cannot exceed 300 characters"],
+    },
+
+    refundAmount: {
+      type: Number,
+      min: 0,
+    },
+
+    refundStatus: {
+      type: String,
+      enum: ["PENDING", "PROCESSED", "FAILED"],
+    },
+
+    refundError: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (_doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+giftSubscriptionSchema.index({ recipientPhone: 1, status: 1 });
+giftSubscriptionSchema.index({ senderId: 1, createdAt: -1 });
+giftSubscriptionSchema.index({ recipientId: 1 });
+giftSubscriptionSchema.index({ status: 1, createdAt: -1 });
+// One gift per payment, even if verification is replayed
+giftSubscriptionSchema.index({ paymentId: 1 }, { unique: true, sparse: true });
+
+// Generate gift number
+giftSubscriptionSchema.statics.generateGiftNumber = function () {
+  const date = new Date();
+  const dateStr = date.toISOString().slice(0, 10).replace(/-/g, "");
+  const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+  return `GFT-${dateStr}-${random}`;
+};
+
+const GiftSubscription = mongoose.model("GiftSubscription", giftSubscriptionSchema);
+
+export default GiftSubscription;
@@ -0,0 +1,139 @@
+import mongoose from "mongoose";
+
+/**
+ * IdempotencyKey Schema
+ * Stores the outcome of a request sent with an Idempotency-Key header so a
+ * retried request replays the original response instead of running again.
+ * Keys are scoped per user (or "internal" for service calls) and removed by
+ * the TTL index once expiresAt passes.
+ */
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    // User ID, or "internal" for service-to-service calls
+    scope: {
+      type: String,
+      required: [true, "Scope is required"],
+    },
+
+    key: {
+      type: String,
+      required: [true, "Idempotency key is required"],
+      maxlength: 255,
+    },
+
+    // SHA-256 of method, path and body
+    requestHash: {
+      type: String,
+      required: true,
+    },
+
+    method: String,
+    path: String,
+
+    status: {
+      type: String,
+      enum: ["PROCESSING", "COMPLETED"],
+      default: "PROCESSING",
+    },
+
+    // While PROCESSING, a retry after this time may take over (holder crashed)
+    lockedUntil: Date,
+
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Claim a key for processing
+ * Succeeds if the key is new, expired (TTL monitor not run yet), or stuck
+ * PROCESSING for the same request past its lock.
+ * @param {Object} params
+ * @param {string} params.scope - Key scope
+ * @param {string} params.key - Idempotency key
+ * @param {string} params.requestHash - Hash of the request
+ * @param {string} params.method - HTTP method
+ * @param {string} params.path - Request path
+ * @param {number} params.ttlMs - How long the key is remembered
+ * @param {number} params.lockMs - How long a PROCESSING claim is honoured
+ * @returns {Promise<{claimed: boolean, record: Object|null}>}
+ */
+idempotencyKeySchema.statics.claim = async function ({ scope, key, requestHash, method, path, ttlMs, lockMs }) {
+  const now = new Date();
+
+  try {
+    const record = await this.findOneAndUpdate(
+      {
+        scope,
+        key,
+        $or: [
+          { expiresAt: { $lte: now } },
+          { status: "PROCESSING", lockedUntil: { $lte: now }, requestHash },
+        ],
+      },
+      {
+        $set: {
+          requestHash,
+          method,
+          path,
+          status: "PROCESSING",
+          lockedUntil: new Date(now.getTime() + lockMs),
+          expiresAt: new Date(now.getTime() + ttlMs),
+        },
+        $unset: { responseStatus: "", responseBody: "" },
+      },
+      { upsert: true, new: true }
+    );
+
+    return { claimed: true, record };
+  } catch (error) {
+    // Key exists and is live - hand back the existing record
+    if (error.code === 11000) {
+      const record = await this.findOne({ scope, key });
+      return { claimed: false, record };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Store the response for a claimed key
+ * @param {ObjectId} id - Record ID
+ * @param {number} responseStatus - HTTP status
+ * @param {any} responseBody - JSON body
+ * @returns {Promise<void>}
+ */
+idempotencyKeySchema.statics.complete = async function (id, responseStatus, responseBody) {
+  await this.updateOne(
+    { _id: id, status: "PROCESSING" },
+    {
+      $set: { status: "COMPLETED", responseStatus, responseBody },
+      $unset: { lockedUntil: "" },
+    }
+  );
+};
+
+/**
+ * Release a claimed key so the request can be retried
+ * @param {ObjectId} id - Record ID
+ * @returns {Promise<void>}
+ */
+idempotencyKeySchema.statics.release = async function (id) {
+  await this.deleteOne({ _id: id, status: "PROCESSING" });
+};
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -0,0 +1,232 @@
+import mongoose from "mongoose";
+
+/**
+ * Invoice Schema
+ * GST tax invoices for orders and subscription purchases, and credit notes
+ * for completed refunds
+ *
+ * Supplier and recipient details are snapshotted at issue time so a
+ * document never changes once numbered.
+ */
+
+export const INVOICE_TYPES = ["INVOICE", "CREDIT_NOTE"];
+export const INVOICE_SOURCES = ["ORDER", "SUBSCRIPTION"];
+
+const partySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    gstin: String,
+    addressLines: [String],
+    state: String,
+    stateCode: String,
+    phone: String,
+    email: String,
+  },
+  { _id: false }
+);
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      enum: {
+        values: INVOICE_TYPES,
+        message: "Invalid invoice type",
+      },
+      default: "INVOICE",
+    },
+
+    // Numbering: series is the document type + supplier GSTIN
+    series: {
+      type: String,
+      required: true,
+    },
+
+    invoiceNumber: {
+      type: String,
+      required: [true, "Invoice number is required"],
+      maxlength: [16, "GST document numbers cannot exceed 16 characters"],
+    },
+
+    sequenceNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    financialYear: {
+      type: String,
+      required: true,
+    },
+
+    issuedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+
+    // What was billed
+    source: {
+      type: String,
+      required: true,
+      enum: {
+        values: INVOICE_SOURCES,
+        message: "Invalid invoice source",
+      },
+    },
+
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription",
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    kitchenId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Kitchen",
+    },
+
+    // Credit notes only
+    refundId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Refund",
+    },
+
+    originalInvoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+    },
+
+    originalInvoiceNumber: String,
+
+    reason: String,
+
+    // Parties
+    supplier: {
+      type: partySchema,
+      required: true,
+    },
+
+    recipient: {
+      type: partySchema,
+      required: true,
+    },
+
+    placeOfSupply: {
+      state: String,
+      stateCode: String,
+    },
+
+    // CGST_SGST (same state) or IGST (inter-state)
+    taxMode: {
+      type: String,
+      enum: ["CGST_SGST", "IGST"],
+      required: true,
+    },
+
+    lines: [
+      {
+        _id: false,
+        description: { type: String, required: true },
+        sac: String,
+        quantity: { type: Number, default: 1 },
+        unitPrice: Number,
+        amount: { type: Number, required: true },
+        taxable: { type: Boolean, default: true },
+      },
+    ],
+
+    // Amounts
+    taxRate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    taxableValue: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+
+    nonTaxableValue: {
+      type: Number,
+      default: 0,
+    },
+
+    discount: {
+      type: Number,
+      default: 0,
+    },
+
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+
+    totalTax: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+
+    grandTotal: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+invoiceSchema.index({ series: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ userId: 1, issuedAt: -1 });
+// One invoice per order / subscription and one credit note per refund
+invoiceSchema.index(
+  { orderId: 1 },
+  { unique: true, partialFilterExpression: { type: "INVOICE", source: "ORDER" } }
+);
+invoiceSchema.index(
+  { subscriptionId: 1 },
+  { unique: true, partialFilterExpression: { type: "INVOICE", source: "SUBSCRIPTION" } }
+);
+invoiceSchema.index(
+  { refundId: 1 },
+  { unique: true, partialFilterExpression: { type: "CREDIT_NOTE" } }
+);
+invoiceSchema.index({ originalInvoiceId: 1 });
+
+/**
+ * Find the tax invoice for an order
+ * @param {ObjectId} orderId - Order ID
+ * @returns {Promise<Object|null>} Invoice document
+ */
+invoiceSchema.statics.findForOrder = function (orderId) {
+  return this.findOne({ orderId, type: "INVOICE", source: "ORDER" });
+};
+
+/**
+ * Find the tax invoice for a subscription purchase
+ * @param {ObjectId} subscriptionId - Subscription ID
+ * @returns {Promise<Object|null>} Invoice document
+ */
+invoiceSchema.statics.findForSubscription = function (subscriptionId) {
+  return this.findOne({ subscriptionId, type: "INVOICE", source: "SUBSCRIPTION" });
+};
+
+const Invoice = mongoose.model("Invoice", invoiceSchema);
+
+export default Invoice;
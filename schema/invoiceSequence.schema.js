@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+/**
+ * InvoiceSequence Schema
+ * Running counter behind gap-free invoice and credit note numbers
+ *
+ * One document per series (document type + supplier GSTIN) and financial
+ * year. Numbers are only taken inside the transaction that creates the
+ * invoice, so an aborted invoice also rolls back its number.
+ */
+const invoiceSequenceSchema = new mongoose.Schema(
+  {
+    // e.g. "INVOICE:27AAACT1234F1Z5" or "CREDIT_NOTE:27AAACT1234F1Z5"
+    series: {
+      type: String,
+      required: [true, "Series is required"],
+      trim: true,
+    },
+
+    // Indian financial year, e.g. "2026-27"
+    financialYear: {
+      type: String,
+      required: [true, "Financial year is required"],
+      match: [/^\d{4}-\d{2}$/, "Financial year must be YYYY-YY"],
+    },
+
+    lastNumber: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+invoiceSequenceSchema.index({ series: 1, financialYear: 1 }, { unique: true });
+
+/**
+ * Take the next number in a series
+ * Must be called with the session of the transaction that saves the invoice.
+ * @param {string} series - Series key
+ * @param {string} financialYear - Financial year (YYYY-YY)
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<number>} Next sequence number (starts at 1 each year)
+ */
+invoiceSequenceSchema.statics.next = async function (series, financialYear, session) {
+  const sequence = await this.findOneAndUpdate(
+    { series, financialYear },
+    { $inc: { lastNumber: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return sequence.lastNumber;
+};
+
+const InvoiceSequence = mongoose.model("InvoiceSequence", invoiceSequenceSchema);
+
+export default InvoiceSequence;
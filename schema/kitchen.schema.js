@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import { normalizePhone } from "../utils/phone.utils.js";
+import { GSTIN_PATTERN } from "../utils/gst.utils.js";
 
 /**
  * Kitchen Schema
@@ -184,6 +185,26 @@ const kitchenSchema = new mongoose.Schema(
       set: normalizePhone,
     },
 
+    // Tax registration (Partner kitchens bill GST invoices in their own name)
+    legalName: {
+      type: String,
+      trim: true,
+      maxlength: [150, "Legal name cannot exceed 150 characters"],
+    },
+
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [GSTIN_PATTERN, "Invalid GSTIN format"],
+    },
+
+    // Partner payout terms (falls back to the settlement config when unset)
+    settlementTerms: {
+      commissionRate: { type: Number, min: 0, max: 1 },
+      voucherMealRate: { type: Number, min: 0 },
+    },
+
     // Status
     status: {
       type: String,
@@ -200,6 +221,15 @@ const kitchenSchema = new mongoose.Schema(
       default: true,
     },
 
+    // Order capacity (null = unlimited)
+    capacity: {
+      lunchMaxMeals: { type: Number, min: 0, default: null },
+      dinnerMaxMeals: { type: Number, min: 0, default: null },
+      onDemandMaxPer15Min: { type: Number, min: 0, default: null },
+      // Hold seats for subscribers' auto-orders until the auto-order run
+      reserveForAutoOrders: { type: Boolean, default: false },
+    },
+
     // Ratings
     averageRating: {
       type: Number,
@@ -214,6 +244,16 @@ const kitchenSchema = new mongoose.Schema(
       min: 0,
     },
 
+    // Delivery issue claims against this kitchen's orders (see orderClaim.schema.js)
+    qualityMetrics: {
+      claimsReceived: { type: Number, default: 0, min: 0 },
+      claimsUpheld: { type: Number, default: 0, min: 0 },
+      claimsRejected: { type: Number, default: 0, min: 0 },
+      amountRefunded: { type: Number, default: 0, min: 0 },
+      vouchersRestored: { type: Number, default: 0, min: 0 },
+      lastClaimAt: Date,
+    },
+
     // Metadata
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+
+/**
+ * Kitchen Capacity Slot Schema
+ * Live usage counter for one kitchen capacity slot:
+ * - LUNCH / DINNER: meals for a service day (`slotStart` is the IST day as UTC midnight)
+ * - ON_DEMAND: on-demand orders in a 15-minute bucket (`slotStart` is the bucket start)
+ *
+ * Limits live on the kitchen (`capacity`), so a change applies to slots
+ * already in use. Counters are only changed with conditional `$inc` updates.
+ */
+const kitchenCapacitySlotSchema = new mongoose.Schema(
+  {
+    kitchenId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Kitchen",
+      required: [true, "Kitchen ID is required"],
+    },
+
+    slotType: {
+      type: String,
+      required: [true, "Slot type is required"],
+      enum: {
+        values: ["LUNCH", "DINNER", "ON_DEMAND"],
+        message: "Invalid slot type",
+      },
+    },
+
+    slotStart: {
+      type: Date,
+      required: [true, "Slot start is required"],
+    },
+
+    // Meals (LUNCH/DINNER) or orders (ON_DEMAND) taken
+    used: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Seats held for auto-orders until the window's auto-order run
+    reserved: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Of `used`, taken by auto-orders
+    autoOrders: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Set once the auto-order run releases the unused reservation
+    reservationReleasedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (_doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+kitchenCapacitySlotSchema.index({ kitchenId: 1, slotType: 1, slotStart: 1 }, { unique: true });
+kitchenCapacitySlotSchema.index({ slotType: 1, slotStart: 1 });
+// Old slots are only useful for a short while
+kitchenCapacitySlotSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const KitchenCapacitySlot = mongoose.model("KitchenCapacitySlot", kitchenCapacitySlotSchema);
+
+export default KitchenCapacitySlot;
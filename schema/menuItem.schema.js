@@ -54,6 +54,14 @@ const menuItemSchema = new mongoose.Schema(
       // Required only for MEAL_MENU
     },
 
+    // MEAL_MENU item served only on dates the menu calendar schedules it.
+    // The window's regular item (scheduledOnly false) is the default that is
+    // served on unscheduled dates.
+    scheduledOnly: {
+      type: Boolean,
+      default: false,
+    },
+
     // Pricing
     price: {
       type: Number,
@@ -124,6 +132,28 @@ const menuItemSchema = new mongoose.Schema(
       default: [],
     },
 
+    // MEAL_MENU variants a subscriber can choose for auto-orders
+    // (e.g. "High Protein", "Rice instead of Roti"). Same price as the item.
+    variants: [
+      {
+        name: {
+          type: String,
+          required: [true, "Variant name is required"],
+          trim: true,
+          maxlength: [50, "Variant name cannot exceed 50 characters"],
+        },
+        description: {
+          type: String,
+          trim: true,
+          maxlength: [200, "Variant description cannot exceed 200 characters"],
+        },
+        isAvailable: {
+          type: Boolean,
+          default: true,
+        },
+      },
+    ],
+
     // Availability
     isAvailable: {
       type: Boolean,
@@ -211,12 +241,13 @@ menuItemSchema.pre("save", async function () {
     throw new Error("Discounted price must be less than original price");
   }
 
-  // For MEAL_MENU, ensure only 1 item per mealWindow per kitchen
-  if (this.menuType === "MEAL_MENU" && this.isNew) {
+  // For MEAL_MENU, ensure only 1 default item per mealWindow per kitchen
+  if (this.menuType === "MEAL_MENU" && this.isNew && !this.scheduledOnly) {
     const existing = await this.constructor.findOne({
       kitchenId: this.kitchenId,
       menuType: "MEAL_MENU",
       mealWindow: this.mealWindow,
+      scheduledOnly: { $ne: true },
       status: { $ne: "INACTIVE" },
     });
     if (existing) {
@@ -247,12 +278,13 @@ menuItemSchema.statics.findByKitchenAndType = function (kitchenId, menuType) {
     .sort({ displayOrder: 1 });
 };
 
-// Static method to find meal menu item
+// Static method to find the default meal menu item (see menu-calendar.service for the dated one)
 menuItemSchema.statics.findMealMenuItem = function (kitchenId, mealWindow) {
   return this.findOne({
     kitchenId,
     menuType: "MEAL_MENU",
     mealWindow,
+    scheduledOnly: { $ne: true },
     status: "ACTIVE",
   }).populate("addonIds");
 };
@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+/**
+ * Menu Schedule Schema
+ * One entry of a kitchen's menu calendar: the MEAL_MENU item served on a
+ * date for a meal window. Dates without an entry serve the window's
+ * default item.
+ *
+ * `date` is the service day (IST) stored as UTC midnight, e.g. the lunch on
+ * 21 Oct 2026 is stored as 2026-10-21T00:00:00.000Z.
+ */
+const menuScheduleSchema = new mongoose.Schema(
+  {
+    kitchenId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Kitchen",
+      required: [true, "Kitchen ID is required"],
+    },
+
+    date: {
+      type: Date,
+      required: [true, "Date is required"],
+    },
+
+    mealWindow: {
+      type: String,
+      required: [true, "Meal window is required"],
+      enum: {
+        values: ["LUNCH", "DINNER"],
+        message: "Invalid meal window",
+      },
+    },
+
+    menuItemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MenuItem",
+      required: [true, "Menu item is required"],
+    },
+
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Note cannot exceed 200 characters"],
+    },
+
+    // Metadata
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (_doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+menuScheduleSchema.index({ kitchenId: 1, date: 1, mealWindow: 1 }, { unique: true });
+menuScheduleSchema.index({ menuItemId: 1, date: 1 });
+
+const MenuSchedule = mongoose.model("MenuSchedule", menuScheduleSchema);
+
+export default MenuSchedule;
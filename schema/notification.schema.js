@@ -2,7 +2,7 @@ import mongoose from "mongoose";
 
 /**
  * Notification Schema
- * Stores sent push notifications for logging and user notification history
+ * Stores sent notifications for logging and user notification history
  */
 const notificationSchema = new mongoose.Schema(
   {
@@ -29,11 +29,22 @@ const notificationSchema = new mongoose.Schema(
           "ORDER_DELIVERED",
           "ORDER_CANCELLED",
           "ORDER_FAILED",
+          "ORDER_CLAIM_RESOLVED",
+          "ORDER_AMENDED",
+          "ORDER_REDELIVERY",
+          "ORDER_FAILURE_RESOLVED",
 
           // Voucher/Subscription notifications
           "VOUCHER_EXPIRY_REMINDER",
           "SUBSCRIPTION_CREATED",
           "SUBSCRIPTION_EXPIRING",
+          "SUBSCRIPTION_RENEWAL_REMINDER",
+          "SUBSCRIPTION_RENEWED",
+          "SUBSCRIPTION_RENEWAL_FAILED",
+          "GIFT_SUBSCRIPTION_RECEIVED",
+          "GIFT_SUBSCRIPTION_CLAIMED",
+          "VOUCHERS_RECEIVED",
+          "SERVICE_CLOSURE",
 
           // Auto-order notifications
           "AUTO_ORDER_SUCCESS",
@@ -44,6 +55,9 @@ const notificationSchema = new mongoose.Schema(
           "NEW_MANUAL_ORDER",
           "NEW_AUTO_ACCEPTED_ORDER",
           "BATCH_REMINDER",
+          "AUTO_ORDER_FORECAST",
+          "ORDER_CLAIM",
+          "ORDER_RETURNING",
 
           // Driver notifications
           "BATCH_READY",
@@ -99,28 +113,55 @@ const notificationSchema = new mongoose.Schema(
     deliveryStatus: {
       type: String,
       enum: {
-        values: ["PENDING", "SENT", "FAILED", "PARTIAL"],
+        values: ["QUEUED", "PENDING", "SENT", "FAILED", "PARTIAL", "CANCELLED"],
         message: "Invalid delivery status",
       },
       default: "PENDING",
     },
 
-    // FCM delivery results per device
+    // Held back by the user's quiet hours until this time
+    scheduledFor: {
+      type: Date,
+    },
+
+    // Channels in fallback order (kept so queued notifications send the same way)
+    channels: {
+      type: [String],
+      enum: ["PUSH", "SMS", "EMAIL", "WHATSAPP"],
+      default: undefined,
+    },
+
+    // Delivery results per channel attempt (one per device for PUSH)
     deliveryResults: [
       {
+        channel: {
+          type: String,
+          enum: ["PUSH", "SMS", "EMAIL", "WHATSAPP"],
+          default: "PUSH",
+        },
+        provider: String,
         token: String,
         deviceType: {
           type: String,
           enum: ["ANDROID", "IOS", "WEB"],
         },
+        recipient: String, // Masked phone/email for SMS, EMAIL, WHATSAPP
         success: Boolean,
         fcmMessageId: String,
+        providerMessageId: String,
         errorCode: String,
         errorMessage: String,
         sentAt: Date,
       },
     ],
 
+    // Channel that delivered the notification (null if none did)
+    deliveredVia: {
+      type: String,
+      enum: ["PUSH", "SMS", "EMAIL", "WHATSAPP", null],
+      default: null,
+    },
+
     // User interaction
     isRead: {
       type: Boolean,
@@ -140,6 +181,12 @@ const notificationSchema = new mongoose.Schema(
       type: String,
       sparse: true,
     },
+
+    // Admin campaign that produced this notification
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Campaign",
+    },
   },
   {
     timestamps: true,
@@ -150,7 +197,9 @@ const notificationSchema = new mongoose.Schema(
 notificationSchema.index({ userId: 1, createdAt: -1 });
 notificationSchema.index({ userId: 1, isRead: 1 });
 notificationSchema.index({ deliveryStatus: 1 });
+notificationSchema.index({ deliveryStatus: 1, scheduledFor: 1 });
 notificationSchema.index({ expiryNotificationKey: 1 }, { sparse: true });
+notificationSchema.index({ campaignId: 1 }, { sparse: true });
 
 /**
  * Mark notification as read
@@ -44,6 +44,7 @@ const orderSchema = new mongoose.Schema(
       landmark: String,
       locality: { type: String, required: true },
       city: { type: String, required: true },
+      state: String,
       pincode: { type: String, required: true },
       contactName: String,
       contactPhone: String,
@@ -81,6 +82,7 @@ const orderSchema = new mongoose.Schema(
         unitPrice: { type: Number, required: true, min: 0 },
         totalPrice: { type: Number, required: true, min: 0 },
         isMainCourse: { type: Boolean, default: false },
+        variant: { type: String, trim: true },
         addons: [
           {
             addonId: {
@@ -118,6 +120,14 @@ const orderSchema = new mongoose.Schema(
       ],
     },
 
+    // How each charge was produced (pricing rule snapshot for support)
+    feeRules: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+
+    // Straight-line kitchen-to-customer distance used for distance slabs
+    deliveryDistanceKm: Number,
+
     discount: {
       couponId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -146,6 +156,27 @@ const orderSchema = new mongoose.Schema(
       mainCoursesCovered: { type: Number, default: 0 },
     },
 
+    // Wallet Usage (debited at placement, returned on cancel/payment failure)
+    walletUsage: {
+      amount: { type: Number, default: 0, min: 0 },
+      transactionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "WalletTransaction",
+      },
+      reversedAt: Date,
+    },
+
+    // Kitchen capacity taken (returned on cancel/reject/payment failure)
+    capacityReservation: {
+      slotId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "KitchenCapacitySlot",
+      },
+      units: { type: Number, min: 0 },
+      releasedAt: Date,
+    },
+
+    // Amount charged through the payment gateway (excludes wallet usage)
     amountPaid: {
       type: Number,
       required: [true, "Amount paid is required"],
@@ -216,6 +247,45 @@ const orderSchema = new mongoose.Schema(
       enum: ["CUSTOMER", "KITCHEN", "ADMIN", "SYSTEM"],
     },
 
+    // Items removed or substituted by the kitchen after acceptance
+    amendments: [
+      {
+        changes: [
+          {
+            type: {
+              type: String,
+              enum: ["REMOVE_ITEM", "SUBSTITUTE_ITEM", "REMOVE_ADDON", "SUBSTITUTE_ADDON"],
+              required: true,
+            },
+            itemName: { type: String, required: true },
+            addonName: String,
+            replacementName: String,
+            quantity: { type: Number, min: 1 },
+          },
+        ],
+        reason: { type: String, trim: true },
+        previousAmountToPay: Number,
+        amountToPay: Number,
+        amountRefunded: { type: Number, default: 0 },
+        refundIds: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Refund",
+          },
+        ],
+        vouchersRestored: { type: Number, default: 0 },
+        amendedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        amendedByRole: {
+          type: String,
+          enum: ["KITCHEN", "ADMIN"],
+        },
+        amendedAt: { type: Date, default: Date.now },
+      },
+    ],
+
     // Preparation
     estimatedPrepTime: Number,
     preparingAt: Date,
@@ -0,0 +1,180 @@
+import mongoose from "mongoose";
+
+/**
+ * Order Claim Schema
+ * A customer's report of a problem with a delivered order: a missing or
+ * wrong item, spillage or poor quality.
+ *
+ * The customer picks the affected items (and add-ons) and can attach
+ * photos. The kitchen or an admin resolves the claim with a partial refund,
+ * by restoring the vouchers that paid for the affected meals, or by
+ * rejecting it. Claims count towards the kitchen's qualityMetrics.
+ */
+
+export const CLAIM_CATEGORIES = ["MISSING_ITEM", "WRONG_ITEM", "SPILLAGE", "QUALITY_ISSUE"];
+
+export const CLAIM_RESOLUTIONS = ["PARTIAL_REFUND", "VOUCHER_RESTORE", "REJECTED"];
+
+// Claims must be raised within this many hours of delivery
+export const CLAIM_WINDOW_HOURS = 24;
+
+export const MAX_CLAIM_PHOTOS = 5;
+
+const orderClaimSchema = new mongoose.Schema(
+  {
+    claimNumber: {
+      type: String,
+      required: [true, "Claim number is required"],
+    },
+
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: [true, "Order ID is required"],
+    },
+
+    orderNumber: {
+      type: String,
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+
+    kitchenId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Kitchen",
+      required: [true, "Kitchen ID is required"],
+    },
+
+    category: {
+      type: String,
+      required: [true, "Category is required"],
+      enum: {
+        values: CLAIM_CATEGORIES,
+        message: "Invalid claim category",
+      },
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+    },
+
+    // Affected order lines; quantity 0 means only the listed add-ons
+    items: [
+      {
+        orderItemId: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        name: { type: String, required: true },
+        quantity: { type: Number, required: true, min: 0 },
+        isMainCourse: { type: Boolean, default: false },
+        // Units paid for with vouchers rather than money
+        voucherUnits: { type: Number, default: 0, min: 0 },
+        addons: [
+          {
+            addonId: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Addon",
+            },
+            name: { type: String, required: true },
+            quantity: { type: Number, required: true, min: 1 },
+          },
+        ],
+        // Money paid for the affected units and add-ons
+        amount: { type: Number, default: 0, min: 0 },
+      },
+    ],
+
+    // Sum of items[].amount, the most a refund can return
+    claimedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Vouchers that paid for affected meals, the most that can be restored
+    claimedVouchers: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    photos: [
+      {
+        url: { type: String, required: true },
+        publicId: { type: String },
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: {
+        values: ["OPEN", "RESOLVED", "REJECTED"],
+        message: "Invalid status",
+      },
+      default: "OPEN",
+    },
+
+    resolution: {
+      type: {
+        type: String,
+        enum: {
+          values: CLAIM_RESOLUTIONS,
+          message: "Invalid resolution",
+        },
+      },
+      amount: { type: Number, min: 0 },
+      refundId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Refund",
+      },
+      vouchersRestored: { type: Number, min: 0 },
+      note: { type: String, trim: true, maxlength: 500 },
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      resolvedByRole: {
+        type: String,
+        enum: ["ADMIN", "KITCHEN_STAFF"],
+      },
+      resolvedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (_doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+orderClaimSchema.index({ claimNumber: 1 }, { unique: true });
+orderClaimSchema.index({ orderId: 1 }, { unique: true });
+orderClaimSchema.index({ userId: 1, createdAt: -1 });
+orderClaimSchema.index({ kitchenId: 1, status: 1, createdAt: -1 });
+orderClaimSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Generate unique claim number
+ * @returns {string} Claim number, e.g. CLM-20261019-AB12C
+ */
+orderClaimSchema.statics.generateClaimNumber = function () {
+  const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  const random = Math.random().toString(36).substring(2, 7).toUpperCase();
+  return `CLM-${dateStr}-${random}`;
+};
+
+const OrderClaim = mongoose.model("OrderClaim", orderClaimSchema);
+
+export default OrderClaim;
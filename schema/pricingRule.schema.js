@@ -0,0 +1,204 @@
+import mongoose from "mongoose";
+
+/**
+ * PricingRule Schema
+ * Admin-defined rules for order charges (delivery fee slabs, zone overrides,
+ * free delivery thresholds, surge multipliers)
+ *
+ * Rules are versioned: editing a rule creates a new document with the same
+ * ruleKey and the next version number. Each version is effective between
+ * effectiveFrom and effectiveTo (open-ended when null).
+ */
+
+export const RULE_TYPES = ["DISTANCE_SLAB", "ZONE_OVERRIDE", "FREE_DELIVERY", "SURGE"];
+export const RULE_CHARGES = ["DELIVERY_FEE", "SERVICE_FEE", "PACKAGING_FEE", "HANDLING_FEE"];
+
+const pricingRuleSchema = new mongoose.Schema(
+  {
+    // Stable identifier shared by all versions
+    ruleKey: {
+      type: String,
+      required: [true, "Rule key is required"],
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9_]+$/, "Rule key must be alphanumeric with underscores"],
+      maxlength: [50, "Rule key cannot exceed 50 characters"],
+    },
+
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    name: {
+      type: String,
+      required: [true, "Rule name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+
+    ruleType: {
+      type: String,
+      required: [true, "Rule type is required"],
+      enum: {
+        values: RULE_TYPES,
+        message: "Invalid rule type",
+      },
+    },
+
+    // Charge the rule acts on
+    charge: {
+      type: String,
+      enum: {
+        values: RULE_CHARGES,
+        message: "Invalid charge",
+      },
+      default: "DELIVERY_FEE",
+    },
+
+    // Scope (empty = everywhere)
+    zoneIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Zone",
+      },
+    ],
+
+    menuTypes: [
+      {
+        type: String,
+        enum: ["MEAL_MENU", "ON_DEMAND_MENU"],
+      },
+    ],
+
+    // DISTANCE_SLAB: fee by kitchen-to-customer distance
+    slabs: [
+      {
+        _id: false,
+        minKm: { type: Number, required: true, min: 0 },
+        maxKm: { type: Number, min: 0, default: null }, // null = no upper bound
+        fee: { type: Number, required: true, min: 0 },
+      },
+    ],
+
+    // ZONE_OVERRIDE: flat amount for the charge
+    amount: {
+      type: Number,
+      min: 0,
+    },
+
+    // FREE_DELIVERY: order value (items + add-ons) at which delivery is free
+    minOrderValue: {
+      type: Number,
+      min: 0,
+    },
+
+    // SURGE: multiplier during peak windows (times are IST, HH:mm)
+    multiplier: {
+      type: Number,
+      min: 1,
+      max: 5,
+    },
+
+    mealWindows: [
+      {
+        type: String,
+        enum: ["LUNCH", "DINNER"],
+      },
+    ],
+
+    daysOfWeek: [
+      {
+        type: Number,
+        min: 0,
+        max: 6,
+      },
+    ],
+
+    startTime: String,
+    endTime: String,
+
+    maxSurgeAmount: {
+      type: Number,
+      min: 0,
+    },
+
+    // Higher priority wins when several rules of a type match
+    priority: {
+      type: Number,
+      default: 0,
+    },
+
+    // Validity
+    effectiveFrom: {
+      type: Date,
+      required: [true, "Effective from date is required"],
+    },
+
+    effectiveTo: {
+      type: Date,
+      default: null,
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: ["ACTIVE", "RETIRED"],
+        message: "Invalid status",
+      },
+      default: "ACTIVE",
+    },
+
+    supersededBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PricingRule",
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+pricingRuleSchema.index({ ruleKey: 1, version: 1 }, { unique: true });
+pricingRuleSchema.index({ status: 1, effectiveFrom: 1, effectiveTo: 1 });
+
+/**
+ * Find rule versions in effect at a point in time
+ * @param {Date} at - Point in time (default now)
+ * @returns {Promise<Array>} Lean rule documents, highest priority first
+ */
+pricingRuleSchema.statics.findEffective = function (at = new Date()) {
+  return this.find({
+    status: "ACTIVE",
+    effectiveFrom: { $lte: at },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: at } }],
+  })
+    .sort({ priority: -1, version: -1 })
+    .lean();
+};
+
+/**
+ * Get the latest version of a rule
+ * @param {string} ruleKey - Rule key
+ * @returns {Promise<Object|null>} Rule document
+ */
+pricingRuleSchema.statics.findLatestVersion = function (ruleKey) {
+  return this.findOne({ ruleKey: ruleKey.toUpperCase() }).sort({ version: -1 });
+};
+
+const PricingRule = mongoose.model("PricingRule", pricingRuleSchema);
+
+export default PricingRule;
@@ -54,6 +54,9 @@ const refundSchema = new mongoose.Schema(
           "DELIVERY_FAILED",
           "QUALITY_ISSUE",
           "WRONG_ORDER",
+          "MISSING_ITEM",
+          "SPILLAGE",
+          "ORDER_AMENDED",
           "ADMIN_INITIATED",
           "PAYMENT_ISSUE",
           "OTHER",
@@ -86,6 +89,22 @@ const refundSchema = new mongoose.Schema(
       default: "INITIATED",
     },
 
+    // Where the money goes back to
+    refundMethod: {
+      type: String,
+      enum: {
+        values: ["ORIGINAL_PAYMENT", "WALLET"],
+        message: "Invalid refund method",
+      },
+      default: "ORIGINAL_PAYMENT",
+    },
+
+    // Ledger entry for refunds credited to the customer wallet
+    walletTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WalletTransaction",
+    },
+
     // Payment Gateway Details
     originalPaymentId: {
       type: String,
@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+
+/**
+ * SchedulerLock Schema
+ * Lease-based lock used to elect a single scheduler leader across app instances
+ * (PM2 cluster workers, multiple servers). The holder must renew before expiresAt.
+ */
+const schedulerLockSchema = new mongoose.Schema(
+  {
+    // Lock name, e.g. "cron-leader"
+    _id: {
+      type: String,
+    },
+
+    holderId: {
+      type: String,
+      required: [true, "Holder ID is required"],
+      trim: true,
+    },
+
+    // First time this lock document was created
+    acquiredAt: {
+      type: Date,
+      required: true,
+    },
+
+    renewedAt: {
+      type: Date,
+      required: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+    toJSON: {
+      transform: function (_doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+/**
+ * Acquire or renew a lock
+ * Succeeds if the lock is free, expired, or already held by holderId
+ * @param {string} name - Lock name
+ * @param {string} holderId - Instance requesting the lock
+ * @param {number} ttlMs - Lease duration in milliseconds
+ * @returns {Promise<boolean>} Whether holderId now holds the lock
+ */
+schedulerLockSchema.statics.acquire = async function (name, holderId, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [{ expiresAt: { $lte: now } }, { holderId }],
+      },
+      {
+        $set: { holderId, renewedAt: now, expiresAt: new Date(now.getTime() + ttlMs) },
+        $setOnInsert: { acquiredAt: now },
+      },
+      { upsert: true, new: true }
+    );
+
+    return lock.holderId === holderId;
+  } catch (error) {
+    // Upsert raced with a live holder's document - someone else holds the lock
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Release a lock held by holderId
+ * @param {string} name - Lock name
+ * @param {string} holderId - Current holder
+ * @returns {Promise<void>}
+ */
+schedulerLockSchema.statics.release = async function (name, holderId) {
+  await this.deleteOne({ _id: name, holderId });
+};
+
+const SchedulerLock = mongoose.model("SchedulerLock", schedulerLockSchema);
+
+export default SchedulerLock;
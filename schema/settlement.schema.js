@@ -0,0 +1,179 @@
+import mongoose from "mongoose";
+
+/**
+ * Settlement Schema
+ * Payout statement for a partner kitchen over a period
+ *
+ * Earnings come from orders delivered in [periodStart, periodEnd). A DRAFT
+ * can be recalculated as late deliveries and refunds come in; once
+ * APPROVED the figures are frozen and the statement moves to PAID when
+ * finance records the bank transfer.
+ */
+
+export const SETTLEMENT_STATUSES = ["DRAFT", "APPROVED", "PAID"];
+
+const settlementSchema = new mongoose.Schema(
+  {
+    settlementNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    kitchenId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Kitchen",
+      required: [true, "Kitchen ID is required"],
+    },
+
+    periodStart: {
+      type: Date,
+      required: [true, "Period start is required"],
+    },
+
+    // Exclusive
+    periodEnd: {
+      type: Date,
+      required: [true, "Period end is required"],
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: SETTLEMENT_STATUSES,
+        message: "Invalid settlement status",
+      },
+      default: "DRAFT",
+    },
+
+    // Terms used for this statement
+    commissionRate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 1,
+    },
+
+    voucherMealRate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    // Per-order breakdown
+    orders: [
+      {
+        _id: false,
+        orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+        orderNumber: String,
+        deliveredAt: Date,
+        menuType: String,
+        itemValue: { type: Number, default: 0 }, // Items + add-ons paid by the customer
+        voucherMeals: { type: Number, default: 0 },
+        voucherEarnings: { type: Number, default: 0 },
+        commission: { type: Number, default: 0 },
+        netEarnings: { type: Number, default: 0 },
+      },
+    ],
+
+    refunds: [
+      {
+        _id: false,
+        refundId: { type: mongoose.Schema.Types.ObjectId, ref: "Refund" },
+        refundNumber: String,
+        orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+        orderNumber: String,
+        reason: String,
+        refundAmount: Number,
+        deduction: Number, // Capped at the order's item value
+        completedAt: Date,
+      },
+    ],
+
+    penalties: [
+      {
+        amount: { type: Number, required: true, min: 0 },
+        reason: { type: String, required: true, trim: true },
+        orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+        addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    // Totals
+    orderCount: { type: Number, default: 0 },
+    grossItemValue: { type: Number, default: 0 },
+    voucherMeals: { type: Number, default: 0 },
+    voucherEarnings: { type: Number, default: 0 },
+    commissionAmount: { type: Number, default: 0 },
+    refundDeductions: { type: Number, default: 0 },
+    penaltyDeductions: { type: Number, default: 0 },
+    netPayable: { type: Number, default: 0 },
+
+    calculatedAt: Date,
+
+    // Approval and payout
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    approvedAt: Date,
+
+    paidBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    paidAt: Date,
+    paymentReference: {
+      type: String,
+      trim: true,
+    },
+    paymentMode: {
+      type: String,
+      enum: ["BANK_TRANSFER", "UPI", "CHEQUE", "OTHER"],
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+settlementSchema.index({ kitchenId: 1, periodStart: -1 });
+settlementSchema.index({ status: 1, periodStart: -1 });
+
+/**
+ * Generate settlement number
+ * @param {Date} periodStart - Period start
+ * @returns {string} e.g. STL-202610-7K2QF
+ */
+settlementSchema.statics.generateSettlementNumber = function (periodStart) {
+  const month = periodStart.toISOString().slice(0, 7).replace("-", "");
+  const random = Math.random().toString(36).substring(2, 7).toUpperCase();
+  return `STL-${month}-${random}`;
+};
+
+/**
+ * Find settlements of a kitchen that overlap a period
+ * @param {ObjectId} kitchenId - Kitchen ID
+ * @param {Date} periodStart - Period start
+ * @param {Date} periodEnd - Period end (exclusive)
+ * @returns {Promise<Array>} Overlapping settlements
+ */
+settlementSchema.statics.findOverlapping = function (kitchenId, periodStart, periodEnd) {
+  return this.find({
+    kitchenId,
+    periodStart: { $lt: periodEnd },
+    periodEnd: { $gt: periodStart },
+  });
+};
+
+const Settlement = mongoose.model("Settlement", settlementSchema);
+
+export default Settlement;
@@ -72,6 +72,26 @@ const subscriptionSchema = new mongoose.Schema(
       min: [0, "Amount cannot be negative"],
     },
 
+    // Payments behind amountPaid and how much of each was captured for this
+    // subscription. Credit carried over from a plan change is listed against
+    // the old payment with carriedFromId set. Unset for single-payment purchases.
+    fundingPayments: [
+      {
+        _id: false,
+        paymentId: { type: String, trim: true },
+        paymentMethod: {
+          type: String,
+          trim: true,
+          enum: ["UPI", "CARD", "NETBANKING", "WALLET", "OTHER"],
+        },
+        amount: { type: Number, min: 0 },
+        carriedFromId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Subscription",
+        },
+      },
+    ],
+
     // Status
     status: {
       type: String,
@@ -99,7 +119,7 @@ const subscriptionSchema = new mongoose.Schema(
       min: 0,
     },
 
-    // Renewal (Future)
+    // Renewal
     isAutoRenew: {
       type: Boolean,
       default: false,
@@ -110,6 +130,100 @@ const subscriptionSchema = new mongoose.Schema(
       ref: "Subscription",
     },
 
+    // Saved payment mandate (Razorpay recurring token) used for auto-renewal
+    // Copied to the renewed subscription so it keeps renewing.
+    renewalMandate: {
+      status: {
+        type: String,
+        enum: ["PENDING", "ACTIVE", "CANCELLED"],
+      },
+      customerId: { type: String, trim: true },
+      tokenId: { type: String, trim: true },
+      method: { type: String, trim: true },
+      maxAmount: { type: Number, min: 0 },
+      authorizationOrderId: { type: String, trim: true },
+      authorizedAt: { type: Date },
+      cancelledAt: { type: Date },
+    },
+
+    // Auto-renewal progress for this subscription's term
+    renewal: {
+      status: {
+        type: String,
+        enum: ["PENDING_PAYMENT", "RETRY_SCHEDULED", "RENEWED", "FAILED"],
+      },
+      reminderSentAt: { type: Date },
+      attempts: { type: Number, default: 0 },
+      lastAttemptAt: { type: Date },
+      nextAttemptAt: { type: Date },
+      lastFailureReason: { type: String, trim: true },
+      // ID reserved for the new subscription while its payment settles
+      pendingSubscriptionId: { type: mongoose.Schema.Types.ObjectId },
+      razorpayOrderId: { type: String, trim: true },
+      renewedToId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Subscription",
+      },
+      completedAt: { type: Date },
+    },
+
+    // Set when the subscription was received as a gift
+    giftId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "GiftSubscription",
+    },
+
+    giftedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // Plan change: the old subscription points to its replacement...
+    changedToId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription",
+    },
+
+    // ...and the replacement records how the change was priced
+    planChange: {
+      fromSubscriptionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Subscription",
+      },
+      fromPlanId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SubscriptionPlan",
+      },
+      unusedVouchers: { type: Number, min: 0 },
+      credit: { type: Number, min: 0 },
+      newPlanPrice: { type: Number, min: 0 },
+      amountCharged: { type: Number, min: 0 },
+      // Payment that captured amountCharged
+      chargePaymentId: { type: String, trim: true },
+      refundAmount: { type: Number, min: 0 },
+      // Where the refund goes: each payment up to what it captured
+      refundPayments: [
+        {
+          _id: false,
+          paymentId: { type: String, trim: true },
+          amount: { type: Number, min: 0 },
+          status: {
+            type: String,
+            enum: ["PENDING", "PROCESSED", "FAILED"],
+          },
+          razorpayRefundId: { type: String, trim: true },
+          error: { type: String, trim: true },
+        },
+      ],
+      refundStatus: {
+        type: String,
+        enum: ["NONE", "PENDING", "PROCESSED", "FAILED"],
+      },
+      razorpayRefundId: { type: String, trim: true },
+      refundError: { type: String, trim: true },
+      changedAt: { type: Date },
+    },
+
     // Auto-Ordering Settings
     autoOrderingEnabled: {
       type: Boolean,
@@ -149,6 +263,25 @@ const subscriptionSchema = new mongoose.Schema(
       },
     ],
 
+    // Planned kitchen/zone closures this subscription was told about
+    closureNotices: [
+      {
+        closureId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Closure",
+          required: true,
+        },
+        extendedDays: {
+          type: Number,
+          default: 0,
+        },
+        notifiedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
     defaultMealType: {
       type: String,
       enum: ["LUNCH", "DINNER", "BOTH"],
@@ -166,6 +299,34 @@ const subscriptionSchema = new mongoose.Schema(
       ref: "CustomerAddress",
       default: null,
     },
+
+    // Auto-order meal preferences
+    autoOrderPreferences: {
+      // Variant name wanted per window; the regular item is served when the
+      // day's item doesn't offer it
+      lunchVariant: { type: String, trim: true, maxlength: 50, default: null },
+      dinnerVariant: { type: String, trim: true, maxlength: 50, default: null },
+
+      // Standing add-ons, charged to the wallet with each auto-order
+      addons: [
+        {
+          addonId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Addon",
+            required: true,
+          },
+          quantity: { type: Number, min: 1, max: 10, default: 1 },
+          mealWindow: {
+            type: String,
+            enum: ["LUNCH", "DINNER", "BOTH"],
+            default: "BOTH",
+          },
+        },
+      ],
+
+      // Never auto-order items that clash with the user's dietaryPreferences
+      dietaryFilter: { type: Boolean, default: true },
+    },
   },
   {
     timestamps: true,
@@ -191,6 +352,8 @@ subscriptionSchema.index({ planId: 1 });
 subscriptionSchema.index({ status: 1 });
 subscriptionSchema.index({ purchaseDate: -1 });
 subscriptionSchema.index({ voucherExpiryDate: 1 });
+subscriptionSchema.index({ isAutoRenew: 1, endDate: 1 });
+subscriptionSchema.index({ "renewal.status": 1, "renewal.nextAttemptAt": 1 });
 // Auto-ordering index for cron job queries
 subscriptionSchema.index({ status: 1, autoOrderingEnabled: 1, isPaused: 1 });
 
@@ -22,6 +22,8 @@ const systemConfigSchema = new mongoose.Schema(
           "subscription",
           "general",
           "autoOrder",
+          "settlement",
+          "voucherTransfer",
         ],
         message: "Invalid config key",
       },
@@ -167,9 +169,37 @@ systemConfigSchema.statics.initializeDefaults = async function () {
         dinnerCronTime: "19:00",
         enabled: true,
         autoAcceptOrders: true,
+        maxRetries: 2,
       },
       description: "Auto-order cron job configuration (times in IST)",
     },
+    {
+      key: "settlement",
+      value: {
+        commissionRate: 0.15,
+        voucherMealRate: 70,
+      },
+      description: "Partner kitchen payout terms (commission on item value, payout per voucher meal)",
+    },
+    {
+      key: "subscription",
+      value: {
+        renewalReminderDays: 3,
+        renewalRetryIntervalHours: 24,
+        renewalGracePeriodDays: 3,
+      },
+      description: "Subscription auto-renewal (reminder lead time, retry interval, grace period after end date)",
+    },
+    {
+      key: "voucherTransfer",
+      value: {
+        enabled: true,
+        maxVouchersPerTransfer: 5,
+        maxVouchersPerMonth: 10,
+        minValidityHours: 24,
+      },
+      description: "Customer-to-customer voucher transfers (per-transfer and rolling 30-day caps, minimum validity left)",
+    },
   ];
 
   for (const config of defaults) {
@@ -120,6 +120,29 @@ const userSchema = new mongoose.Schema(
       },
     ],
 
+    // Notification categories (true = receive) and quiet hours
+    // Types outside these categories (kitchen, driver, system) are always sent
+    notificationPreferences: {
+      orderStatus: { type: Boolean, default: true },
+      vouchers: { type: Boolean, default: true },
+      menuMarketing: { type: Boolean, default: true },
+      autoOrder: { type: Boolean, default: true },
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        // HH:mm in the user's zone timezone; may wrap past midnight
+        start: {
+          type: String,
+          default: "22:00",
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Quiet hours start must be HH:mm"],
+        },
+        end: {
+          type: String,
+          default: "08:00",
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Quiet hours end must be HH:mm"],
+        },
+      },
+    },
+
     // For suspended users
     suspensionReason: {
       type: String,
@@ -60,7 +60,7 @@ const voucherSchema = new mongoose.Schema(
       type: String,
       required: true,
       enum: {
-        values: ["AVAILABLE", "REDEEMED", "EXPIRED", "RESTORED", "CANCELLED"],
+        values: ["AVAILABLE", "REDEEMED", "EXPIRED", "RESTORED", "CANCELLED", "TRANSFERRED"],
         message: "Invalid status",
       },
       default: "AVAILABLE",
@@ -94,7 +94,35 @@ const voucherSchema = new mongoose.Schema(
     restorationReason: {
       type: String,
       trim: true,
-      enum: ["ORDER_CANCELLED", "ORDER_REJECTED", "ADMIN_ACTION", "OTHER"],
+      enum: ["ORDER_CANCELLED", "ORDER_REJECTED", "ORDER_CLAIM", "ORDER_AMENDED", "DELIVERY_FAILED", "ADMIN_ACTION", "OTHER"],
+    },
+
+    // Transfer Details
+    // The giver's voucher becomes TRANSFERRED and the recipient gets a new
+    // voucher that keeps subscriptionId, expiryDate and mealType. Received
+    // vouchers don't count towards the source subscription's own vouchers.
+    transferId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VoucherTransfer",
+    },
+
+    transferredFromVoucherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Voucher",
+    },
+
+    transferredFromUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    transferredToUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    transferredAt: {
+      type: Date,
     },
   },
   {
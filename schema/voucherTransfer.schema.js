@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+/**
+ * Voucher Transfer Schema
+ * Record of AVAILABLE vouchers handed from one customer to another
+ */
+const voucherTransferSchema = new mongoose.Schema(
+  {
+    transferNumber: {
+      type: String,
+      required: [true, "Transfer number is required"],
+      unique: true,
+      trim: true,
+    },
+
+    fromUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Sender is required"],
+    },
+
+    toUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Recipient is required"],
+    },
+
+    count: {
+      type: Number,
+      required: [true, "Voucher count is required"],
+      min: [1, "Must transfer at least 1 voucher"],
+    },
+
+    // Giver's vouchers (now TRANSFERRED) and the recipient's new vouchers
+    sourceVoucherIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Voucher",
+      },
+    ],
+
+    voucherIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Voucher",
+      },
+    ],
+
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Note cannot exceed 200 characters"],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (_doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+voucherTransferSchema.index({ fromUserId: 1, createdAt: -1 });
+voucherTransferSchema.index({ toUserId: 1, createdAt: -1 });
+
+// Generate transfer number
+voucherTransferSchema.statics.generateTransferNumber = function () {
+  const date = new Date();
+  const dateStr = date.toISOString().slice(0, 10).replace(/-/g, "");
+  const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+  return `VTR-${dateStr}-${random}`;
+};
+
+const VoucherTransfer = mongoose.model("VoucherTransfer", voucherTransferSchema);
+
+export default VoucherTransfer;
@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+
+/**
+ * Wallet Schema
+ * One wallet per customer holding a rupee balance
+ *
+ * The balance is only ever changed by wallet.service together with a
+ * WalletTransaction ledger entry, so the balance always equals the sum of
+ * the customer's credits minus debits.
+ */
+const walletSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+
+    balance: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: [0, "Wallet balance cannot be negative"],
+    },
+
+    // Running totals for statements and reconciliation
+    lifetimeCredits: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    lifetimeDebits: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    lastTransactionAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (_doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+walletSchema.index({ userId: 1 }, { unique: true });
+
+/**
+ * Find a user's wallet, creating an empty one on first use
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<Document>} Wallet document
+ */
+walletSchema.statics.getOrCreate = function (userId) {
+  return this.findOneAndUpdate(
+    { userId },
+    { $setOnInsert: { userId, balance: 0 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const Wallet = mongoose.model("Wallet", walletSchema);
+
+export default Wallet;
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+/**
+ * WalletRecharge Schema
+ * A customer's request to top up their wallet through Razorpay
+ * Referenced by PaymentTransaction (purchaseType WALLET_RECHARGE)
+ */
+const walletRechargeSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [1, "Amount must be at least 1"],
+    },
+
+    status: {
+      type: String,
+      required: true,
+      enum: {
+        values: ["PENDING", "COMPLETED", "FAILED"],
+        message: "Invalid recharge status",
+      },
+      default: "PENDING",
+    },
+
+    razorpayOrderId: {
+      type: String,
+      trim: true,
+    },
+
+    razorpayPaymentId: {
+      type: String,
+      trim: true,
+    },
+
+    paymentMethod: {
+      type: String,
+      trim: true,
+    },
+
+    // Ledger entry created once payment is captured
+    walletTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WalletTransaction",
+      default: null,
+    },
+
+    completedAt: Date,
+    failedAt: Date,
+
+    failureReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function (_doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+walletRechargeSchema.index({ userId: 1, createdAt: -1 });
+walletRechargeSchema.index({ razorpayOrderId: 1 }, { sparse: true });
+walletRechargeSchema.index({ status: 1 });
+
+const WalletRecharge = mongoose.model("WalletRecharge", walletRechargeSchema);
+
+export default WalletRecharge;
@@ -0,0 +1,161 @@
+import mongoose from "mongoose";
+
+/**
+ * WalletTransaction Schema
+ * Immutable ledger of wallet credits and debits
+ *
+ * Entries are never updated or deleted. Mistakes are corrected with a
+ * new opposite entry (e.g. an ADJUSTMENT debit for a wrong credit).
+ */
+const walletTransactionSchema = new mongoose.Schema(
+  {
+    entryNumber: {
+      type: String,
+      required: [true, "Entry number is required"],
+      trim: true,
+    },
+
+    walletId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Wallet",
+      required: [true, "Wallet ID is required"],
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+
+    type: {
+      type: String,
+      required: [true, "Entry type is required"],
+      enum: {
+        values: ["CREDIT", "DEBIT"],
+        message: "Invalid entry type",
+      },
+    },
+
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0.01, "Amount must be greater than 0"],
+    },
+
+    balanceBefore: {
+      type: Number,
+      required: true,
+    },
+
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+
+    // Why the balance moved
+    source: {
+      type: String,
+      required: [true, "Source is required"],
+      enum: {
+        values: [
+          "TOPUP",            // Razorpay top-up
+          "ORDER_PAYMENT",    // Paid (part of) an order from the wallet
+          "ORDER_REVERSAL",   // Wallet portion returned on cancel/reject/payment failure
+          "REFUND",           // Refund-to-wallet instead of the original payment method
+          "CASHBACK",         // Promotional cashback
+          "ADJUSTMENT",       // Manual admin correction
+        ],
+        message: "Invalid wallet entry source",
+      },
+    },
+
+    // What caused the entry (Order, Refund, WalletRecharge)
+    referenceType: {
+      type: String,
+      enum: ["Order", "Refund", "WalletRecharge", null],
+      default: null,
+    },
+
+    referenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "referenceType",
+      default: null,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+
+    // Guards against double credits/debits for the same business event
+    idempotencyKey: {
+      type: String,
+      trim: true,
+    },
+
+    // Admin who made a manual entry
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+      transform: function (_doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+walletTransactionSchema.index({ entryNumber: 1 }, { unique: true });
+walletTransactionSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+walletTransactionSchema.index({ userId: 1, createdAt: -1 });
+walletTransactionSchema.index({ walletId: 1, createdAt: -1 });
+walletTransactionSchema.index({ referenceType: 1, referenceId: 1 });
+walletTransactionSchema.index({ source: 1, createdAt: -1 });
+
+// Ledger entries are append-only
+walletTransactionSchema.pre("save", function () {
+  if (!this.isNew) {
+    throw new Error("Wallet transactions are immutable");
+  }
+});
+
+const rejectMutation = function () {
+  throw new Error("Wallet transactions are immutable");
+};
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => {
+  walletTransactionSchema.pre(operation, rejectMutation);
+});
+
+/**
+ * Generate unique entry number
+ * Format: WTX-YYYYMMDD-XXXXXX
+ * @returns {string} Entry number
+ */
+walletTransactionSchema.statics.generateEntryNumber = function () {
+  const date = new Date();
+  const dateStr = date.toISOString().slice(0, 10).replace(/-/g, "");
+  const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+  return `WTX-${dateStr}-${random}`;
+};
+
+const WalletTransaction = mongoose.model("WalletTransaction", walletTransactionSchema);
+
+export default WalletTransaction;
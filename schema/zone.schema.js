@@ -1,15 +1,20 @@
 import mongoose from "mongoose";
+import { hasValidCoordinates } from "../utils/geo.utils.js";
 
 /**
  * Zone Schema
- * Represents a delivery zone based on pincode (1 pincode = 1 zone)
+ * Represents a delivery zone
+ *
+ * A zone is matched by its GeoJSON boundary when the customer's coordinates
+ * are known, falling back to pincode otherwise. Several zones may share a
+ * pincode when that pincode spans areas served by different kitchens.
  */
 const zoneSchema = new mongoose.Schema(
   {
+    // Primary pincode - used when the address has no coordinates
     pincode: {
       type: String,
       required: [true, "Pincode is required"],
-      unique: true,
       trim: true,
       match: [/^[0-9]{6}$/, "Invalid pincode format (must be 6 digits)"],
     },
@@ -34,6 +39,26 @@ const zoneSchema = new mongoose.Schema(
       maxlength: [50, "State name cannot exceed 50 characters"],
     },
 
+    // Delivery area as GeoJSON (coordinates are [longitude, latitude])
+    boundary: {
+      type: {
+        type: String,
+        enum: {
+          values: ["Polygon", "MultiPolygon"],
+          message: "Boundary must be a Polygon or MultiPolygon",
+        },
+      },
+      coordinates: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: undefined,
+      },
+    },
+
+    boundaryUpdatedAt: {
+      type: Date,
+      default: null,
+    },
+
     status: {
       type: String,
       required: true,
@@ -78,7 +103,8 @@ const zoneSchema = new mongoose.Schema(
 );
 
 // Indexes
-zoneSchema.index({ pincode: 1 }, { unique: true });
+zoneSchema.index({ pincode: 1 });
+zoneSchema.index({ boundary: "2dsphere" });
 zoneSchema.index({ city: 1 });
 zoneSchema.index({ status: 1 });
 zoneSchema.index({ city: 1, status: 1 });
@@ -94,9 +120,62 @@ zoneSchema.statics.findActiveByCity = function (city) {
   return this.find({ city, status: "ACTIVE", orderingEnabled: true });
 };
 
+// Check if zone has a drawn boundary
+zoneSchema.methods.hasBoundary = function () {
+  return Boolean(this.boundary?.type && this.boundary?.coordinates?.length);
+};
+
 // Static method to find zone by pincode
+// Prefers active, orderable zones when several zones share the pincode
 zoneSchema.statics.findByPincode = function (pincode) {
-  return this.findOne({ pincode });
+  return this.findOne({ pincode }).sort({ status: 1, orderingEnabled: -1, displayOrder: 1 });
+};
+
+// Static method to find the zone whose boundary contains a point
+zoneSchema.statics.findByCoordinates = function (latitude, longitude) {
+  return this.findOne({
+    boundary: {
+      $geoIntersects: {
+        $geometry: { type: "Point", coordinates: [Number(longitude), Number(latitude)] },
+      },
+    },
+  }).sort({ status: 1, orderingEnabled: -1, displayOrder: 1 });
+};
+
+/**
+ * Resolve the zone for a location
+ * Coordinates are matched against zone boundaries first. If they fall in no
+ * boundary (or are missing), the pincode is used - but only zones without a
+ * boundary can match by pincode when coordinates were given, since a drawn
+ * boundary that excludes the point is authoritative.
+ * @param {Object} location
+ * @param {number} [location.latitude]
+ * @param {number} [location.longitude]
+ * @param {string} [location.pincode]
+ * @returns {Promise<{zone: Object|null, resolvedBy: string|null}>}
+ */
+zoneSchema.statics.resolveForLocation = async function ({ latitude, longitude, pincode } = {}) {
+  const hasCoordinates = hasValidCoordinates(latitude, longitude);
+
+  if (hasCoordinates) {
+    const zone = await this.findByCoordinates(latitude, longitude);
+    if (zone) {
+      return { zone, resolvedBy: "COORDINATES" };
+    }
+  }
+
+  if (pincode) {
+    const filter = { pincode };
+    if (hasCoordinates) {
+      filter["boundary.type"] = { $exists: false };
+    }
+    const zone = await this.findOne(filter).sort({ status: 1, orderingEnabled: -1, displayOrder: 1 });
+    if (zone) {
+      return { zone, resolvedBy: "PINCODE" };
+    }
+  }
+
+  return { zone: null, resolvedBy: null };
 };
 
 // Static method to get distinct cities
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+
+// Load environment variables
+dotenv.config();
+
+// Import models
+import Zone from "../schema/zone.schema.js";
+
+/**
+ * Zone index migration
+ * Zones used to be unique per pincode. Drops the old unique pincode index so
+ * several polygon zones can share a pincode, and builds the 2dsphere index
+ * on zone boundaries.
+ *
+ * Usage: node scripts/migrate-zone-indexes.js
+ */
+const migrateZoneIndexes = async () => {
+  try {
+    if (!process.env.MONGODB_URL) {
+      console.log("> Missing MongoDB connection string");
+      process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URL);
+    console.log("> MongoDB Connected");
+
+    const indexes = await Zone.collection.indexes();
+    const legacyIndex = indexes.find((index) => index.name === "pincode_1" && index.unique);
+
+    if (legacyIndex) {
+      await Zone.collection.dropIndex("pincode_1");
+      console.log("  ✅ Dropped unique pincode index");
+    } else {
+      console.log("  ℹ️  No unique pincode index found");
+    }
+
+    await Zone.syncIndexes();
+    console.log("  ✅ Zone indexes synced (pincode, boundary 2dsphere)");
+
+    process.exit(0);
+  } catch (error) {
+    console.log("> Zone index migration failed:", error.message);
+    process.exit(1);
+  }
+};
+
+migrateZoneIndexes();
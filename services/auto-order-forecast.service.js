@@ -0,0 +1,198 @@
+import Kitchen from "../schema/kitchen.schema.js";
+import User from "../schema/user.schema.js";
+import { getEligibleSubscriptions, processAutoOrder } from "./auto-order.service.js";
+import { getSlotUsage } from "./kitchen-capacity.service.js";
+import { getSettlementConfig } from "./config.service.js";
+import { getServiceDate, formatServiceDate } from "./menu-calendar.service.js";
+import { sendToRole } from "./notification.service.js";
+import { KITCHEN_TEMPLATES, buildFromTemplate } from "./notification-templates.service.js";
+
+/**
+ * Auto-Order Forecast Service
+ * Predicts what an auto-order run will produce by running it as a dry run
+ *
+ * Dry runs place no orders, write no AutoOrderLog entries, take no kitchen
+ * capacity and send no notifications. Eligibility and voucher balances are
+ * read as they are now, and each meal window is forecast on its own.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Add one to a counter in a plain object
+ * @param {Object} counts
+ * @param {string} key
+ */
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+/**
+ * Forecast an auto-order run
+ * @param {string} mealWindow - LUNCH or DINNER
+ * @param {Date} date - Day of the run (default tomorrow)
+ * @returns {Promise<Object>} Predicted orders per kitchen and zone, failures and voucher burn
+ */
+export async function buildAutoOrderForecast(mealWindow, date = new Date(Date.now() + DAY_MS)) {
+  const runDate = new Date(date);
+  runDate.setHours(0, 0, 0, 0);
+
+  const subscriptions = await getEligibleSubscriptions(mealWindow);
+
+  const kitchens = new Map();
+  const zones = new Map();
+  const failures = [];
+  const failuresByCategory = {};
+  const skippedByCategory = {};
+  let predictedOrders = 0;
+  let addonsTotal = 0;
+
+  for (const subscription of subscriptions) {
+    const result = await processAutoOrder(subscription, runDate, mealWindow, true);
+
+    if (result.success) {
+      predictedOrders++;
+      addonsTotal += result.addonsTotal || 0;
+
+      const kitchenKey = result.kitchenId.toString();
+      if (!kitchens.has(kitchenKey)) {
+        kitchens.set(kitchenKey, {
+          kitchenId: result.kitchenId,
+          kitchenName: result.kitchen,
+          predictedOrders: 0,
+          fallbackOrders: 0,
+          items: {},
+          variants: {},
+          addons: {},
+        });
+      }
+      const kitchen = kitchens.get(kitchenKey);
+      kitchen.predictedOrders++;
+      if (result.fallbackReason) kitchen.fallbackOrders++;
+      increment(kitchen.items, result.menuItem);
+      if (result.variant) increment(kitchen.variants, result.variant);
+      for (const addon of result.addons) {
+        kitchen.addons[addon.name] = (kitchen.addons[addon.name] || 0) + addon.quantity;
+      }
+
+      const zoneKey = result.zoneId.toString();
+      if (!zones.has(zoneKey)) {
+        zones.set(zoneKey, { zoneId: result.zoneId, zoneName: result.zone, pincode: result.pincode, predictedOrders: 0 });
+      }
+      zones.get(zoneKey).predictedOrders++;
+    } else if (result.skipped) {
+      increment(skippedByCategory, result.failureCategory || "UNKNOWN");
+    } else {
+      increment(failuresByCategory, result.failureCategory || "UNKNOWN");
+      failures.push({
+        subscriptionId: subscription._id,
+        userId: subscription.userId,
+        failureCategory: result.failureCategory || "UNKNOWN",
+        reason: result.error,
+      });
+    }
+  }
+
+  // Predicted orders a kitchen's meal limit can't take
+  const kitchenDocs = await Kitchen.find({ _id: { $in: [...kitchens.values()].map((k) => k.kitchenId) } })
+    .select("name capacity")
+    .lean();
+  for (const doc of kitchenDocs) {
+    const kitchen = kitchens.get(doc._id.toString());
+    const { limit, used } = await getSlotUsage(doc, mealWindow, runDate);
+    kitchen.capacityLimit = limit;
+    kitchen.predictedSoldOut = limit === null ? 0 : Math.max(kitchen.predictedOrders - (limit - used), 0);
+  }
+
+  const users = await User.find({ _id: { $in: failures.map((f) => f.userId) } })
+    .select("name phone")
+    .lean();
+  const usersById = new Map(users.map((u) => [u._id.toString(), u]));
+  for (const failure of failures) {
+    const user = usersById.get(failure.userId.toString());
+    failure.userName = user?.name || null;
+    failure.userPhone = user?.phone || null;
+  }
+
+  const { voucherMealRate } = getSettlementConfig();
+
+  return {
+    mealWindow,
+    date: formatServiceDate(getServiceDate(runDate)),
+    generatedAt: new Date(),
+    totals: {
+      eligible: subscriptions.length,
+      predictedOrders,
+      failed: failures.length,
+      skipped: Object.values(skippedByCategory).reduce((sum, count) => sum + count, 0),
+    },
+    voucherBurn: {
+      vouchers: predictedOrders,
+      mealValue: predictedOrders * voucherMealRate,
+      addonsTotal: Math.round(addonsTotal * 100) / 100,
+    },
+    byKitchen: [...kitchens.values()].sort((a, b) => b.predictedOrders - a.predictedOrders),
+    byZone: [...zones.values()].sort((a, b) => b.predictedOrders - a.predictedOrders),
+    failures: {
+      byCategory: failuresByCategory,
+      subscriptions: failures,
+    },
+    skipped: {
+      byCategory: skippedByCategory,
+    },
+  };
+}
+
+/**
+ * Tell each kitchen how many auto-orders to expect tomorrow
+ * Runs the evening before so kitchens can plan procurement.
+ * @returns {Promise<Object>} { date, kitchensNotified, lunchOrders, dinnerOrders }
+ */
+export async function sendKitchenForecasts() {
+  const tomorrow = new Date(Date.now() + DAY_MS);
+
+  const lunch = await buildAutoOrderForecast("LUNCH", tomorrow);
+  const dinner = await buildAutoOrderForecast("DINNER", tomorrow);
+
+  const counts = new Map();
+  for (const [window, forecast] of [["lunch", lunch], ["dinner", dinner]]) {
+    for (const kitchen of forecast.byKitchen) {
+      const key = kitchen.kitchenId.toString();
+      if (!counts.has(key)) {
+        counts.set(key, { kitchenId: kitchen.kitchenId, lunch: 0, dinner: 0 });
+      }
+      counts.get(key)[window] = kitchen.predictedOrders;
+    }
+  }
+
+  for (const { kitchenId, lunch: lunchCount, dinner: dinnerCount } of counts.values()) {
+    const { title, body } = buildFromTemplate(KITCHEN_TEMPLATES.AUTO_ORDER_FORECAST, {
+      lunchCount,
+      dinnerCount,
+      date: lunch.date,
+    });
+    sendToRole("KITCHEN_STAFF", "AUTO_ORDER_FORECAST", title, body, {
+      kitchenId,
+      data: {
+        type: "AUTO_ORDER_FORECAST",
+        date: lunch.date,
+        lunchCount,
+        dinnerCount,
+      },
+    });
+  }
+
+  console.log(`> Auto-order forecast for ${lunch.date}: sent to ${counts.size} kitchen(s)`);
+
+  return {
+    date: lunch.date,
+    kitchensNotified: counts.size,
+    lunchOrders: lunch.totals.predictedOrders,
+    dinnerOrders: dinner.totals.predictedOrders,
+  };
+}
+
+export default {
+  buildAutoOrderForecast,
+  sendKitchenForecasts,
+};
@@ -1,19 +1,30 @@
+import mongoose from "mongoose";
 import Subscription from "../schema/subscription.schema.js";
 import Order from "../schema/order.schema.js";
 import Kitchen from "../schema/kitchen.schema.js";
-import MenuItem from "../schema/menuItem.schema.js";
 import CustomerAddress from "../schema/customerAddress.schema.js";
 import Zone from "../schema/zone.schema.js";
 import Voucher from "../schema/voucher.schema.js";
 import AutoOrderLog from "../schema/autoOrderLog.schema.js";
-import { redeemVouchersWithTransaction } from "./voucher.service.js";
+import Addon from "../schema/addon.schema.js";
+import User from "../schema/user.schema.js";
+import { redeemVouchersWithTransaction, restoreVouchersForOrder } from "./voucher.service.js";
+import { debitWallet, reverseOrderWalletUsage } from "./wallet.service.js";
+import {
+  reserveCapacity,
+  releaseCapacity,
+  releaseAutoOrderReservations,
+  getRemainingCapacity,
+} from "./kitchen-capacity.service.js";
 import { sendToRole, sendToUser } from "./notification.service.js";
 import {
   KITCHEN_TEMPLATES,
   AUTO_ORDER_TEMPLATES,
   buildFromTemplate,
 } from "./notification-templates.service.js";
-import { getAutoOrderConfig } from "./config.service.js";
+import { getAutoOrderConfig, checkCutoffTime } from "./config.service.js";
+import { resolveMealMenuItem, getServiceDate } from "./menu-calendar.service.js";
+import { findClosure, getClosures, findCoveringClosure } from "./closure.service.js";
 
 /**
  * Auto-Order Service
@@ -23,14 +34,36 @@ import { getAutoOrderConfig } from "./config.service.js";
  * 1. Get eligible subscriptions (auto-order enabled, vouchers available, not paused/skipped)
  * 2. For each subscription:
  *    - Get default address → resolve zone from pincode
- *    - Find kitchens serving that zone
- *    - Select first available kitchen
- *    - Get menu item for meal window
- *    - Redeem voucher and create order
+ *    - Use the default kitchen; when it is closed or not taking orders, the
+ *      best-rated open kitchen serving the zone with seats left
+ *    - Skip if the zone (or every kitchen) has a planned closure
+ *    - Get menu item for meal window (menu calendar, else default item)
+ *    - Apply meal preferences: dietary filter, variant, standing add-ons
+ *    - Take kitchen capacity (reserved auto-order seats first)
+ *    - Redeem voucher, charge add-ons to the wallet and create order
  *    - Auto-accept order (voucher policy)
  * 3. Log all outcomes (success, skipped, failed) with detailed reasons
+ *
+ * Recovery:
+ * - The autoOrderRetry job retries transient failures until the cutoff
+ * - Kitchen-side failures offer the customer "order from alternative"
+ * - Every attempt is logged under the batch's cronRunId with its attempt number
  */
 
+// Failures a later attempt may fix (kitchen reopens, seats free up, ...)
+export const RETRYABLE_CATEGORIES = [
+  "NO_KITCHEN",
+  "KITCHEN_NOT_SERVING_ZONE",
+  "KITCHEN_SOLD_OUT",
+  "NO_MENU_ITEM",
+  "VOUCHER_REDEMPTION_FAILED",
+  "ORDER_CREATION_FAILED",
+  "UNKNOWN",
+];
+
+// Failures another kitchen can fix; the customer is offered one
+export const ALTERNATIVE_CATEGORIES = ["KITCHEN_SOLD_OUT", "NO_MENU_ITEM", "DIETARY_MISMATCH"];
+
 /**
  * Generate unique cron run ID for grouping logs
  * Format: CRON-{MEALWINDOW}-{YYYYMMDD}-{RANDOM}
@@ -45,10 +78,15 @@ function generateCronRunId(mealWindow) {
 
 /**
  * Log auto-order attempt result to database
+ * Dry runs aren't logged, so the recovery pass never retries them.
  * @param {Object} params - Log parameters
- * @returns {Promise<void>}
+ * @returns {Promise<Object|null>} Saved log
  */
 async function logAutoOrderResult(params) {
+  if (params.dryRun) {
+    return null;
+  }
+
   try {
     const log = new AutoOrderLog({
       subscriptionId: params.subscriptionId,
@@ -62,11 +100,15 @@ async function logAutoOrderResult(params) {
       failureCategory: params.failureCategory || null,
       context: params.context || {},
       cronRunId: params.cronRunId,
+      attempt: params.attempt || 1,
+      trigger: params.trigger || "BATCH",
       processingTimeMs: params.processingTimeMs || null,
     });
     await log.save();
+    return log;
   } catch (error) {
     console.error("> AutoOrderLog: Failed to save log:", error.message);
+    return null;
   }
 }
 
@@ -78,8 +120,9 @@ async function logAutoOrderResult(params) {
  * @param {string} failureCategory - Failure category from AutoOrderLog
  * @param {string} mealWindow - LUNCH or DINNER
  * @param {Object} context - Context data (pincode, etc.)
+ * @param {ObjectId|null} alternativeLogId - Failed log the customer can answer with "order from alternative"
  */
-function sendFailureNotification(userId, failureCategory, mealWindow, context = {}) {
+function sendFailureNotification(userId, failureCategory, mealWindow, context = {}, alternativeLogId = null) {
   // Map failure category to template
   const templateMap = {
     NO_VOUCHERS: AUTO_ORDER_TEMPLATES.FAILED_NO_VOUCHERS,
@@ -87,9 +130,11 @@ function sendFailureNotification(userId, failureCategory, mealWindow, context =
     NO_ZONE: AUTO_ORDER_TEMPLATES.FAILED_NO_ZONE,
     NO_KITCHEN: AUTO_ORDER_TEMPLATES.FAILED_NO_KITCHEN,
     NO_MENU_ITEM: AUTO_ORDER_TEMPLATES.FAILED_NO_MENU,
+    DIETARY_MISMATCH: AUTO_ORDER_TEMPLATES.FAILED_DIETARY,
     VOUCHER_REDEMPTION_FAILED: AUTO_ORDER_TEMPLATES.FAILED_GENERIC,
     ORDER_CREATION_FAILED: AUTO_ORDER_TEMPLATES.FAILED_GENERIC,
     KITCHEN_NOT_SERVING_ZONE: AUTO_ORDER_TEMPLATES.FAILED_NO_KITCHEN,
+    KITCHEN_SOLD_OUT: AUTO_ORDER_TEMPLATES.FAILED_SOLD_OUT,
     UNKNOWN: AUTO_ORDER_TEMPLATES.FAILED_GENERIC,
   };
 
@@ -98,10 +143,14 @@ function sendFailureNotification(userId, failureCategory, mealWindow, context =
     return; // No notification for SKIPPED states (paused/slot skipped)
   }
 
-  const { title, body } = buildFromTemplate(template, {
+  const { title, body: templateBody, channels } = buildFromTemplate(template, {
     mealWindow: mealWindow.toLowerCase(),
     pincode: context.pincode || "",
+    itemName: context.menuItemName || "meal",
   });
+  const body = alternativeLogId
+    ? `${templateBody} Open the app to order from another kitchen.`
+    : templateBody;
 
   sendToUser(userId, "AUTO_ORDER_FAILED", title, body, {
     data: {
@@ -109,8 +158,13 @@ function sendFailureNotification(userId, failureCategory, mealWindow, context =
       failureCategory,
       mealWindow,
       message: body, // Include the notification body as message for frontend use
+      ...(alternativeLogId && {
+        action: "ORDER_FROM_ALTERNATIVE",
+        autoOrderLogId: alternativeLogId.toString(),
+      }),
     },
     entityType: "SUBSCRIPTION",
+    channels,
   });
 }
 
@@ -133,6 +187,31 @@ function isSlotSkipped(subscription, date, mealWindow) {
   });
 }
 
+/**
+ * Log an auto-order skipped because of a planned closure
+ * Customers are told about closures in advance, so no failure notification is sent.
+ *
+ * @param {Object} closure - Closure covering the meal window
+ * @param {string} closedName - e.g. "Kitchen Indore Central"
+ * @param {Object} logParams - Base log parameters
+ * @param {number} startTime - Processing start (ms)
+ * @returns {Promise<Object>} Skipped result
+ */
+async function skipForClosure(closure, closedName, logParams, startTime) {
+  const reason = `${closedName} is closed (${closure.title})`;
+  const failureCategory = closure.scope === "ZONE" ? "ZONE_CLOSED" : "KITCHEN_CLOSED";
+  logParams.context.closureId = closure._id;
+
+  await logAutoOrderResult({
+    ...logParams,
+    status: "SKIPPED",
+    reason,
+    failureCategory,
+    processingTimeMs: Date.now() - startTime,
+  });
+  return { success: false, skipped: true, reason, failureCategory };
+}
+
 /**
  * Get default address for a subscription with zone resolution
  * IMPORTANT: Only uses the user's explicitly marked default address (isDefault: true)
@@ -168,9 +247,13 @@ async function getDefaultAddressWithZone(subscription, userId) {
     zone = await Zone.findById(address.zoneId);
   }
 
-  // Second try: lookup zone by pincode
+  // Second try: resolve from the address location (boundary first, then pincode)
   if (!zone && address.pincode) {
-    zone = await Zone.findByPincode(address.pincode);
+    ({ zone } = await Zone.resolveForLocation({
+      latitude: address.coordinates?.latitude,
+      longitude: address.coordinates?.longitude,
+      pincode: address.pincode,
+    }));
   }
 
   if (!zone) {
@@ -200,80 +283,282 @@ async function getDefaultAddressWithZone(subscription, userId) {
   return { address, zone, error: null };
 }
 
+/**
+ * Rank the kitchens that can take an auto-order for a zone
+ * Kitchens must be ACTIVE, accepting orders, not closed for the meal window
+ * and have seats left. Best rated first; ties go to the most seats left.
+ *
+ * @param {ObjectId} zoneId - Zone ID
+ * @param {string} mealWindow - LUNCH or DINNER
+ * @param {Date} date - Date of the meal
+ * @param {Array<ObjectId>} excludeKitchenIds - Kitchens to leave out
+ * @returns {Promise<{kitchens: Array, closed: Object|null}>} closed is { kitchen, closure } for
+ *   the first kitchen left out by a closure
+ */
+async function getAlternativeKitchens(zoneId, mealWindow, date, excludeKitchenIds = []) {
+  const excluded = new Set(excludeKitchenIds.filter(Boolean).map((id) => id.toString()));
+
+  const kitchens = (
+    await Kitchen.find({
+      zonesServed: zoneId,
+      status: "ACTIVE",
+      isAcceptingOrders: true,
+    }).sort({ createdAt: 1 })
+  ).filter((k) => !excluded.has(k._id.toString()));
+
+  if (kitchens.length === 0) {
+    return { kitchens: [], closed: null };
+  }
+
+  const closures = await getClosures({
+    kitchenIds: kitchens.map((k) => k._id),
+    from: getServiceDate(date),
+  });
+
+  let closed = null;
+  const ranked = [];
+
+  for (const kitchen of kitchens) {
+    const closure = findCoveringClosure(closures, { kitchenId: kitchen._id, mealWindow, date });
+    if (closure) {
+      closed = closed || { kitchen, closure };
+      continue;
+    }
+
+    const remaining = await getRemainingCapacity(kitchen, mealWindow, date);
+    if (remaining === 0) {
+      continue;
+    }
+    ranked.push({ kitchen, remaining: remaining === null ? Infinity : remaining });
+  }
+
+  ranked.sort(
+    (a, b) =>
+      (b.kitchen.averageRating || 0) - (a.kitchen.averageRating || 0) ||
+      b.remaining - a.remaining
+  );
+
+  return { kitchens: ranked.map((r) => r.kitchen), closed };
+}
+
 /**
  * Find kitchen that serves the given zone
- * Uses defaultKitchenId if set and valid, otherwise finds first active kitchen in zone
+ * Uses defaultKitchenId if set and open, otherwise the best-ranked kitchen
+ * from getAlternativeKitchens. When the default kitchen is closed or not
+ * taking orders, fallbackFrom/fallbackReason say so.
  *
  * @param {Object} subscription - Subscription document
  * @param {ObjectId} zoneId - Zone ID
- * @returns {Promise<Object>} { kitchen, error }
+ * @param {string} mealWindow - LUNCH or DINNER
+ * @param {Date} date - Date of the meal
+ * @param {Array<ObjectId>} excludeKitchenIds - Kitchens already tried
+ * @returns {Promise<Object>} { kitchen, error, closed, fallbackFrom, fallbackReason }
  */
-async function findKitchenForZone(subscription, zoneId) {
+async function findKitchenForZone(subscription, zoneId, mealWindow, date, excludeKitchenIds = []) {
+  const excluded = excludeKitchenIds.map((id) => id.toString());
+  let fallbackFrom = null;
+  let fallbackReason = null;
+  let defaultClosure = null;
+
   // First, try the explicitly set default kitchen
-  if (subscription.defaultKitchenId) {
+  if (subscription.defaultKitchenId && !excluded.includes(subscription.defaultKitchenId.toString())) {
     const kitchen = await Kitchen.findById(subscription.defaultKitchenId);
     if (
       kitchen &&
-      kitchen.status === "ACTIVE" &&
-      kitchen.isAcceptingOrders &&
       kitchen.zonesServed &&
       kitchen.zonesServed.some((z) => z.toString() === zoneId.toString())
     ) {
-      return { kitchen, error: null };
+      if (kitchen.status !== "ACTIVE" || !kitchen.isAcceptingOrders) {
+        fallbackReason = `${kitchen.name} is not accepting orders`;
+      } else {
+        defaultClosure = await findClosure({ kitchenId: kitchen._id, mealWindow, date });
+        if (!defaultClosure) {
+          return { kitchen, error: null };
+        }
+        fallbackReason = `${kitchen.name} is closed (${defaultClosure.title})`;
+      }
+      fallbackFrom = kitchen;
     }
-    // Default kitchen doesn't serve this zone or is inactive, continue to find another
+    // Default kitchen doesn't serve this zone, continue to find another
   }
 
-  // Find any active kitchen serving this zone
-  const kitchens = await Kitchen.find({
-    zonesServed: zoneId,
-    status: "ACTIVE",
-    isAcceptingOrders: true,
-  }).sort({ createdAt: 1 }); // Consistent ordering - use first created
+  const { kitchens, closed } = await getAlternativeKitchens(zoneId, mealWindow, date, [
+    ...excludeKitchenIds,
+    subscription.defaultKitchenId,
+  ]);
 
-  if (!kitchens || kitchens.length === 0) {
+  if (kitchens.length === 0) {
+    // Kitchens that would serve are closed for the window: a skip, not a failure
+    if (defaultClosure) {
+      return { kitchen: null, error: "KITCHEN_CLOSED", closed: { kitchen: fallbackFrom, closure: defaultClosure } };
+    }
+    if (closed) {
+      return { kitchen: null, error: "KITCHEN_CLOSED", closed };
+    }
     return { kitchen: null, error: "NO_KITCHEN" };
   }
 
-  // Return first available kitchen
-  return { kitchen: kitchens[0], error: null };
+  return { kitchen: kitchens[0], error: null, fallbackFrom, fallbackReason };
+}
+
+/**
+ * Check whether the customer can be offered "order from alternative"
+ * Another open kitchen must serve the zone and the cutoff must not have passed.
+ *
+ * @param {Object} logParams - Base log parameters (context has zoneId)
+ * @param {ObjectId} kitchenId - Kitchen that failed
+ * @param {Date} date - Date of the meal
+ * @returns {Promise<boolean>}
+ */
+async function hasAlternativeKitchen(logParams, kitchenId, date) {
+  if (logParams.dryRun || checkCutoffTime(logParams.mealWindow).isPastCutoff) {
+    return false;
+  }
+
+  const { kitchens } = await getAlternativeKitchens(logParams.context.zoneId, logParams.mealWindow, date, [
+    ...logParams.excludeKitchenIds,
+    kitchenId,
+  ]);
+  if (kitchens.length === 0) {
+    return false;
+  }
+
+  logParams.context.alternativeOffered = true;
+  return true;
 }
 
 /**
  * Get menu item for the meal window from a kitchen
- * Prioritizes "Thali" or "Standard" items
+ * Same item a customer would see and order for the date (menu calendar,
+ * otherwise the window's default)
  *
  * @param {ObjectId} kitchenId - Kitchen ID
  * @param {string} mealWindow - LUNCH or DINNER
+ * @param {Date} date - Date of the meal
  * @returns {Promise<Object|null>} Menu item document
  */
-async function getMenuItemForMealWindow(kitchenId, mealWindow) {
-  // Try to find a "Thali" or "Standard" menu item first
-  let menuItem = await MenuItem.findOne({
-    kitchenId,
-    menuType: "MEAL_MENU",
-    mealWindow,
-    isAvailable: true,
-    status: "ACTIVE",
-    $or: [
-      { name: { $regex: /thali/i } },
-      { name: { $regex: /standard/i } },
-      { category: "MAIN_COURSE" },
-    ],
-  });
+async function getMenuItemForMealWindow(kitchenId, mealWindow, date) {
+  const { menuItem } = await resolveMealMenuItem(kitchenId, mealWindow, date);
+  return menuItem;
+}
 
-  // Fallback: Any available meal menu item
-  if (!menuItem) {
-    menuItem = await MenuItem.findOne({
-      kitchenId,
-      menuType: "MEAL_MENU",
-      mealWindow,
-      isAvailable: true,
-      status: "ACTIVE",
+// Dietary types each preference accepts
+const ALLOWED_DIETARY_TYPES = {
+  VEGAN: ["VEGAN"],
+  VEG: ["VEG", "VEGAN"],
+  EGGETARIAN: ["VEG", "VEGAN", "EGGETARIAN"],
+};
+
+/**
+ * Check a menu item or add-on against a user's dietary preferences
+ * NON_VEG accepts any dietary type; otherwise the most permissive of VEGAN,
+ * VEG and EGGETARIAN applies (JAIN alone implies VEG). JAIN also needs
+ * Jain-friendly menu items. Unlabelled items clash with any restriction.
+ *
+ * @param {Object} item - MenuItem or Addon
+ * @param {Array<string>} preferences - User's dietaryPreferences
+ * @returns {string|null} Why the item clashes, or null
+ */
+function getDietaryClash(item, preferences = []) {
+  if (!preferences || preferences.length === 0) {
+    return null;
+  }
+
+  if (!preferences.includes("NON_VEG")) {
+    const levels = preferences.filter((p) => ALLOWED_DIETARY_TYPES[p]);
+    if (levels.length === 0 && preferences.includes("JAIN")) {
+      levels.push("VEG");
+    }
+
+    const allowed = levels.flatMap((level) => ALLOWED_DIETARY_TYPES[level]);
+    if (allowed.length > 0 && !allowed.includes(item.dietaryType)) {
+      return item.dietaryType
+        ? `${item.name} is ${item.dietaryType}`
+        : `${item.name} has no dietary label`;
+    }
+  }
+
+  // Add-ons carry no Jain flag; the vegetarian check above covers them
+  if (preferences.includes("JAIN") && item.isJainFriendly === false) {
+    return `${item.name} is not Jain-friendly`;
+  }
+
+  return null;
+}
+
+/**
+ * Pick the subscriber's preferred variant if the item offers it today
+ * @param {Object} menuItem - Menu item being ordered
+ * @param {string} preferred - Variant name from the subscription
+ * @returns {string|null} Variant name as the kitchen spells it
+ */
+function pickVariant(menuItem, preferred) {
+  if (!preferred) {
+    return null;
+  }
+
+  const variant = (menuItem.variants || []).find(
+    (v) => v.isAvailable && v.name.toLowerCase() === preferred.toLowerCase()
+  );
+  return variant ? variant.name : null;
+}
+
+/**
+ * Resolve the subscription's standing add-ons for a meal
+ * Add-ons that are unavailable, not offered with the item, or clash with
+ * the user's diet are left out and noted.
+ *
+ * @param {Object} subscription - Subscription document
+ * @param {Object} menuItem - Menu item being ordered
+ * @param {string} mealWindow - LUNCH or DINNER
+ * @param {Array<string>|null} dietaryPreferences - Preferences to enforce, or null
+ * @returns {Promise<{addons: Array, total: number, notes: Array<string>}>}
+ */
+async function resolveStandingAddons(subscription, menuItem, mealWindow, dietaryPreferences) {
+  const result = { addons: [], total: 0, notes: [] };
+
+  const wanted = (subscription.autoOrderPreferences?.addons || []).filter(
+    (a) => a.mealWindow === "BOTH" || a.mealWindow === mealWindow
+  );
+  if (wanted.length === 0) {
+    return result;
+  }
+
+  const docs = await Addon.find({ _id: { $in: wanted.map((a) => a.addonId) } });
+  const offered = new Set((menuItem.addonIds || []).map((id) => id.toString()));
+
+  for (const pref of wanted) {
+    const addon = docs.find((d) => d._id.toString() === pref.addonId.toString());
+
+    if (!addon || !addon.isOrderable()) {
+      result.notes.push(`${addon?.name || "Add-on"} is unavailable`);
+      continue;
+    }
+    if (!offered.has(addon._id.toString())) {
+      result.notes.push(`${addon.name} is not offered with ${menuItem.name}`);
+      continue;
+    }
+
+    const clash = dietaryPreferences && getDietaryClash(addon, dietaryPreferences);
+    if (clash) {
+      result.notes.push(clash);
+      continue;
+    }
+
+    const quantity = Math.min(pref.quantity || 1, addon.maxQuantity);
+    const totalPrice = addon.price * quantity;
+    result.addons.push({
+      addonId: addon._id,
+      name: addon.name,
+      quantity,
+      unitPrice: addon.price,
+      totalPrice,
     });
+    result.total += totalPrice;
   }
 
-  return menuItem;
+  result.total = Math.round(result.total * 100) / 100;
+  return result;
 }
 
 /**
@@ -285,14 +570,19 @@ async function getMenuItemForMealWindow(kitchenId, mealWindow) {
  * @param {string} mealWindow - LUNCH or DINNER
  * @param {boolean} dryRun - If true, don't actually create orders
  * @param {string} cronRunId - Cron run identifier for log grouping
- * @returns {Promise<Object>} Result { success, orderId, orderNumber, skipped, error }
+ * @param {Object} options - Recovery attempts
+ * @param {number} options.attempt - Attempt number within the cron run (default 1)
+ * @param {string} options.trigger - BATCH, RETRY or CUSTOMER (default BATCH)
+ * @param {Array<ObjectId>} options.excludeKitchenIds - Kitchens not to order from
+ * @returns {Promise<Object>} Result { success, orderId, orderNumber, skipped, error, failureCategory, logId }
  */
 export async function processAutoOrder(
   subscription,
   date,
   mealWindow,
   dryRun = false,
-  cronRunId = null
+  cronRunId = null,
+  { attempt = 1, trigger = "BATCH", excludeKitchenIds = [] } = {}
 ) {
   const startTime = Date.now();
   const userId = subscription.userId;
@@ -300,15 +590,38 @@ export async function processAutoOrder(
   const processedDate = new Date(date);
   processedDate.setHours(0, 0, 0, 0);
 
+  let capacityReservation = null;
+  let redeemedVoucherIds = null;
+  let orderSaved = false;
+
   const logParams = {
     subscriptionId: subscription._id,
     userId,
     mealWindow,
     processedDate,
     cronRunId: cronRunId || generateCronRunId(mealWindow),
+    attempt,
+    trigger,
+    dryRun,
+    excludeKitchenIds,
     context,
   };
 
+  // Only the scheduled run tells the customer about failures; retries and
+  // customer-requested alternatives don't repeat it
+  const notifyFailure = (failureCategory, log = null, alternative = false) => {
+    if (trigger === "BATCH" && !dryRun) {
+      sendFailureNotification(userId, failureCategory, mealWindow, context, alternative && log ? log._id : null);
+    }
+  };
+  const failed = (failureCategory, error, log = null) => ({
+    success: false,
+    error,
+    failureCategory,
+    logId: log?._id || null,
+    alternativeAvailable: Boolean(context.alternativeOffered),
+  });
+
   try {
     // 1. Check if subscription is paused
     if (subscription.isPaused) {
@@ -320,7 +633,12 @@ export async function processAutoOrder(
           failureCategory: "SUBSCRIPTION_PAUSED",
           processingTimeMs: Date.now() - startTime,
         });
-        return { success: false, skipped: true, reason: "Subscription is paused" };
+        return {
+          success: false,
+          skipped: true,
+          reason: "Subscription is paused",
+          failureCategory: "SUBSCRIPTION_PAUSED",
+        };
       }
     }
 
@@ -333,7 +651,7 @@ export async function processAutoOrder(
         failureCategory: "SLOT_SKIPPED",
         processingTimeMs: Date.now() - startTime,
       });
-      return { success: false, skipped: true, reason: "Slot is skipped" };
+      return { success: false, skipped: true, reason: "Slot is skipped", failureCategory: "SLOT_SKIPPED" };
     }
 
     // 3. Check voucher availability
@@ -346,15 +664,15 @@ export async function processAutoOrder(
     context.vouchersAvailable = availableVouchers;
 
     if (availableVouchers < 1) {
-      await logAutoOrderResult({
+      const log = await logAutoOrderResult({
         ...logParams,
         status: "FAILED",
         reason: "No vouchers available",
         failureCategory: "NO_VOUCHERS",
         processingTimeMs: Date.now() - startTime,
       });
-      sendFailureNotification(userId, "NO_VOUCHERS", mealWindow, context);
-      return { success: false, error: "No vouchers available" };
+      notifyFailure("NO_VOUCHERS", log);
+      return failed("NO_VOUCHERS", "No vouchers available", log);
     }
 
     // 4. Get address and resolve zone from pincode
@@ -367,98 +685,183 @@ export async function processAutoOrder(
 
     if (addressError === "NO_ADDRESS") {
       const reason = addressErrorMessage || "No default address set for auto-ordering";
-      await logAutoOrderResult({
+      const log = await logAutoOrderResult({
         ...logParams,
         status: "FAILED",
         reason,
         failureCategory: "NO_ADDRESS",
         processingTimeMs: Date.now() - startTime,
       });
-      sendFailureNotification(userId, "NO_ADDRESS", mealWindow, context);
-      return { success: false, error: reason };
+      notifyFailure("NO_ADDRESS", log);
+      return failed("NO_ADDRESS", reason, log);
     }
 
     context.addressId = address._id;
     context.pincode = address.pincode;
 
     if (addressError === "NO_ZONE") {
-      await logAutoOrderResult({
+      const log = await logAutoOrderResult({
         ...logParams,
         status: "FAILED",
         reason: addressErrorMessage || `No serviceable zone found for pincode ${address.pincode}`,
         failureCategory: "NO_ZONE",
         processingTimeMs: Date.now() - startTime,
       });
-      sendFailureNotification(userId, "NO_ZONE", mealWindow, context);
-      return {
-        success: false,
-        error: `No zone found for pincode ${address.pincode}`,
-      };
+      notifyFailure("NO_ZONE", log);
+      return failed("NO_ZONE", `No zone found for pincode ${address.pincode}`, log);
     }
 
     context.zoneId = zone._id;
     context.zoneName = zone.name;
 
-    // 5. Find kitchen that serves this zone
-    const { kitchen, error: kitchenError } = await findKitchenForZone(
-      subscription,
-      zone._id
-    );
+    // No deliveries in the zone today (planned closure)
+    const zoneClosure = await findClosure({ zoneId: zone._id, mealWindow, date });
+    if (zoneClosure) {
+      return skipForClosure(zoneClosure, `Zone ${zone.name}`, logParams, startTime);
+    }
+
+    // 5. Find kitchen that serves this zone (falls back when the default is closed)
+    const {
+      kitchen,
+      error: kitchenError,
+      closed,
+      fallbackFrom,
+      fallbackReason,
+    } = await findKitchenForZone(subscription, zone._id, mealWindow, date, excludeKitchenIds);
+
+    // Kitchens closed today (planned closure)
+    if (kitchenError === "KITCHEN_CLOSED") {
+      context.kitchenId = closed.kitchen._id;
+      context.kitchenName = closed.kitchen.name;
+      return skipForClosure(closed.closure, `Kitchen ${closed.kitchen.name}`, logParams, startTime);
+    }
 
     if (kitchenError === "NO_KITCHEN") {
-      await logAutoOrderResult({
+      const log = await logAutoOrderResult({
         ...logParams,
         status: "FAILED",
         reason: `No active kitchen found serving zone ${zone.name} (${zone.pincode})`,
         failureCategory: "NO_KITCHEN",
         processingTimeMs: Date.now() - startTime,
       });
-      sendFailureNotification(userId, "NO_KITCHEN", mealWindow, context);
-      return { success: false, error: "No kitchen found serving address zone" };
+      notifyFailure("NO_KITCHEN", log);
+      return failed("NO_KITCHEN", "No kitchen found serving address zone", log);
     }
 
     context.kitchenId = kitchen._id;
     context.kitchenName = kitchen.name;
+    if (fallbackFrom) {
+      context.fallbackFromKitchenId = fallbackFrom._id;
+      context.fallbackReason = fallbackReason;
+      console.log(`> AutoOrder: ${fallbackReason}, using ${kitchen.name}`);
+    }
 
     // 6. Get menu item for the meal window
     console.log(`> AutoOrder step 6: Getting menu item for kitchen ${kitchen._id} and ${mealWindow}`);
-    const menuItem = await getMenuItemForMealWindow(kitchen._id, mealWindow);
+    const menuItem = await getMenuItemForMealWindow(kitchen._id, mealWindow, date);
     console.log(`> AutoOrder step 6: menuItem = ${menuItem ? menuItem.name : 'null'}`);
 
     if (!menuItem) {
-      await logAutoOrderResult({
+      const alternative = await hasAlternativeKitchen(logParams, kitchen._id, date);
+      const log = await logAutoOrderResult({
         ...logParams,
         status: "FAILED",
         reason: `No ${mealWindow} menu item available at kitchen ${kitchen.name}`,
         failureCategory: "NO_MENU_ITEM",
         processingTimeMs: Date.now() - startTime,
       });
-      sendFailureNotification(userId, "NO_MENU_ITEM", mealWindow, context);
-      return { success: false, error: "No menu item available" };
+      notifyFailure("NO_MENU_ITEM", log, alternative);
+      return failed("NO_MENU_ITEM", "No menu item available", log);
     }
 
     context.menuItemId = menuItem._id;
     context.menuItemName = menuItem.name;
 
-    // 7. Dry run - return what would be ordered
+    // 7. Apply meal preferences
+    const preferences = subscription.autoOrderPreferences || {};
+    let dietaryPreferences = null;
+
+    if (preferences.dietaryFilter !== false) {
+      const user = await User.findById(userId).select("dietaryPreferences");
+      dietaryPreferences = user?.dietaryPreferences || [];
+
+      const clash = getDietaryClash(menuItem, dietaryPreferences);
+      if (clash) {
+        const alternative = await hasAlternativeKitchen(logParams, kitchen._id, date);
+        const log = await logAutoOrderResult({
+          ...logParams,
+          status: "FAILED",
+          reason: `Dietary preferences: ${clash}`,
+          failureCategory: "DIETARY_MISMATCH",
+          processingTimeMs: Date.now() - startTime,
+        });
+        notifyFailure("DIETARY_MISMATCH", log, alternative);
+        return failed("DIETARY_MISMATCH", `Menu item clashes with dietary preferences: ${clash}`, log);
+      }
+    }
+
+    const preferenceNotes = [];
+
+    const preferredVariant = mealWindow === "LUNCH" ? preferences.lunchVariant : preferences.dinnerVariant;
+    const variant = pickVariant(menuItem, preferredVariant);
+    if (preferredVariant && !variant) {
+      preferenceNotes.push(`${preferredVariant} is not offered with ${menuItem.name}`);
+    }
+    context.variant = variant || undefined;
+
+    const standingAddons = await resolveStandingAddons(subscription, menuItem, mealWindow, dietaryPreferences);
+    preferenceNotes.push(...standingAddons.notes);
+
+    // 8. Dry run - return what would be ordered
     if (dryRun) {
       return {
         success: true,
         dryRun: true,
         kitchen: kitchen.name,
+        kitchenId: kitchen._id,
+        zoneId: zone._id,
         menuItem: menuItem.name,
+        variant,
+        addons: standingAddons.addons.map((a) => ({ name: a.name, quantity: a.quantity })),
+        addonsTotal: standingAddons.total,
+        preferenceNotes,
         address: address.addressLine1,
         zone: zone.name,
         pincode: address.pincode,
+        fallbackReason,
       };
     }
 
-    // 8. Get auto-order config for auto-accept setting
+    // 9. Get auto-order config for auto-accept setting
     const autoOrderConfig = getAutoOrderConfig();
     const autoAccept = autoOrderConfig.autoAcceptOrders !== false;
 
-    // 9. Redeem voucher (skip cutoff check for auto-orders)
-    console.log(`> AutoOrder step 9: Calling redeemVouchersWithTransaction with skipCutoffCheck: true`);
+    // 10. Take kitchen capacity (held seats belong to the kitchen's own subscribers)
+    const capacityResult = await reserveCapacity(kitchen, {
+      menuType: "MEAL_MENU",
+      mealWindow,
+      units: 1,
+      isAutoOrder: true,
+      useReserved: subscription.defaultKitchenId?.toString() === kitchen._id.toString(),
+      date,
+    });
+
+    if (!capacityResult.success) {
+      const alternative = await hasAlternativeKitchen(logParams, kitchen._id, date);
+      const log = await logAutoOrderResult({
+        ...logParams,
+        status: "FAILED",
+        reason: capacityResult.error,
+        failureCategory: "KITCHEN_SOLD_OUT",
+        processingTimeMs: Date.now() - startTime,
+      });
+      notifyFailure("KITCHEN_SOLD_OUT", log, alternative);
+      return failed("KITCHEN_SOLD_OUT", capacityResult.error, log);
+    }
+    capacityReservation = capacityResult.reservation;
+
+    // 11. Redeem voucher (skip cutoff check for auto-orders)
+    console.log(`> AutoOrder step 11: Calling redeemVouchersWithTransaction with skipCutoffCheck: true`);
     const voucherResult = await redeemVouchersWithTransaction(
       userId,
       1,
@@ -467,22 +870,57 @@ export async function processAutoOrder(
       kitchen._id,
       { skipCutoffCheck: true } // Auto-orders bypass cutoff check
     );
-    console.log(`> AutoOrder step 9: voucherResult =`, JSON.stringify(voucherResult));
+    console.log(`> AutoOrder step 11: voucherResult =`, JSON.stringify(voucherResult));
 
     if (!voucherResult.success) {
-      await logAutoOrderResult({
+      await releaseCapacity(capacityReservation);
+      const log = await logAutoOrderResult({
         ...logParams,
         status: "FAILED",
         reason: `Voucher redemption failed: ${voucherResult.error}`,
         failureCategory: "VOUCHER_REDEMPTION_FAILED",
         processingTimeMs: Date.now() - startTime,
       });
-      sendFailureNotification(userId, "VOUCHER_REDEMPTION_FAILED", mealWindow, context);
-      return { success: false, error: voucherResult.error };
+      notifyFailure("VOUCHER_REDEMPTION_FAILED", log);
+      return failed("VOUCHER_REDEMPTION_FAILED", voucherResult.error, log);
     }
+    redeemedVoucherIds = voucherResult.vouchers;
 
-    // 10. Create order with ACCEPTED status (auto-accept policy for voucher orders)
+    const orderId = new mongoose.Types.ObjectId();
     const orderNumber = Order.generateOrderNumber();
+
+    // 12. Charge standing add-ons to the wallet; without enough balance the
+    // meal is still ordered, just without add-ons
+    let addons = standingAddons.addons;
+    let addonsTotal = standingAddons.total;
+    let walletUsage = { amount: 0 };
+
+    if (addonsTotal > 0) {
+      const walletResult = await debitWallet({
+        userId,
+        amount: addonsTotal,
+        source: "ORDER_PAYMENT",
+        referenceType: "Order",
+        referenceId: orderId,
+        description: `Add-ons for auto-order ${orderNumber}`,
+        idempotencyKey: `order-payment:${orderId}`,
+      });
+
+      if (walletResult.success) {
+        walletUsage = { amount: walletResult.entry.amount, transactionId: walletResult.entry._id };
+      } else {
+        preferenceNotes.push(`Add-ons not added: ${walletResult.error}`);
+        addons = [];
+        addonsTotal = 0;
+      }
+    }
+
+    context.addonsCharged = addonsTotal;
+    if (preferenceNotes.length > 0) {
+      context.preferenceNotes = preferenceNotes;
+    }
+
+    // 13. Create order with ACCEPTED status (auto-accept policy for voucher orders)
     const initialStatus = autoAccept ? "ACCEPTED" : "PLACED";
 
     const statusTimeline = [
@@ -501,7 +939,10 @@ export async function processAutoOrder(
       });
     }
 
+    const mealPrice = menuItem.discountedPrice || menuItem.price;
+
     const order = new Order({
+      _id: orderId,
       orderNumber,
       userId,
       kitchenId: kitchen._id,
@@ -513,6 +954,7 @@ export async function processAutoOrder(
         landmark: address.landmark,
         locality: address.locality,
         city: address.city,
+        state: address.state,
         pincode: address.pincode,
         contactName: address.contactName,
         contactPhone: address.contactPhone,
@@ -525,13 +967,14 @@ export async function processAutoOrder(
           menuItemId: menuItem._id,
           name: menuItem.name,
           quantity: 1,
-          unitPrice: menuItem.discountedPrice || menuItem.price,
-          totalPrice: menuItem.discountedPrice || menuItem.price,
+          unitPrice: mealPrice,
+          totalPrice: mealPrice,
           isMainCourse: menuItem.category === "MAIN_COURSE",
-          addons: [],
+          variant: variant || undefined,
+          addons,
         },
       ],
-      subtotal: menuItem.discountedPrice || menuItem.price,
+      subtotal: mealPrice + addonsTotal,
       charges: {
         deliveryFee: 0,
         serviceFee: 0,
@@ -540,15 +983,17 @@ export async function processAutoOrder(
         taxAmount: 0,
         taxBreakdown: [],
       },
-      grandTotal: 0, // Covered by voucher
+      grandTotal: addonsTotal, // Meal covered by voucher, add-ons by wallet
       voucherUsage: {
         voucherIds: voucherResult.vouchers,
         voucherCount: 1,
         mainCoursesCovered: 1,
       },
+      walletUsage,
+      capacityReservation: capacityReservation || undefined,
       amountPaid: 0,
       paymentStatus: "PAID",
-      paymentMethod: "VOUCHER_ONLY",
+      paymentMethod: walletUsage.amount > 0 ? "WALLET" : "VOUCHER_ONLY",
       status: initialStatus,
       statusTimeline,
       ...(autoAccept && { acceptedAt: new Date() }),
@@ -557,14 +1002,23 @@ export async function processAutoOrder(
       isAutoOrder: true,
     });
 
-    await order.save();
+    try {
+      await order.save();
+    } catch (saveError) {
+      if (walletUsage.amount > 0) {
+        await reverseOrderWalletUsage(order, "Auto-order could not be placed");
+      }
+      await releaseCapacity(capacityReservation);
+      throw saveError;
+    }
+    orderSaved = true;
 
     console.log(
       `> Auto-order created: ${orderNumber} for user ${userId} (status: ${initialStatus})`
     );
 
-    // 11. Log success
-    await logAutoOrderResult({
+    // 14. Log success
+    const successLog = await logAutoOrderResult({
       ...logParams,
       status: "SUCCESS",
       orderId: order._id,
@@ -573,14 +1027,28 @@ export async function processAutoOrder(
       processingTimeMs: Date.now() - startTime,
     });
 
-    // 12. Send notifications
+    // Earlier failed attempts in this run are now made up for
+    if (attempt > 1) {
+      await AutoOrderLog.updateMany(
+        {
+          cronRunId: logParams.cronRunId,
+          subscriptionId: subscription._id,
+          status: "FAILED",
+          recoveredAt: null,
+        },
+        { $set: { recoveredAt: new Date() } }
+      );
+    }
+
+    // 15. Send notifications
     // Customer notification using template
     const { title: customerTitle, body: customerBody } = buildFromTemplate(
-      AUTO_ORDER_TEMPLATES.SUCCESS,
+      fallbackFrom ? AUTO_ORDER_TEMPLATES.SUCCESS_FALLBACK : AUTO_ORDER_TEMPLATES.SUCCESS,
       {
         mealWindow: mealWindow.toLowerCase(),
         orderNumber: order.orderNumber,
         kitchenName: kitchen.name,
+        defaultKitchenName: fallbackFrom?.name || "",
       }
     );
     sendToUser(userId, "AUTO_ORDER_SUCCESS", customerTitle, customerBody, {
@@ -610,6 +1078,9 @@ export async function processAutoOrder(
       success: true,
       orderId: order._id,
       orderNumber: order.orderNumber,
+      kitchenId: kitchen._id,
+      kitchenName: kitchen.name,
+      logId: successLog?._id || null,
     };
   } catch (error) {
     console.error(
@@ -617,16 +1088,31 @@ export async function processAutoOrder(
       error
     );
 
-    await logAutoOrderResult({
+    // The voucher was redeemed but no order holds it: give it back
+    let vouchersRestored = true;
+    if (redeemedVoucherIds && !orderSaved) {
+      const restoreResult = await restoreVouchersForOrder(
+        redeemedVoucherIds,
+        "Auto-order cancelled before it was placed"
+      );
+      vouchersRestored = restoreResult.success;
+    }
+
+    const log = await logAutoOrderResult({
       ...logParams,
       status: "FAILED",
       reason: error.message,
       failureCategory: "UNKNOWN",
       processingTimeMs: Date.now() - startTime,
     });
-    sendFailureNotification(userId, "UNKNOWN", mealWindow, context);
 
-    return { success: false, error: error.message };
+    // A retry would spend another voucher while this one is still redeemed
+    if (!vouchersRestored && log) {
+      await AutoOrderLog.updateOne({ _id: log._id }, { $set: { recoveryClaimedAt: new Date() } });
+    }
+    notifyFailure("UNKNOWN", log);
+
+    return failed("UNKNOWN", error.message, log);
   }
 }
 
@@ -716,6 +1202,12 @@ export async function runAutoOrderBatch(mealWindow, dryRun = false) {
     }
   }
 
+  // Seats held for auto-orders that weren't used go back to customers
+  if (!dryRun) {
+    const released = await releaseAutoOrderReservations(mealWindow, today);
+    console.log(`> Auto-order capacity reservations released: ${released} kitchen slot(s)`);
+  }
+
   results.completedAt = new Date();
   const duration = (results.completedAt - results.startedAt) / 1000;
 
@@ -726,8 +1218,198 @@ export async function runAutoOrderBatch(mealWindow, dryRun = false) {
   return results;
 }
 
+/**
+ * Check whether a customer already has a meal order for today's window
+ * @param {ObjectId} userId - User ID
+ * @param {string} mealWindow - LUNCH or DINNER
+ * @param {Date} today - Start of today
+ * @returns {Promise<boolean>}
+ */
+async function hasMealOrderToday(userId, mealWindow, today) {
+  const order = await Order.exists({
+    userId,
+    menuType: "MEAL_MENU",
+    mealWindow,
+    placedAt: { $gte: today },
+    status: { $nin: ["CANCELLED", "REJECTED", "FAILED"] },
+  });
+  return Boolean(order);
+}
+
+/**
+ * Claim a failed attempt for recovery
+ * The retry pass and the customer's alternative order both act on the latest
+ * failed attempt; only the one that claims it may place an order.
+ * @param {ObjectId} logId - Failed AutoOrderLog
+ * @returns {Promise<boolean>} False if someone else already claimed it
+ */
+async function claimFailedAttempt(logId) {
+  const claimed = await AutoOrderLog.findOneAndUpdate(
+    { _id: logId, status: "FAILED", recoveryClaimedAt: null },
+    { $set: { recoveryClaimedAt: new Date() } },
+    { new: true }
+  );
+  return Boolean(claimed);
+}
+
+/**
+ * Retry today's transient auto-order failures for a meal window
+ * Looks at each subscription's latest attempt. FAILED ones in
+ * RETRYABLE_CATEGORIES are tried again under the same cronRunId until
+ * autoOrder.maxRetries is used up or the cutoff passes. Subscriptions that
+ * already have an order for the window are left alone.
+ *
+ * @param {string} mealWindow - LUNCH or DINNER
+ * @returns {Promise<Object>} { mealWindow, pastCutoff, retried, ordersCreated, skipped, failed }
+ */
+export async function retryFailedAutoOrders(mealWindow) {
+  const results = {
+    mealWindow,
+    pastCutoff: false,
+    retried: 0,
+    ordersCreated: 0,
+    skipped: 0,
+    failed: 0,
+  };
+
+  if (checkCutoffTime(mealWindow).isPastCutoff) {
+    results.pastCutoff = true;
+    return results;
+  }
+
+  const maxRetries = getAutoOrderConfig().maxRetries ?? 2;
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
+
+  const retryable = await AutoOrderLog.aggregate([
+    { $match: { mealWindow, processedDate: { $gte: today, $lt: tomorrow } } },
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: "$subscriptionId", log: { $first: "$$ROOT" } } },
+    { $replaceRoot: { newRoot: "$log" } },
+    {
+      $match: {
+        status: "FAILED",
+        failureCategory: { $in: RETRYABLE_CATEGORIES },
+        attempt: { $lte: maxRetries },
+        recoveryClaimedAt: null,
+      },
+    },
+  ]);
+
+  for (const log of retryable) {
+    // Stop once ordering closes mid-pass
+    if (checkCutoffTime(mealWindow).isPastCutoff) {
+      results.pastCutoff = true;
+      break;
+    }
+
+    const subscription = await Subscription.findById(log.subscriptionId);
+    if (!subscription || subscription.status !== "ACTIVE" || !subscription.autoOrderingEnabled) {
+      continue;
+    }
+    if (await hasMealOrderToday(log.userId, mealWindow, today)) {
+      continue;
+    }
+    if (!(await claimFailedAttempt(log._id))) {
+      continue;
+    }
+
+    results.retried++;
+    const result = await processAutoOrder(subscription, today, mealWindow, false, log.cronRunId, {
+      attempt: log.attempt + 1,
+      trigger: "RETRY",
+    });
+
+    if (result.success) {
+      results.ordersCreated++;
+    } else if (result.skipped) {
+      results.skipped++;
+    } else {
+      results.failed++;
+    }
+  }
+
+  if (results.retried > 0) {
+    console.log(
+      `> Auto-order retry: ${mealWindow} - ${results.retried} retried, ${results.ordersCreated} orders, ${results.failed} failed`
+    );
+  }
+
+  return results;
+}
+
+/**
+ * Retry transient failures for every meal window still before its cutoff
+ * @returns {Promise<Object>} { LUNCH, DINNER } results from retryFailedAutoOrders
+ */
+export async function retryAllFailedAutoOrders() {
+  return {
+    LUNCH: await retryFailedAutoOrders("LUNCH"),
+    DINNER: await retryFailedAutoOrders("DINNER"),
+  };
+}
+
+/**
+ * Place a failed auto-order from another kitchen at the customer's request
+ * Kitchens already tried in the cron run are left out. Logged under the
+ * failed attempt's cronRunId.
+ *
+ * @param {Object} log - Failed AutoOrderLog the customer answered
+ * @returns {Promise<Object>} processAutoOrder result, or { success: false, error }
+ */
+export async function orderFromAlternative(log) {
+  if (log.status !== "FAILED" || !ALTERNATIVE_CATEGORIES.includes(log.failureCategory)) {
+    return { success: false, error: "This auto-order can't be moved to another kitchen" };
+  }
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  if (new Date(log.processedDate).getTime() !== today.getTime()) {
+    return { success: false, error: "This auto-order was for an earlier day" };
+  }
+
+  const cutoff = checkCutoffTime(log.mealWindow);
+  if (cutoff.isPastCutoff) {
+    return { success: false, error: cutoff.message };
+  }
+
+  if (await hasMealOrderToday(log.userId, log.mealWindow, today)) {
+    return { success: false, error: `You already have a ${log.mealWindow.toLowerCase()} order today` };
+  }
+
+  const subscription = await Subscription.findById(log.subscriptionId);
+  if (!subscription || subscription.status !== "ACTIVE") {
+    return { success: false, error: "Subscription is not active" };
+  }
+
+  const attempts = await AutoOrderLog.find({
+    cronRunId: log.cronRunId,
+    subscriptionId: log.subscriptionId,
+  })
+    .select("attempt context.kitchenId")
+    .lean();
+
+  const excludeKitchenIds = attempts.map((a) => a.context?.kitchenId).filter(Boolean);
+  const latestAttempt = Math.max(...attempts.map((a) => a.attempt || 1));
+
+  // A later attempt (retry or earlier answer) already took this one up
+  if ((log.attempt || 1) < latestAttempt || !(await claimFailedAttempt(log._id))) {
+    return { success: false, error: "This auto-order is already being retried" };
+  }
+
+  return processAutoOrder(subscription, today, log.mealWindow, false, log.cronRunId, {
+    attempt: latestAttempt + 1,
+    trigger: "CUSTOMER",
+    excludeKitchenIds,
+  });
+}
+
 export default {
   processAutoOrder,
   getEligibleSubscriptions,
   runAutoOrderBatch,
+  retryFailedAutoOrders,
+  retryAllFailedAutoOrders,
+  orderFromAlternative,
 };
@@ -0,0 +1,362 @@
+import mongoose from "mongoose";
+import Campaign from "../schema/campaign.schema.js";
+import User from "../schema/user.schema.js";
+import Zone from "../schema/zone.schema.js";
+import CustomerAddress from "../schema/customerAddress.schema.js";
+import Subscription from "../schema/subscription.schema.js";
+import Voucher from "../schema/voucher.schema.js";
+import Order from "../schema/order.schema.js";
+import Notification from "../schema/notification.schema.js";
+import { sendToUserAndWait } from "./notification.service.js";
+
+/**
+ * Campaign Service
+ * Audience segmentation and scheduled sending of admin push campaigns
+ *
+ * Segment criteria are ANDed together. Zones and cities are one location
+ * criterion: a user matches if their default address is in any listed zone
+ * or in any zone of a listed city.
+ */
+
+const CAMPAIGN_NOTIFICATION_TYPE = "ADMIN_PUSH";
+const SEND_CHUNK_SIZE = 100;
+
+// A RUNNING campaign with no heartbeat for this long is picked up again
+const STALE_RUN_MINUTES = 10;
+
+/**
+ * Intersect user ID lists (null means "no restriction")
+ * @param {Array<Array<ObjectId>|null>} lists
+ * @returns {Array<string>|null}
+ */
+function intersectIds(lists) {
+  let result = null;
+  for (const list of lists) {
+    if (list === null) continue;
+    const ids = new Set(list.map((id) => id.toString()));
+    result = result === null ? ids : new Set([...result].filter((id) => ids.has(id)));
+  }
+  return result === null ? null : [...result];
+}
+
+/**
+ * Users whose default address is in the given zones/cities
+ */
+async function getLocationUserIds(zoneIds = [], cities = []) {
+  if (!zoneIds.length && !cities.length) return null;
+
+  const locationZoneIds = [...zoneIds];
+  if (cities.length) {
+    const cityZones = await Zone.find({
+      city: { $in: cities.map((city) => new RegExp(`^${escapeRegex(city)}$`, "i")) },
+    }).select("_id");
+    locationZoneIds.push(...cityZones.map((z) => z._id));
+  }
+
+  return CustomerAddress.distinct("userId", {
+    zoneId: { $in: locationZoneIds },
+    isDefault: true,
+    isDeleted: false,
+  });
+}
+
+/**
+ * Users with an active subscription and vouchers left
+ */
+function getActiveSubscriberIds(now) {
+  return Subscription.distinct("userId", {
+    status: "ACTIVE",
+    voucherExpiryDate: { $gt: now },
+    $expr: { $lt: ["$vouchersUsed", "$totalVouchersIssued"] },
+  });
+}
+
+/**
+ * Users with usable vouchers expiring within N days
+ */
+function getExpiringVoucherUserIds(days, now) {
+  return Voucher.distinct("userId", {
+    status: { $in: ["AVAILABLE", "RESTORED"] },
+    expiryDate: { $gt: now, $lte: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) },
+  });
+}
+
+/**
+ * Users who have ordered, but not in the last N days
+ */
+async function getLapsedUserIds(days, now) {
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const lapsed = await Order.aggregate([
+    { $group: { _id: "$userId", lastOrderAt: { $max: "$createdAt" } } },
+    { $match: { lastOrderAt: { $lt: cutoff } } },
+    { $project: { _id: 1 } },
+  ]);
+  return lapsed.map((entry) => entry._id);
+}
+
+/**
+ * Escape a string for use as a literal in a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build the User filter for a segment
+ * @param {Object} segment - Campaign segment
+ * @param {Date} now - Reference time for date-based criteria
+ * @returns {Promise<Object>} Mongo filter on users
+ */
+export async function buildAudienceFilter(segment = {}, now = new Date()) {
+  const {
+    role = "CUSTOMER",
+    zoneIds = [],
+    cities = [],
+    activeSubscribers,
+    vouchersExpiringWithinDays,
+    lapsedDays,
+    dietaryPreferences,
+  } = segment;
+
+  const idLists = await Promise.all([
+    getLocationUserIds(zoneIds, cities),
+    activeSubscribers ? getActiveSubscriberIds(now) : null,
+    vouchersExpiringWithinDays ? getExpiringVoucherUserIds(vouchersExpiringWithinDays, now) : null,
+    lapsedDays ? getLapsedUserIds(lapsedDays, now) : null,
+  ]);
+
+  const filter = { role, status: "ACTIVE" };
+
+  const userIds = intersectIds(idLists);
+  if (userIds !== null) {
+    filter._id = { $in: userIds.map((id) => new mongoose.Types.ObjectId(id)) };
+  }
+
+  if (dietaryPreferences?.length) {
+    filter.dietaryPreferences = { $in: dietaryPreferences };
+  }
+
+  return filter;
+}
+
+/**
+ * Count the audience for a segment
+ * @param {Object} segment - Campaign segment
+ * @returns {Promise<{matched: number, reachable: number}>} reachable = has a registered device
+ */
+export async function previewAudience(segment) {
+  const filter = await buildAudienceFilter(segment);
+  const [matched, reachable] = await Promise.all([
+    User.countDocuments(filter),
+    User.countDocuments({ ...filter, "fcmTokens.0": { $exists: true } }),
+  ]);
+  return { matched, reachable };
+}
+
+/**
+ * Delivery stats from the campaign's notification records
+ * @param {ObjectId} campaignId
+ * @returns {Promise<Object>} { delivered, failed, queued, cancelled, opened, openRate }
+ */
+export async function getCampaignStats(campaignId) {
+  const [stats] = await Notification.aggregate([
+    { $match: { campaignId: new mongoose.Types.ObjectId(campaignId) } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        delivered: { $sum: { $cond: [{ $in: ["$deliveryStatus", ["SENT", "PARTIAL"]] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ["$deliveryStatus", "FAILED"] }, 1, 0] } },
+        queued: { $sum: { $cond: [{ $eq: ["$deliveryStatus", "QUEUED"] }, 1, 0] } },
+        cancelled: { $sum: { $cond: [{ $eq: ["$deliveryStatus", "CANCELLED"] }, 1, 0] } },
+        opened: { $sum: { $cond: ["$isRead", 1, 0] } },
+      },
+    },
+  ]);
+
+  const result = {
+    total: stats?.total || 0,
+    delivered: stats?.delivered || 0,
+    failed: stats?.failed || 0,
+    queued: stats?.queued || 0,
+    cancelled: stats?.cancelled || 0,
+    opened: stats?.opened || 0,
+  };
+  result.openRate = result.delivered
+    ? Math.round((result.opened / result.delivered) * 10000) / 100
+    : 0;
+  return result;
+}
+
+/**
+ * Save send progress and refresh the heartbeat
+ * Only the runner holding the current claim can write; the update fails once
+ * another runner has taken the campaign over (or it was cancelled).
+ * @param {Object} campaign - Campaign document with the claim's runId
+ * @param {Object} [set] - Fields to set
+ * @param {Object} [inc] - Counters to increment
+ * @returns {Promise<boolean>} False if the claim was lost
+ */
+async function saveProgress(campaign, set = {}, inc = {}) {
+  const update = { $set: { ...set, heartbeatAt: new Date() } };
+  if (Object.keys(inc).length > 0) update.$inc = inc;
+
+  const result = await Campaign.updateOne(
+    { _id: campaign._id, status: "RUNNING", runId: campaign.runId },
+    update
+  );
+  return result.matchedCount > 0;
+}
+
+/**
+ * Send one campaign, resuming after lastProcessedUserId
+ * @param {Object} campaign - Claimed RUNNING campaign document
+ * @returns {Promise<Object|null>} Final counts, or null if the claim was lost
+ */
+async function runCampaign(campaign) {
+  const filter = await buildAudienceFilter(campaign.segment.toObject(), campaign.startedAt);
+
+  if (!campaign.lastProcessedUserId) {
+    const audienceCount = await User.countDocuments(filter);
+    if (!(await saveProgress(campaign, { audienceCount }))) return null;
+  }
+
+  const options = {
+    data: { ...(campaign.data || {}), campaignId: campaign._id.toString() },
+    campaignId: campaign._id,
+  };
+
+  let lastProcessedUserId = campaign.lastProcessedUserId;
+
+  while (true) {
+    const cursorFilter = lastProcessedUserId
+      ? { ...filter, _id: { ...(filter._id || {}), $gt: lastProcessedUserId } }
+      : filter;
+
+    const users = await User.find(cursorFilter)
+      .select("_id")
+      .sort({ _id: 1 })
+      .limit(SEND_CHUNK_SIZE)
+      .lean();
+
+    if (users.length === 0) break;
+
+    // A resumed run may have notified part of this chunk already
+    const alreadySent = await Notification.distinct("userId", {
+      campaignId: campaign._id,
+      userId: { $in: users.map((u) => u._id) },
+    });
+    const alreadySentIds = new Set(alreadySent.map((id) => id.toString()));
+
+    for (const user of users) {
+      if (alreadySentIds.has(user._id.toString())) continue;
+
+      let counter;
+      try {
+        const result = await sendToUserAndWait(
+          user._id,
+          CAMPAIGN_NOTIFICATION_TYPE,
+          campaign.title,
+          campaign.body,
+          options
+        );
+        if (result.sent) counter = "sentCount";
+        else if (result.queued) counter = "queuedCount";
+        else if (result.reason) counter = "skippedCount"; // no devices, opted out
+        else counter = "failedCount";
+      } catch (error) {
+        console.log(`> Campaign ${campaign._id} send error for user ${user._id}:`, error.message);
+        counter = "failedCount";
+      }
+
+      // Per-send heartbeat keeps slow providers from looking like a dead run
+      if (!(await saveProgress(campaign, {}, { [counter]: 1 }))) return null;
+    }
+
+    lastProcessedUserId = users[users.length - 1]._id;
+    const saved = await saveProgress(
+      campaign,
+      { lastProcessedUserId },
+      { processedCount: users.length }
+    );
+    if (!saved) return null;
+  }
+
+  if (!(await saveProgress(campaign, { status: "COMPLETED", completedAt: new Date() }))) {
+    return null;
+  }
+
+  const final = await Campaign.findById(campaign._id).lean();
+  return {
+    audience: final.audienceCount,
+    sent: final.sentCount,
+    queued: final.queuedCount,
+    skipped: final.skippedCount,
+    failed: final.failedCount,
+  };
+}
+
+/**
+ * Send every campaign that is due
+ * Run by the scheduler. Each campaign is claimed SCHEDULED -> RUNNING before
+ * sending; a RUNNING campaign whose heartbeat went stale is resumed. Each
+ * claim gets a new runId, so a stalled runner that wakes up stops sending.
+ *
+ * @returns {Promise<{due: number, completed: number, failed: number, results: Array}>}
+ */
+export async function runDueCampaigns() {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_RUN_MINUTES * 60 * 1000);
+  const summary = { due: 0, completed: 0, failed: 0, results: [] };
+
+  while (true) {
+    const campaign = await Campaign.findOneAndUpdate(
+      {
+        $or: [
+          { status: "SCHEDULED", scheduledAt: { $lte: now } },
+          { status: "RUNNING", heartbeatAt: { $lt: staleBefore } },
+        ],
+      },
+      { $set: { status: "RUNNING", heartbeatAt: now, runId: new mongoose.Types.ObjectId().toString() } },
+      { new: true, sort: { scheduledAt: 1 } }
+    );
+
+    if (!campaign) break;
+    summary.due++;
+
+    if (!campaign.startedAt) {
+      campaign.startedAt = now;
+      await Campaign.updateOne({ _id: campaign._id, runId: campaign.runId }, { $set: { startedAt: now } });
+    }
+
+    try {
+      console.log(`> Campaign ${campaign._id} (${campaign.name}) sending`);
+      const result = await runCampaign(campaign);
+      if (!result) {
+        console.log(`> Campaign ${campaign._id} was taken over by another run, stopping`);
+        continue;
+      }
+      summary.completed++;
+      summary.results.push({ campaignId: campaign._id, name: campaign.name, ...result });
+    } catch (error) {
+      console.log(`> Campaign ${campaign._id} failed:`, error.message);
+      await Campaign.updateOne(
+        { _id: campaign._id, status: "RUNNING", runId: campaign.runId },
+        { $set: { status: "FAILED", error: error.message, completedAt: new Date() } }
+      );
+      summary.failed++;
+      summary.results.push({ campaignId: campaign._id, name: campaign.name, error: error.message });
+    }
+  }
+
+  return summary;
+}
+
+export default {
+  buildAudienceFilter,
+  previewAudience,
+  getCampaignStats,
+  runDueCampaigns,
+};
@@ -0,0 +1,473 @@
+import Closure, { CLOSURE_WINDOWS } from "../schema/closure.schema.js";
+import Subscription from "../schema/subscription.schema.js";
+import Voucher from "../schema/voucher.schema.js";
+import Kitchen from "../schema/kitchen.schema.js";
+import Zone from "../schema/zone.schema.js";
+import CustomerAddress from "../schema/customerAddress.schema.js";
+import { sendToUser } from "./notification.service.js";
+import { CLOSURE_TEMPLATES, buildFromTemplate } from "./notification-templates.service.js";
+import { getServiceDate, formatServiceDate } from "./menu-calendar.service.js";
+
+/**
+ * Closure Service
+ * Planned kitchen and zone closures (holidays, maintenance, no-delivery days)
+ *
+ * - Orders, auto-orders, the home feed and serviceability checks treat a
+ *   closed meal window as unavailable for that kitchen or zone.
+ * - Subscribers affected by a closure starting within CLOSURE_NOTICE_DAYS
+ *   are notified and have their voucher expiry pushed back by the number of
+ *   closed days. Each subscription is handled once per closure, so the
+ *   daily job also picks up customers who subscribe after the closure was
+ *   announced.
+ *
+ * Closure dates are IST service days, stored as UTC midnight.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOTICE_BATCH_SIZE = 200;
+
+export const CLOSURE_NOTICE_DAYS = 7;
+export const MAX_CLOSURE_DAYS = 31;
+
+const WINDOW_LABELS = {
+  LUNCH: "lunch",
+  DINNER: "dinner",
+  ON_DEMAND: "on-demand orders",
+};
+
+/**
+ * Number of days a closure covers (inclusive)
+ * @param {Object} closure - { startDate, endDate }
+ * @returns {number}
+ */
+export function getClosureDays(closure) {
+  return Math.round((closure.endDate - closure.startDate) / DAY_MS) + 1;
+}
+
+/**
+ * Get active closures for kitchens and zones over a range of service days
+ * @param {Object} params
+ * @param {Array<ObjectId>} params.kitchenIds
+ * @param {Array<ObjectId>} params.zoneIds
+ * @param {Date} params.from - Any moment on the first day (default now)
+ * @param {number} params.days - Days in the range (default 1)
+ * @returns {Promise<Array>} Lean closures, earliest first
+ */
+export async function getClosures({ kitchenIds = [], zoneIds = [], from = new Date(), days = 1 }) {
+  const start = getServiceDate(from);
+  const end = new Date(start.getTime() + (days - 1) * DAY_MS);
+
+  const targets = [];
+  if (kitchenIds.length > 0) {
+    targets.push({ scope: "KITCHEN", kitchenId: { $in: kitchenIds } });
+  }
+  if (zoneIds.length > 0) {
+    targets.push({ scope: "ZONE", zoneId: { $in: zoneIds } });
+  }
+  if (targets.length === 0) {
+    return [];
+  }
+
+  return Closure.find({
+    status: "ACTIVE",
+    startDate: { $lte: end },
+    endDate: { $gte: start },
+    $or: targets,
+  })
+    .sort({ startDate: 1 })
+    .lean();
+}
+
+/**
+ * Whether a closure applies to a kitchen or zone on a date
+ * @param {Object} closure
+ * @param {Object} params - { kitchenId, zoneId, date }
+ * @returns {boolean}
+ */
+function appliesTo(closure, { kitchenId, zoneId, date }) {
+  const serviceDate = getServiceDate(date);
+  if (closure.startDate > serviceDate || closure.endDate < serviceDate) {
+    return false;
+  }
+  if (closure.scope === "ZONE") {
+    return Boolean(zoneId) && closure.zoneId.toString() === zoneId.toString();
+  }
+  return Boolean(kitchenId) && closure.kitchenId.toString() === kitchenId.toString();
+}
+
+/**
+ * Pick the closure covering a meal window from a list
+ * Zone closures win over kitchen closures.
+ *
+ * @param {Array} closures - From getClosures
+ * @param {Object} params
+ * @param {ObjectId} params.kitchenId
+ * @param {ObjectId} params.zoneId
+ * @param {string} params.mealWindow - LUNCH, DINNER or ON_DEMAND
+ * @param {Date} params.date - Any moment on the service day (default now)
+ * @returns {Object|null}
+ */
+export function findCoveringClosure(closures, { kitchenId, zoneId, mealWindow, date = new Date() }) {
+  const covering = closures.filter(
+    (closure) => closure.mealWindows.includes(mealWindow) && appliesTo(closure, { kitchenId, zoneId, date })
+  );
+  return covering.find((closure) => closure.scope === "ZONE") || covering[0] || null;
+}
+
+/**
+ * Get the meal windows closed for a kitchen (and its zone) on a day
+ * @param {Array} closures - From getClosures
+ * @param {Object} params - { kitchenId, zoneId, date }
+ * @returns {Array<string>} Closed windows
+ */
+export function getClosedWindows(closures, { kitchenId, zoneId, date = new Date() }) {
+  return CLOSURE_WINDOWS.filter((mealWindow) =>
+    findCoveringClosure(closures, { kitchenId, zoneId, mealWindow, date })
+  );
+}
+
+/**
+ * Split kitchens into those open today and those closed all day
+ * @param {Array} kitchens - Kitchen documents
+ * @param {ObjectId} zoneId - Zone being served
+ * @param {Object} options
+ * @param {number} options.days - Days of closures to load (default 1, today only)
+ * @returns {Promise<{openKitchens: Array, closures: Array}>} closures as from getClosures
+ */
+export async function getOpenKitchens(kitchens, zoneId, { days = 1 } = {}) {
+  const closures = await getClosures({
+    kitchenIds: kitchens.map((k) => k._id),
+    zoneIds: zoneId ? [zoneId] : [],
+    days,
+  });
+
+  const openKitchens = kitchens.filter(
+    (kitchen) => getClosedWindows(closures, { kitchenId: kitchen._id, zoneId }).length < CLOSURE_WINDOWS.length
+  );
+  return { openKitchens, closures };
+}
+
+/**
+ * Pick the closure to show when nothing is open today
+ * Zone closures first, then kitchen closures.
+ *
+ * @param {Array} closures - From getClosures
+ * @param {Date} date - Any moment on the service day (default now)
+ * @returns {Object|null}
+ */
+export function getTodaysClosure(closures, date = new Date()) {
+  const serviceDate = getServiceDate(date);
+  const today = closures.filter((c) => c.startDate <= serviceDate && c.endDate >= serviceDate);
+  return today.find((c) => c.scope === "ZONE") || today[0] || null;
+}
+
+/**
+ * Find the closure covering a kitchen or zone for a meal window
+ * @param {Object} params
+ * @param {ObjectId} params.kitchenId
+ * @param {ObjectId} params.zoneId
+ * @param {string} params.mealWindow - LUNCH, DINNER or ON_DEMAND
+ * @param {Date} params.date - Any moment on the service day (default now)
+ * @returns {Promise<Object|null>}
+ */
+export async function findClosure({ kitchenId, zoneId, mealWindow, date = new Date() }) {
+  const closures = await getClosures({
+    kitchenIds: kitchenId ? [kitchenId] : [],
+    zoneIds: zoneId ? [zoneId] : [],
+    from: date,
+  });
+  return findCoveringClosure(closures, { kitchenId, zoneId, mealWindow, date });
+}
+
+/**
+ * Customer-facing summary of a closure
+ * Kitchen names are not exposed to customers.
+ *
+ * @param {Object} closure
+ * @returns {Object}
+ */
+export function describeClosure(closure) {
+  return {
+    id: closure._id,
+    scope: closure.scope,
+    title: closure.title,
+    message: closure.message || null,
+    startDate: formatServiceDate(closure.startDate),
+    endDate: formatServiceDate(closure.endDate),
+    mealWindows: closure.mealWindows,
+    reopensOn: formatServiceDate(new Date(closure.endDate.getTime() + DAY_MS)),
+  };
+}
+
+/**
+ * Message shown to customers for a closure today
+ * @param {Object} closure
+ * @param {string} [mealWindow] - LUNCH, DINNER or ON_DEMAND; omit when closed all day
+ * @returns {string}
+ */
+export function getClosureMessage(closure, mealWindow = null) {
+  const label = WINDOW_LABELS[mealWindow];
+  // Only closures covering every window have a single reopening day
+  const reopensOn = CLOSURE_WINDOWS.every((w) => closure.mealWindows.includes(w))
+    ? formatServiceDate(new Date(closure.endDate.getTime() + DAY_MS))
+    : null;
+
+  if (closure.scope === "ZONE") {
+    const resume = reopensOn ? `. Deliveries resume on ${reopensOn}` : "";
+    return `No ${label ? `${label} ` : ""}deliveries in your area today (${closure.title})${resume}`;
+  }
+  const resume = reopensOn ? `. It reopens on ${reopensOn}` : "";
+  return `This kitchen is closed${label ? ` for ${label}` : ""} today (${closure.title})${resume}`;
+}
+
+/**
+ * Format closure dates for a notice, e.g. "on 1 Nov" or "from 1 Nov to 3 Nov"
+ * @param {Object} closure
+ * @returns {string}
+ */
+function formatClosureDates(closure) {
+  const format = (date) =>
+    date.toLocaleDateString("en-IN", { day: "numeric", month: "short", timeZone: "UTC" });
+
+  if (closure.startDate.getTime() === closure.endDate.getTime()) {
+    return `on ${format(closure.startDate)}`;
+  }
+  return `from ${format(closure.startDate)} to ${format(closure.endDate)}`;
+}
+
+/**
+ * Build the query for subscriptions a closure affects that haven't been told
+ * - Zone closure: default address in the zone
+ * - Kitchen closure: the kitchen is the default kitchen, or there is no
+ *   default kitchen and the default address is in a zone it serves
+ *
+ * @param {Object} closure
+ * @returns {Promise<Object|null>} Query, or null when no subscriber can be affected
+ */
+async function getAffectedSubscriptionQuery(closure) {
+  const mealTypes = closure.mealWindows.filter((w) => w !== "ON_DEMAND");
+  if (mealTypes.length === 0) {
+    return null;
+  }
+
+  const now = new Date();
+  const query = {
+    status: "ACTIVE",
+    // Vouchers that expire before the closure starts aren't affected
+    voucherExpiryDate: { $gt: closure.startDate > now ? closure.startDate : now },
+    $expr: { $lt: ["$vouchersUsed", "$totalVouchersIssued"] },
+    defaultMealType: { $in: [...mealTypes, "BOTH"] },
+    "closureNotices.closureId": { $ne: closure._id },
+  };
+
+  if (closure.scope === "ZONE") {
+    query.userId = {
+      $in: await CustomerAddress.distinct("userId", {
+        zoneId: closure.zoneId,
+        isDefault: true,
+        isDeleted: false,
+      }),
+    };
+    return query;
+  }
+
+  const kitchen = await Kitchen.findById(closure.kitchenId).select("zonesServed");
+  const zoneUserIds = kitchen?.zonesServed?.length
+    ? await CustomerAddress.distinct("userId", {
+        zoneId: { $in: kitchen.zonesServed },
+        isDefault: true,
+        isDeleted: false,
+      })
+    : [];
+
+  query.$or = [
+    { defaultKitchenId: closure.kitchenId },
+    { defaultKitchenId: null, userId: { $in: zoneUserIds } },
+  ];
+  return query;
+}
+
+/**
+ * Push back the expiry of a subscription's unused vouchers
+ * Vouchers the customer sent to someone else are left alone.
+ *
+ * @param {Object} subscription - { _id, userId }
+ * @param {number} days
+ * @returns {Promise<number>} Vouchers extended
+ */
+async function extendSubscriptionVouchers(subscription, days) {
+  const vouchers = await Voucher.find({
+    subscriptionId: subscription._id,
+    userId: subscription.userId,
+    status: { $in: ["AVAILABLE", "RESTORED"] },
+    expiryDate: { $gt: new Date() },
+  }).select("expiryDate");
+
+  if (vouchers.length === 0) {
+    return 0;
+  }
+
+  await Voucher.bulkWrite(
+    vouchers.map((voucher) => ({
+      updateOne: {
+        filter: { _id: voucher._id },
+        update: { $set: { expiryDate: new Date(voucher.expiryDate.getTime() + days * DAY_MS) } },
+      },
+    })),
+    { ordered: false }
+  );
+
+  return vouchers.length;
+}
+
+/**
+ * Tell affected subscribers about a closure and extend their vouchers
+ * Safe to run repeatedly: subscriptions already told are skipped.
+ *
+ * @param {Object} closure - Closure document
+ * @returns {Promise<{subscriptions: number, vouchersExtended: number}>}
+ */
+export async function sendClosureNotices(closure) {
+  const result = { subscriptions: 0, vouchersExtended: 0 };
+  if (closure.status !== "ACTIVE") {
+    return result;
+  }
+
+  const query = await getAffectedSubscriptionQuery(closure);
+  if (!query) {
+    return result;
+  }
+
+  const extendedDays = closure.extendVouchers ? getClosureDays(closure) : 0;
+  const zone = closure.scope === "ZONE" ? await Zone.findById(closure.zoneId).select("name") : null;
+  const template = closure.scope === "ZONE" ? CLOSURE_TEMPLATES.ZONE_CLOSED : CLOSURE_TEMPLATES.KITCHEN_CLOSED;
+  const windows = closure.mealWindows.map((w) => WINDOW_LABELS[w]).join(" or ");
+  const dates = formatClosureDates(closure);
+
+  let lastId = null;
+  while (true) {
+    const subscriptions = await Subscription.find(lastId ? { ...query, _id: { $gt: lastId } } : query)
+      .sort({ _id: 1 })
+      .limit(NOTICE_BATCH_SIZE)
+      .select("userId voucherExpiryDate");
+
+    if (subscriptions.length === 0) break;
+    lastId = subscriptions[subscriptions.length - 1]._id;
+
+    for (const subscription of subscriptions) {
+      const expiryDate = new Date(subscription.voucherExpiryDate.getTime() + extendedDays * DAY_MS);
+      const update = {
+        $push: { closureNotices: { closureId: closure._id, extendedDays, notifiedAt: new Date() } },
+      };
+      if (extendedDays > 0) {
+        update.$set = { voucherExpiryDate: expiryDate };
+      }
+
+      // Claim the subscription so concurrent runs don't extend it twice
+      const claimed = await Subscription.updateOne(
+        { _id: subscription._id, "closureNotices.closureId": { $ne: closure._id } },
+        update
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      if (extendedDays > 0) {
+        result.vouchersExtended += await extendSubscriptionVouchers(subscription, extendedDays);
+      }
+      result.subscriptions += 1;
+
+      const extension =
+        extendedDays > 0
+          ? `Your vouchers now expire ${extendedDays} day(s) later, on ${expiryDate.toLocaleDateString("en-IN", {
+              day: "numeric",
+              month: "short",
+              year: "numeric",
+              timeZone: "Asia/Kolkata",
+            })}.`
+          : "";
+      const { title, body, channels } = buildFromTemplate(template, {
+        title: closure.title,
+        windows,
+        dates,
+        zoneName: zone?.name || "your area",
+        extension,
+      });
+
+      sendToUser(subscription.userId, "SERVICE_CLOSURE", title, body, {
+        data: {
+          type: "SERVICE_CLOSURE",
+          closureId: closure._id.toString(),
+          startDate: formatServiceDate(closure.startDate),
+          endDate: formatServiceDate(closure.endDate),
+          extendedDays: String(extendedDays),
+        },
+        entityType: "SUBSCRIPTION",
+        entityId: subscription._id,
+        channels,
+      });
+    }
+  }
+
+  await Closure.updateOne(
+    { _id: closure._id },
+    {
+      $inc: {
+        "notices.subscribersNotified": result.subscriptions,
+        "notices.vouchersExtended": result.vouchersExtended,
+      },
+      $set: { "notices.lastRunAt": new Date() },
+    }
+  );
+
+  console.log(
+    `> Closure ${closure.title}: notified ${result.subscriptions} subscription(s), extended ${result.vouchersExtended} voucher(s)`
+  );
+  return result;
+}
+
+/**
+ * Send notices for every closure starting within CLOSURE_NOTICE_DAYS
+ * Run daily by the closureNotices job.
+ *
+ * @returns {Promise<Object>} { closures, subscriptions, vouchersExtended, errors }
+ */
+export async function runClosureNotices() {
+  const today = getServiceDate();
+  const horizon = new Date(today.getTime() + CLOSURE_NOTICE_DAYS * DAY_MS);
+
+  const closures = await Closure.find({
+    status: "ACTIVE",
+    startDate: { $lte: horizon },
+    endDate: { $gte: today },
+  });
+
+  const totals = { closures: closures.length, subscriptions: 0, vouchersExtended: 0, errors: 0 };
+
+  for (const closure of closures) {
+    try {
+      const result = await sendClosureNotices(closure);
+      totals.subscriptions += result.subscriptions;
+      totals.vouchersExtended += result.vouchersExtended;
+    } catch (error) {
+      totals.errors += 1;
+      console.log(`> Closure notice error for ${closure._id}:`, error.message);
+    }
+  }
+
+  return totals;
+}
+
+export default {
+  CLOSURE_NOTICE_DAYS,
+  MAX_CLOSURE_DAYS,
+  getClosureDays,
+  getClosures,
+  findCoveringClosure,
+  getClosedWindows,
+  getOpenKitchens,
+  getTodaysClosure,
+  findClosure,
+  describeClosure,
+  getClosureMessage,
+  sendClosureNotices,
+  runClosureNotices,
+};
@@ -33,11 +33,46 @@ let configCache = {
     dinnerCronTime: "19:00",
     enabled: true,
     autoAcceptOrders: true,
+    maxRetries: 2,
+  },
+  settlement: {
+    commissionRate: 0.15,
+    voucherMealRate: 70,
+  },
+  subscription: {
+    renewalReminderDays: 3,
+    renewalRetryIntervalHours: 24,
+    renewalGracePeriodDays: 3,
+  },
+  voucherTransfer: {
+    enabled: true,
+    maxVouchersPerTransfer: 5,
+    maxVouchersPerMonth: 10,
+    minValidityHours: 24,
   },
 };
 
 let cacheLoaded = false;
 
+// Listeners notified when a config key changes (e.g. scheduler re-reading cron times)
+const changeListeners = new Set();
+
+/**
+ * Notify listeners that a config key changed
+ * @param {string} key - Config key
+ * @param {any} value - New value
+ * @param {any} previousValue - Previous value
+ */
+function notifyConfigChange(key, value, previousValue) {
+  for (const listener of changeListeners) {
+    try {
+      listener(key, value, previousValue);
+    } catch (error) {
+      console.log(`> ConfigService: Change listener failed for ${key}:`, error.message);
+    }
+  }
+}
+
 /**
  * Initialize config cache from database
  * Should be called on server startup after DB connection
@@ -76,11 +111,44 @@ export function getConfig(key) {
  */
 export async function updateConfig(key, value, updatedBy) {
   const config = await SystemConfig.setValue(key, value, updatedBy);
+  const previousValue = configCache[key];
   configCache[key] = value;
   console.log(`> ConfigService: Updated ${key} config`);
+  notifyConfigChange(key, value, previousValue);
   return config;
 }
 
+/**
+ * Reload a config key from the database into the cache
+ * Picks up changes made through another app instance (each process has its own cache)
+ * @param {string} key - Config key
+ * @returns {Promise<boolean>} Whether the cached value changed
+ */
+export async function reloadConfig(key) {
+  const value = await SystemConfig.getValue(key);
+  if (value === null) return false;
+
+  const previousValue = configCache[key];
+  if (JSON.stringify(previousValue) === JSON.stringify(value)) {
+    return false;
+  }
+
+  configCache[key] = value;
+  console.log(`> ConfigService: Reloaded ${key} config from database`);
+  notifyConfigChange(key, value, previousValue);
+  return true;
+}
+
+/**
+ * Subscribe to config changes
+ * @param {Function} listener - Called with (key, value, previousValue)
+ * @returns {Function} Unsubscribe function
+ */
+export function onConfigChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
 /**
  * Get cutoff times configuration
  * @returns {Object} { LUNCH: "HH:mm", DINNER: "HH:mm" }
@@ -116,6 +184,8 @@ export function getFeesConfig() {
 
 /**
  * Get auto-order configuration
+ * maxRetries is how many times the recovery pass retries a failed auto-order
+ * before the cutoff.
  * @returns {Object} Auto-order config with cron timings and settings
  */
 export function getAutoOrderConfig() {
@@ -124,6 +194,43 @@ export function getAutoOrderConfig() {
     dinnerCronTime: "19:00",
     enabled: true,
     autoAcceptOrders: true,
+    maxRetries: 2,
+  };
+}
+
+/**
+ * Get partner kitchen settlement configuration
+ * @returns {Object} { commissionRate, voucherMealRate }
+ */
+export function getSettlementConfig() {
+  return configCache.settlement || {
+    commissionRate: 0.15,
+    voucherMealRate: 70,
+  };
+}
+
+/**
+ * Get subscription auto-renewal configuration
+ * @returns {Object} { renewalReminderDays, renewalRetryIntervalHours, renewalGracePeriodDays }
+ */
+export function getSubscriptionRenewalConfig() {
+  return configCache.subscription || {
+    renewalReminderDays: 3,
+    renewalRetryIntervalHours: 24,
+    renewalGracePeriodDays: 3,
+  };
+}
+
+/**
+ * Get voucher transfer limits
+ * @returns {Object} { enabled, maxVouchersPerTransfer, maxVouchersPerMonth, minValidityHours }
+ */
+export function getVoucherTransferConfig() {
+  return configCache.voucherTransfer || {
+    enabled: true,
+    maxVouchersPerTransfer: 5,
+    maxVouchersPerMonth: 10,
+    minValidityHours: 24,
   };
 }
 
@@ -375,10 +482,15 @@ export default {
   initializeConfigCache,
   getConfig,
   updateConfig,
+  reloadConfig,
+  onConfigChange,
   getCutoffTimes,
   getCancellationConfig,
   getFeesConfig,
   getAutoOrderConfig,
+  getSettlementConfig,
+  getSubscriptionRenewalConfig,
+  getVoucherTransferConfig,
   checkCutoffTime,
   getCurrentMealWindow,
   checkCancellationEligibility,
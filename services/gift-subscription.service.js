@@ -0,0 +1,293 @@
+import mongoose from "mongoose";
+import GiftSubscription from "../schema/giftSubscription.schema.js";
+import Subscription from "../schema/subscription.schema.js";
+import User from "../schema/user.schema.js";
+import { issueVouchers, getVoucherMealType } from "./voucher.service.js";
+import { processRefund } from "./payment.service.js";
+import { sendToUser } from "./notification.service.js";
+import { sendThroughChannel } from "./notification-channels.service.js";
+import { GIFT_TEMPLATES, buildFromTemplate } from "./notification-templates.service.js";
+
+/**
+ * Gift Subscription Service
+ * Subscriptions bought for someone else, addressed to a phone number
+ *
+ * Lifecycle:
+ * 1. The sender pays; a PENDING_CLAIM gift is created with the plan snapshot
+ *    and a reserved subscription ID.
+ * 2. If the phone already belongs to a customer, the gift is claimed at once.
+ *    Otherwise the recipient gets an SMS invite and the gift is claimed when
+ *    they register or sync with that phone.
+ * 3. Claiming creates the recipient's subscription and vouchers in one
+ *    transaction. Dates and voucher expiry follow the plan, counted from the
+ *    claim, and vouchers keep the plan's meal type.
+ *
+ * The sender can cancel an unclaimed gift for a full refund.
+ */
+
+/**
+ * Create a gift after the sender's payment is verified
+ *
+ * @param {Object} params
+ * @param {Object} params.sender - Sending user
+ * @param {Object} params.plan - SubscriptionPlan bought
+ * @param {string} params.recipientPhone - Normalized 10-digit phone
+ * @param {string} params.recipientName - Name the sender gave
+ * @param {string} params.message - Message to the recipient
+ * @param {Object} params.payment - { paymentId, paymentMethod }
+ * @returns {Promise<{gift: Object, claimed: boolean}>}
+ */
+export async function createGift({ sender, plan, recipientPhone, recipientName, message, payment }) {
+  const gift = await GiftSubscription.create({
+    giftNumber: GiftSubscription.generateGiftNumber(),
+    senderId: sender._id,
+    recipientPhone,
+    recipientName,
+    message,
+    planId: plan._id,
+    planSnapshot: {
+      name: plan.name,
+      durationDays: plan.durationDays,
+      vouchersPerDay: plan.vouchersPerDay,
+      totalVouchers: plan.totalVouchers,
+      voucherValidityDays: plan.voucherValidityDays,
+      mealTypes: plan.coverageRules?.mealTypes,
+      price: plan.price,
+    },
+    amountPaid: plan.price,
+    paymentId: payment.paymentId,
+    paymentMethod: payment.paymentMethod,
+    subscriptionId: new mongoose.Types.ObjectId(),
+  });
+
+  console.log(`> Gift created: ${gift.giftNumber} (${plan.name}) for ${recipientPhone}`);
+
+  const recipient = await User.findOne({
+    phone: recipientPhone,
+    role: "CUSTOMER",
+    status: "ACTIVE",
+  });
+
+  if (recipient) {
+    const result = await claimGift(gift, recipient);
+    if (result.success) {
+      return { gift: result.gift, claimed: true };
+    }
+  } else {
+    const invite = buildFromTemplate(GIFT_TEMPLATES.GIFT_INVITE, {
+      senderName: sender.name || "Someone",
+      planName: plan.name,
+    });
+    sendThroughChannel("SMS", { phone: recipientPhone, name: recipientName }, {
+      ...invite,
+      type: "GIFT_SUBSCRIPTION_RECEIVED",
+    }).catch((error) => console.log("> Gift invite SMS error:", error.message));
+  }
+
+  return { gift, claimed: false };
+}
+
+/**
+ * Claim a gift for its recipient
+ * Marks the gift CLAIMED and creates the subscription and vouchers in one
+ * transaction, so a gift is claimed exactly once.
+ *
+ * @param {Object} gift - PENDING_CLAIM GiftSubscription
+ * @param {Object} recipient - User whose phone matches the gift
+ * @returns {Promise<{success: boolean, gift?: Object, subscription?: Object, error?: string}>}
+ */
+export async function claimGift(gift, recipient) {
+  const snapshot = gift.planSnapshot;
+  const now = new Date();
+
+  const endDate = new Date(now);
+  endDate.setDate(endDate.getDate() + snapshot.durationDays);
+  const voucherExpiryDate = new Date(now);
+  voucherExpiryDate.setDate(voucherExpiryDate.getDate() + snapshot.voucherValidityDays);
+
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const claimed = await GiftSubscription.findOneAndUpdate(
+      { _id: gift._id, status: "PENDING_CLAIM", recipientPhone: recipient.phone },
+      { $set: { status: "CLAIMED", recipientId: recipient._id, claimedAt: now } },
+      { new: true, session }
+    );
+
+    if (!claimed) {
+      await session.abortTransaction();
+      return { success: false, error: "Gift can no longer be claimed" };
+    }
+
+    const [subscription] = await Subscription.create(
+      [
+        {
+          _id: gift.subscriptionId,
+          userId: recipient._id,
+          planId: gift.planId,
+          purchaseDate: gift.createdAt,
+          startDate: now,
+          endDate,
+          totalVouchersIssued: snapshot.totalVouchers,
+          voucherExpiryDate,
+          status: "ACTIVE",
+          amountPaid: gift.amountPaid,
+          // Refunds of a gifted subscription go back to the sender's payment
+          paymentId: gift.paymentId,
+          paymentMethod: gift.paymentMethod,
+          giftId: gift._id,
+          giftedBy: gift.senderId,
+        },
+      ],
+      { session }
+    );
+
+    await issueVouchers(recipient._id, subscription._id, snapshot.totalVouchers, voucherExpiryDate, {
+      session,
+      mealType: getVoucherMealType(snapshot),
+    });
+
+    await session.commitTransaction();
+
+    console.log(`> Gift claimed: ${gift.giftNumber} by ${recipient.phone}`);
+
+    notifyGiftClaimed(claimed, recipient);
+
+    return { success: true, gift: claimed, subscription };
+  } catch (error) {
+    await session.abortTransaction();
+    console.log(`> Gift claim failed for ${gift.giftNumber}: ${error.message}`);
+    return { success: false, error: error.message };
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Notify both sides once a gift is claimed
+ */
+async function notifyGiftClaimed(gift, recipient) {
+  try {
+    const sender = await User.findById(gift.senderId).select("name");
+    const planName = gift.planSnapshot.name;
+
+    const received = buildFromTemplate(GIFT_TEMPLATES.GIFT_RECEIVED, {
+      senderName: sender?.name || "Someone",
+      planName,
+      voucherCount: gift.planSnapshot.totalVouchers,
+    });
+    sendToUser(recipient._id, "GIFT_SUBSCRIPTION_RECEIVED", received.title, received.body, {
+      data: { giftId: gift._id.toString(), subscriptionId: gift.subscriptionId.toString() },
+      entityType: "SUBSCRIPTION",
+      entityId: gift.subscriptionId,
+      channels: received.channels,
+    });
+
+    const claimed = buildFromTemplate(GIFT_TEMPLATES.GIFT_CLAIMED, {
+      recipientName: recipient.name || gift.recipientName || gift.recipientPhone,
+      planName,
+    });
+    sendToUser(gift.senderId, "GIFT_SUBSCRIPTION_CLAIMED", claimed.title, claimed.body, {
+      data: { giftId: gift._id.toString() },
+      channels: claimed.channels,
+    });
+  } catch (error) {
+    console.log("> Gift claim notification error:", error.message);
+  }
+}
+
+/**
+ * Claim every pending gift addressed to a user's phone
+ * Called on registration and sync. Never throws: a failed claim stays
+ * pending and is retried on the next sync.
+ *
+ * @param {Object} user - Customer
+ * @returns {Promise<{claimed: number, subscriptionIds: Array}>}
+ */
+export async function claimPendingGifts(user) {
+  const result = { claimed: 0, subscriptionIds: [] };
+
+  if (!user?.phone || user.role !== "CUSTOMER" || user.status !== "ACTIVE") {
+    return result;
+  }
+
+  try {
+    const gifts = await GiftSubscription.find({
+      recipientPhone: user.phone,
+      status: "PENDING_CLAIM",
+    }).sort({ createdAt: 1 });
+
+    for (const gift of gifts) {
+      const claim = await claimGift(gift, user);
+      if (claim.success) {
+        result.claimed++;
+        result.subscriptionIds.push(claim.subscription._id);
+      }
+    }
+  } catch (error) {
+    console.log(`> Claim pending gifts error for ${user.phone}:`, error.message);
+  }
+
+  return result;
+}
+
+/**
+ * Cancel an unclaimed gift and refund the sender
+ *
+ * @param {ObjectId} giftId - Gift to cancel
+ * @param {ObjectId} senderId - Must be the gift's sender
+ * @param {string} reason - Cancellation reason
+ * @returns {Promise<{success: boolean, gift?: Object, refund?: Object, error?: string}>}
+ */
+export async function cancelGift(giftId, senderId, reason) {
+  const gift = await GiftSubscription.findOneAndUpdate(
+    { _id: giftId, senderId, status: "PENDING_CLAIM" },
+    {
+      $set: {
+        status: "CANCELLED",
+        cancelledAt: new Date(),
+        cancellationReason: reason || "Cancelled by sender",
+        refundAmount: 0,
+      },
+    },
+    { new: true }
+  );
+
+  if (!gift) {
+    return { success: false, error: "Only unclaimed gifts can be cancelled" };
+  }
+
+  if (!gift.paymentId?.startsWith("pay_") || gift.amountPaid <= 0) {
+    return { success: true, gift, refund: { amount: 0, success: true, error: null } };
+  }
+
+  gift.refundAmount = gift.amountPaid;
+
+  try {
+    const refund = await processRefund({
+      paymentId: gift.paymentId,
+      amount: gift.amountPaid,
+      reason: `Gift ${gift.giftNumber} cancelled`,
+    });
+    gift.refundStatus = refund.status === "processed" ? "PROCESSED" : "PENDING";
+    await gift.save();
+
+    return { success: true, gift, refund: { amount: gift.amountPaid, success: true, error: null } };
+  } catch (error) {
+    console.log(`> Gift refund failed for ${gift.giftNumber}:`, error.message);
+    gift.refundStatus = "FAILED";
+    gift.refundError = error.message;
+    await gift.save();
+
+    return { success: true, gift, refund: { amount: gift.amountPaid, success: false, error: error.message } };
+  }
+}
+
+export default {
+  createGift,
+  claimGift,
+  claimPendingGifts,
+  cancelGift,
+};
@@ -0,0 +1,265 @@
+import PDFDocument from "pdfkit";
+
+/**
+ * Invoice Document Service
+ * Renders tax invoices and credit notes as HTML or PDF
+ */
+
+const TITLES = {
+  INVOICE: "Tax Invoice",
+  CREDIT_NOTE: "Credit Note",
+};
+
+/**
+ * Format a rupee amount
+ * pdfkit's standard fonts have no rupee glyph, so both renderers use "Rs."
+ * @param {number} value - Amount
+ * @returns {string}
+ */
+function formatAmount(value) {
+  return `Rs. ${(value || 0).toFixed(2)}`;
+}
+
+/**
+ * Format a date as DD/MM/YYYY in IST
+ */
+function formatDate(date) {
+  return new Date(date).toLocaleDateString("en-IN", {
+    timeZone: "Asia/Kolkata",
+    day: "2-digit",
+    month: "2-digit",
+    year: "numeric",
+  });
+}
+
+/**
+ * Escape text for HTML output
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Summary rows shared by both renderers
+ * @param {Object} invoice - Invoice document
+ * @returns {Array<[string, number]>} Label and amount
+ */
+function getSummaryRows(invoice) {
+  const rows = [["Taxable value", invoice.taxableValue]];
+  if (invoice.nonTaxableValue) rows.push(["Non-taxable charges", invoice.nonTaxableValue]);
+
+  if (invoice.taxMode === "IGST") {
+    rows.push([`IGST @ ${invoice.taxRate}%`, invoice.igst]);
+  } else {
+    rows.push([`CGST @ ${invoice.taxRate / 2}%`, invoice.cgst]);
+    rows.push([`SGST @ ${invoice.taxRate / 2}%`, invoice.sgst]);
+  }
+
+  if (invoice.discount) rows.push(["Discount", -invoice.discount]);
+  rows.push([invoice.type === "CREDIT_NOTE" ? "Total credit" : "Total", invoice.grandTotal]);
+  return rows;
+}
+
+/**
+ * Party block lines (supplier or recipient)
+ */
+function getPartyLines(party) {
+  return [
+    party.name,
+    ...(party.addressLines || []),
+    party.state ? `State: ${party.state}${party.stateCode ? ` (${party.stateCode})` : ""}` : null,
+    party.gstin ? `GSTIN: ${party.gstin}` : null,
+    party.phone ? `Phone: ${party.phone}` : null,
+  ].filter(Boolean);
+}
+
+/**
+ * Header reference lines (number, date, place of supply)
+ */
+function getReferenceLines(invoice) {
+  const lines = [
+    `${TITLES[invoice.type]} No: ${invoice.invoiceNumber}`,
+    `Date: ${formatDate(invoice.issuedAt)}`,
+  ];
+  if (invoice.originalInvoiceNumber) {
+    lines.push(`Against invoice: ${invoice.originalInvoiceNumber}`);
+  }
+  if (invoice.placeOfSupply?.state) {
+    lines.push(
+      `Place of supply: ${invoice.placeOfSupply.state}${invoice.placeOfSupply.stateCode ? ` (${invoice.placeOfSupply.stateCode})` : ""}`
+    );
+  }
+  return lines;
+}
+
+/**
+ * Render an invoice as a standalone HTML page
+ * @param {Object} invoice - Invoice document
+ * @returns {string} HTML
+ */
+export function renderInvoiceHtml(invoice) {
+  const lineRows = invoice.lines
+    .map(
+      (line) => `
+      <tr>
+        <td>${escapeHtml(line.description)}${line.taxable ? "" : " *"}</td>
+        <td>${escapeHtml(line.sac || "")}</td>
+        <td class="num">${line.quantity ?? ""}</td>
+        <td class="num">${line.unitPrice !== undefined && line.unitPrice !== null ? formatAmount(line.unitPrice) : ""}</td>
+        <td class="num">${formatAmount(line.amount)}</td>
+      </tr>`
+    )
+    .join("");
+
+  const summaryRows = getSummaryRows(invoice)
+    .map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td class="num">${formatAmount(value)}</td></tr>`)
+    .join("");
+
+  const hasNonTaxable = invoice.lines.some((line) => !line.taxable);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${TITLES[invoice.type]} ${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 13px; color: #222; max-width: 800px; margin: 24px auto; }
+    h1 { font-size: 20px; margin-bottom: 4px; }
+    .parties { display: flex; justify-content: space-between; margin: 16px 0; }
+    .parties div { width: 48%; }
+    table { width: 100%; border-collapse: collapse; margin-top: 12px; }
+    th, td { border-bottom: 1px solid #ddd; padding: 6px; text-align: left; }
+    .num { text-align: right; }
+    .summary { width: 50%; margin-left: auto; }
+    .note { color: #666; font-size: 11px; margin-top: 16px; }
+  </style>
+</head>
+<body>
+  <h1>${TITLES[invoice.type]}</h1>
+  <div>${getReferenceLines(invoice).map(escapeHtml).join("<br>")}</div>
+  <div class="parties">
+    <div><strong>Supplier</strong><br>${getPartyLines(invoice.supplier).map(escapeHtml).join("<br>")}</div>
+    <div><strong>Billed to</strong><br>${getPartyLines(invoice.recipient).map(escapeHtml).join("<br>")}</div>
+  </div>
+  <table>
+    <thead>
+      <tr><th>Description</th><th>SAC</th><th class="num">Qty</th><th class="num">Rate</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${lineRows}
+    </tbody>
+  </table>
+  <table class="summary">
+    <tbody>${summaryRows}</tbody>
+  </table>
+  ${hasNonTaxable ? '<p class="note">* Not included in taxable value</p>' : ""}
+  <p class="note">This is a computer-generated document and does not require a signature.</p>
+</body>
+</html>`;
+}
+
+/**
+ * Stream an invoice as a PDF
+ * @param {Object} res - Express response (headers already set)
+ * @param {Object} invoice - Invoice document
+ */
+export function streamInvoicePdf(res, invoice) {
+  const doc = new PDFDocument({ size: "A4", margin: 40 });
+  doc.pipe(res);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  doc.font("Helvetica-Bold").fontSize(18).text(TITLES[invoice.type]);
+  doc.font("Helvetica").fontSize(10).moveDown(0.3);
+  for (const line of getReferenceLines(invoice)) doc.text(line);
+
+  // Parties side by side
+  doc.moveDown();
+  const partiesTop = doc.y;
+  const columnWidth = width / 2 - 10;
+  doc.font("Helvetica-Bold").text("Supplier", left, partiesTop, { width: columnWidth });
+  doc.font("Helvetica").text(getPartyLines(invoice.supplier).join("\n"), { width: columnWidth });
+  const supplierBottom = doc.y;
+  doc.font("Helvetica-Bold").text("Billed to", left + width / 2, partiesTop, { width: columnWidth });
+  doc.font("Helvetica").text(getPartyLines(invoice.recipient).join("\n"), { width: columnWidth });
+  doc.y = Math.max(supplierBottom, doc.y) + 15;
+
+  // Line items
+  const columns = [
+    { header: "Description", x: left, width: width * 0.44, align: "left" },
+    { header: "SAC", x: left + width * 0.44, width: width * 0.12, align: "left" },
+    { header: "Qty", x: left + width * 0.56, width: width * 0.1, align: "right" },
+    { header: "Rate", x: left + width * 0.66, width: width * 0.16, align: "right" },
+    { header: "Amount", x: left + width * 0.82, width: width * 0.18, align: "right" },
+  ];
+
+  const drawRow = (values, bold = false) => {
+    const top = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+    let bottom = top;
+    values.forEach((value, index) => {
+      const column = columns[index];
+      doc.text(value, column.x, top, { width: column.width, align: column.align });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.y = bottom + 4;
+  };
+
+  drawRow(columns.map((column) => column.header), true);
+  for (const line of invoice.lines) {
+    drawRow([
+      `${line.description}${line.taxable ? "" : " *"}`,
+      line.sac || "",
+      line.quantity !== undefined && line.quantity !== null ? String(line.quantity) : "",
+      line.unitPrice !== undefined && line.unitPrice !== null ? formatAmount(line.unitPrice) : "",
+      formatAmount(line.amount),
+    ]);
+  }
+
+  // Totals
+  doc.moveDown();
+  for (const [label, value] of getSummaryRows(invoice)) {
+    const top = doc.y;
+    doc.font(label.startsWith("Total") ? "Helvetica-Bold" : "Helvetica");
+    doc.text(label, left + width * 0.5, top, { width: width * 0.3 });
+    doc.text(formatAmount(value), left + width * 0.8, top, { width: width * 0.2, align: "right" });
+  }
+
+  doc.moveDown().font("Helvetica").fontSize(8).fillColor("#666");
+  if (invoice.lines.some((line) => !line.taxable)) {
+    doc.text("* Not included in taxable value", left);
+  }
+  doc.text("This is a computer-generated document and does not require a signature.", left);
+
+  doc.end();
+}
+
+/**
+ * Send an invoice in the requested format
+ * @param {Object} res - Express response
+ * @param {Object} invoice - Invoice document
+ * @param {string} format - pdf or html
+ */
+export function sendInvoiceDocument(res, invoice, format = "pdf") {
+  const filename = invoice.invoiceNumber.replace(/\//g, "-");
+
+  if (format === "html") {
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    return res.status(200).send(renderInvoiceHtml(invoice));
+  }
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename="${filename}.pdf"`);
+  res.status(200);
+  return streamInvoicePdf(res, invoice);
+}
+
+export default {
+  renderInvoiceHtml,
+  streamInvoicePdf,
+  sendInvoiceDocument,
+};
@@ -0,0 +1,517 @@
+import mongoose from "mongoose";
+import Invoice from "../schema/invoice.schema.js";
+import InvoiceSequence from "../schema/invoiceSequence.schema.js";
+import Order from "../schema/order.schema.js";
+import Kitchen from "../schema/kitchen.schema.js";
+import Subscription from "../schema/subscription.schema.js";
+import CustomerAddress from "../schema/customerAddress.schema.js";
+import User from "../schema/user.schema.js";
+import { getFeesConfig } from "./config.service.js";
+import {
+  RESTAURANT_SERVICE_SAC,
+  getStateCode,
+  getGstinStateCode,
+  getFinancialYear,
+  isIntraState,
+  splitTax,
+} from "../utils/gst.utils.js";
+
+/**
+ * Invoice Service
+ * Issues GST tax invoices for orders and subscription purchases, and
+ * credit notes when refunds complete
+ *
+ * Numbers run per series (document type + supplier GSTIN) and restart every
+ * financial year. A number is taken in the same transaction that saves the
+ * document, so numbers are never skipped. Invoices are issued on first
+ * request and are idempotent per order, subscription and refund.
+ */
+
+const DOCUMENT_PREFIXES = {
+  INVOICE: "INV",
+  CREDIT_NOTE: "CN",
+};
+
+// Orders that were never paid cannot be invoiced
+const UNBILLABLE_PAYMENT_STATUSES = ["PENDING", "FAILED"];
+
+/**
+ * Round to 2 decimals
+ */
+function roundAmount(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * Company (Tiffsy) supplier details from the environment
+ * Read on each call so the values follow dotenv loading order.
+ * @param {string} [state] - Supplying state, defaults to INVOICE_STATE
+ * @returns {Object} Party snapshot
+ */
+function getCompanySupplier(state = process.env.INVOICE_STATE || null) {
+  const gstin = process.env.INVOICE_GSTIN || null;
+  return {
+    name: process.env.INVOICE_LEGAL_NAME || "Tiffsy",
+    gstin,
+    addressLines: (process.env.INVOICE_ADDRESS || "")
+      .split("|")
+      .map((line) => line.trim())
+      .filter(Boolean),
+    state,
+    stateCode: getStateCode(state) || getGstinStateCode(gstin),
+    phone: process.env.INVOICE_PHONE || null,
+    email: process.env.INVOICE_EMAIL || null,
+  };
+}
+
+/**
+ * Supplier for an order
+ * Partner kitchens with a GSTIN bill in their own name; everything else
+ * is billed by the company from the kitchen's state.
+ * @param {Object} kitchen - Kitchen document
+ * @returns {Object} Party snapshot
+ */
+function getOrderSupplier(kitchen) {
+  const address = kitchen?.address || {};
+  if (kitchen?.type !== "PARTNER" || !kitchen.gstin) {
+    return getCompanySupplier(address.state || null);
+  }
+
+  return {
+    name: kitchen.legalName || kitchen.name,
+    gstin: kitchen.gstin,
+    addressLines: [
+      address.addressLine1,
+      address.addressLine2,
+      [address.locality, address.city].filter(Boolean).join(", "),
+      address.pincode,
+    ].filter(Boolean),
+    state: address.state || null,
+    stateCode: getStateCode(address.state) || getGstinStateCode(kitchen.gstin),
+    phone: kitchen.contactPhone || null,
+    email: kitchen.contactEmail || null,
+  };
+}
+
+/**
+ * Reason an invoice cannot pick between CGST/SGST and IGST
+ * @param {Object} supplier - Supplier party snapshot
+ * @returns {string}
+ */
+function getUnknownStateError(supplier) {
+  return supplier.stateCode
+    ? "Invoice needs a valid state on the delivery address"
+    : "Invoice needs a valid state for the supplier";
+}
+
+/**
+ * Customer party snapshot
+ * @param {Object} user - User document (name, phone, email)
+ * @param {Object} address - Address with addressLine1..pincode, state
+ * @returns {Object} Party snapshot
+ */
+function buildRecipient(user, address) {
+  return {
+    name: address?.contactName || user?.name || "Customer",
+    gstin: null,
+    addressLines: address
+      ? [
+          address.addressLine1,
+          address.addressLine2,
+          [address.locality, address.city].filter(Boolean).join(", "),
+          address.pincode,
+        ].filter(Boolean)
+      : [],
+    state: address?.state || null,
+    stateCode: getStateCode(address?.state),
+    phone: address?.contactPhone || user?.phone || null,
+    email: user?.email || null,
+  };
+}
+
+/**
+ * Format a document number, e.g. INV/26-27/00042 (GST allows 16 characters)
+ * @param {string} type - INVOICE or CREDIT_NOTE
+ * @param {string} financialYear - e.g. "2026-27"
+ * @param {number} sequenceNumber - Number within the series
+ * @returns {string}
+ */
+export function formatDocumentNumber(type, financialYear, sequenceNumber) {
+  const [startYear, endYear] = financialYear.split("-");
+  return `${DOCUMENT_PREFIXES[type]}/${startYear.slice(2)}-${endYear}/${String(sequenceNumber).padStart(5, "0")}`;
+}
+
+/**
+ * Number and save a document in one transaction
+ * Every document in a series bumps the same counter, so concurrent issues
+ * write-conflict; withTransaction retries them instead of failing.
+ * @param {Object} data - Invoice fields (without numbering)
+ * @returns {Promise<Object>} Saved invoice
+ */
+async function issueDocument(data) {
+  const issuedAt = new Date();
+  const financialYear = getFinancialYear(issuedAt);
+  const series = `${data.type}:${data.supplier.gstin || "UNREGISTERED"}`;
+
+  const session = await mongoose.startSession();
+
+  try {
+    let invoice;
+    await session.withTransaction(async () => {
+      const sequenceNumber = await InvoiceSequence.next(series, financialYear, session);
+      [invoice] = await Invoice.create(
+        [
+          {
+            ...data,
+            series,
+            financialYear,
+            sequenceNumber,
+            invoiceNumber: formatDocumentNumber(data.type, financialYear, sequenceNumber),
+            issuedAt,
+          },
+        ],
+        { session }
+      );
+    });
+
+    console.log(`> Invoice: Issued ${invoice.invoiceNumber}`);
+    return invoice;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Build invoice lines and amounts from an order's stored pricing
+ * Mirrors order pricing: voucher orders are taxed on add-ons and uncovered
+ * meals only, other orders on items + service + packaging fees. Delivery
+ * and handling fees are not part of the taxable value.
+ * @param {Object} order - Order document
+ * @returns {Object} Lines and amounts
+ */
+export function buildOrderLines(order) {
+  const charges = order.charges || {};
+  const hasVouchers = (order.voucherUsage?.voucherCount || 0) > 0;
+  const lines = [];
+
+  let mainCoursesTotal = 0;
+  let mainCoursesCount = 0;
+
+  for (const item of order.items || []) {
+    lines.push({
+      description: item.name,
+      sac: RESTAURANT_SERVICE_SAC,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      amount: roundAmount(item.totalPrice),
+      taxable: true,
+    });
+    if (item.isMainCourse) {
+      mainCoursesTotal += item.totalPrice;
+      mainCoursesCount += item.quantity;
+    }
+    for (const addon of item.addons || []) {
+      lines.push({
+        description: `${addon.name} (add-on)`,
+        sac: RESTAURANT_SERVICE_SAC,
+        quantity: addon.quantity,
+        unitPrice: addon.unitPrice,
+        amount: roundAmount(addon.totalPrice),
+        taxable: true,
+      });
+    }
+  }
+
+  let taxableValue;
+  if (hasVouchers) {
+    const covered = Math.min(order.voucherUsage.mainCoursesCovered || 0, mainCoursesCount);
+    const coveredValue = mainCoursesCount > 0 ? roundAmount((mainCoursesTotal / mainCoursesCount) * covered) : 0;
+    if (coveredValue > 0) {
+      lines.push({
+        description: `Meals covered by subscription vouchers (${covered})`,
+        quantity: covered,
+        amount: -coveredValue,
+        taxable: true,
+      });
+    }
+    taxableValue = roundAmount(order.subtotal - coveredValue);
+  } else {
+    taxableValue = roundAmount(order.subtotal + (charges.serviceFee || 0) + (charges.packagingFee || 0));
+  }
+
+  const feeLines = [
+    ["Service fee", charges.serviceFee, true],
+    ["Packaging charges", charges.packagingFee, true],
+    ["Delivery fee", charges.deliveryFee, false],
+    ["Handling fee", charges.handlingFee, false],
+  ];
+  for (const [description, amount, taxable] of feeLines) {
+    if (amount > 0) {
+      lines.push({ description, quantity: 1, amount: roundAmount(amount), taxable });
+    }
+  }
+
+  const nonTaxableValue = roundAmount((charges.deliveryFee || 0) + (charges.handlingFee || 0));
+  const discount = roundAmount(order.discount?.discountAmount || 0);
+  const totalTax = roundAmount(charges.taxAmount || 0);
+  const taxRate = charges.taxBreakdown?.[0]?.rate ?? getFeesConfig().taxRate * 100;
+
+  return {
+    lines,
+    taxRate,
+    taxableValue,
+    nonTaxableValue,
+    discount,
+    totalTax,
+    grandTotal: Math.max(0, roundAmount(taxableValue + nonTaxableValue + totalTax - discount)),
+  };
+}
+
+/**
+ * Get the tax invoice for an order, issuing it on first request
+ * @param {Object|string} orderOrId - Order document or ID
+ * @returns {Promise<{success: boolean, invoice: Object|null, error: string|null}>}
+ */
+export async function getOrCreateOrderInvoice(orderOrId) {
+  const order = orderOrId?._id ? orderOrId : await Order.findById(orderOrId);
+  if (!order) {
+    return { success: false, invoice: null, error: "Order not found" };
+  }
+
+  const existing = await Invoice.findForOrder(order._id);
+  if (existing) {
+    return { success: true, invoice: existing, error: null };
+  }
+
+  if (UNBILLABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    return { success: false, invoice: null, error: "Invoice is available once the order is paid" };
+  }
+
+  const [kitchen, user] = await Promise.all([
+    Kitchen.findById(order.kitchenId).lean(),
+    User.findById(order.userId).select("name phone email").lean(),
+  ]);
+
+  // Orders placed before the address snapshot carried the state
+  const address = { ...(order.deliveryAddress?.toObject?.() || order.deliveryAddress || {}) };
+  if (!address.state && order.deliveryAddressId) {
+    const saved = await CustomerAddress.findById(order.deliveryAddressId).select("state").lean();
+    address.state = saved?.state || null;
+  }
+
+  const supplier = getOrderSupplier(kitchen);
+  const recipient = buildRecipient(user, address);
+  const intraState = isIntraState(supplier.stateCode, recipient.stateCode);
+  if (intraState === null) {
+    return { success: false, invoice: null, error: getUnknownStateError(supplier) };
+  }
+  const amounts = buildOrderLines(order);
+
+  try {
+    const invoice = await issueDocument({
+      type: "INVOICE",
+      source: "ORDER",
+      orderId: order._id,
+      userId: order.userId,
+      kitchenId: order.kitchenId,
+      supplier,
+      recipient,
+      placeOfSupply: { state: recipient.state, stateCode: recipient.stateCode },
+      taxMode: intraState ? "CGST_SGST" : "IGST",
+      ...amounts,
+      ...splitTax(amounts.totalTax, intraState),
+    });
+    return { success: true, invoice, error: null };
+  } catch (error) {
+    // Another request issued it first
+    if (error.code === 11000) {
+      return { success: true, invoice: await Invoice.findForOrder(order._id), error: null };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the tax invoice for a subscription purchase, issuing it on first request
+ * Plan prices are GST-inclusive, so tax is carved out of the amount paid.
+ * @param {Object|string} subscriptionOrId - Subscription document or ID
+ * @returns {Promise<{success: boolean, invoice: Object|null, error: string|null}>}
+ */
+export async function getOrCreateSubscriptionInvoice(subscriptionOrId) {
+  const subscription = subscriptionOrId?._id
+    ? subscriptionOrId
+    : await Subscription.findById(subscriptionOrId);
+  if (!subscription) {
+    return { success: false, invoice: null, error: "Subscription not found" };
+  }
+
+  const existing = await Invoice.findForSubscription(subscription._id);
+  if (existing) {
+    return { success: true, invoice: existing, error: null };
+  }
+
+  if (!(subscription.amountPaid > 0)) {
+    return { success: false, invoice: null, error: "No invoice for a subscription without payment" };
+  }
+
+  const [user, address] = await Promise.all([
+    User.findById(subscription.userId).select("name phone email").lean(),
+    subscription.defaultAddressId
+      ? CustomerAddress.findById(subscription.defaultAddressId).lean()
+      : CustomerAddress.findOne({ userId: subscription.userId, isDefault: true }).lean(),
+  ]);
+
+  const supplier = getCompanySupplier();
+  const recipient = buildRecipient(user, address);
+  const intraState = isIntraState(supplier.stateCode, recipient.stateCode);
+  if (intraState === null) {
+    return { success: false, invoice: null, error: getUnknownStateError(supplier) };
+  }
+
+  const taxRate = getFeesConfig().taxRate * 100;
+  const grandTotal = roundAmount(subscription.amountPaid);
+  const taxableValue = roundAmount(grandTotal / (1 + taxRate / 100));
+  const totalTax = roundAmount(grandTotal - taxableValue);
+  const plan = subscription.planSnapshot || {};
+
+  try {
+    const invoice = await issueDocument({
+      type: "INVOICE",
+      source: "SUBSCRIPTION",
+      subscriptionId: subscription._id,
+      userId: subscription.userId,
+      supplier,
+      recipient,
+      placeOfSupply: { state: recipient.state, stateCode: recipient.stateCode },
+      taxMode: intraState ? "CGST_SGST" : "IGST",
+      lines: [
+        {
+          description: `${plan.name || "Meal subscription"} (${plan.totalVouchers || 0} meal vouchers)`,
+          sac: RESTAURANT_SERVICE_SAC,
+          quantity: 1,
+          unitPrice: taxableValue,
+          amount: taxableValue,
+          taxable: true,
+        },
+      ],
+      taxRate,
+      taxableValue,
+      totalTax,
+      grandTotal,
+      ...splitTax(totalTax, intraState),
+    });
+    return { success: true, invoice, error: null };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { success: true, invoice: await Invoice.findForSubscription(subscription._id), error: null };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Issue a credit note for a completed refund
+ * Reverses the original invoice in proportion to the refunded amount,
+ * capped at what has not been credited yet.
+ * @param {Object} refund - Refund document (status COMPLETED)
+ * @returns {Promise<{success: boolean, creditNote: Object|null, error: string|null}>}
+ */
+export async function createCreditNoteForRefund(refund) {
+  if (refund.status !== "COMPLETED") {
+    return { success: false, creditNote: null, error: "Refund is not completed" };
+  }
+
+  const existing = await Invoice.findOne({ refundId: refund._id, type: "CREDIT_NOTE" });
+  if (existing) {
+    return { success: true, creditNote: existing, error: null };
+  }
+
+  const { invoice: original, error } = await getOrCreateOrderInvoice(refund.orderId);
+  if (!original) {
+    return { success: false, creditNote: null, error };
+  }
+
+  const credited = await Invoice.aggregate([
+    { $match: { originalInvoiceId: original._id, type: "CREDIT_NOTE" } },
+    { $group: { _id: null, total: { $sum: "$grandTotal" } } },
+  ]);
+  const remaining = roundAmount(original.grandTotal - (credited[0]?.total || 0));
+  const amount = roundAmount(Math.min(refund.amount, remaining));
+
+  if (amount <= 0) {
+    return { success: false, creditNote: null, error: "Nothing left to credit on the original invoice" };
+  }
+
+  const ratio = amount / original.grandTotal;
+  const totalTax = roundAmount(original.totalTax * ratio);
+  const taxableValue = roundAmount(original.taxableValue * ratio);
+  const intraState = original.taxMode === "CGST_SGST";
+
+  try {
+    const creditNote = await issueDocument({
+      type: "CREDIT_NOTE",
+      source: "ORDER",
+      orderId: original.orderId,
+      userId: original.userId,
+      kitchenId: original.kitchenId,
+      refundId: refund._id,
+      originalInvoiceId: original._id,
+      originalInvoiceNumber: original.invoiceNumber,
+      reason: refund.reason,
+      supplier: original.supplier,
+      recipient: original.recipient,
+      placeOfSupply: original.placeOfSupply,
+      taxMode: original.taxMode,
+      lines: [
+        {
+          description: `Refund against invoice ${original.invoiceNumber}`,
+          sac: RESTAURANT_SERVICE_SAC,
+          quantity: 1,
+          unitPrice: taxableValue,
+          amount: taxableValue,
+          taxable: true,
+        },
+      ],
+      taxRate: original.taxRate,
+      taxableValue,
+      nonTaxableValue: roundAmount(amount - taxableValue - totalTax),
+      totalTax,
+      grandTotal: amount,
+      ...splitTax(totalTax, intraState),
+    });
+    return { success: true, creditNote, error: null };
+  } catch (issueError) {
+    if (issueError.code === 11000) {
+      const creditNote = await Invoice.findOne({ refundId: refund._id, type: "CREDIT_NOTE" });
+      return { success: true, creditNote, error: null };
+    }
+    throw issueError;
+  }
+}
+
+/**
+ * Issue a credit note without failing the refund flow
+ * @param {Object} refund - Refund document
+ * @returns {Promise<Object|null>} Credit note or null
+ */
+export async function safeCreateCreditNote(refund) {
+  try {
+    const result = await createCreditNoteForRefund(refund);
+    if (!result.success) {
+      console.log(`> Invoice: No credit note for refund ${refund._id}: ${result.error}`);
+    }
+    return result.creditNote;
+  } catch (error) {
+    console.log(`> Invoice: Credit note failed for refund ${refund._id}:`, error.message);
+    return null;
+  }
+}
+
+export default {
+  formatDocumentNumber,
+  buildOrderLines,
+  getOrCreateOrderInvoice,
+  getOrCreateSubscriptionInvoice,
+  createCreditNoteForRefund,
+  safeCreateCreditNote,
+};
@@ -0,0 +1,383 @@
+import KitchenCapacitySlot from "../schema/kitchenCapacitySlot.schema.js";
+import Kitchen from "../schema/kitchen.schema.js";
+import Subscription from "../schema/subscription.schema.js";
+import Order from "../schema/order.schema.js";
+import { getServiceDate } from "./menu-calendar.service.js";
+
+/**
+ * Kitchen Capacity Service
+ * Per-kitchen order limits, checked atomically when orders are placed
+ *
+ * - Meal menu: at most `lunchMaxMeals` / `dinnerMaxMeals` meals per service day
+ * - On-demand: at most `onDemandMaxPer15Min` orders per 15-minute bucket
+ *
+ * With `reserveForAutoOrders`, the first order of a meal window holds one
+ * seat per subscriber who auto-orders from the kitchen. Customers can't take
+ * those seats; auto-orders use them first. The auto-order run releases what
+ * is left once it finishes.
+ *
+ * Seats are returned when an order is cancelled, rejected or its payment fails.
+ */
+
+export const ON_DEMAND_BUCKET_MINUTES = 15;
+const BUCKET_MS = ON_DEMAND_BUCKET_MINUTES * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the configured limit for a slot type
+ * @param {Object} kitchen - Kitchen document
+ * @param {string} slotType - LUNCH, DINNER or ON_DEMAND
+ * @returns {number|null} Limit, or null when unlimited
+ */
+export function getCapacityLimit(kitchen, slotType) {
+  const capacity = kitchen?.capacity || {};
+  const limit = {
+    LUNCH: capacity.lunchMaxMeals,
+    DINNER: capacity.dinnerMaxMeals,
+    ON_DEMAND: capacity.onDemandMaxPer15Min,
+  }[slotType];
+
+  return limit === null || limit === undefined ? null : limit;
+}
+
+/**
+ * Get the start of the slot a moment falls in
+ * @param {string} slotType - LUNCH, DINNER or ON_DEMAND
+ * @param {Date} date - Moment of the order
+ * @returns {Date}
+ */
+function getSlotStart(slotType, date = new Date()) {
+  if (slotType === "ON_DEMAND") {
+    return new Date(Math.floor(date.getTime() / BUCKET_MS) * BUCKET_MS);
+  }
+  return getServiceDate(date);
+}
+
+/**
+ * Count subscribers who will auto-order a meal window from a kitchen
+ * @param {ObjectId} kitchenId
+ * @param {string} mealWindow - LUNCH or DINNER
+ * @param {Date} serviceDate - Service day
+ * @returns {Promise<number>}
+ */
+async function countAutoOrderSeats(kitchenId, mealWindow, serviceDate) {
+  const now = new Date();
+
+  return Subscription.countDocuments({
+    defaultKitchenId: kitchenId,
+    status: "ACTIVE",
+    autoOrderingEnabled: true,
+    defaultMealType: { $in: [mealWindow, "BOTH"] },
+    voucherExpiryDate: { $gt: now },
+    $expr: { $lt: ["$vouchersUsed", "$totalVouchersIssued"] },
+    $or: [{ isPaused: false }, { pausedUntil: { $ne: null, $lte: now } }],
+    skippedSlots: {
+      $not: {
+        $elemMatch: {
+          mealWindow,
+          date: { $gte: serviceDate, $lt: new Date(serviceDate.getTime() + DAY_MS) },
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Get a capacity slot, creating it on first use
+ * A new meal window slot holds the auto-order seats when the kitchen
+ * reserves them and the auto-order run hasn't happened yet.
+ *
+ * @param {Object} kitchen - Kitchen document
+ * @param {string} slotType - LUNCH, DINNER or ON_DEMAND
+ * @param {Date} date - Moment within the slot
+ * @returns {Promise<Object>} KitchenCapacitySlot document
+ */
+async function getOrCreateSlot(kitchen, slotType, date = new Date()) {
+  const slotStart = getSlotStart(slotType, date);
+  const filter = { kitchenId: kitchen._id, slotType, slotStart };
+
+  const existing = await KitchenCapacitySlot.findOne(filter);
+  if (existing) {
+    return existing;
+  }
+
+  let reserved = 0;
+  if (slotType !== "ON_DEMAND" && kitchen.capacity?.reserveForAutoOrders) {
+    reserved = await countAutoOrderSeats(kitchen._id, slotType, slotStart);
+  }
+
+  try {
+    return await KitchenCapacitySlot.findOneAndUpdate(
+      filter,
+      { $setOnInsert: { reserved } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Another order created it first
+    if (error.code === 11000) {
+      return KitchenCapacitySlot.findOne(filter);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Build the sold-out message for a slot
+ * @param {Object} kitchen
+ * @param {string} slotType
+ * @returns {string}
+ */
+function getSoldOutMessage(kitchen, slotType) {
+  if (slotType === "ON_DEMAND") {
+    return `${kitchen.name} is at capacity right now. Please try again in a few minutes.`;
+  }
+  return `${slotType === "LUNCH" ? "Lunch" : "Dinner"} is sold out at ${kitchen.name} today`;
+}
+
+/**
+ * Take capacity for an order
+ * Meal menu orders take one seat per meal; on-demand orders take one seat.
+ *
+ * @param {Object} kitchen - Kitchen document
+ * @param {Object} params
+ * @param {string} params.menuType - MEAL_MENU or ON_DEMAND_MENU
+ * @param {string} params.mealWindow - LUNCH or DINNER (meal menu)
+ * @param {number} params.units - Meals in the order (meal menu)
+ * @param {boolean} params.isAutoOrder - Auto-orders use reserved seats first
+ * @param {boolean} params.useReserved - Take a held seat (default isAutoOrder); off for
+ *   auto-orders moved from another kitchen, whose seats belong to this kitchen's subscribers
+ * @param {Date} params.date - Moment of the order (default now)
+ * @returns {Promise<{success: boolean, reservation: Object|null, soldOut?: boolean, remaining?: number, error?: string}>}
+ *   reservation is { slotId, units }, or null when the kitchen has no limit
+ */
+export async function reserveCapacity(
+  kitchen,
+  { menuType, mealWindow, units = 1, isAutoOrder = false, useReserved = isAutoOrder, date = new Date() }
+) {
+  const slotType = menuType === "MEAL_MENU" ? mealWindow : "ON_DEMAND";
+  const seats = menuType === "MEAL_MENU" ? units : 1;
+  const limit = getCapacityLimit(kitchen, slotType);
+
+  if (limit === null) {
+    return { success: true, reservation: null };
+  }
+
+  const slot = await getOrCreateSlot(kitchen, slotType, date);
+  const inc = { used: seats, ...(isAutoOrder && { autoOrders: seats }) };
+
+  let updated = null;
+
+  // Auto-orders take their held seats first
+  if (useReserved) {
+    updated = await KitchenCapacitySlot.findOneAndUpdate(
+      { _id: slot._id, reserved: { $gte: seats } },
+      { $inc: { ...inc, reserved: -seats } },
+      { new: true }
+    );
+  }
+
+  if (!updated) {
+    updated = await KitchenCapacitySlot.findOneAndUpdate(
+      {
+        _id: slot._id,
+        $expr: { $lte: [{ $add: ["$used", "$reserved", seats] }, limit] },
+      },
+      { $inc: inc },
+      { new: true }
+    );
+  }
+
+  if (!updated) {
+    const remaining = Math.max(limit - slot.used - slot.reserved, 0);
+    console.log(`> Capacity: ${kitchen.name} ${slotType} sold out (${slot.used}/${limit}, ${slot.reserved} reserved)`);
+    return {
+      success: false,
+      soldOut: true,
+      remaining,
+      error: getSoldOutMessage(kitchen, slotType),
+    };
+  }
+
+  return {
+    success: true,
+    reservation: { slotId: updated._id, units: seats },
+    remaining: Math.max(limit - updated.used - updated.reserved, 0),
+  };
+}
+
+/**
+ * Return capacity taken for an order that was never placed
+ * @param {Object|null} reservation - { slotId, units } from reserveCapacity
+ * @returns {Promise<void>}
+ */
+export async function releaseCapacity(reservation) {
+  if (!reservation?.slotId || !reservation.units) {
+    return;
+  }
+
+  await KitchenCapacitySlot.updateOne(
+    { _id: reservation.slotId, used: { $gte: reservation.units } },
+    { $inc: { used: -reservation.units } }
+  );
+}
+
+/**
+ * Return the capacity an order took
+ * Safe to call more than once per order.
+ *
+ * @param {Object} order - Order document (or lean object)
+ * @returns {Promise<void>}
+ */
+export async function releaseOrderCapacity(order) {
+  const reservation = order?.capacityReservation;
+  if (!reservation?.slotId || reservation.releasedAt) {
+    return;
+  }
+
+  try {
+    const releasedAt = new Date();
+    const claimed = await Order.updateOne(
+      { _id: order._id, "capacityReservation.releasedAt": null },
+      { $set: { "capacityReservation.releasedAt": releasedAt } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return;
+    }
+    reservation.releasedAt = releasedAt;
+
+    await releaseCapacity(reservation);
+  } catch (error) {
+    console.log(`> Capacity release error for order ${order.orderNumber}:`, error.message);
+  }
+}
+
+/**
+ * Release the seats auto-orders didn't use after a run
+ * Also marks reserving kitchens without a slot yet, so orders placed after
+ * the run don't hold seats again.
+ *
+ * @param {string} mealWindow - LUNCH or DINNER
+ * @param {Date} date - Day of the run
+ * @returns {Promise<number>} Slots released
+ */
+export async function releaseAutoOrderReservations(mealWindow, date = new Date()) {
+  const slotStart = getServiceDate(date);
+  const releasedAt = new Date();
+
+  const kitchens = await Kitchen.find({ "capacity.reserveForAutoOrders": true }).select("_id");
+  if (kitchens.length > 0) {
+    await KitchenCapacitySlot.bulkWrite(
+      kitchens.map((kitchen) => ({
+        updateOne: {
+          filter: { kitchenId: kitchen._id, slotType: mealWindow, slotStart },
+          update: { $setOnInsert: { reserved: 0, reservationReleasedAt: releasedAt } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  const result = await KitchenCapacitySlot.updateMany(
+    { slotType: mealWindow, slotStart, reservationReleasedAt: null },
+    { $set: { reserved: 0, reservationReleasedAt: releasedAt } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Read a kitchen's meal window usage for a service day without creating the slot
+ * Before the slot exists, reserved is the seats it would hold for auto-orders.
+ *
+ * @param {Object} kitchen - Kitchen document
+ * @param {string} mealWindow - LUNCH or DINNER
+ * @param {Date} date - Any moment on the service day (default now)
+ * @returns {Promise<{limit: number|null, used: number, reserved: number}>}
+ */
+export async function getSlotUsage(kitchen, mealWindow, date = new Date()) {
+  const limit = getCapacityLimit(kitchen, mealWindow);
+  if (limit === null) {
+    return { limit, used: 0, reserved: 0 };
+  }
+
+  const slotStart = getSlotStart(mealWindow, date);
+  const slot = await KitchenCapacitySlot.findOne({ kitchenId: kitchen._id, slotType: mealWindow, slotStart });
+  if (slot) {
+    return { limit, used: slot.used, reserved: slot.reserved };
+  }
+
+  const reserved = kitchen.capacity?.reserveForAutoOrders
+    ? await countAutoOrderSeats(kitchen._id, mealWindow, slotStart)
+    : 0;
+  return { limit, used: 0, reserved };
+}
+
+/**
+ * Get the meal seats a kitchen has left for a service day
+ * @param {Object} kitchen - Kitchen document
+ * @param {string} mealWindow - LUNCH or DINNER
+ * @param {Date} date - Any moment on the service day (default now)
+ * @returns {Promise<number|null>} Seats left, or null when unlimited
+ */
+export async function getRemainingCapacity(kitchen, mealWindow, date = new Date()) {
+  const { limit, used, reserved } = await getSlotUsage(kitchen, mealWindow, date);
+  return limit === null ? null : Math.max(limit - used - reserved, 0);
+}
+
+/**
+ * Get live capacity for a kitchen's dashboard
+ * @param {Object} kitchen - Kitchen document
+ * @returns {Promise<Object>} { lunch, dinner, onDemand, reserveForAutoOrders }
+ */
+export async function getKitchenCapacityStatus(kitchen) {
+  const now = new Date();
+
+  const describe = (slotType, slot) => {
+    const limit = getCapacityLimit(kitchen, slotType);
+    const used = slot?.used || 0;
+    const reserved = slot?.reserved || 0;
+    return {
+      limit,
+      used,
+      reserved,
+      autoOrders: slot?.autoOrders || 0,
+      remaining: limit === null ? null : Math.max(limit - used - reserved, 0),
+      soldOut: limit !== null && used + reserved >= limit,
+    };
+  };
+
+  const [lunch, dinner, onDemand] = await Promise.all([
+    getCapacityLimit(kitchen, "LUNCH") !== null ? getOrCreateSlot(kitchen, "LUNCH", now) : null,
+    getCapacityLimit(kitchen, "DINNER") !== null ? getOrCreateSlot(kitchen, "DINNER", now) : null,
+    KitchenCapacitySlot.findOne({
+      kitchenId: kitchen._id,
+      slotType: "ON_DEMAND",
+      slotStart: getSlotStart("ON_DEMAND", now),
+    }),
+  ]);
+
+  const bucketStart = getSlotStart("ON_DEMAND", now);
+
+  return {
+    lunch: describe("LUNCH", lunch),
+    dinner: describe("DINNER", dinner),
+    onDemand: {
+      ...describe("ON_DEMAND", onDemand),
+      bucketStart,
+      bucketEnd: new Date(bucketStart.getTime() + BUCKET_MS),
+    },
+    reserveForAutoOrders: Boolean(kitchen.capacity?.reserveForAutoOrders),
+  };
+}
+
+export default {
+  ON_DEMAND_BUCKET_MINUTES,
+  getCapacityLimit,
+  reserveCapacity,
+  releaseCapacity,
+  releaseOrderCapacity,
+  releaseAutoOrderReservations,
+  getSlotUsage,
+  getRemainingCapacity,
+  getKitchenCapacityStatus,
+};
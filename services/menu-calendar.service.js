@@ -0,0 +1,410 @@
+import MenuSchedule from "../schema/menuSchedule.schema.js";
+import MenuItem from "../schema/menuItem.schema.js";
+import Kitchen from "../schema/kitchen.schema.js";
+import Subscription from "../schema/subscription.schema.js";
+import { sendToUserIds } from "./notification.service.js";
+import { MENU_TEMPLATES, buildFromTemplate } from "./notification-templates.service.js";
+
+/**
+ * Menu Calendar Service
+ * Resolves which MEAL_MENU item a kitchen serves on a given date and window
+ *
+ * - Kitchens schedule items per date and meal window, up to
+ *   MAX_SCHEDULE_DAYS_AHEAD days ahead.
+ * - An unscheduled date, or one whose scheduled item has been deleted,
+ *   disabled or marked unavailable, serves the window's default item.
+ * - Subscribers of the kitchen are notified when the item served in the
+ *   coming CHANGE_NOTICE_DAYS days changes.
+ *
+ * Service days are IST calendar days, stored as UTC midnight.
+ */
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MAX_SCHEDULE_DAYS_AHEAD = 56;
+const CHANGE_NOTICE_DAYS = 7;
+
+const MEAL_WINDOWS = ["LUNCH", "DINNER"];
+
+/**
+ * Get the service day (IST) of a moment, as UTC midnight
+ * @param {Date} date - Any moment (default now)
+ * @returns {Date}
+ */
+export function getServiceDate(date = new Date()) {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  return new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate()));
+}
+
+/**
+ * Parse a "YYYY-MM-DD" service day
+ * @param {string} dateKey
+ * @returns {Date}
+ */
+export function parseServiceDate(dateKey) {
+  return new Date(`${dateKey}T00:00:00.000Z`);
+}
+
+/**
+ * Format a service day as "YYYY-MM-DD"
+ * @param {Date} serviceDate
+ * @returns {string}
+ */
+export function formatServiceDate(serviceDate) {
+  return serviceDate.toISOString().slice(0, 10);
+}
+
+// Oldest default first, so every caller picks the same default item
+const DEFAULT_ITEM_SORT = { displayOrder: 1, createdAt: 1 };
+
+/**
+ * Check a meal menu item can be served
+ * @param {Object} item - MenuItem
+ * @returns {boolean}
+ */
+function isServable(item) {
+  return Boolean(item) && item.status === "ACTIVE" && item.isAvailable === true;
+}
+
+/**
+ * Get the default (unscheduled) meal menu item for a window
+ * Only active, available items are served.
+ * @param {ObjectId} kitchenId
+ * @param {string} mealWindow - LUNCH or DINNER
+ * @param {Object} options
+ * @param {string|Object} options.populate - Populate passed to the query
+ * @returns {Promise<Object|null>}
+ */
+export function getDefaultMealMenuItem(kitchenId, mealWindow, { populate = null } = {}) {
+  const query = MenuItem.findOne({
+    kitchenId,
+    menuType: "MEAL_MENU",
+    mealWindow,
+    scheduledOnly: { $ne: true },
+    status: "ACTIVE",
+    isAvailable: true,
+  }).sort(DEFAULT_ITEM_SORT);
+  return populate ? query.populate(populate) : query;
+}
+
+/**
+ * Get the item scheduled for a date, if it can still be served
+ * A scheduled item that was deleted, disabled or marked unavailable is not.
+ * @param {ObjectId} kitchenId
+ * @param {string} mealWindow - LUNCH or DINNER
+ * @param {Date} date - Any moment on the service day
+ * @param {Object} options
+ * @param {string|Object} options.populate - Populate passed to the query
+ * @returns {Promise<Object|null>}
+ */
+export async function getScheduledMealMenuItem(kitchenId, mealWindow, date = new Date(), { populate = null } = {}) {
+  const entry = await MenuSchedule.findOne({
+    kitchenId,
+    date: getServiceDate(date),
+    mealWindow,
+  }).select("menuItemId");
+
+  if (!entry) return null;
+
+  const query = MenuItem.findOne({ _id: entry.menuItemId, status: "ACTIVE", isAvailable: true });
+  return populate ? query.populate(populate) : query;
+}
+
+/**
+ * Resolve the meal menu item served on a date
+ * The one rule used by the calendar, manual ordering and auto-ordering: the
+ * scheduled item if it can be served, otherwise the window's default item.
+ * @param {ObjectId} kitchenId
+ * @param {string} mealWindow - LUNCH or DINNER
+ * @param {Date} date - Any moment on the service day (default now)
+ * @param {Object} options - { populate }
+ * @returns {Promise<{menuItem: Object|null, source: string|null}>} source is SCHEDULED or DEFAULT
+ */
+export async function resolveMealMenuItem(kitchenId, mealWindow, date = new Date(), { populate = null } = {}) {
+  const scheduled = await getScheduledMealMenuItem(kitchenId, mealWindow, date, { populate });
+  if (scheduled) {
+    return { menuItem: scheduled, source: "SCHEDULED" };
+  }
+
+  const fallback = await getDefaultMealMenuItem(kitchenId, mealWindow, { populate });
+  return { menuItem: fallback, source: fallback ? "DEFAULT" : null };
+}
+
+/**
+ * Get a kitchen's menu calendar
+ *
+ * @param {ObjectId} kitchenId
+ * @param {Object} options
+ * @param {string} options.from - First day "YYYY-MM-DD" (default today)
+ * @param {number} options.days - Number of days (default 7)
+ * @param {boolean} options.includeUnavailable - Keep items marked unavailable (kitchen view)
+ * @returns {Promise<Array>} [{ date, lunch: { item, source, note }, dinner: {...} }]
+ */
+export async function getMenuCalendar(kitchenId, { from = null, days = 7, includeUnavailable = false } = {}) {
+  const start = from ? parseServiceDate(from) : getServiceDate();
+  const end = new Date(start.getTime() + days * DAY_MS);
+
+  const itemFields = "name description price discountedPrice dietaryType isJainFriendly spiceLevel thumbnailImage includes variants isAvailable status scheduledOnly";
+
+  const [entries, defaults] = await Promise.all([
+    MenuSchedule.find({
+      kitchenId,
+      date: { $gte: start, $lt: end },
+    }).populate("menuItemId", itemFields),
+    MenuItem.find({
+      kitchenId,
+      menuType: "MEAL_MENU",
+      scheduledOnly: { $ne: true },
+      status: "ACTIVE",
+    })
+      .select(`${itemFields} mealWindow`)
+      .sort(DEFAULT_ITEM_SORT),
+  ]);
+
+  // Same choice as resolveMealMenuItem; the kitchen view also keeps items
+  // marked unavailable so they can be switched back on
+  const canShow = (item) =>
+    isServable(item) || (includeUnavailable && item?.status === "ACTIVE");
+
+  const defaultByWindow = {};
+  for (const item of defaults) {
+    if (isServable(item) && !defaultByWindow[item.mealWindow]) defaultByWindow[item.mealWindow] = item;
+  }
+  if (includeUnavailable) {
+    for (const item of defaults) {
+      if (canShow(item) && !defaultByWindow[item.mealWindow]) defaultByWindow[item.mealWindow] = item;
+    }
+  }
+
+  const entryByKey = new Map();
+  for (const entry of entries) {
+    entryByKey.set(`${formatServiceDate(entry.date)}:${entry.mealWindow}`, entry);
+  }
+
+  const calendar = [];
+  for (let i = 0; i < days; i++) {
+    const dateKey = formatServiceDate(new Date(start.getTime() + i * DAY_MS));
+    const day = { date: dateKey };
+
+    for (const mealWindow of MEAL_WINDOWS) {
+      const entry = entryByKey.get(`${dateKey}:${mealWindow}`);
+      const scheduled = entry && canShow(entry.menuItemId) ? entry.menuItemId : null;
+      const item = scheduled || defaultByWindow[mealWindow] || null;
+
+      day[mealWindow.toLowerCase()] = {
+        item,
+        source: scheduled ? "SCHEDULED" : item ? "DEFAULT" : null,
+        note: scheduled ? entry.note || null : null,
+      };
+    }
+
+    calendar.push(day);
+  }
+
+  return calendar;
+}
+
+/**
+ * Check a meal menu item is the one served on a date
+ * @param {Object} menuItem - MEAL_MENU item
+ * @param {Date} date - Any moment on the service day (default now)
+ * @returns {Promise<boolean>}
+ */
+export async function isServedOn(menuItem, date = new Date()) {
+  const { menuItem: served } = await resolveMealMenuItem(menuItem.kitchenId, menuItem.mealWindow, date);
+  return Boolean(served) && served._id.toString() === menuItem._id.toString();
+}
+
+/**
+ * Check a service day can be scheduled
+ * @param {Date} serviceDate
+ * @returns {string|null} Reason it can't, or null
+ */
+function getScheduleDateError(serviceDate) {
+  const today = getServiceDate();
+  if (serviceDate < today) {
+    return `${formatServiceDate(serviceDate)} is in the past`;
+  }
+  if (serviceDate.getTime() - today.getTime() > MAX_SCHEDULE_DAYS_AHEAD * DAY_MS) {
+    return `Dates can be scheduled up to ${MAX_SCHEDULE_DAYS_AHEAD} days ahead`;
+  }
+  return null;
+}
+
+/**
+ * Schedule menu items on the calendar
+ * Replaces any existing entry for the same date and window.
+ *
+ * @param {ObjectId} kitchenId
+ * @param {Array} entries - [{ date: "YYYY-MM-DD", mealWindow, menuItemId, note }]
+ * @param {ObjectId} userId - Who made the change
+ * @returns {Promise<{success: boolean, entries?: Array, changed?: number, error?: string}>}
+ */
+export async function setMenuSchedule(kitchenId, entries, userId) {
+  const itemIds = [...new Set(entries.map((e) => e.menuItemId.toString()))];
+  const items = await MenuItem.find({
+    _id: { $in: itemIds },
+    kitchenId,
+    menuType: "MEAL_MENU",
+    status: "ACTIVE",
+  }).select("name mealWindow");
+  const itemById = new Map(items.map((item) => [item._id.toString(), item]));
+
+  for (const entry of entries) {
+    const item = itemById.get(entry.menuItemId.toString());
+    if (!item) {
+      return { success: false, error: `Menu item ${entry.menuItemId} is not an active meal menu item of this kitchen` };
+    }
+    if (item.mealWindow !== entry.mealWindow) {
+      return { success: false, error: `${item.name} is a ${item.mealWindow} item and can't be scheduled for ${entry.mealWindow}` };
+    }
+    const dateError = getScheduleDateError(parseServiceDate(entry.date));
+    if (dateError) {
+      return { success: false, error: dateError };
+    }
+  }
+
+  const changes = [];
+  const saved = [];
+
+  for (const entry of entries) {
+    const date = parseServiceDate(entry.date);
+    const previous = await resolveMealMenuItem(kitchenId, entry.mealWindow, date);
+
+    const schedule = await MenuSchedule.findOneAndUpdate(
+      { kitchenId, date, mealWindow: entry.mealWindow },
+      {
+        $set: { menuItemId: entry.menuItemId, note: entry.note || null, updatedBy: userId },
+        $setOnInsert: { createdBy: userId },
+      },
+      { new: true, upsert: true }
+    );
+    saved.push(schedule);
+
+    if (previous.menuItem?._id.toString() !== entry.menuItemId.toString()) {
+      changes.push({ date, mealWindow: entry.mealWindow, item: itemById.get(entry.menuItemId.toString()) });
+    }
+  }
+
+  console.log(`> Menu calendar updated: kitchen ${kitchenId}, ${saved.length} entries, ${changes.length} changed`);
+
+  notifyScheduleChanges(kitchenId, changes).catch(() => {});
+
+  return { success: true, entries: saved, changed: changes.length };
+}
+
+/**
+ * Remove a calendar entry so the date serves the default item
+ *
+ * @param {ObjectId} kitchenId
+ * @param {string} dateKey - "YYYY-MM-DD"
+ * @param {string} mealWindow - LUNCH or DINNER
+ * @returns {Promise<{success: boolean, removed?: Object, error?: string}>}
+ */
+export async function clearMenuSchedule(kitchenId, dateKey, mealWindow) {
+  const date = parseServiceDate(dateKey);
+  const dateError = getScheduleDateError(date);
+  if (dateError) {
+    return { success: false, error: dateError };
+  }
+
+  const previous = await resolveMealMenuItem(kitchenId, mealWindow, date);
+  const removed = await MenuSchedule.findOneAndDelete({ kitchenId, date, mealWindow });
+
+  if (!removed) {
+    return { success: false, error: "Nothing is scheduled for this date and meal window" };
+  }
+
+  const fallback = await getDefaultMealMenuItem(kitchenId, mealWindow);
+  if (previous.menuItem?._id.toString() !== fallback?._id.toString()) {
+    notifyScheduleChanges(kitchenId, [{ date, mealWindow, item: fallback }]).catch(() => {});
+  }
+
+  return { success: true, removed };
+}
+
+/**
+ * Get customers subscribed to a kitchen
+ * Active subscriptions with vouchers remaining and this kitchen as default
+ * @param {ObjectId} kitchenId
+ * @returns {Promise<Array<string>>} Unique user IDs
+ */
+export async function getKitchenSubscriberIds(kitchenId) {
+  const subscriptions = await Subscription.find({
+    status: "ACTIVE",
+    voucherExpiryDate: { $gt: new Date() },
+    defaultKitchenId: kitchenId,
+    $expr: { $lt: ["$vouchersUsed", "$totalVouchersIssued"] },
+  }).select("userId");
+
+  return [...new Set(subscriptions.map((s) => s.userId.toString()))];
+}
+
+/**
+ * Tell subscribers about changes to the coming days' menu
+ * Changes further out than CHANGE_NOTICE_DAYS are left to the weekly view.
+ * @param {ObjectId} kitchenId
+ * @param {Array} changes - [{ date, mealWindow, item }]
+ */
+async function notifyScheduleChanges(kitchenId, changes) {
+  try {
+    const horizon = new Date(getServiceDate().getTime() + CHANGE_NOTICE_DAYS * DAY_MS);
+    const upcoming = changes.filter((c) => c.date < horizon);
+    if (upcoming.length === 0) return;
+
+    const userIds = await getKitchenSubscriberIds(kitchenId);
+    if (userIds.length === 0) return;
+
+    const kitchen = await Kitchen.findById(kitchenId).select("name");
+    const kitchenName = kitchen?.name || "Kitchen";
+
+    let notification;
+    if (upcoming.length === 1) {
+      const [change] = upcoming;
+      notification = buildFromTemplate(MENU_TEMPLATES.SCHEDULE_CHANGED, {
+        kitchenName,
+        mealWindow: change.mealWindow.toLowerCase(),
+        date: change.date.toLocaleDateString("en-IN", {
+          weekday: "short",
+          day: "numeric",
+          month: "short",
+          timeZone: "UTC",
+        }),
+        itemName: change.item?.name || "no meal",
+      });
+    } else {
+      notification = buildFromTemplate(MENU_TEMPLATES.SCHEDULE_CHANGED_MULTIPLE, {
+        kitchenName,
+        count: upcoming.length,
+      });
+    }
+
+    await sendToUserIds(userIds, "MENU_UPDATE", notification.title, notification.body, {
+      data: {
+        kitchenId: kitchenId.toString(),
+        type: "MENU_CALENDAR",
+        dates: [...new Set(upcoming.map((c) => formatServiceDate(c.date)))].join(","),
+      },
+    });
+
+    console.log("> Menu calendar change notification sent:", { kitchenId, changes: upcoming.length, userCount: userIds.length });
+  } catch (error) {
+    console.log("> Menu calendar notification error:", error.message);
+  }
+}
+
+export default {
+  MAX_SCHEDULE_DAYS_AHEAD,
+  getServiceDate,
+  parseServiceDate,
+  formatServiceDate,
+  getDefaultMealMenuItem,
+  getScheduledMealMenuItem,
+  resolveMealMenuItem,
+  getMenuCalendar,
+  isServedOn,
+  setMenuSchedule,
+  clearMenuSchedule,
+  getKitchenSubscriberIds,
+};
@@ -0,0 +1,123 @@
+/**
+ * Notification Channels Service - Channel provider registry
+ *
+ * Every channel provider in services/providers/ exposes:
+ *    - channel: "PUSH" | "SMS" | "EMAIL" | "WHATSAPP"
+ *    - providerName
+ *    - isConfigured() -> boolean
+ *    - getRecipient(user) -> string|null (null when the user can't be reached)
+ *    - send({ user, title, body, data, type }) -> [{ success, recipient, messageId, errorCode, ... }]
+ *
+ * Set NOTIFICATION_CHANNEL_MODE=console to route SMS, email and WhatsApp to
+ * the console/outbox stand-in (local development and testing).
+ */
+
+import fcmProvider from "./providers/fcm.provider.js";
+import smsProvider from "./providers/sms.provider.js";
+import emailProvider from "./providers/email.provider.js";
+import whatsappProvider from "./providers/whatsapp.provider.js";
+import consoleProvider from "./providers/console.provider.js";
+
+export const NOTIFICATION_CHANNEL_TYPES = ["PUSH", "SMS", "EMAIL", "WHATSAPP"];
+
+// Used when a notification doesn't declare channels
+export const DEFAULT_CHANNELS = ["PUSH"];
+
+const PROVIDERS = {
+  PUSH: fcmProvider,
+  SMS: smsProvider,
+  EMAIL: emailProvider,
+  WHATSAPP: whatsappProvider,
+};
+
+/**
+ * Whether non-push channels go to the console stand-in
+ * @returns {boolean}
+ */
+function isConsoleMode() {
+  return process.env.NOTIFICATION_CHANNEL_MODE === "console";
+}
+
+/**
+ * Get the active provider for a channel
+ * @param {string} channel - Channel type
+ * @returns {Object|null} Provider or null for unknown channels
+ */
+export function getChannelProvider(channel) {
+  const provider = PROVIDERS[channel];
+  if (!provider) return null;
+
+  if (channel !== "PUSH" && isConsoleMode()) {
+    return {
+      channel,
+      providerName: consoleProvider.providerName,
+      isConfigured: () => true,
+      getRecipient: provider.getRecipient,
+      send: (message) => consoleProvider.send(channel, provider.getRecipient(message.user), message),
+    };
+  }
+
+  return provider;
+}
+
+/**
+ * Mask a phone number or email for storage in delivery results
+ * @param {string} recipient - Phone or email
+ * @returns {string|null} e.g. ******3210, a***@gmail.com
+ */
+export function maskRecipient(recipient) {
+  if (!recipient) return null;
+  if (recipient.includes("@")) {
+    const [local, domain] = recipient.split("@");
+    return `${local.charAt(0)}***@${domain}`;
+  }
+  return recipient.length > 4 ? `${"*".repeat(recipient.length - 4)}${recipient.slice(-4)}` : recipient;
+}
+
+/**
+ * Send a message through one channel
+ * Never throws - unreachable users and unconfigured providers come back as
+ * a failed result so the caller can fall back to the next channel.
+ *
+ * @param {string} channel - Channel type
+ * @param {Object} user - User (fcmTokens, phone, email, name)
+ * @param {Object} message - { title, body, data, type }
+ * @returns {Promise<Array<Object>>} Results tagged with channel and provider
+ */
+export async function sendThroughChannel(channel, user, message) {
+  const provider = getChannelProvider(channel);
+  const sentAt = new Date();
+
+  const failed = (errorCode) => [{
+    channel,
+    provider: provider?.providerName || null,
+    success: false,
+    errorCode,
+    sentAt,
+  }];
+
+  if (!provider) return failed("UNKNOWN_CHANNEL");
+  if (!provider.isConfigured()) return failed("NOT_CONFIGURED");
+  if (!provider.getRecipient(user)) return failed("NO_RECIPIENT");
+
+  try {
+    const results = await provider.send({ user, ...message });
+    return results.map((result) => ({
+      ...result,
+      channel,
+      provider: provider.providerName,
+      sentAt,
+    }));
+  } catch (error) {
+    console.log(`> ${channel} channel send error:`, error.message);
+    return failed(error.code || error.message);
+  }
+}
+
+export default {
+  NOTIFICATION_CHANNEL_TYPES,
+  DEFAULT_CHANNELS,
+  getChannelProvider,
+  maskRecipient,
+  sendThroughChannel,
+};
@@ -0,0 +1,185 @@
+import CustomerAddress from "../schema/customerAddress.schema.js";
+import Zone from "../schema/zone.schema.js";
+
+/**
+ * Notification Preferences Service
+ * Decides whether a notification may be sent to a user now, later, or not at all
+ *
+ * - Categories: users can opt out of order status, voucher, menu/marketing
+ *   and auto-order notifications. Other types are operational and always sent.
+ * - Quiet hours: non-critical notifications are held until quiet hours end,
+ *   evaluated in the timezone of the user's default delivery zone.
+ */
+
+const DEFAULT_TIMEZONE = "Asia/Kolkata";
+
+// Preference key for each notification type
+export const NOTIFICATION_TYPE_CATEGORIES = {
+  ORDER_STATUS_CHANGE: "orderStatus",
+  ORDER_ACCEPTED: "orderStatus",
+  ORDER_REJECTED: "orderStatus",
+  ORDER_PREPARING: "orderStatus",
+  ORDER_READY: "orderStatus",
+  ORDER_PICKED_UP: "orderStatus",
+  ORDER_OUT_FOR_DELIVERY: "orderStatus",
+  ORDER_DELIVERED: "orderStatus",
+  ORDER_CANCELLED: "orderStatus",
+  ORDER_FAILED: "orderStatus",
+  ORDER_AMENDED: "orderStatus",
+  ORDER_REDELIVERY: "orderStatus",
+  ORDER_FAILURE_RESOLVED: "orderStatus",
+
+  VOUCHER_EXPIRY_REMINDER: "vouchers",
+  SUBSCRIPTION_EXPIRING: "vouchers",
+  SUBSCRIPTION_RENEWAL_REMINDER: "vouchers",
+
+  MENU_UPDATE: "menuMarketing",
+  PROMOTIONAL: "menuMarketing",
+  ADMIN_PUSH: "menuMarketing",
+
+  AUTO_ORDER_SUCCESS: "autoOrder",
+  AUTO_ORDER_FAILED: "autoOrder",
+};
+
+// Types that wait for quiet hours to end
+export const NON_CRITICAL_TYPES = [
+  "VOUCHER_EXPIRY_REMINDER",
+  "SUBSCRIPTION_EXPIRING",
+  "SUBSCRIPTION_RENEWAL_REMINDER",
+  "MENU_UPDATE",
+  "PROMOTIONAL",
+  "ADMIN_PUSH",
+  "SYSTEM_UPDATE",
+  "SERVICE_CLOSURE",
+];
+
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  orderStatus: true,
+  vouchers: true,
+  menuMarketing: true,
+  autoOrder: true,
+  quietHours: {
+    enabled: false,
+    start: "22:00",
+    end: "08:00",
+  },
+};
+
+/**
+ * Merge stored preferences over the defaults
+ * @param {Object} preferences - user.notificationPreferences (may be partial or missing)
+ * @returns {Object} Complete preferences
+ */
+export function resolvePreferences(preferences = {}) {
+  return {
+    ...DEFAULT_NOTIFICATION_PREFERENCES,
+    ...preferences,
+    quietHours: {
+      ...DEFAULT_NOTIFICATION_PREFERENCES.quietHours,
+      ...(preferences?.quietHours || {}),
+    },
+  };
+}
+
+/**
+ * Convert "HH:mm" to minutes since midnight
+ * @param {string} time - Time in HH:mm
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Minutes since local midnight in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Minutes
+ */
+function minutesInTimezone(date, timezone) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+
+  const hour = Number(parts.find((p) => p.type === "hour").value);
+  const minute = Number(parts.find((p) => p.type === "minute").value);
+  return hour * 60 + minute;
+}
+
+/**
+ * Get when quiet hours end, if they are in effect
+ * @param {Object} quietHours - { enabled, start, end }
+ * @param {string} timezone - IANA timezone
+ * @param {Date} now - Current time
+ * @returns {Date|null} End of the current quiet period, or null if not quiet
+ */
+export function getQuietHoursEnd(quietHours, timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  if (!quietHours?.enabled) return null;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return null;
+
+  const current = minutesInTimezone(now, timezone);
+  const inQuietHours = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+
+  if (!inQuietHours) return null;
+
+  const minutesUntilEnd = (end - current + 1440) % 1440;
+  const endsAt = new Date(now.getTime() + minutesUntilEnd * 60 * 1000);
+  endsAt.setUTCSeconds(0, 0);
+  return endsAt;
+}
+
+/**
+ * Timezone of the user's default delivery zone
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<string>} IANA timezone
+ */
+export async function getUserTimezone(userId) {
+  const address = await CustomerAddress.findDefaultByUser(userId).select("zoneId").lean();
+  if (!address?.zoneId) return DEFAULT_TIMEZONE;
+
+  const zone = await Zone.findById(address.zoneId).select("timezone").lean();
+  return zone?.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Check a notification against the user's preferences
+ * @param {Object} user - User (notificationPreferences)
+ * @param {string} type - Notification type
+ * @param {Date} now - Current time
+ * @returns {Promise<{allowed: boolean, reason: string|null, queueUntil: Date|null}>}
+ */
+export async function checkNotificationPreferences(user, type, now = new Date()) {
+  const preferences = resolvePreferences(user.notificationPreferences);
+
+  const category = NOTIFICATION_TYPE_CATEGORIES[type];
+  if (category && preferences[category] === false) {
+    return { allowed: false, reason: "opted_out", queueUntil: null };
+  }
+
+  if (!preferences.quietHours.enabled || !NON_CRITICAL_TYPES.includes(type)) {
+    return { allowed: true, reason: null, queueUntil: null };
+  }
+
+  const timezone = await getUserTimezone(user._id);
+  const queueUntil = getQuietHoursEnd(preferences.quietHours, timezone, now);
+  return { allowed: true, reason: queueUntil ? "quiet_hours" : null, queueUntil };
+}
+
+export default {
+  NOTIFICATION_TYPE_CATEGORIES,
+  NON_CRITICAL_TYPES,
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  resolvePreferences,
+  getQuietHoursEnd,
+  getUserTimezone,
+  checkNotificationPreferences,
+};
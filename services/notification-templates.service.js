@@ -4,8 +4,17 @@
  *
  * Template variables use {variableName} syntax
  * Call buildFromTemplate() to replace variables with actual values
+ *
+ * Each template declares its delivery channels in fallback order. The
+ * notification service tries them in turn and stops at the first that
+ * delivers, so put the cheapest channel first.
  */
 
+// Channel fallback orders
+const PUSH_ONLY = ["PUSH"];
+const PUSH_WHATSAPP_SMS = ["PUSH", "WHATSAPP", "SMS"];
+const PUSH_WHATSAPP_EMAIL = ["PUSH", "WHATSAPP", "EMAIL"];
+
 /**
  * Order status notification templates for customers
  */
@@ -13,38 +22,53 @@ export const ORDER_STATUS_TEMPLATES = {
   ACCEPTED: {
     title: "Order Confirmed!",
     body: "Your order #{orderNumber} has been accepted and is being prepared.",
+    channels: PUSH_ONLY,
   },
   PREPARING: {
     title: "Order Being Prepared",
     body: "Your order #{orderNumber} is now being prepared in the kitchen.",
+    channels: PUSH_ONLY,
   },
   READY: {
     title: "Order Ready!",
     body: "Your order #{orderNumber} is ready and will be picked up soon.",
+    channels: PUSH_ONLY,
   },
   PICKED_UP: {
     title: "Order Picked Up",
     body: "Your order #{orderNumber} has been picked up by the delivery partner.",
+    channels: PUSH_ONLY,
   },
   OUT_FOR_DELIVERY: {
     title: "On the Way!",
     body: "Your order #{orderNumber} is out for delivery. Get ready!",
+    channels: PUSH_ONLY,
   },
   DELIVERED: {
     title: "Order Delivered!",
     body: "Your order #{orderNumber} has been delivered. Enjoy your meal!",
+    channels: PUSH_ONLY,
   },
   CANCELLED: {
     title: "Order Cancelled",
     body: "Your order #{orderNumber} has been cancelled.{reason}",
+    channels: PUSH_WHATSAPP_SMS,
   },
   REJECTED: {
     title: "Order Could Not Be Processed",
     body: "Sorry, your order #{orderNumber} could not be fulfilled.{reason}",
+    channels: PUSH_WHATSAPP_SMS,
   },
   FAILED: {
     title: "Delivery Failed",
     body: "We couldn't deliver your order #{orderNumber}.{reason}",
+    channels: PUSH_WHATSAPP_SMS,
+  },
+  // Kitchen removed or substituted items (not a status change)
+  AMENDED: {
+    title: "Order #{orderNumber} Updated",
+    body: "The kitchen changed your order: {changes}.{outcome}",
+    channels: PUSH_WHATSAPP_SMS,
   },
 };
 
@@ -55,22 +79,27 @@ export const DRIVER_TEMPLATES = {
   BATCH_READY: {
     title: "New Batch Available!",
     body: "{orderCount} orders ready for pickup from {kitchenName}",
+    channels: PUSH_ONLY,
   },
   BATCH_ASSIGNED: {
     title: "Batch Assigned",
     body: "You have been assigned a batch with {orderCount} orders from {kitchenName}",
+    channels: PUSH_ONLY,
   },
   BATCH_CANCELLED: {
     title: "Batch Cancelled",
     body: "Batch #{batchNumber} has been cancelled.{reason}",
+    channels: PUSH_ONLY,
   },
   BATCH_UPDATED: {
     title: "Batch Updated",
     body: "Batch #{batchNumber} has been updated. Please review changes.",
+    channels: PUSH_ONLY,
   },
   ORDER_READY_FOR_PICKUP: {
     title: "Orders Ready!",
     body: "{orderCount} order(s) ready for pickup at {kitchenName}",
+    channels: PUSH_ONLY,
   },
 };
 
@@ -81,18 +110,27 @@ export const KITCHEN_TEMPLATES = {
   NEW_AUTO_ORDER: {
     title: "New Auto Order",
     body: "Auto order #{orderNumber} received for {mealWindow}",
+    channels: PUSH_ONLY,
   },
   NEW_MANUAL_ORDER: {
     title: "New Order Received!",
     body: "Order #{orderNumber} - {itemCount} item(s) for {mealWindow}",
+    channels: PUSH_ONLY,
   },
   NEW_AUTO_ACCEPTED_ORDER: {
     title: "Auto-Accepted Order #{orderNumber}",
     body: "Voucher order for {mealWindow} - {itemCount} item(s). Start preparation!",
+    channels: PUSH_ONLY,
   },
   BATCH_DISPATCHED: {
     title: "Batch Dispatched",
     body: "Batch with {orderCount} orders has been dispatched for delivery",
+    channels: PUSH_ONLY,
+  },
+  AUTO_ORDER_FORECAST: {
+    title: "Tomorrow's Auto Orders",
+    body: "Expect about {lunchCount} lunch and {dinnerCount} dinner auto-orders on {date}. Plan your procurement.",
+    channels: PUSH_ONLY,
   },
 };
 
@@ -103,18 +141,74 @@ export const VOUCHER_TEMPLATES = {
   EXPIRY_7_DAYS: {
     title: "Vouchers Expiring Soon!",
     body: "You have {count} voucher(s) expiring in 7 days. Use them before {expiryDate}!",
+    channels: PUSH_WHATSAPP_EMAIL,
   },
   EXPIRY_3_DAYS: {
     title: "Vouchers Expiring Soon!",
     body: "Hurry! {count} voucher(s) will expire in 3 days. Order now!",
+    channels: PUSH_WHATSAPP_EMAIL,
   },
   EXPIRY_1_DAY: {
     title: "Last Day for Vouchers!",
     body: "Your {count} voucher(s) expire tomorrow! Don't miss out!",
+    channels: PUSH_WHATSAPP_SMS,
   },
   EXPIRY_TODAY: {
     title: "Vouchers Expire Today!",
     body: "Your {count} voucher(s) expire today! Use them now before midnight!",
+    channels: PUSH_WHATSAPP_SMS,
+  },
+};
+
+/**
+ * Subscription auto-renewal notification templates
+ */
+export const SUBSCRIPTION_RENEWAL_TEMPLATES = {
+  REMINDER: {
+    title: "Subscription Renews Soon",
+    body: "Your {planName} subscription renews on {renewalDate}. Rs.{amount} will be charged to your saved {method}.",
+    channels: PUSH_WHATSAPP_EMAIL,
+  },
+  RENEWED: {
+    title: "Subscription Renewed!",
+    body: "Your {planName} subscription has been renewed. {voucherCount} new vouchers are ready to use.",
+    channels: PUSH_ONLY,
+  },
+  FAILED_RETRYING: {
+    title: "Renewal Payment Failed",
+    body: "We couldn't renew your {planName} subscription. We'll try again on {retryDate}. Please check your payment method.",
+    channels: PUSH_WHATSAPP_SMS,
+  },
+  FAILED_FINAL: {
+    title: "Subscription Not Renewed",
+    body: "We couldn't renew your {planName} subscription after several attempts. Renew from the app to keep your meals coming.",
+    channels: PUSH_WHATSAPP_SMS,
+  },
+};
+
+/**
+ * Gift subscription and voucher transfer notification templates
+ */
+export const GIFT_TEMPLATES = {
+  GIFT_RECEIVED: {
+    title: "You've Received a Gift!",
+    body: "{senderName} gifted you a {planName} subscription. {voucherCount} meal vouchers are ready to use.",
+    channels: PUSH_WHATSAPP_SMS,
+  },
+  GIFT_INVITE: {
+    title: "You've Received a Gift!",
+    body: "{senderName} gifted you a {planName} meal subscription on Tiffsy. Sign up with this number to claim it.",
+    channels: ["SMS"],
+  },
+  GIFT_CLAIMED: {
+    title: "Gift Claimed",
+    body: "{recipientName} has claimed the {planName} subscription you gifted.",
+    channels: PUSH_ONLY,
+  },
+  VOUCHERS_RECEIVED: {
+    title: "Vouchers Received",
+    body: "{senderName} sent you {count} meal voucher(s). Use them before {expiryDate}.",
+    channels: PUSH_WHATSAPP_SMS,
   },
 };
 
@@ -125,30 +219,52 @@ export const AUTO_ORDER_TEMPLATES = {
   SUCCESS: {
     title: "Auto Order Placed!",
     body: "Your {mealWindow} order #{orderNumber} has been automatically placed from {kitchenName}.",
+    channels: PUSH_ONLY,
+  },
+  SUCCESS_FALLBACK: {
+    title: "Auto Order Placed!",
+    body: "{defaultKitchenName} isn't taking orders today, so your {mealWindow} order #{orderNumber} has been placed from {kitchenName}.",
+    channels: PUSH_ONLY,
   },
   FAILED_NO_VOUCHERS: {
     title: "Auto Order Skipped",
     body: "Your {mealWindow} auto-order couldn't be placed - no vouchers available. Purchase more vouchers to continue auto-ordering.",
+    channels: PUSH_WHATSAPP_SMS,
   },
   FAILED_NO_ADDRESS: {
     title: "Auto Order Skipped",
     body: "Your {mealWindow} auto-order couldn't be placed - please set a default delivery address in your profile.",
+    channels: PUSH_WHATSAPP_SMS,
   },
   FAILED_NO_ZONE: {
     title: "Auto Order Skipped",
     body: "Your {mealWindow} auto-order couldn't be placed - your delivery area (pincode {pincode}) is not currently serviceable.",
+    channels: PUSH_WHATSAPP_SMS,
   },
   FAILED_NO_KITCHEN: {
     title: "Auto Order Skipped",
     body: "Your {mealWindow} auto-order couldn't be placed - no kitchen is currently serving your area.",
+    channels: PUSH_WHATSAPP_SMS,
   },
   FAILED_NO_MENU: {
     title: "Auto Order Skipped",
     body: "Your {mealWindow} auto-order couldn't be placed - no menu items available for this meal window.",
+    channels: PUSH_WHATSAPP_SMS,
+  },
+  FAILED_SOLD_OUT: {
+    title: "Auto Order Skipped",
+    body: "Your {mealWindow} auto-order couldn't be placed - the kitchen is sold out for this meal.",
+    channels: PUSH_WHATSAPP_SMS,
+  },
+  FAILED_DIETARY: {
+    title: "Auto Order Skipped",
+    body: "Your {mealWindow} auto-order was skipped - today's {itemName} doesn't match your dietary preferences.",
+    channels: PUSH_ONLY,
   },
   FAILED_GENERIC: {
     title: "Auto Order Failed",
     body: "Your {mealWindow} auto-order couldn't be placed. Please try ordering manually.",
+    channels: PUSH_WHATSAPP_SMS,
   },
 };
 
@@ -159,14 +275,101 @@ export const MENU_TEMPLATES = {
   MENU_UPDATED: {
     title: "Menu Updated!",
     body: "Today's menu has been updated at {kitchenName}. Check it out!",
+    channels: PUSH_ONLY,
   },
   NEW_ITEM_ADDED: {
     title: "New Item Available!",
     body: "{itemName} is now available at {kitchenName}",
+    channels: PUSH_ONLY,
   },
   CUSTOM_ANNOUNCEMENT: {
     title: "{title}",
     body: "{message}",
+    channels: PUSH_ONLY,
+  },
+  SCHEDULE_CHANGED: {
+    title: "Menu Changed",
+    body: "{kitchenName} changed the {mealWindow} menu for {date}: {itemName}.",
+    channels: PUSH_ONLY,
+  },
+  SCHEDULE_CHANGED_MULTIPLE: {
+    title: "This Week's Menu Changed",
+    body: "{kitchenName} updated {count} meals on this week's menu. Check what's coming up!",
+    channels: PUSH_ONLY,
+  },
+};
+
+/**
+ * Planned closure notices for subscribers
+ */
+export const CLOSURE_TEMPLATES = {
+  KITCHEN_CLOSED: {
+    title: "Kitchen Closed: {title}",
+    body: "Your kitchen is closed {dates} and won't serve {windows}. {extension}",
+    channels: PUSH_WHATSAPP_SMS,
+  },
+  ZONE_CLOSED: {
+    title: "No Deliveries: {title}",
+    body: "We won't deliver {windows} in {zoneName} {dates}. {extension}",
+    channels: PUSH_WHATSAPP_SMS,
+  },
+};
+
+/**
+ * Delivery issue claim templates
+ * NEW_CLAIM goes to kitchen staff; the others tell the customer the outcome.
+ */
+export const CLAIM_TEMPLATES = {
+  NEW_CLAIM: {
+    title: "Issue Reported: #{orderNumber}",
+    body: "A customer reported {category} on order #{orderNumber}. Please review claim {claimNumber}.",
+    channels: PUSH_ONLY,
+  },
+  REFUNDED: {
+    title: "Claim Resolved",
+    body: "We're sorry about order #{orderNumber}. Rs.{amount} is being refunded to your {destination}.",
+    channels: PUSH_WHATSAPP_SMS,
+  },
+  VOUCHERS_RESTORED: {
+    title: "Claim Resolved",
+    body: "We're sorry about order #{orderNumber}. {voucherCount} voucher(s) have been returned to your account.",
+    channels: PUSH_WHATSAPP_SMS,
+  },
+  REJECTED: {
+    title: "Claim Update",
+    body: "We couldn't approve your claim for order #{orderNumber}. {note}",
+    channels: PUSH_WHATSAPP_SMS,
+  },
+};
+
+/**
+ * Failed delivery templates (retry, redelivery, return and close-out)
+ */
+export const FAILED_DELIVERY_TEMPLATES = {
+  RETRYING: {
+    title: "Trying Again",
+    body: "Our delivery partner will try your order #{orderNumber} again after their next stops. Please keep your phone handy.",
+    channels: PUSH_WHATSAPP_SMS,
+  },
+  REDELIVERY_SCHEDULED: {
+    title: "Redelivery Scheduled",
+    body: "Your order #{orderNumber} will be delivered again with the next delivery run.",
+    channels: PUSH_WHATSAPP_SMS,
+  },
+  REFUNDED: {
+    title: "Order #{orderNumber} Closed",
+    body: "We're sorry we couldn't deliver your order.{outcome}",
+    channels: PUSH_WHATSAPP_SMS,
+  },
+  FORFEITED: {
+    title: "Order #{orderNumber} Closed",
+    body: "Your order couldn't be delivered ({reason}) and has been closed. Payments and vouchers for missed deliveries are not refunded.",
+    channels: PUSH_WHATSAPP_SMS,
+  },
+  RETURNING: {
+    title: "Order Returning: #{orderNumber}",
+    body: "Order #{orderNumber} couldn't be delivered and is coming back to your kitchen. Confirm when you receive it.",
+    channels: PUSH_ONLY,
   },
 };
 
@@ -177,10 +380,12 @@ export const BATCH_REMINDER_TEMPLATES = {
   CUTOFF_APPROACHING: {
     title: "Order Cutoff Approaching!",
     body: "{mealWindow} cutoff in {minutesRemaining} minutes. {pendingOrders} orders pending.",
+    channels: PUSH_ONLY,
   },
   PREPARE_ORDERS: {
     title: "Prepare {mealWindow} Orders",
     body: "You have {orderCount} orders to prepare before {cutoffTime}.",
+    channels: PUSH_ONLY,
   },
 };
 
@@ -191,19 +396,21 @@ export const ADMIN_TEMPLATES = {
   PROMOTIONAL: {
     title: "{title}",
     body: "{body}",
+    channels: PUSH_ONLY,
   },
   ANNOUNCEMENT: {
     title: "{title}",
     body: "{body}",
+    channels: PUSH_ONLY,
   },
 };
 
 /**
  * Build notification content from template by replacing variables
  *
- * @param {Object} template - Template object with title and body
+ * @param {Object} template - Template object with title, body and channels
  * @param {Object} variables - Variables to replace (key-value pairs)
- * @returns {{title: string, body: string}} Processed notification content
+ * @returns {{title: string, body: string, channels: string[]}} Processed notification content
  *
  * @example
  * const { title, body } = buildFromTemplate(ORDER_STATUS_TEMPLATES.ACCEPTED, {
@@ -211,6 +418,7 @@ export const ADMIN_TEMPLATES = {
  * });
  * // title: "Order Confirmed!"
  * // body: "Your order #ORD-123456 has been accepted and is being prepared."
+ * // channels: ["PUSH"]
  */
 export function buildFromTemplate(template, variables = {}) {
   let title = template.title;
@@ -232,7 +440,7 @@ export function buildFromTemplate(template, variables = {}) {
   title = title.replace(/\s+/g, " ").trim();
   body = body.replace(/\s+/g, " ").trim();
 
-  return { title, body };
+  return { title, body, channels: template.channels || PUSH_ONLY };
 }
 
 /**
@@ -241,7 +449,7 @@ export function buildFromTemplate(template, variables = {}) {
  * @param {string} status - Order status
  * @param {Object} order - Order document
  * @param {string} reason - Optional reason (for cancellation/rejection)
- * @returns {{title: string, body: string}|null} Notification content or null if no template
+ * @returns {{title: string, body: string, channels: string[]}|null} Notification content or null if no template
  */
 export function getOrderStatusNotification(status, order, reason = "") {
   const template = ORDER_STATUS_TEMPLATES[status];
@@ -263,7 +471,7 @@ export function getOrderStatusNotification(status, order, reason = "") {
  * @param {number} daysUntilExpiry - Days until voucher expires
  * @param {number} voucherCount - Number of expiring vouchers
  * @param {Date} expiryDate - Expiry date
- * @returns {{title: string, body: string}|null} Notification content or null
+ * @returns {{title: string, body: string, channels: string[]}|null} Notification content or null
  */
 export function getVoucherExpiryNotification(daysUntilExpiry, voucherCount, expiryDate) {
   let template = null;
@@ -299,8 +507,13 @@ export default {
   DRIVER_TEMPLATES,
   KITCHEN_TEMPLATES,
   VOUCHER_TEMPLATES,
+  SUBSCRIPTION_RENEWAL_TEMPLATES,
+  GIFT_TEMPLATES,
   AUTO_ORDER_TEMPLATES,
   MENU_TEMPLATES,
+  CLOSURE_TEMPLATES,
+  CLAIM_TEMPLATES,
+  FAILED_DELIVERY_TEMPLATES,
   BATCH_REMINDER_TEMPLATES,
   ADMIN_TEMPLATES,
   buildFromTemplate,
@@ -1,223 +1,24 @@
-import { firebaseAdmin } from "../config/firebase.config.js";
 import User from "../schema/user.schema.js";
 import Notification from "../schema/notification.schema.js";
+import { DEFAULT_CHANNELS, maskRecipient, sendThroughChannel } from "./notification-channels.service.js";
+import { checkNotificationPreferences } from "./notification-preferences.service.js";
 
 /**
  * Notification Service
- * Handles FCM push notifications with non-blocking delivery
+ * Handles user notifications with non-blocking delivery
  *
  * Key features:
  * - Non-blocking: All send operations are fire-and-forget
- * - Platform-specific: Different payloads for Android/iOS/Web
- * - Automatic cleanup: Invalid tokens are removed automatically
- * - Delivery logging: All notifications are logged for history
- * - React Native compatible: Uses @react-native-firebase/messaging structure
+ * - Multi-channel: Push, SMS, email and WhatsApp through channel providers
+ *   (see notification-channels.service.js), tried in the order the
+ *   template declares until one delivers
+ * - Preferences: Category opt-outs are honoured; non-critical notifications
+ *   are queued during the user's quiet hours
+ * - Automatic cleanup: Invalid FCM tokens are removed automatically
+ * - Delivery logging: All notifications are logged for history with the
+ *   outcome per channel
  */
 
-/**
- * Notification Channel Mapping for React Native Android
- * Maps notification types to Android notification channels
- * Channels must be created on the client side first
- */
-const NOTIFICATION_CHANNELS = {
-  // Order related notifications - high priority (for customers)
-  ORDER_ACCEPTED: "orders_channel",
-  ORDER_REJECTED: "orders_channel",
-  ORDER_PREPARING: "orders_channel",
-  ORDER_READY: "orders_channel",
-  ORDER_PICKED_UP: "orders_channel",
-  ORDER_OUT_FOR_DELIVERY: "orders_channel",
-  ORDER_DELIVERED: "orders_channel",
-  ORDER_CANCELLED: "orders_channel",
-  ORDER_FAILED: "orders_channel",
-  AUTO_ORDER_SUCCESS: "orders_channel",
-  AUTO_ORDER_FAILED: "subscriptions_channel",
-
-  // Kitchen notifications - high priority (for kitchen staff)
-  NEW_MANUAL_ORDER: "kitchen_channel",
-  NEW_AUTO_ORDER: "kitchen_channel",
-  NEW_AUTO_ACCEPTED_ORDER: "kitchen_channel",
-  BATCH_REMINDER: "kitchen_channel",
-
-  // Subscription/Voucher related
-  VOUCHER_EXPIRY_REMINDER: "subscriptions_channel",
-  SUBSCRIPTION_CREATED: "subscriptions_channel",
-  SUBSCRIPTION_EXPIRING: "subscriptions_channel",
-
-  // Delivery/Batch related - for drivers
-  BATCH_READY: "delivery_channel",
-  BATCH_ASSIGNED: "delivery_channel",
-  DELIVERY_ASSIGNED: "delivery_channel",
-
-  // General/Promotional
-  MENU_UPDATE: "general_channel",
-  PROMOTIONAL: "general_channel",
-  SYSTEM_UPDATE: "general_channel",
-  ADMIN_PUSH: "general_channel",
-  CUSTOM: "general_channel",
-};
-
-/**
- * Get the appropriate notification channel for a notification type
- * @param {string} type - Notification type
- * @returns {string} Channel ID
- */
-function getChannelId(type) {
-  return NOTIFICATION_CHANNELS[type] || "default_channel";
-}
-
-/**
- * Determine notification priority based on channel
- * @param {string} channelId - Notification channel ID
- * @returns {string} "high" or "default"
- */
-function getNotificationPriority(channelId) {
-  const highPriorityChannels = ["orders_channel", "delivery_channel", "subscriptions_channel", "kitchen_channel"];
-  return highPriorityChannels.includes(channelId) ? "high" : "default";
-}
-
-/**
- * Platform-specific payload builders for React Native
- * Optimized for @react-native-firebase/messaging
- */
-const buildPayload = {
-  /**
-   * Android payload for React Native
-   * Uses notification + data message with channelId at android level
-   */
-  ANDROID: (title, body, data, type) => {
-    const channelId = getChannelId(type);
-    const priority = getNotificationPriority(channelId);
-
-    return {
-      notification: {
-        title,
-        body,
-      },
-      data: {
-        ...Object.fromEntries(
-          Object.entries(data || {}).map(([k, v]) => [k, String(v)])
-        ),
-        type: type || "GENERAL",
-        channelId, // Included in data for client-side use
-      },
-      android: {
-        priority,
-        ttl: 86400 * 1000, // 24 hours in ms
-        notification: {
-          channelId, // channelId goes inside notification object
-          sound: "default",
-          priority: priority === "high" ? "high" : "default",
-        },
-      },
-    };
-  },
-
-  /**
-   * iOS payload for React Native
-   * Uses notification + data message with APNs configuration
-   */
-  IOS: (title, body, data, type) => ({
-    notification: {
-      title,
-      body,
-    },
-    data: {
-      ...Object.fromEntries(
-        Object.entries(data || {}).map(([k, v]) => [k, String(v)])
-      ),
-      type: type || "GENERAL",
-    },
-    apns: {
-      payload: {
-        aps: {
-          sound: "default",
-          badge: 1,
-          "content-available": 1,
-        },
-      },
-    },
-  }),
-
-  /**
-   * Web payload (for Admin Portal if needed)
-   */
-  WEB: (title, body, data, type) => ({
-    notification: {
-      title,
-      body,
-    },
-    data: {
-      ...Object.fromEntries(
-        Object.entries(data || {}).map(([k, v]) => [k, String(v)])
-      ),
-      type: type || "GENERAL",
-    },
-    webpush: {
-      fcmOptions: {
-        link: data?.webLink || "/",
-      },
-    },
-  }),
-};
-
-/**
- * Error codes that indicate the FCM token is invalid and should be removed
- */
-const INVALID_TOKEN_ERRORS = [
-  "messaging/invalid-registration-token",
-  "messaging/registration-token-not-registered",
-  "messaging/invalid-argument",
-];
-
-/**
- * Check if error indicates token should be removed
- * @param {Error} error - FCM error object
- * @returns {boolean}
- */
-function isInvalidTokenError(error) {
-  return INVALID_TOKEN_ERRORS.includes(error.code);
-}
-
-/**
- * Send FCM notification to a single token
- * @param {string} token - FCM device token
- * @param {string} deviceType - ANDROID, IOS, or WEB
- * @param {string} title - Notification title
- * @param {string} body - Notification body
- * @param {Object} data - Optional payload data for deep linking
- * @param {string} type - Notification type for channel mapping
- * @returns {Promise<{success: boolean, messageId?: string, error?: string, shouldRemoveToken?: boolean}>}
- */
-async function sendToToken(token, deviceType, title, body, data = {}, type = "GENERAL") {
-  try {
-    const payloadBuilder = buildPayload[deviceType] || buildPayload.ANDROID;
-    const message = {
-      token,
-      ...payloadBuilder(title, body, data, type),
-    };
-
-    const response = await firebaseAdmin.messaging().send(message);
-
-    console.log("> FCM sent successfully:", { messageId: response, deviceType, type, channelId: getChannelId(type) });
-
-    return { success: true, messageId: response };
-  } catch (error) {
-    console.log("> FCM send failed:", {
-      errorCode: error.code,
-      errorMessage: error.message,
-      deviceType,
-      type,
-    });
-
-    return {
-      success: false,
-      error: error.code || error.message,
-      shouldRemoveToken: isInvalidTokenError(error),
-    };
-  }
-}
-
 /**
  * Remove invalid FCM tokens from user document
  * @param {ObjectId} userId - User ID
@@ -234,116 +35,153 @@ async function removeInvalidTokens(userId, tokens) {
   }
 }
 
+const USER_NOTIFICATION_FIELDS = "fcmTokens role name phone email notificationPreferences";
+
+/**
+ * Try each channel in order until one delivers, and record the outcome
+ * @param {Object} user - User (fcmTokens, phone, email, name)
+ * @param {string[]} channels - Channels in fallback order
+ * @param {Object} message - { title, body, data, type }
+ * @param {Object|null} notification - Notification document to update
+ * @returns {Promise<{deliveredVia: string|null, results: Array}>}
+ */
+async function deliverToUser(user, channels, message, notification) {
+  const results = [];
+  let deliveredVia = null;
+  for (const channel of channels) {
+    const channelResults = await sendThroughChannel(channel, user, message);
+    results.push(...channelResults);
+
+    if (channelResults.some((r) => r.success)) {
+      deliveredVia = channel;
+      break;
+    }
+  }
+
+  // Update notification record with delivery results
+  if (notification) {
+    notification.deliveryResults = results.map((r) => ({
+      channel: r.channel,
+      provider: r.provider,
+      token: r.token,
+      deviceType: r.deviceType,
+      recipient: r.channel === "PUSH" ? undefined : maskRecipient(r.recipient),
+      success: r.success,
+      fcmMessageId: r.channel === "PUSH" ? r.messageId : undefined,
+      providerMessageId: r.channel === "PUSH" ? undefined : r.messageId,
+      errorCode: r.errorCode,
+      sentAt: r.sentAt,
+    }));
+    notification.deliveredVia = deliveredVia;
+    notification.sentAt = new Date();
+    notification.deliveryStatus = !deliveredVia
+      ? "FAILED"
+      : results.every((r) => r.success)
+        ? "SENT"
+        : "PARTIAL";
+    await notification.save();
+  }
+
+  // Remove invalid tokens (non-blocking)
+  const tokensToRemove = results
+    .filter((r) => r.shouldRemoveToken)
+    .map((r) => r.token);
+
+  if (tokensToRemove.length > 0) {
+    removeInvalidTokens(user._id, tokensToRemove).catch(() => {});
+  }
+
+  return { deliveredVia, results };
+}
+
 /**
  * Internal async implementation for sending to user
  * This is where the actual work happens
  */
 async function _sendToUserAsync(userId, type, title, body, options = {}) {
-  const { data = {}, entityType, entityId, saveToDb = true, expiryNotificationKey } = options;
+  const { data = {}, entityType, entityId, saveToDb = true, expiryNotificationKey, campaignId } = options;
+  const channels = options.channels?.length ? options.channels : DEFAULT_CHANNELS;
 
   console.log("=== NOTIFICATION SEND ATTEMPT ===");
   console.log("Target User ID:", userId);
   console.log("Notification Type:", type);
+  console.log("Channels:", channels.join(" > "));
   console.log("Title:", title);
   console.log("Body:", body);
   console.log("Data Payload:", JSON.stringify(data, null, 2));
   console.log("Entity:", { entityType, entityId });
 
   try {
-    // Get user's FCM tokens
-    const user = await User.findById(userId).select("fcmTokens role name phone").lean();
+    // Get user's FCM tokens, contact details and preferences
+    const user = await User.findById(userId).select(USER_NOTIFICATION_FIELDS).lean();
 
     console.log("User Found:", user ? { id: userId, role: user.role, name: user.name, phone: user.phone, tokenCount: user.fcmTokens?.length || 0 } : "NOT FOUND");
 
-    if (!user?.fcmTokens?.length) {
-      console.log("NOTIFICATION FAILED: No FCM tokens for user:", { userId, role: user?.role, phone: user?.phone });
+    if (!user) {
+      console.log("NOTIFICATION FAILED: User not found:", { userId });
+      return { sent: false, reason: "user_not_found" };
+    }
+
+    // Push-only notification and no devices - nothing to record
+    if (channels.length === 1 && channels[0] === "PUSH" && !user.fcmTokens?.length) {
+      console.log("NOTIFICATION FAILED: No FCM tokens for user:", { userId, role: user.role, phone: user.phone });
       return { sent: false, reason: "no_tokens" };
     }
 
-    console.log("FCM Tokens Found:", user.fcmTokens.map(t => ({ deviceType: t.deviceType, tokenPreview: t.token.substring(0, 20) + "..." })));
+    // Category opt-outs and quiet hours
+    const preference = await checkNotificationPreferences(user, type);
+    if (!preference.allowed) {
+      console.log("NOTIFICATION SKIPPED: User opted out of category:", { userId, type });
+      return { sent: false, reason: preference.reason };
+    }
 
-    // Create notification record if saving to DB
-    let notification = null;
-    if (saveToDb) {
-      notification = new Notification({
-        userId,
-        type,
-        title,
-        body,
-        data,
-        entityType: entityType || null,
-        entityId: entityId || null,
-        deliveryStatus: "PENDING",
-        expiryNotificationKey: expiryNotificationKey || null,
+    const notificationFields = {
+      userId,
+      type,
+      title,
+      body,
+      data,
+      entityType: entityType || null,
+      entityId: entityId || null,
+      expiryNotificationKey: expiryNotificationKey || null,
+      campaignId: campaignId || undefined,
+    };
+
+    // Quiet hours - hold the notification for the dispatcher (always recorded)
+    if (preference.queueUntil) {
+      await Notification.create({
+        ...notificationFields,
+        deliveryStatus: "QUEUED",
+        scheduledFor: preference.queueUntil,
+        channels,
       });
-      await notification.save();
+      console.log("NOTIFICATION QUEUED: Quiet hours until", preference.queueUntil.toISOString(), { userId, type });
+      return { sent: false, queued: true, scheduledFor: preference.queueUntil };
     }
 
-    // Send to all tokens in parallel
-    const results = await Promise.all(
-      user.fcmTokens.map(async (tokenInfo) => {
-        const result = await sendToToken(
-          tokenInfo.token,
-          tokenInfo.deviceType,
-          title,
-          body,
-          data,
-          type // Pass notification type for channel mapping
-        );
-
-        return {
-          token: tokenInfo.token,
-          deviceType: tokenInfo.deviceType,
-          success: result.success,
-          fcmMessageId: result.messageId || null,
-          errorCode: result.error || null,
-          sentAt: new Date(),
-          shouldRemove: result.shouldRemoveToken || false,
-        };
-      })
-    );
-
-    // Update notification record with delivery results
-    if (notification) {
-      notification.deliveryResults = results.map((r) => ({
-        token: r.token,
-        deviceType: r.deviceType,
-        success: r.success,
-        fcmMessageId: r.fcmMessageId,
-        errorCode: r.errorCode,
-        sentAt: r.sentAt,
-      }));
-      notification.sentAt = new Date();
-      notification.deliveryStatus = results.every((r) => r.success)
-        ? "SENT"
-        : results.some((r) => r.success)
-          ? "PARTIAL"
-          : "FAILED";
+    // Create notification record if saving to DB
+    let notification = null;
+    if (saveToDb) {
+      notification = new Notification({ ...notificationFields, deliveryStatus: "PENDING" });
       await notification.save();
     }
 
-    // Remove invalid tokens (non-blocking)
-    const tokensToRemove = results
-      .filter((r) => r.shouldRemove)
-      .map((r) => r.token);
-
-    if (tokensToRemove.length > 0) {
-      removeInvalidTokens(userId, tokensToRemove).catch(() => {});
-    }
+    const { deliveredVia, results } = await deliverToUser(user, channels, { title, body, data, type }, notification);
 
     const successCount = results.filter((r) => r.success).length;
     const failedCount = results.filter((r) => !r.success).length;
 
     console.log("=== NOTIFICATION SEND RESULT ===");
-    console.log("Success:", successCount, "Failed:", failedCount, "Total Tokens:", results.length);
+    console.log("Delivered Via:", deliveredVia || "NONE", "Success:", successCount, "Failed:", failedCount);
     console.log("Delivery Results:", results.map(r => ({
+      channel: r.channel,
       deviceType: r.deviceType,
       success: r.success,
       error: r.errorCode || null
     })));
     console.log("================================\n");
 
-    return { sent: true, successCount, totalTokens: results.length };
+    return { sent: Boolean(deliveredVia), deliveredVia, successCount, totalAttempts: results.length };
   } catch (error) {
     console.log("=== NOTIFICATION SEND ERROR ===");
     console.log("User ID:", userId);
@@ -356,7 +194,77 @@ async function _sendToUserAsync(userId, type, title, body, options = {}) {
 }
 
 /**
- * Send notification to a user (all their devices)
+ * Send notifications held back by quiet hours once they are due
+ * Run by the scheduler. Each notification is claimed before sending so
+ * overlapping runs never send it twice.
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Max notifications per run
+ * @returns {Promise<{due: number, sent: number, failed: number, cancelled: number}>}
+ */
+export async function dispatchQueuedNotifications({ limit = 500 } = {}) {
+  const now = new Date();
+  const stats = { due: 0, sent: 0, failed: 0, cancelled: 0 };
+
+  const due = await Notification.find({ deliveryStatus: "QUEUED", scheduledFor: { $lte: now } })
+    .sort({ scheduledFor: 1 })
+    .limit(limit)
+    .select("_id");
+  stats.due = due.length;
+
+  for (const { _id } of due) {
+    const notification = await Notification.findOneAndUpdate(
+      { _id, deliveryStatus: "QUEUED" },
+      { $set: { deliveryStatus: "PENDING" } },
+      { new: true }
+    );
+    if (!notification) continue;
+
+    try {
+      const user = await User.findById(notification.userId).select(USER_NOTIFICATION_FIELDS).lean();
+
+      // User deleted or opted out of the category since it was queued
+      const preference = user ? await checkNotificationPreferences(user, notification.type, now) : null;
+      if (!user || !preference.allowed) {
+        notification.deliveryStatus = "CANCELLED";
+        await notification.save();
+        stats.cancelled++;
+        continue;
+      }
+
+      // Quiet hours moved since it was queued - hold it again
+      if (preference.queueUntil) {
+        notification.deliveryStatus = "QUEUED";
+        notification.scheduledFor = preference.queueUntil;
+        await notification.save();
+        continue;
+      }
+
+      const { deliveredVia } = await deliverToUser(
+        user,
+        notification.channels?.length ? notification.channels : DEFAULT_CHANNELS,
+        { title: notification.title, body: notification.body, data: notification.data, type: notification.type },
+        notification
+      );
+
+      if (deliveredVia) stats.sent++;
+      else stats.failed++;
+    } catch (error) {
+      console.log("> Queued notification dispatch error:", { notificationId: _id, error: error.message });
+      await Notification.updateOne({ _id, deliveryStatus: "PENDING" }, { $set: { deliveryStatus: "FAILED" } }).catch(() => {});
+      stats.failed++;
+    }
+  }
+
+  if (stats.due > 0) {
+    console.log("> Queued notifications dispatched:", stats);
+  }
+
+  return stats;
+}
+
+/**
+ * Send notification to a user (all their devices, or fallback channels)
  * Non-blocking pattern - fire and forget with logging
  *
  * @param {ObjectId|string} userId - User ID
@@ -369,14 +277,32 @@ async function _sendToUserAsync(userId, type, title, body, options = {}) {
  * @param {ObjectId} options.entityId - Related entity ID
  * @param {boolean} options.saveToDb - Whether to save to notification history (default: true)
  * @param {string} options.expiryNotificationKey - Key to prevent duplicate expiry notifications
+ * @param {string[]} options.channels - Channels in fallback order (default: PUSH only)
+ * @param {ObjectId} options.campaignId - Admin campaign this notification belongs to
  */
 export function sendToUser(userId, type, title, body, options = {}) {
   // Fire and forget - don't await, catch errors internally
   _sendToUserAsync(userId, type, title, body, options).catch((err) => {
-    console.log("> FCM sendToUser error:", { userId, type, error: err.message });
+    console.log("> sendToUser error:", { userId, type, error: err.message });
   });
 }
 
+/**
+ * Send notification to a user and wait for the outcome
+ * For background jobs that need to count results (e.g. campaigns).
+ * Throws on database errors, unlike sendToUser.
+ *
+ * @param {ObjectId|string} userId - User ID
+ * @param {string} type - Notification type
+ * @param {string} title - Notification title
+ * @param {string} body - Notification body
+ * @param {Object} options - Same as sendToUser
+ * @returns {Promise<Object>} { sent, queued, reason, deliveredVia, ... }
+ */
+export function sendToUserAndWait(userId, type, title, body, options = {}) {
+  return _sendToUserAsync(userId, type, title, body, options);
+}
+
 /**
  * Send notification to multiple users
  * Processes in parallel but doesn't block
@@ -499,7 +425,9 @@ export async function sendToUserIds(userIds, type, title, body, options = {}) {
 
 export default {
   sendToUser,
+  sendToUserAndWait,
   sendToUsers,
   sendToRole,
   sendToUserIds,
+  dispatchQueuedNotifications,
 };
@@ -12,6 +12,21 @@ import razorpayProvider from "./razorpay.provider.js";
 import { getRazorpayKeyId } from "../config/razorpay.config.js";
 import { isWithinMealWindowOperatingHours } from "./config.service.js";
 import { restoreVouchersForOrder } from "./voucher.service.js";
+import {
+  completeRenewalPayment,
+  failRenewalPayment,
+} from "./subscription-renewal.service.js";
+import {
+  completePlanChangePayment,
+  recordPlanChangeRefund,
+  splitSubscriptionRefund,
+} from "./subscription-change.service.js";
+import {
+  reverseOrderWalletUsage,
+  completeWalletRecharge,
+  failWalletRecharge,
+} from "./wallet.service.js";
+import { releaseOrderCapacity } from "./kitchen-capacity.service.js";
 
 // Razorpay orders expire after this duration (30 minutes)
 const ORDER_EXPIRY_MINUTES = 30;
@@ -62,6 +77,32 @@ async function handleOrderPaymentFailure(orderId, failureReason) {
       // Don't throw - order failure is already handled
     }
   }
+
+  // Return any wallet amount applied to the order
+  if (order.walletUsage?.amount > 0) {
+    const walletResult = await reverseOrderWalletUsage(order, `Payment failed: ${failureReason}`);
+    if (!walletResult.success) {
+      console.log("[PAYMENT SERVICE] ERROR reversing wallet usage:", walletResult.error);
+    }
+  }
+
+  // Free the kitchen capacity the order held
+  await releaseOrderCapacity(order);
+}
+
+/**
+ * Handle payment failure for any purchase type
+ * @param {Object} transaction - PaymentTransaction document
+ * @param {string} failureReason - Reason for payment failure
+ */
+async function handlePurchasePaymentFailure(transaction, failureReason) {
+  if (transaction.purchaseType === "ORDER") {
+    await handleOrderPaymentFailure(transaction.referenceId, failureReason);
+  } else if (transaction.purchaseType === "WALLET_RECHARGE") {
+    await failWalletRecharge(transaction.referenceId, failureReason);
+  } else if (transaction.purchaseType === "SUBSCRIPTION" && transaction.notes?.renewalOf) {
+    await failRenewalPayment(transaction, failureReason);
+  }
 }
 
 /**
@@ -214,13 +255,8 @@ export async function verifyPayment({ razorpayOrderId, razorpayPaymentId, razorp
     console.log("[PAYMENT SERVICE] ERROR: Signature verification FAILED");
     await transaction.markFailed("Signature verification failed", "INVALID_SIGNATURE", null);
 
-    // Mark the order as FAILED and restore vouchers
-    if (transaction.purchaseType === "ORDER") {
-      await handleOrderPaymentFailure(
-        transaction.referenceId,
-        "Payment signature verification failed"
-      );
-    }
+    // Mark the order/recharge as FAILED and restore vouchers
+    await handlePurchasePaymentFailure(transaction, "Payment signature verification failed");
 
     throw new Error("Payment signature verification failed");
   }
@@ -242,13 +278,11 @@ export async function verifyPayment({ razorpayOrderId, razorpayPaymentId, razorp
       payment
     );
 
-    // Mark the order as FAILED and restore vouchers
-    if (transaction.purchaseType === "ORDER") {
-      await handleOrderPaymentFailure(
-        transaction.referenceId,
-        `Payment failed with status: ${payment.status}`
-      );
-    }
+    // Mark the order/recharge as FAILED and restore vouchers
+    await handlePurchasePaymentFailure(
+      transaction,
+      `Payment failed with status: ${payment.status}`
+    );
 
     throw new Error(`Payment not successful. Status: ${payment.status}`);
   }
@@ -275,7 +309,7 @@ export async function verifyPayment({ razorpayOrderId, razorpayPaymentId, razorp
 }
 
 /**
- * Update the purchase entity (Order/Subscription) after successful payment
+ * Update the purchase entity (Order/Subscription/WalletRecharge) after successful payment
  * @param {Object} transaction - PaymentTransaction document
  * @param {Object} payment - Razorpay payment details
  */
@@ -353,6 +387,36 @@ async function updatePurchaseEntity(transaction, payment) {
     } else {
       console.log("[PAYMENT SERVICE] WARNING: Order not found for update:", transaction.referenceId);
     }
+  } else if (transaction.purchaseType === "SUBSCRIPTION" && transaction.notes?.renewalOf) {
+    console.log("[PAYMENT SERVICE] Completing subscription auto-renewal...");
+
+    const renewalResult = await completeRenewalPayment(transaction, paymentMethod, paymentDetails);
+
+    if (renewalResult.success) {
+      console.log("[PAYMENT SERVICE] Subscription renewed:", transaction.referenceId);
+    } else {
+      console.log("[PAYMENT SERVICE] ERROR completing renewal:", renewalResult.error);
+    }
+  } else if (transaction.purchaseType === "SUBSCRIPTION" && transaction.notes?.changeOf) {
+    console.log("[PAYMENT SERVICE] Completing subscription plan change...");
+
+    const changeResult = await completePlanChangePayment(transaction, paymentMethod);
+
+    if (changeResult.success) {
+      console.log("[PAYMENT SERVICE] Subscription plan changed:", transaction.referenceId);
+    } else {
+      // The customer paid for a change that can no longer happen: give the money back
+      console.log("[PAYMENT SERVICE] ERROR completing plan change:", changeResult.error);
+      try {
+        await processRefund({
+          paymentId: transaction.razorpayPaymentId,
+          amount: transaction.amountRupees,
+          reason: `Plan change failed: ${changeResult.error}`,
+        });
+      } catch (refundError) {
+        console.log("[PAYMENT SERVICE] ERROR refunding failed plan change:", refundError.message);
+      }
+    }
   } else if (transaction.purchaseType === "SUBSCRIPTION") {
     console.log("[PAYMENT SERVICE] Updating Subscription payment details...");
 
@@ -371,6 +435,16 @@ async function updatePurchaseEntity(transaction, payment) {
     } else {
       console.log("[PAYMENT SERVICE] WARNING: Subscription not found:", transaction.referenceId);
     }
+  } else if (transaction.purchaseType === "WALLET_RECHARGE") {
+    console.log("[PAYMENT SERVICE] Crediting wallet top-up...");
+
+    const rechargeResult = await completeWalletRecharge(transaction, paymentMethod);
+
+    if (rechargeResult.success) {
+      console.log("[PAYMENT SERVICE] Wallet top-up credited:", transaction.referenceId);
+    } else {
+      console.log("[PAYMENT SERVICE] ERROR crediting wallet top-up:", rechargeResult.error);
+    }
   } else {
     console.log("[PAYMENT SERVICE] Unknown purchaseType:", transaction.purchaseType);
   }
@@ -445,6 +519,75 @@ export async function processRefund({
   };
 }
 
+/**
+ * Refund the unused credit left over from a plan downgrade
+ * Goes back to the payments that funded the old subscription, each only up
+ * to what it captured. The outcome is recorded on the new subscription;
+ * failures are left for an admin refund.
+ * @param {Object} previous - Old subscription
+ * @param {Object} subscription - New subscription (planChange.refundAmount set)
+ * @returns {Promise<{success: boolean, refundId?: string, error?: string}>}
+ */
+export async function refundPlanChange(previous, subscription) {
+  const amount = subscription.planChange?.refundAmount;
+  if (!amount || amount <= 0) {
+    return { success: true };
+  }
+
+  // Changes made before the split was stored are split now
+  const stored = subscription.planChange.refundPayments || [];
+  const shares = stored.length > 0
+    ? stored.map((share) => ({ paymentId: share.paymentId, amount: share.amount }))
+    : splitSubscriptionRefund(previous, amount).payments;
+
+  if (shares.length === 0) {
+    const error = "No online payment to refund";
+    await recordPlanChangeRefund(subscription._id, { status: "FAILED", error });
+    return { success: false, error };
+  }
+
+  const outcomes = [];
+  for (const share of shares) {
+    if (!share.paymentId?.startsWith("pay_")) {
+      outcomes.push({ ...share, status: "FAILED", error: "No online payment to refund" });
+      continue;
+    }
+
+    try {
+      const refund = await processRefund({
+        paymentId: share.paymentId,
+        amount: share.amount,
+        reason: `Plan change credit from subscription ${previous._id}`,
+      });
+      outcomes.push({
+        ...share,
+        status: refund.status === "processed" ? "PROCESSED" : "PENDING",
+        razorpayRefundId: refund.refundId,
+      });
+    } catch (error) {
+      console.log(`> Plan change refund failed for ${subscription._id} (${share.paymentId}):`, error.message);
+      outcomes.push({ ...share, status: "FAILED", error: error.message });
+    }
+  }
+
+  const failed = outcomes.filter((outcome) => outcome.status === "FAILED");
+  const refundIds = outcomes.map((outcome) => outcome.razorpayRefundId).filter(Boolean);
+  const error = failed.length > 0 ? failed.map((outcome) => outcome.error).join("; ") : null;
+
+  await recordPlanChangeRefund(subscription._id, {
+    status: failed.length > 0
+      ? "FAILED"
+      : outcomes.every((outcome) => outcome.status === "PROCESSED") ? "PROCESSED" : "PENDING",
+    razorpayRefundId: refundIds.join(",") || null,
+    error,
+    refundPayments: outcomes,
+  });
+
+  return failed.length > 0
+    ? { success: false, error }
+    : { success: true, refundId: refundIds.join(",") };
+}
+
 /**
  * Handle webhook events from Razorpay
  * @param {string} event - Event type
@@ -591,13 +734,11 @@ async function handlePaymentFailed(payment) {
       payment
     );
 
-    // Mark the order as FAILED and restore vouchers
-    if (transaction.purchaseType === "ORDER") {
-      await handleOrderPaymentFailure(
-        transaction.referenceId,
-        `Payment failed via webhook: ${payment.error_description || "Unknown error"}`
-      );
-    }
+    // Mark the order/recharge as FAILED and restore vouchers
+    await handlePurchasePaymentFailure(
+      transaction,
+      `Payment failed via webhook: ${payment.error_description || "Unknown error"}`
+    );
   }
 
   return { handled: true, transactionId: transaction._id };
@@ -798,6 +939,7 @@ export default {
   createPaymentOrder,
   verifyPayment,
   processRefund,
+  refundPlanChange,
   handleWebhookEvent,
   getPaymentStatus,
   retryPayment,
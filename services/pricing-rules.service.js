@@ -0,0 +1,354 @@
+import PricingRule from "../schema/pricingRule.schema.js";
+import { getFeesConfig } from "./config.service.js";
+import { hasValidCoordinates, haversineDistanceKm } from "../utils/geo.utils.js";
+
+/**
+ * Pricing Rules Service
+ * Resolves order charges from admin-defined pricing rules
+ *
+ * Each charge starts from the flat fees config. For the delivery fee a
+ * matching ZONE_OVERRIDE wins over a DISTANCE_SLAB; zone-scoped rules win
+ * over global ones and then higher priority wins. SURGE then multiplies the
+ * charge and FREE_DELIVERY finally waives the delivery fee. Every step is
+ * recorded so support can explain how a fee was produced.
+ */
+
+const CHARGE_FIELDS = {
+  DELIVERY_FEE: "deliveryFee",
+  SERVICE_FEE: "serviceFee",
+  PACKAGING_FEE: "packagingFee",
+  HANDLING_FEE: "handlingFee",
+};
+
+/**
+ * Round to 2 decimals
+ */
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Reference to a rule version for pricing explanations
+ */
+function ruleRef(rule) {
+  return {
+    ruleId: rule._id,
+    ruleKey: rule.ruleKey,
+    version: rule.version,
+    name: rule.name,
+  };
+}
+
+/**
+ * Current IST day of week and minutes since midnight
+ * @param {Date} at - Point in time
+ * @returns {{day: number, minutes: number}}
+ */
+function getIstClock(at) {
+  const istOffset = 5.5 * 60 * 60 * 1000; // IST is UTC+5:30
+  const ist = new Date(at.getTime() + istOffset);
+  return {
+    day: ist.getUTCDay(),
+    minutes: ist.getUTCHours() * 60 + ist.getUTCMinutes(),
+  };
+}
+
+/**
+ * Parse "HH:mm" to minutes since midnight
+ */
+function toMinutes(time) {
+  const [hour, minute] = time.split(":").map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Check whether a rule's zone and menu type scope matches the order
+ */
+function matchesScope(rule, context) {
+  if (rule.zoneIds?.length > 0) {
+    if (!context.zoneId) return false;
+    if (!rule.zoneIds.some((z) => z.toString() === context.zoneId.toString())) return false;
+  }
+  if (rule.menuTypes?.length > 0 && !rule.menuTypes.includes(context.menuType)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Check whether a SURGE rule's time conditions match
+ */
+function matchesSurgeWindow(rule, context, at) {
+  if (rule.mealWindows?.length > 0 && !rule.mealWindows.includes(context.mealWindow)) {
+    return false;
+  }
+
+  const clock = getIstClock(at);
+  if (rule.daysOfWeek?.length > 0 && !rule.daysOfWeek.includes(clock.day)) {
+    return false;
+  }
+
+  if (rule.startTime && rule.endTime) {
+    const start = toMinutes(rule.startTime);
+    const end = toMinutes(rule.endTime);
+    const inWindow = start <= end
+      ? clock.minutes >= start && clock.minutes < end
+      : clock.minutes >= start || clock.minutes < end; // Crosses midnight
+    if (!inWindow) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Find the slab that contains a distance
+ */
+function findSlab(rule, distanceKm) {
+  return rule.slabs?.find(
+    (slab) => distanceKm >= slab.minKm && (slab.maxKm === null || slab.maxKm === undefined || distanceKm < slab.maxKm)
+  );
+}
+
+/**
+ * Describe a slab for explanations
+ */
+function describeSlab(slab) {
+  return slab.maxKm === null || slab.maxKm === undefined
+    ? `${slab.minKm}+ km`
+    : `${slab.minKm}-${slab.maxKm} km`;
+}
+
+/**
+ * Keep only the newest effective version of each rule key
+ * Input is already sorted by priority, then version descending.
+ */
+function latestPerKey(rules) {
+  const byKey = new Map();
+  for (const rule of rules) {
+    const existing = byKey.get(rule.ruleKey);
+    if (!existing || rule.version > existing.version) {
+      byKey.set(rule.ruleKey, rule);
+    }
+  }
+  return rules.filter((rule) => byKey.get(rule.ruleKey) === rule);
+}
+
+/**
+ * Order candidate rules: zone-scoped before global, then by priority
+ */
+function bySpecificity(a, b) {
+  const aScoped = a.zoneIds?.length > 0 ? 1 : 0;
+  const bScoped = b.zoneIds?.length > 0 ? 1 : 0;
+  if (aScoped !== bScoped) return bScoped - aScoped;
+  return (b.priority || 0) - (a.priority || 0);
+}
+
+/**
+ * Straight-line kitchen-to-customer distance
+ * @param {Object} kitchenCoordinates - {latitude, longitude}
+ * @param {Object} deliveryCoordinates - {latitude, longitude}
+ * @returns {number|null} Distance in km, null when either side is missing
+ */
+export function getDeliveryDistanceKm(kitchenCoordinates, deliveryCoordinates) {
+  if (
+    !hasValidCoordinates(kitchenCoordinates?.latitude, kitchenCoordinates?.longitude) ||
+    !hasValidCoordinates(deliveryCoordinates?.latitude, deliveryCoordinates?.longitude)
+  ) {
+    return null;
+  }
+  return roundAmount(haversineDistanceKm(kitchenCoordinates, deliveryCoordinates));
+}
+
+/**
+ * Check type-specific requirements of a rule definition
+ * @param {Object} rule - Rule fields (create payload or merged new version)
+ * @returns {string|null} Error message, null when valid
+ */
+export function getRuleDefinitionError(rule) {
+  const charge = rule.charge || "DELIVERY_FEE";
+
+  switch (rule.ruleType) {
+    case "DISTANCE_SLAB": {
+      if (charge !== "DELIVERY_FEE") return "Distance slabs only apply to the delivery fee";
+      if (!rule.slabs?.length) return "At least one distance slab is required";
+
+      const sorted = [...rule.slabs].sort((a, b) => a.minKm - b.minKm);
+      for (let i = 1; i < sorted.length; i++) {
+        const previousMax = sorted[i - 1].maxKm;
+        if (previousMax === null || previousMax === undefined || previousMax > sorted[i].minKm) {
+          return `Distance slabs overlap at ${sorted[i].minKm} km`;
+        }
+      }
+      return null;
+    }
+    case "ZONE_OVERRIDE":
+      if (!rule.zoneIds?.length) return "Zone overrides need at least one zone";
+      if (rule.amount === undefined || rule.amount === null) return "Override amount is required";
+      return null;
+    case "FREE_DELIVERY":
+      if (charge !== "DELIVERY_FEE") return "Free delivery rules only apply to the delivery fee";
+      if (rule.minOrderValue === undefined || rule.minOrderValue === null) {
+        return "Minimum order value is required";
+      }
+      return null;
+    case "SURGE":
+      if (!rule.multiplier || rule.multiplier <= 1) return "Surge multiplier must be greater than 1";
+      if (!rule.mealWindows?.length && !rule.startTime) {
+        return "Surge rules need meal windows or a time range";
+      }
+      return null;
+    default:
+      return "Invalid rule type";
+  }
+}
+
+/**
+ * Apply a set of effective rules to an order context
+ * Pure function so it can be reused for previews.
+ *
+ * @param {Array<Object>} rules - Effective rule versions
+ * @param {Object} context
+ * @param {string} context.zoneId - Delivery zone ID
+ * @param {string} context.menuType - MEAL_MENU or ON_DEMAND_MENU
+ * @param {string} context.mealWindow - LUNCH or DINNER
+ * @param {number} context.orderValue - Items + add-ons total
+ * @param {number|null} context.distanceKm - Kitchen-to-customer distance
+ * @param {Object} baseFees - Flat fees config
+ * @param {Date} at - Pricing time
+ * @returns {{fees: Object, feeRules: Object}}
+ */
+export function applyPricingRules(rules, context, baseFees, at = new Date()) {
+  const applicable = latestPerKey(rules).filter((rule) => matchesScope(rule, context));
+  const fees = { ...baseFees };
+  const feeRules = {};
+
+  for (const [charge, field] of Object.entries(CHARGE_FIELDS)) {
+    const forCharge = applicable.filter((rule) => (rule.charge || "DELIVERY_FEE") === charge);
+
+    const explanation = {
+      amount: baseFees[field] || 0,
+      source: "CONFIG",
+      rule: null,
+      detail: "Standard fee",
+      adjustments: [],
+    };
+
+    // Base amount: zone override, then distance slab
+    const override = forCharge
+      .filter((rule) => rule.ruleType === "ZONE_OVERRIDE" && rule.amount !== undefined && rule.amount !== null)
+      .sort(bySpecificity)[0];
+
+    if (override) {
+      explanation.amount = override.amount;
+      explanation.source = "ZONE_OVERRIDE";
+      explanation.rule = ruleRef(override);
+      explanation.detail = "Zone fee";
+    } else if (charge === "DELIVERY_FEE" && context.distanceKm !== null && context.distanceKm !== undefined) {
+      const slabRules = forCharge.filter((rule) => rule.ruleType === "DISTANCE_SLAB").sort(bySpecificity);
+      for (const rule of slabRules) {
+        const slab = findSlab(rule, context.distanceKm);
+        if (slab) {
+          explanation.amount = slab.fee;
+          explanation.source = "DISTANCE_SLAB";
+          explanation.rule = ruleRef(rule);
+          explanation.detail = `${context.distanceKm} km in ${describeSlab(slab)} slab`;
+          break;
+        }
+      }
+    }
+
+    // Surge: highest matching multiplier only
+    const surge = forCharge
+      .filter((rule) => rule.ruleType === "SURGE" && rule.multiplier > 1 && matchesSurgeWindow(rule, context, at))
+      .sort((a, b) => b.multiplier - a.multiplier)[0];
+
+    if (surge && explanation.amount > 0) {
+      const before = explanation.amount;
+      let extra = roundAmount(before * (surge.multiplier - 1));
+      if (surge.maxSurgeAmount !== undefined && surge.maxSurgeAmount !== null) {
+        extra = Math.min(extra, surge.maxSurgeAmount);
+      }
+      explanation.amount = roundAmount(before + extra);
+      explanation.adjustments.push({
+        type: "SURGE",
+        rule: ruleRef(surge),
+        detail: `x${surge.multiplier} peak surge`,
+        amountBefore: before,
+        amountAfter: explanation.amount,
+      });
+    }
+
+    // Free delivery above an order value
+    if (charge === "DELIVERY_FEE" && explanation.amount > 0) {
+      const freeDelivery = forCharge
+        .filter((rule) => rule.ruleType === "FREE_DELIVERY" && context.orderValue >= (rule.minOrderValue || 0))
+        .sort(bySpecificity)[0];
+
+      if (freeDelivery) {
+        explanation.adjustments.push({
+          type: "FREE_DELIVERY",
+          rule: ruleRef(freeDelivery),
+          detail: `Free delivery on orders of ${freeDelivery.minOrderValue || 0} or more`,
+          amountBefore: explanation.amount,
+          amountAfter: 0,
+        });
+        explanation.amount = 0;
+      }
+    }
+
+    fees[field] = explanation.amount;
+    feeRules[field] = explanation;
+  }
+
+  return { fees, feeRules };
+}
+
+/**
+ * Resolve order charges for a pricing request
+ * Falls back to the flat fees config if rules cannot be loaded.
+ *
+ * @param {Object} context
+ * @param {string} context.zoneId - Delivery zone ID
+ * @param {string} context.menuType - Menu type
+ * @param {string} context.mealWindow - Meal window
+ * @param {number} context.orderValue - Items + add-ons total
+ * @param {Object} context.kitchenCoordinates - Kitchen {latitude, longitude}
+ * @param {Object} context.deliveryCoordinates - Customer {latitude, longitude}
+ * @param {Date} context.at - Pricing time (default now)
+ * @returns {Promise<{fees: Object, feeRules: Object, distanceKm: number|null}>}
+ */
+export async function resolveOrderFees({
+  zoneId,
+  menuType,
+  mealWindow,
+  orderValue = 0,
+  kitchenCoordinates,
+  deliveryCoordinates,
+  at = new Date(),
+} = {}) {
+  const baseFees = getFeesConfig();
+  const distanceKm = getDeliveryDistanceKm(kitchenCoordinates, deliveryCoordinates);
+
+  let rules = [];
+  try {
+    rules = await PricingRule.findEffective(at);
+  } catch (error) {
+    console.log("> PricingRules: Failed to load rules, using flat fees:", error.message);
+  }
+
+  const { fees, feeRules } = applyPricingRules(
+    rules,
+    { zoneId, menuType, mealWindow, orderValue, distanceKm },
+    baseFees,
+    at
+  );
+
+  return { fees, feeRules, distanceKm };
+}
+
+export default {
+  getDeliveryDistanceKm,
+  getRuleDefinitionError,
+  applyPricingRules,
+  resolveOrderFees,
+};
@@ -0,0 +1,43 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Console notification provider
+ * Local stand-in for SMS, email and WhatsApp. Messages are logged and
+ * appended as JSON lines to an outbox file instead of being sent.
+ *
+ * Env: NOTIFICATION_OUTBOX_FILE (default logs/notification-outbox.log)
+ */
+
+const OUTBOX_FILE = process.env.NOTIFICATION_OUTBOX_FILE || path.join("logs", "notification-outbox.log");
+
+/**
+ * Write a message to the outbox
+ * @param {string} channel - Channel being stood in for
+ * @param {string} recipient - Phone or email
+ * @param {Object} params
+ * @param {string} params.title - Notification title
+ * @param {string} params.body - Notification body
+ * @param {string} params.type - Notification type
+ * @returns {Promise<Array<Object>>} Single-element result list
+ */
+export const send = async (channel, recipient, { title, body, type }) => {
+  const messageId = `console-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 6)}`;
+  const entry = { messageId, channel, to: recipient, type, title, body, at: new Date().toISOString() };
+
+  console.log(`> [${channel} OUTBOX] to ${recipient}: ${title} - ${body}`);
+
+  try {
+    await fs.mkdir(path.dirname(OUTBOX_FILE), { recursive: true });
+    await fs.appendFile(OUTBOX_FILE, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    console.log("> Notification outbox write failed:", error.message);
+  }
+
+  return [{ success: true, recipient, messageId, errorCode: null }];
+};
+
+export default {
+  providerName: "console",
+  send,
+};
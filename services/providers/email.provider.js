@@ -0,0 +1,88 @@
+/**
+ * Email provider
+ * Implements the notification channel interface using the SendGrid v3 API
+ *
+ * Env: SENDGRID_API_KEY, EMAIL_FROM, EMAIL_FROM_NAME
+ */
+
+const SENDGRID_URL = "https://api.sendgrid.com/v3/mail/send";
+
+/**
+ * Escape text for the HTML part
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Check if the email API is configured
+ * @returns {boolean}
+ */
+export const isConfigured = () => {
+  return Boolean(process.env.SENDGRID_API_KEY && process.env.EMAIL_FROM);
+};
+
+/**
+ * Recipient for a user
+ * @param {Object} user - User (email)
+ * @returns {string|null} Email address or null
+ */
+export const getRecipient = (user) => {
+  return user?.email || null;
+};
+
+/**
+ * Send an email
+ * @param {Object} params
+ * @param {Object} params.user - User (email, name)
+ * @param {string} params.title - Used as the subject
+ * @param {string} params.body - Message text
+ * @returns {Promise<Array<Object>>} Single-element result list
+ */
+export const send = async ({ user, title, body }) => {
+  const to = getRecipient(user);
+
+  try {
+    const response = await fetch(SENDGRID_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${process.env.SENDGRID_API_KEY}`,
+      },
+      body: JSON.stringify({
+        personalizations: [{ to: [{ email: to, ...(user.name && { name: user.name }) }] }],
+        from: { email: process.env.EMAIL_FROM, name: process.env.EMAIL_FROM_NAME || "Tiffsy" },
+        subject: title,
+        content: [
+          { type: "text/plain", value: body },
+          { type: "text/html", value: `<p>${escapeHtml(body)}</p>` },
+        ],
+      }),
+    });
+
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      console.log("> Email send failed:", { status: response.status, error: payload.errors?.[0]?.message });
+      return [{ success: false, recipient: to, messageId: null, errorCode: `HTTP_${response.status}` }];
+    }
+
+    return [{ success: true, recipient: to, messageId: response.headers.get("x-message-id"), errorCode: null }];
+  } catch (error) {
+    console.log("> Email send error:", error.message);
+    return [{ success: false, recipient: to, messageId: null, errorCode: error.code || error.message }];
+  }
+};
+
+export default {
+  channel: "EMAIL",
+  providerName: "sendgrid",
+  isConfigured,
+  getRecipient,
+  send,
+};
@@ -0,0 +1,264 @@
+import { firebaseAdmin } from "../../config/firebase.config.js";
+
+/**
+ * FCM push provider
+ * Implements the notification channel interface for Firebase Cloud Messaging
+ *
+ * - Platform-specific: Different payloads for Android/iOS/Web
+ * - React Native compatible: Uses @react-native-firebase/messaging structure
+ */
+
+/**
+ * Notification Channel Mapping for React Native Android
+ * Maps notification types to Android notification channels
+ * Channels must be created on the client side first
+ */
+const NOTIFICATION_CHANNELS = {
+  // Order related notifications - high priority (for customers)
+  ORDER_ACCEPTED: "orders_channel",
+  ORDER_REJECTED: "orders_channel",
+  ORDER_PREPARING: "orders_channel",
+  ORDER_READY: "orders_channel",
+  ORDER_PICKED_UP: "orders_channel",
+  ORDER_OUT_FOR_DELIVERY: "orders_channel",
+  ORDER_DELIVERED: "orders_channel",
+  ORDER_CANCELLED: "orders_channel",
+  ORDER_FAILED: "orders_channel",
+  ORDER_CLAIM_RESOLVED: "orders_channel",
+  ORDER_AMENDED: "orders_channel",
+  ORDER_REDELIVERY: "orders_channel",
+  ORDER_FAILURE_RESOLVED: "orders_channel",
+  AUTO_ORDER_SUCCESS: "orders_channel",
+  AUTO_ORDER_FAILED: "subscriptions_channel",
+
+  // Kitchen notifications - high priority (for kitchen staff)
+  NEW_MANUAL_ORDER: "kitchen_channel",
+  NEW_AUTO_ORDER: "kitchen_channel",
+  NEW_AUTO_ACCEPTED_ORDER: "kitchen_channel",
+  BATCH_REMINDER: "kitchen_channel",
+  AUTO_ORDER_FORECAST: "kitchen_channel",
+  ORDER_CLAIM: "kitchen_channel",
+  ORDER_RETURNING: "kitchen_channel",
+
+  // Subscription/Voucher related
+  VOUCHER_EXPIRY_REMINDER: "subscriptions_channel",
+  SUBSCRIPTION_CREATED: "subscriptions_channel",
+  SUBSCRIPTION_EXPIRING: "subscriptions_channel",
+
+  // Delivery/Batch related - for drivers
+  BATCH_READY: "delivery_channel",
+  BATCH_ASSIGNED: "delivery_channel",
+  DELIVERY_ASSIGNED: "delivery_channel",
+
+  // General/Promotional
+  MENU_UPDATE: "general_channel",
+  PROMOTIONAL: "general_channel",
+  SYSTEM_UPDATE: "general_channel",
+  ADMIN_PUSH: "general_channel",
+  CUSTOM: "general_channel",
+};
+
+/**
+ * Get the appropriate notification channel for a notification type
+ * @param {string} type - Notification type
+ * @returns {string} Channel ID
+ */
+function getChannelId(type) {
+  return NOTIFICATION_CHANNELS[type] || "default_channel";
+}
+
+/**
+ * Determine notification priority based on channel
+ * @param {string} channelId - Notification channel ID
+ * @returns {string} "high" or "default"
+ */
+function getNotificationPriority(channelId) {
+  const highPriorityChannels = ["orders_channel", "delivery_channel", "subscriptions_channel", "kitchen_channel"];
+  return highPriorityChannels.includes(channelId) ? "high" : "default";
+}
+
+/**
+ * Platform-specific payload builders for React Native
+ * Optimized for @react-native-firebase/messaging
+ */
+const buildPayload = {
+  /**
+   * Android payload for React Native
+   * Uses notification + data message with channelId at android level
+   */
+  ANDROID: (title, body, data, type) => {
+    const channelId = getChannelId(type);
+    const priority = getNotificationPriority(channelId);
+
+    return {
+      notification: {
+        title,
+        body,
+      },
+      data: {
+        ...Object.fromEntries(
+          Object.entries(data || {}).map(([k, v]) => [k, String(v)])
+        ),
+        type: type || "GENERAL",
+        channelId, // Included in data for client-side use
+      },
+      android: {
+        priority,
+        ttl: 86400 * 1000, // 24 hours in ms
+        notification: {
+          channelId, // channelId goes inside notification object
+          sound: "default",
+          priority: priority === "high" ? "high" : "default",
+        },
+      },
+    };
+  },
+
+  /**
+   * iOS payload for React Native
+   * Uses notification + data message with APNs configuration
+   */
+  IOS: (title, body, data, type) => ({
+    notification: {
+      title,
+      body,
+    },
+    data: {
+      ...Object.fromEntries(
+        Object.entries(data || {}).map(([k, v]) => [k, String(v)])
+      ),
+      type: type || "GENERAL",
+    },
+    apns: {
+      payload: {
+        aps: {
+          sound: "default",
+          badge: 1,
+          "content-available": 1,
+        },
+      },
+    },
+  }),
+
+  /**
+   * Web payload (for Admin Portal if needed)
+   */
+  WEB: (title, body, data, type) => ({
+    notification: {
+      title,
+      body,
+    },
+    data: {
+      ...Object.fromEntries(
+        Object.entries(data || {}).map(([k, v]) => [k, String(v)])
+      ),
+      type: type || "GENERAL",
+    },
+    webpush: {
+      fcmOptions: {
+        link: data?.webLink || "/",
+      },
+    },
+  }),
+};
+
+/**
+ * Error codes that indicate the FCM token is invalid and should be removed
+ */
+const INVALID_TOKEN_ERRORS = [
+  "messaging/invalid-registration-token",
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-argument",
+];
+
+/**
+ * Check if error indicates token should be removed
+ * @param {Error} error - FCM error object
+ * @returns {boolean}
+ */
+function isInvalidTokenError(error) {
+  return INVALID_TOKEN_ERRORS.includes(error.code);
+}
+
+/**
+ * Send FCM notification to a single token
+ * @param {string} token - FCM device token
+ * @param {string} deviceType - ANDROID, IOS, or WEB
+ * @param {string} title - Notification title
+ * @param {string} body - Notification body
+ * @param {Object} data - Optional payload data for deep linking
+ * @param {string} type - Notification type for channel mapping
+ * @returns {Promise<{success: boolean, messageId?: string, error?: string, shouldRemoveToken?: boolean}>}
+ */
+export async function sendToToken(token, deviceType, title, body, data = {}, type = "GENERAL") {
+  try {
+    const payloadBuilder = buildPayload[deviceType] || buildPayload.ANDROID;
+    const message = {
+      token,
+      ...payloadBuilder(title, body, data, type),
+    };
+
+    const response = await firebaseAdmin.messaging().send(message);
+
+    console.log("> FCM sent successfully:", { messageId: response, deviceType, type, channelId: getChannelId(type) });
+
+    return { success: true, messageId: response };
+  } catch (error) {
+    console.log("> FCM send failed:", {
+      errorCode: error.code,
+      errorMessage: error.message,
+      deviceType,
+      type,
+    });
+
+    return {
+      success: false,
+      error: error.code || error.message,
+      shouldRemoveToken: isInvalidTokenError(error),
+    };
+  }
+}
+
+/**
+ * Recipient for a user - push needs at least one registered device
+ * @param {Object} user - User (fcmTokens)
+ * @returns {string|null} Device count label or null
+ */
+export const getRecipient = (user) => {
+  return user?.fcmTokens?.length ? `${user.fcmTokens.length} device(s)` : null;
+};
+
+/**
+ * Send to all of a user's devices in parallel
+ * @param {Object} params
+ * @param {Object} params.user - User (fcmTokens)
+ * @param {string} params.title - Notification title
+ * @param {string} params.body - Notification body
+ * @param {Object} params.data - Payload data
+ * @param {string} params.type - Notification type
+ * @returns {Promise<Array<Object>>} One result per device
+ */
+export const send = async ({ user, title, body, data, type }) => {
+  return Promise.all(
+    user.fcmTokens.map(async (tokenInfo) => {
+      const result = await sendToToken(tokenInfo.token, tokenInfo.deviceType, title, body, data, type);
+
+      return {
+        success: result.success,
+        token: tokenInfo.token,
+        deviceType: tokenInfo.deviceType,
+        messageId: result.messageId || null,
+        errorCode: result.error || null,
+        shouldRemoveToken: result.shouldRemoveToken || false,
+      };
+    })
+  );
+};
+
+export default {
+  channel: "PUSH",
+  providerName: "fcm",
+  isConfigured: () => true,
+  getRecipient,
+  send,
+};
@@ -0,0 +1,81 @@
+/**
+ * SMS provider
+ * Implements the notification channel interface for an HTTP SMS gateway
+ *
+ * POSTs JSON { sender, to, message } to SMS_API_URL with a bearer token.
+ * Most Indian gateways accept this shape directly or through a thin relay;
+ * DLT template registration is handled on the gateway side.
+ *
+ * Env: SMS_API_URL, SMS_API_KEY, SMS_SENDER_ID
+ */
+
+// Keep messages within two SMS segments
+const MAX_SMS_LENGTH = 306;
+
+/**
+ * Check if the gateway is configured
+ * @returns {boolean}
+ */
+export const isConfigured = () => {
+  return Boolean(process.env.SMS_API_URL && process.env.SMS_API_KEY);
+};
+
+/**
+ * Recipient for a user
+ * @param {Object} user - User (phone)
+ * @returns {string|null} Phone in international format or null
+ */
+export const getRecipient = (user) => {
+  return user?.phone ? `91${user.phone}` : null;
+};
+
+/**
+ * Send an SMS
+ * @param {Object} params
+ * @param {Object} params.user - User (phone)
+ * @param {string} params.title - Notification title
+ * @param {string} params.body - Notification body
+ * @returns {Promise<Array<Object>>} Single-element result list
+ */
+export const send = async ({ user, title, body }) => {
+  const to = getRecipient(user);
+  let message = `${title}: ${body}`;
+  if (message.length > MAX_SMS_LENGTH) {
+    message = `${message.substring(0, MAX_SMS_LENGTH - 3)}...`;
+  }
+
+  try {
+    const response = await fetch(process.env.SMS_API_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${process.env.SMS_API_KEY}`,
+      },
+      body: JSON.stringify({
+        sender: process.env.SMS_SENDER_ID || "TIFFSY",
+        to,
+        message,
+      }),
+    });
+
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      console.log("> SMS send failed:", { status: response.status, error: payload.message || payload.error });
+      return [{ success: false, recipient: to, messageId: null, errorCode: `HTTP_${response.status}` }];
+    }
+
+    return [{ success: true, recipient: to, messageId: payload.messageId || payload.id || null, errorCode: null }];
+  } catch (error) {
+    console.log("> SMS send error:", error.message);
+    return [{ success: false, recipient: to, messageId: null, errorCode: error.code || error.message }];
+  }
+};
+
+export default {
+  channel: "SMS",
+  providerName: "http-sms",
+  isConfigured,
+  getRecipient,
+  send,
+};
@@ -0,0 +1,115 @@
+/**
+ * WhatsApp provider
+ * Implements the notification channel interface using the WhatsApp Cloud API
+ *
+ * Business-initiated messages outside a 24h customer session must use an
+ * approved template. Set WHATSAPP_TEMPLATE_NAME to a template whose body
+ * takes two parameters ({{1}} title, {{2}} message); without it a plain
+ * text message is sent, which only reaches users with an open session.
+ *
+ * Env: WHATSAPP_ACCESS_TOKEN, WHATSAPP_PHONE_NUMBER_ID,
+ *      WHATSAPP_TEMPLATE_NAME, WHATSAPP_TEMPLATE_LANGUAGE
+ */
+
+const GRAPH_API_VERSION = "v21.0";
+
+/**
+ * Check if the Cloud API is configured
+ * @returns {boolean}
+ */
+export const isConfigured = () => {
+  return Boolean(process.env.WHATSAPP_ACCESS_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID);
+};
+
+/**
+ * Recipient for a user
+ * @param {Object} user - User (phone)
+ * @returns {string|null} Phone in international format or null
+ */
+export const getRecipient = (user) => {
+  return user?.phone ? `91${user.phone}` : null;
+};
+
+/**
+ * Build the message object (template if configured, else text)
+ * @param {string} title - Notification title
+ * @param {string} body - Notification body
+ * @returns {Object} Cloud API message fields
+ */
+function buildMessage(title, body) {
+  const templateName = process.env.WHATSAPP_TEMPLATE_NAME;
+
+  if (!templateName) {
+    return { type: "text", text: { body: `*${title}*\n${body}` } };
+  }
+
+  return {
+    type: "template",
+    template: {
+      name: templateName,
+      language: { code: process.env.WHATSAPP_TEMPLATE_LANGUAGE || "en" },
+      components: [
+        {
+          type: "body",
+          parameters: [
+            { type: "text", text: title },
+            { type: "text", text: body },
+          ],
+        },
+      ],
+    },
+  };
+}
+
+/**
+ * Send a WhatsApp message
+ * @param {Object} params
+ * @param {Object} params.user - User (phone)
+ * @param {string} params.title - Notification title
+ * @param {string} params.body - Notification body
+ * @returns {Promise<Array<Object>>} Single-element result list
+ */
+export const send = async ({ user, title, body }) => {
+  const to = getRecipient(user);
+  const url = `https://graph.facebook.com/${GRAPH_API_VERSION}/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`;
+
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
+      },
+      body: JSON.stringify({
+        messaging_product: "whatsapp",
+        to,
+        ...buildMessage(title, body),
+      }),
+    });
+
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      console.log("> WhatsApp send failed:", { status: response.status, error: payload.error?.message });
+      return [{
+        success: false,
+        recipient: to,
+        messageId: null,
+        errorCode: payload.error?.code ? `WA_${payload.error.code}` : `HTTP_${response.status}`,
+      }];
+    }
+
+    return [{ success: true, recipient: to, messageId: payload.messages?.[0]?.id || null, errorCode: null }];
+  } catch (error) {
+    console.log("> WhatsApp send error:", error.message);
+    return [{ success: false, recipient: to, messageId: null, errorCode: error.code || error.message }];
+  }
+};
+
+export default {
+  channel: "WHATSAPP",
+  providerName: "whatsapp-cloud",
+  isConfigured,
+  getRecipient,
+  send,
+};
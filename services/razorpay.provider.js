@@ -311,6 +311,256 @@ export async function fetchOrderPayments(orderId) {
   }
 }
 
+/**
+ * Whether recurring payments go to the local stand-in
+ * Set RAZORPAY_RECURRING_MODE=mock for development and testing; charges
+ * then succeed immediately unless RAZORPAY_RECURRING_MOCK_RESULT=failure.
+ * @returns {boolean}
+ */
+export function isRecurringMockMode() {
+  return process.env.RAZORPAY_RECURRING_MODE === "mock";
+}
+
+/**
+ * Create (or fetch the existing) Razorpay customer for recurring payments
+ * @param {Object} params
+ * @param {string} params.name - Customer name
+ * @param {string} params.contact - Phone number
+ * @param {string} params.email - Email (optional)
+ * @returns {Promise<Object>} { id }
+ */
+export async function createCustomer({ name, contact, email }) {
+  if (isRecurringMockMode()) {
+    return { id: `cust_mock_${contact}` };
+  }
+
+  const razorpay = getRazorpayInstance();
+
+  try {
+    const customer = await razorpay.customers.create({
+      name,
+      contact,
+      email,
+      fail_existing: "0",
+    });
+    return { id: customer.id };
+  } catch (error) {
+    console.log("> Razorpay createCustomer error:", error.message);
+    throw new Error(`Failed to create customer: ${error.message}`);
+  }
+}
+
+/**
+ * Create an order that registers a recurring payment mandate
+ * The customer completes it in checkout with `recurring: 1`; the resulting
+ * payment carries the token used for later charges.
+ * @param {Object} params
+ * @param {number} params.amount - Authorization amount in rupees
+ * @param {string} params.customerId - Razorpay customer ID
+ * @param {number} params.maxAmount - Largest amount a later charge may take (rupees)
+ * @param {Date} params.expiresAt - Mandate expiry
+ * @param {string} params.receipt - Unique receipt ID
+ * @param {Object} params.notes - Additional notes/metadata
+ * @returns {Promise<Object>} Razorpay order object
+ */
+export async function createMandateOrder({ amount, customerId, maxAmount, expiresAt, receipt, notes = {} }) {
+  if (isRecurringMockMode()) {
+    return {
+      id: `order_mock_${crypto.randomBytes(7).toString("hex")}`,
+      amount: Math.round(amount * 100),
+      amountRupees: amount,
+      currency: "INR",
+      receipt,
+      status: "created",
+      customerId,
+    };
+  }
+
+  const razorpay = getRazorpayInstance();
+
+  try {
+    const order = await razorpay.orders.create({
+      amount: Math.round(amount * 100),
+      currency: "INR",
+      customer_id: customerId,
+      payment_capture: 1,
+      receipt,
+      notes,
+      token: {
+        max_amount: Math.round(maxAmount * 100),
+        expire_at: Math.floor(expiresAt.getTime() / 1000),
+        frequency: "as_presented",
+      },
+    });
+    return {
+      id: order.id,
+      amount: order.amount,
+      amountRupees: amount,
+      currency: order.currency,
+      receipt: order.receipt,
+      status: order.status,
+      customerId,
+    };
+  } catch (error) {
+    console.log("> Razorpay createMandateOrder error:", error.message);
+    throw new Error(`Failed to create mandate order: ${error.message}`);
+  }
+}
+
+/**
+ * Create an order for a charge against a saved mandate
+ * @param {Object} params
+ * @param {number} params.amount - Amount in rupees
+ * @param {string} params.customerId - Razorpay customer ID
+ * @param {string} params.receipt - Unique receipt ID
+ * @param {Object} params.notes - Additional notes/metadata
+ * @returns {Promise<Object>} Razorpay order object
+ */
+export async function createRecurringOrder({ amount, customerId, receipt, notes = {} }) {
+  if (isRecurringMockMode()) {
+    return {
+      id: `order_mock_${crypto.randomBytes(7).toString("hex")}`,
+      amount: Math.round(amount * 100),
+      amountRupees: amount,
+      currency: "INR",
+      receipt,
+      status: "created",
+    };
+  }
+
+  const razorpay = getRazorpayInstance();
+
+  try {
+    const order = await razorpay.orders.create({
+      amount: Math.round(amount * 100),
+      currency: "INR",
+      customer_id: customerId,
+      payment_capture: 1,
+      receipt,
+      notes,
+    });
+    return {
+      id: order.id,
+      amount: order.amount,
+      amountRupees: amount,
+      currency: order.currency,
+      receipt: order.receipt,
+      status: order.status,
+    };
+  } catch (error) {
+    console.log("> Razorpay createRecurringOrder error:", error.message);
+    throw new Error(`Failed to create recurring order: ${error.message}`);
+  }
+}
+
+/**
+ * Get the mandate token created by an authorization payment
+ * @param {string} paymentId - Razorpay payment ID of the authorization
+ * @returns {Promise<Object>} { tokenId, method }
+ */
+export async function fetchPaymentToken(paymentId) {
+  if (isRecurringMockMode()) {
+    return { tokenId: `token_mock_${paymentId}`, method: "upi" };
+  }
+
+  const razorpay = getRazorpayInstance();
+
+  try {
+    const payment = await razorpay.payments.fetch(paymentId);
+    if (!payment.token_id) {
+      throw new Error("Payment did not create a mandate token");
+    }
+    return { tokenId: payment.token_id, method: payment.method };
+  } catch (error) {
+    console.log("> Razorpay fetchPaymentToken error:", error.message);
+    throw new Error(`Failed to fetch mandate token: ${error.message}`);
+  }
+}
+
+/**
+ * Charge a saved mandate
+ * The charge settles asynchronously (payment.captured / payment.failed
+ * webhooks); in mock mode the result is known immediately.
+ * @param {Object} params
+ * @param {string} params.orderId - Razorpay order ID (from createOrder)
+ * @param {string} params.customerId - Razorpay customer ID
+ * @param {string} params.tokenId - Mandate token ID
+ * @param {number} params.amount - Amount in rupees
+ * @param {string} params.contact - Customer phone
+ * @param {string} params.email - Customer email
+ * @param {string} params.description - Shown on the customer's statement
+ * @param {Object} params.notes - Additional notes/metadata
+ * @returns {Promise<Object>} { paymentId, orderId, status } (status: "created" | "captured" | "failed")
+ */
+export async function createRecurringPayment({
+  orderId,
+  customerId,
+  tokenId,
+  amount,
+  contact,
+  email,
+  description,
+  notes = {},
+}) {
+  if (isRecurringMockMode()) {
+    const failed = process.env.RAZORPAY_RECURRING_MOCK_RESULT === "failure";
+    return {
+      paymentId: `pay_mock_${crypto.randomBytes(7).toString("hex")}`,
+      orderId,
+      status: failed ? "failed" : "captured",
+      errorDescription: failed ? "Mock mandate charge declined" : null,
+    };
+  }
+
+  const razorpay = getRazorpayInstance();
+
+  try {
+    const response = await razorpay.payments.createRecurringPayment({
+      email: email || "void@razorpay.com",
+      contact,
+      amount: Math.round(amount * 100),
+      currency: "INR",
+      order_id: orderId,
+      customer_id: customerId,
+      token: tokenId,
+      recurring: "1",
+      description,
+      notes,
+    });
+    return {
+      paymentId: response.razorpay_payment_id,
+      orderId: response.razorpay_order_id,
+      status: "created",
+      errorDescription: null,
+    };
+  } catch (error) {
+    console.log("> Razorpay createRecurringPayment error:", error.message);
+    throw new Error(`Failed to charge mandate: ${error.message}`);
+  }
+}
+
+/**
+ * Revoke a mandate token
+ * @param {string} customerId - Razorpay customer ID
+ * @param {string} tokenId - Mandate token ID
+ * @returns {Promise<boolean>}
+ */
+export async function cancelMandateToken(customerId, tokenId) {
+  if (isRecurringMockMode()) {
+    return true;
+  }
+
+  const razorpay = getRazorpayInstance();
+
+  try {
+    await razorpay.customers.deleteToken(customerId, tokenId);
+    return true;
+  } catch (error) {
+    console.log("> Razorpay cancelMandateToken error:", error.message);
+    throw new Error(`Failed to cancel mandate: ${error.message}`);
+  }
+}
+
 /**
  * Map Razorpay payment method to internal payment method
  * @param {string} razorpayMethod - Razorpay method string
@@ -348,6 +598,13 @@ export default {
   fetchRefund,
   fetchOrder,
   fetchOrderPayments,
+  isRecurringMockMode,
+  createCustomer,
+  createMandateOrder,
+  createRecurringOrder,
+  fetchPaymentToken,
+  createRecurringPayment,
+  cancelMandateToken,
   mapPaymentMethod,
   isAvailable,
 };
@@ -0,0 +1,245 @@
+import { once } from "events";
+import ExcelJS from "exceljs";
+
+/**
+ * Report Export Service
+ * Streams admin report rows to the client as CSV or XLSX
+ *
+ * Rows are consumed from a MongoDB aggregation cursor and written one at a
+ * time, so large date ranges never have to be held in memory.
+ */
+
+/**
+ * Resolve the display name of the segment a report row belongs to
+ * @param {Object} row - Aggregation row (may carry a looked-up `entity`)
+ * @returns {string} Segment label
+ */
+function getSegmentLabel(row) {
+  if (row.entity) {
+    return row.entity.name || row.entity.code || String(row._id);
+  }
+  return row._id ? String(row._id) : "All";
+}
+
+/**
+ * Round currency values to 2 decimals for export
+ * @param {number} value - Raw value
+ * @returns {number} Rounded value
+ */
+function toAmount(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * Column definitions per report type
+ * Each column has a header and a value getter for an aggregation row
+ */
+export const REPORT_COLUMNS = {
+  ORDERS: [
+    { header: "Segment", width: 30, value: getSegmentLabel },
+    { header: "Segment ID", width: 26, value: (row) => (row._id ? String(row._id) : "") },
+    { header: "Total Orders", width: 14, value: (row) => row.totalOrders || 0 },
+    { header: "Total Value", width: 14, value: (row) => toAmount(row.totalValue) },
+    { header: "Avg Order Value", width: 16, value: (row) => toAmount(row.avgOrderValue) },
+  ],
+  REVENUE: [
+    { header: "Segment", width: 30, value: getSegmentLabel },
+    { header: "Segment ID", width: 26, value: (row) => (row._id ? String(row._id) : "") },
+    { header: "Total Revenue", width: 14, value: (row) => toAmount(row.totalRevenue) },
+    { header: "Subtotal", width: 14, value: (row) => toAmount(row.subtotalSum) },
+    { header: "Charges", width: 14, value: (row) => toAmount(row.chargesSum) },
+    { header: "Discounts", width: 14, value: (row) => toAmount(row.discountsSum) },
+  ],
+  VOUCHERS: [
+    { header: "Status", width: 16, value: (row) => row._id || "" },
+    { header: "Count", width: 12, value: (row) => row.count || 0 },
+  ],
+  REFUNDS: [
+    { header: "Status", width: 16, value: (row) => row._id || "" },
+    { header: "Count", width: 12, value: (row) => row.count || 0 },
+    { header: "Total Amount", width: 14, value: (row) => toAmount(row.totalAmount) },
+  ],
+};
+
+/**
+ * Supported export formats
+ */
+export const EXPORT_FORMATS = {
+  CSV: {
+    extension: "csv",
+    contentType: "text/csv; charset=utf-8",
+  },
+  XLSX: {
+    extension: "xlsx",
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+};
+
+/**
+ * Format a date as YYYY-MM-DD for filenames
+ * @param {Date|string} date - Date to format
+ * @returns {string} Formatted date
+ */
+function formatFileDate(date) {
+  return new Date(date).toISOString().split("T")[0];
+}
+
+/**
+ * Build the download filename for a report
+ * Example: orders-report_by-kitchen_2025-01-01_to_2025-01-31.csv
+ * @param {Object} options
+ * @param {string} options.type - Report type (ORDERS, REVENUE, VOUCHERS, REFUNDS)
+ * @param {string} options.segmentBy - Segment grouping (CITY, ZONE, KITCHEN)
+ * @param {Date|string} options.dateFrom - Start of date range
+ * @param {Date|string} options.dateTo - End of date range
+ * @param {string} options.extension - File extension
+ * @returns {string} Filename
+ */
+export function buildReportFilename({ type, segmentBy, dateFrom, dateTo, extension }) {
+  const parts = [`${type.toLowerCase()}-report`];
+
+  parts.push(segmentBy ? `by-${segmentBy.toLowerCase()}` : "all");
+
+  if (dateFrom && dateTo) {
+    parts.push(`${formatFileDate(dateFrom)}_to_${formatFileDate(dateTo)}`);
+  } else if (dateFrom) {
+    parts.push(`from_${formatFileDate(dateFrom)}`);
+  } else if (dateTo) {
+    parts.push(`until_${formatFileDate(dateTo)}`);
+  } else {
+    parts.push("all-time");
+  }
+
+  return `${parts.join("_")}.${extension}`;
+}
+
+/**
+ * Escape a single CSV cell (RFC 4180)
+ * Values starting with formula characters are prefixed to prevent
+ * spreadsheet formula injection when finance opens the file.
+ * @param {any} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCsvCell(value) {
+  if (value === null || value === undefined) return "";
+
+  let str = String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(str)) {
+    str = `'${str}`;
+  }
+
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Error for a download the client gave up on
+ * @returns {Error}
+ */
+function clientClosedError() {
+  const error = new Error("Client closed the connection");
+  error.code = "CLIENT_CLOSED";
+  return error;
+}
+
+/**
+ * Stop streaming once the client has gone away
+ * @param {Object} res - Express response
+ */
+function assertOpen(res) {
+  if (res.destroyed) {
+    throw clientClosedError();
+  }
+}
+
+/**
+ * Write a chunk to the response, waiting for drain when the buffer is full
+ * No drain ever follows a closed connection, so close ends the wait too.
+ * @param {Object} res - Express response
+ * @param {string} chunk - Data to write
+ */
+async function writeChunk(res, chunk) {
+  assertOpen(res);
+  if (!res.write(chunk)) {
+    const controller = new AbortController();
+    try {
+      await Promise.race([
+        once(res, "drain", { signal: controller.signal }),
+        once(res, "close", { signal: controller.signal }),
+      ]);
+    } finally {
+      controller.abort();
+    }
+    assertOpen(res);
+  }
+}
+
+/**
+ * Stream report rows as CSV
+ * @param {Object} res - Express response (headers already set)
+ * @param {AsyncIterable<Object>} rows - Aggregation cursor
+ * @param {Array<Object>} columns - Column definitions
+ * @returns {Promise<number>} Number of data rows written
+ */
+export async function streamCsv(res, rows, columns) {
+  // UTF-8 BOM so Excel detects the encoding of rupee symbols and names
+  await writeChunk(res, "\uFEFF");
+  await writeChunk(res, columns.map((c) => escapeCsvCell(c.header)).join(",") + "\r\n");
+
+  let rowCount = 0;
+  for await (const row of rows) {
+    const line = columns.map((c) => escapeCsvCell(c.value(row))).join(",");
+    await writeChunk(res, line + "\r\n");
+    rowCount++;
+  }
+
+  assertOpen(res);
+  res.end();
+  return rowCount;
+}
+
+/**
+ * Stream report rows as an XLSX workbook
+ * Uses the exceljs streaming writer so rows are flushed as they are committed
+ * @param {Object} res - Express response (headers already set)
+ * @param {AsyncIterable<Object>} rows - Aggregation cursor
+ * @param {Array<Object>} columns - Column definitions
+ * @param {string} sheetName - Worksheet name
+ * @returns {Promise<number>} Number of data rows written
+ */
+export async function streamXlsx(res, rows, columns, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+    useSharedStrings: false,
+  });
+  workbook.creator = "Tiffsy";
+  workbook.created = new Date();
+
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = columns.map((c) => ({ header: c.header, width: c.width }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).commit();
+
+  let rowCount = 0;
+  for await (const row of rows) {
+    assertOpen(res);
+    worksheet.addRow(columns.map((c) => c.value(row))).commit();
+    rowCount++;
+  }
+
+  assertOpen(res);
+  worksheet.commit();
+  await workbook.commit();
+  return rowCount;
+}
+
+export default {
+  REPORT_COLUMNS,
+  EXPORT_FORMATS,
+  buildReportFilename,
+  streamCsv,
+  streamXlsx,
+};
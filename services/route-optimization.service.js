@@ -0,0 +1,301 @@
+import DeliveryAssignment from "../schema/deliveryAssignment.schema.js";
+import Order from "../schema/order.schema.js";
+import Kitchen from "../schema/kitchen.schema.js";
+import { hasValidCoordinates, haversineDistanceKm } from "../utils/geo.utils.js";
+import { estimateEta } from "./tracking.service.js";
+
+/**
+ * Route Optimization Service
+ * Computes the drop order for a delivery batch without an external map service
+ *
+ * Starting at the kitchen, a nearest-neighbour tour is built over the
+ * delivery coordinates and then improved with 2-opt segment reversals.
+ * Distances are straight-line; per-stop ETAs use the same speed model as
+ * live tracking so the customer sees consistent times.
+ */
+
+// Safety cap on 2-opt passes (batches are small, this is rarely reached)
+const MAX_TWO_OPT_PASSES = 50;
+const MIN_IMPROVEMENT_KM = 1e-6;
+
+/**
+ * Total open-path distance from origin through the locatable stops in order
+ * @param {Object} origin - {latitude, longitude}
+ * @param {Array<Object>} stops - Stops with {latitude, longitude}
+ * @returns {number} Distance in km (2 decimals)
+ */
+function routeDistanceKm(origin, stops) {
+  if (!hasValidCoordinates(origin?.latitude, origin?.longitude)) return 0;
+
+  let total = 0;
+  let cursor = origin;
+  for (const stop of stops) {
+    if (!hasValidCoordinates(stop.latitude, stop.longitude)) continue;
+    total += haversineDistanceKm(cursor, stop);
+    cursor = stop;
+  }
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Greedy tour: always visit the closest unvisited stop next
+ */
+function nearestNeighbourTour(origin, stops) {
+  const remaining = [...stops];
+  const tour = [];
+  let cursor = origin;
+
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    let bestDistance = Infinity;
+    remaining.forEach((stop, index) => {
+      const distance = haversineDistanceKm(cursor, stop);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        bestIndex = index;
+      }
+    });
+
+    cursor = remaining.splice(bestIndex, 1)[0];
+    tour.push(cursor);
+  }
+
+  return tour;
+}
+
+/**
+ * Improve an open tour by reversing segments while it gets shorter
+ * The origin is fixed and the route does not return to it.
+ */
+function twoOpt(origin, tour) {
+  const route = [...tour];
+  const n = route.length;
+  if (n < 3) return route;
+
+  const dist = (a, b) => (a && b ? haversineDistanceKm(a, b) : 0);
+
+  for (let pass = 0; pass < MAX_TWO_OPT_PASSES; pass++) {
+    let improved = false;
+
+    for (let i = 0; i < n - 1; i++) {
+      const before = i === 0 ? origin : route[i - 1];
+
+      for (let k = i + 1; k < n; k++) {
+        const after = route[k + 1] || null;
+        const delta =
+          dist(before, route[k]) + dist(route[i], after) -
+          dist(before, route[i]) - dist(route[k], after);
+
+        if (delta < -MIN_IMPROVEMENT_KM) {
+          const segment = route.slice(i, k + 1).reverse();
+          route.splice(i, segment.length, ...segment);
+          improved = true;
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return route;
+}
+
+/**
+ * Order stops for the shortest route from an origin
+ * Stops without usable coordinates keep their relative order and go last.
+ *
+ * @param {Object} origin - {latitude, longitude}
+ * @param {Array<Object>} stops - Stops with {latitude, longitude} plus any payload
+ * @returns {{route: Array<Object>, distanceKm: number}}
+ */
+export function optimizeRoute(origin, stops) {
+  const locatable = stops.filter((s) => hasValidCoordinates(s.latitude, s.longitude));
+  const unlocatable = stops.filter((s) => !hasValidCoordinates(s.latitude, s.longitude));
+
+  if (!hasValidCoordinates(origin?.latitude, origin?.longitude) || locatable.length === 0) {
+    return { route: [...stops], distanceKm: 0 };
+  }
+
+  const route = twoOpt(origin, nearestNeighbourTour(origin, locatable));
+
+  return {
+    route: [...route, ...unlocatable],
+    distanceKm: routeDistanceKm(origin, route),
+  };
+}
+
+/**
+ * Estimated arrival at each stop when driving the route in order
+ * @param {Object} origin - {latitude, longitude}
+ * @param {Array<Object>} route - Ordered stops
+ * @param {Date} startTime - When the driver leaves the origin
+ * @returns {Array<Date|null>} One entry per stop (null when it cannot be located)
+ */
+export function estimateStopArrivals(origin, route, startTime = new Date()) {
+  if (!hasValidCoordinates(origin?.latitude, origin?.longitude)) {
+    return route.map(() => null);
+  }
+
+  const visited = [];
+  return route.map((stop) => {
+    if (!hasValidCoordinates(stop.latitude, stop.longitude)) return null;
+    visited.push(stop);
+    return estimateEta(origin, visited, startTime).estimatedArrival;
+  });
+}
+
+/**
+ * Write a sequence to the batch and mirror it onto orders and assignments
+ * @param {Object} batch - DeliveryBatch document
+ * @param {Array<{orderId, estimatedArrival}>} sequence - Ordered stops
+ */
+async function applySequence(batch, sequence) {
+  batch.deliverySequence = sequence.map((stop, index) => ({
+    orderId: stop.orderId,
+    sequenceNumber: index + 1,
+    estimatedArrival: stop.estimatedArrival || undefined,
+  }));
+  await batch.save();
+
+  for (const [index, stop] of sequence.entries()) {
+    const update = { sequenceInBatch: index + 1 };
+    if (stop.estimatedArrival) {
+      update.estimatedDeliveryTime = stop.estimatedArrival;
+      await Order.updateOne(
+        { _id: stop.orderId },
+        { $set: { estimatedDeliveryTime: stop.estimatedArrival } }
+      );
+    }
+    await DeliveryAssignment.updateOne(
+      { orderId: stop.orderId, batchId: batch._id },
+      { $set: update }
+    );
+  }
+}
+
+/**
+ * Load the kitchen origin and order stops for a batch
+ * @param {Object} batch - DeliveryBatch document
+ * @returns {Promise<{origin: Object|null, stops: Array<Object>}>}
+ */
+async function loadBatchStops(batch) {
+  const [kitchen, orders] = await Promise.all([
+    Kitchen.findById(batch.kitchenId).select("address.coordinates").lean(),
+    Order.find({ _id: { $in: batch.orderIds } })
+      .select("deliveryAddress.coordinates")
+      .lean(),
+  ]);
+
+  const byId = new Map(orders.map((o) => [o._id.toString(), o]));
+
+  // Keep batch order so unlocatable stops stay stable
+  const stops = batch.orderIds
+    .map((id) => byId.get(id.toString()))
+    .filter(Boolean)
+    .map((order) => ({
+      orderId: order._id,
+      latitude: order.deliveryAddress?.coordinates?.latitude,
+      longitude: order.deliveryAddress?.coordinates?.longitude,
+    }));
+
+  return { origin: kitchen?.address?.coordinates || null, stops };
+}
+
+/**
+ * Compute and store the delivery sequence for a batch
+ * SYSTEM_OPTIMIZED batches are always optimized. LOCKED batches with a
+ * sequence, and DRIVER_CHOICE batches whose sequence was set by hand, keep
+ * their order and only get fresh ETAs.
+ *
+ * @param {Object} batch - DeliveryBatch document
+ * @param {Object} options
+ * @param {Date} options.startTime - When the driver leaves the kitchen
+ * @returns {Promise<{optimized: boolean, distanceKm: number, sequence: Array}>}
+ */
+export async function planBatchRoute(batch, { startTime = new Date() } = {}) {
+  const { origin, stops } = await loadBatchStops(batch);
+
+  const hasSequence = batch.deliverySequence?.length > 0;
+  const keepOrder =
+    hasSequence &&
+    (batch.sequencePolicy === "LOCKED" ||
+      (batch.sequencePolicy !== "SYSTEM_OPTIMIZED" && batch.sequenceSetManually));
+
+  let route;
+  if (keepOrder) {
+    const rank = new Map(
+      batch.deliverySequence.map((s) => [s.orderId.toString(), s.sequenceNumber])
+    );
+    const rankOf = (stop) => rank.get(stop.orderId.toString()) ?? Infinity;
+    route = [...stops].sort((a, b) => rankOf(a) - rankOf(b));
+  } else {
+    route = optimizeRoute(origin, stops).route;
+  }
+  const distanceKm = routeDistanceKm(origin, route);
+
+  const arrivals = estimateStopArrivals(origin, route, startTime);
+  const sequence = route.map((stop, index) => ({
+    orderId: stop.orderId,
+    estimatedArrival: arrivals[index],
+  }));
+
+  await applySequence(batch, sequence);
+
+  console.log(
+    `> Route: Batch ${batch.batchNumber} - ${sequence.length} stops, ${distanceKm} km${keepOrder ? " (kept order)" : ""}`
+  );
+
+  return { optimized: !keepOrder, distanceKm, sequence };
+}
+
+/**
+ * Recompute ETAs for a sequence supplied by a driver or kitchen
+ * @param {Object} batch - DeliveryBatch document
+ * @param {Array<{orderId, sequenceNumber}>} sequence - Manual sequence
+ * @param {Object} options
+ * @param {Date} options.startTime - When the driver leaves the kitchen
+ * @returns {Promise<Array>} Stored sequence
+ */
+export async function applyManualSequence(batch, sequence, { startTime = new Date() } = {}) {
+  const { origin, stops } = await loadBatchStops(batch);
+  const stopsById = new Map(stops.map((s) => [s.orderId.toString(), s]));
+
+  const route = [...sequence]
+    .sort((a, b) => a.sequenceNumber - b.sequenceNumber)
+    .map((item) => stopsById.get(item.orderId.toString()) || { orderId: item.orderId });
+
+  const arrivals = estimateStopArrivals(origin, route, startTime);
+  const ordered = route.map((stop, index) => ({
+    orderId: stop.orderId,
+    estimatedArrival: arrivals[index],
+  }));
+
+  batch.sequenceSetManually = true;
+  await applySequence(batch, ordered);
+
+  return batch.deliverySequence;
+}
+
+/**
+ * Plan a batch route, logging instead of throwing
+ * Used on dispatch/accept where routing must not block the flow.
+ * @param {Object} batch - DeliveryBatch document
+ * @param {Object} options - See planBatchRoute
+ * @returns {Promise<Object|null>} Plan result or null on failure
+ */
+export async function safePlanBatchRoute(batch, options = {}) {
+  try {
+    return await planBatchRoute(batch, options);
+  } catch (error) {
+    console.log(`> Route: Failed to plan batch ${batch?.batchNumber}:`, error.message);
+    return null;
+  }
+}
+
+export default {
+  optimizeRoute,
+  estimateStopArrivals,
+  planBatchRoute,
+  applyManualSequence,
+  safePlanBatchRoute,
+};
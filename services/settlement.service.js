@@ -0,0 +1,285 @@
+import Settlement from "../schema/settlement.schema.js";
+import Order from "../schema/order.schema.js";
+import Refund from "../schema/refund.schema.js";
+import { getSettlementConfig } from "./config.service.js";
+
+/**
+ * Settlement Service
+ * Computes partner kitchen payouts from delivered orders
+ *
+ * Per delivered order the kitchen earns the item value the customer paid
+ * for (items + add-ons, excluding voucher-covered meals) less commission,
+ * plus a fixed rate per voucher-covered meal. Delivery, service and
+ * packaging fees and GST stay with the platform. Refunds the kitchen is
+ * responsible for and admin penalties are deducted from the total.
+ */
+
+// Refund reasons charged back to the kitchen
+export const KITCHEN_FAULT_REFUND_REASONS = ["QUALITY_ISSUE", "WRONG_ORDER", "MISSING_ITEM"];
+
+/**
+ * Round to 2 decimals
+ */
+function roundAmount(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * Payout terms for a kitchen (kitchen override, then settlement config)
+ * @param {Object} kitchen - Kitchen document
+ * @returns {{commissionRate: number, voucherMealRate: number}}
+ */
+export function getSettlementTerms(kitchen) {
+  const defaults = getSettlementConfig();
+  const terms = kitchen?.settlementTerms || {};
+  return {
+    commissionRate: terms.commissionRate ?? defaults.commissionRate,
+    voucherMealRate: terms.voucherMealRate ?? defaults.voucherMealRate,
+  };
+}
+
+/**
+ * Split an order into customer-paid item value and voucher-covered meals
+ * Uses the same average main course price as order pricing.
+ * @param {Object} order - Order (items, subtotal, voucherUsage)
+ * @returns {{itemValue: number, voucherMeals: number}}
+ */
+export function getOrderItemValue(order) {
+  const voucherMeals = (order.voucherUsage?.voucherCount || 0) > 0
+    ? order.voucherUsage.mainCoursesCovered || 0
+    : 0;
+
+  if (voucherMeals === 0) {
+    return { itemValue: roundAmount(order.subtotal), voucherMeals: 0 };
+  }
+
+  let mainCoursesTotal = 0;
+  let mainCoursesCount = 0;
+  for (const item of order.items || []) {
+    if (item.isMainCourse) {
+      mainCoursesTotal += item.totalPrice;
+      mainCoursesCount += item.quantity;
+    }
+  }
+
+  const covered = Math.min(voucherMeals, mainCoursesCount);
+  const coveredValue = mainCoursesCount > 0 ? (mainCoursesTotal / mainCoursesCount) * covered : 0;
+  return {
+    itemValue: Math.max(0, roundAmount(order.subtotal - coveredValue)),
+    voucherMeals: covered,
+  };
+}
+
+/**
+ * Calculate a kitchen's earnings for a period
+ * @param {Object} params
+ * @param {Object} params.kitchen - Kitchen document
+ * @param {Date} params.periodStart - Period start (inclusive)
+ * @param {Date} params.periodEnd - Period end (exclusive)
+ * @param {Array} params.penalties - Penalties already recorded on the statement
+ * @returns {Promise<Object>} Settlement figures
+ */
+export async function calculateSettlement({ kitchen, periodStart, periodEnd, penalties = [] }) {
+  const { commissionRate, voucherMealRate } = getSettlementTerms(kitchen);
+
+  const orders = await Order.find({
+    kitchenId: kitchen._id,
+    status: "DELIVERED",
+    deliveredAt: { $gte: periodStart, $lt: periodEnd },
+  })
+    .select("orderNumber deliveredAt menuType items subtotal voucherUsage")
+    .sort({ deliveredAt: 1 })
+    .lean();
+
+  const orderLines = orders.map((order) => {
+    const { itemValue, voucherMeals } = getOrderItemValue(order);
+    const commission = roundAmount(itemValue * commissionRate);
+    const voucherEarnings = roundAmount(voucherMeals * voucherMealRate);
+    return {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      deliveredAt: order.deliveredAt,
+      menuType: order.menuType,
+      itemValue,
+      voucherMeals,
+      voucherEarnings,
+      commission,
+      netEarnings: roundAmount(itemValue - commission + voucherEarnings),
+    };
+  });
+
+  // Kitchen-fault refunds completed in the period, on this kitchen's orders
+  const refunds = await Refund.aggregate([
+    {
+      $match: {
+        status: "COMPLETED",
+        reason: { $in: KITCHEN_FAULT_REFUND_REASONS },
+        completedAt: { $gte: periodStart, $lt: periodEnd },
+      },
+    },
+    {
+      $lookup: {
+        from: "orders",
+        localField: "orderId",
+        foreignField: "_id",
+        as: "order",
+        pipeline: [{ $project: { kitchenId: 1, orderNumber: 1, items: 1, subtotal: 1, voucherUsage: 1 } }],
+      },
+    },
+    { $unwind: "$order" },
+    { $match: { "order.kitchenId": kitchen._id } },
+    { $sort: { completedAt: 1 } },
+  ]);
+
+  // A kitchen never gives back more than the item value of an order
+  const remainingByOrder = new Map();
+  const refundLines = refunds.map((refund) => {
+    const key = refund.orderId.toString();
+    if (!remainingByOrder.has(key)) {
+      remainingByOrder.set(key, getOrderItemValue(refund.order).itemValue);
+    }
+    const deduction = roundAmount(Math.min(refund.amount, remainingByOrder.get(key)));
+    remainingByOrder.set(key, roundAmount(remainingByOrder.get(key) - deduction));
+
+    return {
+      refundId: refund._id,
+      refundNumber: refund.refundNumber,
+      orderId: refund.orderId,
+      orderNumber: refund.order.orderNumber,
+      reason: refund.reason,
+      refundAmount: refund.amount,
+      deduction,
+      completedAt: refund.completedAt,
+    };
+  });
+
+  const sum = (lines, field) => roundAmount(lines.reduce((total, line) => total + (line[field] || 0), 0));
+
+  const grossItemValue = sum(orderLines, "itemValue");
+  const voucherEarnings = sum(orderLines, "voucherEarnings");
+  const commissionAmount = sum(orderLines, "commission");
+  const refundDeductions = sum(refundLines, "deduction");
+  const penaltyDeductions = sum(penalties, "amount");
+
+  return {
+    commissionRate,
+    voucherMealRate,
+    orders: orderLines,
+    refunds: refundLines,
+    orderCount: orderLines.length,
+    grossItemValue,
+    voucherMeals: orderLines.reduce((total, line) => total + line.voucherMeals, 0),
+    voucherEarnings,
+    commissionAmount,
+    refundDeductions,
+    penaltyDeductions,
+    // Negative when deductions exceed earnings; carried to finance as-is
+    netPayable: roundAmount(grossItemValue - commissionAmount + voucherEarnings - refundDeductions - penaltyDeductions),
+    calculatedAt: new Date(),
+  };
+}
+
+/**
+ * Create or recalculate the DRAFT statement for a kitchen and period
+ * @param {Object} kitchen - Partner kitchen document
+ * @param {Date} periodStart - Period start (inclusive)
+ * @param {Date} periodEnd - Period end (exclusive)
+ * @returns {Promise<{success: boolean, settlement: Object|null, created: boolean, error: string|null}>}
+ */
+export async function generateSettlement(kitchen, periodStart, periodEnd) {
+  if (kitchen.type !== "PARTNER") {
+    return { success: false, settlement: null, created: false, error: "Only partner kitchens are settled" };
+  }
+
+  const overlapping = await Settlement.findOverlapping(kitchen._id, periodStart, periodEnd);
+  const samePeriod = overlapping.find(
+    (s) => s.periodStart.getTime() === periodStart.getTime() && s.periodEnd.getTime() === periodEnd.getTime()
+  );
+
+  if (overlapping.length > 1 || (overlapping.length === 1 && !samePeriod)) {
+    return {
+      success: false,
+      settlement: null,
+      created: false,
+      error: `Period overlaps settlement ${overlapping[0].settlementNumber}`,
+    };
+  }
+
+  if (samePeriod && samePeriod.status !== "DRAFT") {
+    return {
+      success: false,
+      settlement: samePeriod,
+      created: false,
+      error: `Settlement ${samePeriod.settlementNumber} is already ${samePeriod.status}`,
+    };
+  }
+
+  if (samePeriod) {
+    const settlement = await recalculateSettlement(samePeriod, kitchen);
+    return { success: true, settlement, created: false, error: null };
+  }
+
+  const figures = await calculateSettlement({ kitchen, periodStart, periodEnd });
+  const settlement = await Settlement.create({
+    settlementNumber: Settlement.generateSettlementNumber(periodStart),
+    kitchenId: kitchen._id,
+    periodStart,
+    periodEnd,
+    ...figures,
+  });
+
+  return { success: true, settlement, created: true, error: null };
+}
+
+/**
+ * Recalculate a DRAFT statement, keeping its penalties
+ * @param {Object} settlement - Settlement document (DRAFT)
+ * @param {Object} kitchen - Kitchen document
+ * @returns {Promise<Object>} Saved settlement
+ */
+export async function recalculateSettlement(settlement, kitchen) {
+  const figures = await calculateSettlement({
+    kitchen,
+    periodStart: settlement.periodStart,
+    periodEnd: settlement.periodEnd,
+    penalties: settlement.penalties,
+  });
+
+  Object.assign(settlement, figures);
+  await settlement.save();
+  return settlement;
+}
+
+/**
+ * Spreadsheet columns for settlement exports (one row per statement)
+ */
+export const SETTLEMENT_EXPORT_COLUMNS = [
+  { header: "Settlement No", width: 20, value: (row) => row.settlementNumber },
+  { header: "Kitchen", width: 30, value: (row) => row.kitchen?.name || "" },
+  { header: "Kitchen Code", width: 14, value: (row) => row.kitchen?.code || "" },
+  { header: "GSTIN", width: 18, value: (row) => row.kitchen?.gstin || "" },
+  { header: "Period Start", width: 14, value: (row) => row.periodStart?.toISOString().split("T")[0] },
+  { header: "Period End", width: 14, value: (row) => row.periodEnd?.toISOString().split("T")[0] },
+  { header: "Status", width: 10, value: (row) => row.status },
+  { header: "Orders", width: 10, value: (row) => row.orderCount },
+  { header: "Item Value", width: 14, value: (row) => roundAmount(row.grossItemValue) },
+  { header: "Commission Rate", width: 14, value: (row) => row.commissionRate },
+  { header: "Commission", width: 14, value: (row) => roundAmount(row.commissionAmount) },
+  { header: "Voucher Meals", width: 14, value: (row) => row.voucherMeals },
+  { header: "Voucher Earnings", width: 16, value: (row) => roundAmount(row.voucherEarnings) },
+  { header: "Refund Deductions", width: 16, value: (row) => roundAmount(row.refundDeductions) },
+  { header: "Penalties", width: 12, value: (row) => roundAmount(row.penaltyDeductions) },
+  { header: "Net Payable", width: 14, value: (row) => roundAmount(row.netPayable) },
+  { header: "Paid At", width: 14, value: (row) => (row.paidAt ? row.paidAt.toISOString().split("T")[0] : "") },
+  { header: "Payment Reference", width: 22, value: (row) => row.paymentReference || "" },
+];
+
+export default {
+  KITCHEN_FAULT_REFUND_REASONS,
+  getSettlementTerms,
+  getOrderItemValue,
+  calculateSettlement,
+  generateSettlement,
+  recalculateSettlement,
+  SETTLEMENT_EXPORT_COLUMNS,
+};
@@ -0,0 +1,443 @@
+import mongoose from "mongoose";
+import Subscription from "../schema/subscription.schema.js";
+import SubscriptionPlan from "../schema/subscriptionPlan.schema.js";
+import Voucher from "../schema/voucher.schema.js";
+import { issueVouchers, cancelUnusedVouchers } from "./voucher.service.js";
+import { cancelAutoRenewal } from "./subscription-renewal.service.js";
+
+/**
+ * Subscription Change Service
+ * Moves an active subscription to another plan mid-cycle with proration
+ *
+ * Pricing:
+ * - Each unused, unexpired voucher is credited at the price actually paid
+ *   per voucher (amountPaid / totalVouchersIssued).
+ * - The new plan's full price is set against that credit. A positive
+ *   difference is charged, a negative one refunded to the original payment.
+ * - The credit is drawn from the old subscription's payments in proportion
+ *   to what each captured, so a payment is never refunded or carried over
+ *   beyond its own amount. The new subscription lists the carried credit
+ *   and the new charge separately in fundingPayments.
+ *
+ * The switch itself (old subscription closed, its unused vouchers
+ * cancelled, new subscription created with fresh vouchers) runs in one
+ * MongoDB transaction. Charges happen before it and refunds after it,
+ * because neither can be rolled back with the database.
+ */
+
+// Razorpay can't charge less than this; smaller differences are waived
+const MIN_CHARGE_AMOUNT = 1;
+
+/**
+ * Round a rupee amount to paise
+ */
+function roundAmount(amount) {
+  return Math.round(Number(amount) * 100) / 100;
+}
+
+/**
+ * Payments that funded a subscription
+ * Subscriptions bought with a single payment don't store the list.
+ * @param {Object} subscription - Subscription document
+ * @returns {Array<{paymentId: string, paymentMethod: string, amount: number}>}
+ */
+export function getFundingPayments(subscription) {
+  const recorded = subscription.fundingPayments || [];
+  if (recorded.length > 0) {
+    return recorded.map((payment) => ({
+      paymentId: payment.paymentId,
+      paymentMethod: payment.paymentMethod,
+      amount: payment.amount,
+    }));
+  }
+
+  if (!subscription.paymentId || !(subscription.amountPaid > 0)) {
+    return [];
+  }
+  return [
+    {
+      paymentId: subscription.paymentId,
+      paymentMethod: subscription.paymentMethod,
+      amount: subscription.amountPaid,
+    },
+  ];
+}
+
+/**
+ * Split an amount across payments in proportion to what each captured
+ * Never takes more than a payment's amount, so the total is capped at the
+ * sum of the payments. Entries keep their order; shares may be zero.
+ * @param {Array<Object>} payments - { paymentId, amount, ... }
+ * @param {number} amount - Amount to split
+ * @returns {Array<Object>} Payments with amount replaced by their share
+ */
+export function splitAcrossPayments(payments, amount) {
+  const total = roundAmount(payments.reduce((sum, payment) => sum + (payment.amount || 0), 0));
+  const capped = roundAmount(Math.min(Math.max(amount || 0, 0), total));
+  if (capped <= 0) {
+    return payments.map((payment) => ({ ...payment, amount: 0 }));
+  }
+
+  const shares = payments.map((payment) => ({
+    ...payment,
+    amount: roundAmount((capped * (payment.amount || 0)) / total),
+  }));
+
+  // Paise lost to rounding go to the largest share
+  const drift = roundAmount(capped - shares.reduce((sum, share) => sum + share.amount, 0));
+  if (drift !== 0) {
+    const largest = shares.reduce((a, b) => (b.amount > a.amount ? b : a));
+    largest.amount = roundAmount(largest.amount + drift);
+  }
+
+  return shares;
+}
+
+/**
+ * Work out a subscription refund against the payments that funded it
+ * @param {Object} subscription - Subscription document
+ * @param {number} amount - Requested refund
+ * @returns {{amount: number, payments: Array<{paymentId: string, amount: number}>}}
+ */
+export function splitSubscriptionRefund(subscription, amount) {
+  const payments = splitAcrossPayments(getFundingPayments(subscription), amount)
+    .filter((share) => share.amount > 0)
+    .map((share) => ({ paymentId: share.paymentId, amount: share.amount }));
+
+  return {
+    amount: roundAmount(payments.reduce((sum, share) => sum + share.amount, 0)),
+    payments,
+  };
+}
+
+/**
+ * Check a subscription can change plan
+ * @param {Object} subscription - Subscription document
+ * @returns {string|null} Reason it can't, or null
+ */
+export function getPlanChangeBlocker(subscription) {
+  if (subscription.status !== "ACTIVE") {
+    return `Cannot change plan of a subscription with status: ${subscription.status}`;
+  }
+  if (subscription.changedToId) {
+    return "Subscription has already been changed";
+  }
+  if (subscription.renewal?.status === "PENDING_PAYMENT") {
+    return "A renewal payment is in progress. Try again later.";
+  }
+  return null;
+}
+
+/**
+ * Price a plan change
+ *
+ * @param {Object} subscription - Current subscription
+ * @param {Object} newPlan - SubscriptionPlan to move to
+ * @param {Object} options
+ * @param {ClientSession} options.session - Read inside a transaction
+ * @returns {Promise<Object>} Quote
+ */
+export async function quotePlanChange(subscription, newPlan, { session = null } = {}) {
+  const unusedVouchers = await Voucher.countDocuments({
+    subscriptionId: subscription._id,
+    status: { $in: ["AVAILABLE", "RESTORED"] },
+    expiryDate: { $gt: new Date() },
+    transferredFromVoucherId: null,
+  }).session(session);
+
+  const creditPerVoucher =
+    subscription.totalVouchersIssued > 0
+      ? subscription.amountPaid / subscription.totalVouchersIssued
+      : 0;
+  const credit = roundAmount(unusedVouchers * creditPerVoucher);
+  const difference = roundAmount(newPlan.price - credit);
+
+  const amountDue = difference >= MIN_CHARGE_AMOUNT ? difference : 0;
+  const refundAmount = difference < 0 ? -difference : 0;
+
+  return {
+    currentPlanId: subscription.planId?._id || subscription.planId,
+    newPlanId: newPlan._id,
+    newPlanName: newPlan.name,
+    direction: difference >= 0 ? "UPGRADE" : "DOWNGRADE",
+    unusedVouchers,
+    creditPerVoucher: roundAmount(creditPerVoucher),
+    credit,
+    newPlanPrice: newPlan.price,
+    amountDue,
+    waivedAmount: difference > 0 && amountDue === 0 ? difference : 0,
+    refundAmount,
+    newVouchers: newPlan.totalVouchers,
+  };
+}
+
+/**
+ * Switch a subscription to a new plan in one transaction
+ *
+ * The change is always priced inside the transaction, so it credits exactly
+ * the vouchers it cancels. A paid change passes the quote the customer paid
+ * against; if vouchers were used since checkout and the credit dropped, the
+ * change is refused (and the payment refunded by the caller).
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.subscriptionId - Subscription being changed
+ * @param {ObjectId} params.newPlanId - Plan to move to
+ * @param {ObjectId} params.newSubscriptionId - ID for the new subscription (payment reference for paid changes)
+ * @param {Object} params.lockedQuote - Quote the customer paid against ({ credit, amountDue, refundAmount })
+ * @param {Object} params.payment - { amount, paymentId, paymentMethod } captured for a paid change
+ * @returns {Promise<{success: boolean, subscription?: Object, previous?: Object, quote?: Object, vouchersCancelled?: number, vouchersIssued?: number, alreadyApplied?: boolean, error?: string}>}
+ */
+export async function applyPlanChange({
+  subscriptionId,
+  newPlanId,
+  newSubscriptionId = new mongoose.Types.ObjectId(),
+  lockedQuote = null,
+  payment = null,
+}) {
+  const existing = await Subscription.findById(newSubscriptionId);
+  if (existing) {
+    return { success: true, subscription: existing, alreadyApplied: true };
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const previous = await Subscription.findById(subscriptionId).session(session);
+    if (!previous) {
+      await session.abortTransaction();
+      return { success: false, error: "Subscription not found" };
+    }
+
+    const blocker = getPlanChangeBlocker(previous);
+    if (blocker) {
+      await session.abortTransaction();
+      return { success: false, error: blocker };
+    }
+
+    const newPlan = await SubscriptionPlan.findById(newPlanId).session(session);
+    if (!newPlan || !newPlan.isPurchasable()) {
+      await session.abortTransaction();
+      return { success: false, error: "Plan is not available for purchase" };
+    }
+
+    const freshQuote = await quotePlanChange(previous, newPlan, { session });
+    if (lockedQuote && freshQuote.credit < roundAmount(lockedQuote.credit)) {
+      await session.abortTransaction();
+      return {
+        success: false,
+        error: `Vouchers were used after checkout (credit is now Rs.${freshQuote.credit}, was Rs.${roundAmount(lockedQuote.credit)})`,
+      };
+    }
+    const quote = lockedQuote || freshQuote;
+    const now = new Date();
+
+    const endDate = new Date(now);
+    endDate.setDate(endDate.getDate() + newPlan.durationDays);
+    const voucherExpiryDate = new Date(now);
+    voucherExpiryDate.setDate(voucherExpiryDate.getDate() + newPlan.voucherValidityDays);
+
+    // A saved mandate moves with the subscription if it covers the new price
+    const mandate = previous.toObject().renewalMandate;
+    const keepAutoRenew =
+      previous.isAutoRenew &&
+      mandate?.status === "ACTIVE" &&
+      mandate.maxAmount >= newPlan.price;
+
+    const close = {
+      status: "CANCELLED",
+      cancelledAt: now,
+      cancellationReason: `Changed to plan ${newPlan.name}`,
+      changedToId: newSubscriptionId,
+    };
+    if (quote.refundAmount > 0) close.refundAmount = quote.refundAmount;
+    if (keepAutoRenew) close.isAutoRenew = false;
+
+    // Claim the old subscription first; a concurrent change or cancel loses here
+    const claimed = await Subscription.findOneAndUpdate(
+      { _id: previous._id, status: "ACTIVE", changedToId: null },
+      { $set: close },
+      { new: true, session }
+    );
+
+    if (!claimed) {
+      await session.abortTransaction();
+      return { success: false, error: "Subscription is no longer active" };
+    }
+
+    const cancelled = await cancelUnusedVouchers(previous._id, { session });
+
+    // The credit comes out of the old payments; the refund goes back to them
+    // and whatever is left carries over to the new subscription
+    const creditShares = splitAcrossPayments(getFundingPayments(previous), quote.credit);
+    const refundShares = splitAcrossPayments(creditShares, quote.refundAmount);
+    const fundingPayments = creditShares
+      .map((share, index) => ({
+        paymentId: share.paymentId,
+        paymentMethod: share.paymentMethod,
+        amount: roundAmount(share.amount - refundShares[index].amount),
+        carriedFromId: previous._id,
+      }))
+      .filter((share) => share.amount > 0);
+    if (payment?.amount > 0) {
+      fundingPayments.push({
+        paymentId: payment.paymentId,
+        paymentMethod: payment.paymentMethod,
+        amount: payment.amount,
+      });
+    }
+
+    const [subscription] = await Subscription.create(
+      [
+        {
+          _id: newSubscriptionId,
+          userId: previous.userId,
+          planId: newPlan._id,
+          purchaseDate: now,
+          startDate: now,
+          endDate,
+          totalVouchersIssued: newPlan.totalVouchers,
+          voucherExpiryDate,
+          status: "ACTIVE",
+          amountPaid: newPlan.price,
+          // Latest payment behind the subscription; refunds use fundingPayments
+          paymentId: payment?.paymentId || previous.paymentId,
+          paymentMethod: payment?.paymentMethod || previous.paymentMethod,
+          fundingPayments,
+          isAutoRenew: keepAutoRenew,
+          renewalMandate: keepAutoRenew ? mandate : undefined,
+          planChange: {
+            fromSubscriptionId: previous._id,
+            fromPlanId: previous.planId,
+            unusedVouchers: cancelled.cancelled,
+            credit: quote.credit,
+            newPlanPrice: newPlan.price,
+            amountCharged: payment?.amount || 0,
+            chargePaymentId: payment?.paymentId || null,
+            refundAmount: quote.refundAmount,
+            refundPayments: refundShares
+              .filter((share) => share.amount > 0)
+              .map((share) => ({ paymentId: share.paymentId, amount: share.amount, status: "PENDING" })),
+            refundStatus: quote.refundAmount > 0 ? "PENDING" : "NONE",
+            changedAt: now,
+          },
+          autoOrderingEnabled: previous.autoOrderingEnabled,
+          isPaused: previous.isPaused,
+          pausedUntil: previous.pausedUntil,
+          skippedSlots: previous.toObject().skippedSlots,
+          defaultMealType: previous.defaultMealType,
+          defaultKitchenId: previous.defaultKitchenId,
+          defaultAddressId: previous.defaultAddressId,
+        },
+      ],
+      { session }
+    );
+
+    const issued = await issueVouchers(
+      subscription.userId,
+      subscription._id,
+      newPlan.totalVouchers,
+      voucherExpiryDate,
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    console.log(
+      `> Subscription plan changed: ${previous._id} -> ${subscription._id} (${newPlan.name}, ${cancelled.cancelled} vouchers cancelled, ${issued.issued} issued)`
+    );
+
+    // Outside the transaction: revoking a mandate calls Razorpay
+    if (previous.isAutoRenew && !keepAutoRenew) {
+      try {
+        await cancelAutoRenewal(claimed);
+      } catch (error) {
+        console.log("> Plan change auto-renew cancel error:", error.message);
+      }
+    }
+
+    return {
+      success: true,
+      subscription,
+      previous: claimed,
+      quote,
+      vouchersCancelled: cancelled.cancelled,
+      vouchersIssued: issued.issued,
+      autoRenewKept: keepAutoRenew,
+    };
+  } catch (error) {
+    await session.abortTransaction();
+
+    if (error.code === 11000) {
+      const applied = await Subscription.findById(newSubscriptionId);
+      if (applied) {
+        return { success: true, subscription: applied, alreadyApplied: true };
+      }
+    }
+
+    console.log(`> Plan change failed for ${subscriptionId}: ${error.message}`);
+    return { success: false, error: error.message };
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Record the outcome of a downgrade refund on the new subscription
+ * @param {ObjectId} subscriptionId - New subscription
+ * @param {Object} outcome - { status, razorpayRefundId, error, refundPayments }
+ */
+export async function recordPlanChangeRefund(
+  subscriptionId,
+  { status, razorpayRefundId = null, error = null, refundPayments = null }
+) {
+  const update = {
+    "planChange.refundStatus": status,
+    "planChange.razorpayRefundId": razorpayRefundId,
+    "planChange.refundError": error,
+  };
+  if (refundPayments) update["planChange.refundPayments"] = refundPayments;
+
+  await Subscription.updateOne({ _id: subscriptionId }, { $set: update });
+}
+
+/**
+ * Complete a paid plan change once its payment is captured
+ * Called from payment verification and webhooks. Safe to call more than
+ * once for the same transaction.
+ *
+ * @param {Object} transaction - Captured PaymentTransaction (notes.changeOf set)
+ * @param {string} paymentMethod - Internal payment method
+ * @returns {Promise<{success: boolean, subscription?: Object, error?: string}>}
+ */
+export async function completePlanChangePayment(transaction, paymentMethod) {
+  const { changeOf, newPlanId, credit } = transaction.notes || {};
+
+  return applyPlanChange({
+    subscriptionId: changeOf,
+    newPlanId,
+    newSubscriptionId: transaction.referenceId,
+    lockedQuote: {
+      credit: Number(credit) || 0,
+      amountDue: transaction.amountRupees,
+      refundAmount: 0,
+    },
+    payment: {
+      amount: transaction.amountRupees,
+      paymentId: transaction.razorpayPaymentId,
+      paymentMethod,
+    },
+  });
+}
+
+export default {
+  getFundingPayments,
+  splitAcrossPayments,
+  splitSubscriptionRefund,
+  getPlanChangeBlocker,
+  quotePlanChange,
+  applyPlanChange,
+  recordPlanChangeRefund,
+  completePlanChangePayment,
+};
@@ -0,0 +1,705 @@
+import mongoose from "mongoose";
+import Subscription from "../schema/subscription.schema.js";
+import SubscriptionPlan from "../schema/subscriptionPlan.schema.js";
+import PaymentTransaction from "../schema/paymentTransaction.schema.js";
+import User from "../schema/user.schema.js";
+import razorpayProvider from "./razorpay.provider.js";
+import { getRazorpayKeyId } from "../config/razorpay.config.js";
+import { getSubscriptionRenewalConfig } from "./config.service.js";
+import { issueVouchers } from "./voucher.service.js";
+import { sendToUser } from "./notification.service.js";
+import {
+  SUBSCRIPTION_RENEWAL_TEMPLATES,
+  buildFromTemplate,
+} from "./notification-templates.service.js";
+
+/**
+ * Subscription Renewal Service
+ * Renews subscriptions with a saved Razorpay mandate when their term ends
+ *
+ * Flow:
+ * 1. Customer opts in: a mandate authorization order is created and the
+ *    customer approves it in checkout (recurring). The token is saved on
+ *    the subscription (renewalMandate).
+ * 2. renewalReminderDays before endDate: reminder notification.
+ * 3. After endDate: the plan price is charged to the mandate. The new
+ *    subscription ID is reserved up front and used as the payment
+ *    reference, so webhook and polling paths can't create it twice.
+ * 4. Payment captured (webhook, poll, or immediately in mock mode): the
+ *    renewed subscription is created and vouchers are issued.
+ * 5. Payment failed: retried every renewalRetryIntervalHours until
+ *    renewalGracePeriodDays after endDate, then marked FAILED.
+ */
+
+// Charged (and refunded) to approve a mandate
+const MANDATE_AUTHORIZATION_AMOUNT = 1;
+// Headroom for price changes: later charges may go up to this multiple of the plan price
+const MANDATE_MAX_AMOUNT_MULTIPLIER = 1.5;
+const MANDATE_VALIDITY_YEARS = 5;
+// Mandate charges can take a day to settle (UPI pre-debit notice)
+const RENEWAL_PAYMENT_EXPIRY_HOURS = 72;
+// Poll Razorpay for charges with no webhook after this long
+const PENDING_PAYMENT_CHECK_MINUTES = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Format a date for notification text
+ */
+function formatDate(date) {
+  return new Date(date).toLocaleDateString("en-IN", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    timeZone: "Asia/Kolkata",
+  });
+}
+
+/**
+ * Send a renewal notification to the subscription owner
+ */
+function notifyRenewal(subscription, type, template, variables) {
+  const notification = buildFromTemplate(template, variables);
+
+  sendToUser(subscription.userId, type, notification.title, notification.body, {
+    data: { subscriptionId: subscription._id.toString() },
+    entityType: "SUBSCRIPTION",
+    entityId: subscription._id,
+    channels: notification.channels,
+  });
+}
+
+/**
+ * Check the plan can still be bought for a renewal
+ * @returns {string|null} Reason it can't, or null
+ */
+function getPlanUnavailableReason(plan, now) {
+  if (!plan || plan.status !== "ACTIVE") return "Plan is no longer available";
+  if (plan.validTill && plan.validTill < now) return "Plan has expired";
+  return null;
+}
+
+//
+// MANDATE SETUP
+//
+
+/**
+ * Start auto-renewal for a subscription
+ * Reuses the customer's active mandate from another subscription when there
+ * is one; otherwise creates an authorization order for checkout.
+ *
+ * @param {Object} subscription - Subscription document (owned by user)
+ * @param {Object} user - User (name, phone, email)
+ * @param {Object} plan - Subscription plan
+ * @returns {Promise<Object>} { enabled: true } or { checkout: {...} }
+ */
+export async function startAutoRenewal(subscription, user, plan) {
+  const existing = await Subscription.findOne({
+    userId: subscription.userId,
+    _id: { $ne: subscription._id },
+    "renewalMandate.status": "ACTIVE",
+    "renewalMandate.maxAmount": { $gte: plan.price },
+  })
+    .select("renewalMandate")
+    .lean();
+
+  if (existing) {
+    subscription.renewalMandate = existing.renewalMandate;
+    subscription.isAutoRenew = true;
+    await subscription.save();
+    return { enabled: true, reusedMandate: true };
+  }
+
+  const customer = await razorpayProvider.createCustomer({
+    name: user.name || "Tiffsy Customer",
+    contact: user.phone,
+    email: user.email,
+  });
+
+  const expiresAt = new Date();
+  expiresAt.setFullYear(expiresAt.getFullYear() + MANDATE_VALIDITY_YEARS);
+  const maxAmount = Math.ceil(plan.price * MANDATE_MAX_AMOUNT_MULTIPLIER);
+
+  const order = await razorpayProvider.createMandateOrder({
+    amount: MANDATE_AUTHORIZATION_AMOUNT,
+    customerId: customer.id,
+    maxAmount,
+    expiresAt,
+    receipt: PaymentTransaction.generateReceipt("MANDATE", subscription._id),
+    notes: {
+      purpose: "SUBSCRIPTION_AUTO_RENEW",
+      subscriptionId: subscription._id.toString(),
+      userId: subscription.userId.toString(),
+    },
+  });
+
+  subscription.renewalMandate = {
+    status: "PENDING",
+    customerId: customer.id,
+    maxAmount,
+    authorizationOrderId: order.id,
+  };
+
+  // The stand-in has no checkout step
+  if (razorpayProvider.isRecurringMockMode()) {
+    const token = await razorpayProvider.fetchPaymentToken(`pay_mock_${subscription._id}`);
+    subscription.renewalMandate.status = "ACTIVE";
+    subscription.renewalMandate.tokenId = token.tokenId;
+    subscription.renewalMandate.method = token.method;
+    subscription.renewalMandate.authorizedAt = new Date();
+    subscription.isAutoRenew = true;
+    await subscription.save();
+    return { enabled: true, reusedMandate: false };
+  }
+
+  await subscription.save();
+
+  return {
+    enabled: false,
+    checkout: {
+      razorpayOrderId: order.id,
+      customerId: customer.id,
+      amount: order.amount,
+      amountRupees: MANDATE_AUTHORIZATION_AMOUNT,
+      currency: "INR",
+      key: getRazorpayKeyId(),
+      recurring: true,
+      maxAmount,
+    },
+  };
+}
+
+/**
+ * Confirm a mandate after the customer approved it in checkout
+ * @param {Object} subscription - Subscription with a PENDING mandate
+ * @param {Object} params - { razorpayOrderId, razorpayPaymentId, razorpaySignature }
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function confirmAutoRenewal(subscription, { razorpayOrderId, razorpayPaymentId, razorpaySignature }) {
+  const mandate = subscription.renewalMandate;
+  if (mandate?.status !== "PENDING" || mandate.authorizationOrderId !== razorpayOrderId) {
+    return { success: false, error: "No pending mandate for this order" };
+  }
+
+  let signatureValid = false;
+  try {
+    signatureValid = razorpayProvider.verifyPaymentSignature({
+      razorpayOrderId,
+      razorpayPaymentId,
+      razorpaySignature,
+    });
+  } catch {
+    signatureValid = false;
+  }
+  if (!signatureValid) {
+    return { success: false, error: "Payment verification failed" };
+  }
+
+  const token = await razorpayProvider.fetchPaymentToken(razorpayPaymentId);
+
+  subscription.renewalMandate.status = "ACTIVE";
+  subscription.renewalMandate.tokenId = token.tokenId;
+  subscription.renewalMandate.method = token.method;
+  subscription.renewalMandate.authorizedAt = new Date();
+  subscription.isAutoRenew = true;
+  await subscription.save();
+
+  // Return the authorization charge (non-blocking)
+  razorpayProvider
+    .createRefund({
+      paymentId: razorpayPaymentId,
+      notes: { reason: "Auto-renew mandate authorization" },
+    })
+    .catch((error) => {
+      console.log("> Mandate authorization refund error:", error.message);
+    });
+
+  return { success: true };
+}
+
+/**
+ * Turn off auto-renewal
+ * The mandate is revoked unless another auto-renewing subscription uses it.
+ * @param {Object} subscription - Subscription document
+ * @returns {Promise<void>}
+ */
+export async function cancelAutoRenewal(subscription) {
+  const mandate = subscription.renewalMandate;
+
+  if (mandate?.tokenId && mandate.status === "ACTIVE") {
+    const sharedWith = await Subscription.countDocuments({
+      _id: { $ne: subscription._id },
+      isAutoRenew: true,
+      "renewalMandate.tokenId": mandate.tokenId,
+      "renewalMandate.status": "ACTIVE",
+    });
+
+    if (sharedWith === 0) {
+      try {
+        await razorpayProvider.cancelMandateToken(mandate.customerId, mandate.tokenId);
+      } catch (error) {
+        console.log("> Mandate revoke error:", error.message);
+      }
+    }
+  }
+
+  subscription.isAutoRenew = false;
+  if (mandate?.status) {
+    subscription.renewalMandate.status = "CANCELLED";
+    subscription.renewalMandate.cancelledAt = new Date();
+  }
+  if (subscription.renewal?.status === "RETRY_SCHEDULED") {
+    subscription.renewal.status = "FAILED";
+    subscription.renewal.lastFailureReason = "Auto-renew turned off";
+    subscription.renewal.nextAttemptAt = null;
+  }
+  await subscription.save();
+}
+
+//
+// RENEWAL OUTCOMES
+//
+
+/**
+ * Record a failed renewal attempt and schedule a retry inside the grace period
+ * Only acts on a PENDING_PAYMENT renewal, so webhook and poll can't both count it.
+ *
+ * @param {ObjectId} subscriptionId - Subscription being renewed
+ * @param {string} reason - Failure reason
+ * @param {Object} options
+ * @param {boolean} options.final - Don't retry (e.g. plan withdrawn)
+ * @returns {Promise<Object|null>} Updated subscription, or null if not pending
+ */
+async function recordRenewalFailure(subscriptionId, reason, { final = false } = {}) {
+  const subscription = await Subscription.findOne({
+    _id: subscriptionId,
+    "renewal.status": "PENDING_PAYMENT",
+  }).populate("planId", "name");
+
+  if (!subscription) return null;
+
+  const { renewalRetryIntervalHours, renewalGracePeriodDays } = getSubscriptionRenewalConfig();
+  const now = new Date();
+  const graceEndsAt = new Date(subscription.endDate.getTime() + renewalGracePeriodDays * DAY_MS);
+  const nextAttemptAt = new Date(now.getTime() + renewalRetryIntervalHours * HOUR_MS);
+  const giveUp = final || !subscription.isAutoRenew || nextAttemptAt > graceEndsAt;
+
+  const updated = await Subscription.findOneAndUpdate(
+    { _id: subscriptionId, "renewal.status": "PENDING_PAYMENT" },
+    {
+      $set: {
+        "renewal.status": giveUp ? "FAILED" : "RETRY_SCHEDULED",
+        "renewal.lastFailureReason": reason,
+        "renewal.nextAttemptAt": giveUp ? null : nextAttemptAt,
+        "renewal.pendingSubscriptionId": null,
+        "renewal.completedAt": giveUp ? now : null,
+      },
+    },
+    { new: true }
+  );
+
+  if (!updated) return null;
+
+  console.log(`> Subscription renewal failed for ${subscriptionId}: ${reason} (${giveUp ? "giving up" : "retrying"})`);
+
+  const planName = subscription.planId?.name || "meal";
+  if (giveUp) {
+    notifyRenewal(updated, "SUBSCRIPTION_RENEWAL_FAILED", SUBSCRIPTION_RENEWAL_TEMPLATES.FAILED_FINAL, { planName });
+  } else {
+    notifyRenewal(updated, "SUBSCRIPTION_RENEWAL_FAILED", SUBSCRIPTION_RENEWAL_TEMPLATES.FAILED_RETRYING, {
+      planName,
+      retryDate: formatDate(nextAttemptAt),
+    });
+  }
+
+  return updated;
+}
+
+/**
+ * Create the renewed subscription once its payment is captured
+ * Called from payment webhooks, the pending-payment poll, or directly in
+ * mock mode. Safe to call more than once for the same transaction.
+ *
+ * @param {Object} transaction - Captured PaymentTransaction (notes.renewalOf set)
+ * @param {string} paymentMethod - Internal payment method
+ * @param {Object} paymentDetails - Razorpay payment details
+ * @returns {Promise<{success: boolean, subscription?: Object, error?: string}>}
+ */
+export async function completeRenewalPayment(transaction, paymentMethod, paymentDetails = {}) {
+  const parent = await Subscription.findById(transaction.notes?.renewalOf);
+  if (!parent) {
+    console.log("> Renewal payment for unknown subscription:", transaction.notes?.renewalOf);
+    return { success: false, error: "Subscription not found" };
+  }
+
+  const plan = await SubscriptionPlan.findById(parent.planId);
+  if (!plan) {
+    return { success: false, error: "Plan not found" };
+  }
+
+  const now = new Date();
+  const startDate = parent.endDate > now ? new Date(parent.endDate) : now;
+  const endDate = new Date(startDate);
+  endDate.setDate(endDate.getDate() + plan.durationDays);
+  const voucherExpiryDate = new Date(startDate);
+  voucherExpiryDate.setDate(voucherExpiryDate.getDate() + plan.voucherValidityDays);
+
+  // The subscription, its vouchers and the parent's RENEWED mark are written
+  // together, so an existing renewal always has its vouchers
+  let renewed;
+  let voucherResult;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      [renewed] = await Subscription.create(
+        [
+          {
+            _id: transaction.referenceId,
+            userId: parent.userId,
+            planId: plan._id,
+            purchaseDate: now,
+            startDate,
+            endDate,
+            totalVouchersIssued: plan.totalVouchers,
+            voucherExpiryDate,
+            status: "ACTIVE",
+            amountPaid: transaction.amountRupees,
+            paymentId: transaction.razorpayPaymentId,
+            paymentMethod,
+            paymentDetails,
+            isAutoRenew: true,
+            renewedFromId: parent._id,
+            renewalMandate: parent.toObject().renewalMandate,
+            autoOrderingEnabled: parent.autoOrderingEnabled,
+            defaultMealType: parent.defaultMealType,
+            defaultKitchenId: parent.defaultKitchenId,
+            defaultAddressId: parent.defaultAddressId,
+          },
+        ],
+        { session }
+      );
+
+      voucherResult = await issueVouchers(
+        renewed.userId,
+        renewed._id,
+        plan.totalVouchers,
+        voucherExpiryDate,
+        { session }
+      );
+
+      await Subscription.updateOne(
+        { _id: parent._id },
+        {
+          $set: {
+            "renewal.status": "RENEWED",
+            "renewal.renewedToId": renewed._id,
+            "renewal.pendingSubscriptionId": null,
+            "renewal.nextAttemptAt": null,
+            "renewal.completedAt": now,
+          },
+        },
+        { session }
+      );
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      const existing = await Subscription.findById(transaction.referenceId);
+      if (existing) {
+        console.log("> Renewal already completed:", transaction.referenceId.toString());
+        return { success: true, subscription: existing };
+      }
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  console.log(`> Subscription renewed: ${parent._id} -> ${renewed._id} (${voucherResult.issued} vouchers)`);
+
+  notifyRenewal(renewed, "SUBSCRIPTION_RENEWED", SUBSCRIPTION_RENEWAL_TEMPLATES.RENEWED, {
+    planName: plan.name,
+    voucherCount: voucherResult.issued,
+  });
+
+  return { success: true, subscription: renewed };
+}
+
+/**
+ * Handle a failed renewal payment reported by Razorpay
+ * @param {Object} transaction - PaymentTransaction (notes.renewalOf set)
+ * @param {string} failureReason - Reason
+ */
+export async function failRenewalPayment(transaction, failureReason) {
+  await recordRenewalFailure(transaction.notes?.renewalOf, failureReason);
+}
+
+//
+// SCHEDULED WORK
+//
+
+/**
+ * Charge the mandate for one claimed renewal
+ * @param {Object} subscription - Subscription in PENDING_PAYMENT (planId populated)
+ * @returns {Promise<string>} "RENEWED" | "PENDING" | "FAILED"
+ */
+async function chargeRenewal(subscription) {
+  const now = new Date();
+  const plan = subscription.planId;
+  const mandate = subscription.renewalMandate;
+
+  const unavailable = getPlanUnavailableReason(plan, now);
+  if (unavailable) {
+    await recordRenewalFailure(subscription._id, unavailable, { final: true });
+    return "FAILED";
+  }
+  if (plan.price > mandate.maxAmount) {
+    await recordRenewalFailure(subscription._id, "Plan price exceeds the mandate limit", { final: true });
+    return "FAILED";
+  }
+
+  const user = await User.findById(subscription.userId).select("phone email status");
+  if (!user || user.status !== "ACTIVE") {
+    await recordRenewalFailure(subscription._id, "Customer account is not active", { final: true });
+    return "FAILED";
+  }
+
+  const referenceId = subscription.renewal.pendingSubscriptionId;
+  const receipt = PaymentTransaction.generateReceipt("SUBSCRIPTION", referenceId);
+  const notes = {
+    renewalOf: subscription._id.toString(),
+    attempt: subscription.renewal.attempts,
+  };
+
+  let transaction = null;
+  try {
+    const order = await razorpayProvider.createRecurringOrder({
+      amount: plan.price,
+      customerId: mandate.customerId,
+      receipt,
+      notes: { purchaseType: "SUBSCRIPTION", referenceId: referenceId.toString(), ...notes },
+    });
+
+    transaction = await PaymentTransaction.create({
+      razorpayOrderId: order.id,
+      purchaseType: "SUBSCRIPTION",
+      purchaseTypeModel: "Subscription",
+      referenceId,
+      userId: subscription.userId,
+      amount: order.amount,
+      amountRupees: plan.price,
+      currency: "INR",
+      breakdown: { subtotal: plan.price },
+      status: "CREATED",
+      receipt,
+      notes,
+      expiresAt: new Date(now.getTime() + RENEWAL_PAYMENT_EXPIRY_HOURS * HOUR_MS),
+    });
+
+    await Subscription.updateOne(
+      { _id: subscription._id },
+      { $set: { "renewal.razorpayOrderId": order.id } }
+    );
+
+    const payment = await razorpayProvider.createRecurringPayment({
+      orderId: order.id,
+      customerId: mandate.customerId,
+      tokenId: mandate.tokenId,
+      amount: plan.price,
+      contact: user.phone,
+      email: user.email,
+      description: `${plan.name} renewal`,
+      notes,
+    });
+
+    transaction.razorpayPaymentId = payment.paymentId;
+    await transaction.save();
+
+    if (payment.status === "captured") {
+      await transaction.markCaptured(payment.paymentId, { method: mandate.method });
+      const paymentMethod = razorpayProvider.mapPaymentMethod(mandate.method);
+      await completeRenewalPayment(transaction, paymentMethod, {
+        razorpayOrderId: order.id,
+        razorpayPaymentId: payment.paymentId,
+        method: mandate.method,
+      });
+      return "RENEWED";
+    }
+
+    if (payment.status === "failed") {
+      await transaction.markFailed(payment.errorDescription, null, payment);
+      await recordRenewalFailure(subscription._id, payment.errorDescription || "Payment failed");
+      return "FAILED";
+    }
+
+    return "PENDING";
+  } catch (error) {
+    console.log("> Renewal charge error:", error.message);
+    if (transaction && transaction.status === "CREATED") {
+      await transaction.markFailed(error.message, null, null).catch(() => {});
+    }
+    await recordRenewalFailure(subscription._id, error.message);
+    return "FAILED";
+  }
+}
+
+/**
+ * Send reminders for subscriptions renewing soon
+ * @param {Date} now
+ * @returns {Promise<number>} Reminders sent
+ */
+async function sendRenewalReminders(now) {
+  const { renewalReminderDays } = getSubscriptionRenewalConfig();
+  const remindBefore = new Date(now.getTime() + renewalReminderDays * DAY_MS);
+
+  const subscriptions = await Subscription.find({
+    isAutoRenew: true,
+    status: "ACTIVE",
+    "renewalMandate.status": "ACTIVE",
+    endDate: { $gt: now, $lte: remindBefore },
+    "renewal.reminderSentAt": null,
+  }).populate("planId", "name price");
+
+  let sent = 0;
+  for (const subscription of subscriptions) {
+    const claimed = await Subscription.updateOne(
+      { _id: subscription._id, "renewal.reminderSentAt": null },
+      { $set: { "renewal.reminderSentAt": now } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    notifyRenewal(subscription, "SUBSCRIPTION_RENEWAL_REMINDER", SUBSCRIPTION_RENEWAL_TEMPLATES.REMINDER, {
+      planName: subscription.planId?.name || "meal",
+      renewalDate: formatDate(subscription.endDate),
+      amount: subscription.planId?.price,
+      method: subscription.renewalMandate.method === "card" ? "card" : "UPI mandate",
+    });
+    sent++;
+  }
+
+  return sent;
+}
+
+/**
+ * Settle charges whose webhook never arrived
+ * @param {Date} now
+ * @returns {Promise<{renewed: number, failed: number}>}
+ */
+async function checkPendingRenewalPayments(now) {
+  const result = { renewed: 0, failed: 0 };
+  if (razorpayProvider.isRecurringMockMode()) return result;
+
+  const pending = await Subscription.find({
+    "renewal.status": "PENDING_PAYMENT",
+    "renewal.lastAttemptAt": { $lt: new Date(now.getTime() - PENDING_PAYMENT_CHECK_MINUTES * 60 * 1000) },
+    "renewal.razorpayOrderId": { $ne: null },
+  }).select("renewal");
+
+  for (const subscription of pending) {
+    const transaction = await PaymentTransaction.findByRazorpayOrderId(subscription.renewal.razorpayOrderId);
+    if (!transaction) continue;
+
+    try {
+      const payments = await razorpayProvider.fetchOrderPayments(transaction.razorpayOrderId);
+      const captured = payments.find((p) => p.status === "captured");
+
+      if (captured) {
+        if (transaction.status !== "CAPTURED") {
+          await transaction.markCaptured(captured.id, { method: captured.method });
+        }
+        await completeRenewalPayment(transaction, razorpayProvider.mapPaymentMethod(captured.method), {
+          razorpayOrderId: transaction.razorpayOrderId,
+          razorpayPaymentId: captured.id,
+          method: captured.method,
+        });
+        result.renewed++;
+      } else if (payments.some((p) => p.status === "failed") || transaction.expiresAt < now) {
+        const reason = transaction.expiresAt < now ? "Payment timed out" : "Payment failed";
+        if (transaction.status === "CREATED") {
+          await transaction.markFailed(reason, null, null);
+        }
+        await recordRenewalFailure(subscription._id, reason);
+        result.failed++;
+      }
+    } catch (error) {
+      console.log("> Pending renewal check error:", error.message);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Charge every renewal that is due
+ * @param {Date} now
+ * @returns {Promise<{attempted: number, renewed: number, pending: number, failed: number}>}
+ */
+async function processDueRenewals(now) {
+  const result = { attempted: 0, renewed: 0, pending: 0, failed: 0 };
+
+  const due = await Subscription.find({
+    isAutoRenew: true,
+    status: { $in: ["ACTIVE", "EXPIRED"] },
+    "renewalMandate.status": "ACTIVE",
+    endDate: { $lte: now },
+    $or: [
+      { "renewal.status": null },
+      { "renewal.status": "RETRY_SCHEDULED", "renewal.nextAttemptAt": { $lte: now } },
+    ],
+  }).select("_id renewal.status");
+
+  for (const candidate of due) {
+    // Claim the renewal so overlapping runs don't charge twice
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id: candidate._id, "renewal.status": candidate.renewal?.status ?? null },
+      {
+        $set: {
+          "renewal.status": "PENDING_PAYMENT",
+          "renewal.lastAttemptAt": now,
+          "renewal.pendingSubscriptionId": new mongoose.Types.ObjectId(),
+        },
+        $inc: { "renewal.attempts": 1 },
+      },
+      { new: true }
+    ).populate("planId");
+
+    if (!subscription) continue;
+
+    result.attempted++;
+    const outcome = await chargeRenewal(subscription);
+    if (outcome === "RENEWED") result.renewed++;
+    else if (outcome === "PENDING") result.pending++;
+    else result.failed++;
+  }
+
+  return result;
+}
+
+/**
+ * Run the auto-renewal cycle: reminders, stuck payments, due renewals
+ * Run by the scheduler.
+ * @returns {Promise<Object>} Counts per step
+ */
+export async function runSubscriptionRenewals() {
+  const now = new Date();
+
+  const remindersSent = await sendRenewalReminders(now);
+  const pendingChecked = await checkPendingRenewalPayments(now);
+  const renewals = await processDueRenewals(now);
+
+  return {
+    remindersSent,
+    pendingRenewed: pendingChecked.renewed,
+    pendingFailed: pendingChecked.failed,
+    ...renewals,
+  };
+}
+
+export default {
+  startAutoRenewal,
+  confirmAutoRenewal,
+  cancelAutoRenewal,
+  completeRenewalPayment,
+  failRenewalPayment,
+  runSubscriptionRenewals,
+};
@@ -0,0 +1,245 @@
+import DeliveryAssignment, { TRACKABLE_STATUSES } from "../schema/deliveryAssignment.schema.js";
+import { hasValidCoordinates, haversineDistanceKm } from "../utils/geo.utils.js";
+
+/**
+ * Tracking Service
+ * Driver GPS ingestion and customer-facing position/ETA
+ *
+ * Drivers post batches of GPS fixes. Each batch is sanity-checked against
+ * the previous accepted fix (stale/future timestamps, poor accuracy,
+ * impossible speed jumps) before it is written to every assignment the
+ * driver is currently carrying.
+ */
+
+// Ingestion limits
+export const MAX_POINTS_PER_BATCH = 50;
+const MAX_POINT_AGE_MS = 10 * 60 * 1000; // Points older than 10 min are dropped
+const MAX_CLOCK_SKEW_MS = 60 * 1000; // Points up to 1 min in the future are tolerated
+const MAX_ACCURACY_METERS = 200;
+const MAX_SPEED_KMPH = 150; // Anything faster is a GPS jump
+
+// ETA model (city two-wheeler delivery)
+const AVERAGE_SPEED_KMPH = 20;
+const ROAD_DISTANCE_FACTOR = 1.3; // Straight-line to road distance
+const STOP_SERVICE_MINUTES = 3; // Time spent at each earlier drop
+const STALE_LOCATION_MS = 2 * 60 * 1000;
+
+/**
+ * Round to a fixed number of decimals
+ */
+function round(value, decimals = 2) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Sanity-check a batch of GPS points
+ * Points are sorted oldest first and each one is compared with the last
+ * accepted point (starting from the driver's previous known location).
+ *
+ * @param {Array<Object>} points - Raw points ({latitude, longitude, timestamp, accuracy, speed, heading})
+ * @param {Object|null} previous - Last known location ({latitude, longitude, updatedAt})
+ * @param {Date} now - Current time
+ * @returns {{accepted: Array<Object>, rejected: Array<{index: number, reason: string}>}}
+ */
+export function filterLocationPoints(points, previous = null, now = new Date()) {
+  const accepted = [];
+  const rejected = [];
+
+  let last = previous?.updatedAt && hasValidCoordinates(previous.latitude, previous.longitude)
+    ? {
+        latitude: previous.latitude,
+        longitude: previous.longitude,
+        timestamp: new Date(previous.updatedAt),
+      }
+    : null;
+
+  const ordered = points
+    .map((point, index) => ({ ...point, index, timestamp: new Date(point.timestamp) }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  for (const point of ordered) {
+    const { index, ...fix } = point;
+    const reject = (reason) => rejected.push({ index, reason });
+
+    if (!hasValidCoordinates(fix.latitude, fix.longitude) || Number.isNaN(fix.timestamp.getTime())) {
+      reject("INVALID");
+      continue;
+    }
+
+    if (fix.timestamp.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS) {
+      reject("FUTURE_TIMESTAMP");
+      continue;
+    }
+
+    if (now.getTime() - fix.timestamp.getTime() > MAX_POINT_AGE_MS) {
+      reject("STALE");
+      continue;
+    }
+
+    if (fix.accuracy !== undefined && fix.accuracy !== null && fix.accuracy > MAX_ACCURACY_METERS) {
+      reject("LOW_ACCURACY");
+      continue;
+    }
+
+    if (last) {
+      const elapsedMs = fix.timestamp - last.timestamp;
+      if (elapsedMs <= 0) {
+        reject("OUT_OF_ORDER");
+        continue;
+      }
+
+      const distanceKm = haversineDistanceKm(last, fix);
+      const speedKmph = distanceKm / (elapsedMs / 3600000);
+      if (speedKmph > MAX_SPEED_KMPH) {
+        reject("SPEED_JUMP");
+        continue;
+      }
+    }
+
+    accepted.push(fix);
+    last = fix;
+  }
+
+  rejected.sort((a, b) => a.index - b.index);
+
+  return { accepted, rejected };
+}
+
+/**
+ * Get the driver's most recent known location across active assignments
+ * @param {ObjectId} driverId - Driver ID
+ * @returns {Promise<Object|null>} lastKnownLocation
+ */
+export async function getDriverLastLocation(driverId) {
+  const assignment = await DeliveryAssignment.findOne({
+    driverId,
+    status: { $in: TRACKABLE_STATUSES },
+    "lastKnownLocation.updatedAt": { $exists: true },
+  })
+    .sort({ "lastKnownLocation.updatedAt": -1 })
+    .select("lastKnownLocation")
+    .lean();
+
+  return assignment?.lastKnownLocation || null;
+}
+
+/**
+ * Ingest a batch of GPS points from a driver
+ * @param {ObjectId} driverId - Driver ID
+ * @param {Array<Object>} points - Raw points
+ * @returns {Promise<{accepted: number, rejected: Array, assignmentsUpdated: number, lastLocation: Object|null}>}
+ */
+export async function ingestDriverLocation(driverId, points) {
+  const previous = await getDriverLastLocation(driverId);
+  const { accepted, rejected } = filterLocationPoints(points, previous);
+
+  const assignmentsUpdated = await DeliveryAssignment.recordDriverLocation(driverId, accepted);
+
+  if (rejected.length > 0) {
+    console.log(`> Tracking: Driver ${driverId} - ${accepted.length} accepted, ${rejected.length} rejected`);
+  }
+
+  const latest = accepted[accepted.length - 1];
+
+  return {
+    accepted: accepted.length,
+    rejected,
+    assignmentsUpdated,
+    lastLocation: latest
+      ? { latitude: latest.latitude, longitude: latest.longitude, updatedAt: latest.timestamp }
+      : previous,
+  };
+}
+
+/**
+ * Estimate arrival time along a route
+ * @param {Object} from - Driver location ({latitude, longitude})
+ * @param {Array<Object>} stops - Remaining stops in order, ending with the customer
+ * @param {Date} now - Current time
+ * @returns {{distanceKm: number, etaMinutes: number, estimatedArrival: Date}}
+ */
+export function estimateEta(from, stops, now = new Date()) {
+  let distanceKm = 0;
+  let cursor = from;
+
+  for (const stop of stops) {
+    distanceKm += haversineDistanceKm(cursor, stop);
+    cursor = stop;
+  }
+
+  const roadDistanceKm = distanceKm * ROAD_DISTANCE_FACTOR;
+  const driveMinutes = (roadDistanceKm / AVERAGE_SPEED_KMPH) * 60;
+  const etaMinutes = Math.max(1, Math.ceil(driveMinutes + STOP_SERVICE_MINUTES * (stops.length - 1)));
+
+  return {
+    distanceKm: round(roadDistanceKm),
+    etaMinutes,
+    estimatedArrival: new Date(now.getTime() + etaMinutes * 60000),
+  };
+}
+
+/**
+ * Build the live tracking view of an order for the customer
+ * @param {Object} order - Order (needs _id, status, deliveryAddress)
+ * @returns {Promise<Object>} { driverLocation, eta, stopsBefore }
+ */
+export async function getOrderTrackingSnapshot(order) {
+  const snapshot = { driverLocation: null, eta: null, stopsBefore: 0 };
+
+  const assignment = await DeliveryAssignment.findOne({ orderId: order._id })
+    .select("status batchId sequenceInBatch lastKnownLocation")
+    .lean();
+
+  if (!assignment || !TRACKABLE_STATUSES.includes(assignment.status)) {
+    return snapshot;
+  }
+
+  const location = assignment.lastKnownLocation;
+  if (!location?.updatedAt || !hasValidCoordinates(location.latitude, location.longitude)) {
+    return snapshot;
+  }
+
+  snapshot.driverLocation = {
+    latitude: location.latitude,
+    longitude: location.longitude,
+    heading: location.heading ?? null,
+    updatedAt: location.updatedAt,
+    isStale: Date.now() - new Date(location.updatedAt).getTime() > STALE_LOCATION_MS,
+  };
+
+  const destination = order.deliveryAddress?.coordinates;
+  if (!hasValidCoordinates(destination?.latitude, destination?.longitude)) {
+    return snapshot;
+  }
+
+  // Earlier drops in the same batch that the driver still has to make
+  let earlierStops = [];
+  if (assignment.batchId && assignment.sequenceInBatch) {
+    const earlier = await DeliveryAssignment.find({
+      batchId: assignment.batchId,
+      status: { $in: TRACKABLE_STATUSES },
+      sequenceInBatch: { $lt: assignment.sequenceInBatch },
+    })
+      .sort({ sequenceInBatch: 1 })
+      .populate("orderId", "deliveryAddress.coordinates")
+      .lean();
+
+    earlierStops = earlier
+      .map((a) => a.orderId?.deliveryAddress?.coordinates)
+      .filter((c) => hasValidCoordinates(c?.latitude, c?.longitude));
+  }
+
+  snapshot.stopsBefore = earlierStops.length;
+  snapshot.eta = estimateEta(location, [...earlierStops, destination]);
+
+  return snapshot;
+}
+
+export default {
+  filterLocationPoints,
+  getDriverLastLocation,
+  ingestDriverLocation,
+  estimateEta,
+  getOrderTrackingSnapshot,
+};
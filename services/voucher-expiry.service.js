@@ -107,6 +107,7 @@ export async function checkVoucherExpiryForUser(userId) {
       },
       entityType: "VOUCHER",
       expiryNotificationKey: expiryKey,
+      channels: notification.channels,
     });
 
     console.log("> Voucher expiry notification sent:", {
@@ -2,7 +2,9 @@ import mongoose from "mongoose";
 import Voucher from "../schema/voucher.schema.js";
 import Subscription from "../schema/subscription.schema.js";
 import Kitchen from "../schema/kitchen.schema.js";
-import { checkCutoffTime } from "./config.service.js";
+import VoucherTransfer from "../schema/voucherTransfer.schema.js";
+import User from "../schema/user.schema.js";
+import { checkCutoffTime, getVoucherTransferConfig } from "./config.service.js";
 
 /**
  * Voucher Service
@@ -12,16 +14,21 @@ import { checkCutoffTime } from "./config.service.js";
  * IMPORTANT: This service maintains sync between:
  * - Individual Voucher documents (status: AVAILABLE -> REDEEMED -> RESTORED)
  * - Subscription.vouchersUsed counter (incremented on redeem, decremented on restore)
+ *
+ * A transferred voucher counts as used on its subscription at transfer time,
+ * so the recipient's copy never touches that counter again.
  */
 
 /**
  * Helper: Group vouchers by subscriptionId and count
+ * Received (transferred-in) vouchers are skipped, see above.
  * @param {Array} vouchers - Array of voucher documents
  * @returns {Map<string, number>} Map of subscriptionId -> count
  */
 function groupVouchersBySubscription(vouchers) {
   const subscriptionCounts = new Map();
   for (const voucher of vouchers) {
+    if (voucher.transferredFromVoucherId) continue;
     const subId = voucher.subscriptionId.toString();
     subscriptionCounts.set(subId, (subscriptionCounts.get(subId) || 0) + 1);
   }
@@ -178,6 +185,12 @@ export async function restoreVouchersForOrder(voucherIds, reason, forceRestore =
       restorationReason = "ORDER_CANCELLED";
     } else if (reason.toLowerCase().includes("rejected")) {
       restorationReason = "ORDER_REJECTED";
+    } else if (reason.toLowerCase().includes("claim")) {
+      restorationReason = "ORDER_CLAIM";
+    } else if (reason.toLowerCase().includes("amended")) {
+      restorationReason = "ORDER_AMENDED";
+    } else if (reason.toLowerCase().includes("delivery failed")) {
+      restorationReason = "DELIVERY_FAILED";
     } else if (reason.toLowerCase().includes("admin")) {
       restorationReason = "ADMIN_ACTION";
     }
@@ -196,7 +209,7 @@ export async function restoreVouchersForOrder(voucherIds, reason, forceRestore =
 
     // First, find vouchers to get their subscriptionIds before updating
     const vouchersToRestore = await Voucher.find(query)
-      .select("_id subscriptionId")
+      .select("_id subscriptionId transferredFromVoucherId")
       .session(session);
 
     if (vouchersToRestore.length === 0) {
@@ -256,6 +269,235 @@ export async function restoreVouchersForOrder(voucherIds, reason, forceRestore =
   }
 }
 
+/**
+ * Issue vouchers for a subscription
+ *
+ * @param {ObjectId} userId - User ID
+ * @param {ObjectId} subscriptionId - Subscription ID
+ * @param {number} count - Number of vouchers to issue
+ * @param {Date} expiryDate - Expiry date for vouchers
+ * @param {Object} options
+ * @param {ClientSession} options.session - Mongo session to issue inside a transaction
+ * @param {string} options.mealType - LUNCH, DINNER or ANY (see getVoucherMealType)
+ * @returns {Promise<{issued: number, voucherIds: Array}>}
+ */
+export async function issueVouchers(userId, subscriptionId, count, expiryDate, { session = null, mealType = "ANY" } = {}) {
+  const voucherIds = [];
+
+  for (let i = 0; i < count; i++) {
+    const voucherCode = await Voucher.generateVoucherCode();
+    const voucher = new Voucher({
+      voucherCode,
+      userId,
+      subscriptionId,
+      issuedDate: new Date(),
+      expiryDate,
+      mealType,
+      status: "AVAILABLE",
+    });
+    await voucher.save({ session });
+    voucherIds.push(voucher._id);
+  }
+
+  return { issued: count, voucherIds };
+}
+
+/**
+ * Cancel a subscription's unused vouchers
+ *
+ * @param {ObjectId} subscriptionId - Subscription ID
+ * @param {Object} options
+ * @param {ClientSession} options.session - Mongo session to cancel inside a transaction
+ * @returns {Promise<{cancelled: number}>}
+ */
+export async function cancelUnusedVouchers(subscriptionId, { session = null } = {}) {
+  const result = await Voucher.updateMany(
+    {
+      subscriptionId,
+      status: { $in: ["AVAILABLE", "RESTORED"] },
+      // Vouchers already given to someone else stay theirs
+      transferredFromVoucherId: null,
+    },
+    { $set: { status: "CANCELLED" } },
+    { session }
+  );
+
+  return { cancelled: result.modifiedCount };
+}
+
+/**
+ * Voucher meal type for a plan's coverage rules
+ * @param {Object} plan - SubscriptionPlan (or a snapshot with coverageRules.mealTypes / mealTypes)
+ * @returns {string} LUNCH, DINNER or ANY
+ */
+export function getVoucherMealType(plan) {
+  const mealTypes = plan?.coverageRules?.mealTypes || plan?.mealTypes || [];
+  if (mealTypes.length === 1 && (mealTypes[0] === "LUNCH" || mealTypes[0] === "DINNER")) {
+    return mealTypes[0];
+  }
+  return "ANY";
+}
+
+/**
+ * Transfer AVAILABLE vouchers to another customer
+ * Takes the giver's soonest-expiring transferable vouchers. Each becomes
+ * TRANSFERRED and the recipient gets a new voucher with the same
+ * subscription, expiry and meal type. Vouchers received by transfer can't
+ * be passed on again.
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.fromUserId - Giver
+ * @param {ObjectId} params.toUserId - Recipient
+ * @param {number} params.count - Vouchers to transfer
+ * @param {string} params.mealType - Only transfer vouchers usable for this meal (LUNCH/DINNER)
+ * @param {string} params.note - Note to the recipient
+ * @returns {Promise<{success: boolean, transfer?: Object, error?: string}>}
+ */
+export async function transferVouchers({ fromUserId, toUserId, count, mealType = null, note = null }) {
+  const config = getVoucherTransferConfig();
+
+  if (!config.enabled) {
+    return { success: false, error: "Voucher transfers are currently disabled" };
+  }
+
+  if (count > config.maxVouchersPerTransfer) {
+    return { success: false, error: `You can transfer up to ${config.maxVouchersPerTransfer} vouchers at a time` };
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    // Touch the giver first: a second transfer by the same giver running at
+    // the same time write-conflicts here, so the monthly cap can't be passed twice
+    await User.updateOne({ _id: fromUserId }, { $currentDate: { updatedAt: true } }, { session });
+
+    const monthAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const [recent] = await VoucherTransfer.aggregate([
+      { $match: { fromUserId: new mongoose.Types.ObjectId(fromUserId), createdAt: { $gte: monthAgo } } },
+      { $group: { _id: null, count: { $sum: "$count" } } },
+    ]).session(session);
+    const transferredThisMonth = recent?.count || 0;
+    if (transferredThisMonth + count > config.maxVouchersPerMonth) {
+      await session.abortTransaction();
+      const remaining = Math.max(0, config.maxVouchersPerMonth - transferredThisMonth);
+      return {
+        success: false,
+        error: `Monthly transfer limit reached. You can transfer ${remaining} more voucher(s) in the next 30 days`,
+      };
+    }
+
+    const now = new Date();
+    const minExpiry = new Date(now.getTime() + config.minValidityHours * 60 * 60 * 1000);
+
+    const query = {
+      userId: fromUserId,
+      status: "AVAILABLE",
+      expiryDate: { $gt: minExpiry },
+      transferredFromVoucherId: null,
+    };
+    if (mealType) {
+      query.mealType = { $in: ["ANY", mealType] };
+    }
+
+    const sourceVouchers = await Voucher.find(query)
+      .sort({ expiryDate: 1 })
+      .limit(count)
+      .session(session);
+
+    if (sourceVouchers.length < count) {
+      await session.abortTransaction();
+      return {
+        success: false,
+        error: `Only ${sourceVouchers.length} voucher(s) can be transferred, ${count} requested`,
+      };
+    }
+
+    const transferId = new mongoose.Types.ObjectId();
+    const sourceVoucherIds = sourceVouchers.map((v) => v._id);
+
+    const updateResult = await Voucher.updateMany(
+      { _id: { $in: sourceVoucherIds }, status: "AVAILABLE" },
+      {
+        $set: {
+          status: "TRANSFERRED",
+          transferId,
+          transferredToUserId: toUserId,
+          transferredAt: now,
+        },
+      },
+      { session }
+    );
+
+    if (updateResult.modifiedCount !== count) {
+      await session.abortTransaction();
+      return {
+        success: false,
+        error: "Voucher state changed during transfer. Please try again.",
+      };
+    }
+
+    const received = await Voucher.insertMany(
+      sourceVouchers.map((source) => ({
+        voucherCode: Voucher.generateVoucherCode(),
+        userId: toUserId,
+        subscriptionId: source.subscriptionId,
+        mealType: source.mealType,
+        issuedDate: now,
+        expiryDate: source.expiryDate,
+        status: "AVAILABLE",
+        transferId,
+        transferredFromVoucherId: source._id,
+        transferredFromUserId: fromUserId,
+        transferredAt: now,
+      })),
+      { session }
+    );
+
+    // Given away counts as used on the giver's subscription
+    const subscriptionCounts = groupVouchersBySubscription(sourceVouchers);
+    for (const [subscriptionId, voucherCount] of subscriptionCounts) {
+      await Subscription.updateOne(
+        { _id: subscriptionId },
+        { $inc: { vouchersUsed: voucherCount } },
+        { session }
+      );
+    }
+
+    const [transfer] = await VoucherTransfer.create(
+      [
+        {
+          _id: transferId,
+          transferNumber: VoucherTransfer.generateTransferNumber(),
+          fromUserId,
+          toUserId,
+          count,
+          sourceVoucherIds,
+          voucherIds: received.map((v) => v._id),
+          note,
+        },
+      ],
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    console.log(`> VoucherService: Transferred ${count} vouchers ${fromUserId} -> ${toUserId} (${transfer.transferNumber})`);
+
+    return { success: true, transfer, vouchers: received };
+  } catch (error) {
+    await session.abortTransaction();
+    console.log(`> VoucherService: Transfer failed - ${error.message}`);
+    if (error.hasErrorLabel?.("TransientTransactionError")) {
+      return { success: false, error: "Another transfer is in progress. Please try again." };
+    }
+    return { success: false, error: error.message };
+  } finally {
+    session.endSession();
+  }
+}
+
 /**
  * Get available voucher count for a user and meal window
  *
@@ -322,6 +564,7 @@ export async function getVoucherBalanceSummary(userId) {
     expired: 0,
     restored: 0,
     cancelled: 0,
+    transferred: 0,
   };
 
   for (const stat of statusCounts) {
@@ -351,6 +594,10 @@ export async function getVoucherBalanceSummary(userId) {
 }
 
 export default {
+  issueVouchers,
+  cancelUnusedVouchers,
+  getVoucherMealType,
+  transferVouchers,
   redeemVouchersWithTransaction,
   restoreVouchersForOrder,
   getAvailableVoucherCount,
@@ -0,0 +1,336 @@
+import mongoose from "mongoose";
+import Wallet from "../schema/wallet.schema.js";
+import WalletTransaction from "../schema/walletTransaction.schema.js";
+import WalletRecharge from "../schema/walletRecharge.schema.js";
+import Order from "../schema/order.schema.js";
+
+/**
+ * Wallet Service
+ * Credits and debits customer wallets with MongoDB transactions
+ *
+ * Every balance change writes exactly one WalletTransaction ledger entry in
+ * the same transaction. Callers pass an idempotencyKey for business events
+ * (top-up, order reversal, refund) so retries never double-credit.
+ */
+
+// Top-up limits (rupees)
+export const MIN_TOPUP_AMOUNT = 10;
+export const MAX_TOPUP_AMOUNT = 10000;
+export const MAX_WALLET_BALANCE = 50000;
+
+/**
+ * Round a rupee amount to paise
+ * @param {number} amount - Amount in rupees
+ * @returns {number} Rounded amount
+ */
+function roundAmount(amount) {
+  return Math.round(Number(amount) * 100) / 100;
+}
+
+/**
+ * Get a user's wallet, creating it on first use
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<Document>} Wallet document
+ */
+export async function getOrCreateWallet(userId) {
+  return Wallet.getOrCreate(userId);
+}
+
+/**
+ * Get a user's current wallet balance without creating a wallet
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<number>} Balance in rupees
+ */
+export async function getWalletBalance(userId) {
+  const wallet = await Wallet.findOne({ userId }).select("balance").lean();
+  return wallet?.balance || 0;
+}
+
+/**
+ * Apply a credit or debit to a wallet and record the ledger entry
+ *
+ * @param {string} type - CREDIT or DEBIT
+ * @param {Object} params
+ * @param {ObjectId} params.userId - Wallet owner
+ * @param {number} params.amount - Amount in rupees (> 0)
+ * @param {string} params.source - Ledger source (TOPUP, ORDER_PAYMENT, ...)
+ * @param {string} params.referenceType - Order | Refund | WalletRecharge
+ * @param {ObjectId} params.referenceId - Referenced document ID
+ * @param {string} params.description - Statement description
+ * @param {string} params.idempotencyKey - Unique key for the business event
+ * @param {ObjectId} params.performedBy - Admin for manual entries
+ * @returns {Promise<{success: boolean, entry: Object|null, balance: number|null, alreadyProcessed: boolean, error: string|null}>}
+ */
+async function applyWalletEntry(type, {
+  userId,
+  amount,
+  source,
+  referenceType = null,
+  referenceId = null,
+  description,
+  idempotencyKey,
+  performedBy = null,
+}) {
+  const value = roundAmount(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    return { success: false, entry: null, balance: null, alreadyProcessed: false, error: "Amount must be greater than 0" };
+  }
+
+  if (idempotencyKey) {
+    const existing = await WalletTransaction.findOne({ idempotencyKey });
+    if (existing) {
+      return { success: true, entry: existing, balance: existing.balanceAfter, alreadyProcessed: true, error: null };
+    }
+  }
+
+  await Wallet.getOrCreate(userId);
+
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const isDebit = type === "DEBIT";
+    const filter = { userId };
+    if (isDebit) {
+      filter.balance = { $gte: value };
+    }
+
+    const wallet = await Wallet.findOneAndUpdate(
+      filter,
+      {
+        $inc: {
+          balance: isDebit ? -value : value,
+          [isDebit ? "lifetimeDebits" : "lifetimeCredits"]: value,
+        },
+        $set: { lastTransactionAt: new Date() },
+      },
+      { new: true, session }
+    );
+
+    if (!wallet) {
+      await session.abortTransaction();
+      const current = await Wallet.findOne({ userId }).select("balance").lean();
+      const available = current?.balance || 0;
+      return {
+        success: false,
+        entry: null,
+        balance: available,
+        alreadyProcessed: false,
+        error: `Insufficient wallet balance. Available: ${available}, required: ${value}`,
+      };
+    }
+
+    const balanceAfter = roundAmount(wallet.balance);
+    const balanceBefore = roundAmount(isDebit ? balanceAfter + value : balanceAfter - value);
+
+    const [entry] = await WalletTransaction.create(
+      [
+        {
+          entryNumber: WalletTransaction.generateEntryNumber(),
+          walletId: wallet._id,
+          userId,
+          type,
+          amount: value,
+          balanceBefore,
+          balanceAfter,
+          source,
+          referenceType,
+          referenceId,
+          description,
+          idempotencyKey,
+          performedBy,
+        },
+      ],
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    console.log(`> WalletService: ${type} ${value} (${source}) for user ${userId}, balance ${balanceAfter}`);
+
+    return { success: true, entry, balance: balanceAfter, alreadyProcessed: false, error: null };
+  } catch (error) {
+    await session.abortTransaction();
+
+    // Concurrent call with the same key won the race
+    if (error.code === 11000 && idempotencyKey) {
+      const existing = await WalletTransaction.findOne({ idempotencyKey });
+      if (existing) {
+        return { success: true, entry: existing, balance: existing.balanceAfter, alreadyProcessed: true, error: null };
+      }
+    }
+
+    console.log(`> WalletService: ${type} failed - ${error.message}`);
+    return { success: false, entry: null, balance: null, alreadyProcessed: false, error: error.message };
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Credit a wallet
+ * @param {Object} params - See applyWalletEntry
+ * @returns {Promise<Object>} Entry result
+ */
+export async function creditWallet(params) {
+  return applyWalletEntry("CREDIT", params);
+}
+
+/**
+ * Debit a wallet (fails when the balance is insufficient)
+ * @param {Object} params - See applyWalletEntry
+ * @returns {Promise<Object>} Entry result
+ */
+export async function debitWallet(params) {
+  return applyWalletEntry("DEBIT", params);
+}
+
+/**
+ * Get paginated wallet statement
+ * @param {ObjectId} userId - User ID
+ * @param {Object} options
+ * @param {string} options.type - CREDIT | DEBIT
+ * @param {string} options.source - Ledger source
+ * @param {Date} options.dateFrom - From date
+ * @param {Date} options.dateTo - To date
+ * @param {number} options.page - Page number
+ * @param {number} options.limit - Page size
+ * @returns {Promise<{entries: Array, pagination: Object}>}
+ */
+export async function getWalletStatement(userId, { type, source, dateFrom, dateTo, page = 1, limit = 20 } = {}) {
+  const query = { userId };
+  if (type) query.type = type;
+  if (source) query.source = source;
+  if (dateFrom || dateTo) {
+    query.createdAt = {};
+    if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+    if (dateTo) query.createdAt.$lte = new Date(dateTo);
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [entries, total] = await Promise.all([
+    WalletTransaction.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    WalletTransaction.countDocuments(query),
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Return the wallet portion of an order to the customer
+ * Used when an order is cancelled, rejected or its gateway payment fails.
+ * Safe to call more than once per order.
+ *
+ * @param {Object} order - Order document (or lean object)
+ * @param {string} reason - Reversal reason
+ * @returns {Promise<{success: boolean, amount: number, error: string|null}>}
+ */
+export async function reverseOrderWalletUsage(order, reason) {
+  const amount = order?.walletUsage?.amount || 0;
+  if (amount <= 0 || order.walletUsage.reversedAt) {
+    return { success: true, amount: 0, error: null };
+  }
+
+  const result = await creditWallet({
+    userId: order.userId,
+    amount,
+    source: "ORDER_REVERSAL",
+    referenceType: "Order",
+    referenceId: order._id,
+    description: `Order ${order.orderNumber || order._id}: ${reason}`,
+    idempotencyKey: `order-reversal:${order._id}`,
+  });
+
+  if (!result.success) {
+    return { success: false, amount: 0, error: result.error };
+  }
+
+  const reversedAt = new Date();
+  await Order.updateOne(
+    { _id: order._id },
+    { $set: { "walletUsage.reversedAt": reversedAt } }
+  );
+  if (order.walletUsage) {
+    order.walletUsage.reversedAt = reversedAt;
+  }
+
+  return { success: true, amount: result.alreadyProcessed ? 0 : amount, error: null };
+}
+
+/**
+ * Credit a wallet top-up after its Razorpay payment is captured
+ * @param {Object} transaction - PaymentTransaction document (WALLET_RECHARGE)
+ * @param {string} paymentMethod - Mapped payment method
+ * @returns {Promise<{success: boolean, recharge: Object|null, error: string|null}>}
+ */
+export async function completeWalletRecharge(transaction, paymentMethod) {
+  const recharge = await WalletRecharge.findById(transaction.referenceId);
+  if (!recharge) {
+    return { success: false, recharge: null, error: "Wallet recharge not found" };
+  }
+
+  if (recharge.status === "COMPLETED") {
+    return { success: true, recharge, error: null };
+  }
+
+  const result = await creditWallet({
+    userId: recharge.userId,
+    amount: transaction.amountRupees,
+    source: "TOPUP",
+    referenceType: "WalletRecharge",
+    referenceId: recharge._id,
+    description: "Wallet top-up",
+    idempotencyKey: `topup:${recharge._id}`,
+  });
+
+  if (!result.success) {
+    return { success: false, recharge, error: result.error };
+  }
+
+  recharge.status = "COMPLETED";
+  recharge.razorpayPaymentId = transaction.razorpayPaymentId;
+  recharge.paymentMethod = paymentMethod;
+  recharge.walletTransactionId = result.entry._id;
+  recharge.completedAt = new Date();
+  recharge.failureReason = undefined;
+  await recharge.save();
+
+  return { success: true, recharge, error: null };
+}
+
+/**
+ * Mark a wallet top-up as failed
+ * @param {ObjectId} rechargeId - WalletRecharge ID
+ * @param {string} reason - Failure reason
+ */
+export async function failWalletRecharge(rechargeId, reason) {
+  await WalletRecharge.updateOne(
+    { _id: rechargeId, status: "PENDING" },
+    { $set: { status: "FAILED", failedAt: new Date(), failureReason: reason } }
+  );
+}
+
+export default {
+  getOrCreateWallet,
+  getWalletBalance,
+  creditWallet,
+  debitWallet,
+  getWalletStatement,
+  reverseOrderWalletUsage,
+  completeWalletRecharge,
+  failWalletRecharge,
+};
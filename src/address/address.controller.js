@@ -3,6 +3,13 @@ import Zone from "../../schema/zone.schema.js";
 import Kitchen from "../../schema/kitchen.schema.js";
 import Order from "../../schema/order.schema.js";
 import { sendResponse } from "../../utils/response.utils.js";
+import {
+  getClosures,
+  getOpenKitchens,
+  getClosedWindows,
+  getTodaysClosure,
+  describeClosure,
+} from "../../services/closure.service.js";
 
 /**
  * Address Controller
@@ -11,14 +18,19 @@ import { sendResponse } from "../../utils/response.utils.js";
 
 /**
  * Helper: Check serviceability for a pincode
+ * Coordinates, when present, are matched against zone boundaries first
+ * @param {string} pincode - 6-digit pincode
+ * @param {Object} [coordinates] - { latitude, longitude }
  */
-const checkPincodeServiceability = async (pincode) => {
-  const zone = await Zone.findOne({ pincode }).select(
-    "_id name city status orderingEnabled"
-  );
+const checkPincodeServiceability = async (pincode, coordinates = null) => {
+  const { zone, resolvedBy } = await Zone.resolveForLocation({
+    latitude: coordinates?.latitude,
+    longitude: coordinates?.longitude,
+    pincode,
+  });
 
   if (!zone) {
-    return { isServiceable: false, zoneId: null, zone: null };
+    return { isServiceable: false, zoneId: null, zone: null, resolvedBy: null };
   }
 
   const isServiceable = zone.status === "ACTIVE" && zone.orderingEnabled;
@@ -26,6 +38,7 @@ const checkPincodeServiceability = async (pincode) => {
     isServiceable,
     zoneId: zone._id,
     zone: { _id: zone._id, name: zone.name, city: zone.city },
+    resolvedBy,
   };
 };
 
@@ -41,7 +54,7 @@ export const createAddress = async (req, res) => {
       city, state, pincode, contactName, contactPhone, coordinates, isDefault,
     } = req.body;
 
-    const serviceability = await checkPincodeServiceability(pincode);
+    const serviceability = await checkPincodeServiceability(pincode, coordinates);
 
     const existingCount = await CustomerAddress.countDocuments({
       userId,
@@ -182,8 +195,16 @@ export const updateAddress = async (req, res) => {
       return sendResponse(res, 403, "Access denied");
     }
 
-    if (updates.pincode && updates.pincode !== address.pincode) {
-      const serviceability = await checkPincodeServiceability(updates.pincode);
+    const pincodeChanged = updates.pincode && updates.pincode !== address.pincode;
+    const coordinatesChanged = updates.coordinates !== undefined &&
+      (updates.coordinates?.latitude !== address.coordinates?.latitude ||
+        updates.coordinates?.longitude !== address.coordinates?.longitude);
+
+    if (pincodeChanged || coordinatesChanged) {
+      const serviceability = await checkPincodeServiceability(
+        updates.pincode || address.pincode,
+        updates.coordinates !== undefined ? updates.coordinates : address.coordinates
+      );
       address.zoneId = serviceability.zoneId;
       address.isServiceable = serviceability.isServiceable;
     }
@@ -324,35 +345,51 @@ export const setDefaultAddress = async (req, res) => {
 
 /**
  * Check serviceability for a pincode
+ * Optional latitude/longitude resolve the zone by boundary first
  * GET /api/address/check-serviceability
  */
 export const checkServiceability = async (req, res) => {
   try {
-    const { pincode } = req.query;
+    const { pincode, latitude, longitude } = req.validatedQuery || req.query;
 
     if (!/^\d{6}$/.test(pincode)) {
       return sendResponse(res, 400, "Invalid pincode format");
     }
 
-    const serviceability = await checkPincodeServiceability(pincode);
+    const serviceability = await checkPincodeServiceability(pincode, { latitude, longitude });
 
+    // Kitchens open today (planned closures excluded)
     let kitchenCount = 0;
+    let closure = null;
     if (serviceability.zoneId) {
-      kitchenCount = await Kitchen.countDocuments({
+      const kitchens = await Kitchen.find({
         zonesServed: serviceability.zoneId,
         status: "ACTIVE",
         isAcceptingOrders: true,
-      });
+      }).select("_id");
+      const { openKitchens, closures } = await getOpenKitchens(kitchens, serviceability.zoneId);
+      kitchenCount = openKitchens.length;
+      if (kitchens.length > 0 && openKitchens.length === 0) {
+        closure = getTodaysClosure(closures);
+      }
+    }
+
+    let message = serviceability.isServiceable
+      ? "We deliver to this area!"
+      : "Sorry, we don't deliver to this area yet";
+    if (serviceability.isServiceable && closure) {
+      message = `Closed today (${closure.title})`;
     }
 
     return sendResponse(res, 200, "Serviceability checked", {
       pincode,
       isServiceable: serviceability.isServiceable,
       zone: serviceability.zone,
+      resolvedBy: serviceability.resolvedBy,
       kitchenCount,
-      message: serviceability.isServiceable
-        ? "We deliver to this area!"
-        : "Sorry, we don't deliver to this area yet",
+      closedToday: Boolean(closure),
+      closure: closure ? describeClosure(closure) : null,
+      message,
     });
   } catch (error) {
     console.error(`> Check serviceability error: ${error.message}`);
@@ -393,10 +430,20 @@ export const getServiceableKitchens = async (req, res) => {
       isAcceptingOrders: true,
     };
 
-    const kitchens = await Kitchen.find(filter)
+    const kitchenDocs = await Kitchen.find(filter)
       .select("name code type premiumFlag gourmetFlag logo cuisineTypes averageRating operatingHours")
       .sort({ type: 1, averageRating: -1 });
 
+    // Meal windows each kitchen is closed for today
+    const closures = await getClosures({
+      kitchenIds: kitchenDocs.map((k) => k._id),
+      zoneIds: [address.zoneId],
+    });
+    const kitchens = kitchenDocs.map((kitchen) => ({
+      ...kitchen.toObject(),
+      closedWindows: getClosedWindows(closures, { kitchenId: kitchen._id, zoneId: address.zoneId }),
+    }));
+
     console.log(`> Kitchens for address ${id}: ${kitchens.length}`);
 
     return sendResponse(res, 200, "Kitchens retrieved", {
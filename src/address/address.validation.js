@@ -82,7 +82,9 @@ export const checkServiceabilitySchema = Joi.object({
     .messages({
       "any.required": "Pincode is required",
     }),
-});
+  latitude: Joi.number().min(-90).max(90),
+  longitude: Joi.number().min(-180).max(180),
+}).and("latitude", "longitude");
 
 /**
  * Get kitchens query
@@ -1,4 +1,5 @@
 import bcrypt from "bcryptjs";
+import mongoose from "mongoose";
 import User from "../../schema/user.schema.js";
 import Kitchen from "../../schema/kitchen.schema.js";
 import Zone from "../../schema/zone.schema.js";
@@ -18,8 +19,18 @@ import {
   getCancellationConfig,
   getFeesConfig,
   getAutoOrderConfig,
+  getSettlementConfig,
+  getSubscriptionRenewalConfig,
+  getVoucherTransferConfig,
 } from "../../services/config.service.js";
 import { sendToUserIds, sendToRole } from "../../services/notification.service.js";
+import {
+  REPORT_COLUMNS,
+  EXPORT_FORMATS,
+  buildReportFilename,
+  streamCsv,
+  streamXlsx,
+} from "../../services/report-export.service.js";
 
 /**
  * 
@@ -736,6 +747,9 @@ export async function getSystemConfig(req, res) {
     const cancellation = getCancellationConfig();
     const fees = getFeesConfig();
     const autoOrder = getAutoOrderConfig();
+    const settlement = getSettlementConfig();
+    const subscription = getSubscriptionRenewalConfig();
+    const voucherTransfer = getVoucherTransferConfig();
 
     // Combine with legacy config
     const config = {
@@ -743,6 +757,9 @@ export async function getSystemConfig(req, res) {
       cancellation,
       fees,
       autoOrder,
+      settlement,
+      subscription,
+      voucherTransfer,
       ...LEGACY_CONFIG,
     };
 
@@ -755,7 +772,7 @@ export async function getSystemConfig(req, res) {
 
 /**
  * Update system configuration
- * Persists cutoffTimes, cancellation, fees, and autoOrder to database
+ * Persists cutoffTimes, cancellation, fees, autoOrder, settlement, subscription and voucherTransfer to database
  * @route PUT /api/admin/config
  * @access Admin
  */
@@ -770,6 +787,9 @@ export async function updateSystemConfig(req, res) {
       cancellation: getCancellationConfig(),
       fees: getFeesConfig(),
       autoOrder: getAutoOrderConfig(),
+      settlement: getSettlementConfig(),
+      subscription: getSubscriptionRenewalConfig(),
+      voucherTransfer: getVoucherTransferConfig(),
       ...LEGACY_CONFIG,
     };
 
@@ -794,6 +814,21 @@ export async function updateSystemConfig(req, res) {
       await updateConfig("autoOrder", { ...currentAutoOrder, ...updates.autoOrder }, adminId);
     }
 
+    if (updates.settlement) {
+      const currentSettlement = getSettlementConfig();
+      await updateConfig("settlement", { ...currentSettlement, ...updates.settlement }, adminId);
+    }
+
+    if (updates.subscription) {
+      const currentSubscription = getSubscriptionRenewalConfig();
+      await updateConfig("subscription", { ...currentSubscription, ...updates.subscription }, adminId);
+    }
+
+    if (updates.voucherTransfer) {
+      const currentVoucherTransfer = getVoucherTransferConfig();
+      await updateConfig("voucherTransfer", { ...currentVoucherTransfer, ...updates.voucherTransfer }, adminId);
+    }
+
     // Update legacy in-memory configs
     if (updates.batching) {
       LEGACY_CONFIG.batching = { ...LEGACY_CONFIG.batching, ...updates.batching };
@@ -820,6 +855,9 @@ export async function updateSystemConfig(req, res) {
       cancellation: getCancellationConfig(),
       fees: getFeesConfig(),
       autoOrder: getAutoOrderConfig(),
+      settlement: getSettlementConfig(),
+      subscription: getSubscriptionRenewalConfig(),
+      voucherTransfer: getVoucherTransferConfig(),
       ...LEGACY_CONFIG,
     };
 
@@ -952,12 +990,42 @@ export async function getReports(req, res) {
 }
 
 /**
- * Generate orders report
+ * Build $lookup stages that attach the segment entity (kitchen or zone) to grouped rows
+ * @param {string} segmentBy - Segment grouping (CITY, ZONE, KITCHEN)
+ * @returns {Array<Object>} Pipeline stages
  */
-async function generateOrdersReport(matchQuery, segmentBy) {
+function buildSegmentLookupStages(segmentBy) {
+  return [
+    {
+      $lookup: {
+        from: segmentBy === "KITCHEN" ? "kitchens" : "zones",
+        localField: "_id",
+        foreignField: "_id",
+        as: "entity",
+      },
+    },
+    { $unwind: { path: "$entity", preserveNullAndEmptyArrays: true } },
+  ];
+}
+
+/**
+ * Re-key the placedAt date range of a report match onto another date field
+ * Voucher and refund reports don't have placedAt, so the range is applied to their own date
+ * @param {Object} matchQuery - Report match query
+ * @param {string} field - Date field to filter on
+ * @returns {Object} Match query for the field
+ */
+function buildDateRangeMatch(matchQuery, field) {
+  return matchQuery.placedAt ? { [field]: matchQuery.placedAt } : {};
+}
+
+/**
+ * Orders report aggregation pipeline
+ */
+function buildOrdersReportPipeline(matchQuery, segmentBy) {
   const groupField = segmentBy === "KITCHEN" ? "$kitchenId" : "$zoneId";
 
-  const result = await Order.aggregate([
+  return [
     { $match: { ...matchQuery, status: "DELIVERED" } },
     {
       $group: {
@@ -967,27 +1035,17 @@ async function generateOrdersReport(matchQuery, segmentBy) {
         avgOrderValue: { $avg: "$grandTotal" },
       },
     },
-    {
-      $lookup: {
-        from: segmentBy === "KITCHEN" ? "kitchens" : "zones",
-        localField: "_id",
-        foreignField: "_id",
-        as: "entity",
-      },
-    },
-    { $unwind: { path: "$entity", preserveNullAndEmptyArrays: true } },
-  ]);
-
-  return { type: "ORDERS", segmentBy, data: result };
+    ...buildSegmentLookupStages(segmentBy),
+  ];
 }
 
 /**
- * Generate revenue report
+ * Revenue report aggregation pipeline
  */
-async function generateRevenueReport(matchQuery, segmentBy) {
+function buildRevenueReportPipeline(matchQuery, segmentBy) {
   const groupField = segmentBy === "KITCHEN" ? "$kitchenId" : "$zoneId";
 
-  const result = await Order.aggregate([
+  return [
     { $match: { ...matchQuery, status: "DELIVERED" } },
     {
       $group: {
@@ -1007,34 +1065,31 @@ async function generateRevenueReport(matchQuery, segmentBy) {
         discountsSum: { $sum: "$discount.discountAmount" },
       },
     },
-  ]);
-
-  return { type: "REVENUE", segmentBy, data: result };
+    ...(segmentBy ? buildSegmentLookupStages(segmentBy) : []),
+  ];
 }
 
 /**
- * Generate vouchers report
+ * Vouchers report aggregation pipeline
  */
-async function generateVouchersReport(matchQuery, segmentBy) {
-  const result = await Voucher.aggregate([
-    { $match: {} },
+function buildVouchersReportPipeline(matchQuery) {
+  return [
+    { $match: buildDateRangeMatch(matchQuery, "issuedDate") },
     {
       $group: {
         _id: "$status",
         count: { $sum: 1 },
       },
     },
-  ]);
-
-  return { type: "VOUCHERS", segmentBy, data: result };
+  ];
 }
 
 /**
- * Generate refunds report
+ * Refunds report aggregation pipeline
  */
-async function generateRefundsReport(matchQuery, segmentBy) {
-  const result = await Refund.aggregate([
-    { $match: {} },
+function buildRefundsReportPipeline(matchQuery) {
+  return [
+    { $match: buildDateRangeMatch(matchQuery, "initiatedAt") },
     {
       $group: {
         _id: "$status",
@@ -1042,35 +1097,126 @@ async function generateRefundsReport(matchQuery, segmentBy) {
         totalAmount: { $sum: "$amount" },
       },
     },
-  ]);
+  ];
+}
 
+/**
+ * Report type -> source model and pipeline builder
+ */
+const REPORT_SOURCES = {
+  ORDERS: { model: Order, buildPipeline: buildOrdersReportPipeline },
+  REVENUE: { model: Order, buildPipeline: buildRevenueReportPipeline },
+  VOUCHERS: { model: Voucher, buildPipeline: buildVouchersReportPipeline },
+  REFUNDS: { model: Refund, buildPipeline: buildRefundsReportPipeline },
+};
+
+/**
+ * Generate orders report
+ */
+async function generateOrdersReport(matchQuery, segmentBy) {
+  const result = await Order.aggregate(buildOrdersReportPipeline(matchQuery, segmentBy));
+  return { type: "ORDERS", segmentBy, data: result };
+}
+
+/**
+ * Generate revenue report
+ */
+async function generateRevenueReport(matchQuery, segmentBy) {
+  const result = await Order.aggregate(buildRevenueReportPipeline(matchQuery, segmentBy));
+  return { type: "REVENUE", segmentBy, data: result };
+}
+
+/**
+ * Generate vouchers report
+ */
+async function generateVouchersReport(matchQuery, segmentBy) {
+  const result = await Voucher.aggregate(buildVouchersReportPipeline(matchQuery));
+  return { type: "VOUCHERS", segmentBy, data: result };
+}
+
+/**
+ * Generate refunds report
+ */
+async function generateRefundsReport(matchQuery, segmentBy) {
+  const result = await Refund.aggregate(buildRefundsReportPipeline(matchQuery));
   return { type: "REFUNDS", segmentBy, data: result };
 }
 
 /**
- * Export report data
+ * Export report data as a downloadable CSV or XLSX file
+ * Rows are streamed from an aggregation cursor straight into the response
  * @route GET /api/admin/reports/export
  * @access Admin
  */
 export async function exportReport(req, res) {
+  const { type, segmentBy, dateFrom, dateTo, kitchenId, zoneId } = req.query;
+  // EXCEL is kept as an alias of XLSX for older admin clients
+  const format = req.query.format === "EXCEL" ? "XLSX" : req.query.format || "CSV";
+
+  let cursor = null;
+
   try {
-    const { type, segmentBy, dateFrom, dateTo, format } = req.query;
-
-    // For now, just return JSON data
-    // Full CSV/Excel export would need additional libraries like 'json2csv' or 'exceljs'
-    const reportResult = await getReports({
-      query: { type, segmentBy, dateFrom, dateTo },
-    }, {
-      json: (data) => data,
+    const source = REPORT_SOURCES[type];
+    if (!source) {
+      return sendResponse(res, 400, false, "Invalid report type");
+    }
+
+    const matchQuery = {};
+    if (dateFrom || dateTo) {
+      matchQuery.placedAt = {};
+      if (dateFrom) matchQuery.placedAt.$gte = new Date(dateFrom);
+      if (dateTo) matchQuery.placedAt.$lte = new Date(dateTo);
+    }
+    if (kitchenId) matchQuery.kitchenId = new mongoose.Types.ObjectId(kitchenId);
+    if (zoneId) matchQuery.zoneId = new mongoose.Types.ObjectId(zoneId);
+
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    const filename = buildReportFilename({ type, segmentBy, dateFrom, dateTo, extension });
+    const columns = REPORT_COLUMNS[type];
+
+    cursor = source.model
+      .aggregate(source.buildPipeline(matchQuery, segmentBy))
+      .cursor({ batchSize: 500 });
+
+    // A client that disconnects mid-download must not keep the cursor open
+    res.on("close", () => {
+      if (!res.writableFinished) {
+        cursor.close().catch(() => {});
+      }
     });
 
-    return sendResponse(res, 200, true, "Report exported", {
-      format,
-      data: reportResult,
-      note: "Full CSV/Excel export pending implementation",
+    res.status(200);
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.setHeader("Cache-Control", "no-store");
+
+    const rowCount = format === "XLSX"
+      ? await streamXlsx(res, cursor, columns, `${type} Report`)
+      : await streamCsv(res, cursor, columns);
+
+    safeAuditLog(req, {
+      action: "EXPORT",
+      entityType: "REPORT",
+      entityName: filename,
+      actionDescription: `Exported ${type} report as ${format}`,
+      newValue: { type, segmentBy, dateFrom, dateTo, kitchenId, zoneId, format, rowCount },
     });
   } catch (error) {
-    console.log("Export report error:", error);
+    if (error.code === "CLIENT_CLOSED") {
+      console.log("Export report cancelled: client disconnected");
+    } else {
+      console.log("Export report error:", error);
+    }
+
+    if (cursor) {
+      cursor.close().catch(() => {});
+    }
+
+    // Once the file has started streaming we can't switch to a JSON error
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
     return sendResponse(res, 500, false, "Failed to export report");
   }
 }
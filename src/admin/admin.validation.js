@@ -183,6 +183,24 @@ export const updateSystemConfigSchema = Joi.object({
     autoAcceptOrders: Joi.boolean().messages({
       "boolean.base": "autoAcceptOrders must be true or false",
     }),
+    maxRetries: Joi.number().integer().min(0).max(5),
+  }),
+  settlement: Joi.object({
+    commissionRate: Joi.number().min(0).max(1).messages({
+      "number.max": "Commission rate must be a decimal between 0 and 1 (e.g., 0.15 for 15%)",
+    }),
+    voucherMealRate: Joi.number().min(0),
+  }),
+  subscription: Joi.object({
+    renewalReminderDays: Joi.number().integer().min(1).max(30),
+    renewalRetryIntervalHours: Joi.number().integer().min(1).max(168),
+    renewalGracePeriodDays: Joi.number().integer().min(0).max(30),
+  }),
+  voucherTransfer: Joi.object({
+    enabled: Joi.boolean(),
+    maxVouchersPerTransfer: Joi.number().integer().min(1).max(100),
+    maxVouchersPerMonth: Joi.number().integer().min(1).max(500),
+    minValidityHours: Joi.number().integer().min(0).max(720),
   }),
 });
 
@@ -213,7 +231,9 @@ export const exportReportSchema = Joi.object({
   segmentBy: Joi.string().valid(...SEGMENT_BY),
   dateFrom: Joi.date(),
   dateTo: Joi.date(),
-  format: Joi.string().valid("CSV", "EXCEL").default("CSV"),
+  kitchenId: Joi.string().hex().length(24),
+  zoneId: Joi.string().hex().length(24),
+  format: Joi.string().valid("CSV", "XLSX", "EXCEL").default("CSV"),
 });
 
 /**
@@ -4,7 +4,39 @@
  */
 
 import { sendResponse } from "../../utils/response.utils.js";
-import { runVoucherExpiryCron } from "../../scripts/voucher-expiry-cron.js";
+import CronJobRun from "../../schema/cronJobRun.schema.js";
+import { runJob, getCronJobStatus } from "../../cron/scheduler.js";
+
+/**
+ * Run a job on behalf of an admin and send the outcome
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} jobName - Job name from cron/jobs.js
+ */
+async function triggerJobRun(req, res, jobName) {
+  const outcome = await runJob(jobName, {
+    trigger: "MANUAL",
+    triggeredBy: req.user?._id,
+  });
+
+  if (!outcome.executed) {
+    return sendResponse(res, 409, false, `${jobName} has already run or is running for this slot`, {
+      run: outcome.run,
+    });
+  }
+
+  if (!outcome.success) {
+    return sendResponse(res, 500, false, `${jobName} failed`, {
+      error: outcome.error,
+      run: outcome.run,
+    });
+  }
+
+  return sendResponse(res, 200, true, `${jobName} completed`, {
+    result: outcome.run.result,
+    run: outcome.run,
+  });
+}
 
 /**
  * Manually trigger voucher expiry cron
@@ -14,20 +46,7 @@ import { runVoucherExpiryCron } from "../../scripts/voucher-expiry-cron.js";
 export async function triggerVoucherExpiry(req, res) {
   try {
     console.log("> Manual trigger: Voucher expiry cron");
-
-    const result = await runVoucherExpiryCron();
-
-    if (result.success) {
-      return sendResponse(res, 200, true, "Voucher expiry cron completed", {
-        duration: result.duration,
-        stats: result.stats
-      });
-    } else {
-      return sendResponse(res, 500, false, "Voucher expiry cron failed", {
-        error: result.error,
-        duration: result.duration
-      });
-    }
+    return await triggerJobRun(req, res, "voucherExpiry");
   } catch (error) {
     console.log("> Trigger voucher expiry error:", error);
     return sendResponse(res, 500, false, "Failed to trigger voucher expiry", {
@@ -37,53 +56,38 @@ export async function triggerVoucherExpiry(req, res) {
 }
 
 /**
- * Get cron job status
- * @route GET /api/admin/cron/status
+ * Manually trigger any scheduled job
+ * Auto-order jobs share the day's slot with the scheduler, so they return 409
+ * if that meal window has already been processed today
+ * @route POST /api/admin/cron/jobs/:jobName/run
  * @access Admin
  */
-export async function getCronStatus(req, res) {
+export async function triggerJob(req, res) {
   try {
-    // In a real implementation, you'd store cron job state
-    // For now, we'll return a basic status
-    const status = {
-      voucherExpiry: {
-        schedule: "Daily at 8:00 AM IST (2:30 AM UTC)",
-        cronExpression: "30 2 * * *",
-        timezone: "UTC",
-        status: "scheduled",
-        description: "Expires vouchers and sends notifications",
-        lastRun: null, // Would be fetched from logs/database
-        nextRun: getNextCronRun("30 2 * * *")
-      }
-    };
-
-    return sendResponse(res, 200, true, "Cron job status", { jobs: status });
+    const { jobName } = req.params;
+    console.log(`> Manual trigger: ${jobName}`);
+    return await triggerJobRun(req, res, jobName);
   } catch (error) {
-    console.log("> Get cron status error:", error);
-    return sendResponse(res, 500, false, "Failed to get cron status");
+    console.log("> Trigger job error:", error);
+    return sendResponse(res, 500, false, "Failed to trigger job", {
+      error: error.message
+    });
   }
 }
 
 /**
- * Calculate next cron run time
- * @param {string} cronExpression - Cron expression
- * @returns {Date|null} Next run time
+ * Get cron job status
+ * @route GET /api/admin/cron/status
+ * @access Admin
  */
-function getNextCronRun(cronExpression) {
+export async function getCronStatus(req, res) {
   try {
-    // Simple calculation for "30 2 * * *" (2:30 AM UTC daily)
-    const now = new Date();
-    const next = new Date(now);
-    next.setUTCHours(2, 30, 0, 0);
+    const status = await getCronJobStatus();
 
-    // If today's run time has passed, schedule for tomorrow
-    if (next <= now) {
-      next.setUTCDate(next.getUTCDate() + 1);
-    }
-
-    return next;
+    return sendResponse(res, 200, true, "Cron job status", status);
   } catch (error) {
-    return null;
+    console.log("> Get cron status error:", error);
+    return sendResponse(res, 500, false, "Failed to get cron status");
   }
 }
 
@@ -94,14 +98,40 @@ function getNextCronRun(cronExpression) {
  */
 export async function getCronHistory(req, res) {
   try {
-    // In production, you'd fetch this from logs or a tracking collection
-    // For now, return a placeholder
-    const history = {
-      message: "Cron execution history would be fetched from logs",
-      note: "Check application logs for detailed execution history"
-    };
+    const { jobName, status, trigger, dateFrom, dateTo, page = 1, limit = 20 } =
+      req.validatedQuery || req.query;
+
+    const query = {};
+    if (jobName) query.jobName = jobName;
+    if (status) query.status = status;
+    if (trigger) query.trigger = trigger;
+    if (dateFrom || dateTo) {
+      query.startedAt = {};
+      if (dateFrom) query.startedAt.$gte = new Date(dateFrom);
+      if (dateTo) query.startedAt.$lte = new Date(dateTo);
+    }
+
+    const skip = (page - 1) * limit;
 
-    return sendResponse(res, 200, true, "Cron execution history", history);
+    const [runs, total] = await Promise.all([
+      CronJobRun.find(query)
+        .populate("triggeredBy", "name")
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      CronJobRun.countDocuments(query),
+    ]);
+
+    return sendResponse(res, 200, true, "Cron execution history", {
+      runs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
   } catch (error) {
     console.log("> Get cron history error:", error);
     return sendResponse(res, 500, false, "Failed to get cron history");
@@ -110,6 +140,7 @@ export async function getCronHistory(req, res) {
 
 export default {
   triggerVoucherExpiry,
+  triggerJob,
   getCronStatus,
   getCronHistory
 };
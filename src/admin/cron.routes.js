@@ -6,6 +6,8 @@
 import express from "express";
 import * as cronController from "./cron.controller.js";
 import { adminAuthMiddleware, adminMiddleware } from "../../middlewares/auth.middleware.js";
+import { validateQuery, validateParams } from "../../middlewares/validate.middleware.js";
+import { cronHistoryQuerySchema, jobNameParamSchema } from "./cron.validation.js";
 
 const router = express.Router();
 
@@ -25,7 +27,7 @@ router.get("/status", cronController.getCronStatus);
  * @desc    Get execution history of cron jobs
  * @access  Admin
  */
-router.get("/history", cronController.getCronHistory);
+router.get("/history", validateQuery(cronHistoryQuerySchema), cronController.getCronHistory);
 
 /**
  * @route   POST /api/admin/cron/voucher-expiry
@@ -34,4 +36,11 @@ router.get("/history", cronController.getCronHistory);
  */
 router.post("/voucher-expiry", cronController.triggerVoucherExpiry);
 
+/**
+ * @route   POST /api/admin/cron/jobs/:jobName/run
+ * @desc    Manually run a scheduled job (voucherExpiry, autoOrderLunch, autoOrderDinner, autoOrderRetry, autoOrderForecast, autoBatch, autoDispatch, failedDeliveryClose, refundRetry, queuedNotifications, campaignDispatch, subscriptionRenewal, closureNotices)
+ * @access  Admin
+ */
+router.post("/jobs/:jobName/run", validateParams(jobNameParamSchema), cronController.triggerJob);
+
 export default router;
@@ -0,0 +1,38 @@
+import Joi from "joi";
+import { JOBS } from "../../cron/jobs.js";
+
+/**
+ * Admin Cron Validation Schemas
+ */
+
+const JOB_NAMES = JOBS.map((job) => job.name);
+
+/**
+ * Get cron history query
+ */
+export const cronHistoryQuerySchema = Joi.object({
+  jobName: Joi.string().valid(...JOB_NAMES),
+  status: Joi.string().valid("RUNNING", "SUCCESS", "FAILED"),
+  trigger: Joi.string().valid("SCHEDULED", "MANUAL", "EXTERNAL"),
+  dateFrom: Joi.date().iso(),
+  dateTo: Joi.date().iso().min(Joi.ref("dateFrom")),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+/**
+ * Job name param
+ */
+export const jobNameParamSchema = Joi.object({
+  jobName: Joi.string()
+    .valid(...JOB_NAMES)
+    .required()
+    .messages({
+      "any.only": `Job name must be one of: ${JOB_NAMES.join(", ")}`,
+    }),
+});
+
+export default {
+  cronHistoryQuerySchema,
+  jobNameParamSchema,
+};
@@ -8,6 +8,7 @@ import { sendResponse } from "../../utils/response.utils.js";
 import { normalizePhone } from "../../utils/phone.utils.js";
 import { safeAuditCreate } from "../../utils/audit.utils.js";
 import { checkVoucherExpiryForUser } from "../../services/voucher-expiry.service.js";
+import { claimPendingGifts } from "../../services/gift-subscription.service.js";
 
 /**
  * Auth Controller
@@ -167,6 +168,9 @@ export const syncUser = async (req, res) => {
       checkVoucherExpiryForUser(user._id).catch(() => {});
     }
 
+    // Claim gift subscriptions sent to this phone
+    const gifts = await claimPendingGifts(user);
+
     const isProfileComplete = Boolean(user.name);
 
     return sendResponse(res, 200, "User authenticated", {
@@ -174,6 +178,7 @@ export const syncUser = async (req, res) => {
       isNewUser: false,
       isProfileComplete,
       approvalStatus: user.role === "DRIVER" ? user.approvalStatus : undefined,
+      giftsClaimed: gifts.claimed,
     });
   } catch (error) {
     console.log("> Auth sync error:", error);
@@ -216,9 +221,12 @@ export const registerUser = async (req, res) => {
 
         console.log(`> Reactivated deleted customer: ${phone}`);
 
+        const gifts = await claimPendingGifts(existingUser);
+
         return sendResponse(res, 201, "User registered successfully", {
           user: existingUser.toJSON(),
           isProfileComplete: true,
+          giftsClaimed: gifts.claimed,
         });
       }
 
@@ -244,9 +252,13 @@ export const registerUser = async (req, res) => {
 
     console.log(`> New customer registered: ${phone}`);
 
+    // Claim gift subscriptions sent to this phone before sign-up
+    const gifts = await claimPendingGifts(newUser);
+
     return sendResponse(res, 201, "User registered successfully", {
       user: newUser.toJSON(),
       isProfileComplete: true,
+      giftsClaimed: gifts.claimed,
     });
   } catch (error) {
     console.error("> Auth register error:", error.message);
@@ -0,0 +1,235 @@
+import Campaign from "../../schema/campaign.schema.js";
+import { sendResponse } from "../../utils/response.utils.js";
+import { safeAuditLog } from "../../utils/audit.utils.js";
+import { previewAudience, getCampaignStats, escapeRegex } from "../../services/campaign.service.js";
+
+/**
+ * Campaign Controller
+ * Scheduled, segmented admin push campaigns
+ *
+ * Sending happens in the campaignDispatch scheduler job, never in the request.
+ */
+
+/**
+ * Create a campaign
+ * @route POST /api/campaigns
+ * @access Admin
+ */
+export async function createCampaign(req, res) {
+  try {
+    const { name, title, body, data, segment, scheduledAt } = req.body;
+
+    const [campaign, audience] = await Promise.all([
+      Campaign.create({
+        name,
+        title,
+        body,
+        data,
+        segment,
+        scheduledAt: new Date(scheduledAt),
+        createdBy: req.user._id,
+      }),
+      previewAudience(segment),
+    ]);
+
+    safeAuditLog(req, {
+      action: "CREATE",
+      entityType: "CAMPAIGN",
+      entityId: campaign._id,
+      entityName: campaign.name,
+      newValue: { title, segment, scheduledAt: campaign.scheduledAt },
+      description: `Scheduled push campaign "${campaign.name}" for ${campaign.scheduledAt.toISOString()} (${audience.matched} users)`,
+    });
+
+    return sendResponse(res, 201, true, "Campaign scheduled", { campaign, audience });
+  } catch (error) {
+    console.log("Create campaign error:", error);
+    return sendResponse(res, 500, false, "Failed to create campaign");
+  }
+}
+
+/**
+ * List campaigns
+ * @route GET /api/campaigns
+ * @access Admin
+ */
+export async function getCampaigns(req, res) {
+  try {
+    const query = req.validatedQuery || req.query;
+    const { status, search, dateFrom, dateTo, page = 1, limit = 20 } = query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (search) filter.name = { $regex: escapeRegex(search), $options: "i" };
+    if (dateFrom || dateTo) {
+      filter.scheduledAt = {};
+      if (dateFrom) filter.scheduledAt.$gte = new Date(dateFrom);
+      if (dateTo) filter.scheduledAt.$lt = new Date(dateTo);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [campaigns, total] = await Promise.all([
+      Campaign.find(filter)
+        .select("-lastProcessedUserId")
+        .populate("createdBy", "name")
+        .sort({ scheduledAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Campaign.countDocuments(filter),
+    ]);
+
+    return sendResponse(res, 200, true, "Campaigns retrieved", {
+      campaigns,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.log("Get campaigns error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve campaigns");
+  }
+}
+
+/**
+ * Get a campaign with delivery stats
+ * @route GET /api/campaigns/:id
+ * @access Admin
+ */
+export async function getCampaignById(req, res) {
+  try {
+    const campaign = await Campaign.findById(req.params.id)
+      .populate("createdBy", "name")
+      .populate("cancelledBy", "name")
+      .populate("segment.zoneIds", "name code city");
+
+    if (!campaign) {
+      return sendResponse(res, 404, false, "Campaign not found");
+    }
+
+    // Scheduled campaigns show the current audience, sent ones their results
+    const [stats, audience] = await Promise.all([
+      getCampaignStats(campaign._id),
+      campaign.status === "SCHEDULED" ? previewAudience(campaign.segment.toObject()) : null,
+    ]);
+
+    return sendResponse(res, 200, true, "Campaign retrieved", { campaign, stats, audience });
+  } catch (error) {
+    console.log("Get campaign error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve campaign");
+  }
+}
+
+/**
+ * Count the users a segment would reach
+ * @route POST /api/campaigns/preview
+ * @access Admin
+ */
+export async function previewCampaignAudience(req, res) {
+  try {
+    const audience = await previewAudience(req.body.segment);
+    return sendResponse(res, 200, true, "Audience preview", { audience });
+  } catch (error) {
+    console.log("Preview campaign audience error:", error);
+    return sendResponse(res, 500, false, "Failed to preview audience");
+  }
+}
+
+/**
+ * Update a campaign that hasn't started sending
+ * @route PUT /api/campaigns/:id
+ * @access Admin
+ */
+export async function updateCampaign(req, res) {
+  try {
+    const update = { ...req.body, updatedBy: req.user._id };
+    if (update.scheduledAt) update.scheduledAt = new Date(update.scheduledAt);
+
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: req.params.id, status: "SCHEDULED" },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+
+    if (!campaign) {
+      const existing = await Campaign.findById(req.params.id).select("status");
+      if (!existing) {
+        return sendResponse(res, 404, false, "Campaign not found");
+      }
+      return sendResponse(res, 400, false, `Campaign is already ${existing.status}`);
+    }
+
+    safeAuditLog(req, {
+      action: "UPDATE",
+      entityType: "CAMPAIGN",
+      entityId: campaign._id,
+      entityName: campaign.name,
+      newValue: req.body,
+      description: `Updated push campaign "${campaign.name}"`,
+    });
+
+    return sendResponse(res, 200, true, "Campaign updated", { campaign });
+  } catch (error) {
+    console.log("Update campaign error:", error);
+    return sendResponse(res, 500, false, "Failed to update campaign");
+  }
+}
+
+/**
+ * Cancel a campaign before it is sent
+ * @route PATCH /api/campaigns/:id/cancel
+ * @access Admin
+ */
+export async function cancelCampaign(req, res) {
+  try {
+    const { reason } = req.body;
+
+    const update = {
+      status: "CANCELLED",
+      cancelledBy: req.user._id,
+      cancelledAt: new Date(),
+    };
+    if (reason) update.cancellationReason = reason;
+
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: req.params.id, status: "SCHEDULED" },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!campaign) {
+      const existing = await Campaign.findById(req.params.id).select("status");
+      if (!existing) {
+        return sendResponse(res, 404, false, "Campaign not found");
+      }
+      return sendResponse(res, 400, false, `Campaign is already ${existing.status}`);
+    }
+
+    safeAuditLog(req, {
+      action: "CANCEL",
+      entityType: "CAMPAIGN",
+      entityId: campaign._id,
+      entityName: campaign.name,
+      previousValue: { status: "SCHEDULED" },
+      newValue: { status: "CANCELLED", reason },
+      description: `Cancelled push campaign "${campaign.name}"`,
+    });
+
+    return sendResponse(res, 200, true, "Campaign cancelled", { campaign });
+  } catch (error) {
+    console.log("Cancel campaign error:", error);
+    return sendResponse(res, 500, false, "Failed to cancel campaign");
+  }
+}
+
+export default {
+  createCampaign,
+  getCampaigns,
+  getCampaignById,
+  previewCampaignAudience,
+  updateCampaign,
+  cancelCampaign,
+};
@@ -0,0 +1,81 @@
+import { Router } from "express";
+import campaignController from "./campaign.controller.js";
+import { adminAuthMiddleware, adminMiddleware } from "../../middlewares/auth.middleware.js";
+import { validateBody, validateQuery, validateParams } from "../../middlewares/validate.middleware.js";
+import {
+  createCampaignSchema,
+  updateCampaignSchema,
+  previewAudienceSchema,
+  cancelCampaignSchema,
+  queryCampaignsSchema,
+} from "./campaign.validation.js";
+import Joi from "joi";
+
+const router = Router();
+
+// Param schemas
+const idParamSchema = Joi.object({
+  id: Joi.string().hex().length(24).required(),
+});
+
+/**
+ * ADMIN ROUTES
+ */
+
+// Preview audience size for a segment
+router.post(
+  "/preview",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateBody(previewAudienceSchema),
+  campaignController.previewCampaignAudience
+);
+
+// Schedule a campaign
+router.post(
+  "/",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateBody(createCampaignSchema),
+  campaignController.createCampaign
+);
+
+// List campaigns
+router.get(
+  "/",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateQuery(queryCampaignsSchema),
+  campaignController.getCampaigns
+);
+
+// Get campaign with delivery stats
+router.get(
+  "/:id",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(idParamSchema),
+  campaignController.getCampaignById
+);
+
+// Edit a scheduled campaign
+router.put(
+  "/:id",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(idParamSchema),
+  validateBody(updateCampaignSchema),
+  campaignController.updateCampaign
+);
+
+// Cancel a scheduled campaign
+router.patch(
+  "/:id/cancel",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(idParamSchema),
+  validateBody(cancelCampaignSchema),
+  campaignController.cancelCampaign
+);
+
+export default router;
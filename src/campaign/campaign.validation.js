@@ -0,0 +1,94 @@
+import Joi from "joi";
+import {
+  CAMPAIGN_STATUSES,
+  CAMPAIGN_DIETARY_PREFERENCES,
+} from "../../schema/campaign.schema.js";
+
+/**
+ * Campaign Validation Schemas
+ */
+
+const objectId = Joi.string().hex().length(24);
+
+/**
+ * Audience segment (all criteria optional, ANDed together)
+ */
+export const segmentSchema = Joi.object({
+  role: Joi.string().valid("CUSTOMER", "KITCHEN_STAFF", "DRIVER", "ADMIN").default("CUSTOMER"),
+  zoneIds: Joi.array().items(objectId).max(100).unique(),
+  cities: Joi.array().items(Joi.string().trim().max(50)).max(50).unique(),
+  activeSubscribers: Joi.boolean(),
+  vouchersExpiringWithinDays: Joi.number().integer().min(1).max(90),
+  lapsedDays: Joi.number().integer().min(1).max(365),
+  dietaryPreferences: Joi.array().items(Joi.string().valid(...CAMPAIGN_DIETARY_PREFERENCES)).unique(),
+});
+
+/**
+ * Create a campaign
+ */
+export const createCampaignSchema = Joi.object({
+  name: Joi.string().min(3).max(100).trim().required().messages({
+    "any.required": "Campaign name is required",
+  }),
+  title: Joi.string().min(1).max(100).trim().required().messages({
+    "any.required": "Notification title is required",
+  }),
+  body: Joi.string().min(1).max(500).trim().required().messages({
+    "any.required": "Notification body is required",
+  }),
+  data: Joi.object().default({}),
+  segment: segmentSchema.default({}),
+  scheduledAt: Joi.date().min("now").required().messages({
+    "any.required": "Scheduled time is required",
+    "date.min": "Scheduled time must be in the future",
+  }),
+});
+
+/**
+ * Update a scheduled campaign
+ */
+export const updateCampaignSchema = Joi.object({
+  name: Joi.string().min(3).max(100).trim(),
+  title: Joi.string().min(1).max(100).trim(),
+  body: Joi.string().min(1).max(500).trim(),
+  data: Joi.object(),
+  segment: segmentSchema,
+  scheduledAt: Joi.date().min("now").messages({
+    "date.min": "Scheduled time must be in the future",
+  }),
+}).min(1);
+
+/**
+ * Preview the audience of a segment
+ */
+export const previewAudienceSchema = Joi.object({
+  segment: segmentSchema.default({}),
+});
+
+/**
+ * Cancel a campaign
+ */
+export const cancelCampaignSchema = Joi.object({
+  reason: Joi.string().max(500).trim().allow("", null),
+});
+
+/**
+ * Query campaigns
+ */
+export const queryCampaignsSchema = Joi.object({
+  status: Joi.string().valid(...CAMPAIGN_STATUSES),
+  search: Joi.string().trim().max(100),
+  dateFrom: Joi.date(),
+  dateTo: Joi.date(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+export default {
+  segmentSchema,
+  createCampaignSchema,
+  updateCampaignSchema,
+  previewAudienceSchema,
+  cancelCampaignSchema,
+  queryCampaignsSchema,
+};
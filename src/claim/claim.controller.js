@@ -0,0 +1,656 @@
+import mongoose from "mongoose";
+import OrderClaim, {
+  CLAIM_WINDOW_HOURS,
+  MAX_CLAIM_PHOTOS,
+} from "../../schema/orderClaim.schema.js";
+import Order from "../../schema/order.schema.js";
+import Kitchen from "../../schema/kitchen.schema.js";
+import { sendResponse } from "../../utils/response.utils.js";
+import { safeAuditLog } from "../../utils/audit.utils.js";
+import { uploadFile, deleteFiles } from "../../services/storage.service.js";
+import { restoreVouchersForOrder } from "../../services/voucher.service.js";
+import { sendToUser, sendToRole } from "../../services/notification.service.js";
+import { CLAIM_TEMPLATES, buildFromTemplate } from "../../services/notification-templates.service.js";
+import { issuePartialRefund } from "../refund/refund.controller.js";
+
+/**
+ * Order Claim Controller
+ * Customers report problems with delivered orders; kitchen staff and admins
+ * resolve them with a partial refund, restored vouchers or a rejection.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Refund reason recorded for an upheld claim. MISSING_ITEM, WRONG_ORDER and
+// QUALITY_ISSUE refunds are charged back to the kitchen at settlement.
+const REFUND_REASONS = {
+  MISSING_ITEM: "MISSING_ITEM",
+  WRONG_ITEM: "WRONG_ORDER",
+  SPILLAGE: "SPILLAGE",
+  QUALITY_ISSUE: "QUALITY_ISSUE",
+};
+
+const CATEGORY_LABELS = {
+  MISSING_ITEM: "a missing item",
+  WRONG_ITEM: "a wrong item",
+  SPILLAGE: "spillage",
+  QUALITY_ISSUE: "a quality issue",
+};
+
+/**
+ * Round to 2 decimals
+ */
+function roundAmount(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * Work out the affected lines of an order and what was paid for them
+ * Vouchers cover main courses in the order they appear, as at checkout, so
+ * affected voucher-paid units can be restored and the rest refunded.
+ * @param {Object} order - Order document
+ * @param {Array} selections - [{ itemId, quantity, addons: [{ addonId, quantity }] }]
+ * @returns {{items: Array, claimedAmount: number, claimedVouchers: number, error: string|null}}
+ */
+function buildClaimItems(order, selections) {
+  let uncovered = (order.voucherUsage?.voucherCount || 0) > 0
+    ? order.voucherUsage.mainCoursesCovered || 0
+    : 0;
+  const voucherUnitsByLine = new Map();
+  for (const line of order.items) {
+    if (line.isMainCourse && uncovered > 0) {
+      const covered = Math.min(line.quantity, uncovered);
+      voucherUnitsByLine.set(line._id.toString(), covered);
+      uncovered -= covered;
+    }
+  }
+
+  const items = [];
+  let claimedAmount = 0;
+  let claimedVouchers = 0;
+
+  for (const selection of selections) {
+    const line = order.items.find((item) => item._id.toString() === selection.itemId);
+    if (!line) {
+      return { error: "Selected item is not part of this order" };
+    }
+
+    const addons = [];
+    let addonsAmount = 0;
+    for (const selectedAddon of selection.addons || []) {
+      const addon = line.addons.find(
+        (a) => a.addonId?.toString() === selectedAddon.addonId
+      );
+      if (!addon) {
+        return { error: `Selected add-on is not part of ${line.name}` };
+      }
+      const quantity = selectedAddon.quantity ?? addon.quantity;
+      if (quantity > addon.quantity) {
+        return { error: `Only ${addon.quantity} ${addon.name} were ordered` };
+      }
+      addons.push({ addonId: addon.addonId, name: addon.name, quantity });
+      addonsAmount += addon.unitPrice * quantity;
+    }
+
+    const quantity = selection.quantity ?? (addons.length > 0 ? 0 : line.quantity);
+    if (quantity > line.quantity) {
+      return { error: `Only ${line.quantity} ${line.name} were ordered` };
+    }
+    if (quantity === 0 && addons.length === 0) {
+      return { error: `Select how many ${line.name} had a problem` };
+    }
+
+    const voucherUnits = Math.min(quantity, voucherUnitsByLine.get(line._id.toString()) || 0);
+    const amount = roundAmount((quantity - voucherUnits) * line.unitPrice + addonsAmount);
+
+    items.push({
+      orderItemId: line._id,
+      name: line.name,
+      quantity,
+      isMainCourse: line.isMainCourse,
+      voucherUnits,
+      addons,
+      amount,
+    });
+    claimedAmount += amount;
+    claimedVouchers += voucherUnits;
+  }
+
+  return {
+    items,
+    claimedAmount: roundAmount(claimedAmount),
+    claimedVouchers,
+    error: null,
+  };
+}
+
+/**
+ * Check the requesting user may see a claim
+ * @param {Object} req - Express request
+ * @param {Object} claim - Claim document (kitchenId/userId not populated)
+ * @returns {boolean}
+ */
+function canAccessClaim(req, claim) {
+  if (req.user.role === "ADMIN") return true;
+  if (req.user.role === "KITCHEN_STAFF") {
+    return req.user.kitchenId?.toString() === claim.kitchenId.toString();
+  }
+  return claim.userId.toString() === req.user._id.toString();
+}
+
+/**
+ * Raise a claim on a delivered order
+ * @route POST /api/claims
+ * @access Customer
+ */
+export async function createClaim(req, res) {
+  const photos = [];
+  try {
+    const { orderId, category, description, items: selections } = req.body;
+    const files = req.files || [];
+
+    const order = await Order.findById(orderId);
+    if (!order || order.userId.toString() !== req.user._id.toString()) {
+      return sendResponse(res, 404, false, "Order not found");
+    }
+
+    if (order.status !== "DELIVERED") {
+      return sendResponse(res, 400, false, "Issues can only be reported for delivered orders");
+    }
+
+    const deliveredAt = order.deliveredAt || order.updatedAt;
+    if (Date.now() - deliveredAt.getTime() > CLAIM_WINDOW_HOURS * HOUR_MS) {
+      return sendResponse(
+        res,
+        400,
+        false,
+        `Issues must be reported within ${CLAIM_WINDOW_HOURS} hours of delivery`
+      );
+    }
+
+    if (await OrderClaim.exists({ orderId })) {
+      return sendResponse(res, 400, false, "An issue has already been reported for this order");
+    }
+
+    // A missing item can't be photographed; everything else needs a photo
+    if (category !== "MISSING_ITEM" && files.length === 0) {
+      return sendResponse(res, 400, false, "Please add at least one photo of the problem");
+    }
+    if (files.length > MAX_CLAIM_PHOTOS) {
+      return sendResponse(res, 400, false, `You can add up to ${MAX_CLAIM_PHOTOS} photos`);
+    }
+
+    const { items, claimedAmount, claimedVouchers, error } = buildClaimItems(order, selections);
+    if (error) {
+      return sendResponse(res, 400, false, error);
+    }
+
+    for (const file of files) {
+      const uploaded = await uploadFile(file.buffer, {
+        folder: `claims/${order.orderNumber}`,
+        resourceType: "image",
+      });
+      photos.push({ url: uploaded.url, publicId: uploaded.publicId });
+    }
+
+    const claim = await OrderClaim.create({
+      claimNumber: OrderClaim.generateClaimNumber(),
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      userId: order.userId,
+      kitchenId: order.kitchenId,
+      category,
+      description,
+      items,
+      claimedAmount,
+      claimedVouchers,
+      photos,
+    });
+
+    await Kitchen.updateOne(
+      { _id: order.kitchenId },
+      {
+        $inc: { "qualityMetrics.claimsReceived": 1 },
+        $set: { "qualityMetrics.lastClaimAt": claim.createdAt },
+      }
+    );
+
+    const { title, body } = buildFromTemplate(CLAIM_TEMPLATES.NEW_CLAIM, {
+      orderNumber: order.orderNumber,
+      category: CATEGORY_LABELS[category],
+      claimNumber: claim.claimNumber,
+    });
+    sendToRole("KITCHEN_STAFF", "ORDER_CLAIM", title, body, {
+      kitchenId: order.kitchenId,
+      data: {
+        type: "ORDER_CLAIM",
+        claimId: claim._id.toString(),
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber,
+        category,
+      },
+      entityType: "ORDER",
+      entityId: order._id,
+    });
+
+    console.log(`> Claim ${claim.claimNumber} raised for order ${order.orderNumber} (${category})`);
+
+    return sendResponse(res, 201, true, "Issue reported", { claim });
+  } catch (error) {
+    console.log("Create claim error:", error);
+    if (photos.length > 0) {
+      deleteFiles(photos.map((p) => p.publicId), "image").catch((deleteError) =>
+        console.log("> Claim photo cleanup error:", deleteError.message)
+      );
+    }
+    if (error.code === 11000) {
+      return sendResponse(res, 400, false, "An issue has already been reported for this order");
+    }
+    return sendResponse(res, 500, false, "Failed to report issue");
+  }
+}
+
+/**
+ * List my claims
+ * @route GET /api/claims/my-claims
+ * @access Customer
+ */
+export async function getMyClaims(req, res) {
+  try {
+    const { status, page = 1, limit = 20 } = req.validatedQuery || req.query;
+
+    const filter = { userId: req.user._id };
+    if (status) filter.status = status;
+
+    const skip = (page - 1) * limit;
+
+    const [claims, total] = await Promise.all([
+      OrderClaim.find(filter)
+        .populate("kitchenId", "name")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      OrderClaim.countDocuments(filter),
+    ]);
+
+    return sendResponse(res, 200, true, "Claims retrieved", {
+      claims,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.log("Get my claims error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve claims");
+  }
+}
+
+/**
+ * List claims (kitchen staff see their kitchen's claims)
+ * @route GET /api/claims
+ * @access Kitchen Staff + Admin
+ */
+export async function getClaims(req, res) {
+  try {
+    const { status, category, kitchenId, orderId, dateFrom, dateTo, page = 1, limit = 20 } =
+      req.validatedQuery || req.query;
+
+    const filter = {};
+    if (req.user.role === "KITCHEN_STAFF") {
+      filter.kitchenId = req.user.kitchenId;
+    } else if (kitchenId) {
+      filter.kitchenId = kitchenId;
+    }
+    if (status) filter.status = status;
+    if (category) filter.category = category;
+    if (orderId) filter.orderId = orderId;
+    if (dateFrom || dateTo) {
+      filter.createdAt = {};
+      if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
+      if (dateTo) filter.createdAt.$lte = new Date(dateTo);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [claims, total] = await Promise.all([
+      OrderClaim.find(filter)
+        .populate("userId", "name phone")
+        .populate("kitchenId", "name code")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      OrderClaim.countDocuments(filter),
+    ]);
+
+    return sendResponse(res, 200, true, "Claims retrieved", {
+      claims,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.log("Get claims error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve claims");
+  }
+}
+
+/**
+ * Get a claim
+ * @route GET /api/claims/:id
+ * @access Claim's customer, its kitchen's staff, Admin
+ */
+export async function getClaimById(req, res) {
+  try {
+    const claim = await OrderClaim.findById(req.params.id);
+    if (!claim || !canAccessClaim(req, claim)) {
+      return sendResponse(res, 404, false, "Claim not found");
+    }
+
+    await claim.populate([
+      { path: "orderId", select: "orderNumber items subtotal grandTotal amountPaid walletUsage voucherUsage paymentStatus deliveredAt" },
+      { path: "kitchenId", select: "name code" },
+      { path: "userId", select: "name phone" },
+      { path: "resolution.resolvedBy", select: "name role" },
+      { path: "resolution.refundId", select: "refundNumber amount status refundMethod" },
+    ]);
+
+    return sendResponse(res, 200, true, "Claim retrieved", { claim });
+  } catch (error) {
+    console.log("Get claim error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve claim");
+  }
+}
+
+/**
+ * Resolve a claim with a partial refund, restored vouchers or a rejection
+ * @route PATCH /api/claims/:id/resolve
+ * @access Kitchen Staff (own kitchen) + Admin
+ */
+export async function resolveClaim(req, res) {
+  let locked = null;
+  // Set once money or vouchers have gone back, after which the claim stays taken
+  let settled = false;
+  try {
+    const { resolution, amount, refundMethod, voucherCount, note } = req.body;
+
+    const claim = await OrderClaim.findById(req.params.id);
+    if (!claim || !canAccessClaim(req, claim)) {
+      return sendResponse(res, 404, false, "Claim not found");
+    }
+    if (claim.status !== "OPEN") {
+      return sendResponse(res, 400, false, `Claim is already ${claim.status}`);
+    }
+
+    if (resolution === "PARTIAL_REFUND") {
+      if (claim.claimedAmount <= 0) {
+        return sendResponse(res, 400, false, "Nothing was paid for these items. Restore vouchers instead");
+      }
+      if (amount > claim.claimedAmount) {
+        return sendResponse(res, 400, false, `Refund can't exceed the claimed amount of ${claim.claimedAmount}`);
+      }
+    }
+    if (resolution === "VOUCHER_RESTORE") {
+      if (claim.claimedVouchers <= 0) {
+        return sendResponse(res, 400, false, "No vouchers were used for these items");
+      }
+      if (voucherCount > claim.claimedVouchers) {
+        return sendResponse(res, 400, false, `At most ${claim.claimedVouchers} voucher(s) can be restored`);
+      }
+    }
+
+    const order = await Order.findById(claim.orderId);
+    if (!order) {
+      return sendResponse(res, 404, false, "Order not found");
+    }
+
+    // Take the claim so two people can't resolve it at once
+    locked = await OrderClaim.findOneAndUpdate(
+      { _id: claim._id, status: "OPEN", "resolution.resolvedBy": { $exists: false } },
+      { $set: { "resolution.resolvedBy": req.user._id } },
+      { new: true }
+    );
+    if (!locked) {
+      return sendResponse(res, 400, false, "Claim is already being resolved");
+    }
+
+    const outcome = {
+      type: resolution,
+      note,
+      resolvedBy: req.user._id,
+      resolvedByRole: req.user.role,
+      resolvedAt: new Date(),
+    };
+    let template;
+    let templateVars = { orderNumber: claim.orderNumber };
+
+    if (resolution === "PARTIAL_REFUND") {
+      const result = await issuePartialRefund({
+        order,
+        amount,
+        reason: REFUND_REASONS[claim.category],
+        reasonDetails: `Claim ${claim.claimNumber}: ${CATEGORY_LABELS[claim.category]}`,
+        refundMethod,
+        initiatedBy: req.user._id,
+        notes: note,
+      });
+      if (!result.success) {
+        await OrderClaim.updateOne({ _id: claim._id }, { $unset: { "resolution.resolvedBy": 1 } });
+        return sendResponse(res, 400, false, result.error);
+      }
+      settled = true;
+      outcome.amount = amount;
+      outcome.refundId = result.refund._id;
+      template = CLAIM_TEMPLATES.REFUNDED;
+      templateVars = {
+        ...templateVars,
+        amount,
+        destination: refundMethod === "WALLET" ? "Tiffsy wallet" : "original payment method",
+      };
+    } else if (resolution === "VOUCHER_RESTORE") {
+      const count = voucherCount || claim.claimedVouchers;
+      const result = await restoreVouchersForOrder(
+        order.voucherUsage.voucherIds.slice(0, count),
+        `Order claim ${claim.claimNumber}`
+      );
+      if (!result.success || result.count === 0) {
+        await OrderClaim.updateOne({ _id: claim._id }, { $unset: { "resolution.resolvedBy": 1 } });
+        return sendResponse(
+          res,
+          400,
+          false,
+          result.success ? "The vouchers for this order have expired and can't be restored" : "Failed to restore vouchers"
+        );
+      }
+      settled = true;
+      outcome.vouchersRestored = result.count;
+      template = CLAIM_TEMPLATES.VOUCHERS_RESTORED;
+      templateVars = { ...templateVars, voucherCount: result.count };
+    } else {
+      template = CLAIM_TEMPLATES.REJECTED;
+      templateVars = { ...templateVars, note };
+    }
+
+    claim.status = resolution === "REJECTED" ? "REJECTED" : "RESOLVED";
+    claim.resolution = outcome;
+    await claim.save();
+
+    await Kitchen.updateOne(
+      { _id: claim.kitchenId },
+      {
+        $inc: {
+          [resolution === "REJECTED" ? "qualityMetrics.claimsRejected" : "qualityMetrics.claimsUpheld"]: 1,
+          "qualityMetrics.amountRefunded": outcome.amount || 0,
+          "qualityMetrics.vouchersRestored": outcome.vouchersRestored || 0,
+        },
+      }
+    );
+
+    safeAuditLog(req, {
+      action: resolution === "REJECTED" ? "REJECT" : "APPROVE",
+      entityType: "ORDER_CLAIM",
+      entityId: claim._id,
+      entityName: claim.claimNumber,
+      newValue: claim.resolution.toObject(),
+      description: `Resolved claim ${claim.claimNumber} on order ${claim.orderNumber}: ${resolution}`,
+    });
+
+    const { title, body, channels } = buildFromTemplate(template, templateVars);
+    sendToUser(claim.userId, "ORDER_CLAIM_RESOLVED", title, body, {
+      data: {
+        type: "ORDER_CLAIM_RESOLVED",
+        claimId: claim._id.toString(),
+        orderId: order._id.toString(),
+        resolution,
+      },
+      entityType: "ORDER",
+      entityId: order._id,
+      channels,
+    });
+
+    console.log(`> Claim ${claim.claimNumber} resolved: ${resolution} by ${req.user.role}`);
+
+    return sendResponse(res, 200, true, "Claim resolved", { claim });
+  } catch (error) {
+    console.log("Resolve claim error:", error);
+    if (locked && !settled) {
+      await OrderClaim.updateOne(
+        { _id: locked._id, status: "OPEN" },
+        { $unset: { "resolution.resolvedBy": 1 } }
+      ).catch(() => {});
+    }
+    return sendResponse(res, 500, false, "Failed to resolve claim");
+  }
+}
+
+/**
+ * Kitchen quality metrics from delivery issue claims
+ * Claim rate is claims raised per delivered order in the period.
+ * @route GET /api/claims/quality
+ * @access Kitchen Staff (own kitchen) + Admin
+ */
+export async function getQualityMetrics(req, res) {
+  try {
+    const query = req.validatedQuery || req.query;
+    const kitchenId =
+      req.user.role === "KITCHEN_STAFF" ? req.user.kitchenId?.toString() : query.kitchenId;
+
+    if (req.user.role === "KITCHEN_STAFF" && !kitchenId) {
+      return sendResponse(res, 400, false, "Kitchen ID is required");
+    }
+
+    // Default: last 30 days
+    const endDate = query.dateTo ? new Date(query.dateTo) : new Date();
+    const startDate = query.dateFrom ? new Date(query.dateFrom) : new Date(endDate.getTime() - 30 * DAY_MS);
+    if (endDate < startDate) {
+      return sendResponse(res, 400, false, "dateTo must be after dateFrom");
+    }
+
+    const kitchenMatch = kitchenId ? { kitchenId: new mongoose.Types.ObjectId(kitchenId) } : {};
+
+    const [claimStats, deliveredStats] = await Promise.all([
+      OrderClaim.aggregate([
+        { $match: { ...kitchenMatch, createdAt: { $gte: startDate, $lte: endDate } } },
+        {
+          $group: {
+            _id: { kitchenId: "$kitchenId", category: "$category" },
+            claims: { $sum: 1 },
+            open: { $sum: { $cond: [{ $eq: ["$status", "OPEN"] }, 1, 0] } },
+            upheld: { $sum: { $cond: [{ $eq: ["$status", "RESOLVED"] }, 1, 0] } },
+            rejected: { $sum: { $cond: [{ $eq: ["$status", "REJECTED"] }, 1, 0] } },
+            amountRefunded: { $sum: { $ifNull: ["$resolution.amount", 0] } },
+            vouchersRestored: { $sum: { $ifNull: ["$resolution.vouchersRestored", 0] } },
+          },
+        },
+      ]),
+      Order.aggregate([
+        {
+          $match: {
+            ...kitchenMatch,
+            status: "DELIVERED",
+            deliveredAt: { $gte: startDate, $lte: endDate },
+          },
+        },
+        { $group: { _id: "$kitchenId", deliveredOrders: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const kitchens = new Map();
+    const getEntry = (id) => {
+      const key = id.toString();
+      if (!kitchens.has(key)) {
+        kitchens.set(key, {
+          kitchenId: id,
+          deliveredOrders: 0,
+          claims: 0,
+          open: 0,
+          upheld: 0,
+          rejected: 0,
+          amountRefunded: 0,
+          vouchersRestored: 0,
+          byCategory: {},
+        });
+      }
+      return kitchens.get(key);
+    };
+
+    for (const stat of deliveredStats) {
+      getEntry(stat._id).deliveredOrders = stat.deliveredOrders;
+    }
+    for (const stat of claimStats) {
+      const entry = getEntry(stat._id.kitchenId);
+      entry.claims += stat.claims;
+      entry.open += stat.open;
+      entry.upheld += stat.upheld;
+      entry.rejected += stat.rejected;
+      entry.amountRefunded += stat.amountRefunded;
+      entry.vouchersRestored += stat.vouchersRestored;
+      entry.byCategory[stat._id.category] = stat.claims;
+    }
+    if (kitchenId) getEntry(kitchenId);
+
+    const kitchenDocs = await Kitchen.find({ _id: { $in: [...kitchens.keys()] } })
+      .select("name code qualityMetrics")
+      .lean();
+    const kitchensById = new Map(kitchenDocs.map((k) => [k._id.toString(), k]));
+
+    const results = [...kitchens.values()]
+      .map((entry) => {
+        const kitchen = kitchensById.get(entry.kitchenId.toString());
+        return {
+          ...entry,
+          kitchenName: kitchen?.name || null,
+          amountRefunded: roundAmount(entry.amountRefunded),
+          claimRate:
+            entry.deliveredOrders > 0
+              ? Math.round((entry.claims / entry.deliveredOrders) * 1000) / 10
+              : 0,
+          lifetime: kitchen?.qualityMetrics || null,
+        };
+      })
+      .sort((a, b) => b.claimRate - a.claimRate);
+
+    return sendResponse(res, 200, true, "Kitchen quality metrics", {
+      period: { from: startDate, to: endDate },
+      kitchens: results,
+    });
+  } catch (error) {
+    console.log("Get quality metrics error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve quality metrics");
+  }
+}
+
+export default {
+  createClaim,
+  getMyClaims,
+  getClaims,
+  getClaimById,
+  resolveClaim,
+  getQualityMetrics,
+};
@@ -0,0 +1,90 @@
+import { Router } from "express";
+import claimController from "./claim.controller.js";
+import { adminAuthMiddleware, roleMiddleware } from "../../middlewares/auth.middleware.js";
+import { validateBody, validateQuery, validateParams } from "../../middlewares/validate.middleware.js";
+import { uploadPhotos } from "../../middlewares/upload.middleware.js";
+import {
+  createClaimSchema,
+  resolveClaimSchema,
+  queryClaimsSchema,
+  queryMyClaimsSchema,
+  qualityQuerySchema,
+} from "./claim.validation.js";
+import Joi from "joi";
+
+const router = Router();
+
+// Param schemas
+const idParamSchema = Joi.object({
+  id: Joi.string().hex().length(24).required(),
+});
+
+/**
+ * CUSTOMER ROUTES
+ */
+
+// Report an issue with a delivered order (multipart/form-data, photos in "photos")
+router.post(
+  "/",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER"]),
+  uploadPhotos,
+  validateBody(createClaimSchema),
+  claimController.createClaim
+);
+
+// List my claims
+router.get(
+  "/my-claims",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER"]),
+  validateQuery(queryMyClaimsSchema),
+  claimController.getMyClaims
+);
+
+/**
+ * KITCHEN STAFF + ADMIN ROUTES
+ */
+
+// Kitchen quality metrics
+router.get(
+  "/quality",
+  adminAuthMiddleware,
+  roleMiddleware(["KITCHEN_STAFF", "ADMIN"]),
+  validateQuery(qualityQuerySchema),
+  claimController.getQualityMetrics
+);
+
+// List claims
+router.get(
+  "/",
+  adminAuthMiddleware,
+  roleMiddleware(["KITCHEN_STAFF", "ADMIN"]),
+  validateQuery(queryClaimsSchema),
+  claimController.getClaims
+);
+
+// Resolve a claim
+router.patch(
+  "/:id/resolve",
+  adminAuthMiddleware,
+  roleMiddleware(["KITCHEN_STAFF", "ADMIN"]),
+  validateParams(idParamSchema),
+  validateBody(resolveClaimSchema),
+  claimController.resolveClaim
+);
+
+/**
+ * SHARED ROUTES
+ */
+
+// Get a claim (its customer, its kitchen's staff, admin)
+router.get(
+  "/:id",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER", "KITCHEN_STAFF", "ADMIN"]),
+  validateParams(idParamSchema),
+  claimController.getClaimById
+);
+
+export default router;
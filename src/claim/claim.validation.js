@@ -0,0 +1,127 @@
+import Joi from "joi";
+import { CLAIM_CATEGORIES, CLAIM_RESOLUTIONS } from "../../schema/orderClaim.schema.js";
+
+/**
+ * Order Claim Validation Schemas
+ *
+ * Claims are created with multipart/form-data so photos can be attached.
+ * Nested fields use bracket notation, e.g. items[0][itemId] and
+ * items[0][addons][0][addonId]; numbers arrive as strings and are converted.
+ */
+
+const objectId = Joi.string().hex().length(24);
+
+/**
+ * Raise a claim on a delivered order
+ */
+export const createClaimSchema = Joi.object({
+  orderId: objectId.required().messages({
+    "any.required": "Order ID is required",
+  }),
+  category: Joi.string()
+    .valid(...CLAIM_CATEGORIES)
+    .required()
+    .messages({
+      "any.required": "Category is required",
+    }),
+  description: Joi.string().max(1000).trim().allow("", null),
+  items: Joi.array()
+    .items(
+      Joi.object({
+        // _id of the line in order.items
+        itemId: objectId.required(),
+        // Affected units; defaults to the whole line, or 0 when only add-ons are listed
+        quantity: Joi.number().integer().min(0),
+        addons: Joi.array()
+          .items(
+            Joi.object({
+              addonId: objectId.required(),
+              quantity: Joi.number().integer().min(1),
+            })
+          )
+          .unique("addonId"),
+      })
+    )
+    .min(1)
+    .unique("itemId")
+    .required()
+    .messages({
+      "any.required": "Select the items with a problem",
+      "array.min": "Select the items with a problem",
+    }),
+});
+
+/**
+ * Resolve a claim
+ */
+export const resolveClaimSchema = Joi.object({
+  resolution: Joi.string()
+    .valid(...CLAIM_RESOLUTIONS)
+    .required()
+    .messages({
+      "any.required": "Resolution is required",
+    }),
+  amount: Joi.number().positive().precision(2).when("resolution", {
+    is: "PARTIAL_REFUND",
+    then: Joi.required().messages({ "any.required": "Refund amount is required" }),
+    otherwise: Joi.forbidden(),
+  }),
+  refundMethod: Joi.string().valid("ORIGINAL_PAYMENT", "WALLET").when("resolution", {
+    is: "PARTIAL_REFUND",
+    then: Joi.optional().default("WALLET"),
+    otherwise: Joi.forbidden(),
+  }),
+  // Defaults to every voucher-paid meal in the claim
+  voucherCount: Joi.number().integer().min(1).when("resolution", {
+    is: "VOUCHER_RESTORE",
+    then: Joi.optional(),
+    otherwise: Joi.forbidden(),
+  }),
+  note: Joi.string().max(500).trim().when("resolution", {
+    is: "REJECTED",
+    then: Joi.string().min(5).required().messages({
+      "any.required": "A note for the customer is required when rejecting a claim",
+    }),
+    otherwise: Joi.allow("", null),
+  }),
+});
+
+/**
+ * List claims (kitchen staff and admin)
+ */
+export const queryClaimsSchema = Joi.object({
+  status: Joi.string().valid("OPEN", "RESOLVED", "REJECTED"),
+  category: Joi.string().valid(...CLAIM_CATEGORIES),
+  kitchenId: objectId,
+  orderId: objectId,
+  dateFrom: Joi.date().iso(),
+  dateTo: Joi.date().iso(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+/**
+ * List my claims (customer)
+ */
+export const queryMyClaimsSchema = Joi.object({
+  status: Joi.string().valid("OPEN", "RESOLVED", "REJECTED"),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+});
+
+/**
+ * Kitchen quality metrics
+ */
+export const qualityQuerySchema = Joi.object({
+  kitchenId: objectId,
+  dateFrom: Joi.date().iso(),
+  dateTo: Joi.date().iso(),
+});
+
+export default {
+  createClaimSchema,
+  resolveClaimSchema,
+  queryClaimsSchema,
+  queryMyClaimsSchema,
+  qualityQuerySchema,
+};
@@ -0,0 +1,270 @@
+import Closure from "../../schema/closure.schema.js";
+import Kitchen from "../../schema/kitchen.schema.js";
+import Zone from "../../schema/zone.schema.js";
+import { sendResponse } from "../../utils/response.utils.js";
+import { safeAuditLog } from "../../utils/audit.utils.js";
+import {
+  CLOSURE_NOTICE_DAYS,
+  MAX_CLOSURE_DAYS,
+  getClosureDays,
+  sendClosureNotices,
+} from "../../services/closure.service.js";
+import {
+  getServiceDate,
+  parseServiceDate,
+  formatServiceDate,
+} from "../../services/menu-calendar.service.js";
+
+/**
+ * Closure Controller
+ * Admin management of planned kitchen and zone closures
+ *
+ * Subscriber notices go out when the closure is created if it starts within
+ * the notice period, otherwise from the daily closureNotices job.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a closure
+ * @route POST /api/closures
+ * @access Admin
+ */
+export async function createClosure(req, res) {
+  try {
+    const { scope, kitchenId, zoneId, title, message, mealWindows, extendVouchers } = req.body;
+    const startDate = parseServiceDate(req.body.startDate);
+    const endDate = parseServiceDate(req.body.endDate || req.body.startDate);
+    const today = getServiceDate();
+
+    if (startDate < today) {
+      return sendResponse(res, 400, false, "Closures can't start in the past");
+    }
+    if (endDate < startDate) {
+      return sendResponse(res, 400, false, "End date must be on or after the start date");
+    }
+    if (getClosureDays({ startDate, endDate }) > MAX_CLOSURE_DAYS) {
+      return sendResponse(res, 400, false, `A closure can't be longer than ${MAX_CLOSURE_DAYS} days`);
+    }
+
+    const target =
+      scope === "KITCHEN"
+        ? await Kitchen.findById(kitchenId).select("name status")
+        : await Zone.findById(zoneId).select("name status");
+    if (!target || target.status === "DELETED") {
+      return sendResponse(res, 404, false, scope === "KITCHEN" ? "Kitchen not found" : "Zone not found");
+    }
+
+    // Overlapping closures would extend vouchers twice for the same days
+    const overlapping = await Closure.findOne({
+      status: "ACTIVE",
+      scope,
+      ...(scope === "KITCHEN" ? { kitchenId } : { zoneId }),
+      startDate: { $lte: endDate },
+      endDate: { $gte: startDate },
+      mealWindows: { $in: mealWindows },
+    });
+    if (overlapping) {
+      return sendResponse(
+        res,
+        400,
+        false,
+        `Overlaps the closure "${overlapping.title}" (${formatServiceDate(overlapping.startDate)} to ${formatServiceDate(overlapping.endDate)})`
+      );
+    }
+
+    const closure = await Closure.create({
+      scope,
+      kitchenId: scope === "KITCHEN" ? kitchenId : null,
+      zoneId: scope === "ZONE" ? zoneId : null,
+      title,
+      message,
+      startDate,
+      endDate,
+      mealWindows,
+      extendVouchers,
+      createdBy: req.user._id,
+    });
+
+    safeAuditLog(req, {
+      action: "CREATE",
+      entityType: "CLOSURE",
+      entityId: closure._id,
+      entityName: closure.title,
+      newValue: closure.toObject(),
+      description: `Scheduled ${scope.toLowerCase()} closure "${title}" for ${target.name} (${formatServiceDate(startDate)} to ${formatServiceDate(endDate)})`,
+    });
+
+    const noticeDate = new Date(Math.max(today.getTime(), startDate.getTime() - CLOSURE_NOTICE_DAYS * DAY_MS));
+    if (noticeDate.getTime() === today.getTime()) {
+      sendClosureNotices(closure).catch((error) =>
+        console.log(`> Closure notice error for ${closure._id}:`, error.message)
+      );
+    }
+
+    console.log(`> Closure created: ${title} for ${scope} ${target.name}`);
+
+    return sendResponse(res, 201, true, "Closure scheduled", {
+      closure,
+      noticeDate: formatServiceDate(noticeDate),
+    });
+  } catch (error) {
+    console.log("Create closure error:", error);
+    return sendResponse(res, 500, false, "Failed to create closure");
+  }
+}
+
+/**
+ * List closures
+ * @route GET /api/closures
+ * @access Admin
+ */
+export async function getClosures(req, res) {
+  try {
+    const { scope, kitchenId, zoneId, status, from, to, page = 1, limit = 20 } =
+      req.validatedQuery || req.query;
+
+    const filter = {};
+    if (scope) filter.scope = scope;
+    if (kitchenId) filter.kitchenId = kitchenId;
+    if (zoneId) filter.zoneId = zoneId;
+    if (status) filter.status = status;
+    // Closures overlapping the range
+    if (from) filter.endDate = { $gte: parseServiceDate(from) };
+    if (to) filter.startDate = { $lte: parseServiceDate(to) };
+
+    const skip = (page - 1) * limit;
+
+    const [closures, total] = await Promise.all([
+      Closure.find(filter)
+        .populate("kitchenId", "name code")
+        .populate("zoneId", "name pincode city")
+        .populate("createdBy", "name")
+        .sort({ startDate: -1 })
+        .skip(skip)
+        .limit(limit),
+      Closure.countDocuments(filter),
+    ]);
+
+    return sendResponse(res, 200, true, "Closures retrieved", {
+      closures,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.log("Get closures error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve closures");
+  }
+}
+
+/**
+ * Get a closure
+ * @route GET /api/closures/:id
+ * @access Admin
+ */
+export async function getClosureById(req, res) {
+  try {
+    const closure = await Closure.findById(req.params.id)
+      .populate("kitchenId", "name code")
+      .populate("zoneId", "name pincode city")
+      .populate("createdBy", "name")
+      .populate("cancelledBy", "name");
+
+    if (!closure) {
+      return sendResponse(res, 404, false, "Closure not found");
+    }
+
+    return sendResponse(res, 200, true, "Closure retrieved", { closure });
+  } catch (error) {
+    console.log("Get closure error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve closure");
+  }
+}
+
+/**
+ * Update a closure's title or message
+ * @route PUT /api/closures/:id
+ * @access Admin
+ */
+export async function updateClosure(req, res) {
+  try {
+    const closure = await Closure.findOneAndUpdate(
+      { _id: req.params.id, status: "ACTIVE" },
+      { $set: req.body },
+      { new: true, runValidators: true }
+    );
+
+    if (!closure) {
+      const existing = await Closure.exists({ _id: req.params.id });
+      if (!existing) {
+        return sendResponse(res, 404, false, "Closure not found");
+      }
+      return sendResponse(res, 400, false, "Closure is already CANCELLED");
+    }
+
+    safeAuditLog(req, {
+      action: "UPDATE",
+      entityType: "CLOSURE",
+      entityId: closure._id,
+      entityName: closure.title,
+      newValue: req.body,
+      description: `Updated closure "${closure.title}"`,
+    });
+
+    return sendResponse(res, 200, true, "Closure updated", { closure });
+  } catch (error) {
+    console.log("Update closure error:", error);
+    return sendResponse(res, 500, false, "Failed to update closure");
+  }
+}
+
+/**
+ * Cancel a closure
+ * Ordering reopens for its dates. Voucher extensions already given are kept.
+ * @route PATCH /api/closures/:id/cancel
+ * @access Admin
+ */
+export async function cancelClosure(req, res) {
+  try {
+    const closure = await Closure.findOneAndUpdate(
+      { _id: req.params.id, status: "ACTIVE" },
+      { $set: { status: "CANCELLED", cancelledAt: new Date(), cancelledBy: req.user._id } },
+      { new: true }
+    );
+
+    if (!closure) {
+      const existing = await Closure.exists({ _id: req.params.id });
+      if (!existing) {
+        return sendResponse(res, 404, false, "Closure not found");
+      }
+      return sendResponse(res, 400, false, "Closure is already CANCELLED");
+    }
+
+    safeAuditLog(req, {
+      action: "CANCEL",
+      entityType: "CLOSURE",
+      entityId: closure._id,
+      entityName: closure.title,
+      previousValue: { status: "ACTIVE" },
+      newValue: { status: "CANCELLED" },
+      description: `Cancelled closure "${closure.title}"`,
+    });
+
+    return sendResponse(res, 200, true, "Closure cancelled", { closure });
+  } catch (error) {
+    console.log("Cancel closure error:", error);
+    return sendResponse(res, 500, false, "Failed to cancel closure");
+  }
+}
+
+export default {
+  createClosure,
+  getClosures,
+  getClosureById,
+  updateClosure,
+  cancelClosure,
+};
@@ -0,0 +1,69 @@
+import { Router } from "express";
+import closureController from "./closure.controller.js";
+import { adminAuthMiddleware, adminMiddleware } from "../../middlewares/auth.middleware.js";
+import { validateBody, validateQuery, validateParams } from "../../middlewares/validate.middleware.js";
+import {
+  createClosureSchema,
+  updateClosureSchema,
+  queryClosuresSchema,
+} from "./closure.validation.js";
+import Joi from "joi";
+
+const router = Router();
+
+// Param schemas
+const idParamSchema = Joi.object({
+  id: Joi.string().hex().length(24).required(),
+});
+
+/**
+ * ADMIN ROUTES
+ */
+
+// Schedule a kitchen or zone closure
+router.post(
+  "/",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateBody(createClosureSchema),
+  closureController.createClosure
+);
+
+// List closures
+router.get(
+  "/",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateQuery(queryClosuresSchema),
+  closureController.getClosures
+);
+
+// Get closure
+router.get(
+  "/:id",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(idParamSchema),
+  closureController.getClosureById
+);
+
+// Update closure title/message
+router.put(
+  "/:id",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(idParamSchema),
+  validateBody(updateClosureSchema),
+  closureController.updateClosure
+);
+
+// Cancel closure
+router.patch(
+  "/:id/cancel",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(idParamSchema),
+  closureController.cancelClosure
+);
+
+export default router;
@@ -0,0 +1,85 @@
+import Joi from "joi";
+import { CLOSURE_WINDOWS } from "../../schema/closure.schema.js";
+
+/**
+ * Closure Validation Schemas
+ */
+
+const objectId = Joi.string().hex().length(24);
+
+// Service day (IST) as YYYY-MM-DD; rejects dates like 2026-02-31
+const SERVICE_DATE = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .custom((value, helpers) => {
+    const date = new Date(`${value}T00:00:00.000Z`);
+    if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+      return helpers.error("any.invalid");
+    }
+    return value;
+  })
+  .messages({
+    "string.pattern.base": "Date must be in YYYY-MM-DD format",
+    "any.invalid": "Invalid date",
+  });
+
+/**
+ * Create a closure
+ */
+export const createClosureSchema = Joi.object({
+  scope: Joi.string().valid("KITCHEN", "ZONE").required().messages({
+    "any.required": "Scope is required",
+  }),
+  kitchenId: objectId.when("scope", {
+    is: "KITCHEN",
+    then: Joi.required().messages({ "any.required": "Kitchen ID is required for a kitchen closure" }),
+    otherwise: Joi.forbidden(),
+  }),
+  zoneId: objectId.when("scope", {
+    is: "ZONE",
+    then: Joi.required().messages({ "any.required": "Zone ID is required for a zone closure" }),
+    otherwise: Joi.forbidden(),
+  }),
+  title: Joi.string().min(2).max(100).trim().required().messages({
+    "any.required": "Title is required",
+  }),
+  message: Joi.string().max(300).trim().allow("", null),
+  startDate: SERVICE_DATE.required().messages({
+    "any.required": "Start date is required",
+  }),
+  endDate: SERVICE_DATE,
+  mealWindows: Joi.array()
+    .items(Joi.string().valid(...CLOSURE_WINDOWS))
+    .min(1)
+    .unique()
+    .default([...CLOSURE_WINDOWS]),
+  extendVouchers: Joi.boolean().default(true),
+});
+
+/**
+ * Update a closure's customer-facing text
+ * Dates, windows and target can't change once created; cancel and create a new one.
+ */
+export const updateClosureSchema = Joi.object({
+  title: Joi.string().min(2).max(100).trim(),
+  message: Joi.string().max(300).trim().allow("", null),
+}).min(1);
+
+/**
+ * Query closures
+ */
+export const queryClosuresSchema = Joi.object({
+  scope: Joi.string().valid("KITCHEN", "ZONE"),
+  kitchenId: objectId,
+  zoneId: objectId,
+  status: Joi.string().valid("ACTIVE", "CANCELLED"),
+  from: SERVICE_DATE,
+  to: SERVICE_DATE,
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+export default {
+  createClosureSchema,
+  updateClosureSchema,
+  queryClosuresSchema,
+};
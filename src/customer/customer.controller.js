@@ -6,8 +6,20 @@ import MenuItem from "../../schema/menuItem.schema.js";
 import Voucher from "../../schema/voucher.schema.js";
 import Zone from "../../schema/zone.schema.js";
 import { sendResponse } from "../../utils/response.utils.js";
+import { hasValidCoordinates } from "../../utils/geo.utils.js";
 import { checkCutoffTime, getCurrentMealWindow } from "../../services/config.service.js";
 import { getAvailableVoucherCount } from "../../services/voucher.service.js";
+import { resolveMealMenuItem } from "../../services/menu-calendar.service.js";
+import {
+  CLOSURE_NOTICE_DAYS,
+  getClosures,
+  getOpenKitchens,
+  getClosedWindows,
+  findCoveringClosure,
+  getTodaysClosure,
+  describeClosure,
+  getClosureMessage,
+} from "../../services/closure.service.js";
 
 /**
  * Customer Controller
@@ -321,18 +333,28 @@ const buildMenuForKitchen = async (kitchenId, kitchen = null) => {
     kitchen = await Kitchen.findById(kitchenId).select("operatingHours");
   }
 
-  const menuItems = await MenuItem.find({
-    kitchenId,
-    status: "ACTIVE",
-    isAvailable: true,
-  })
-    .populate("addonIds", "name price isAvailable category")
-    .sort({ displayOrder: 1, createdAt: -1 });
+  const addonPopulate = { path: "addonIds", select: "name price isAvailable category" };
+
+  // Meal menu items come from today's menu calendar (scheduled item or default)
+  const [onDemandItems, lunch, dinner] = await Promise.all([
+    MenuItem.find({
+      kitchenId,
+      menuType: "ON_DEMAND_MENU",
+      status: "ACTIVE",
+      isAvailable: true,
+    })
+      .populate(addonPopulate)
+      .sort({ displayOrder: 1, createdAt: -1 }),
+    resolveMealMenuItem(kitchenId, "LUNCH", new Date(), { populate: addonPopulate }),
+    resolveMealMenuItem(kitchenId, "DINNER", new Date(), { populate: addonPopulate }),
+  ]);
+
+  const mealItems = [lunch.menuItem, dinner.menuItem].filter((item) => item?.isAvailable);
 
   const mealMenu = { lunch: null, dinner: null };
   const onDemandMenu = [];
 
-  for (const item of menuItems) {
+  for (const item of [...mealItems, ...onDemandItems]) {
     const itemResponse = {
       id: item._id,
       name: item.name,
@@ -349,6 +371,7 @@ const buildMenuForKitchen = async (kitchenId, kitchen = null) => {
       images: item.images,
       thumbnailImage: item.thumbnailImage,
       includes: item.includes,
+      variants: item.variants.filter((v) => v.isAvailable).map((v) => ({ name: v.name, description: v.description })),
       isFeatured: item.isFeatured,
       addons: item.addonIds.filter(a => a.isAvailable).map(addon => ({
         id: addon._id,
@@ -452,20 +475,42 @@ export const getHomeFeed = async (req, res) => {
       });
     }
 
+    // Planned closures: kitchens closed all day today are left out
+    const zoneId = address.zoneId._id;
+    const { openKitchens, closures } = await getOpenKitchens(allKitchens, zoneId, {
+      days: CLOSURE_NOTICE_DAYS,
+    });
+
+    if (openKitchens.length === 0) {
+      const closure = getTodaysClosure(closures);
+      return sendResponse(res, 200, true, "Closed today", {
+        isServiceable: true,
+        kitchenAvailable: false,
+        closedToday: true,
+        closure: describeClosure(closure),
+        address: {
+          id: address._id,
+          label: address.label,
+          locality: address.locality,
+        },
+        message: getClosureMessage(closure),
+      });
+    }
+
     // Select kitchen: use specified kitchenId or auto-select primary
     let selectedKitchen;
     if (kitchenId) {
-      selectedKitchen = allKitchens.find(k => k._id.toString() === kitchenId);
+      selectedKitchen = openKitchens.find(k => k._id.toString() === kitchenId);
       if (!selectedKitchen) {
-        // Fallback to primary if specified kitchen not found/not serving zone
-        selectedKitchen = selectPrimaryKitchen(allKitchens);
+        // Fallback to primary if specified kitchen not found/not serving zone/closed
+        selectedKitchen = selectPrimaryKitchen(openKitchens);
       }
     } else {
-      selectedKitchen = selectPrimaryKitchen(allKitchens);
+      selectedKitchen = selectPrimaryKitchen(openKitchens);
     }
 
     // Build alternative kitchens list (excluding selected)
-    const alternativeKitchens = allKitchens
+    const alternativeKitchens = openKitchens
       .filter(k => k._id.toString() !== selectedKitchen._id.toString())
       .map(k => anonymizeKitchenForConsumer(k));
 
@@ -475,6 +520,17 @@ export const getHomeFeed = async (req, res) => {
     // Build menu for selected kitchen (pass kitchen for operating hours)
     const { mealMenu, onDemandMenu } = await buildMenuForKitchen(selectedKitchen._id, selectedKitchen);
 
+    // Hide meal windows closed today
+    const closedWindows = getClosedWindows(closures, { kitchenId: selectedKitchen._id, zoneId });
+    if (closedWindows.includes("LUNCH")) mealMenu.lunch = null;
+    if (closedWindows.includes("DINNER")) mealMenu.dinner = null;
+    const openOnDemandMenu = closedWindows.includes("ON_DEMAND") ? [] : onDemandMenu;
+
+    // Closures of the selected kitchen or the zone in the coming days
+    const upcomingClosures = closures
+      .filter((c) => c.scope === "ZONE" || c.kitchenId.toString() === selectedKitchen._id.toString())
+      .map(describeClosure);
+
     // Get user's voucher balance
     const lunchVouchers = await getAvailableVoucherCount(userId, "LUNCH");
     const dinnerVouchers = await getAvailableVoucherCount(userId, "DINNER");
@@ -498,8 +554,10 @@ export const getHomeFeed = async (req, res) => {
       mealWindow: mealWindowInfo,
       menu: {
         mealMenu,
-        onDemandMenu,
+        onDemandMenu: openOnDemandMenu,
       },
+      closedWindows,
+      upcomingClosures,
       vouchers: {
         lunch: lunchVouchers,
         dinner: dinnerVouchers,
@@ -554,38 +612,55 @@ export const getMealMenu = async (req, res) => {
     }
 
     // Find kitchen(s) for zone
-    let kitchen;
-    if (kitchenId) {
-      // User specified a kitchen - verify it serves this zone
-      kitchen = await Kitchen.findOne({
-        _id: kitchenId,
-        zonesServed: address.zoneId,
-        status: "ACTIVE",
-        isAcceptingOrders: true,
-      });
+    const allKitchens = await Kitchen.find({
+      zonesServed: address.zoneId,
+      status: "ACTIVE",
+      isAcceptingOrders: true,
+    });
+
+    if (allKitchens.length === 0) {
+      return sendResponse(res, 404, false, "No kitchen available for your area");
     }
 
+    // Leave out kitchens closed for this meal window today
+    const closures = await getClosures({
+      kitchenIds: allKitchens.map((k) => k._id),
+      zoneIds: [address.zoneId],
+    });
+    const openKitchens = allKitchens.filter(
+      (k) =>
+        !findCoveringClosure(closures, {
+          kitchenId: k._id,
+          zoneId: address.zoneId,
+          mealWindow: normalizedMealWindow,
+        })
+    );
+
+    // User specified a kitchen - use it if it serves this zone, otherwise the primary
+    let kitchen = kitchenId ? openKitchens.find((k) => k._id.toString() === kitchenId) : null;
     if (!kitchen) {
-      // No kitchen specified or specified one doesn't serve zone - use primary
-      const allKitchens = await Kitchen.find({
-        zonesServed: address.zoneId,
-        status: "ACTIVE",
-        isAcceptingOrders: true,
-      });
-      kitchen = selectPrimaryKitchen(allKitchens);
+      kitchen = selectPrimaryKitchen(openKitchens);
     }
 
     if (!kitchen) {
-      return sendResponse(res, 404, false, "No kitchen available for your area");
+      const closure = findCoveringClosure(closures, {
+        kitchenId: selectPrimaryKitchen(allKitchens)._id,
+        zoneId: address.zoneId,
+        mealWindow: normalizedMealWindow,
+      }) || getTodaysClosure(closures);
+      return sendResponse(res, 200, true, "Closed today", {
+        available: false,
+        closed: true,
+        mealWindow: normalizedMealWindow,
+        closure: describeClosure(closure),
+        message: getClosureMessage(closure, normalizedMealWindow),
+      });
     }
 
-    // Get meal menu item
-    const menuItem = await MenuItem.findOne({
-      kitchenId: kitchen._id,
-      menuType: "MEAL_MENU",
-      mealWindow: normalizedMealWindow,
-      status: "ACTIVE",
-    }).populate("addonIds");
+    // Get today's meal menu item from the menu calendar
+    const { menuItem } = await resolveMealMenuItem(kitchen._id, normalizedMealWindow, new Date(), {
+      populate: "addonIds",
+    });
 
     if (!menuItem) {
       return sendResponse(res, 200, true, "No menu available", {
@@ -619,6 +694,9 @@ export const getMealMenu = async (req, res) => {
         images: menuItem.images,
         thumbnailImage: menuItem.thumbnailImage,
         includes: menuItem.includes,
+        variants: menuItem.variants
+          .filter((v) => v.isAvailable)
+          .map((v) => ({ name: v.name, description: v.description })),
         addons: menuItem.addonIds
           .filter(a => a.isAvailable && a.status === "ACTIVE")
           .map(addon => ({
@@ -652,20 +730,39 @@ export const getMealMenu = async (req, res) => {
 
 /**
  * Check serviceability for an address (Blinkit/Zepto style)
- * Returns simple yes/no for whether we deliver to a pincode
+ * Returns simple yes/no for whether we deliver to a location
+ * Coordinates are matched against zone boundaries, falling back to pincode
  *
  * POST /api/customer/check-serviceability
- * Body: { pincode } or { zoneId }
+ * Body: { latitude, longitude, pincode } or { addressId } or { zoneId }
  */
 export const checkServiceability = async (req, res) => {
   try {
-    const { pincode, zoneId } = req.body;
+    const { zoneId, addressId } = req.body;
+    let { pincode, latitude, longitude } = req.body;
 
-    if (!pincode && !zoneId) {
-      return sendResponse(res, 400, false, "Pincode or zoneId is required");
+    // Saved address - use its coordinates and pincode
+    if (addressId) {
+      const address = await CustomerAddress.findOne({
+        _id: addressId,
+        userId: req.user._id,
+        isDeleted: false,
+      }).select("pincode coordinates");
+
+      if (!address) {
+        return sendResponse(res, 404, false, "Address not found");
+      }
+
+      pincode = address.pincode;
+      latitude = address.coordinates?.latitude;
+      longitude = address.coordinates?.longitude;
+    }
+
+    if (!pincode && !zoneId && !hasValidCoordinates(latitude, longitude)) {
+      return sendResponse(res, 400, false, "Location, pincode or zoneId is required");
     }
 
-    // Find zone by pincode or zoneId
+    // Find zone by zoneId, or resolve it from coordinates/pincode
     let zone;
     if (zoneId) {
       zone = await Zone.findOne({
@@ -673,13 +770,9 @@ export const checkServiceability = async (req, res) => {
         status: "ACTIVE",
         orderingEnabled: true,
       });
-    } else if (pincode) {
-      // Zone has single pincode field (1 pincode = 1 zone)
-      zone = await Zone.findOne({
-        pincode: pincode,
-        status: "ACTIVE",
-        orderingEnabled: true,
-      });
+    } else {
+      const resolved = await Zone.resolveForLocation({ latitude, longitude, pincode });
+      zone = resolved.zone?.isServiceable() ? resolved.zone : null;
     }
 
     if (!zone) {
@@ -690,19 +783,31 @@ export const checkServiceability = async (req, res) => {
     }
 
     // Check if any active kitchen serves this zone
-    const kitchenExists = await Kitchen.exists({
+    const kitchens = await Kitchen.find({
       zonesServed: zone._id,
       status: "ACTIVE",
       isAcceptingOrders: true,
-    });
+    }).select("_id");
 
-    if (!kitchenExists) {
+    if (kitchens.length === 0) {
       return sendResponse(res, 200, true, "Location check", {
         isServiceable: false,
         message: "We don't deliver to this location yet",
       });
     }
 
+    // Served, but closed all day today (holiday, no-delivery day)
+    const { openKitchens, closures } = await getOpenKitchens(kitchens, zone._id);
+    if (openKitchens.length === 0) {
+      const closure = getTodaysClosure(closures);
+      return sendResponse(res, 200, true, "Location check", {
+        isServiceable: true,
+        closedToday: true,
+        closure: describeClosure(closure),
+        message: getClosureMessage(closure),
+      });
+    }
+
     // Simple yes response - user asked for serviceability only
     return sendResponse(res, 200, true, "Location check", {
       isServiceable: true,
@@ -102,7 +102,7 @@ router.get(
 );
 
 // Check serviceability for a location
-// Body: { pincode } or { zoneId }
+// Body: { latitude, longitude, pincode } or { addressId } or { zoneId }
 router.post(
   "/check-serviceability",
   adminAuthMiddleware,
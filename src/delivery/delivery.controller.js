@@ -1,13 +1,20 @@
 import DeliveryBatch from "../../schema/deliveryBatch.schema.js";
-import DeliveryAssignment from "../../schema/deliveryAssignment.schema.js";
+import DeliveryAssignment, {
+  FAILURE_FAULTS,
+  MAX_DELIVERY_ATTEMPTS,
+} from "../../schema/deliveryAssignment.schema.js";
 import Order from "../../schema/order.schema.js";
 import Kitchen from "../../schema/kitchen.schema.js";
 import Zone from "../../schema/zone.schema.js";
 import { sendResponse } from "../../utils/response.utils.js";
 import { safeAuditCreate } from "../../utils/audit.utils.js";
 import { checkCutoffTime } from "../../services/config.service.js";
+import { ingestDriverLocation } from "../../services/tracking.service.js";
+import { safePlanBatchRoute, applyManualSequence } from "../../services/route-optimization.service.js";
 import { sendToRole, sendToUserIds, sendToUser } from "../../services/notification.service.js";
-import { DRIVER_TEMPLATES, BATCH_REMINDER_TEMPLATES, buildFromTemplate, getOrderStatusNotification } from "../../services/notification-templates.service.js";
+import { DRIVER_TEMPLATES, BATCH_REMINDER_TEMPLATES, FAILED_DELIVERY_TEMPLATES, buildFromTemplate, getOrderStatusNotification } from "../../services/notification-templates.service.js";
+import { restoreVouchersForOrder } from "../../services/voucher.service.js";
+import { refundOrderDifference } from "../refund/refund.controller.js";
 import User from "../../schema/user.schema.js";
 
 
@@ -24,6 +31,12 @@ let BATCH_CONFIG = {
   autoDispatchDelay: 0, // minutes after window end
 };
 
+// Failed deliveries nobody has decided on are closed after this long
+const FAILURE_DECISION_MINUTES = 60;
+
+// Redeliveries that haven't gone into a new batch are settled after this long
+const REDELIVERY_PICKUP_MINUTES = 180;
+
 // DEPRECATED: Window end times (now fetched from Kitchen.operatingHours)
 // Keeping as fallback only in case kitchen doesn't have operatingHours configured
 const WINDOW_END_TIMES = {
@@ -75,6 +88,7 @@ async function findOrCreateBatch(kitchenId, zoneId, mealWindow, windowEndTime) {
       batchDate: new Date(),
       windowEndTime,
       maxBatchSize: BATCH_CONFIG.maxBatchSize,
+      failedOrderPolicy: BATCH_CONFIG.failedOrderPolicy,
       creationType: "AUTO",
     });
     await batch.save();
@@ -116,22 +130,49 @@ async function assignDriverToBatch(batchId, driverId) {
 
 /**
  * Create delivery assignments for batch orders
- * @param {string} batchId - Batch ID
- * @param {Array} orderIds - Order IDs
+ * Follows the batch's deliverySequence when one has been planned.
+ * Orders already delivered to before (redeliveries) keep their assignment,
+ * so attempt count and failure history carry over.
+ * @param {Object} batch - DeliveryBatch document
  * @param {string} driverId - Driver ID
  * @returns {Promise<Array>} Created assignments
  */
-async function createDeliveryAssignments(batchId, orderIds, driverId) {
+async function createDeliveryAssignments(batch, driverId) {
   const assignments = [];
 
-  for (let i = 0; i < orderIds.length; i++) {
-    const assignment = new DeliveryAssignment({
-      orderId: orderIds[i],
+  const stops = batch.deliverySequence?.length === batch.orderIds.length
+    ? [...batch.deliverySequence].sort((a, b) => a.sequenceNumber - b.sequenceNumber)
+    : batch.orderIds.map((orderId) => ({ orderId }));
+
+  for (let i = 0; i < stops.length; i++) {
+    const fields = {
       driverId,
-      batchId,
+      batchId: batch._id,
       sequenceInBatch: i + 1,
+      estimatedDeliveryTime: stops[i].estimatedArrival,
       assignedBy: "SYSTEM",
-    });
+    };
+
+    let assignment = await DeliveryAssignment.findOne({ orderId: stops[i].orderId });
+    if (assignment) {
+      archiveFailureDecision(assignment);
+      assignment.set({
+        ...fields,
+        assignedAt: new Date(),
+        status: "ASSIGNED",
+        attemptCount: assignment.status === "FAILED"
+          ? assignment.attemptCount + 1
+          : assignment.attemptCount,
+        failureReason: undefined,
+        failureNotes: undefined,
+        failureResolution: undefined,
+        returnedToKitchen: false,
+        lastKnownLocation: undefined,
+        locationHistory: [],
+      });
+    } else {
+      assignment = new DeliveryAssignment({ orderId: stops[i].orderId, ...fields });
+    }
     await assignment.generateOtp();
     assignments.push(assignment);
   }
@@ -172,7 +213,14 @@ async function checkBatchComplete(batchId) {
   const orders = await Order.find({ _id: { $in: batch.orderIds } });
   const finalStatuses = ["DELIVERED", "FAILED"];
 
-  const allComplete = orders.every((o) => finalStatuses.includes(o.status));
+  // A failure still waiting for a decision may be retried in this batch
+  const pendingFailures = await DeliveryAssignment.countDocuments({
+    batchId,
+    "failureResolution.status": "PENDING",
+  });
+
+  const allComplete =
+    pendingFailures === 0 && orders.every((o) => finalStatuses.includes(o.status));
   const hasFailures = orders.some((o) => o.status === "FAILED");
 
   if (allComplete) {
@@ -185,6 +233,268 @@ async function checkBatchComplete(batchId) {
   return { isComplete: false, status: batch.status };
 }
 
+/**
+ * Order documents by a batch delivery sequence (unsequenced orders last)
+ * @param {Array} orders - Order documents
+ * @param {Array} deliverySequence - Batch deliverySequence
+ * @returns {Array} Sorted orders
+ */
+function sortByDeliverySequence(orders, deliverySequence = []) {
+  const rank = new Map(
+    deliverySequence.map((s) => [s.orderId.toString(), s.sequenceNumber])
+  );
+  const rankOf = (order) => rank.get(order._id.toString()) ?? Infinity;
+  return [...orders].sort((a, b) => rankOf(a) - rankOf(b));
+}
+
+/**
+ * Fault for a failure reason (unknown reasons are not held against the customer)
+ * @param {string} failureReason - DeliveryAssignment failure reason
+ * @returns {string} CUSTOMER or PLATFORM
+ */
+function getFailureFault(failureReason) {
+  return FAILURE_FAULTS[failureReason] || "PLATFORM";
+}
+
+/**
+ * Recount a batch and close it once every order has a final status
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<Object|null>} Updated counters
+ */
+async function refreshBatchProgress(batchId) {
+  const batchProgress = await updateBatchCounters(batchId);
+
+  const completion = await checkBatchComplete(batchId);
+  if (completion.isComplete) {
+    await DeliveryBatch.findByIdAndUpdate(batchId, {
+      status: completion.status,
+      completedAt: new Date(),
+    });
+  }
+
+  return batchProgress;
+}
+
+/**
+ * Copy the decision on the latest failure into its failureHistory entry
+ * Called before failureResolution is cleared or replaced.
+ * @param {Object} assignment - DeliveryAssignment document
+ */
+function archiveFailureDecision(assignment) {
+  const resolution = assignment.failureResolution;
+  const latest = assignment.failureHistory?.[assignment.failureHistory.length - 1];
+  if (!resolution?.status || !latest || latest.resolution) return;
+
+  latest.set({
+    resolution: resolution.status,
+    fault: resolution.fault,
+    decidedBy: resolution.decidedBy,
+    decidedByRole: resolution.decidedByRole,
+    decidedAt: resolution.decidedAt,
+  });
+}
+
+/**
+ * Record a failed attempt and open it for a decision
+ * (retry, redeliver or close)
+ * @param {Object} assignment - DeliveryAssignment document marked FAILED
+ */
+async function recordDeliveryFailure(assignment) {
+  archiveFailureDecision(assignment);
+  assignment.failureHistory.push({
+    attempt: assignment.attemptCount,
+    batchId: assignment.batchId,
+    reason: assignment.failureReason,
+    notes: assignment.failureNotes,
+    failedAt: assignment.failedAt || new Date(),
+  });
+  assignment.failureResolution = {
+    status: "PENDING",
+    fault: getFailureFault(assignment.failureReason),
+  };
+  await assignment.save();
+
+  if (assignment.batchId) {
+    await DeliveryBatch.updateOne(
+      { _id: assignment.batchId, "failedOrders.orderId": { $ne: assignment.orderId } },
+      {
+        $push: {
+          failedOrders: { orderId: assignment.orderId, reason: assignment.failureReason },
+        },
+      }
+    );
+  }
+}
+
+/**
+ * Atomically move a failure to its next state
+ * Only one caller wins, so a failure is never settled twice.
+ * @param {Object} assignment - DeliveryAssignment document
+ * @param {Array<string>} fromStatuses - Allowed current failureResolution statuses
+ * @param {string} status - New failureResolution status
+ * @param {Object} fields - Other failureResolution fields to set
+ * @returns {Promise<Object|null>} Updated assignment, or null if it was already handled
+ */
+async function claimFailure(assignment, fromStatuses, status, fields = {}) {
+  // Failures recorded before resolutions existed have no status yet
+  const statuses = fromStatuses.includes("PENDING") ? [...fromStatuses, null] : fromStatuses;
+
+  const update = {
+    "failureResolution.status": status,
+    "failureResolution.fault":
+      assignment.failureResolution?.fault || getFailureFault(assignment.failureReason),
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    update[`failureResolution.${key}`] = value;
+  }
+
+  return DeliveryAssignment.findOneAndUpdate(
+    {
+      _id: assignment._id,
+      status: "FAILED",
+      "failureResolution.status": { $in: statuses },
+    },
+    { $set: update },
+    { new: true }
+  );
+}
+
+/**
+ * Settle a failed delivery that won't be re-attempted
+ * PLATFORM fault: vouchers are restored and the payment refunded.
+ * CUSTOMER fault: the payment and vouchers are kept.
+ * Callers claim the failure as SETTLED first.
+ * @param {Object} order - Order document
+ * @param {Object} assignment - Claimed DeliveryAssignment document
+ * @param {ObjectId|null} initiatedBy - User settling it (null for the scheduled job)
+ * @returns {Promise<Object>} { fault, amountRefunded, vouchersRestored, vouchersForfeited }
+ */
+async function settleFailedDelivery(order, assignment, initiatedBy = null) {
+  const fault = assignment.failureResolution.fault;
+  const reasonLabel = (assignment.failureReason || "OTHER").toLowerCase().replace(/_/g, " ");
+  const voucherIds = order.voucherUsage?.voucherIds || [];
+
+  let amountRefunded = 0;
+  let refundIds = [];
+  let vouchersRestored = 0;
+  let vouchersForfeited = 0;
+
+  if (fault === "PLATFORM") {
+    if (voucherIds.length > 0) {
+      const restoreResult = await restoreVouchersForOrder(
+        voucherIds,
+        `Delivery failed: ${reasonLabel}`
+      );
+      vouchersRestored = restoreResult.count;
+    }
+
+    const walletPaid = order.walletUsage?.reversedAt ? 0 : order.walletUsage?.amount || 0;
+    const paid = order.amountPaid + walletPaid;
+    if (paid > 0) {
+      const refundResult = await refundOrderDifference({
+        order,
+        amount: paid,
+        reason: "DELIVERY_FAILED",
+        reasonDetails: `Delivery failed: ${reasonLabel}`,
+        initiatedBy,
+      });
+      amountRefunded = refundResult.refunded;
+      refundIds = refundResult.refunds.map((refund) => refund._id);
+      if (!refundResult.success) {
+        console.log(`> Failed delivery refund error for ${order.orderNumber}: ${refundResult.error}`);
+      }
+    }
+  } else {
+    vouchersForfeited = voucherIds.length;
+  }
+
+  Object.assign(assignment.failureResolution, {
+    amountRefunded,
+    refundIds,
+    vouchersRestored,
+    vouchersForfeited,
+    settledAt: new Date(),
+  });
+  await assignment.save();
+
+  let template = FAILED_DELIVERY_TEMPLATES.FORFEITED;
+  let outcome = "";
+  if (fault === "PLATFORM") {
+    template = FAILED_DELIVERY_TEMPLATES.REFUNDED;
+    if (amountRefunded > 0) outcome += ` Rs.${amountRefunded} will be refunded.`;
+    if (vouchersRestored > 0) outcome += ` ${vouchersRestored} voucher(s) returned to your account.`;
+  }
+  const { title, body, channels } = buildFromTemplate(template, {
+    orderNumber: order.orderNumber,
+    reason: reasonLabel,
+    outcome,
+  });
+  sendToUser(order.userId, "ORDER_FAILURE_RESOLVED", title, body, {
+    data: {
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      fault,
+    },
+    entityType: "ORDER",
+    entityId: order._id,
+    channels,
+  });
+
+  console.log(`> Failed delivery settled: ${order.orderNumber} (${fault}) refunded ${amountRefunded}, vouchers restored ${vouchersRestored}`);
+
+  return { fault, amountRefunded, vouchersRestored, vouchersForfeited };
+}
+
+/**
+ * Close a failed delivery that won't be re-attempted
+ * RETURN_TO_KITCHEN batches wait for the kitchen to confirm the return before
+ * settling; NO_RETURN batches settle right away.
+ * @param {Object} order - Order document
+ * @param {Object} assignment - DeliveryAssignment document
+ * @param {Object} decision
+ * @param {ObjectId|null} decision.decidedBy - User closing it (null for the scheduled job)
+ * @param {string} decision.decidedByRole - DRIVER, KITCHEN_STAFF, ADMIN or SYSTEM
+ * @returns {Promise<Object|null>} Updated assignment, or null if it was already handled
+ */
+async function closeFailedDelivery(order, assignment, { decidedBy = null, decidedByRole = "SYSTEM" } = {}) {
+  const batch = assignment.batchId
+    ? await DeliveryBatch.findById(assignment.batchId).select("failedOrderPolicy")
+    : null;
+  const returnToKitchen = batch?.failedOrderPolicy === "RETURN_TO_KITCHEN";
+
+  const claimed = await claimFailure(
+    assignment,
+    ["PENDING"],
+    returnToKitchen ? "AWAITING_RETURN" : "SETTLED",
+    { decidedBy, decidedByRole, decidedAt: new Date() }
+  );
+  if (!claimed) return null;
+
+  if (returnToKitchen) {
+    const { title, body } = buildFromTemplate(FAILED_DELIVERY_TEMPLATES.RETURNING, {
+      orderNumber: order.orderNumber,
+    });
+    sendToRole("KITCHEN_STAFF", "ORDER_RETURNING", title, body, {
+      kitchenId: order.kitchenId,
+      data: {
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber,
+        failureReason: claimed.failureReason || "OTHER",
+      },
+      entityType: "ORDER",
+      entityId: order._id,
+    });
+  } else {
+    await settleFailedDelivery(order, claimed, decidedBy);
+  }
+
+  if (claimed.batchId) {
+    await refreshBatchProgress(claimed.batchId);
+  }
+
+  return claimed;
+}
+
 /**
  * Get window end time for a meal window from kitchen operating hours
  * All times are in IST (Asia/Kolkata) timezone
@@ -233,6 +543,113 @@ function getWindowEndTime(mealWindow, kitchen = null) {
  * 
  */
 
+/**
+ * Group unbatched MEAL_MENU orders into delivery batches by kitchen + zone + meal window
+ * Shared by the auto-batch endpoint and the scheduled auto-batch job
+ * @param {Object} filters
+ * @param {string} [filters.mealWindow] - Only batch this meal window
+ * @param {string} [filters.kitchenId] - Only batch this kitchen
+ * @returns {Promise<Object>} { batchesCreated, batchesUpdated, ordersProcessed, batches }
+ */
+export async function batchUnbatchedOrders({ mealWindow, kitchenId } = {}) {
+  // Build query for unbatched ready orders
+  const query = {
+    menuType: "MEAL_MENU",
+    status: { $in: ["ACCEPTED", "PREPARING", "READY"] },
+    batchId: null,
+  };
+
+  if (mealWindow) query.mealWindow = mealWindow;
+  if (kitchenId) query.kitchenId = kitchenId;
+
+  const orders = await Order.find(query);
+
+  if (orders.length === 0) {
+    return {
+      batchesCreated: 0,
+      batchesUpdated: 0,
+      ordersProcessed: 0,
+      batches: [],
+    };
+  }
+
+  // Group orders by kitchen + zone
+  const groups = {};
+  for (const order of orders) {
+    const key = `${order.kitchenId}_${order.zoneId}_${order.mealWindow}`;
+    if (!groups[key]) {
+      groups[key] = {
+        kitchenId: order.kitchenId,
+        zoneId: order.zoneId,
+        mealWindow: order.mealWindow,
+        orders: [],
+      };
+    }
+    groups[key].orders.push(order);
+  }
+
+  let batchesCreated = 0;
+  let batchesUpdated = 0;
+  let ordersProcessed = 0;
+  const batchSummaries = [];
+
+  // Process each group
+  for (const key of Object.keys(groups)) {
+    const group = groups[key];
+
+    // Fetch kitchen to get operating hours from database
+    const kitchen = await Kitchen.findById(group.kitchenId);
+    if (!kitchen) {
+      console.log(`> Auto-batch: Kitchen ${group.kitchenId} not found, skipping group`);
+      continue;
+    }
+
+    // Get window end time using kitchen's operating hours
+    const windowEndTime = getWindowEndTime(group.mealWindow, kitchen);
+
+    // Find or create batch
+    const { batch, wasCreated } = await findOrCreateBatch(
+      group.kitchenId,
+      group.zoneId,
+      group.mealWindow,
+      windowEndTime
+    );
+
+    if (wasCreated) {
+      batchesCreated++;
+    } else {
+      batchesUpdated++;
+    }
+
+    // Add orders to batch (up to max size)
+    const availableSlots = BATCH_CONFIG.maxBatchSize - batch.orderIds.length;
+    const ordersToAdd = group.orders.slice(0, availableSlots);
+
+    for (const order of ordersToAdd) {
+      await batch.addOrder(order._id);
+      order.batchId = batch._id;
+      await order.save();
+      ordersProcessed++;
+    }
+
+    batchSummaries.push({
+      batchId: batch._id,
+      batchNumber: batch.batchNumber,
+      orderCount: batch.orderIds.length,
+      zone: group.zoneId,
+      kitchen: group.kitchenId,
+      mealWindow: group.mealWindow,
+    });
+  }
+
+  return {
+    batchesCreated,
+    batchesUpdated,
+    ordersProcessed,
+    batches: batchSummaries,
+  };
+}
+
 /**
  * Auto-batch orders
  * @route POST /api/delivery/auto-batch
@@ -242,105 +659,121 @@ export async function autoBatchOrders(req, res) {
   try {
     const { mealWindow, kitchenId } = req.body;
 
-    // Build query for unbatched ready orders
-    const query = {
-      menuType: "MEAL_MENU",
-      status: { $in: ["ACCEPTED", "PREPARING", "READY"] },
-      batchId: null,
-    };
+    const result = await batchUnbatchedOrders({ mealWindow, kitchenId });
 
-    if (mealWindow) query.mealWindow = mealWindow;
-    if (kitchenId) query.kitchenId = kitchenId;
+    if (result.ordersProcessed === 0 && result.batches.length === 0) {
+      return sendResponse(res, 200, true, "No orders to batch", result);
+    }
 
-    const orders = await Order.find(query);
+    return sendResponse(res, 200, true, "Auto-batching complete", result);
+  } catch (error) {
+    console.log("Auto-batch orders error:", error);
+    return sendResponse(res, 500, false, "Failed to auto-batch orders");
+  }
+}
 
-    if (orders.length === 0) {
-      return sendResponse(res, 200, true, "No orders to batch", {
-        batchesCreated: 0,
-        batchesUpdated: 0,
-        ordersProcessed: 0,
-        batches: [],
-      });
-    }
+/**
+ * Move a kitchen's COLLECTING batches for a meal window to READY_FOR_DISPATCH
+ * and notify drivers. Callers are responsible for the cutoff check.
+ * @param {Object} kitchen - Kitchen document
+ * @param {string} mealWindow - LUNCH or DINNER
+ * @returns {Promise<Object>} { batchesDispatched, batches }
+ */
+export async function dispatchKitchenBatches(kitchen, mealWindow) {
+  // Find batches ready for dispatch
+  // No need to filter by windowEndTime (which is delivery end time, not cutoff)
+  const batches = await DeliveryBatch.find({
+    status: "COLLECTING",
+    mealWindow,
+    kitchenId: kitchen._id,
+    orderIds: { $ne: [] },
+  });
 
-    // Group orders by kitchen + zone
-    const groups = {};
-    for (const order of orders) {
-      const key = `${order.kitchenId}_${order.zoneId}_${order.mealWindow}`;
-      if (!groups[key]) {
-        groups[key] = {
-          kitchenId: order.kitchenId,
-          zoneId: order.zoneId,
-          mealWindow: order.mealWindow,
-          orders: [],
-        };
-      }
-      groups[key].orders.push(order);
-    }
+  const dispatchedBatches = [];
 
-    let batchesCreated = 0;
-    let batchesUpdated = 0;
-    let ordersProcessed = 0;
-    const batchSummaries = [];
+  for (const batch of batches) {
+    batch.status = "READY_FOR_DISPATCH";
+    await batch.save();
 
-    // Process each group
-    for (const key of Object.keys(groups)) {
-      const group = groups[key];
+    // Suggested drop order; re-planned with fresh ETAs when a driver accepts
+    await safePlanBatchRoute(batch);
 
-      // Fetch kitchen to get operating hours from database
-      const kitchen = await Kitchen.findById(group.kitchenId);
-      if (!kitchen) {
-        console.log(`> Auto-batch: Kitchen ${group.kitchenId} not found, skipping group`);
-        continue;
-      }
+    dispatchedBatches.push({
+      batchId: batch._id,
+      batchNumber: batch.batchNumber,
+      status: batch.status,
+      orderCount: batch.orderIds.length,
+    });
+  }
 
-      // Get window end time using kitchen's operating hours
-      const windowEndTime = getWindowEndTime(group.mealWindow, kitchen);
+  // Notify all active drivers about available batches
+  if (dispatchedBatches.length > 0) {
+    const totalOrders = dispatchedBatches.reduce((sum, b) => sum + b.orderCount, 0);
+    const { title, body } = buildFromTemplate(DRIVER_TEMPLATES.BATCH_READY, {
+      orderCount: totalOrders,
+      kitchenName: kitchen.name,
+    });
+    sendToRole("DRIVER", "BATCH_READY", title, body, {
+      data: {
+        kitchenId: kitchen._id.toString(),
+        mealWindow,
+        batchCount: dispatchedBatches.length.toString(),
+      },
+      entityType: "BATCH",
+    });
+  }
 
-      // Find or create batch
-      const { batch, wasCreated } = await findOrCreateBatch(
-        group.kitchenId,
-        group.zoneId,
-        group.mealWindow,
-        windowEndTime
-      );
+  return {
+    batchesDispatched: dispatchedBatches.length,
+    batches: dispatchedBatches,
+  };
+}
 
-      if (wasCreated) {
-        batchesCreated++;
-      } else {
-        batchesUpdated++;
-      }
+/**
+ * Dispatch every kitchen's COLLECTING batches whose meal window cutoff
+ * (plus the configured autoDispatchDelay) has passed
+ * Used by the scheduled auto-dispatch job
+ * @returns {Promise<Object>} { kitchensChecked, batchesDispatched, dispatched }
+ */
+export async function autoDispatchDueBatches() {
+  const pending = await DeliveryBatch.aggregate([
+    { $match: { status: "COLLECTING", orderIds: { $ne: [] } } },
+    { $group: { _id: { kitchenId: "$kitchenId", mealWindow: "$mealWindow" } } },
+  ]);
 
-      // Add orders to batch (up to max size)
-      const availableSlots = BATCH_CONFIG.maxBatchSize - batch.orderIds.length;
-      const ordersToAdd = group.orders.slice(0, availableSlots);
+  const delayMs = (BATCH_CONFIG.autoDispatchDelay || 0) * 60 * 1000;
+  const summary = { kitchensChecked: 0, batchesDispatched: 0, dispatched: [] };
 
-      for (const order of ordersToAdd) {
-        await batch.addOrder(order._id);
-        order.batchId = batch._id;
-        await order.save();
-        ordersProcessed++;
-      }
+  for (const { _id: group } of pending) {
+    const kitchen = await Kitchen.findById(group.kitchenId);
+    if (!kitchen) continue;
 
-      batchSummaries.push({
-        batchId: batch._id,
-        batchNumber: batch.batchNumber,
-        orderCount: batch.orderIds.length,
-        zone: group.zoneId,
-        kitchen: group.kitchenId,
-      });
+    summary.kitchensChecked++;
+
+    // FR-DLV-9: only dispatch after the meal window cutoff
+    const cutoffInfo = checkCutoffTime(group.mealWindow, kitchen);
+    if (!cutoffInfo.isPastCutoff) continue;
+
+    if (delayMs > 0 && cutoffInfo.cutoffDate) {
+      const istNow = new Date(
+        Date.now() + new Date().getTimezoneOffset() * 60 * 1000 + 5.5 * 60 * 60 * 1000
+      );
+      if (istNow - cutoffInfo.cutoffDate < delayMs) continue;
     }
 
-    return sendResponse(res, 200, true, "Auto-batching complete", {
-      batchesCreated,
-      batchesUpdated,
-      ordersProcessed,
-      batches: batchSummaries,
-    });
-  } catch (error) {
-    console.log("Auto-batch orders error:", error);
-    return sendResponse(res, 500, false, "Failed to auto-batch orders");
+    const result = await dispatchKitchenBatches(kitchen, group.mealWindow);
+    summary.batchesDispatched += result.batchesDispatched;
+    if (result.batchesDispatched > 0) {
+      summary.dispatched.push({
+        kitchenId: kitchen._id,
+        kitchenName: kitchen.name,
+        mealWindow: group.mealWindow,
+        batchesDispatched: result.batchesDispatched,
+      });
+    }
   }
+
+  return summary;
 }
 
 /**
@@ -376,61 +809,13 @@ export async function dispatchBatches(req, res) {
       );
     }
 
-    // Find batches ready for dispatch
-    // Note: We already validated that cutoff time has passed above
-    // No need to filter by windowEndTime (which is delivery end time, not cutoff)
-    const batchQuery = {
-      status: "COLLECTING",
-      mealWindow,
-      kitchenId, // Filter by kitchen
-      orderIds: { $ne: [] },
-    };
-
-
-    const batches = await DeliveryBatch.find(batchQuery);
-
-    if (batches.length === 0) {
-      return sendResponse(res, 200, true, "No batches to dispatch", {
-        batchesDispatched: 0,
-        batches: [],
-      });
-    }
-
-    const dispatchedBatches = [];
-
-    for (const batch of batches) {
-      batch.status = "READY_FOR_DISPATCH";
-      await batch.save();
-
-      dispatchedBatches.push({
-        batchId: batch._id,
-        batchNumber: batch.batchNumber,
-        status: batch.status,
-        orderCount: batch.orderIds.length,
-      });
-    }
+    const result = await dispatchKitchenBatches(kitchen, mealWindow);
 
-    // Notify all active drivers about available batches
-    if (dispatchedBatches.length > 0) {
-      const totalOrders = dispatchedBatches.reduce((sum, b) => sum + b.orderCount, 0);
-      const { title, body } = buildFromTemplate(DRIVER_TEMPLATES.BATCH_READY, {
-        orderCount: totalOrders,
-        kitchenName: kitchen.name,
-      });
-      sendToRole("DRIVER", "BATCH_READY", title, body, {
-        data: {
-          kitchenId: kitchenId.toString(),
-          mealWindow,
-          batchCount: dispatchedBatches.length.toString(),
-        },
-        entityType: "BATCH",
-      });
+    if (result.batchesDispatched === 0) {
+      return sendResponse(res, 200, true, "No batches to dispatch", result);
     }
 
-    return sendResponse(res, 200, true, "Batches dispatched", {
-      batchesDispatched: batches.length,
-      batches: dispatchedBatches,
-    });
+    return sendResponse(res, 200, true, "Batches dispatched", result);
   } catch (error) {
     console.log("Dispatch batches error:", error);
     return sendResponse(res, 500, false, "Failed to dispatch batches");
@@ -599,12 +984,18 @@ export async function acceptBatch(req, res) {
       { $set: { driverId } }
     );
 
-    // Create delivery assignments
-    await createDeliveryAssignments(batch._id, batch.orderIds, driverId);
+    // Plan the drop order from the kitchen, timed from now
+    const route = await safePlanBatchRoute(batch);
+
+    // Create delivery assignments in route order
+    await createDeliveryAssignments(batch, driverId);
 
     // Get order details (include userId for notifications)
-    const orders = await Order.find({ _id: { $in: batch.orderIds } }).select(
-      "orderNumber deliveryAddress items status userId"
+    const orders = sortByDeliverySequence(
+      await Order.find({ _id: { $in: batch.orderIds } }).select(
+        "orderNumber deliveryAddress items status userId estimatedDeliveryTime"
+      ),
+      batch.deliverySequence
     );
 
     // Get kitchen address
@@ -646,10 +1037,12 @@ export async function acceptBatch(req, res) {
       batch,
       orders,
       pickupAddress: kitchen?.address,
+      routeDistanceKm: route?.distanceKm ?? null,
       deliveries: orders.map((o, i) => ({
         order: o,
         address: o.deliveryAddress,
         sequence: i + 1,
+        estimatedArrival: o.estimatedDeliveryTime || null,
       })),
     });
   } catch (error) {
@@ -694,9 +1087,13 @@ export async function getMyBatch(req, res) {
       return {
         ...order.toObject(),
         sequenceNumber: assignment?.sequenceInBatch,
+        estimatedArrival: assignment?.estimatedDeliveryTime || order.estimatedDeliveryTime || null,
         assignmentStatus: assignment?.status,
       };
     });
+    ordersWithAssignments.sort(
+      (a, b) => (a.sequenceNumber ?? Infinity) - (b.sequenceNumber ?? Infinity)
+    );
 
     // Calculate summary
     const summary = {
@@ -720,6 +1117,30 @@ export async function getMyBatch(req, res) {
   }
 }
 
+/**
+ * Report driver GPS location (batched points)
+ * Points are applied to every order the driver is currently carrying
+ * @route POST /api/delivery/location
+ * @access Driver
+ */
+export async function updateDriverLocation(req, res) {
+  try {
+    const driverId = req.user._id;
+    const { points } = req.body;
+
+    const result = await ingestDriverLocation(driverId, points);
+
+    const message = result.assignmentsUpdated > 0
+      ? "Location updated"
+      : "No active deliveries to track";
+
+    return sendResponse(res, 200, true, message, result);
+  } catch (error) {
+    console.log("Update driver location error:", error);
+    return sendResponse(res, 500, false, "Failed to update location");
+  }
+}
+
 /**
  * Mark batch as picked up
  * @route PATCH /api/delivery/batches/:batchId/pickup
@@ -802,6 +1223,7 @@ export async function updateBatchPickup(req, res) {
           },
           entityType: "ORDER",
           entityId: order._id,
+          channels: notification.channels,
         });
       }
     }
@@ -894,7 +1316,7 @@ export async function updateDeliveryStatus(req, res) {
     if (status === "FAILED") {
       assignment.failureReason = failureReason;
       assignment.failureNotes = notes;
-      await assignment.save();
+      await recordDeliveryFailure(assignment);
     }
 
     // Update order status - map delivery assignment statuses to order statuses
@@ -932,21 +1354,13 @@ export async function updateDeliveryStatus(req, res) {
           },
           entityType: "ORDER",
           entityId: order._id,
+          channels: notification.channels,
         });
       }
     }
 
-    // Update batch counters
-    const batchProgress = await updateBatchCounters(assignment.batchId);
-
-    // Check if batch is complete
-    const completion = await checkBatchComplete(assignment.batchId);
-    if (completion.isComplete) {
-      await DeliveryBatch.findByIdAndUpdate(assignment.batchId, {
-        status: completion.status,
-        completedAt: new Date(),
-      });
-    }
+    // Update batch counters and close the batch once every order is final
+    const batchProgress = await refreshBatchProgress(assignment.batchId);
 
     return sendResponse(res, 200, true, "Delivery status updated", {
       order,
@@ -1034,21 +1448,14 @@ export async function updateDeliverySequence(req, res) {
       return sendResponse(res, 400, false, "Sequence is locked for this batch");
     }
 
-    // Update delivery sequence
-    batch.deliverySequence = sequence.map((item) => ({
-      orderId: item.orderId,
-      sequenceNumber: item.sequenceNumber,
-    }));
-    await batch.save();
-
-    // Update assignment sequence numbers
-    for (const item of sequence) {
-      await DeliveryAssignment.findOneAndUpdate(
-        { orderId: item.orderId, batchId },
-        { $set: { sequenceInBatch: item.sequenceNumber } }
-      );
+    const batchOrderIds = new Set(batch.orderIds.map((id) => id.toString()));
+    if (sequence.some((item) => !batchOrderIds.has(item.orderId.toString()))) {
+      return sendResponse(res, 400, false, "Sequence contains orders not in this batch");
     }
 
+    // Store the sequence with fresh ETAs (also updates assignments and orders)
+    await applyManualSequence(batch, sequence);
+
     return sendResponse(res, 200, true, "Delivery sequence updated", { batch });
   } catch (error) {
     console.log("Update delivery sequence error:", error);
@@ -1076,101 +1483,15 @@ export async function autoBatchMyKitchenOrders(req, res) {
       return sendResponse(res, 403, false, "Not associated with a kitchen");
     }
 
-    // Build query for unbatched ready orders for this kitchen only
-    const query = {
-      menuType: "MEAL_MENU",
-      status: { $in: ["ACCEPTED", "PREPARING", "READY"] },
-      batchId: null,
-      kitchenId: kitchenId,
-    };
+    const result = await batchUnbatchedOrders({ mealWindow, kitchenId });
 
-    if (mealWindow) query.mealWindow = mealWindow;
-
-    const orders = await Order.find(query);
-
-    if (orders.length === 0) {
-      return sendResponse(res, 200, true, "No orders to batch", {
-        batchesCreated: 0,
-        batchesUpdated: 0,
-        ordersProcessed: 0,
-        batches: [],
-      });
+    if (result.ordersProcessed === 0 && result.batches.length === 0) {
+      return sendResponse(res, 200, true, "No orders to batch", result);
     }
 
-    // Fetch kitchen to get operating hours
-    const kitchen = await Kitchen.findById(kitchenId);
-    if (!kitchen) {
-      return sendResponse(res, 404, false, "Kitchen not found");
-    }
-
-    // Group orders by zone + mealWindow
-    const groups = {};
-    for (const order of orders) {
-      const key = `${order.zoneId}_${order.mealWindow}`;
-      if (!groups[key]) {
-        groups[key] = {
-          zoneId: order.zoneId,
-          mealWindow: order.mealWindow,
-          orders: [],
-        };
-      }
-      groups[key].orders.push(order);
-    }
-
-    let batchesCreated = 0;
-    let batchesUpdated = 0;
-    let ordersProcessed = 0;
-    const batchSummaries = [];
-
-    // Process each group
-    for (const key of Object.keys(groups)) {
-      const group = groups[key];
-
-      // Get window end time using kitchen's operating hours
-      const windowEndTime = getWindowEndTime(group.mealWindow, kitchen);
-
-      // Find or create batch
-      const { batch, wasCreated } = await findOrCreateBatch(
-        kitchenId,
-        group.zoneId,
-        group.mealWindow,
-        windowEndTime
-      );
+    console.log(`> Kitchen staff auto-batched ${result.ordersProcessed} orders for kitchen ${kitchenId}`);
 
-      if (wasCreated) {
-        batchesCreated++;
-      } else {
-        batchesUpdated++;
-      }
-
-      // Add orders to batch (up to max size)
-      const availableSlots = BATCH_CONFIG.maxBatchSize - batch.orderIds.length;
-      const ordersToAdd = group.orders.slice(0, availableSlots);
-
-      for (const order of ordersToAdd) {
-        await batch.addOrder(order._id);
-        order.batchId = batch._id;
-        await order.save();
-        ordersProcessed++;
-      }
-
-      batchSummaries.push({
-        batchId: batch._id,
-        batchNumber: batch.batchNumber,
-        orderCount: batch.orderIds.length,
-        zone: group.zoneId,
-        mealWindow: group.mealWindow,
-      });
-    }
-
-    console.log(`> Kitchen staff auto-batched ${ordersProcessed} orders for kitchen ${kitchen.name}`);
-
-    return sendResponse(res, 200, true, "Auto-batching complete", {
-      batchesCreated,
-      batchesUpdated,
-      ordersProcessed,
-      batches: batchSummaries,
-    });
+    return sendResponse(res, 200, true, "Auto-batching complete", result);
   } catch (error) {
     console.log("Auto-batch my kitchen orders error:", error);
     return sendResponse(res, 500, false, "Failed to auto-batch orders");
@@ -1209,60 +1530,15 @@ export async function dispatchMyKitchenBatches(req, res) {
       );
     }
 
-    // Find batches ready for dispatch for this kitchen only
-    const batchQuery = {
-      status: "COLLECTING",
-      mealWindow,
-      kitchenId,
-      orderIds: { $ne: [] },
-    };
-
-    const batches = await DeliveryBatch.find(batchQuery);
+    const result = await dispatchKitchenBatches(kitchen, mealWindow);
 
-    if (batches.length === 0) {
-      return sendResponse(res, 200, true, "No batches to dispatch", {
-        batchesDispatched: 0,
-        batches: [],
-      });
+    if (result.batchesDispatched === 0) {
+      return sendResponse(res, 200, true, "No batches to dispatch", result);
     }
 
-    const dispatchedBatches = [];
-
-    for (const batch of batches) {
-      batch.status = "READY_FOR_DISPATCH";
-      await batch.save();
-
-      dispatchedBatches.push({
-        batchId: batch._id,
-        batchNumber: batch.batchNumber,
-        status: batch.status,
-        orderCount: batch.orderIds.length,
-      });
-    }
+    console.log(`> Kitchen staff dispatched ${result.batchesDispatched} batches for kitchen ${kitchen.name}`);
 
-    // Notify all active drivers about available batches
-    if (dispatchedBatches.length > 0) {
-      const totalOrders = dispatchedBatches.reduce((sum, b) => sum + b.orderCount, 0);
-      const { title, body } = buildFromTemplate(DRIVER_TEMPLATES.BATCH_READY, {
-        orderCount: totalOrders,
-        kitchenName: kitchen.name,
-      });
-      sendToRole("DRIVER", "BATCH_READY", title, body, {
-        data: {
-          kitchenId: kitchenId.toString(),
-          mealWindow,
-          batchCount: dispatchedBatches.length.toString(),
-        },
-        entityType: "BATCH",
-      });
-    }
-
-    console.log(`> Kitchen staff dispatched ${batches.length} batches for kitchen ${kitchen.name}`);
-
-    return sendResponse(res, 200, true, "Batches dispatched", {
-      batchesDispatched: batches.length,
-      batches: dispatchedBatches,
-    });
+    return sendResponse(res, 200, true, "Batches dispatched", result);
   } catch (error) {
     console.log("Dispatch my kitchen batches error:", error);
     return sendResponse(res, 500, false, "Failed to dispatch batches");
@@ -1346,6 +1622,397 @@ export async function getKitchenBatches(req, res) {
   }
 }
 
+/**
+ * 
+ * FAILED DELIVERIES
+ * 
+ */
+
+// Which decisions each role can make on a failed delivery
+const FAILURE_ACTIONS_BY_ROLE = {
+  DRIVER: ["RETRY", "CLOSE"],
+  KITCHEN_STAFF: ["REDELIVER", "CLOSE"],
+  ADMIN: ["RETRY", "REDELIVER", "CLOSE"],
+};
+
+// Failure statuses that still need someone to act
+const OPEN_FAILURE_STATUSES = ["PENDING", "AWAITING_RETURN", "REDELIVERY_SCHEDULED"];
+
+/**
+ * Decide what happens after a failed delivery
+ * RETRY: the driver tries again after the batch's other drops.
+ * REDELIVER: the order goes into a later batch.
+ * CLOSE: the order is returned to the kitchen or settled, per the batch policy.
+ * @route PATCH /api/delivery/orders/:orderId/failure
+ * @access Driver (assigned), Kitchen Staff, Admin
+ */
+export async function resolveFailedDelivery(req, res) {
+  try {
+    const { orderId } = req.params;
+    const { action, notes } = req.body;
+    const userId = req.user._id;
+    const role = req.user.role;
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return sendResponse(res, 404, false, "Order not found");
+    }
+
+    const assignment = await DeliveryAssignment.findOne({ orderId });
+    if (!assignment) {
+      return sendResponse(res, 404, false, "No delivery found for this order");
+    }
+
+    if (role === "DRIVER" && assignment.driverId.toString() !== userId.toString()) {
+      return sendResponse(res, 403, false, "Not assigned to this order");
+    }
+    if (role === "KITCHEN_STAFF" && order.kitchenId.toString() !== req.user.kitchenId?.toString()) {
+      return sendResponse(res, 403, false, "Order does not belong to your kitchen");
+    }
+    if (!FAILURE_ACTIONS_BY_ROLE[role]?.includes(action)) {
+      return sendResponse(res, 403, false, `You can't choose ${action} for a failed delivery`);
+    }
+
+    if (order.status !== "FAILED" || assignment.status !== "FAILED") {
+      return sendResponse(res, 400, false, "Only failed deliveries can be resolved");
+    }
+
+    const currentStatus = assignment.failureResolution?.status || "PENDING";
+    const fromStatuses = action === "REDELIVER" ? ["PENDING", "AWAITING_RETURN"] : ["PENDING"];
+    if (!fromStatuses.includes(currentStatus)) {
+      return sendResponse(res, 400, false, `Failed delivery is already ${currentStatus}`);
+    }
+
+    if (action !== "CLOSE" && assignment.attemptCount >= MAX_DELIVERY_ATTEMPTS) {
+      return sendResponse(
+        res,
+        400,
+        false,
+        `Delivery has already been attempted ${MAX_DELIVERY_ATTEMPTS} times. Close it instead`
+      );
+    }
+
+    const batch = assignment.batchId ? await DeliveryBatch.findById(assignment.batchId) : null;
+    if (action === "RETRY" && batch?.status !== "IN_PROGRESS") {
+      return sendResponse(res, 400, false, "Orders can only be retried while their batch is out for delivery");
+    }
+    if (action === "REDELIVER" && order.menuType !== "MEAL_MENU") {
+      return sendResponse(res, 400, false, "Only Meal Menu orders can be redelivered");
+    }
+
+    const decision = { decidedBy: userId, decidedByRole: role, decidedAt: new Date() };
+    let claimed;
+    let message;
+
+    if (action === "CLOSE") {
+      claimed = await closeFailedDelivery(order, assignment, decision);
+      message = claimed?.failureResolution.status === "AWAITING_RETURN"
+        ? "Order is being returned to the kitchen"
+        : "Failed delivery closed";
+    } else {
+      claimed = await claimFailure(
+        assignment,
+        fromStatuses,
+        action === "RETRY" ? "RETRYING" : "REDELIVERY_SCHEDULED",
+        decision
+      );
+    }
+
+    if (!claimed) {
+      return sendResponse(res, 409, false, "Failed delivery was just resolved by someone else");
+    }
+
+    if (action === "RETRY") {
+      // Move the stop to the end of the run
+      const lastStop = await DeliveryAssignment.findOne({ batchId: batch._id })
+        .sort({ sequenceInBatch: -1 })
+        .select("sequenceInBatch");
+      claimed.set({
+        status: "PICKED_UP",
+        sequenceInBatch: (lastStop?.sequenceInBatch || 0) + 1,
+        attemptCount: claimed.attemptCount + 1,
+        estimatedDeliveryTime: undefined,
+        failureReason: undefined,
+        failureNotes: undefined,
+      });
+      await claimed.save();
+
+      const stop = batch.deliverySequence.find((s) => s.orderId.toString() === orderId);
+      if (stop) {
+        stop.sequenceNumber = Math.max(...batch.deliverySequence.map((s) => s.sequenceNumber)) + 1;
+        stop.estimatedArrival = undefined;
+        await batch.save();
+      }
+
+      await order.updateStatus("OUT_FOR_DELIVERY", userId, notes || "Re-attempting delivery after the other drops");
+      await updateBatchCounters(batch._id);
+      message = "Delivery will be re-attempted after the other drops";
+    } else if (action === "REDELIVER") {
+      // Kitchen has the food back if it was waiting for the return
+      if (currentStatus === "AWAITING_RETURN") {
+        claimed.set({
+          returnedToKitchen: true,
+          returnedAt: new Date(),
+          "failureResolution.returnAcknowledgedBy": userId,
+          "failureResolution.returnAcknowledgedAt": new Date(),
+        });
+        await claimed.save();
+        await DeliveryBatch.updateOne(
+          { _id: claimed.batchId, "failedOrders.orderId": order._id },
+          { $set: { "failedOrders.$.returnedToKitchen": true } }
+        );
+      }
+
+      // Out of this batch; the next auto-batch run picks it up
+      if (batch) {
+        await DeliveryBatch.updateOne(
+          { _id: batch._id },
+          { $pull: { orderIds: order._id, deliverySequence: { orderId: order._id } } }
+        );
+      }
+      order.batchId = null;
+      order.driverId = null;
+      await order.updateStatus("READY", userId, notes || "Redelivery scheduled");
+
+      if (batch) {
+        await refreshBatchProgress(batch._id);
+      }
+      message = "Redelivery scheduled with the next batch";
+    }
+
+    if (action !== "CLOSE") {
+      const template = action === "RETRY"
+        ? FAILED_DELIVERY_TEMPLATES.RETRYING
+        : FAILED_DELIVERY_TEMPLATES.REDELIVERY_SCHEDULED;
+      const { title, body, channels } = buildFromTemplate(template, {
+        orderNumber: order.orderNumber,
+      });
+      sendToUser(order.userId, "ORDER_REDELIVERY", title, body, {
+        data: {
+          orderId: order._id.toString(),
+          orderNumber: order.orderNumber,
+          action,
+        },
+        entityType: "ORDER",
+        entityId: order._id,
+        channels,
+      });
+    }
+
+    safeAuditCreate({
+      action: "UPDATE",
+      entityType: "ORDER",
+      entityId: order._id,
+      userId,
+      userRole: role,
+      userName: req.user.name || role,
+      previousValue: { failureStatus: currentStatus },
+      newValue: { failureStatus: claimed.failureResolution.status },
+      reason: `Failed delivery (${assignment.failureReason || "OTHER"}): ${action}${notes ? `. ${notes}` : ""}`,
+      performedAt: new Date(),
+    });
+
+    return sendResponse(res, 200, true, message, {
+      order,
+      assignment: claimed,
+    });
+  } catch (error) {
+    console.log("Resolve failed delivery error:", error);
+    return sendResponse(res, 500, false, "Failed to resolve failed delivery");
+  }
+}
+
+/**
+ * Confirm a failed order is back at the kitchen and settle it
+ * @route PATCH /api/delivery/orders/:orderId/return
+ * @access Kitchen Staff, Admin
+ */
+export async function acknowledgeReturn(req, res) {
+  try {
+    const { orderId } = req.params;
+    const { notes } = req.body;
+    const userId = req.user._id;
+    const isAdmin = req.user.role === "ADMIN";
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return sendResponse(res, 404, false, "Order not found");
+    }
+
+    if (!isAdmin && order.kitchenId.toString() !== req.user.kitchenId?.toString()) {
+      return sendResponse(res, 403, false, "Order does not belong to your kitchen");
+    }
+
+    const assignment = await DeliveryAssignment.findOne({ orderId });
+    if (!assignment || assignment.failureResolution?.status !== "AWAITING_RETURN") {
+      return sendResponse(res, 400, false, "Order is not waiting to be returned");
+    }
+
+    const claimed = await claimFailure(assignment, ["AWAITING_RETURN"], "SETTLED", {
+      returnAcknowledgedBy: userId,
+      returnAcknowledgedAt: new Date(),
+    });
+    if (!claimed) {
+      return sendResponse(res, 409, false, "Return was just confirmed by someone else");
+    }
+
+    await DeliveryBatch.updateOne(
+      { _id: claimed.batchId, "failedOrders.orderId": order._id },
+      { $set: { "failedOrders.$.returnedToKitchen": true } }
+    );
+
+    // The order itself stays FAILED
+    await claimed.updateStatus("RETURNED");
+
+    const settlement = await settleFailedDelivery(order, claimed, userId);
+
+    safeAuditCreate({
+      action: "UPDATE",
+      entityType: "ORDER",
+      entityId: order._id,
+      userId,
+      userRole: req.user.role,
+      userName: req.user.name || req.user.role,
+      newValue: { returnedToKitchen: true, ...settlement },
+      reason: `Failed order returned to kitchen${notes ? `. ${notes}` : ""}`,
+      performedAt: new Date(),
+    });
+
+    return sendResponse(res, 200, true, "Return confirmed", {
+      order,
+      assignment: claimed,
+      settlement,
+    });
+  } catch (error) {
+    console.log("Acknowledge return error:", error);
+    return sendResponse(res, 500, false, "Failed to confirm return");
+  }
+}
+
+/**
+ * List failed deliveries that still need action
+ * @route GET /api/delivery/failed-deliveries
+ * @access Kitchen Staff, Admin
+ */
+export async function getFailedDeliveries(req, res) {
+  try {
+    const isAdmin = req.user.role === "ADMIN";
+    const { status, kitchenId, page = 1, limit = 20 } = req.validatedQuery || req.query;
+
+    const kitchenFilter = isAdmin ? kitchenId : req.user.kitchenId;
+    if (!isAdmin && !kitchenFilter) {
+      return sendResponse(res, 403, false, "Not associated with a kitchen");
+    }
+
+    const query = {
+      status: { $in: ["FAILED", "RETURNED"] },
+      "failureResolution.status": status || { $in: OPEN_FAILURE_STATUSES },
+    };
+    if (kitchenFilter) {
+      query.orderId = {
+        $in: await Order.find({
+          kitchenId: kitchenFilter,
+          status: { $in: ["FAILED", "READY"] },
+        }).distinct("_id"),
+      };
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [assignments, total] = await Promise.all([
+      DeliveryAssignment.find(query)
+        .select("-locationHistory -proofOfDelivery")
+        .populate(
+          "orderId",
+          "orderNumber userId kitchenId status menuType mealWindow deliveryAddress amountPaid voucherUsage"
+        )
+        .populate("driverId", "name phone")
+        .sort({ failedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      DeliveryAssignment.countDocuments(query),
+    ]);
+
+    return sendResponse(res, 200, true, "Failed deliveries retrieved", {
+      failedDeliveries: assignments,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.log("Get failed deliveries error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve failed deliveries");
+  }
+}
+
+/**
+ * Close failed deliveries nobody decided on within FAILURE_DECISION_MINUTES,
+ * and settle redeliveries that weren't put in a new batch within
+ * REDELIVERY_PICKUP_MINUTES
+ * Used by the scheduled failed delivery job
+ * @returns {Promise<Object>} { checked, settled, awaitingReturn, redeliveriesSettled }
+ */
+export async function closeUndecidedFailures() {
+  const cutoff = new Date(Date.now() - FAILURE_DECISION_MINUTES * 60 * 1000);
+  const redeliveryCutoff = new Date(Date.now() - REDELIVERY_PICKUP_MINUTES * 60 * 1000);
+
+  const assignments = await DeliveryAssignment.find({
+    status: "FAILED",
+    "failureResolution.status": "PENDING",
+    failedAt: { $lte: cutoff },
+  });
+  const staleRedeliveries = await DeliveryAssignment.find({
+    status: "FAILED",
+    "failureResolution.status": "REDELIVERY_SCHEDULED",
+    "failureResolution.decidedAt": { $lte: redeliveryCutoff },
+  });
+
+  const summary = {
+    checked: assignments.length + staleRedeliveries.length,
+    settled: 0,
+    awaitingReturn: 0,
+    redeliveriesSettled: 0,
+  };
+
+  for (const assignment of assignments) {
+    try {
+      const order = await Order.findById(assignment.orderId);
+      if (!order) continue;
+
+      const closed = await closeFailedDelivery(order, assignment);
+      if (closed?.failureResolution.status === "SETTLED") summary.settled++;
+      if (closed?.failureResolution.status === "AWAITING_RETURN") summary.awaitingReturn++;
+    } catch (error) {
+      console.log(`> Close failed delivery error for order ${assignment.orderId}:`, error.message);
+    }
+  }
+
+  for (const assignment of staleRedeliveries) {
+    try {
+      const order = await Order.findById(assignment.orderId);
+      // Already in a new batch; createDeliveryAssignments takes it from here
+      if (!order || order.batchId || order.status !== "READY") continue;
+
+      // The redelivery we promised never went out, so it counts against us
+      const claimed = await claimFailure(assignment, ["REDELIVERY_SCHEDULED"], "SETTLED", {
+        fault: "PLATFORM",
+      });
+      if (!claimed) continue;
+
+      await order.updateStatus("FAILED", null, "Redelivery was not dispatched");
+      await settleFailedDelivery(order, claimed);
+      summary.redeliveriesSettled++;
+    } catch (error) {
+      console.log(`> Settle stale redelivery error for order ${assignment.orderId}:`, error.message);
+    }
+  }
+
+  return summary;
+}
+
 /**
  * 
  * ADMIN - BATCH MANAGEMENT
@@ -1936,11 +2603,15 @@ export default {
   getDriverBatchHistory,
   acceptBatch,
   getMyBatch,
+  updateDriverLocation,
   updateBatchPickup,
   updateDeliveryStatus,
   completeBatch,
   updateDeliverySequence,
   getKitchenBatches,
+  resolveFailedDelivery,
+  acknowledgeReturn,
+  getFailedDeliveries,
   getAllBatches,
   getBatchById,
   reassignBatch,
@@ -2,12 +2,17 @@ import { Router } from "express";
 import deliveryController from "./delivery.controller.js";
 import { adminAuthMiddleware, adminMiddleware, roleMiddleware } from "../../middlewares/auth.middleware.js";
 import { validateBody, validateQuery, validateParams } from "../../middlewares/validate.middleware.js";
+import { rateLimit } from "../../middlewares/rateLimit.middleware.js";
 import {
   autoBatchSchema,
   dispatchBatchesSchema,
   myKitchenAutoBatchSchema,
   myKitchenDispatchSchema,
   updateDeliveryStatusSchema,
+  resolveFailedDeliverySchema,
+  acknowledgeReturnSchema,
+  queryFailedDeliveriesSchema,
+  driverLocationSchema,
   updateDeliverySequenceSchema,
   queryKitchenBatchesSchema,
   queryAllBatchesSchema,
@@ -78,6 +83,16 @@ router.get(
   deliveryController.getMyBatch
 );
 
+// Report GPS location (apps batch fixes and post every ~10s)
+router.post(
+  "/location",
+  adminAuthMiddleware,
+  roleMiddleware(["DRIVER"]),
+  rateLimit({ windowMs: 60 * 1000, max: 12, message: "Location updates are too frequent" }),
+  validateBody(driverLocationSchema),
+  deliveryController.updateDriverLocation
+);
+
 /**
  * KITCHEN STAFF ROUTES
  */
@@ -109,6 +124,15 @@ router.get(
   deliveryController.getKitchenBatches
 );
 
+// Failed deliveries waiting for a decision or a return
+router.get(
+  "/failed-deliveries",
+  adminAuthMiddleware,
+  roleMiddleware(["KITCHEN_STAFF", "ADMIN"]),
+  validateQuery(queryFailedDeliveriesSchema),
+  deliveryController.getFailedDeliveries
+);
+
 /**
  * ADMIN ROUTES
  */
@@ -245,4 +269,24 @@ router.patch(
   deliveryController.updateDeliveryStatus
 );
 
+// Retry, redeliver or close a failed delivery (Driver, Kitchen Staff or Admin)
+router.patch(
+  "/orders/:orderId/failure",
+  adminAuthMiddleware,
+  roleMiddleware(["DRIVER", "KITCHEN_STAFF", "ADMIN"]),
+  validateParams(orderIdParamSchema),
+  validateBody(resolveFailedDeliverySchema),
+  deliveryController.resolveFailedDelivery
+);
+
+// Confirm a failed order is back at the kitchen (Kitchen Staff or Admin)
+router.patch(
+  "/orders/:orderId/return",
+  adminAuthMiddleware,
+  roleMiddleware(["KITCHEN_STAFF", "ADMIN"]),
+  validateParams(orderIdParamSchema),
+  validateBody(acknowledgeReturnSchema),
+  deliveryController.acknowledgeReturn
+);
+
 export default router;
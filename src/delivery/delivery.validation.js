@@ -1,4 +1,5 @@
 import Joi from "joi";
+import { MAX_POINTS_PER_BATCH } from "../../services/tracking.service.js";
 
 /**
  * Delivery Validation Schemas
@@ -34,6 +35,14 @@ const FAILURE_REASONS = [
   "OTHER",
 ];
 const FAILED_ORDER_POLICIES = ["NO_RETURN", "RETURN_TO_KITCHEN"];
+const FAILURE_ACTIONS = ["RETRY", "REDELIVER", "CLOSE"];
+const FAILURE_RESOLUTION_STATUSES = [
+  "PENDING",
+  "RETRYING",
+  "REDELIVERY_SCHEDULED",
+  "AWAITING_RETURN",
+  "SETTLED",
+];
 
 /**
  * Auto-batch orders
@@ -134,6 +143,61 @@ export const updateDeliveryStatusSchema = Joi.object({
   }),
 });
 
+/**
+ * Resolve a failed delivery
+ */
+export const resolveFailedDeliverySchema = Joi.object({
+  action: Joi.string()
+    .valid(...FAILURE_ACTIONS)
+    .required()
+    .messages({
+      "any.required": "Action is required",
+      "any.only": `Action must be one of: ${FAILURE_ACTIONS.join(", ")}`,
+    }),
+  notes: Joi.string().max(200).trim().allow("", null),
+});
+
+/**
+ * Acknowledge a returned order (kitchen)
+ */
+export const acknowledgeReturnSchema = Joi.object({
+  notes: Joi.string().max(200).trim().allow("", null),
+});
+
+/**
+ * Query failed deliveries
+ */
+export const queryFailedDeliveriesSchema = Joi.object({
+  status: Joi.string().valid(...FAILURE_RESOLUTION_STATUSES),
+  kitchenId: Joi.string().hex().length(24),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+/**
+ * Driver GPS location batch
+ */
+export const driverLocationSchema = Joi.object({
+  points: Joi.array()
+    .items(
+      Joi.object({
+        latitude: Joi.number().min(-90).max(90).required(),
+        longitude: Joi.number().min(-180).max(180).required(),
+        timestamp: Joi.date().required(),
+        accuracy: Joi.number().min(0),
+        speed: Joi.number().min(0),
+        heading: Joi.number().min(0).max(360),
+      })
+    )
+    .min(1)
+    .max(MAX_POINTS_PER_BATCH)
+    .required()
+    .messages({
+      "array.min": "At least one location point is required",
+      "array.max": `At most ${MAX_POINTS_PER_BATCH} location points per request`,
+    }),
+});
+
 /**
  * Complete batch
  */
@@ -233,6 +297,10 @@ export default {
   acceptBatchSchema,
   updateBatchPickupSchema,
   updateDeliveryStatusSchema,
+  resolveFailedDeliverySchema,
+  acknowledgeReturnSchema,
+  queryFailedDeliveriesSchema,
+  driverLocationSchema,
   completeBatchSchema,
   updateDeliverySequenceSchema,
   queryKitchenBatchesSchema,
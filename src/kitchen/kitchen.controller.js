@@ -7,6 +7,7 @@ import MenuItem from "../../schema/menuItem.schema.js";
 import DeliveryBatch from "../../schema/deliveryBatch.schema.js";
 import { sendResponse } from "../../utils/response.utils.js";
 import { safeAuditLog } from "../../utils/audit.utils.js";
+import { getKitchenCapacityStatus } from "../../services/kitchen-capacity.service.js";
 
 /**
  * Kitchen Controller
@@ -85,6 +86,9 @@ export const createKitchen = async (req, res) => {
       contactEmail,
       ownerName,
       ownerPhone,
+      legalName,
+      gstin,
+      settlementTerms,
     } = req.body;
 
     // Validate all zones exist
@@ -145,6 +149,9 @@ export const createKitchen = async (req, res) => {
       contactEmail,
       ownerName,
       ownerPhone,
+      legalName,
+      gstin: gstin || undefined,
+      settlementTerms,
       status,
       createdBy: req.user._id,
     });
@@ -312,6 +319,9 @@ export const updateKitchen = async (req, res) => {
       "contactEmail",
       "ownerName",
       "ownerPhone",
+      "legalName",
+      "gstin",
+      "settlementTerms",
       "logo",
       "coverImage",
     ];
@@ -1155,6 +1165,8 @@ export const getKitchenDashboard = async (req, res) => {
 
     const menuTotals = menuStats[0]?.totals?.[0] || { total: 0, active: 0 };
 
+    const capacity = await getKitchenCapacityStatus(kitchen);
+
     return sendResponse(res, 200, "Kitchen dashboard data retrieved", {
       kitchen: {
         _id: kitchen._id,
@@ -1196,6 +1208,7 @@ export const getKitchenDashboard = async (req, res) => {
         activeMenuItems: menuTotals.active,
         unavailableItems: menuTotals.total - menuTotals.active,
       },
+      capacity,
       recentActivity: recentOrders,
     });
   } catch (error) {
@@ -1392,6 +1405,96 @@ export const getKitchenAnalytics = async (req, res) => {
   }
 };
 
+/**
+ * Get live order capacity for a kitchen
+ * @route GET /api/kitchens/capacity
+ * @access Kitchen Staff + Admin
+ */
+export const getKitchenCapacity = async (req, res) => {
+  try {
+    const kitchenId =
+      req.user.role === "KITCHEN_STAFF"
+        ? req.user.kitchenId?.toString()
+        : req.query.kitchenId;
+
+    if (!kitchenId) {
+      return sendResponse(res, 400, "Kitchen ID is required");
+    }
+
+    const kitchen = await Kitchen.findById(kitchenId).select("name capacity");
+    if (!kitchen) {
+      return sendResponse(res, 404, "Kitchen not found");
+    }
+
+    const capacity = await getKitchenCapacityStatus(kitchen);
+
+    return sendResponse(res, 200, "Kitchen capacity", {
+      kitchenId: kitchen._id,
+      settings: kitchen.capacity,
+      capacity,
+    });
+  } catch (error) {
+    console.log("> Get kitchen capacity error:", error);
+    return sendResponse(res, 500, "Failed to retrieve capacity");
+  }
+};
+
+/**
+ * Update a kitchen's order capacity
+ * @route PUT /api/kitchens/capacity
+ * @access Kitchen Staff + Admin
+ */
+export const updateKitchenCapacity = async (req, res) => {
+  try {
+    const { kitchenId: bodyKitchenId, ...settings } = req.body;
+    const kitchenId =
+      req.user.role === "KITCHEN_STAFF"
+        ? req.user.kitchenId?.toString()
+        : bodyKitchenId;
+
+    if (!kitchenId) {
+      return sendResponse(res, 400, "Kitchen ID is required");
+    }
+
+    const kitchen = await Kitchen.findById(kitchenId);
+    if (!kitchen) {
+      return sendResponse(res, 404, "Kitchen not found");
+    }
+
+    const previousValue = kitchen.capacity.toObject();
+
+    for (const field of ["lunchMaxMeals", "dinnerMaxMeals", "onDemandMaxPer15Min", "reserveForAutoOrders"]) {
+      if (settings[field] !== undefined) {
+        kitchen.capacity[field] = settings[field];
+      }
+    }
+
+    await kitchen.save();
+
+    safeAuditLog(req, {
+      action: "UPDATE",
+      entityType: "KITCHEN",
+      entityId: kitchen._id,
+      previousValue,
+      newValue: kitchen.capacity.toObject(),
+      description: `Kitchen capacity updated: ${kitchen.name}`,
+    });
+
+    console.log(`> Kitchen capacity updated: ${kitchen.name}`);
+
+    const capacity = await getKitchenCapacityStatus(kitchen);
+
+    return sendResponse(res, 200, "Kitchen capacity updated", {
+      kitchenId: kitchen._id,
+      settings: kitchen.capacity,
+      capacity,
+    });
+  } catch (error) {
+    console.log("> Update kitchen capacity error:", error);
+    return sendResponse(res, 500, "Failed to update capacity");
+  }
+};
+
 export default {
   createKitchen,
   getKitchens,
@@ -1412,4 +1515,6 @@ export default {
   updateMyKitchenDetails,
   getKitchenDashboard,
   getKitchenAnalytics,
+  getKitchenCapacity,
+  updateKitchenCapacity,
 };
@@ -1,5 +1,6 @@
 import { Router } from "express";
 import kitchenController from "./kitchen.controller.js";
+import settlementController from "../settlement/settlement.controller.js";
 import { adminAuthMiddleware, adminMiddleware, roleMiddleware, kitchenAccessMiddleware } from "../../middlewares/auth.middleware.js";
 import { validateBody, validateQuery, validateParams } from "../../middlewares/validate.middleware.js";
 import {
@@ -9,7 +10,9 @@ import {
   assignZonesSchema,
   toggleOrderingSchema,
   queryKitchensSchema,
+  updateCapacitySchema,
 } from "./kitchen.validation.js";
+import { queryMySettlementsSchema } from "../settlement/settlement.validation.js";
 import Joi from "joi";
 
 const router = Router();
@@ -95,6 +98,24 @@ router.patch(
   kitchenController.toggleOrderAcceptance
 );
 
+// Get my kitchen's payout statements
+router.get(
+  "/my-kitchen/settlements",
+  adminAuthMiddleware,
+  roleMiddleware(["KITCHEN_STAFF", "ADMIN"]),
+  validateQuery(queryMySettlementsSchema),
+  settlementController.getMyKitchenSettlements
+);
+
+// Get one payout statement with order breakdown
+router.get(
+  "/my-kitchen/settlements/:id",
+  adminAuthMiddleware,
+  roleMiddleware(["KITCHEN_STAFF", "ADMIN"]),
+  validateParams(idParamSchema),
+  settlementController.getMyKitchenSettlementById
+);
+
 /**
  * PUBLIC KITCHEN DETAILS
  */
@@ -149,6 +170,24 @@ router.get(
   kitchenController.getKitchenAnalytics
 );
 
+// Get live order capacity
+router.get(
+  "/capacity",
+  adminAuthMiddleware,
+  roleMiddleware(["KITCHEN_STAFF", "ADMIN"]),
+  validateQuery(Joi.object({ kitchenId: Joi.string().hex().length(24) })),
+  kitchenController.getKitchenCapacity
+);
+
+// Update order capacity limits
+router.put(
+  "/capacity",
+  adminAuthMiddleware,
+  roleMiddleware(["KITCHEN_STAFF", "ADMIN"]),
+  validateBody(updateCapacitySchema),
+  kitchenController.updateKitchenCapacity
+);
+
 // Get kitchen by ID
 router.get(
   "/:id",
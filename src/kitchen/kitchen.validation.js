@@ -1,5 +1,6 @@
 import Joi from "joi";
 import { commonSchemas } from "../../middlewares/validate.middleware.js";
+import { GSTIN_PATTERN } from "../../utils/gst.utils.js";
 
 /**
  * Kitchen Validation Schemas
@@ -34,6 +35,19 @@ const addressSchema = Joi.object({
   }),
 });
 
+const gstinSchema = Joi.string()
+  .uppercase()
+  .pattern(GSTIN_PATTERN)
+  .allow("", null)
+  .messages({
+    "string.pattern.base": "Invalid GSTIN format",
+  });
+
+const settlementTermsSchema = Joi.object({
+  commissionRate: Joi.number().min(0).max(1).allow(null),
+  voucherMealRate: Joi.number().min(0).allow(null),
+});
+
 /**
  * Create kitchen
  */
@@ -57,6 +71,9 @@ export const createKitchenSchema = Joi.object({
   contactEmail: Joi.string().email().allow("", null),
   ownerName: Joi.string().max(100).trim().allow("", null),
   ownerPhone: Joi.string().pattern(/^\+?[0-9]{10,15}$/).allow("", null),
+  legalName: Joi.string().max(150).trim().allow("", null),
+  gstin: gstinSchema,
+  settlementTerms: settlementTermsSchema,
 });
 
 /**
@@ -88,6 +105,9 @@ export const updateKitchenSchema = Joi.object({
   contactEmail: Joi.string().email().allow("", null),
   ownerName: Joi.string().max(100).trim().allow("", null),
   ownerPhone: Joi.string().pattern(/^\+?[0-9]{10,15}$/).allow("", null),
+  legalName: Joi.string().max(150).trim().allow("", null),
+  gstin: gstinSchema,
+  settlementTerms: settlementTermsSchema,
 });
 
 /**
@@ -146,6 +166,19 @@ export const queryKitchensSchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(50),
 });
 
+/**
+ * Update kitchen capacity (null = unlimited)
+ */
+export const updateCapacitySchema = Joi.object({
+  kitchenId: Joi.string().hex().length(24), // Required for admin
+  lunchMaxMeals: Joi.number().integer().min(0).max(10000).allow(null),
+  dinnerMaxMeals: Joi.number().integer().min(0).max(10000).allow(null),
+  onDemandMaxPer15Min: Joi.number().integer().min(0).max(1000).allow(null),
+  reserveForAutoOrders: Joi.boolean(),
+})
+  .or("lunchMaxMeals", "dinnerMaxMeals", "onDemandMaxPer15Min", "reserveForAutoOrders")
+  .messages({ "object.missing": "At least one capacity setting is required" });
+
 export default {
   createKitchenSchema,
   updateKitchenSchema,
@@ -153,4 +186,5 @@ export default {
   assignZonesSchema,
   toggleOrderingSchema,
   queryKitchensSchema,
+  updateCapacitySchema,
 };
@@ -2,12 +2,18 @@ import mongoose from "mongoose";
 import MenuItem from "../../schema/menuItem.schema.js";
 import Addon from "../../schema/addon.schema.js";
 import Kitchen from "../../schema/kitchen.schema.js";
-import Subscription from "../../schema/subscription.schema.js";
 import { sendResponse } from "../../utils/response.utils.js";
 import { safeAuditLog } from "../../utils/audit.utils.js";
 import { sendToUserIds } from "../../services/notification.service.js";
 import { MENU_TEMPLATES, buildFromTemplate } from "../../services/notification-templates.service.js";
 import { checkCutoffTime } from "../../services/config.service.js";
+import {
+  resolveMealMenuItem,
+  getMenuCalendar,
+  setMenuSchedule,
+  clearMenuSchedule,
+  getKitchenSubscriberIds,
+} from "../../services/menu-calendar.service.js";
 
 /**
  * Menu Controller
@@ -21,24 +27,13 @@ import { checkCutoffTime } from "../../services/config.service.js";
  */
 async function notifySubscribersAboutMenuUpdate(kitchenId) {
   try {
-    const now = new Date();
-
-    // Find active subscriptions with vouchers remaining for this kitchen
     // Customers who have defaultKitchenId set to this kitchen
-    const subscriptions = await Subscription.find({
-      status: "ACTIVE",
-      voucherExpiryDate: { $gt: now },
-      defaultKitchenId: kitchenId,
-      $expr: { $lt: ["$vouchersUsed", "$totalVouchersIssued"] },
-    }).select("userId");
+    const userIds = await getKitchenSubscriberIds(kitchenId);
 
-    if (subscriptions.length === 0) {
+    if (userIds.length === 0) {
       return;
     }
 
-    // Get unique user IDs
-    const userIds = [...new Set(subscriptions.map((s) => s.userId.toString()))];
-
     // Get kitchen name
     const kitchen = await Kitchen.findById(kitchenId).select("name");
     const kitchenName = kitchen?.name || "Kitchen";
@@ -87,7 +82,8 @@ const validateAddonIds = async (addonIds, kitchenId) => {
 };
 
 /**
- * Helper: Check if meal window already has an item
+ * Helper: Check if meal window already has a default item
+ * Scheduled-only items (menu calendar rotation) don't count.
  * @param {ObjectId} kitchenId - Kitchen ID
  * @param {String} mealWindow - LUNCH or DINNER
  * @param {ObjectId} excludeItemId - Item ID to exclude from check
@@ -102,6 +98,7 @@ const checkMealWindowAvailability = async (
     kitchenId,
     menuType: "MEAL_MENU",
     mealWindow,
+    scheduledOnly: { $ne: true },
     status: "ACTIVE",
   };
 
@@ -131,6 +128,7 @@ export const createMenuItem = async (req, res) => {
       category,
       menuType,
       mealWindow,
+      scheduledOnly,
       price,
       discountedPrice,
       portionSize,
@@ -142,6 +140,7 @@ export const createMenuItem = async (req, res) => {
       thumbnailImage,
       addonIds,
       includes,
+      variants,
       isAvailable,
       displayOrder,
       isFeatured,
@@ -171,8 +170,8 @@ export const createMenuItem = async (req, res) => {
       return sendResponse(res, 400, "Kitchen is not active");
     }
 
-    // For MEAL_MENU, check if meal window already has an item
-    if (menuType === "MEAL_MENU") {
+    // For MEAL_MENU, check if meal window already has a default item
+    if (menuType === "MEAL_MENU" && !scheduledOnly) {
       const { hasItem, item: existingItem } = await checkMealWindowAvailability(
         kitchenId,
         mealWindow
@@ -205,6 +204,7 @@ export const createMenuItem = async (req, res) => {
       category: category || "MAIN_COURSE",
       menuType,
       mealWindow: menuType === "MEAL_MENU" ? mealWindow : undefined,
+      scheduledOnly: menuType === "MEAL_MENU" ? Boolean(scheduledOnly) : false,
       price,
       discountedPrice,
       portionSize,
@@ -216,6 +216,7 @@ export const createMenuItem = async (req, res) => {
       thumbnailImage,
       addonIds: addonIds || [],
       includes: includes || [],
+      variants: menuType === "MEAL_MENU" ? variants || [] : [],
       isAvailable: isAvailable !== undefined ? isAvailable : true,
       displayOrder,
       isFeatured: isFeatured || false,
@@ -408,6 +409,11 @@ export const updateMenuItem = async (req, res) => {
       }
     }
 
+    // Variants are offered on meal menu items only
+    if (updates.variants && menuItem.menuType !== "MEAL_MENU") {
+      return sendResponse(res, 400, "Variants are only supported for MEAL_MENU items");
+    }
+
     // Update allowed fields
     const allowedFields = [
       "name",
@@ -423,6 +429,7 @@ export const updateMenuItem = async (req, res) => {
       "thumbnailImage",
       "addonIds",
       "includes",
+      "variants",
       "displayOrder",
       "isFeatured",
     ];
@@ -687,17 +694,25 @@ export const getKitchenMenu = async (req, res) => {
     const onDemandMenu = [];
 
     for (const item of menuItems) {
+      // Meal menu items are resolved for today below
+      if (item.menuType === "MEAL_MENU") continue;
+
       const itemObj = item.toObject();
       itemObj.addons = item.addonIds;
+      onDemandMenu.push(itemObj);
+    }
 
-      if (item.menuType === "MEAL_MENU") {
-        if (item.mealWindow === "LUNCH") {
-          mealMenu.lunch = itemObj;
-        } else if (item.mealWindow === "DINNER") {
-          mealMenu.dinner = itemObj;
+    // Today's meal menu: the menu calendar's item, or the default
+    if (!menuType || menuType === "MEAL_MENU") {
+      for (const mealWindow of ["LUNCH", "DINNER"]) {
+        const { menuItem } = await resolveMealMenuItem(kitchenId, mealWindow, new Date(), {
+          populate: { path: "addonIds", select: "name price isAvailable" },
+        });
+        if (menuItem?.isAvailable) {
+          const itemObj = menuItem.toObject();
+          itemObj.addons = menuItem.addonIds;
+          mealMenu[mealWindow.toLowerCase()] = itemObj;
         }
-      } else {
-        onDemandMenu.push(itemObj);
       }
     }
 
@@ -731,12 +746,13 @@ export const getMealMenuForWindow = async (req, res) => {
     // Fetch kitchen with operating hours for cutoff time calculation
     const kitchen = await Kitchen.findById(kitchenId).select("operatingHours");
 
-    const menuItem = await MenuItem.findOne({
+    // Today's item from the menu calendar, or the default
+    const { menuItem, source } = await resolveMealMenuItem(
       kitchenId,
-      menuType: "MEAL_MENU",
-      mealWindow: mealWindow.toUpperCase(),
-      status: "ACTIVE",
-    }).populate("addonIds", "name price isAvailable");
+      mealWindow.toUpperCase(),
+      new Date(),
+      { populate: { path: "addonIds", select: "name price isAvailable" } }
+    );
 
     // Get cutoff info using kitchen's operating hours
     const { isPastCutoff, cutoffTime } = checkCutoffTime(
@@ -756,6 +772,7 @@ export const getMealMenuForWindow = async (req, res) => {
 
     return sendResponse(res, 200, "Meal menu item", {
       item: menuItem,
+      source,
       isAvailable: menuItem.isAvailable && !isPastCutoff,
       canUseVoucher: !isPastCutoff,
       cutoffTime,
@@ -769,7 +786,8 @@ export const getMealMenuForWindow = async (req, res) => {
 
 /**
  * Get kitchen's menu statistics
- * @route GET /api/menu/my-kitchen/stats
+ *
+ * GET /api/menu/my-kitchen/stats
  * @access Kitchen Staff + Admin
  */
 export const getMyKitchenMenuStats = async (req, res) => {
@@ -844,7 +862,7 @@ export const getMyKitchenMenuStats = async (req, res) => {
           ],
           mealMenu: [
             {
-              $match: { menuType: "MEAL_MENU" },
+              $match: { menuType: "MEAL_MENU", scheduledOnly: { $ne: true } },
             },
             {
               $group: {
@@ -950,25 +968,15 @@ export const sendMenuAnnouncement = async (req, res) => {
       return sendResponse(res, 404, false, "Kitchen not found");
     }
 
-    const now = new Date();
+    // Find active subscribers with vouchers remaining for this kitchen
+    const userIds = await getKitchenSubscriberIds(kitchenId);
 
-    // Find active subscriptions with vouchers remaining for this kitchen
-    const subscriptions = await Subscription.find({
-      status: "ACTIVE",
-      voucherExpiryDate: { $gt: now },
-      defaultKitchenId: kitchenId,
-      $expr: { $lt: ["$vouchersUsed", "$totalVouchersIssued"] },
-    }).select("userId");
-
-    if (subscriptions.length === 0) {
+    if (userIds.length === 0) {
       return sendResponse(res, 200, true, "No active subscribers to notify", {
         subscribersNotified: 0,
       });
     }
 
-    // Get unique user IDs
-    const userIds = [...new Set(subscriptions.map((s) => s.userId.toString()))];
-
     // Build notification using custom announcement template
     const { title: notifTitle, body: notifBody } = buildFromTemplate(
       MENU_TEMPLATES.CUSTOM_ANNOUNCEMENT,
@@ -998,6 +1006,160 @@ export const sendMenuAnnouncement = async (req, res) => {
   }
 };
 
+/**
+ * Helper: Get the kitchen a staff member or admin is managing
+ * @param {Object} req - Request (kitchen staff use their own kitchen)
+ * @param {string} requestedKitchenId - Kitchen ID sent by an admin
+ * @returns {Object} { kitchenId } or { error, status }
+ */
+const getManagedKitchenId = (req, requestedKitchenId) => {
+  if (req.user.role === "KITCHEN_STAFF") {
+    if (!req.user.kitchenId) {
+      return { status: 400, error: "No kitchen assigned to your account" };
+    }
+    return { kitchenId: req.user.kitchenId };
+  }
+
+  if (!requestedKitchenId) {
+    return { status: 400, error: "Kitchen ID is required" };
+  }
+  return { kitchenId: requestedKitchenId };
+};
+
+/**
+ * Get a kitchen's upcoming meal menu (Customer view)
+ *
+ * GET /api/menu/kitchen/:kitchenId/calendar
+ * @access Public
+ */
+export const getKitchenMenuCalendar = async (req, res) => {
+  try {
+    const { kitchenId } = req.params;
+    const { from, days } = req.validatedQuery || req.query;
+
+    const kitchen = await Kitchen.findById(kitchenId).select("_id name status");
+    if (!kitchen || kitchen.status !== "ACTIVE") {
+      return sendResponse(res, 404, false, "Kitchen not available");
+    }
+
+    const calendar = await getMenuCalendar(kitchenId, { from, days });
+
+    return sendResponse(res, 200, true, "Menu calendar", {
+      kitchenId,
+      calendar,
+    });
+  } catch (error) {
+    console.log("> Get kitchen menu calendar error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve menu calendar");
+  }
+};
+
+/**
+ * Get the kitchen's menu calendar for planning
+ * Includes items currently marked unavailable.
+ *
+ * GET /api/menu/my-kitchen/calendar
+ * @access Kitchen Staff, Admin
+ */
+export const getMyKitchenMenuCalendar = async (req, res) => {
+  try {
+    const { kitchenId: queryKitchenId, from, days } = req.validatedQuery || req.query;
+
+    const { kitchenId, error, status } = getManagedKitchenId(req, queryKitchenId);
+    if (error) {
+      return sendResponse(res, status, false, error);
+    }
+
+    const calendar = await getMenuCalendar(kitchenId, { from, days, includeUnavailable: true });
+
+    return sendResponse(res, 200, true, "Menu calendar", {
+      kitchenId,
+      calendar,
+    });
+  } catch (error) {
+    console.log("> Get my kitchen menu calendar error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve menu calendar");
+  }
+};
+
+/**
+ * Schedule meal menu items on the calendar
+ * Each entry replaces what was scheduled for that date and meal window.
+ *
+ * PUT /api/menu/my-kitchen/calendar
+ * @access Kitchen Staff, Admin
+ */
+export const updateMyKitchenMenuCalendar = async (req, res) => {
+  try {
+    const { kitchenId: bodyKitchenId, entries } = req.body;
+
+    const { kitchenId, error, status } = getManagedKitchenId(req, bodyKitchenId);
+    if (error) {
+      return sendResponse(res, status, false, error);
+    }
+
+    const result = await setMenuSchedule(kitchenId, entries, req.user._id);
+    if (!result.success) {
+      return sendResponse(res, 400, false, result.error);
+    }
+
+    safeAuditLog(req, {
+      action: "UPDATE",
+      entityType: "MENU_ITEM",
+      entityId: kitchenId,
+      newValue: { entries },
+      description: `Menu calendar updated: ${entries.length} entries, ${result.changed} changed`,
+    });
+
+    return sendResponse(res, 200, true, "Menu calendar updated", {
+      entries: result.entries,
+      changed: result.changed,
+    });
+  } catch (error) {
+    console.log("> Update menu calendar error:", error);
+    return sendResponse(res, 500, false, "Failed to update menu calendar");
+  }
+};
+
+/**
+ * Remove a calendar entry; the date goes back to the default item
+ *
+ * DELETE /api/menu/my-kitchen/calendar/:date/:mealWindow
+ * @access Kitchen Staff, Admin
+ */
+export const removeMyKitchenMenuCalendarEntry = async (req, res) => {
+  try {
+    const { date, mealWindow } = req.params;
+    const { kitchenId: queryKitchenId } = req.validatedQuery || req.query;
+
+    const { kitchenId, error, status } = getManagedKitchenId(req, queryKitchenId);
+    if (error) {
+      return sendResponse(res, status, false, error);
+    }
+
+    const result = await clearMenuSchedule(kitchenId, date, mealWindow);
+    if (!result.success) {
+      return sendResponse(res, 400, false, result.error);
+    }
+
+    safeAuditLog(req, {
+      action: "DELETE",
+      entityType: "MENU_ITEM",
+      entityId: result.removed.menuItemId,
+      previousValue: { date, mealWindow, menuItemId: result.removed.menuItemId },
+      description: `Menu calendar entry removed for ${mealWindow} on ${date}`,
+    });
+
+    return sendResponse(res, 200, true, "Menu calendar entry removed", {
+      date,
+      mealWindow,
+    });
+  } catch (error) {
+    console.log("> Remove menu calendar entry error:", error);
+    return sendResponse(res, 500, false, "Failed to remove menu calendar entry");
+  }
+};
+
 export default {
   createMenuItem,
   getMenuItems,
@@ -1012,4 +1174,8 @@ export default {
   getMealMenuForWindow,
   getMyKitchenMenuStats,
   sendMenuAnnouncement,
+  getKitchenMenuCalendar,
+  getMyKitchenMenuCalendar,
+  updateMyKitchenMenuCalendar,
+  removeMyKitchenMenuCalendarEntry,
 };
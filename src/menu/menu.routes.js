@@ -9,6 +9,9 @@ import {
   updateAddonsSchema,
   disableMenuItemSchema,
   queryMenuItemsSchema,
+  menuCalendarQuerySchema,
+  updateMenuCalendarSchema,
+  menuCalendarEntryParamsSchema,
 } from "./menu.validation.js";
 import Joi from "joi";
 
@@ -52,6 +55,14 @@ router.get(
   menuController.getMealMenuForWindow
 );
 
+// Get upcoming meal menu from the menu calendar
+router.get(
+  "/kitchen/:kitchenId/calendar",
+  validateParams(kitchenIdParamSchema),
+  validateQuery(menuCalendarQuerySchema),
+  menuController.getKitchenMenuCalendar
+);
+
 /**
  * AUTHENTICATED ROUTES (Kitchen Staff / Admin)
  */
@@ -171,4 +182,31 @@ router.post(
   menuController.sendMenuAnnouncement
 );
 
+// Get kitchen's menu calendar
+router.get(
+  "/my-kitchen/calendar",
+  adminAuthMiddleware,
+  roleMiddleware(["KITCHEN_STAFF", "ADMIN"]),
+  validateQuery(menuCalendarQuerySchema),
+  menuController.getMyKitchenMenuCalendar
+);
+
+// Schedule meal menu items on the calendar
+router.put(
+  "/my-kitchen/calendar",
+  adminAuthMiddleware,
+  roleMiddleware(["KITCHEN_STAFF", "ADMIN"]),
+  validateBody(updateMenuCalendarSchema),
+  menuController.updateMyKitchenMenuCalendar
+);
+
+// Remove a calendar entry (falls back to the default item)
+router.delete(
+  "/my-kitchen/calendar/:date/:mealWindow",
+  adminAuthMiddleware,
+  roleMiddleware(["KITCHEN_STAFF", "ADMIN"]),
+  validateParams(menuCalendarEntryParamsSchema),
+  menuController.removeMyKitchenMenuCalendarEntry
+);
+
 export default router;
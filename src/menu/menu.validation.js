@@ -10,6 +10,18 @@ const DIETARY_TYPES = ["VEG", "NON_VEG", "VEGAN", "EGGETARIAN"];
 const SPICE_LEVELS = ["MILD", "MEDIUM", "SPICY", "EXTRA_SPICY"];
 const CATEGORIES = ["MAIN_COURSE"];
 
+const VARIANTS = Joi.array()
+  .items(
+    Joi.object({
+      name: Joi.string().min(2).max(50).trim().required(),
+      description: Joi.string().max(200).trim().allow("", null),
+      isAvailable: Joi.boolean().default(true),
+    })
+  )
+  .max(10)
+  .unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase())
+  .messages({ "array.unique": "Variant names must be unique" });
+
 /**
  * Create menu item
  */
@@ -57,9 +69,15 @@ export const createMenuItemSchema = Joi.object({
   thumbnailImage: Joi.string().uri().allow("", null),
   addonIds: Joi.array().items(Joi.string().hex().length(24)),
   includes: Joi.array().items(Joi.string().max(100).trim()).max(10),
+  variants: VARIANTS.when("menuType", {
+    is: "MEAL_MENU",
+    otherwise: Joi.forbidden(),
+  }),
   isAvailable: Joi.boolean().default(true),
   displayOrder: Joi.number().integer().min(0),
   isFeatured: Joi.boolean().default(false),
+  // Served only on dates the menu calendar schedules it
+  scheduledOnly: Joi.boolean().default(false),
 });
 
 /**
@@ -83,6 +101,7 @@ export const updateMenuItemSchema = Joi.object({
   thumbnailImage: Joi.string().uri().allow("", null),
   addonIds: Joi.array().items(Joi.string().hex().length(24)),
   includes: Joi.array().items(Joi.string().max(100).trim()).max(10),
+  variants: VARIANTS,
   displayOrder: Joi.number().integer().min(0),
   isFeatured: Joi.boolean(),
 });
@@ -134,6 +153,64 @@ export const queryMenuItemsSchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(50),
 });
 
+const SERVICE_DATE = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .custom((value, helpers) => {
+    const date = new Date(`${value}T00:00:00.000Z`);
+    if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+      return helpers.error("any.invalid");
+    }
+    return value;
+  })
+  .messages({
+    "string.pattern.base": "Date must be in YYYY-MM-DD format",
+    "any.invalid": "Invalid date",
+  });
+
+/**
+ * Menu calendar range
+ */
+export const menuCalendarQuerySchema = Joi.object({
+  kitchenId: Joi.string().hex().length(24), // Required for admin
+  from: SERVICE_DATE,
+  days: Joi.number().integer().min(1).max(28).default(7),
+});
+
+/**
+ * Schedule menu calendar entries
+ */
+export const updateMenuCalendarSchema = Joi.object({
+  kitchenId: Joi.string().hex().length(24), // Required for admin
+  entries: Joi.array()
+    .items(
+      Joi.object({
+        date: SERVICE_DATE.required(),
+        mealWindow: Joi.string()
+          .valid(...MEAL_WINDOWS)
+          .required(),
+        menuItemId: Joi.string().hex().length(24).required(),
+        note: Joi.string().max(200).trim().allow("", null),
+      })
+    )
+    .min(1)
+    .max(62)
+    .unique((a, b) => a.date === b.date && a.mealWindow === b.mealWindow)
+    .required()
+    .messages({
+      "array.unique": "Each date and meal window can only be scheduled once",
+    }),
+});
+
+/**
+ * Menu calendar entry params
+ */
+export const menuCalendarEntryParamsSchema = Joi.object({
+  date: SERVICE_DATE.required(),
+  mealWindow: Joi.string()
+    .valid(...MEAL_WINDOWS)
+    .required(),
+});
+
 export default {
   createMenuItemSchema,
   updateMenuItemSchema,
@@ -141,4 +218,7 @@ export default {
   updateAddonsSchema,
   disableMenuItemSchema,
   queryMenuItemsSchema,
+  menuCalendarQuerySchema,
+  updateMenuCalendarSchema,
+  menuCalendarEntryParamsSchema,
 };
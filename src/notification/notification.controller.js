@@ -1,5 +1,10 @@
 import Notification from "../../schema/notification.schema.js";
+import User from "../../schema/user.schema.js";
 import { sendResponse } from "../../utils/response.utils.js";
+import { resolvePreferences, getUserTimezone } from "../../services/notification-preferences.service.js";
+
+// Held for quiet hours or dropped after opt-out - not shown in the inbox yet
+const HIDDEN_DELIVERY_STATUSES = ["QUEUED", "CANCELLED"];
 
 /**
  * Get user's notifications with pagination
@@ -11,7 +16,7 @@ export const getMyNotifications = async (req, res) => {
     const userId = req.user._id;
     const { page = 1, limit = 20, unreadOnly = false } = req.query;
 
-    const query = { userId };
+    const query = { userId, deliveryStatus: { $nin: HIDDEN_DELIVERY_STATUSES } };
     if (unreadOnly === "true") {
       query.isRead = false;
     }
@@ -25,7 +30,7 @@ export const getMyNotifications = async (req, res) => {
         .limit(parseInt(limit))
         .lean(),
       Notification.countDocuments(query),
-      Notification.countDocuments({ userId, isRead: false }),
+      Notification.countDocuments({ userId, isRead: false, deliveryStatus: { $nin: HIDDEN_DELIVERY_STATUSES } }),
     ]);
 
     return sendResponse(res, 200, true, "Notifications retrieved", {
@@ -56,6 +61,7 @@ export const getLatestUnread = async (req, res) => {
     const notification = await Notification.findOne({
       userId,
       isRead: false,
+      deliveryStatus: { $nin: HIDDEN_DELIVERY_STATUSES },
     })
       .sort({ createdAt: -1 })
       .lean();
@@ -81,6 +87,7 @@ export const getUnreadCount = async (req, res) => {
     const count = await Notification.countDocuments({
       userId,
       isRead: false,
+      deliveryStatus: { $nin: HIDDEN_DELIVERY_STATUSES },
     });
 
     return sendResponse(res, 200, true, "Unread count", {
@@ -171,7 +178,72 @@ export const deleteNotification = async (req, res) => {
   }
 };
 
+/**
+ * Get my notification preferences
+ * @route GET /api/notifications/preferences
+ * @access Customer, Driver, Kitchen Staff, Admin
+ */
+export const getPreferences = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const [user, timezone] = await Promise.all([
+      User.findById(userId).select("notificationPreferences").lean(),
+      getUserTimezone(userId),
+    ]);
+
+    return sendResponse(res, 200, true, "Notification preferences", {
+      preferences: resolvePreferences(user?.notificationPreferences),
+      timezone,
+    });
+  } catch (error) {
+    console.log("> Get notification preferences error:", error);
+    return sendResponse(res, 500, false, "Failed to get notification preferences");
+  }
+};
+
+/**
+ * Update my notification preferences
+ * Only the fields sent are changed.
+ * @route PUT /api/notifications/preferences
+ * @access Customer, Driver, Kitchen Staff, Admin
+ */
+export const updatePreferences = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { quietHours, ...categories } = req.body;
+
+    const update = {};
+    for (const [key, value] of Object.entries(categories)) {
+      update[`notificationPreferences.${key}`] = value;
+    }
+    for (const [key, value] of Object.entries(quietHours || {})) {
+      update[`notificationPreferences.quietHours.${key}`] = value;
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select("notificationPreferences");
+
+    if (!user) {
+      return sendResponse(res, 404, false, "User not found");
+    }
+
+    return sendResponse(res, 200, true, "Notification preferences updated", {
+      preferences: resolvePreferences(user.notificationPreferences?.toObject()),
+      timezone: await getUserTimezone(userId),
+    });
+  } catch (error) {
+    console.log("> Update notification preferences error:", error);
+    return sendResponse(res, 500, false, "Failed to update notification preferences");
+  }
+};
+
 export default {
+  getPreferences,
+  updatePreferences,
   getMyNotifications,
   getLatestUnread,
   getUnreadCount,
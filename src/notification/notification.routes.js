@@ -1,7 +1,7 @@
 import { Router } from "express";
 import notificationController from "./notification.controller.js";
 import { adminAuthMiddleware } from "../../middlewares/auth.middleware.js";
-import { validateParams, validateQuery } from "../../middlewares/validate.middleware.js";
+import { validateBody, validateParams, validateQuery } from "../../middlewares/validate.middleware.js";
 import Joi from "joi";
 
 const router = Router();
@@ -17,6 +17,45 @@ const notificationQuerySchema = Joi.object({
   unreadOnly: Joi.string().valid("true", "false").optional(),
 });
 
+const timeSchema = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .messages({ "string.pattern.base": "Time must be in HH:mm format" });
+
+const updatePreferencesSchema = Joi.object({
+  orderStatus: Joi.boolean(),
+  vouchers: Joi.boolean(),
+  menuMarketing: Joi.boolean(),
+  autoOrder: Joi.boolean(),
+  quietHours: Joi.object({
+    enabled: Joi.boolean(),
+    start: timeSchema,
+    end: timeSchema,
+  }).min(1),
+})
+  .min(1)
+  .messages({ "object.min": "At least one preference is required" });
+
+/**
+ * Get notification preferences
+ * GET /api/notifications/preferences
+ */
+router.get(
+  "/preferences",
+  adminAuthMiddleware,
+  notificationController.getPreferences
+);
+
+/**
+ * Update notification preferences and quiet hours
+ * PUT /api/notifications/preferences
+ */
+router.put(
+  "/preferences",
+  adminAuthMiddleware,
+  validateBody(updatePreferencesSchema),
+  notificationController.updatePreferences
+);
+
 /**
  * Get user's notifications with pagination
  * GET /api/notifications
@@ -22,9 +22,31 @@ import {
   restoreVouchersForOrder,
   getAvailableVoucherCount,
 } from "../../services/voucher.service.js";
+import {
+  debitWallet,
+  getWalletBalance,
+  reverseOrderWalletUsage,
+} from "../../services/wallet.service.js";
+import { getOrderTrackingSnapshot } from "../../services/tracking.service.js";
+import { isServedOn } from "../../services/menu-calendar.service.js";
+import {
+  reserveCapacity,
+  releaseCapacity,
+  releaseOrderCapacity,
+} from "../../services/kitchen-capacity.service.js";
+import {
+  findClosure,
+  describeClosure,
+  getClosureMessage,
+} from "../../services/closure.service.js";
+import { resolveOrderFees } from "../../services/pricing-rules.service.js";
+import { getOrCreateOrderInvoice } from "../../services/invoice.service.js";
+import { sendInvoiceDocument } from "../../services/invoice-document.service.js";
 import { sendToUser, sendToRole } from "../../services/notification.service.js";
+import { refundOrderDifference } from "../refund/refund.controller.js";
 import {
   getOrderStatusNotification,
+  ORDER_STATUS_TEMPLATES,
   KITCHEN_TEMPLATES,
   buildFromTemplate,
 } from "../../services/notification-templates.service.js";
@@ -32,6 +54,12 @@ import {
 // Create logger instance for this controller
 const log = createLogger("OrderController");
 
+// Live tracking stream (Server-Sent Events)
+const TRACKING_POLL_INTERVAL_MS = 5000;
+const TRACKING_HEARTBEAT_MS = 15000;
+const TRACKING_STREAM_MAX_MS = 30 * 60 * 1000; // Client reconnects after this
+const TRACKING_END_STATUSES = ["DELIVERED", "CANCELLED", "REJECTED", "FAILED"];
+
 /**
  * 
  * HELPER FUNCTIONS
@@ -160,6 +188,15 @@ async function validateOrderItems(items, kitchenId, menuType, mealWindow) {
       };
     }
 
+    // Verify it is today's item on the menu calendar
+    if (menuType === "MEAL_MENU" && !(await isServedOn(menuItem, new Date()))) {
+      return {
+        valid: false,
+        error: `Menu item ${menuItem.name} is not on today's ${mealWindow} menu`,
+        validatedItems: [],
+      };
+    }
+
     // Validate addons
     const validatedAddons = [];
     if (item.addons && item.addons.length > 0) {
@@ -225,9 +262,42 @@ async function validateOrderItems(items, kitchenId, menuType, mealWindow) {
   return { valid: true, error: null, validatedItems };
 }
 
+/**
+ * Items + add-ons total before any charges or discounts
+ * @param {Array} items - Validated items
+ * @returns {number} Order value
+ */
+function getItemsSubtotal(items) {
+  return items.reduce((sum, item) => {
+    const addonsTotal = item.addons.reduce((a, addon) => a + addon.totalPrice, 0);
+    return sum + item.totalPrice + addonsTotal;
+  }, 0);
+}
+
+/**
+ * Resolve fees for an order from pricing rules
+ * @param {Object} params
+ * @param {Object} params.kitchen - Kitchen document
+ * @param {Object|null} params.address - Customer address (zoneId, coordinates)
+ * @param {string} params.menuType - Menu type
+ * @param {string} params.mealWindow - Meal window
+ * @param {Array} params.items - Validated items
+ * @returns {Promise<{fees: Object, feeRules: Object, distanceKm: number|null}>}
+ */
+function resolveFeesForOrder({ kitchen, address, menuType, mealWindow, items }) {
+  return resolveOrderFees({
+    zoneId: address?.zoneId,
+    menuType,
+    mealWindow,
+    orderValue: getItemsSubtotal(items),
+    kitchenCoordinates: kitchen?.address?.coordinates,
+    deliveryCoordinates: address?.coordinates,
+  });
+}
+
 /**
  * Calculate order pricing
- * Uses DB-persisted fees config
+ * Uses fees resolved from pricing rules (falls back to the fees config)
  *
  * VOUCHER RULES (when vouchers are used):
  * - Delivery fee: WAIVED (no charge)
@@ -239,11 +309,15 @@ async function validateOrderItems(items, kitchenId, menuType, mealWindow) {
  * @param {number} voucherCount - Number of vouchers to use
  * @param {Object|null} couponDiscount - Coupon discount info
  * @param {string} menuType - Menu type
+ * @param {Object} resolvedFees - Output of resolveFeesForOrder ({fees, feeRules})
  * @returns {Object} Pricing breakdown
  */
-function calculateOrderPricing(items, voucherCount, couponDiscount, menuType) {
-  // Get fees from config service
-  const fees = getFeesConfig();
+function calculateOrderPricing(items, voucherCount, couponDiscount, menuType, resolvedFees = null) {
+  const fees = resolvedFees?.fees || getFeesConfig();
+  // Copy so voucher/coupon adjustments don't leak into the resolver output
+  const feeRules = resolvedFees?.feeRules
+    ? JSON.parse(JSON.stringify(resolvedFees.feeRules))
+    : null;
 
   // Separate main courses and add-ons
   // IMPORTANT: Voucher covers ONLY base meal price, NOT add-ons
@@ -298,6 +372,21 @@ function calculateOrderPricing(items, voucherCount, couponDiscount, menuType) {
     taxableAmount = subtotal + charges.serviceFee + charges.packagingFee;
   }
 
+  if (hasVouchers && feeRules) {
+    for (const explanation of Object.values(feeRules)) {
+      if (explanation.amount > 0) {
+        explanation.adjustments.push({
+          type: "VOUCHER",
+          rule: null,
+          detail: "Waived for voucher orders",
+          amountBefore: explanation.amount,
+          amountAfter: 0,
+        });
+        explanation.amount = 0;
+      }
+    }
+  }
+
   charges.taxAmount = Math.round(taxableAmount * fees.taxRate * 100) / 100;
   if (charges.taxAmount > 0 || !hasVouchers) {
     charges.taxBreakdown.push({
@@ -316,6 +405,16 @@ function calculateOrderPricing(items, voucherCount, couponDiscount, menuType) {
   let discountAmount = 0;
   if (menuType === "ON_DEMAND_MENU" && couponDiscount) {
     if (couponDiscount.discountType === "FREE_DELIVERY") {
+      if (feeRules?.deliveryFee && charges.deliveryFee > 0) {
+        feeRules.deliveryFee.adjustments.push({
+          type: "COUPON",
+          rule: null,
+          detail: `Free delivery coupon ${couponDiscount.couponCode}`,
+          amountBefore: charges.deliveryFee,
+          amountAfter: 0,
+        });
+        feeRules.deliveryFee.amount = 0;
+      }
       charges.deliveryFee = 0;
     } else {
       discountAmount = couponDiscount.discountAmount || 0;
@@ -351,6 +450,8 @@ function calculateOrderPricing(items, voucherCount, couponDiscount, menuType) {
     mainCoursesTotal,
     addonsTotal,
     charges,
+    feeRules,
+    deliveryDistanceKm: resolvedFees?.distanceKm ?? null,
     discount: couponDiscount
       ? {
           couponCode: couponDiscount.couponCode,
@@ -391,6 +492,7 @@ async function snapshotAddress(addressId) {
     landmark: address.landmark,
     locality: address.locality,
     city: address.city,
+    state: address.state,
     pincode: address.pincode,
     contactName: address.contactName,
     contactPhone: address.contactPhone,
@@ -458,6 +560,9 @@ function getNextValidStatuses(currentStatus) {
  */
 export async function createOrder(req, res) {
   const startTime = Date.now();
+  // Kitchen capacity taken for this order; returned if it isn't placed
+  let capacityReservation = null;
+  let orderSaved = false;
   try {
     const userId = req.user._id;
     const {
@@ -471,6 +576,8 @@ export async function createOrder(req, res) {
       specialInstructions,
       deliveryNotes,
       paymentMethod,
+      useWallet = false,
+      walletAmount,
     } = req.body;
 
     log.request(req, "createOrder");
@@ -537,6 +644,21 @@ export async function createOrder(req, res) {
       return sendResponse(res, 400, false, "Kitchen does not serve your area");
     }
 
+    // Planned kitchen or zone closure for today
+    const closedWindow = menuType === "MEAL_MENU" ? mealWindow : "ON_DEMAND";
+    const closure = await findClosure({
+      kitchenId: kitchen._id,
+      zoneId: address.zoneId,
+      mealWindow: closedWindow,
+    });
+    if (closure) {
+      log.warn("createOrder", "Closed", { kitchenId, closureId: closure._id.toString() });
+      return sendResponse(res, 400, false, getClosureMessage(closure, closedWindow), {
+        closed: true,
+        closure: describeClosure(closure),
+      });
+    }
+
     log.debug("createOrder", "Validation passed", { kitchenId, zoneId: address.zoneId?.toString() });
 
     // Validate order items
@@ -568,6 +690,21 @@ export async function createOrder(req, res) {
       );
     }
 
+    // Take kitchen capacity (one seat per meal, or per on-demand order)
+    const capacityResult = await reserveCapacity(kitchen, {
+      menuType,
+      mealWindow,
+      units: itemValidation.validatedItems.reduce((sum, item) => sum + item.quantity, 0),
+    });
+    if (!capacityResult.success) {
+      log.warn("createOrder", "Kitchen sold out", { kitchenId, menuType, mealWindow });
+      return sendResponse(res, 409, false, capacityResult.error, {
+        soldOut: true,
+        remaining: capacityResult.remaining,
+      });
+    }
+    capacityReservation = capacityResult.reservation;
+
     // Handle voucher redemption (MEAL_MENU only)
     // Using MongoDB transactions for atomic operation
     let redeemedVouchers = [];
@@ -586,6 +723,7 @@ export async function createOrder(req, res) {
       );
       if (!voucherResult.success) {
         log.warn("createOrder", "Voucher redemption failed", { error: voucherResult.error });
+        await releaseCapacity(capacityReservation);
         return sendResponse(res, 400, false, voucherResult.error);
       }
       redeemedVouchers = voucherResult.vouchers;
@@ -626,11 +764,19 @@ export async function createOrder(req, res) {
     }
 
     // Calculate pricing
+    const resolvedFees = await resolveFeesForOrder({
+      kitchen,
+      address,
+      menuType,
+      mealWindow,
+      items: itemValidation.validatedItems,
+    });
     const pricing = calculateOrderPricing(
       itemValidation.validatedItems,
       voucherCount,
       couponDiscount,
-      menuType
+      menuType,
+      resolvedFees
     );
 
     // Snapshot address
@@ -638,18 +784,61 @@ export async function createOrder(req, res) {
 
     // Generate order number
     const orderNumber = Order.generateOrderNumber();
+    const orderId = new mongoose.Types.ObjectId();
+
+    // Apply wallet balance (debited now, returned if the order fails or is cancelled)
+    let walletUsed = 0;
+    let walletTransactionId = null;
+    if (useWallet && pricing.amountToPay > 0) {
+      const walletBalance = await getWalletBalance(userId);
+      const requested = walletAmount
+        ? Math.min(walletAmount, pricing.amountToPay)
+        : Math.min(walletBalance, pricing.amountToPay);
+
+      if (walletAmount && requested > walletBalance) {
+        log.warn("createOrder", "Insufficient wallet balance", { walletBalance, requested });
+        await restoreVouchersForOrder(redeemedVouchers, "Order not placed: insufficient wallet balance");
+        await releaseCapacity(capacityReservation);
+        return sendResponse(res, 400, false, "Insufficient wallet balance");
+      }
+
+      if (requested > 0) {
+        const walletResult = await debitWallet({
+          userId,
+          amount: requested,
+          source: "ORDER_PAYMENT",
+          referenceType: "Order",
+          referenceId: orderId,
+          description: `Payment for order ${orderNumber}`,
+          idempotencyKey: `order-payment:${orderId}`,
+        });
+
+        if (!walletResult.success) {
+          log.warn("createOrder", "Wallet debit failed", { error: walletResult.error });
+          await restoreVouchersForOrder(redeemedVouchers, "Order not placed: wallet debit failed");
+          await releaseCapacity(capacityReservation);
+          return sendResponse(res, 400, false, walletResult.error);
+        }
+
+        walletUsed = walletResult.entry.amount;
+        walletTransactionId = walletResult.entry._id;
+        log.info("createOrder", "Wallet applied", { walletUsed, balance: walletResult.balance });
+      }
+    }
+
+    const amountToPay = Math.round((pricing.amountToPay - walletUsed) * 100) / 100;
 
     // Determine payment status
     // In non-production environments, auto-confirm payments for testing
     const isDevMode = process.env.NODE_ENV !== "production";
     let paymentStatus = "PENDING";
 
-    if (pricing.amountToPay === 0) {
-      paymentStatus = "PAID"; // Fully covered by vouchers
+    if (amountToPay === 0) {
+      paymentStatus = "PAID"; // Fully covered by vouchers and/or wallet
     } else if (isDevMode) {
       paymentStatus = "PAID"; // Auto-confirm in dev mode (no payment gateway)
       log.info("createOrder", "Auto-confirming payment (dev mode)", {
-        amountToPay: pricing.amountToPay,
+        amountToPay,
         environment: process.env.NODE_ENV || "development",
       });
     }
@@ -685,6 +874,7 @@ export async function createOrder(req, res) {
 
     // Create order
     const order = new Order({
+      _id: orderId,
       orderNumber,
       userId,
       kitchenId,
@@ -696,6 +886,8 @@ export async function createOrder(req, res) {
       items: itemValidation.validatedItems,
       subtotal: pricing.subtotal,
       charges: pricing.charges,
+      feeRules: pricing.feeRules,
+      deliveryDistanceKm: pricing.deliveryDistanceKm,
       discount: couponDiscount
         ? {
             couponId: couponDiscount.couponId,
@@ -710,9 +902,14 @@ export async function createOrder(req, res) {
         voucherCount: redeemedVouchers.length,
         mainCoursesCovered: pricing.voucherCoverage.mainCoursesCovered,
       },
-      amountPaid: pricing.amountToPay,
+      walletUsage: {
+        amount: walletUsed,
+        transactionId: walletTransactionId,
+      },
+      capacityReservation: capacityReservation || undefined,
+      amountPaid: amountToPay,
       paymentStatus,
-      paymentMethod: paymentMethod || "OTHER",
+      paymentMethod: walletUsed > 0 && amountToPay === 0 ? "WALLET" : paymentMethod || "OTHER",
       status: initialStatus,
       statusTimeline,
       specialInstructions,
@@ -725,10 +922,18 @@ export async function createOrder(req, res) {
       order.deliveryNotes = deliveryNotes;
     }
 
-    await order.save();
+    try {
+      await order.save();
+      orderSaved = true;
+    } catch (saveError) {
+      if (walletUsed > 0) {
+        await reverseOrderWalletUsage(order, "Order could not be placed");
+      }
+      throw saveError;
+    }
 
     const duration = Date.now() - startTime;
-    const paymentAutoConfirmed = isDevMode && pricing.amountToPay > 0;
+    const paymentAutoConfirmed = isDevMode && amountToPay > 0;
 
     log.event("ORDER_CREATED", "New order placed successfully", {
       orderId: order._id.toString(),
@@ -738,7 +943,8 @@ export async function createOrder(req, res) {
       menuType,
       mealWindow,
       grandTotal: pricing.grandTotal,
-      amountToPay: pricing.amountToPay,
+      amountToPay,
+      walletUsed,
       vouchersUsed: redeemedVouchers.length,
       couponApplied: couponDiscount?.couponCode || null,
       paymentAutoConfirmed,
@@ -775,14 +981,18 @@ export async function createOrder(req, res) {
     return sendResponse(res, 201, true, "Order placed successfully", {
       order,
       vouchersUsed: redeemedVouchers.length,
-      amountToPay: pricing.amountToPay,
-      paymentRequired: !isDevMode && pricing.amountToPay > 0,
+      walletUsed,
+      amountToPay,
+      paymentRequired: !isDevMode && amountToPay > 0,
       paymentAutoConfirmed,
       autoAccepted: autoAcceptCheck.shouldAutoAccept,
     });
   } catch (error) {
     const duration = Date.now() - startTime;
     log.error("createOrder", "Failed to place order", { error, duration: `${duration}ms` });
+    if (!orderSaved) {
+      await releaseCapacity(capacityReservation).catch(() => {});
+    }
     return sendResponse(res, 500, false, "Failed to place order");
   }
 }
@@ -899,13 +1109,28 @@ export async function getOrderPricing(req, res) {
     }
 
     // Calculate pricing
+    const address = deliveryAddressId
+      ? await CustomerAddress.findOne({ _id: deliveryAddressId, userId, isDeleted: false })
+          .select("zoneId coordinates")
+          .lean()
+      : null;
+    const resolvedFees = await resolveFeesForOrder({
+      kitchen,
+      address,
+      menuType,
+      mealWindow,
+      items: itemValidation.validatedItems,
+    });
     const pricing = calculateOrderPricing(
       itemValidation.validatedItems,
       voucherEligibility.canUse,
       couponDiscount,
-      menuType
+      menuType,
+      resolvedFees
     );
 
+    const walletBalance = await getWalletBalance(userId);
+
     const duration = Date.now() - startTime;
     log.response("getOrderPricing", 200, true, duration);
 
@@ -920,12 +1145,18 @@ export async function getOrderPricing(req, res) {
         })),
         subtotal: pricing.subtotal,
         charges: pricing.charges,
+        feeRules: pricing.feeRules,
+        deliveryDistanceKm: pricing.deliveryDistanceKm,
         discount: pricing.discount,
         voucherCoverage: pricing.voucherCoverage,
         grandTotal: pricing.grandTotal,
         amountToPay: pricing.amountToPay,
       },
       voucherEligibility,
+      walletEligibility: {
+        balance: walletBalance,
+        canUse: Math.min(walletBalance, pricing.amountToPay),
+      },
     });
   } catch (error) {
     const duration = Date.now() - startTime;
@@ -1136,6 +1367,9 @@ export async function trackOrder(req, res) {
       }
     }
 
+    // Driver position and ETA (null until the driver app reports GPS)
+    const liveTracking = await getOrderTrackingSnapshot(order);
+
     return sendResponse(res, 200, true, "Order tracking info", {
       status: order.status,
       statusMessage: getStatusDisplay(order.status),
@@ -1152,7 +1386,10 @@ export async function trackOrder(req, res) {
             phone: order.driverId.phone,
           }
         : null,
-      estimatedDelivery: order.estimatedDeliveryTime,
+      estimatedDelivery: liveTracking.eta?.estimatedArrival || order.estimatedDeliveryTime,
+      driverLocation: liveTracking.driverLocation,
+      eta: liveTracking.eta,
+      stopsBefore: liveTracking.stopsBefore,
       deliveryOtp,
       canContactDriver: order.status === "OUT_FOR_DELIVERY" && order.driverId,
       canContactKitchen: ["PLACED", "ACCEPTED", "PREPARING"].includes(
@@ -1165,6 +1402,150 @@ export async function trackOrder(req, res) {
   }
 }
 
+/**
+ * Stream live driver position and ETA for an order (Server-Sent Events)
+ * Events: "status" (order status changed), "location" (new driver fix with
+ * ETA), "end" (order finished or stream timed out - reconnect to resume)
+ * @route GET /api/orders/:id/track/live
+ * @access Authenticated Customer (owner), Admin
+ */
+export async function streamOrderTracking(req, res) {
+  const { id } = req.params;
+  const isAdmin = req.user.role === "ADMIN";
+
+  let order;
+  try {
+    order = await Order.findOne(isAdmin ? { _id: id } : { _id: id, userId: req.user._id })
+      .select("_id")
+      .lean();
+  } catch (error) {
+    log.error("streamOrderTracking", "Failed to load order", { error, orderId: id });
+    return sendResponse(res, 500, false, "Failed to track order");
+  }
+
+  if (!order) {
+    return sendResponse(res, 404, false, "Order not found");
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering (nginx)
+  });
+  res.write(`retry: ${TRACKING_POLL_INTERVAL_MS}\n\n`);
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let closed = false;
+  let polling = false;
+  let lastStatus = null;
+  let lastFixAt = null;
+  let pollTimer = null;
+  let heartbeatTimer = null;
+  let timeoutTimer = null;
+
+  const finish = (data) => {
+    if (closed) return;
+    closed = true;
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+    clearTimeout(timeoutTimer);
+    if (data && !res.writableEnded) {
+      sendEvent("end", data);
+    }
+    res.end();
+  };
+
+  const poll = async () => {
+    if (closed || polling) return;
+    polling = true;
+
+    try {
+      const current = await Order.findById(id)
+        .select("status deliveryAddress.coordinates")
+        .lean();
+
+      if (!current) {
+        finish({ reason: "ORDER_NOT_FOUND" });
+        return;
+      }
+
+      if (current.status !== lastStatus) {
+        lastStatus = current.status;
+        sendEvent("status", {
+          status: current.status,
+          statusMessage: getStatusDisplay(current.status),
+        });
+      }
+
+      if (TRACKING_END_STATUSES.includes(current.status)) {
+        finish({ reason: "ORDER_FINISHED", status: current.status });
+        return;
+      }
+
+      const snapshot = await getOrderTrackingSnapshot(current);
+      const fixAt = snapshot.driverLocation
+        ? new Date(snapshot.driverLocation.updatedAt).getTime()
+        : null;
+
+      if (fixAt && fixAt !== lastFixAt && !closed) {
+        lastFixAt = fixAt;
+        sendEvent("location", snapshot);
+      }
+    } catch (error) {
+      log.error("streamOrderTracking", "Tracking poll failed", { error, orderId: id });
+    } finally {
+      polling = false;
+    }
+  };
+
+  pollTimer = setInterval(poll, TRACKING_POLL_INTERVAL_MS);
+  heartbeatTimer = setInterval(() => {
+    if (!closed) res.write(": ping\n\n");
+  }, TRACKING_HEARTBEAT_MS);
+  timeoutTimer = setTimeout(() => finish({ reason: "TIMEOUT" }), TRACKING_STREAM_MAX_MS);
+
+  req.on("close", () => finish(null));
+
+  poll();
+}
+
+/**
+ * Download the GST tax invoice for an order
+ * The invoice is numbered on first request; later requests return the same document.
+ * @route GET /api/orders/:id/invoice
+ * @access Authenticated (Customer owner, Admin)
+ */
+export async function getOrderInvoice(req, res) {
+  try {
+    const { id } = req.params;
+    const { format = "pdf" } = req.validatedQuery || req.query;
+    const user = req.user;
+
+    const order = await Order.findById(id);
+    if (!order) {
+      return sendResponse(res, 404, false, "Order not found");
+    }
+
+    if (order.userId.toString() !== user._id.toString() && user.role !== "ADMIN") {
+      return sendResponse(res, 403, false, "Not authorized to view this invoice");
+    }
+
+    const result = await getOrCreateOrderInvoice(order);
+    if (!result.success) {
+      return sendResponse(res, 400, false, result.error);
+    }
+
+    return sendInvoiceDocument(res, result.invoice, format);
+  } catch (error) {
+    console.log("Get order invoice error:", error);
+    return sendResponse(res, 500, false, "Failed to generate invoice");
+  }
+}
+
 /**
  * Rate an order
  * @route POST /api/orders/:id/rate
@@ -1285,10 +1666,17 @@ export async function customerCancelOrder(req, res) {
       refundInitiated = true;
     }
 
+    // Return wallet portion instantly
+    const walletReversal = await reverseOrderWalletUsage(order, `Order cancelled by ${cancelledByLabel}`);
+    const walletRefunded = walletReversal.amount;
+    await releaseOrderCapacity(order);
+
     // Build response message
     let message;
     if (voucherWarning) {
       message = voucherWarning;
+    } else if (walletRefunded > 0 && !refundInitiated) {
+      message = `₹${walletRefunded} has been returned to your wallet.`;
     } else if (refundInitiated) {
       message = "Your refund will be processed within 5-7 business days.";
     } else if (vouchersRestored > 0) {
@@ -1298,6 +1686,7 @@ export async function customerCancelOrder(req, res) {
     return sendResponse(res, 200, true, "Order cancelled successfully", {
       order,
       refundInitiated,
+      walletRefunded,
       vouchersRestored,
       voucherWarning,
       message,
@@ -1467,6 +1856,7 @@ export async function acceptOrder(req, res) {
         data: { orderId: order._id.toString(), orderNumber: order.orderNumber, status: "ACCEPTED" },
         entityType: "ORDER",
         entityId: order._id,
+        channels: notification.channels,
       });
     }
 
@@ -1546,6 +1936,11 @@ export async function rejectOrder(req, res) {
       log.info("rejectOrder", "Refund initiated", { orderId: id, amount: order.amountPaid });
     }
 
+    // Return wallet portion instantly
+    const walletReversal = await reverseOrderWalletUsage(order, `Order rejected by ${rejectedByLabel}`);
+    const walletRefunded = walletReversal.amount;
+    await releaseOrderCapacity(order);
+
     const duration = Date.now() - startTime;
     log.event("ORDER_REJECTED", `Order rejected by ${rejectedByLabel}`, {
       orderId: id,
@@ -1553,6 +1948,7 @@ export async function rejectOrder(req, res) {
       reason,
       vouchersRestored,
       refundInitiated,
+      walletRefunded,
     });
     log.response("rejectOrder", 200, true, duration);
 
@@ -1563,12 +1959,14 @@ export async function rejectOrder(req, res) {
         data: { orderId: order._id.toString(), orderNumber: order.orderNumber, status: "REJECTED" },
         entityType: "ORDER",
         entityId: order._id,
+        channels: notification.channels,
       });
     }
 
     return sendResponse(res, 200, true, "Order rejected", {
       order,
       refundInitiated,
+      walletRefunded,
       vouchersRestored,
     });
   } catch (error) {
@@ -1647,6 +2045,11 @@ export async function cancelOrder(req, res) {
       log.info("cancelOrder", "Refund initiated", { orderId: id, amount: order.amountPaid });
     }
 
+    // Return wallet portion instantly
+    const walletReversal = await reverseOrderWalletUsage(order, `Order cancelled by ${cancelledByLabel}`);
+    const walletRefunded = walletReversal.amount;
+    await releaseOrderCapacity(order);
+
     const duration = Date.now() - startTime;
     log.event("ORDER_CANCELLED", `Order cancelled by ${cancelledByLabel}`, {
       orderId: id,
@@ -1655,6 +2058,7 @@ export async function cancelOrder(req, res) {
       previousStatus: order.status,
       vouchersRestored,
       refundInitiated,
+      walletRefunded,
     });
     log.response("cancelOrder", 200, true, duration);
 
@@ -1665,12 +2069,14 @@ export async function cancelOrder(req, res) {
         data: { orderId: order._id.toString(), orderNumber: order.orderNumber, status: "CANCELLED" },
         entityType: "ORDER",
         entityId: order._id,
+        channels: notification.channels,
       });
     }
 
     return sendResponse(res, 200, true, "Order cancelled", {
       order,
       refundInitiated,
+      walletRefunded,
       vouchersRestored,
     });
   } catch (error) {
@@ -1680,6 +2086,458 @@ export async function cancelOrder(req, res) {
   }
 }
 
+/**
+ * Build the order's pricing inputs from what was charged at checkout
+ * Amendments reuse the stored fees so a change can never raise them.
+ * @param {Object} order - Order document
+ * @returns {Object} Resolved fees for calculateOrderPricing
+ */
+function getChargedFees(order) {
+  const charges = order.charges || {};
+  // An order that carried no tax is re-priced without tax
+  const taxRate = charges.taxAmount > 0 ? charges.taxBreakdown?.[0]?.rate ?? 0 : 0;
+  return {
+    fees: {
+      deliveryFee: charges.deliveryFee || 0,
+      serviceFee: charges.serviceFee || 0,
+      packagingFee: charges.packagingFee || 0,
+      handlingFee: charges.handlingFee || 0,
+      taxRate: taxRate / 100,
+    },
+    feeRules: null,
+    distanceKm: order.deliveryDistanceKm ?? null,
+  };
+}
+
+/**
+ * Describe an amendment change for the customer
+ * @param {Object} change - Recorded change
+ * @returns {string}
+ */
+function describeAmendmentChange(change) {
+  const qty = change.quantity > 1 ? `${change.quantity} x ` : "";
+  switch (change.type) {
+    case "REMOVE_ITEM":
+      return `${qty}${change.itemName} removed`;
+    case "SUBSTITUTE_ITEM":
+      return `${qty}${change.itemName} replaced with ${change.replacementName}`;
+    case "REMOVE_ADDON":
+      return `${qty}${change.addonName} removed from ${change.itemName}`;
+    case "SUBSTITUTE_ADDON":
+      return `${qty}${change.addonName} replaced with ${change.replacementName}`;
+    default:
+      return change.itemName;
+  }
+}
+
+/**
+ * Amend order - remove or substitute items the kitchen can't make
+ * Refunds the price difference and returns vouchers for removed main courses.
+ * @route PATCH /api/orders/:id/amend
+ * @access Kitchen Staff, Admin
+ */
+export async function amendOrder(req, res) {
+  const startTime = Date.now();
+  try {
+    const { id } = req.params;
+    const { changes, reason } = req.body;
+    const kitchenId = req.user.kitchenId;
+    const staffId = req.user._id;
+    const isAdmin = req.user.role === "ADMIN";
+
+    log.request(req, "amendOrder");
+
+    const order = await Order.findById(id);
+    if (!order) {
+      log.warn("amendOrder", "Order not found", { orderId: id });
+      return sendResponse(res, 404, false, "Order not found");
+    }
+
+    if (!isAdmin && order.kitchenId.toString() !== kitchenId?.toString()) {
+      log.warn("amendOrder", "Kitchen mismatch", { orderId: id });
+      return sendResponse(
+        res,
+        403,
+        false,
+        "Order does not belong to your kitchen"
+      );
+    }
+
+    if (!["ACCEPTED", "PREPARING"].includes(order.status)) {
+      log.warn("amendOrder", "Invalid status for amendment", { orderId: id, currentStatus: order.status });
+      return sendResponse(
+        res,
+        400,
+        false,
+        "Can only amend orders that are ACCEPTED or PREPARING"
+      );
+    }
+
+    // Work on plain copies so nothing is written until every change is valid
+    const originalItems = order.items.map((item) => item.toObject());
+    const items = order.items.map((item) => item.toObject());
+    const recorded = [];
+
+    for (const change of changes) {
+      const itemIndex = items.findIndex((item) => item._id.toString() === change.itemId);
+      if (itemIndex === -1) {
+        return sendResponse(res, 400, false, "Item is not part of this order");
+      }
+      const item = items[itemIndex];
+
+      if (change.type === "REMOVE_ITEM" || change.type === "SUBSTITUTE_ITEM") {
+        const quantity = change.quantity || item.quantity;
+        if (quantity > item.quantity) {
+          return sendResponse(res, 400, false, `Only ${item.quantity} ${item.name} in this order`);
+        }
+
+        if (change.type === "REMOVE_ITEM") {
+          if (quantity === item.quantity) {
+            items.splice(itemIndex, 1);
+          } else {
+            item.quantity -= quantity;
+            item.totalPrice = item.unitPrice * item.quantity;
+          }
+          recorded.push({ type: change.type, itemName: item.name, quantity });
+          continue;
+        }
+
+        const replacement = await MenuItem.findById(change.replacementId);
+        if (
+          !replacement ||
+          replacement.kitchenId.toString() !== order.kitchenId.toString() ||
+          replacement.menuType !== order.menuType ||
+          (order.menuType === "MEAL_MENU" && replacement.mealWindow !== order.mealWindow)
+        ) {
+          return sendResponse(res, 400, false, "Replacement item is not on this order's menu");
+        }
+        if (!replacement.isAvailable || replacement.status !== "ACTIVE") {
+          return sendResponse(res, 400, false, `${replacement.name} is not available`);
+        }
+        const isMainCourse = replacement.category === "MAIN_COURSE";
+        if (isMainCourse !== Boolean(item.isMainCourse)) {
+          return sendResponse(
+            res,
+            400,
+            false,
+            item.isMainCourse
+              ? "A main course can only be replaced with another main course"
+              : "Only a main course can be replaced with a main course"
+          );
+        }
+
+        // The customer never pays more for a substitute
+        const unitPrice = Math.min(replacement.getEffectivePrice(), item.unitPrice);
+        const itemName = item.name;
+        if (quantity === item.quantity) {
+          item.menuItemId = replacement._id;
+          item.name = replacement.name;
+          item.unitPrice = unitPrice;
+          item.totalPrice = unitPrice * quantity;
+          item.variant = undefined;
+        } else {
+          item.quantity -= quantity;
+          item.totalPrice = item.unitPrice * item.quantity;
+          items.push({
+            _id: new mongoose.Types.ObjectId(),
+            menuItemId: replacement._id,
+            name: replacement.name,
+            quantity,
+            unitPrice,
+            totalPrice: unitPrice * quantity,
+            isMainCourse,
+            addons: [],
+          });
+        }
+        recorded.push({
+          type: change.type,
+          itemName,
+          replacementName: replacement.name,
+          quantity,
+        });
+        continue;
+      }
+
+      // Add-on changes
+      const addonIndex = item.addons.findIndex(
+        (addon) => addon.addonId?.toString() === change.addonId
+      );
+      if (addonIndex === -1) {
+        return sendResponse(res, 400, false, `Add-on is not part of ${item.name}`);
+      }
+      const addon = item.addons[addonIndex];
+      const quantity = change.quantity || addon.quantity;
+      if (quantity > addon.quantity) {
+        return sendResponse(res, 400, false, `Only ${addon.quantity} ${addon.name} in this order`);
+      }
+
+      if (change.type === "REMOVE_ADDON") {
+        if (quantity === addon.quantity) {
+          item.addons.splice(addonIndex, 1);
+        } else {
+          addon.quantity -= quantity;
+          addon.totalPrice = addon.unitPrice * addon.quantity;
+        }
+        recorded.push({ type: change.type, itemName: item.name, addonName: addon.name, quantity });
+        continue;
+      }
+
+      const replacement = await Addon.findById(change.replacementId);
+      if (!replacement || replacement.kitchenId.toString() !== order.kitchenId.toString()) {
+        return sendResponse(res, 400, false, "Replacement add-on is not from this kitchen");
+      }
+      if (!replacement.isOrderable()) {
+        return sendResponse(res, 400, false, `${replacement.name} is not available`);
+      }
+
+      const unitPrice = Math.min(replacement.price, addon.unitPrice);
+      const addonName = addon.name;
+      if (quantity === addon.quantity) {
+        addon.addonId = replacement._id;
+        addon.name = replacement.name;
+        addon.unitPrice = unitPrice;
+        addon.totalPrice = unitPrice * quantity;
+      } else {
+        addon.quantity -= quantity;
+        addon.totalPrice = addon.unitPrice * addon.quantity;
+        item.addons.push({
+          addonId: replacement._id,
+          name: replacement.name,
+          quantity,
+          unitPrice,
+          totalPrice: unitPrice * quantity,
+        });
+      }
+      recorded.push({
+        type: change.type,
+        itemName: item.name,
+        addonName,
+        replacementName: replacement.name,
+        quantity,
+      });
+    }
+
+    if (items.length === 0) {
+      return sendResponse(
+        res,
+        400,
+        false,
+        "Removing every item would empty the order. Cancel the order instead"
+      );
+    }
+
+    // Price the order before and after with the fees that were charged
+    const resolvedFees = getChargedFees(order);
+    const couponDiscount = order.discount?.couponCode
+      ? {
+          couponCode: order.discount.couponCode,
+          discountType: order.discount.discountType,
+          discountAmount: order.discount.discountAmount || 0,
+        }
+      : null;
+    const voucherIds = order.voucherUsage?.voucherIds || [];
+    const voucherCount = order.voucherUsage?.voucherCount || 0;
+    const mainCoursesLeft = items.reduce(
+      (count, item) => count + (item.isMainCourse ? item.quantity : 0),
+      0
+    );
+    const newVoucherCount = Math.min(voucherCount, mainCoursesLeft);
+
+    const before = calculateOrderPricing(
+      originalItems,
+      voucherCount,
+      couponDiscount,
+      order.menuType,
+      resolvedFees
+    );
+    const after = calculateOrderPricing(
+      items,
+      newVoucherCount,
+      couponDiscount,
+      order.menuType,
+      resolvedFees
+    );
+    const difference = Math.max(
+      0,
+      Math.round((before.amountToPay - after.amountToPay) * 100) / 100
+    );
+
+    // Units no longer being made, capped at what the order holds
+    const unitsBefore = originalItems.reduce((sum, item) => sum + item.quantity, 0);
+    const unitsAfter = items.reduce((sum, item) => sum + item.quantity, 0);
+    const unitsReleased =
+      order.capacityReservation?.slotId && !order.capacityReservation.releasedAt
+        ? Math.min(unitsBefore - unitsAfter, order.capacityReservation.units || 0)
+        : 0;
+
+    const previousValue = {
+      items: originalItems.map((item) => ({ name: item.name, quantity: item.quantity })),
+      subtotal: order.subtotal,
+      grandTotal: order.grandTotal,
+    };
+
+    const amendmentId = new mongoose.Types.ObjectId();
+    const update = {
+      items,
+      subtotal: after.subtotal,
+      charges: after.charges,
+      grandTotal: after.grandTotal,
+    };
+    if (voucherCount > 0) {
+      update["voucherUsage.voucherIds"] = voucherIds.slice(0, newVoucherCount);
+      update["voucherUsage.voucherCount"] = newVoucherCount;
+      update["voucherUsage.mainCoursesCovered"] = after.voucherCoverage.mainCoursesCovered;
+    }
+    if (unitsReleased > 0) {
+      update["capacityReservation.units"] = order.capacityReservation.units - unitsReleased;
+    }
+
+    // Only write over the version that was priced; a concurrent amendment or
+    // status change makes this one fail instead of refunding twice
+    const amended = await Order.findOneAndUpdate(
+      { _id: order._id, __v: order.__v, status: { $in: ["ACCEPTED", "PREPARING"] } },
+      {
+        $set: update,
+        $push: {
+          amendments: {
+            _id: amendmentId,
+            changes: recorded,
+            reason,
+            previousAmountToPay: before.amountToPay,
+            amountToPay: after.amountToPay,
+            amendedBy: staffId,
+            amendedByRole: isAdmin ? "ADMIN" : "KITCHEN",
+          },
+        },
+        $inc: { __v: 1 },
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!amended) {
+      log.warn("amendOrder", "Order changed while amending", { orderId: id });
+      return sendResponse(
+        res,
+        409,
+        false,
+        "Order was just changed by someone else. Reload it and try again"
+      );
+    }
+
+    // Side effects only once the amendment is saved
+    let vouchersRestored = 0;
+    if (newVoucherCount < voucherCount && voucherIds.length > 0) {
+      const restoreResult = await restoreVouchersForOrder(
+        voucherIds.slice(newVoucherCount),
+        `Order amended by ${isAdmin ? "admin" : "kitchen"}`
+      );
+      vouchersRestored = restoreResult.count;
+      log.info("amendOrder", "Vouchers restored", { orderId: id, count: vouchersRestored });
+    }
+
+    if (unitsReleased > 0) {
+      await releaseCapacity({ slotId: order.capacityReservation.slotId, units: unitsReleased });
+    }
+
+    // Refund exactly the difference once the order reflects it
+    let amountRefunded = 0;
+    let refundIds = [];
+    if (difference > 0) {
+      const refundResult = await refundOrderDifference({
+        order: amended,
+        amount: difference,
+        reason: "ORDER_AMENDED",
+        reasonDetails: reason,
+        initiatedBy: staffId,
+      });
+      amountRefunded = refundResult.refunded;
+      refundIds = refundResult.refunds.map((refund) => refund._id);
+
+      if (!refundResult.success) {
+        log.warn("amendOrder", "Refund for amendment failed", {
+          orderId: id,
+          difference,
+          error: refundResult.error,
+        });
+      }
+    }
+
+    await Order.updateOne(
+      { _id: order._id, "amendments._id": amendmentId },
+      {
+        $set: {
+          "amendments.$.vouchersRestored": vouchersRestored,
+          "amendments.$.amountRefunded": amountRefunded,
+          "amendments.$.refundIds": refundIds,
+        },
+      }
+    );
+
+    const amendment = amended.amendments.id(amendmentId);
+    amendment.vouchersRestored = vouchersRestored;
+    amendment.amountRefunded = amountRefunded;
+    amendment.refundIds = refundIds;
+
+    const duration = Date.now() - startTime;
+    log.event("ORDER_AMENDED", `Order amended by ${isAdmin ? "admin" : "kitchen"}`, {
+      orderId: id,
+      orderNumber: order.orderNumber,
+      changes: recorded.length,
+      difference,
+      amountRefunded,
+      vouchersRestored,
+    });
+    log.response("amendOrder", 200, true, duration);
+
+    safeAuditCreate({
+      action: "UPDATE",
+      entityType: "ORDER",
+      entityId: order._id,
+      userId: staffId,
+      userRole: req.user.role,
+      userName: req.user.name || req.user.username || "Staff",
+      previousValue,
+      newValue: {
+        items: items.map((item) => ({ name: item.name, quantity: item.quantity })),
+        subtotal: amended.subtotal,
+        grandTotal: amended.grandTotal,
+      },
+      changedFields: ["items", "subtotal", "charges", "grandTotal"],
+      reason,
+      notes: `Refunded: ${amountRefunded}, Vouchers restored: ${vouchersRestored}`,
+    });
+
+    // Tell the customer what changed
+    let outcome = "";
+    if (amountRefunded > 0) outcome += ` Rs.${amountRefunded} will be refunded.`;
+    if (vouchersRestored > 0) outcome += ` ${vouchersRestored} voucher(s) returned to your account.`;
+    let summary = recorded.map(describeAmendmentChange).join(", ");
+    if (summary.length > 200) summary = `${summary.slice(0, 197)}...`;
+    const { title, body, channels } = buildFromTemplate(ORDER_STATUS_TEMPLATES.AMENDED, {
+      orderNumber: order.orderNumber,
+      changes: summary,
+      outcome,
+    });
+    sendToUser(order.userId, "ORDER_AMENDED", title, body, {
+      data: { orderId: order._id.toString(), orderNumber: order.orderNumber },
+      entityType: "ORDER",
+      entityId: order._id,
+      channels,
+    });
+
+    return sendResponse(res, 200, true, "Order amended", {
+      order: amended,
+      amendment,
+      amountRefunded,
+      vouchersRestored,
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    log.error("amendOrder", "Failed to amend order", { error, duration: `${duration}ms` });
+    return sendResponse(res, 500, false, "Failed to amend order");
+  }
+}
+
 /**
  * Update order status (PREPARING, READY)
  * @route PATCH /api/orders/:id/status
@@ -1732,6 +2590,7 @@ export async function updateOrderStatus(req, res) {
           data: { orderId: order._id.toString(), orderNumber: order.orderNumber, status },
           entityType: "ORDER",
           entityId: order._id,
+          channels: notification.channels,
         });
       }
     }
@@ -1852,6 +2711,7 @@ export async function updateDeliveryStatus(req, res) {
         data: { orderId: order._id.toString(), orderNumber: order.orderNumber, status: finalStatus },
         entityType: "ORDER",
         entityId: order._id,
+        channels: notification.channels,
       });
     }
 
@@ -2041,6 +2901,14 @@ export async function adminCancelOrder(req, res) {
       refundInitiated = true;
     }
 
+    // Return wallet portion instantly
+    let walletRefunded = 0;
+    if (issueRefund) {
+      const walletReversal = await reverseOrderWalletUsage(order, "Order cancelled by admin");
+      walletRefunded = walletReversal.amount;
+    }
+    await releaseOrderCapacity(order);
+
     // Log audit
     safeAuditCreate({
       action: "CANCEL",
@@ -2050,12 +2918,13 @@ export async function adminCancelOrder(req, res) {
       userRole: req.user.role,
       userName: req.user.name || req.user.username || "Admin",
       reason,
-      notes: `Refund: ${refundInitiated ? "Yes" : "No"}, Vouchers restored: ${vouchersRestored}`,
+      notes: `Refund: ${refundInitiated ? "Yes" : "No"}, Wallet returned: ${walletRefunded}, Vouchers restored: ${vouchersRestored}`,
     });
 
     return sendResponse(res, 200, true, "Order cancelled by admin", {
       order,
       refundInitiated,
+      walletRefunded,
       vouchersRestored,
     });
   } catch (error) {
@@ -2187,6 +3056,7 @@ export async function adminUpdateStatus(req, res) {
         },
         entityType: "ORDER",
         entityId: order._id,
+        channels: notification.channels,
       });
     }
 
@@ -2207,12 +3077,15 @@ export default {
   getMyOrders,
   getOrderById,
   trackOrder,
+  streamOrderTracking,
+  getOrderInvoice,
   rateOrder,
   customerCancelOrder,
   getKitchenOrders,
   acceptOrder,
   rejectOrder,
   cancelOrder,
+  amendOrder,
   updateOrderStatus,
   getDriverOrders,
   updateDeliveryStatus,
@@ -2,6 +2,7 @@ import { Router } from "express";
 import orderController from "./order.controller.js";
 import { adminAuthMiddleware, adminMiddleware, roleMiddleware } from "../../middlewares/auth.middleware.js";
 import { validateBody, validateQuery, validateParams } from "../../middlewares/validate.middleware.js";
+import { idempotency } from "../../middlewares/idempotency.middleware.js";
 import {
   createOrderSchema,
   calculatePricingSchema,
@@ -10,12 +11,14 @@ import {
   acceptOrderSchema,
   rejectOrderSchema,
   cancelOrderSchema,
+  amendOrderSchema,
   updateOrderStatusSchema,
   updateDeliveryStatusSchema,
   adminUpdateStatusSchema,
   adminCancelOrderSchema,
   queryAllOrdersSchema,
   rateOrderSchema,
+  invoiceQuerySchema,
 } from "./order.validation.js";
 import Joi from "joi";
 
@@ -113,6 +116,7 @@ router.post(
   "/",
   adminAuthMiddleware,
   roleMiddleware(["CUSTOMER", "ADMIN"]),
+  idempotency(),
   validateBody(createOrderSchema),
   orderController.createOrder
 );
@@ -138,6 +142,25 @@ router.get(
   orderController.trackOrder
 );
 
+// Live tracking stream (Server-Sent Events)
+router.get(
+  "/:id/track/live",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER", "ADMIN"]),
+  validateParams(idParamSchema),
+  orderController.streamOrderTracking
+);
+
+// Download GST invoice (PDF or HTML)
+router.get(
+  "/:id/invoice",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER", "ADMIN"]),
+  validateParams(idParamSchema),
+  validateQuery(invoiceQuerySchema),
+  orderController.getOrderInvoice
+);
+
 // Rate order
 router.post(
   "/:id/rate",
@@ -192,6 +215,16 @@ router.patch(
   orderController.cancelOrder
 );
 
+// Remove or substitute items on an accepted order (Kitchen Staff or Admin)
+router.patch(
+  "/:id/amend",
+  adminAuthMiddleware,
+  roleMiddleware(["KITCHEN_STAFF", "ADMIN"]),
+  validateParams(idParamSchema),
+  validateBody(amendOrderSchema),
+  orderController.amendOrder
+);
+
 // Update order status (Kitchen Staff or Admin)
 router.patch(
   "/:id/status",
@@ -95,6 +95,12 @@ export const createOrderSchema = Joi.object({
   paymentMethod: Joi.string()
     .valid("UPI", "CARD", "WALLET", "NETBANKING", "VOUCHER_ONLY", "OTHER")
     .allow("", null),
+  useWallet: Joi.boolean().default(false),
+  // Optional cap on the wallet amount to apply (defaults to the full payable amount)
+  walletAmount: Joi.number().positive().precision(2).when("useWallet", {
+    is: true,
+    otherwise: Joi.forbidden(),
+  }),
 });
 
 /**
@@ -168,6 +174,59 @@ export const cancelOrderSchema = Joi.object({
   }),
 });
 
+/**
+ * Amend order (kitchen removes or substitutes items)
+ */
+const AMENDMENT_TYPES = ["REMOVE_ITEM", "SUBSTITUTE_ITEM", "REMOVE_ADDON", "SUBSTITUTE_ADDON"];
+
+export const amendOrderSchema = Joi.object({
+  changes: Joi.array()
+    .items(
+      Joi.object({
+        type: Joi.string()
+          .valid(...AMENDMENT_TYPES)
+          .required()
+          .messages({
+            "any.required": "Change type is required",
+            "any.only": `Change type must be one of: ${AMENDMENT_TYPES.join(", ")}`,
+          }),
+        itemId: Joi.string().hex().length(24).required().messages({
+          "any.required": "Order item ID is required",
+        }),
+        addonId: Joi.string()
+          .hex()
+          .length(24)
+          .when("type", {
+            is: Joi.valid("REMOVE_ADDON", "SUBSTITUTE_ADDON"),
+            then: Joi.required(),
+            otherwise: Joi.forbidden(),
+          })
+          .messages({ "any.required": "Add-on ID is required for add-on changes" }),
+        replacementId: Joi.string()
+          .hex()
+          .length(24)
+          .when("type", {
+            is: Joi.valid("SUBSTITUTE_ITEM", "SUBSTITUTE_ADDON"),
+            then: Joi.required(),
+            otherwise: Joi.forbidden(),
+          })
+          .messages({ "any.required": "Replacement ID is required for substitutions" }),
+        quantity: Joi.number().integer().min(1).max(10),
+      })
+    )
+    .min(1)
+    .max(20)
+    .required()
+    .messages({
+      "any.required": "At least one change is required",
+      "array.min": "At least one change is required",
+    }),
+  reason: Joi.string().min(5).max(500).trim().required().messages({
+    "any.required": "Reason for the change is required",
+    "string.min": "Reason must be at least 5 characters",
+  }),
+});
+
 /**
  * Update order status (kitchen)
  */
@@ -256,6 +315,13 @@ export const rateOrderSchema = Joi.object({
   comment: Joi.string().max(500).trim().allow("", null),
 });
 
+/**
+ * Invoice download
+ */
+export const invoiceQuerySchema = Joi.object({
+  format: Joi.string().valid("pdf", "html").default("pdf"),
+});
+
 export default {
   createOrderSchema,
   calculatePricingSchema,
@@ -264,10 +330,12 @@ export default {
   acceptOrderSchema,
   rejectOrderSchema,
   cancelOrderSchema,
+  amendOrderSchema,
   updateOrderStatusSchema,
   updateDeliveryStatusSchema,
   adminUpdateStatusSchema,
   adminCancelOrderSchema,
   queryAllOrdersSchema,
   rateOrderSchema,
+  invoiceQuerySchema,
 };
@@ -11,6 +11,7 @@ import {
   validateQuery,
   validateParams,
 } from "../../middlewares/validate.middleware.js";
+import { idempotency } from "../../middlewares/idempotency.middleware.js";
 import {
   createOrderPaymentSchema,
   createSubscriptionPaymentSchema,
@@ -64,6 +65,7 @@ router.post(
   "/order/:orderId/initiate",
   adminAuthMiddleware,
   roleMiddleware(["CUSTOMER", "ADMIN"]),
+  idempotency(),
   validateParams(orderIdParamSchema),
   paymentController.initiateOrderPayment
 );
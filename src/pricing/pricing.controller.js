@@ -0,0 +1,372 @@
+import mongoose from "mongoose";
+import PricingRule from "../../schema/pricingRule.schema.js";
+import { sendResponse } from "../../utils/response.utils.js";
+import { safeAuditLog } from "../../utils/audit.utils.js";
+import { getFeesConfig } from "../../services/config.service.js";
+import {
+  getRuleDefinitionError,
+  applyPricingRules,
+} from "../../services/pricing-rules.service.js";
+
+/**
+ * Pricing Rule Controller
+ * Admin management of versioned pricing rules
+ */
+
+// Fields carried over from the previous version when publishing a new one
+const VERSIONED_FIELDS = [
+  "name",
+  "description",
+  "ruleType",
+  "charge",
+  "zoneIds",
+  "menuTypes",
+  "slabs",
+  "amount",
+  "minOrderValue",
+  "multiplier",
+  "mealWindows",
+  "daysOfWeek",
+  "startTime",
+  "endTime",
+  "maxSurgeAmount",
+  "priority",
+];
+
+/**
+ * Whether a rule version is in effect at a point in time
+ * @param {Object} rule - Rule version
+ * @param {Date} at - Point in time
+ * @returns {boolean}
+ */
+function isEffectiveAt(rule, at = new Date()) {
+  return (
+    rule.status === "ACTIVE" &&
+    rule.effectiveFrom <= at &&
+    (!rule.effectiveTo || rule.effectiveTo > at)
+  );
+}
+
+/**
+ * Create a pricing rule (version 1)
+ * @route POST /api/pricing-rules
+ * @access Admin
+ */
+export async function createPricingRule(req, res) {
+  try {
+    const data = req.body;
+    const ruleKey = data.ruleKey.toUpperCase();
+
+    const existing = await PricingRule.exists({ ruleKey });
+    if (existing) {
+      return sendResponse(res, 400, false, "Rule key already exists. Publish a new version instead");
+    }
+
+    const definitionError = getRuleDefinitionError(data);
+    if (definitionError) {
+      return sendResponse(res, 400, false, definitionError);
+    }
+
+    const effectiveFrom = data.effectiveFrom || new Date();
+    if (data.effectiveTo && data.effectiveTo <= effectiveFrom) {
+      return sendResponse(res, 400, false, "effectiveTo must be after effectiveFrom");
+    }
+
+    const rule = await PricingRule.create({
+      ...data,
+      ruleKey,
+      version: 1,
+      effectiveFrom,
+      createdBy: req.user._id,
+    });
+
+    safeAuditLog(req, {
+      action: "CREATE",
+      entityType: "PRICING_RULE",
+      entityId: rule._id,
+      entityName: rule.ruleKey,
+      newValue: rule.toObject(),
+      description: `Created pricing rule ${rule.ruleKey} (${rule.ruleType})`,
+    });
+
+    return sendResponse(res, 201, true, "Pricing rule created", { rule });
+  } catch (error) {
+    console.log("Create pricing rule error:", error);
+    return sendResponse(res, 500, false, "Failed to create pricing rule");
+  }
+}
+
+/**
+ * List pricing rules (latest version of each)
+ * @route GET /api/pricing-rules
+ * @access Admin
+ */
+export async function getPricingRules(req, res) {
+  try {
+    const { ruleType, charge, zoneId, status, page = 1, limit = 20 } =
+      req.validatedQuery || req.query;
+
+    const match = {};
+    if (ruleType) match.ruleType = ruleType;
+    if (charge) match.charge = charge;
+    if (status) match.status = status;
+
+    const skip = (page - 1) * limit;
+
+    const pipeline = [
+      { $sort: { version: -1 } },
+      { $group: { _id: "$ruleKey", rule: { $first: "$$ROOT" }, versions: { $sum: 1 } } },
+      { $replaceRoot: { newRoot: { $mergeObjects: ["$rule", { versionCount: "$versions" }] } } },
+      { $match: match },
+    ];
+
+    // Zone filter includes global rules, since they also apply in that zone
+    if (zoneId) {
+      pipeline.push({
+        $match: {
+          $or: [
+            { zoneIds: { $size: 0 } },
+            { zoneIds: new mongoose.Types.ObjectId(zoneId) },
+          ],
+        },
+      });
+    }
+
+    const [result] = await PricingRule.aggregate([
+      ...pipeline,
+      {
+        $facet: {
+          rules: [
+            { $sort: { ruleType: 1, priority: -1, ruleKey: 1 } },
+            { $skip: skip },
+            { $limit: parseInt(limit) },
+          ],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+
+    const now = new Date();
+    const total = result.total[0]?.count || 0;
+
+    return sendResponse(res, 200, true, "Pricing rules retrieved", {
+      rules: result.rules.map((rule) => ({
+        ...rule,
+        isEffectiveNow: isEffectiveAt(rule, now),
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.log("Get pricing rules error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve pricing rules");
+  }
+}
+
+/**
+ * Get all versions of a pricing rule
+ * @route GET /api/pricing-rules/:ruleKey
+ * @access Admin
+ */
+export async function getPricingRuleHistory(req, res) {
+  try {
+    const ruleKey = req.params.ruleKey.toUpperCase();
+
+    const versions = await PricingRule.find({ ruleKey })
+      .sort({ version: -1 })
+      .populate("createdBy", "name")
+      .lean();
+
+    if (versions.length === 0) {
+      return sendResponse(res, 404, false, "Pricing rule not found");
+    }
+
+    const now = new Date();
+
+    return sendResponse(res, 200, true, "Pricing rule retrieved", {
+      ruleKey,
+      current: versions.find((v) => isEffectiveAt(v, now)) || null,
+      versions,
+    });
+  } catch (error) {
+    console.log("Get pricing rule history error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve pricing rule");
+  }
+}
+
+/**
+ * Publish a new version of a pricing rule
+ * The previous active version stays in effect until the new version's
+ * effectiveFrom, so changes can be scheduled ahead.
+ * @route PUT /api/pricing-rules/:ruleKey
+ * @access Admin
+ */
+export async function updatePricingRule(req, res) {
+  try {
+    const ruleKey = req.params.ruleKey.toUpperCase();
+    const { changeNote, ...updates } = req.body;
+
+    const latest = await PricingRule.findLatestVersion(ruleKey);
+    if (!latest) {
+      return sendResponse(res, 404, false, "Pricing rule not found");
+    }
+
+    const previous = await PricingRule.findOne({ ruleKey, status: "ACTIVE" }).sort({ version: -1 });
+
+    const effectiveFrom = updates.effectiveFrom || new Date();
+    if (updates.effectiveTo && updates.effectiveTo <= effectiveFrom) {
+      return sendResponse(res, 400, false, "effectiveTo must be after effectiveFrom");
+    }
+
+    if (previous && effectiveFrom <= previous.effectiveFrom) {
+      return sendResponse(
+        res,
+        400,
+        false,
+        `New version must take effect after version ${previous.version} (${previous.effectiveFrom.toISOString()})`
+      );
+    }
+
+    const definition = {};
+    for (const field of VERSIONED_FIELDS) {
+      definition[field] = updates[field] !== undefined ? updates[field] : latest[field];
+    }
+
+    const definitionError = getRuleDefinitionError(definition);
+    if (definitionError) {
+      return sendResponse(res, 400, false, definitionError);
+    }
+
+    const rule = await PricingRule.create({
+      ...definition,
+      ruleKey,
+      version: latest.version + 1,
+      effectiveFrom,
+      effectiveTo: updates.effectiveTo ?? null,
+      createdBy: req.user._id,
+    });
+
+    // Close the previous version; if this fails the higher version still wins
+    if (previous && (!previous.effectiveTo || previous.effectiveTo > effectiveFrom)) {
+      previous.effectiveTo = effectiveFrom;
+      previous.supersededBy = rule._id;
+      await previous.save();
+    }
+
+    safeAuditLog(req, {
+      action: "UPDATE",
+      entityType: "PRICING_RULE",
+      entityId: rule._id,
+      entityName: rule.ruleKey,
+      previousValue: previous ? { version: previous.version } : null,
+      newValue: { version: rule.version, effectiveFrom: rule.effectiveFrom },
+      changedFields: Object.keys(updates),
+      description: changeNote || `Published version ${rule.version} of ${rule.ruleKey}`,
+    });
+
+    return sendResponse(res, 200, true, "Pricing rule version published", { rule });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendResponse(res, 409, false, "Another version was published at the same time, please retry");
+    }
+    console.log("Update pricing rule error:", error);
+    return sendResponse(res, 500, false, "Failed to update pricing rule");
+  }
+}
+
+/**
+ * Retire a pricing rule
+ * Ends the current version now and cancels scheduled versions. History is kept.
+ * @route PATCH /api/pricing-rules/:ruleKey/retire
+ * @access Admin
+ */
+export async function retirePricingRule(req, res) {
+  try {
+    const ruleKey = req.params.ruleKey.toUpperCase();
+    const { reason } = req.body;
+    const now = new Date();
+
+    const exists = await PricingRule.exists({ ruleKey });
+    if (!exists) {
+      return sendResponse(res, 404, false, "Pricing rule not found");
+    }
+
+    const [scheduled, current] = await Promise.all([
+      PricingRule.updateMany(
+        { ruleKey, status: "ACTIVE", effectiveFrom: { $gt: now } },
+        { $set: { status: "RETIRED" } }
+      ),
+      PricingRule.updateMany(
+        {
+          ruleKey,
+          status: "ACTIVE",
+          effectiveFrom: { $lte: now },
+          $or: [{ effectiveTo: null }, { effectiveTo: { $gt: now } }],
+        },
+        { $set: { effectiveTo: now } }
+      ),
+    ]);
+
+    if (scheduled.modifiedCount === 0 && current.modifiedCount === 0) {
+      return sendResponse(res, 400, false, "Pricing rule is not in effect or scheduled");
+    }
+
+    safeAuditLog(req, {
+      action: "DEACTIVATE",
+      entityType: "PRICING_RULE",
+      entityName: ruleKey,
+      description: reason || `Retired pricing rule ${ruleKey}`,
+    });
+
+    return sendResponse(res, 200, true, "Pricing rule retired", {
+      ruleKey,
+      endedVersions: current.modifiedCount,
+      cancelledVersions: scheduled.modifiedCount,
+    });
+  } catch (error) {
+    console.log("Retire pricing rule error:", error);
+    return sendResponse(res, 500, false, "Failed to retire pricing rule");
+  }
+}
+
+/**
+ * Preview charges for a hypothetical order
+ * @route POST /api/pricing-rules/preview
+ * @access Admin
+ */
+export async function previewPricing(req, res) {
+  try {
+    const { zoneId, menuType, mealWindow, orderValue, distanceKm = null, at } = req.body;
+    const pricingTime = at ? new Date(at) : new Date();
+
+    const rules = await PricingRule.findEffective(pricingTime);
+    const { fees, feeRules } = applyPricingRules(
+      rules,
+      { zoneId, menuType, mealWindow, orderValue, distanceKm },
+      getFeesConfig(),
+      pricingTime
+    );
+
+    return sendResponse(res, 200, true, "Pricing preview", {
+      at: pricingTime,
+      fees,
+      feeRules,
+    });
+  } catch (error) {
+    console.log("Preview pricing error:", error);
+    return sendResponse(res, 500, false, "Failed to preview pricing");
+  }
+}
+
+export default {
+  createPricingRule,
+  getPricingRules,
+  getPricingRuleHistory,
+  updatePricingRule,
+  retirePricingRule,
+  previewPricing,
+};
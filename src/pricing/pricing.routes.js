@@ -0,0 +1,76 @@
+import { Router } from "express";
+import pricingController from "./pricing.controller.js";
+import { adminAuthMiddleware, adminMiddleware } from "../../middlewares/auth.middleware.js";
+import { validateBody, validateQuery, validateParams } from "../../middlewares/validate.middleware.js";
+import {
+  createPricingRuleSchema,
+  updatePricingRuleSchema,
+  retirePricingRuleSchema,
+  ruleKeyParamSchema,
+  queryPricingRulesSchema,
+  previewPricingSchema,
+} from "./pricing.validation.js";
+
+const router = Router();
+
+/**
+ * ADMIN ROUTES
+ */
+
+// Preview charges for a hypothetical order
+router.post(
+  "/preview",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateBody(previewPricingSchema),
+  pricingController.previewPricing
+);
+
+// Create pricing rule
+router.post(
+  "/",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateBody(createPricingRuleSchema),
+  pricingController.createPricingRule
+);
+
+// List pricing rules (latest versions)
+router.get(
+  "/",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateQuery(queryPricingRulesSchema),
+  pricingController.getPricingRules
+);
+
+// Get rule with version history
+router.get(
+  "/:ruleKey",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(ruleKeyParamSchema),
+  pricingController.getPricingRuleHistory
+);
+
+// Publish a new version
+router.put(
+  "/:ruleKey",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(ruleKeyParamSchema),
+  validateBody(updatePricingRuleSchema),
+  pricingController.updatePricingRule
+);
+
+// Retire rule
+router.patch(
+  "/:ruleKey/retire",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(ruleKeyParamSchema),
+  validateBody(retirePricingRuleSchema),
+  pricingController.retirePricingRule
+);
+
+export default router;
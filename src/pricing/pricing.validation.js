@@ -0,0 +1,130 @@
+import Joi from "joi";
+import { RULE_TYPES, RULE_CHARGES } from "../../schema/pricingRule.schema.js";
+
+/**
+ * Pricing Rule Validation Schemas
+ */
+
+const MENU_TYPES = ["MEAL_MENU", "ON_DEMAND_MENU"];
+const MEAL_WINDOWS = ["LUNCH", "DINNER"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const objectId = Joi.string().hex().length(24);
+
+const slabSchema = Joi.object({
+  minKm: Joi.number().min(0).required(),
+  maxKm: Joi.number().greater(Joi.ref("minKm")).allow(null).default(null).messages({
+    "number.greater": "Slab maxKm must be greater than minKm",
+  }),
+  fee: Joi.number().min(0).precision(2).required(),
+});
+
+/**
+ * Fields shared by create and new-version requests
+ * Type-specific requirements are checked against the merged rule in the controller.
+ */
+const ruleFields = {
+  name: Joi.string().min(2).max(100).trim(),
+  description: Joi.string().max(500).trim().allow("", null),
+  charge: Joi.string().valid(...RULE_CHARGES),
+  zoneIds: Joi.array().items(objectId),
+  menuTypes: Joi.array().items(Joi.string().valid(...MENU_TYPES)),
+  slabs: Joi.array().items(slabSchema).max(20),
+  amount: Joi.number().min(0).precision(2),
+  minOrderValue: Joi.number().min(0),
+  multiplier: Joi.number().min(1).max(5),
+  mealWindows: Joi.array().items(Joi.string().valid(...MEAL_WINDOWS)),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)),
+  startTime: Joi.string().pattern(TIME_PATTERN).allow(null).messages({
+    "string.pattern.base": "startTime must be HH:mm",
+  }),
+  endTime: Joi.string().pattern(TIME_PATTERN).allow(null).messages({
+    "string.pattern.base": "endTime must be HH:mm",
+  }),
+  maxSurgeAmount: Joi.number().min(0).allow(null),
+  priority: Joi.number().integer().min(0).max(1000),
+  effectiveFrom: Joi.date(),
+  effectiveTo: Joi.date().allow(null),
+};
+
+/**
+ * Create pricing rule (version 1)
+ */
+export const createPricingRuleSchema = Joi.object({
+  ...ruleFields,
+  ruleKey: Joi.string()
+    .pattern(/^[A-Za-z0-9_]+$/)
+    .min(3)
+    .max(50)
+    .required()
+    .messages({
+      "any.required": "Rule key is required",
+      "string.pattern.base": "Rule key must be alphanumeric with underscores",
+    }),
+  name: ruleFields.name.required().messages({
+    "any.required": "Rule name is required",
+  }),
+  ruleType: Joi.string()
+    .valid(...RULE_TYPES)
+    .required()
+    .messages({
+      "any.required": "Rule type is required",
+    }),
+}).and("startTime", "endTime");
+
+/**
+ * Publish a new version of a rule
+ */
+export const updatePricingRuleSchema = Joi.object({
+  ...ruleFields,
+  changeNote: Joi.string().max(500).trim(),
+})
+  .and("startTime", "endTime")
+  .min(1);
+
+/**
+ * Retire a rule
+ */
+export const retirePricingRuleSchema = Joi.object({
+  reason: Joi.string().max(500).trim(),
+});
+
+/**
+ * Rule key param
+ */
+export const ruleKeyParamSchema = Joi.object({
+  ruleKey: Joi.string().pattern(/^[A-Za-z0-9_]+$/).max(50).required(),
+});
+
+/**
+ * Query pricing rules (latest versions)
+ */
+export const queryPricingRulesSchema = Joi.object({
+  ruleType: Joi.string().valid(...RULE_TYPES),
+  charge: Joi.string().valid(...RULE_CHARGES),
+  zoneId: objectId,
+  status: Joi.string().valid("ACTIVE", "RETIRED"),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+/**
+ * Preview how rules price a hypothetical order
+ */
+export const previewPricingSchema = Joi.object({
+  zoneId: objectId,
+  menuType: Joi.string().valid(...MENU_TYPES).required(),
+  mealWindow: Joi.string().valid(...MEAL_WINDOWS),
+  orderValue: Joi.number().min(0).required(),
+  distanceKm: Joi.number().min(0).allow(null),
+  at: Joi.date(),
+});
+
+export default {
+  createPricingRuleSchema,
+  updatePricingRuleSchema,
+  retirePricingRuleSchema,
+  ruleKeyParamSchema,
+  queryPricingRulesSchema,
+  previewPricingSchema,
+};
@@ -5,6 +5,12 @@ import { sendResponse } from "../../utils/response.utils.js";
 import { safeAuditCreate } from "../../utils/audit.utils.js";
 import paymentService from "../../services/payment.service.js";
 import razorpayProvider from "../../services/razorpay.provider.js";
+import { creditWallet } from "../../services/wallet.service.js";
+import {
+  createCreditNoteForRefund,
+  safeCreateCreditNote,
+} from "../../services/invoice.service.js";
+import { sendInvoiceDocument } from "../../services/invoice-document.service.js";
 
 /**
  * 
@@ -107,7 +113,162 @@ async function callPaymentGatewayRefund(originalPaymentId, amount, refundRecord
 }
 
 /**
- * Calculate refundable amount for an order
+ * Credit a refund to the customer's wallet (instant, no gateway call)
+ * Returns the same shape as callPaymentGatewayRefund
+ * @param {Object} refund - Refund document
+ * @returns {Promise<{success: boolean, gatewayRefundId: null, error: string|null, isVoucherOnly: boolean}>}
+ */
+async function creditRefundToWallet(refund) {
+  const result = await creditWallet({
+    userId: refund.userId,
+    amount: refund.amount,
+    source: "REFUND",
+    referenceType: "Refund",
+    referenceId: refund._id,
+    description: `Refund ${refund.refundNumber}`,
+    idempotencyKey: `refund:${refund._id}`,
+  });
+
+  if (!result.success) {
+    console.log(`> Refund: Wallet credit failed - ${result.error}`);
+    return {
+      success: false,
+      gatewayRefundId: null,
+      error: result.error,
+      isVoucherOnly: false,
+    };
+  }
+
+  refund.walletTransactionId = result.entry._id;
+  console.log(`> Refund: Credited ${refund.amount} to wallet - ${refund.refundNumber}`);
+
+  return {
+    success: true,
+    gatewayRefundId: null,
+    error: null,
+    isVoucherOnly: false,
+  };
+}
+
+/**
+ * Send a refund through its refund method (wallet or original payment)
+ * @param {Object} refund - Refund document
+ * @returns {Promise<Object>} Gateway-style result
+ */
+async function executeRefund(refund) {
+  if (refund.refundMethod === "WALLET") {
+    return creditRefundToWallet(refund);
+  }
+  return callPaymentGatewayRefund(refund.originalPaymentId, refund.amount);
+}
+
+/**
+ * Update order payment status after a refund completes
+ * @param {Object} refund - Refund document (not yet saved as COMPLETED)
+ */
+async function updateOrderPaymentStatus(refund) {
+  const order = await Order.findById(refund.orderId);
+  if (!order) return;
+
+  const totalRefunded = await calculateTotalRefunded(refund.orderId);
+  if (totalRefunded + refund.amount >= getOrderPaidTotal(order)) {
+    order.paymentStatus = "REFUNDED";
+  } else {
+    order.paymentStatus = "PARTIALLY_REFUNDED";
+  }
+  await order.save();
+}
+
+/**
+ * Issue the GST credit note once a refund has completed
+ * Runs in the background so invoicing problems never fail the refund
+ * @param {Object} refund - Saved refund document
+ */
+function issueCreditNoteIfCompleted(refund) {
+  if (refund.status === "COMPLETED") {
+    safeCreateCreditNote(refund);
+  }
+}
+
+/**
+ * Credit a refund to the wallet and record the outcome
+ * Wallet refunds need no gateway round-trip, so they complete immediately
+ * @param {Object} refund - Refund document with refundMethod WALLET
+ * @returns {Promise<Object>} Wallet credit result
+ */
+async function completeWalletRefund(refund) {
+  const result = await creditRefundToWallet(refund);
+
+  if (result.success) {
+    await updateOrderPaymentStatus(refund);
+    refund.status = "COMPLETED";
+    refund.processedAt = new Date();
+    refund.completedAt = new Date();
+  } else {
+    refund.status = "FAILED";
+    refund.failedAt = new Date();
+    refund.failureReason = result.error;
+  }
+
+  await refund.save();
+  issueCreditNoteIfCompleted(refund);
+  return result;
+}
+
+/**
+ * Total the customer paid for an order: gateway payment plus wallet
+ * @param {Object} order - Order document
+ * @returns {number}
+ */
+function getOrderPaidTotal(order) {
+  const walletPaid = order.walletUsage?.reversedAt ? 0 : order.walletUsage?.amount || 0;
+  return order.amountPaid + walletPaid;
+}
+
+/**
+ * Calculate what is still refundable on an order, wherever it was paid from
+ * @param {Object} order - Order document
+ * @returns {Promise<number>} Refundable amount
+ */
+async function calculateOrderRefundable(order) {
+  return Math.max(0, getOrderPaidTotal(order) - (await calculateTotalRefunded(order._id)));
+}
+
+/**
+ * Split a refund between the original payment and the wallet
+ * The gateway can only return what it captured; the rest goes to the wallet.
+ * @param {Object} order - Order document
+ * @param {number} amount - Amount to refund
+ * @param {string} refundMethod - Requested method
+ * @returns {Promise<{toGateway: number, toWallet: number}>}
+ */
+async function splitRefundAmount(order, amount, refundMethod) {
+  if (refundMethod === "WALLET") {
+    return { toGateway: 0, toWallet: amount };
+  }
+  const toGateway = Math.min(amount, await calculateRefundableAmount(order._id));
+  return { toGateway, toWallet: Math.round((amount - toGateway) * 100) / 100 };
+}
+
+/**
+ * Claim a refund for processing
+ * Only one caller (retry job, admin, customer switching to wallet) can move a
+ * refund out of the given statuses, so it is never sent twice.
+ * @param {Object} filter - Refund filter (must include _id)
+ * @param {Array<string>} fromStatuses - Statuses the refund may be claimed from
+ * @param {Object} [set] - Extra fields to set with the claim
+ * @returns {Promise<Object|null>} Claimed refund, or null if someone else has it
+ */
+async function claimRefund(filter, fromStatuses, set = {}) {
+  return Refund.findOneAndUpdate(
+    { ...filter, status: { $in: fromStatuses } },
+    { $set: { ...set, status: "PROCESSING" } },
+    { new: true }
+  );
+}
+
+/**
+ * Calculate what can still go back to an order's original payment
  * @param {string} orderId - Order ID
  * @returns {Promise<number>} Refundable amount
  */
@@ -225,6 +386,7 @@ export async function initiateRefund(req, res) {
       reasonDetails,
       refundType = "FULL",
       amount,
+      refundMethod = "ORIGINAL_PAYMENT",
     } = req.body;
 
     // Fetch order
@@ -274,16 +436,16 @@ export async function initiateRefund(req, res) {
     // Get the newly created refund document to continue processing
     const refund = await Refund.findById(existingOrCreated.value._id);
 
-    // Determine refund amount
+    // Determine refund amount (a full refund includes the wallet-paid part)
     let refundAmount;
     if (refundType === "PARTIAL") {
       refundAmount = amount;
     } else {
-      refundAmount = order.amountPaid;
+      refundAmount = getOrderPaidTotal(order);
     }
 
     // Verify refundable amount
-    const refundable = await calculateRefundableAmount(orderId);
+    const refundable = await calculateOrderRefundable(order);
     if (refundAmount > refundable) {
       // Delete the placeholder refund we created
       await Refund.findByIdAndDelete(refund._id);
@@ -297,7 +459,7 @@ export async function initiateRefund(req, res) {
 
     // Handle voucher-only orders
     let vouchersRestored = null;
-    if (order.amountPaid === 0 && order.voucherUsage?.voucherIds?.length > 0) {
+    if (getOrderPaidTotal(order) === 0 && order.voucherUsage?.voucherIds?.length > 0) {
       // Delete the placeholder refund we created (no monetary refund needed)
       await Refund.findByIdAndDelete(refund._id);
 
@@ -316,15 +478,32 @@ export async function initiateRefund(req, res) {
       );
     }
 
+    // The gateway takes back what it captured; the wallet-paid rest goes to the wallet
+    const { toGateway, toWallet } = await splitRefundAmount(order, refundAmount, refundMethod);
+
     // Update the placeholder refund with actual values
-    refund.amount = refundAmount;
+    refund.amount = toGateway > 0 ? toGateway : toWallet;
     refund.refundType = refundType;
     refund.reason = reason;
     refund.reasonDetails = reasonDetails;
+    refund.refundMethod = toGateway > 0 ? refundMethod : "WALLET";
     refund.originalPaymentId = order.paymentId || "N/A";
 
     await refund.save();
 
+    let walletRefund = null;
+    if (toGateway > 0 && toWallet > 0) {
+      const walletResult = await issuePartialRefund({
+        order,
+        amount: toWallet,
+        reason: reason || "ADMIN_INITIATED",
+        reasonDetails,
+        refundMethod: "WALLET",
+        initiatedBy: req.user?._id,
+      });
+      walletRefund = walletResult.refund;
+    }
+
     // Restore vouchers if order used them
     if (order.voucherUsage?.voucherIds?.length > 0) {
       const voucherResult = await restoreOrderVouchers(orderId, reason);
@@ -334,8 +513,13 @@ export async function initiateRefund(req, res) {
       await refund.save();
     }
 
+    if (refund.refundMethod === "WALLET") {
+      await completeWalletRefund(refund);
+    }
+
     return sendResponse(res, 200, true, "Refund initiated", {
       refund,
+      walletRefund,
       vouchersRestored,
     });
   } catch (error) {
@@ -353,7 +537,7 @@ export async function processRefund(req, res) {
   try {
     const { id } = req.params;
 
-    const refund = await Refund.findById(id);
+    let refund = await Refund.findById(id);
     if (!refund) {
       return sendResponse(res, 404, false, "Refund not found");
     }
@@ -367,8 +551,12 @@ export async function processRefund(req, res) {
       );
     }
 
-    // Update status to processing
-    refund.status = "PROCESSING";
+    // Claim it so the retry job or a wallet switch can't send it as well
+    refund = await claimRefund({ _id: refund._id }, ["INITIATED", "PENDING", "FAILED"]);
+    if (!refund) {
+      return sendResponse(res, 409, false, "Refund is already being processed");
+    }
+
     refund.statusTimeline.push({
       status: "PROCESSING",
       timestamp: new Date(),
@@ -377,10 +565,7 @@ export async function processRefund(req, res) {
     await refund.save();
 
     // Call payment gateway
-    const gatewayResult = await callPaymentGatewayRefund(
-      refund.originalPaymentId,
-      refund.amount
-    );
+    const gatewayResult = await executeRefund(refund);
 
     if (gatewayResult.success) {
       refund.status = "COMPLETED";
@@ -393,16 +578,7 @@ export async function processRefund(req, res) {
       });
 
       // Update order payment status
-      const order = await Order.findById(refund.orderId);
-      if (order) {
-        const totalRefunded = await calculateTotalRefunded(refund.orderId);
-        if (totalRefunded + refund.amount >= order.amountPaid) {
-          order.paymentStatus = "REFUNDED";
-        } else {
-          order.paymentStatus = "PARTIALLY_REFUNDED";
-        }
-        await order.save();
-      }
+      await updateOrderPaymentStatus(refund);
     } else {
       refund.status = "FAILED";
       refund.retryCount = (refund.retryCount || 0) + 1;
@@ -421,6 +597,7 @@ export async function processRefund(req, res) {
     }
 
     await refund.save();
+    issueCreditNoteIfCompleted(refund);
 
     return sendResponse(res, 200, true, "Refund processing complete", {
       refund,
@@ -443,6 +620,58 @@ async function calculateTotalRefunded(orderId) {
   return result[0]?.total || 0;
 }
 
+/**
+ * Retry FAILED refunds that are due for another gateway attempt
+ * Shared by the process-failed endpoint and the scheduled refund retry job
+ * @returns {Promise<Object>} { processed, succeeded, failed }
+ */
+export async function retryFailedRefunds() {
+  const now = new Date();
+
+  const failedRefunds = await Refund.find({
+    status: "FAILED",
+    retryCount: { $lt: MAX_RETRIES },
+    nextRetryAt: { $lte: now },
+  });
+
+  const results = {
+    processed: 0,
+    succeeded: 0,
+    failed: 0,
+  };
+
+  for (const candidate of failedRefunds) {
+    // Skip refunds an admin or the customer took over since the query
+    const refund = await claimRefund({ _id: candidate._id }, ["FAILED"]);
+    if (!refund) continue;
+
+    results.processed++;
+
+    const gatewayResult = await executeRefund(refund);
+
+    if (gatewayResult.success) {
+      refund.status = "COMPLETED";
+      refund.refundGatewayId = gatewayResult.gatewayRefundId;
+      refund.completedAt = new Date();
+      results.succeeded++;
+    } else {
+      refund.status = "FAILED";
+      refund.retryCount++;
+      refund.failureReason = gatewayResult.error;
+
+      if (refund.retryCount < MAX_RETRIES) {
+        refund.nextRetryAt = new Date(Date.now() + 60 * 60 * 1000);
+      }
+      results.failed++;
+    }
+
+    await refund.save();
+    issueCreditNoteIfCompleted(refund);
+  }
+
+  return results;
+}
+
 /**
  * Process failed refunds (Cron job)
  * @route POST /api/refunds/process-failed
@@ -450,56 +679,159 @@ async function calculateTotalRefunded(orderId) {
  */
 export async function processFailedRefunds(req, res) {
   try {
-    const now = new Date();
+    const results = await retryFailedRefunds();
 
-    const failedRefunds = await Refund.find({
-      status: "FAILED",
-      retryCount: { $lt: MAX_RETRIES },
-      nextRetryAt: { $lte: now },
-    });
+    return sendResponse(res, 200, true, "Failed refunds processed", results);
+  } catch (error) {
+    console.log("Process failed refunds error:", error);
+    return sendResponse(res, 500, false, "Failed to process failed refunds");
+  }
+}
 
-    const results = {
-      processed: 0,
-      succeeded: 0,
-      failed: 0,
+/**
+ * Refund part of an order right away (no approval step)
+ * Used when a delivery issue claim is upheld. Wallet-paid amounts can only go
+ * back to the wallet; a gateway failure leaves the refund FAILED for the
+ * retry job.
+ * @param {Object} params
+ * @param {Object} params.order - Order document
+ * @param {number} params.amount - Amount to refund
+ * @param {string} params.reason - Refund reason
+ * @param {string} [params.reasonDetails]
+ * @param {string} [params.refundMethod] - WALLET or ORIGINAL_PAYMENT
+ * @param {ObjectId} params.initiatedBy - User resolving the claim
+ * @param {string} [params.notes]
+ * @returns {Promise<{success: boolean, refund: Object|null, error: string|null}>}
+ */
+export async function issuePartialRefund({
+  order,
+  amount,
+  reason,
+  reasonDetails,
+  refundMethod = "WALLET",
+  initiatedBy,
+  notes,
+}) {
+  const gatewayRefundable = await calculateRefundableAmount(order._id);
+  const refundable = await calculateOrderRefundable(order);
+
+  if (amount > refundable) {
+    return { success: false, refund: null, error: `Maximum refundable amount is ${refundable}` };
+  }
+  if (refundMethod === "ORIGINAL_PAYMENT" && amount > gatewayRefundable) {
+    return {
+      success: false,
+      refund: null,
+      error: `Only ${gatewayRefundable} can go back to the original payment. Refund to the wallet instead`,
     };
+  }
 
-    for (const refund of failedRefunds) {
-      results.processed++;
-
-      // Process refund
-      refund.status = "PROCESSING";
-      await refund.save();
+  const refund = new Refund({
+    refundNumber: generateRefundNumber(),
+    orderId: order._id,
+    userId: order.userId,
+    amount,
+    refundType: "PARTIAL",
+    reason,
+    reasonDetails,
+    status: "PROCESSING",
+    refundMethod,
+    originalPaymentId: order.paymentId || "N/A",
+    originalPaymentMethod: order.paymentMethod,
+    initiatedAt: new Date(),
+    initiatedBy,
+    approvedBy: initiatedBy,
+    approvedAt: new Date(),
+    notes,
+    statusTimeline: [
+      {
+        status: "PROCESSING",
+        timestamp: new Date(),
+        notes: reasonDetails,
+      },
+    ],
+  });
+
+  await refund.save();
+
+  safeAuditCreate({
+    action: "INITIATE_REFUND",
+    entityType: "REFUND",
+    entityId: refund._id,
+    performedBy: initiatedBy,
+    details: { orderId: order._id, amount, reason, refundMethod },
+  });
+
+  const gatewayResult = await executeRefund(refund);
+
+  if (gatewayResult.success) {
+    await updateOrderPaymentStatus(refund);
+    refund.status = "COMPLETED";
+    refund.refundGatewayId = gatewayResult.gatewayRefundId;
+    refund.processedAt = new Date();
+    refund.completedAt = new Date();
+    refund.statusTimeline.push({
+      status: "COMPLETED",
+      timestamp: new Date(),
+      notes: gatewayResult.gatewayRefundId
+        ? `Gateway refund ID: ${gatewayResult.gatewayRefundId}`
+        : "Credited to wallet",
+    });
+  } else {
+    refund.status = "FAILED";
+    refund.retryCount = 1;
+    refund.failureReason = gatewayResult.error;
+    refund.nextRetryAt = new Date(Date.now() + 60 * 60 * 1000);
+    refund.statusTimeline.push({
+      status: "FAILED",
+      timestamp: new Date(),
+      notes: gatewayResult.error,
+    });
+  }
 
-      const gatewayResult = await callPaymentGatewayRefund(
-        refund.originalPaymentId,
-        refund.amount
-      );
+  await refund.save();
+  issueCreditNoteIfCompleted(refund);
 
-      if (gatewayResult.success) {
-        refund.status = "COMPLETED";
-        refund.refundGatewayId = gatewayResult.gatewayRefundId;
-        refund.completedAt = new Date();
-        results.succeeded++;
-      } else {
-        refund.status = "FAILED";
-        refund.retryCount++;
-        refund.failureReason = gatewayResult.error;
-
-        if (refund.retryCount < MAX_RETRIES) {
-          refund.nextRetryAt = new Date(Date.now() + 60 * 60 * 1000);
-        }
-        results.failed++;
-      }
+  return { success: true, refund, error: null };
+}
 
-      await refund.save();
+/**
+ * Refund an amount the customer overpaid on an order
+ * Capped at what is still refundable. Goes back to the original payment
+ * while it holds enough, and the rest (the wallet-paid part) to the wallet.
+ * @param {Object} params
+ * @param {Object} params.order - Order document
+ * @param {number} params.amount - Amount to refund
+ * @param {string} params.reason - Refund reason
+ * @param {string} [params.reasonDetails]
+ * @param {ObjectId} params.initiatedBy
+ * @returns {Promise<{success: boolean, refunds: Array, refunded: number, error: string|null}>}
+ */
+export async function refundOrderDifference({ order, amount, reason, reasonDetails, initiatedBy }) {
+  amount = Math.min(amount, await calculateOrderRefundable(order));
+  const { toGateway, toWallet } = await splitRefundAmount(order, amount, "ORIGINAL_PAYMENT");
+
+  const refunds = [];
+  let refunded = 0;
+  for (const [refundMethod, part] of [["ORIGINAL_PAYMENT", toGateway], ["WALLET", toWallet]]) {
+    if (part <= 0) continue;
+
+    const result = await issuePartialRefund({
+      order,
+      amount: part,
+      reason,
+      reasonDetails,
+      refundMethod,
+      initiatedBy,
+    });
+    if (!result.success) {
+      return { success: false, refunds, refunded, error: result.error };
     }
-
-    return sendResponse(res, 200, true, "Failed refunds processed", results);
-  } catch (error) {
-    console.log("Process failed refunds error:", error);
-    return sendResponse(res, 500, false, "Failed to process failed refunds");
+    refunds.push(result.refund);
+    refunded += part;
   }
+
+  return { success: true, refunds, refunded: Math.round(refunded * 100) / 100, error: null };
 }
 
 /**
@@ -610,6 +942,91 @@ export async function getRefundById(req, res) {
   }
 }
 
+/**
+ * Download the GST credit note for a completed refund
+ * @route GET /api/refunds/:id/credit-note
+ * @access Authenticated (Customer owner, Admin)
+ */
+export async function getRefundCreditNote(req, res) {
+  try {
+    const { id } = req.params;
+    const { format = "pdf" } = req.validatedQuery || req.query;
+    const user = req.user;
+
+    const refund = await Refund.findById(id);
+    if (!refund) {
+      return sendResponse(res, 404, false, "Refund not found");
+    }
+
+    if (refund.userId.toString() !== user._id.toString() && user.role !== "ADMIN") {
+      return sendResponse(res, 403, false, "Not authorized to view this credit note");
+    }
+
+    if (refund.status !== "COMPLETED") {
+      return sendResponse(res, 400, false, "Credit note is issued once the refund completes");
+    }
+
+    // Normally issued when the refund completed; issue now if that failed
+    const result = await createCreditNoteForRefund(refund);
+    if (!result.success) {
+      return sendResponse(res, 400, false, result.error);
+    }
+
+    return sendInvoiceDocument(res, result.creditNote, format);
+  } catch (error) {
+    console.log("Get refund credit note error:", error);
+    return sendResponse(res, 500, false, "Failed to generate credit note");
+  }
+}
+
+/**
+ * Take a refund as instant wallet credit instead of waiting for the gateway
+ * Only refunds that have not reached the gateway (or failed there) can switch
+ * @route POST /api/refunds/:id/to-wallet
+ * @access Authenticated Customer
+ */
+export async function convertRefundToWallet(req, res) {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const refund = await Refund.findById(id);
+    if (!refund || refund.userId.toString() !== userId.toString()) {
+      return sendResponse(res, 404, false, "Refund not found");
+    }
+
+    if (refund.refundMethod === "WALLET") {
+      return sendResponse(res, 400, false, "Refund is already credited to wallet");
+    }
+
+    // Claim before crediting: the retry job may be sending this refund right now
+    const claimed = await claimRefund(
+      { _id: refund._id, refundMethod: { $ne: "WALLET" } },
+      ["INITIATED", "FAILED"],
+      { refundMethod: "WALLET", nextRetryAt: null }
+    );
+    if (!claimed) {
+      return sendResponse(
+        res,
+        400,
+        false,
+        "Refund cannot be switched to wallet in current status"
+      );
+    }
+
+    const result = await completeWalletRefund(claimed);
+
+    if (!result.success) {
+      return sendResponse(res, 500, false, "Failed to credit refund to wallet");
+    }
+
+    return sendResponse(res, 200, true, "Refund credited to wallet", { refund: claimed });
+  } catch (error) {
+    console.log("Convert refund to wallet error:", error);
+    return sendResponse(res, 500, false, "Failed to credit refund to wallet");
+  }
+}
+
 /**
  * 
  * ADMIN FUNCTIONS
@@ -703,7 +1120,14 @@ export async function getAllRefunds(req, res) {
  */
 export async function initiateManualRefund(req, res) {
   try {
-    const { orderId, amount, reason, reasonDetails, notes } = req.body;
+    const {
+      orderId,
+      amount,
+      reason,
+      reasonDetails,
+      notes,
+      refundMethod = "ORIGINAL_PAYMENT",
+    } = req.body;
     const adminId = req.user._id;
 
     // Verify order exists
@@ -713,7 +1137,7 @@ export async function initiateManualRefund(req, res) {
     }
 
     // Verify refundable amount
-    const refundable = await calculateRefundableAmount(orderId);
+    const refundable = await calculateOrderRefundable(order);
     if (amount > refundable) {
       return sendResponse(
         res,
@@ -723,17 +1147,21 @@ export async function initiateManualRefund(req, res) {
       );
     }
 
+    // The gateway takes back what it captured; the wallet-paid rest goes to the wallet
+    const { toGateway, toWallet } = await splitRefundAmount(order, amount, refundMethod);
+
     // Create refund
     const refund = new Refund({
       refundNumber: generateRefundNumber(),
       orderId,
       userId: order.userId,
-      amount,
-      refundType: amount < order.amountPaid ? "PARTIAL" : "FULL",
+      amount: toGateway > 0 ? toGateway : toWallet,
+      refundType: amount < getOrderPaidTotal(order) ? "PARTIAL" : "FULL",
       reason,
       reasonDetails,
       status: "INITIATED",
-      originalPaymentId: order.paymentId,
+      refundMethod: toGateway > 0 ? refundMethod : "WALLET",
+      originalPaymentId: order.paymentId || "N/A",
       originalPaymentMethod: order.paymentMethod,
       initiatedAt: new Date(),
       initiatedBy: adminId,
@@ -755,10 +1183,26 @@ export async function initiateManualRefund(req, res) {
       entityType: "REFUND",
       entityId: refund._id,
       performedBy: adminId,
-      details: { orderId, amount, reason },
+      details: { orderId, amount, reason, refundMethod },
     });
 
-    return sendResponse(res, 201, true, "Manual refund initiated", { refund });
+    let walletRefund = null;
+    if (refund.refundMethod === "WALLET") {
+      await completeWalletRefund(refund);
+    } else if (toWallet > 0) {
+      const walletResult = await issuePartialRefund({
+        order,
+        amount: toWallet,
+        reason,
+        reasonDetails,
+        refundMethod: "WALLET",
+        initiatedBy: adminId,
+        notes,
+      });
+      walletRefund = walletResult.refund;
+    }
+
+    return sendResponse(res, 201, true, "Manual refund initiated", { refund, walletRefund });
   } catch (error) {
     console.log("Initiate manual refund error:", error);
     return sendResponse(res, 500, false, "Failed to initiate manual refund");
@@ -810,10 +1254,7 @@ export async function approveRefund(req, res) {
 
     // Process the refund
     // In production, this might be queued
-    const gatewayResult = await callPaymentGatewayRefund(
-      refund.originalPaymentId,
-      refund.amount
-    );
+    const gatewayResult = await executeRefund(refund);
 
     if (gatewayResult.success) {
       refund.status = "COMPLETED";
@@ -825,6 +1266,7 @@ export async function approveRefund(req, res) {
     }
 
     await refund.save();
+    issueCreditNoteIfCompleted(refund);
 
     return sendResponse(res, 200, true, "Refund approved and processed", {
       refund,
@@ -892,7 +1334,7 @@ export async function retryRefund(req, res) {
     const { id } = req.params;
     const adminId = req.user._id;
 
-    const refund = await Refund.findById(id);
+    let refund = await Refund.findById(id);
     if (!refund) {
       return sendResponse(res, 404, false, "Refund not found");
     }
@@ -901,9 +1343,12 @@ export async function retryRefund(req, res) {
       return sendResponse(res, 400, false, "Can only retry failed refunds");
     }
 
-    // Reset retry count and process
-    refund.retryCount = 0;
-    refund.status = "PROCESSING";
+    // Claim it so the retry job can't send it at the same time
+    refund = await claimRefund({ _id: refund._id }, ["FAILED"], { retryCount: 0 });
+    if (!refund) {
+      return sendResponse(res, 409, false, "Refund is already being processed");
+    }
+
     refund.statusTimeline.push({
       status: "RETRY",
       timestamp: new Date(),
@@ -911,10 +1356,7 @@ export async function retryRefund(req, res) {
     });
     await refund.save();
 
-    const gatewayResult = await callPaymentGatewayRefund(
-      refund.originalPaymentId,
-      refund.amount
-    );
+    const gatewayResult = await executeRefund(refund);
 
     if (gatewayResult.success) {
       refund.status = "COMPLETED";
@@ -927,6 +1369,7 @@ export async function retryRefund(req, res) {
     }
 
     await refund.save();
+    issueCreditNoteIfCompleted(refund);
 
     // Log audit
     safeAuditCreate({
@@ -1070,6 +1513,8 @@ export default {
   processFailedRefunds,
   getMyRefunds,
   getRefundById,
+  getRefundCreditNote,
+  convertRefundToWallet,
   getAllRefunds,
   initiateManualRefund,
   approveRefund,
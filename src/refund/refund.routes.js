@@ -2,6 +2,7 @@ import { Router } from "express";
 import refundController from "./refund.controller.js";
 import { adminAuthMiddleware, adminMiddleware, roleMiddleware, internalAuthMiddleware } from "../../middlewares/auth.middleware.js";
 import { validateBody, validateQuery, validateParams } from "../../middlewares/validate.middleware.js";
+import { idempotency } from "../../middlewares/idempotency.middleware.js";
 import {
   initiateRefundSchema,
   manualRefundSchema,
@@ -9,6 +10,7 @@ import {
   queryMyRefundsSchema,
   queryAllRefundsSchema,
   queryRefundStatsSchema,
+  creditNoteQuerySchema,
 } from "./refund.validation.js";
 import Joi from "joi";
 
@@ -29,6 +31,7 @@ const idParamSchema = Joi.object({
 router.post(
   "/initiate",
   internalAuthMiddleware,
+  idempotency(),
   validateBody(initiateRefundSchema),
   refundController.initiateRefund
 );
@@ -97,6 +100,25 @@ router.get(
   refundController.getRefundById
 );
 
+// Download GST credit note (PDF or HTML)
+router.get(
+  "/:id/credit-note",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER", "ADMIN"]),
+  validateParams(idParamSchema),
+  validateQuery(creditNoteQuerySchema),
+  refundController.getRefundCreditNote
+);
+
+// Switch refund to instant wallet credit
+router.post(
+  "/:id/to-wallet",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER"]),
+  validateParams(idParamSchema),
+  refundController.convertRefundToWallet
+);
+
 // Process refund
 router.post(
   "/:id/process",
@@ -11,9 +11,13 @@ const REFUND_REASONS = [
   "DELIVERY_FAILED",
   "QUALITY_ISSUE",
   "WRONG_ORDER",
+  "MISSING_ITEM",
+  "SPILLAGE",
+  "ORDER_AMENDED",
   "ADMIN_INITIATED",
   "OTHER",
 ];
+const REFUND_METHODS = ["ORIGINAL_PAYMENT", "WALLET"];
 const REFUND_STATUSES = [
   "INITIATED",
   "PENDING",
@@ -46,6 +50,9 @@ export const initiateRefundSchema = Joi.object({
         "any.required": "Amount is required for partial refund",
       }),
     }),
+  refundMethod: Joi.string()
+    .valid(...REFUND_METHODS)
+    .default("ORIGINAL_PAYMENT"),
 });
 
 /**
@@ -70,6 +77,9 @@ export const manualRefundSchema = Joi.object({
     "string.min": "Reason details must be at least 5 characters",
   }),
   notes: Joi.string().max(500).trim().allow("", null),
+  refundMethod: Joi.string()
+    .valid(...REFUND_METHODS)
+    .default("ORIGINAL_PAYMENT"),
 });
 
 /**
@@ -112,6 +122,13 @@ export const queryRefundStatsSchema = Joi.object({
   dateTo: Joi.date(),
 });
 
+/**
+ * Credit note download
+ */
+export const creditNoteQuerySchema = Joi.object({
+  format: Joi.string().valid("pdf", "html").default("pdf"),
+});
+
 export default {
   initiateRefundSchema,
   manualRefundSchema,
@@ -119,4 +136,5 @@ export default {
   queryMyRefundsSchema,
   queryAllRefundsSchema,
   queryRefundStatsSchema,
+  creditNoteQuerySchema,
 };
@@ -0,0 +1,527 @@
+import Settlement from "../../schema/settlement.schema.js";
+import Kitchen from "../../schema/kitchen.schema.js";
+import { sendResponse } from "../../utils/response.utils.js";
+import { safeAuditLog } from "../../utils/audit.utils.js";
+import {
+  generateSettlement,
+  recalculateSettlement as recalculateSettlementFigures,
+  SETTLEMENT_EXPORT_COLUMNS,
+} from "../../services/settlement.service.js";
+import {
+  EXPORT_FORMATS,
+  streamCsv,
+  streamXlsx,
+} from "../../services/report-export.service.js";
+
+/**
+ * Settlement Controller
+ * Partner kitchen payout statements
+ */
+
+// Statements kitchens can see (drafts may still change)
+const KITCHEN_VISIBLE_STATUSES = ["APPROVED", "PAID"];
+
+/**
+ * Build a filter from list/export query params
+ */
+function buildSettlementFilter({ kitchenId, status, dateFrom, dateTo }) {
+  const filter = {};
+  if (kitchenId) filter.kitchenId = kitchenId;
+  if (status) filter.status = status;
+  if (dateFrom || dateTo) {
+    filter.periodStart = {};
+    if (dateFrom) filter.periodStart.$gte = new Date(dateFrom);
+    if (dateTo) filter.periodStart.$lt = new Date(dateTo);
+  }
+  return filter;
+}
+
+/**
+ * Generate statements for a period
+ * Creates a DRAFT per partner kitchen, or recalculates an existing DRAFT
+ * for exactly the same period.
+ * @route POST /api/settlements/generate
+ * @access Admin
+ */
+export async function generateSettlements(req, res) {
+  try {
+    const { periodStart, periodEnd, kitchenId } = req.body;
+    const start = new Date(periodStart);
+    const end = new Date(periodEnd);
+
+    if (end > new Date()) {
+      return sendResponse(res, 400, false, "Period must have ended before it can be settled");
+    }
+
+    let kitchens;
+    if (kitchenId) {
+      const kitchen = await Kitchen.findById(kitchenId);
+      if (!kitchen) {
+        return sendResponse(res, 404, false, "Kitchen not found");
+      }
+      if (kitchen.type !== "PARTNER") {
+        return sendResponse(res, 400, false, "Only partner kitchens are settled");
+      }
+      kitchens = [kitchen];
+    } else {
+      kitchens = await Kitchen.find({ type: "PARTNER", status: { $ne: "DELETED" } });
+    }
+
+    const results = { created: [], recalculated: [], skipped: [] };
+
+    for (const kitchen of kitchens) {
+      const result = await generateSettlement(kitchen, start, end);
+      if (!result.success) {
+        results.skipped.push({ kitchenId: kitchen._id, kitchenName: kitchen.name, reason: result.error });
+        continue;
+      }
+
+      const summary = {
+        settlementId: result.settlement._id,
+        settlementNumber: result.settlement.settlementNumber,
+        kitchenId: kitchen._id,
+        kitchenName: kitchen.name,
+        orderCount: result.settlement.orderCount,
+        netPayable: result.settlement.netPayable,
+      };
+      (result.created ? results.created : results.recalculated).push(summary);
+    }
+
+    safeAuditLog(req, {
+      action: "CREATE",
+      entityType: "SETTLEMENT",
+      description: `Generated settlements for ${start.toISOString()} - ${end.toISOString()}: ${results.created.length} created, ${results.recalculated.length} recalculated, ${results.skipped.length} skipped`,
+    });
+
+    return sendResponse(res, 200, true, "Settlements generated", results);
+  } catch (error) {
+    console.log("Generate settlements error:", error);
+    return sendResponse(res, 500, false, "Failed to generate settlements");
+  }
+}
+
+/**
+ * List settlement statements
+ * @route GET /api/settlements
+ * @access Admin
+ */
+export async function getSettlements(req, res) {
+  try {
+    const query = req.validatedQuery || req.query;
+    const { page = 1, limit = 20 } = query;
+    const filter = buildSettlementFilter(query);
+    const skip = (page - 1) * limit;
+
+    const [settlements, total, totals] = await Promise.all([
+      Settlement.find(filter)
+        .select("-orders -refunds")
+        .populate("kitchenId", "name code")
+        .sort({ periodStart: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Settlement.countDocuments(filter),
+      Settlement.aggregate([
+        { $match: filter },
+        { $group: { _id: "$status", count: { $sum: 1 }, netPayable: { $sum: "$netPayable" } } },
+      ]),
+    ]);
+
+    return sendResponse(res, 200, true, "Settlements retrieved", {
+      settlements,
+      totalsByStatus: totals,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.log("Get settlements error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve settlements");
+  }
+}
+
+/**
+ * Export settlement statements for finance
+ * @route GET /api/settlements/export
+ * @access Admin
+ */
+export async function exportSettlements(req, res) {
+  let cursor = null;
+
+  try {
+    const query = req.validatedQuery || req.query;
+    const format = query.format || "CSV";
+    const filter = buildSettlementFilter(query);
+    const { extension, contentType } = EXPORT_FORMATS[format];
+
+    cursor = Settlement.aggregate([
+      { $match: filter },
+      { $sort: { periodStart: 1, kitchenId: 1 } },
+      { $project: { orders: 0, refunds: 0 } },
+      {
+        $lookup: {
+          from: "kitchens",
+          localField: "kitchenId",
+          foreignField: "_id",
+          as: "kitchen",
+          pipeline: [{ $project: { name: 1, code: 1, gstin: 1 } }],
+        },
+      },
+      { $unwind: { path: "$kitchen", preserveNullAndEmptyArrays: true } },
+    ]).cursor();
+
+    res.status(200);
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="settlements_${new Date().toISOString().split("T")[0]}.${extension}"`);
+    res.setHeader("Cache-Control", "no-store");
+
+    const rowCount = format === "XLSX"
+      ? await streamXlsx(res, cursor, SETTLEMENT_EXPORT_COLUMNS, "Settlements")
+      : await streamCsv(res, cursor, SETTLEMENT_EXPORT_COLUMNS);
+
+    safeAuditLog(req, {
+      action: "EXPORT",
+      entityType: "SETTLEMENT",
+      description: `Exported ${rowCount} settlements as ${format}`,
+    });
+  } catch (error) {
+    console.log("Export settlements error:", error);
+    if (!res.headersSent) {
+      return sendResponse(res, 500, false, "Failed to export settlements");
+    }
+    res.destroy(error);
+  } finally {
+    if (cursor) {
+      cursor.close().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Get a settlement statement with its order breakdown
+ * @route GET /api/settlements/:id
+ * @access Admin
+ */
+export async function getSettlementById(req, res) {
+  try {
+    const settlement = await Settlement.findById(req.params.id)
+      .populate("kitchenId", "name code gstin legalName")
+      .populate("approvedBy", "name")
+      .populate("paidBy", "name")
+      .populate("penalties.addedBy", "name");
+
+    if (!settlement) {
+      return sendResponse(res, 404, false, "Settlement not found");
+    }
+
+    return sendResponse(res, 200, true, "Settlement retrieved", { settlement });
+  } catch (error) {
+    console.log("Get settlement error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve settlement");
+  }
+}
+
+/**
+ * Recalculate a draft statement
+ * Picks up late deliveries, refunds and changed payout terms.
+ * @route POST /api/settlements/:id/recalculate
+ * @access Admin
+ */
+export async function recalculateSettlement(req, res) {
+  try {
+    const settlement = await Settlement.findById(req.params.id);
+    if (!settlement) {
+      return sendResponse(res, 404, false, "Settlement not found");
+    }
+
+    if (settlement.status !== "DRAFT") {
+      return sendResponse(res, 400, false, "Only draft settlements can be recalculated");
+    }
+
+    const kitchen = await Kitchen.findById(settlement.kitchenId);
+    const previousNet = settlement.netPayable;
+    await recalculateSettlementFigures(settlement, kitchen);
+
+    safeAuditLog(req, {
+      action: "UPDATE",
+      entityType: "SETTLEMENT",
+      entityId: settlement._id,
+      entityName: settlement.settlementNumber,
+      previousValue: { netPayable: previousNet },
+      newValue: { netPayable: settlement.netPayable },
+      description: `Recalculated settlement ${settlement.settlementNumber}`,
+    });
+
+    return sendResponse(res, 200, true, "Settlement recalculated", { settlement });
+  } catch (error) {
+    console.log("Recalculate settlement error:", error);
+    return sendResponse(res, 500, false, "Failed to recalculate settlement");
+  }
+}
+
+/**
+ * Add a penalty to a draft statement
+ * @route POST /api/settlements/:id/penalties
+ * @access Admin
+ */
+export async function addPenalty(req, res) {
+  try {
+    const { amount, reason, orderId } = req.body;
+
+    const settlement = await Settlement.findById(req.params.id);
+    if (!settlement) {
+      return sendResponse(res, 404, false, "Settlement not found");
+    }
+
+    if (settlement.status !== "DRAFT") {
+      return sendResponse(res, 400, false, "Penalties can only be added to draft settlements");
+    }
+
+    settlement.penalties.push({ amount, reason, orderId, addedBy: req.user._id });
+    settlement.penaltyDeductions = Math.round((settlement.penaltyDeductions + amount) * 100) / 100;
+    settlement.netPayable = Math.round((settlement.netPayable - amount) * 100) / 100;
+    await settlement.save();
+
+    safeAuditLog(req, {
+      action: "UPDATE",
+      entityType: "SETTLEMENT",
+      entityId: settlement._id,
+      entityName: settlement.settlementNumber,
+      newValue: { penalty: { amount, reason, orderId } },
+      description: `Added penalty of ${amount} to ${settlement.settlementNumber}: ${reason}`,
+    });
+
+    return sendResponse(res, 200, true, "Penalty added", { settlement });
+  } catch (error) {
+    console.log("Add settlement penalty error:", error);
+    return sendResponse(res, 500, false, "Failed to add penalty");
+  }
+}
+
+/**
+ * Remove a penalty from a draft statement
+ * @route DELETE /api/settlements/:id/penalties/:penaltyId
+ * @access Admin
+ */
+export async function removePenalty(req, res) {
+  try {
+    const { id, penaltyId } = req.params;
+
+    const settlement = await Settlement.findById(id);
+    if (!settlement) {
+      return sendResponse(res, 404, false, "Settlement not found");
+    }
+
+    if (settlement.status !== "DRAFT") {
+      return sendResponse(res, 400, false, "Penalties can only be removed from draft settlements");
+    }
+
+    const penalty = settlement.penalties.id(penaltyId);
+    if (!penalty) {
+      return sendResponse(res, 404, false, "Penalty not found");
+    }
+
+    const { amount, reason } = penalty;
+    penalty.deleteOne();
+    settlement.penaltyDeductions = Math.round((settlement.penaltyDeductions - amount) * 100) / 100;
+    settlement.netPayable = Math.round((settlement.netPayable + amount) * 100) / 100;
+    await settlement.save();
+
+    safeAuditLog(req, {
+      action: "UPDATE",
+      entityType: "SETTLEMENT",
+      entityId: settlement._id,
+      entityName: settlement.settlementNumber,
+      previousValue: { penalty: { amount, reason } },
+      description: `Removed penalty of ${amount} from ${settlement.settlementNumber}`,
+    });
+
+    return sendResponse(res, 200, true, "Penalty removed", { settlement });
+  } catch (error) {
+    console.log("Remove settlement penalty error:", error);
+    return sendResponse(res, 500, false, "Failed to remove penalty");
+  }
+}
+
+/**
+ * Approve a draft statement (figures are frozen from here)
+ * @route PATCH /api/settlements/:id/approve
+ * @access Admin
+ */
+export async function approveSettlement(req, res) {
+  try {
+    const { notes } = req.body;
+
+    const update = {
+      status: "APPROVED",
+      approvedBy: req.user._id,
+      approvedAt: new Date(),
+    };
+    if (notes) update.notes = notes;
+
+    const settlement = await Settlement.findOneAndUpdate(
+      { _id: req.params.id, status: "DRAFT" },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!settlement) {
+      const existing = await Settlement.findById(req.params.id).select("status");
+      if (!existing) {
+        return sendResponse(res, 404, false, "Settlement not found");
+      }
+      return sendResponse(res, 400, false, `Settlement is already ${existing.status}`);
+    }
+
+    safeAuditLog(req, {
+      action: "APPROVE",
+      entityType: "SETTLEMENT",
+      entityId: settlement._id,
+      entityName: settlement.settlementNumber,
+      newValue: { status: "APPROVED", netPayable: settlement.netPayable },
+      description: `Approved settlement ${settlement.settlementNumber} for ${settlement.netPayable}`,
+    });
+
+    return sendResponse(res, 200, true, "Settlement approved", { settlement });
+  } catch (error) {
+    console.log("Approve settlement error:", error);
+    return sendResponse(res, 500, false, "Failed to approve settlement");
+  }
+}
+
+/**
+ * Record the payout of an approved statement
+ * @route PATCH /api/settlements/:id/mark-paid
+ * @access Admin
+ */
+export async function markSettlementPaid(req, res) {
+  try {
+    const { paymentReference, paymentMode, paidAt, notes } = req.body;
+
+    const update = {
+      status: "PAID",
+      paymentReference,
+      paymentMode,
+      paidAt: paidAt ? new Date(paidAt) : new Date(),
+      paidBy: req.user._id,
+    };
+    if (notes) update.notes = notes;
+
+    const settlement = await Settlement.findOneAndUpdate(
+      { _id: req.params.id, status: "APPROVED" },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!settlement) {
+      const existing = await Settlement.findById(req.params.id).select("status");
+      if (!existing) {
+        return sendResponse(res, 404, false, "Settlement not found");
+      }
+      return sendResponse(
+        res,
+        400,
+        false,
+        existing.status === "PAID" ? "Settlement is already paid" : "Settlement must be approved before payout"
+      );
+    }
+
+    safeAuditLog(req, {
+      action: "UPDATE",
+      entityType: "SETTLEMENT",
+      entityId: settlement._id,
+      entityName: settlement.settlementNumber,
+      newValue: { status: "PAID", paymentReference, paymentMode },
+      description: `Marked settlement ${settlement.settlementNumber} paid (${paymentReference})`,
+    });
+
+    return sendResponse(res, 200, true, "Settlement marked as paid", { settlement });
+  } catch (error) {
+    console.log("Mark settlement paid error:", error);
+    return sendResponse(res, 500, false, "Failed to mark settlement as paid");
+  }
+}
+
+/**
+ * List my kitchen's payout statements
+ * @route GET /api/kitchens/my-kitchen/settlements
+ * @access Kitchen Staff
+ */
+export async function getMyKitchenSettlements(req, res) {
+  try {
+    const { status, page = 1, limit = 20 } = req.validatedQuery || req.query;
+    const kitchenId = req.user.kitchenId;
+
+    if (!kitchenId) {
+      return sendResponse(res, 404, false, "No kitchen assigned to your account");
+    }
+
+    const filter = {
+      kitchenId,
+      status: status || { $in: KITCHEN_VISIBLE_STATUSES },
+    };
+    const skip = (page - 1) * limit;
+
+    const [settlements, total] = await Promise.all([
+      Settlement.find(filter)
+        .select("-orders -refunds -penalties.addedBy")
+        .sort({ periodStart: -1 })
+        .skip(skip)
+        .limit(limit),
+      Settlement.countDocuments(filter),
+    ]);
+
+    return sendResponse(res, 200, true, "Settlements retrieved", {
+      settlements,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.log("Get my kitchen settlements error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve settlements");
+  }
+}
+
+/**
+ * Get one of my kitchen's payout statements with the order breakdown
+ * @route GET /api/kitchens/my-kitchen/settlements/:id
+ * @access Kitchen Staff
+ */
+export async function getMyKitchenSettlementById(req, res) {
+  try {
+    const settlement = await Settlement.findOne({
+      _id: req.params.id,
+      kitchenId: req.user.kitchenId,
+      status: { $in: KITCHEN_VISIBLE_STATUSES },
+    }).select("-penalties.addedBy -approvedBy -paidBy");
+
+    if (!settlement) {
+      return sendResponse(res, 404, false, "Settlement not found");
+    }
+
+    return sendResponse(res, 200, true, "Settlement retrieved", { settlement });
+  } catch (error) {
+    console.log("Get my kitchen settlement error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve settlement");
+  }
+}
+
+export default {
+  generateSettlements,
+  getSettlements,
+  exportSettlements,
+  getSettlementById,
+  recalculateSettlement,
+  addPenalty,
+  removePenalty,
+  approveSettlement,
+  markSettlementPaid,
+  getMyKitchenSettlements,
+  getMyKitchenSettlementById,
+};
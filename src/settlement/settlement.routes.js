@@ -0,0 +1,115 @@
+import { Router } from "express";
+import settlementController from "./settlement.controller.js";
+import { adminAuthMiddleware, adminMiddleware } from "../../middlewares/auth.middleware.js";
+import { validateBody, validateQuery, validateParams } from "../../middlewares/validate.middleware.js";
+import {
+  generateSettlementsSchema,
+  addPenaltySchema,
+  approveSettlementSchema,
+  markPaidSchema,
+  querySettlementsSchema,
+  exportSettlementsSchema,
+} from "./settlement.validation.js";
+import Joi from "joi";
+
+const router = Router();
+
+// Param schemas
+const idParamSchema = Joi.object({
+  id: Joi.string().hex().length(24).required(),
+});
+
+const penaltyParamSchema = Joi.object({
+  id: Joi.string().hex().length(24).required(),
+  penaltyId: Joi.string().hex().length(24).required(),
+});
+
+/**
+ * ADMIN ROUTES
+ */
+
+// Generate statements for a period
+router.post(
+  "/generate",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateBody(generateSettlementsSchema),
+  settlementController.generateSettlements
+);
+
+// Export statements (CSV/XLSX)
+router.get(
+  "/export",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateQuery(exportSettlementsSchema),
+  settlementController.exportSettlements
+);
+
+// List statements
+router.get(
+  "/",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateQuery(querySettlementsSchema),
+  settlementController.getSettlements
+);
+
+// Get statement
+router.get(
+  "/:id",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(idParamSchema),
+  settlementController.getSettlementById
+);
+
+// Recalculate draft statement
+router.post(
+  "/:id/recalculate",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(idParamSchema),
+  settlementController.recalculateSettlement
+);
+
+// Add penalty to draft statement
+router.post(
+  "/:id/penalties",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(idParamSchema),
+  validateBody(addPenaltySchema),
+  settlementController.addPenalty
+);
+
+// Remove penalty from draft statement
+router.delete(
+  "/:id/penalties/:penaltyId",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(penaltyParamSchema),
+  settlementController.removePenalty
+);
+
+// Approve statement
+router.patch(
+  "/:id/approve",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(idParamSchema),
+  validateBody(approveSettlementSchema),
+  settlementController.approveSettlement
+);
+
+// Record payout
+router.patch(
+  "/:id/mark-paid",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(idParamSchema),
+  validateBody(markPaidSchema),
+  settlementController.markSettlementPaid
+);
+
+export default router;
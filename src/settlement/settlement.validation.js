@@ -0,0 +1,96 @@
+import Joi from "joi";
+import { SETTLEMENT_STATUSES } from "../../schema/settlement.schema.js";
+
+/**
+ * Settlement Validation Schemas
+ */
+
+const objectId = Joi.string().hex().length(24);
+
+/**
+ * Generate statements for a period
+ */
+export const generateSettlementsSchema = Joi.object({
+  periodStart: Joi.date().required().messages({
+    "any.required": "Period start is required",
+  }),
+  periodEnd: Joi.date().greater(Joi.ref("periodStart")).required().messages({
+    "any.required": "Period end is required",
+    "date.greater": "Period end must be after period start",
+  }),
+  kitchenId: objectId,
+});
+
+/**
+ * Add a penalty
+ */
+export const addPenaltySchema = Joi.object({
+  amount: Joi.number().positive().precision(2).required().messages({
+    "any.required": "Penalty amount is required",
+  }),
+  reason: Joi.string().min(3).max(300).trim().required().messages({
+    "any.required": "Penalty reason is required",
+  }),
+  orderId: objectId,
+});
+
+/**
+ * Approve a statement
+ */
+export const approveSettlementSchema = Joi.object({
+  notes: Joi.string().max(500).trim().allow("", null),
+});
+
+/**
+ * Record a payout
+ */
+export const markPaidSchema = Joi.object({
+  paymentReference: Joi.string().min(3).max(100).trim().required().messages({
+    "any.required": "Payment reference is required",
+  }),
+  paymentMode: Joi.string().valid("BANK_TRANSFER", "UPI", "CHEQUE", "OTHER").default("BANK_TRANSFER"),
+  paidAt: Joi.date().max("now"),
+  notes: Joi.string().max(500).trim().allow("", null),
+});
+
+/**
+ * Query statements (admin)
+ */
+export const querySettlementsSchema = Joi.object({
+  kitchenId: objectId,
+  status: Joi.string().valid(...SETTLEMENT_STATUSES),
+  dateFrom: Joi.date(),
+  dateTo: Joi.date(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+/**
+ * Export statements (admin)
+ */
+export const exportSettlementsSchema = Joi.object({
+  kitchenId: objectId,
+  status: Joi.string().valid(...SETTLEMENT_STATUSES),
+  dateFrom: Joi.date(),
+  dateTo: Joi.date(),
+  format: Joi.string().valid("CSV", "XLSX").default("CSV"),
+});
+
+/**
+ * Query my kitchen's statements
+ */
+export const queryMySettlementsSchema = Joi.object({
+  status: Joi.string().valid("APPROVED", "PAID"),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+});
+
+export default {
+  generateSettlementsSchema,
+  addPenaltySchema,
+  approveSettlementSchema,
+  markPaidSchema,
+  querySettlementsSchema,
+  exportSettlementsSchema,
+  queryMySettlementsSchema,
+};
@@ -1,3 +1,4 @@
+import mongoose from "mongoose";
 import SubscriptionPlan from "../../schema/subscriptionPlan.schema.js";
 import Subscription from "../../schema/subscription.schema.js";
 import Voucher from "../../schema/voucher.schema.js";
@@ -8,52 +9,52 @@ import { safeAuditLog } from "../../utils/audit.utils.js";
 import paymentService from "../../services/payment.service.js";
 import razorpayProvider from "../../services/razorpay.provider.js";
 import { getAutoOrderConfig } from "../../services/config.service.js";
-import { runAutoOrderBatch } from "../../services/auto-order.service.js";
+import { runAutoOrderBatch, orderFromAlternative } from "../../services/auto-order.service.js";
+import { buildAutoOrderForecast } from "../../services/auto-order-forecast.service.js";
+import { getOrCreateSubscriptionInvoice } from "../../services/invoice.service.js";
+import { sendInvoiceDocument } from "../../services/invoice-document.service.js";
+import { runJob } from "../../cron/scheduler.js";
+import { issueVouchers, cancelUnusedVouchers } from "../../services/voucher.service.js";
+import {
+  startAutoRenewal,
+  confirmAutoRenewal,
+  cancelAutoRenewal,
+} from "../../services/subscription-renewal.service.js";
+import {
+  getPlanChangeBlocker,
+  quotePlanChange,
+  applyPlanChange,
+  splitSubscriptionRefund,
+} from "../../services/subscription-change.service.js";
+import {
+  createGift,
+  cancelGift as cancelPendingGift,
+} from "../../services/gift-subscription.service.js";
+import User from "../../schema/user.schema.js";
+import GiftSubscription from "../../schema/giftSubscription.schema.js";
+import Addon from "../../schema/addon.schema.js";
+import { normalizePhone } from "../../utils/phone.utils.js";
 
 /**
  * Subscription Controller
  * Handles subscription plans and customer subscriptions
  */
 
-/**
- * Helper: Issue vouchers for a subscription
- * @param {ObjectId} userId - User ID
- * @param {ObjectId} subscriptionId - Subscription ID
- * @param {Number} count - Number of vouchers to issue
- * @param {Date} expiryDate - Expiry date for vouchers
- * @returns {Promise<Object>} { issued: Number, voucherIds: Array }
- */
-const issueVouchers = async (userId, subscriptionId, count, expiryDate) => {
-  const voucherIds = [];
-
-  for (let i = 0; i < count; i++) {
-    const voucherCode = await Voucher.generateVoucherCode();
-    const voucher = new Voucher({
-      voucherCode,
-      userId,
-      subscriptionId,
-      issuedDate: new Date(),
-      expiryDate,
-      status: "AVAILABLE",
-    });
-    await voucher.save();
-    voucherIds.push(voucher._id);
-  }
-
-  return { issued: count, voucherIds };
-};
-
 /**
  * Helper: Calculate refund eligibility
+ * Capped at what the subscription's payments captured, and split across them.
  * @param {Object} subscription - Subscription document
- * @returns {Object} { eligible: Boolean, amount: Number, reason: String }
+ * @returns {Object} { eligible: Boolean, amount: Number, payments: Array, reason: String }
  */
 const calculateRefundEligibility = async (subscription) => {
-  // Get voucher usage
-  const vouchers = await Voucher.find({ subscriptionId: subscription._id });
+  // Get voucher usage (vouchers given away count as used)
+  const vouchers = await Voucher.find({
+    subscriptionId: subscription._id,
+    transferredFromVoucherId: null,
+  });
   const totalVouchers = vouchers.length;
   const redeemedVouchers = vouchers.filter(
-    (v) => v.status === "REDEEMED"
+    (v) => v.status === "REDEEMED" || v.status === "TRANSFERRED"
   ).length;
   const usagePercentage =
     totalVouchers > 0 ? (redeemedVouchers / totalVouchers) * 100 : 0;
@@ -61,12 +62,14 @@ const calculateRefundEligibility = async (subscription) => {
   // Refund policy: eligible if less than 25% used
   if (usagePercentage <= 25) {
     const refundPercentage = 100 - usagePercentage * 2; // Progressive reduction
-    const amount = Math.round(
-      (subscription.amountPaid * refundPercentage) / 100
+    const refund = splitSubscriptionRefund(
+      subscription,
+      Math.round((subscription.amountPaid * refundPercentage) / 100)
     );
     return {
       eligible: true,
-      amount,
+      amount: refund.amount,
+      payments: refund.payments,
       reason: `${redeemedVouchers}/${totalVouchers} vouchers used (${usagePercentage.toFixed(
         1
       )}%)`,
@@ -76,29 +79,13 @@ const calculateRefundEligibility = async (subscription) => {
   return {
     eligible: false,
     amount: 0,
+    payments: [],
     reason: `Too many vouchers used: ${redeemedVouchers}/${totalVouchers} (${usagePercentage.toFixed(
       1
     )}%)`,
   };
 };
 
-/**
- * Helper: Cancel unused vouchers
- * @param {ObjectId} subscriptionId - Subscription ID
- * @returns {Promise<Object>} { cancelled: Number }
- */
-const cancelUnusedVouchers = async (subscriptionId) => {
-  const result = await Voucher.updateMany(
-    {
-      subscriptionId,
-      status: { $in: ["AVAILABLE", "RESTORED"] },
-    },
-    { $set: { status: "CANCELLED" } }
-  );
-
-  return { cancelled: result.modifiedCount };
-};
-
 // 
 // ADMIN - PLAN MANAGEMENT
 // 
@@ -482,6 +469,78 @@ export const getActivePlans = async (req, res) => {
 // CUSTOMER - SUBSCRIPTION OPERATIONS
 // 
 
+/**
+ * Helper: Verify the Razorpay payment sent with a plan purchase
+ * In development without Razorpay, the purchase goes through unpaid.
+ * @param {Object} body - { razorpayOrderId, razorpayPaymentId, razorpaySignature, paymentId, paymentMethod }
+ * @returns {Promise<Object>} { paymentId, paymentMethod, paymentDetails, transaction } or { error }
+ */
+const verifyPurchasePayment = async ({
+  razorpayOrderId,
+  razorpayPaymentId,
+  razorpaySignature,
+  // Legacy support for dev/testing (when Razorpay is not configured)
+  paymentId,
+  paymentMethod,
+}) => {
+  // Determine if Razorpay payment verification is required
+  const isDevMode = process.env.NODE_ENV !== "production";
+  const razorpayConfigured = razorpayProvider.isAvailable();
+
+  // In production with Razorpay configured, require payment verification
+  if (razorpayConfigured && razorpayOrderId && razorpayPaymentId && razorpaySignature) {
+    // Verify Razorpay payment
+    try {
+      const verificationResult = await paymentService.verifyPayment({
+        razorpayOrderId,
+        razorpayPaymentId,
+        razorpaySignature,
+      });
+
+      if (!verificationResult.success) {
+        return { error: "Payment verification failed" };
+      }
+
+      console.log(`> Payment verified for subscription: ${razorpayPaymentId}`);
+
+      return {
+        paymentId: razorpayPaymentId,
+        paymentMethod: razorpayProvider.mapPaymentMethod(
+          verificationResult.payment?.method || "other"
+        ),
+        paymentDetails: {
+          razorpayOrderId,
+          razorpayPaymentId,
+          method: verificationResult.payment?.method,
+        },
+        transaction: verificationResult.transaction,
+      };
+    } catch (verifyError) {
+      console.log("> Subscription payment verification error:", verifyError);
+      return { error: verifyError.message || "Payment verification failed" };
+    }
+  }
+
+  if (!isDevMode && razorpayConfigured) {
+    // Production mode with Razorpay but no payment details provided
+    return {
+      error: "Payment verification required. Please provide razorpayOrderId, razorpayPaymentId, and razorpaySignature",
+    };
+  }
+
+  if (isDevMode) {
+    // Dev mode - allow purchase without real payment
+    console.log("> Dev mode: Skipping payment verification for subscription");
+  }
+
+  return {
+    paymentId,
+    paymentMethod: paymentMethod || "OTHER",
+    paymentDetails: null,
+    transaction: null,
+  };
+};
+
 /**
  * Purchase subscription
  *
@@ -493,15 +552,7 @@ export const getActivePlans = async (req, res) => {
  */
 export const purchaseSubscription = async (req, res) => {
   try {
-    const {
-      planId,
-      razorpayOrderId,
-      razorpayPaymentId,
-      razorpaySignature,
-      // Legacy support for dev/testing (when Razorpay is not configured)
-      paymentId,
-      paymentMethod,
-    } = req.body;
+    const { planId, razorpayOrderId } = req.body;
     const userId = req.user._id;
     const now = new Date();
 
@@ -524,54 +575,15 @@ export const purchaseSubscription = async (req, res) => {
       return sendResponse(res, 400, false, "Plan has expired");
     }
 
-    // Determine if Razorpay payment verification is required
-    const isDevMode = process.env.NODE_ENV !== "production";
-    const razorpayConfigured = razorpayProvider.isAvailable();
-    let verifiedPaymentId = paymentId;
-    let verifiedPaymentMethod = paymentMethod || "OTHER";
-    let paymentDetails = null;
-
-    // In production with Razorpay configured, require payment verification
-    if (razorpayConfigured && razorpayOrderId && razorpayPaymentId && razorpaySignature) {
-      // Verify Razorpay payment
-      try {
-        const verificationResult = await paymentService.verifyPayment({
-          razorpayOrderId,
-          razorpayPaymentId,
-          razorpaySignature,
-        });
-
-        if (!verificationResult.success) {
-          return sendResponse(res, 400, false, "Payment verification failed");
-        }
-
-        verifiedPaymentId = razorpayPaymentId;
-        verifiedPaymentMethod = razorpayProvider.mapPaymentMethod(
-          verificationResult.payment?.method || "other"
-        );
-        paymentDetails = {
-          razorpayOrderId,
-          razorpayPaymentId,
-          method: verificationResult.payment?.method,
-        };
-
-        console.log(`> Payment verified for subscription: ${razorpayPaymentId}`);
-      } catch (verifyError) {
-        console.log("> Subscription payment verification error:", verifyError);
-        return sendResponse(res, 400, false, verifyError.message || "Payment verification failed");
-      }
-    } else if (!isDevMode && razorpayConfigured) {
-      // Production mode with Razorpay but no payment details provided
-      return sendResponse(
-        res,
-        400,
-        false,
-        "Payment verification required. Please provide razorpayOrderId, razorpayPaymentId, and razorpaySignature"
-      );
-    } else if (isDevMode) {
-      // Dev mode - allow purchase without real payment
-      console.log("> Dev mode: Skipping payment verification for subscription");
+    const verified = await verifyPurchasePayment(req.body);
+    if (verified.error) {
+      return sendResponse(res, 400, false, verified.error);
     }
+    const {
+      paymentId: verifiedPaymentId,
+      paymentMethod: verifiedPaymentMethod,
+      paymentDetails,
+    } = verified;
 
     // Allow users to purchase multiple subscriptions (same or different plans)
     // Users can stack subscriptions and accumulate vouchers
@@ -645,6 +657,185 @@ export const purchaseSubscription = async (req, res) => {
   }
 };
 
+/**
+ * Buy a subscription as a gift
+ *
+ * POST /api/subscriptions/gifts
+ *
+ * Paid like a normal purchase (initiate via /api/payment/subscription/initiate,
+ * then send the Razorpay result here). The gift goes to the phone number:
+ * straight away if it belongs to a customer, otherwise when they sign up.
+ */
+export const purchaseGift = async (req, res) => {
+  try {
+    const { planId, recipientName, message, razorpayOrderId } = req.body;
+    const recipientPhone = normalizePhone(req.body.recipientPhone);
+
+    if (recipientPhone === req.user.phone) {
+      return sendResponse(res, 400, false, "You cannot gift a subscription to yourself");
+    }
+
+    const plan = await SubscriptionPlan.findById(planId);
+    if (!plan) {
+      return sendResponse(res, 404, false, "Plan not found");
+    }
+
+    if (!plan.isPurchasable()) {
+      return sendResponse(res, 400, false, "Plan is not available for purchase");
+    }
+
+    const recipient = await User.findByPhone(recipientPhone);
+    if (recipient && recipient.role !== "CUSTOMER") {
+      return sendResponse(res, 400, false, "This phone number cannot receive gifts");
+    }
+
+    const verified = await verifyPurchasePayment(req.body);
+    if (verified.error) {
+      return sendResponse(res, 400, false, verified.error);
+    }
+
+    // The payment must be the sender's own, for this plan, and not already spent
+    if (verified.transaction) {
+      if (
+        verified.transaction.userId.toString() !== req.user._id.toString() ||
+        verified.transaction.amountRupees !== plan.price
+      ) {
+        return sendResponse(res, 400, false, "Payment does not match this plan");
+      }
+
+      const [usedByGift, usedBySubscription] = await Promise.all([
+        GiftSubscription.exists({ paymentId: verified.paymentId }),
+        Subscription.exists({ paymentId: verified.paymentId }),
+      ]);
+      if (usedByGift || usedBySubscription) {
+        return sendResponse(res, 400, false, "Payment has already been used");
+      }
+    }
+
+    const { gift, claimed } = await createGift({
+      sender: req.user,
+      plan,
+      recipientPhone,
+      recipientName,
+      message,
+      payment: {
+        paymentId: verified.paymentId,
+        paymentMethod: verified.paymentMethod,
+      },
+    });
+
+    // Point the payment at the subscription the gift will become
+    if (razorpayOrderId) {
+      await PaymentTransaction.findOneAndUpdate(
+        { razorpayOrderId },
+        { referenceId: gift.subscriptionId, purchaseType: "SUBSCRIPTION" }
+      );
+    }
+
+    safeAuditLog(req, {
+      action: "CREATE",
+      entityType: "SUBSCRIPTION",
+      entityId: gift.subscriptionId,
+      entityName: gift.giftNumber,
+      newValue: { giftId: gift._id, planId: plan._id, recipientPhone, amountPaid: gift.amountPaid },
+      description: `Gift ${gift.giftNumber} (${plan.name}) bought for ${recipientPhone}`,
+    });
+
+    return sendResponse(
+      res,
+      201,
+      true,
+      claimed ? "Gift sent and claimed" : "Gift sent. It will be claimed when the recipient signs up.",
+      { gift, claimed }
+    );
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern?.paymentId) {
+      return sendResponse(res, 400, false, "Payment has already been used");
+    }
+    console.log("> Purchase gift error:", error);
+    return sendResponse(res, 500, false, "Server error");
+  }
+};
+
+/**
+ * Get gifts sent by the customer
+ *
+ * GET /api/subscriptions/gifts/sent
+ */
+export const getSentGifts = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.validatedQuery || req.query;
+
+    const query = { senderId: req.user._id };
+    if (status) query.status = status;
+
+    const skip = (page - 1) * limit;
+
+    const [gifts, total] = await Promise.all([
+      GiftSubscription.find(query)
+        .populate("recipientId", "name phone")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      GiftSubscription.countDocuments(query),
+    ]);
+
+    return sendResponse(res, 200, true, "Sent gifts", {
+      gifts,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.log("> Get sent gifts error:", error);
+    return sendResponse(res, 500, false, "Server error");
+  }
+};
+
+/**
+ * Cancel an unclaimed gift
+ *
+ * PATCH /api/subscriptions/gifts/:id/cancel
+ *
+ * The sender is refunded in full.
+ */
+export const cancelGift = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const existing = await GiftSubscription.findById(id);
+    if (!existing) {
+      return sendResponse(res, 404, false, "Gift not found");
+    }
+
+    if (existing.senderId.toString() !== req.user._id.toString()) {
+      return sendResponse(res, 403, false, "Access denied");
+    }
+
+    const result = await cancelPendingGift(id, req.user._id, reason);
+    if (!result.success) {
+      return sendResponse(res, 400, false, result.error);
+    }
+
+    safeAuditLog(req, {
+      action: "CANCEL",
+      entityType: "SUBSCRIPTION",
+      entityId: existing.subscriptionId,
+      entityName: existing.giftNumber,
+      previousValue: { status: existing.status },
+      newValue: { status: "CANCELLED", refundAmount: result.refund.amount },
+      description: `Gift ${existing.giftNumber} cancelled by sender`,
+    });
+
+    return sendResponse(res, 200, true, "Gift cancelled", {
+      gift: result.gift,
+      refund: result.refund,
+    });
+  } catch (error) {
+    console.log("> Cancel gift error:", error);
+    return sendResponse(res, 500, false, "Server error");
+  }
+};
+
 /**
  * Get customer's subscriptions
  *
@@ -679,10 +870,12 @@ export const getMySubscriptions = async (req, res) => {
           Voucher.countDocuments({
             subscriptionId: sub._id,
             status: { $in: ["AVAILABLE", "RESTORED"] },
+            transferredFromVoucherId: null,
           }),
           Voucher.countDocuments({
             subscriptionId: sub._id,
             status: "REDEEMED",
+            transferredFromVoucherId: null,
           }),
         ]);
 
@@ -757,7 +950,7 @@ export const getSubscriptionById = async (req, res) => {
 
     // Get voucher stats
     const voucherStats = await Voucher.aggregate([
-      { $match: { subscriptionId: subscription._id } },
+      { $match: { subscriptionId: subscription._id, transferredFromVoucherId: null } },
       { $group: { _id: "$status", count: { $sum: 1 } } },
     ]);
 
@@ -768,6 +961,7 @@ export const getSubscriptionById = async (req, res) => {
       expired: 0,
       restored: 0,
       cancelled: 0,
+      transferred: 0,
     };
 
     for (const stat of voucherStats) {
@@ -786,6 +980,40 @@ export const getSubscriptionById = async (req, res) => {
   }
 };
 
+/**
+ * Download the GST tax invoice for a subscription purchase
+ *
+ * GET /api/subscriptions/:id/invoice
+ */
+export const getSubscriptionInvoice = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = "pdf" } = req.validatedQuery || req.query;
+
+    const subscription = await Subscription.findById(id);
+    if (!subscription) {
+      return sendResponse(res, 404, "Subscription not found");
+    }
+
+    if (
+      req.user.role !== "ADMIN" &&
+      subscription.userId.toString() !== req.user._id.toString()
+    ) {
+      return sendResponse(res, 403, "Access denied");
+    }
+
+    const result = await getOrCreateSubscriptionInvoice(subscription);
+    if (!result.success) {
+      return sendResponse(res, 400, result.error);
+    }
+
+    return sendInvoiceDocument(res, result.invoice, format);
+  } catch (error) {
+    console.log("> Get subscription invoice error:", error);
+    return sendResponse(res, 500, "Server error");
+  }
+};
+
 /**
  * Cancel subscription (customer-initiated)
  *
@@ -828,6 +1056,11 @@ export const cancelSubscription = async (req, res) => {
     // Cancel unused vouchers
     const cancelledVouchers = await cancelUnusedVouchers(subscription._id);
 
+    // A cancelled subscription must not renew
+    if (subscription.isAutoRenew) {
+      await cancelAutoRenewal(subscription);
+    }
+
     console.log(
       `> Subscription cancelled: ${subscription._id} by user ${req.user.phone}`
     );
@@ -837,6 +1070,7 @@ export const cancelSubscription = async (req, res) => {
       vouchersCancelled: cancelledVouchers.cancelled,
       refundEligible: refundResult.eligible,
       refundAmount: refundResult.eligible ? refundResult.amount : null,
+      refundPayments: refundResult.payments,
       refundReason: refundResult.reason,
     });
   } catch (error) {
@@ -845,6 +1079,351 @@ export const cancelSubscription = async (req, res) => {
   }
 };
 
+/**
+ * Turn on auto-renewal
+ * Returns Razorpay checkout details for approving a recurring mandate, or
+ * enables renewal straight away when the customer already has one.
+ *
+ * POST /api/subscriptions/:id/auto-renew
+ */
+export const enableAutoRenew = async (req, res) => {
+  try {
+    const subscription = await Subscription.findById(req.params.id);
+    if (!subscription) {
+      return sendResponse(res, 404, false, "Subscription not found");
+    }
+
+    if (subscription.userId.toString() !== req.user._id.toString()) {
+      return sendResponse(res, 403, false, "Access denied");
+    }
+
+    if (subscription.status !== "ACTIVE") {
+      return sendResponse(res, 400, false, "Only active subscriptions can auto-renew");
+    }
+
+    if (subscription.isAutoRenew) {
+      return sendResponse(res, 400, false, "Auto-renew is already on");
+    }
+
+    if (subscription.renewal?.status === "RENEWED") {
+      return sendResponse(res, 400, false, "Subscription has already been renewed");
+    }
+
+    const plan = await SubscriptionPlan.findById(subscription.planId);
+    if (!plan || plan.status !== "ACTIVE") {
+      return sendResponse(res, 400, false, "This plan is no longer available for renewal");
+    }
+
+    if (!razorpayProvider.isAvailable() && !razorpayProvider.isRecurringMockMode()) {
+      return sendResponse(res, 503, false, "Payment gateway is not configured");
+    }
+
+    const user = await User.findById(req.user._id).select("name phone email");
+    const result = await startAutoRenewal(subscription, user, plan);
+
+    console.log(`> Auto-renew ${result.enabled ? "enabled" : "mandate requested"}: ${subscription._id}`);
+
+    return sendResponse(
+      res,
+      200,
+      true,
+      result.enabled ? "Auto-renew turned on" : "Approve the mandate to turn on auto-renew",
+      {
+        subscriptionId: subscription._id,
+        isAutoRenew: subscription.isAutoRenew,
+        renewsOn: subscription.endDate,
+        mandateStatus: subscription.renewalMandate?.status,
+        checkout: result.checkout || null,
+      }
+    );
+  } catch (error) {
+    console.log("> Enable auto-renew error:", error);
+    return sendResponse(res, 500, false, "Server error");
+  }
+};
+
+/**
+ * Confirm the recurring mandate after Razorpay checkout
+ *
+ * POST /api/subscriptions/:id/auto-renew/verify
+ */
+export const verifyAutoRenewMandate = async (req, res) => {
+  try {
+    const subscription = await Subscription.findById(req.params.id);
+    if (!subscription) {
+      return sendResponse(res, 404, false, "Subscription not found");
+    }
+
+    if (subscription.userId.toString() !== req.user._id.toString()) {
+      return sendResponse(res, 403, false, "Access denied");
+    }
+
+    const result = await confirmAutoRenewal(subscription, req.body);
+    if (!result.success) {
+      return sendResponse(res, 400, false, result.error);
+    }
+
+    console.log(`> Auto-renew mandate confirmed: ${subscription._id}`);
+
+    return sendResponse(res, 200, true, "Auto-renew turned on", {
+      subscriptionId: subscription._id,
+      isAutoRenew: true,
+      renewsOn: subscription.endDate,
+      mandateStatus: subscription.renewalMandate.status,
+    });
+  } catch (error) {
+    console.log("> Verify auto-renew mandate error:", error);
+    return sendResponse(res, 500, false, "Server error");
+  }
+};
+
+/**
+ * Turn off auto-renewal
+ *
+ * DELETE /api/subscriptions/:id/auto-renew
+ */
+export const disableAutoRenew = async (req, res) => {
+  try {
+    const subscription = await Subscription.findById(req.params.id);
+    if (!subscription) {
+      return sendResponse(res, 404, false, "Subscription not found");
+    }
+
+    if (req.user.role !== "ADMIN" && subscription.userId.toString() !== req.user._id.toString()) {
+      return sendResponse(res, 403, false, "Access denied");
+    }
+
+    if (!subscription.isAutoRenew && subscription.renewalMandate?.status !== "PENDING") {
+      return sendResponse(res, 400, false, "Auto-renew is already off");
+    }
+
+    if (subscription.renewal?.status === "PENDING_PAYMENT") {
+      return sendResponse(res, 400, false, "A renewal payment is in progress. Try again later.");
+    }
+
+    await cancelAutoRenewal(subscription);
+
+    console.log(`> Auto-renew turned off: ${subscription._id}`);
+
+    return sendResponse(res, 200, true, "Auto-renew turned off", {
+      subscriptionId: subscription._id,
+      isAutoRenew: false,
+    });
+  } catch (error) {
+    console.log("> Disable auto-renew error:", error);
+    return sendResponse(res, 500, false, "Server error");
+  }
+};
+
+/**
+ * Load a customer's subscription and the plan they want to move to
+ * @returns {Promise<{subscription?: Object, newPlan?: Object, status?: number, error?: string}>}
+ */
+const loadPlanChange = async (req) => {
+  const subscription = await Subscription.findById(req.params.id);
+  if (!subscription) {
+    return { status: 404, error: "Subscription not found" };
+  }
+
+  if (subscription.userId.toString() !== req.user._id.toString()) {
+    return { status: 403, error: "Access denied" };
+  }
+
+  const blocker = getPlanChangeBlocker(subscription);
+  if (blocker) {
+    return { status: 400, error: blocker };
+  }
+
+  if (subscription.planId.toString() === req.body.newPlanId) {
+    return { status: 400, error: "Subscription is already on this plan" };
+  }
+
+  const newPlan = await SubscriptionPlan.findById(req.body.newPlanId);
+  if (!newPlan) {
+    return { status: 404, error: "Plan not found" };
+  }
+
+  if (!newPlan.isPurchasable()) {
+    return { status: 400, error: "Plan is not available for purchase" };
+  }
+
+  return { subscription, newPlan };
+};
+
+/**
+ * Price a change to another plan
+ * Credits unused vouchers against the new plan's price.
+ *
+ * POST /api/subscriptions/:id/change-plan/quote
+ */
+export const getPlanChangeQuote = async (req, res) => {
+  try {
+    const { subscription, newPlan, status, error } = await loadPlanChange(req);
+    if (error) {
+      return sendResponse(res, status, false, error);
+    }
+
+    const quote = await quotePlanChange(subscription, newPlan);
+
+    return sendResponse(res, 200, true, "Plan change quote", { quote });
+  } catch (error) {
+    console.log("> Plan change quote error:", error);
+    return sendResponse(res, 500, false, "Server error");
+  }
+};
+
+/**
+ * Change to another plan mid-cycle
+ * When there is a difference to pay, returns Razorpay checkout details and
+ * the change completes on payment. Otherwise the change happens now and
+ * any leftover credit is refunded.
+ *
+ * POST /api/subscriptions/:id/change-plan
+ */
+export const changePlan = async (req, res) => {
+  try {
+    const { subscription, newPlan, status, error } = await loadPlanChange(req);
+    if (error) {
+      return sendResponse(res, status, false, error);
+    }
+
+    const quote = await quotePlanChange(subscription, newPlan);
+
+    if (quote.amountDue > 0) {
+      if (razorpayProvider.isAvailable()) {
+        // The new subscription's ID is the payment reference, so verify and webhook can't apply it twice
+        const newSubscriptionId = new mongoose.Types.ObjectId();
+        const paymentOrder = await paymentService.createPaymentOrder({
+          purchaseType: "SUBSCRIPTION",
+          referenceId: newSubscriptionId,
+          amount: quote.amountDue,
+          userId: req.user._id,
+          breakdown: {
+            subtotal: newPlan.price,
+            voucherDiscount: quote.credit,
+          },
+          metadata: {
+            changeOf: subscription._id.toString(),
+            newPlanId: newPlan._id.toString(),
+            credit: quote.credit,
+            unusedVouchers: quote.unusedVouchers,
+          },
+        });
+
+        return sendResponse(res, 200, true, "Complete payment to change plan", {
+          quote,
+          checkout: {
+            razorpayOrderId: paymentOrder.razorpayOrderId,
+            amount: paymentOrder.amountRupees,
+            currency: "INR",
+            key: paymentOrder.key,
+            expiresAt: paymentOrder.expiresAt,
+            prefill: {
+              name: req.user.name,
+              contact: req.user.phone,
+              email: req.user.email,
+            },
+          },
+        });
+      }
+
+      if (process.env.NODE_ENV === "production") {
+        return sendResponse(res, 503, false, "Payment gateway is not configured");
+      }
+      console.log("> Dev mode: Skipping payment for plan change");
+    }
+
+    const result = await applyPlanChange({
+      subscriptionId: subscription._id,
+      newPlanId: newPlan._id,
+    });
+
+    if (!result.success) {
+      return sendResponse(res, 400, false, result.error);
+    }
+
+    const refund = await paymentService.refundPlanChange(result.previous, result.subscription);
+
+    console.log(
+      `> Subscription plan changed: ${subscription._id} -> ${newPlan.name} by user ${req.user.phone}`
+    );
+
+    return sendResponse(res, 200, true, "Plan changed", {
+      subscription: await Subscription.findById(result.subscription._id),
+      previousSubscriptionId: subscription._id,
+      quote: result.quote,
+      vouchersCancelled: result.vouchersCancelled,
+      vouchersIssued: result.vouchersIssued,
+      autoRenewKept: result.autoRenewKept,
+      refund:
+        result.quote.refundAmount > 0
+          ? { amount: result.quote.refundAmount, success: refund.success, error: refund.error || null }
+          : null,
+      checkout: null,
+    });
+  } catch (error) {
+    console.log("> Change plan error:", error);
+    return sendResponse(res, 500, false, "Server error");
+  }
+};
+
+/**
+ * Complete a paid plan change after Razorpay checkout
+ *
+ * POST /api/subscriptions/:id/change-plan/verify
+ */
+export const verifyPlanChange = async (req, res) => {
+  try {
+    const { razorpayOrderId, razorpayPaymentId, razorpaySignature } = req.body;
+
+    const subscription = await Subscription.findById(req.params.id);
+    if (!subscription) {
+      return sendResponse(res, 404, false, "Subscription not found");
+    }
+
+    if (subscription.userId.toString() !== req.user._id.toString()) {
+      return sendResponse(res, 403, false, "Access denied");
+    }
+
+    const transaction = await PaymentTransaction.findByRazorpayOrderId(razorpayOrderId);
+    if (!transaction || transaction.notes?.changeOf !== subscription._id.toString()) {
+      return sendResponse(res, 400, false, "No pending plan change for this order");
+    }
+
+    // Capturing the payment applies the change (see payment.service)
+    try {
+      await paymentService.verifyPayment({
+        razorpayOrderId,
+        razorpayPaymentId,
+        razorpaySignature,
+      });
+    } catch (verifyError) {
+      console.log("> Plan change payment verification error:", verifyError);
+      return sendResponse(res, 400, false, verifyError.message || "Payment verification failed");
+    }
+
+    const changed = await Subscription.findById(transaction.referenceId);
+    if (!changed) {
+      return sendResponse(
+        res,
+        400,
+        false,
+        "Plan change could not be completed. Your payment will be refunded."
+      );
+    }
+
+    console.log(`> Subscription plan changed: ${subscription._id} -> ${changed._id} by user ${req.user.phone}`);
+
+    return sendResponse(res, 200, true, "Plan changed", {
+      subscription: changed,
+      previousSubscriptionId: subscription._id,
+    });
+  } catch (error) {
+    console.log("> Verify plan change error:", error);
+    return sendResponse(res, 500, false, "Server error");
+  }
+};
+
 // 
 // ADMIN - SUBSCRIPTION MANAGEMENT
 // 
@@ -940,6 +1519,16 @@ export const adminCancelSubscription = async (req, res) => {
     // Cancel unused vouchers
     const cancelledVouchers = await cancelUnusedVouchers(subscription._id);
 
+    // A cancelled subscription must not renew
+    if (subscription.isAutoRenew) {
+      await cancelAutoRenewal(subscription);
+    }
+
+    // Each payment can only give back what it captured
+    const refund = issueRefund
+      ? splitSubscriptionRefund(subscription, refundAmount || subscription.amountPaid)
+      : { amount: 0, payments: [] };
+
     // Log audit entry
     safeAuditLog(req, {
       action: "UPDATE",
@@ -956,7 +1545,8 @@ export const adminCancelSubscription = async (req, res) => {
       subscription,
       vouchersCancelled: cancelledVouchers.cancelled,
       refundIssued: issueRefund || false,
-      refundAmount: issueRefund ? refundAmount || subscription.amountPaid : 0,
+      refundAmount: refund.amount,
+      refundPayments: refund.payments,
     });
   } catch (error) {
     console.log("> Admin cancel subscription error:", error);
@@ -976,7 +1566,13 @@ export const adminCancelSubscription = async (req, res) => {
 export const updateAutoOrderSettings = async (req, res) => {
   try {
     const { id } = req.params;
-    const { autoOrderingEnabled, defaultMealType, defaultKitchenId, defaultAddressId } = req.body;
+    const {
+      autoOrderingEnabled,
+      defaultMealType,
+      defaultKitchenId,
+      defaultAddressId,
+      autoOrderPreferences,
+    } = req.body;
     const userId = req.user._id;
 
     const subscription = await Subscription.findById(id);
@@ -1005,6 +1601,26 @@ export const updateAutoOrderSettings = async (req, res) => {
       }
     }
 
+    // Standing add-ons must be active add-ons of the default kitchen
+    if (autoOrderPreferences?.addons?.length > 0) {
+      const kitchenId = defaultKitchenId || subscription.defaultKitchenId;
+      if (!kitchenId) {
+        return sendResponse(res, 400, false, "Set a default kitchen before choosing add-ons");
+      }
+
+      const addonIds = autoOrderPreferences.addons.map((a) => a.addonId);
+      const addons = await Addon.find({ _id: { $in: addonIds }, status: "ACTIVE" }).select("name kitchenId");
+      for (const addonId of addonIds) {
+        const addon = addons.find((a) => a._id.toString() === addonId);
+        if (!addon) {
+          return sendResponse(res, 400, false, `Add-on ${addonId} not found`);
+        }
+        if (addon.kitchenId.toString() !== kitchenId.toString()) {
+          return sendResponse(res, 400, false, `${addon.name} is not offered by your default kitchen`);
+        }
+      }
+    }
+
     // Update fields
     if (autoOrderingEnabled !== undefined) {
       subscription.autoOrderingEnabled = autoOrderingEnabled;
@@ -1018,12 +1634,27 @@ export const updateAutoOrderSettings = async (req, res) => {
     if (defaultAddressId !== undefined) {
       subscription.defaultAddressId = defaultAddressId;
     }
+    if (autoOrderPreferences) {
+      const preferences = subscription.autoOrderPreferences;
+      for (const field of ["lunchVariant", "dinnerVariant"]) {
+        if (autoOrderPreferences[field] !== undefined) {
+          preferences[field] = autoOrderPreferences[field] || null;
+        }
+      }
+      if (autoOrderPreferences.addons !== undefined) {
+        preferences.addons = autoOrderPreferences.addons;
+      }
+      if (autoOrderPreferences.dietaryFilter !== undefined) {
+        preferences.dietaryFilter = autoOrderPreferences.dietaryFilter;
+      }
+    }
 
     await subscription.save();
 
     // Populate the updated subscription for response
     await subscription.populate("defaultKitchenId", "name");
     await subscription.populate("defaultAddressId", "addressLine1 city");
+    await subscription.populate("autoOrderPreferences.addons.addonId", "name price");
 
     console.log(`> Auto-order settings updated for subscription: ${id}`);
 
@@ -1033,6 +1664,7 @@ export const updateAutoOrderSettings = async (req, res) => {
       defaultMealType: subscription.defaultMealType,
       defaultKitchen: subscription.defaultKitchenId,
       defaultAddress: subscription.defaultAddressId,
+      autoOrderPreferences: subscription.autoOrderPreferences,
     });
   } catch (error) {
     console.log("> Update auto-order settings error:", error);
@@ -1204,6 +1836,58 @@ export const skipMeal = async (req, res) => {
   }
 };
 
+/**
+ * Order a failed auto-order from another kitchen
+ * Answers the ORDER_FROM_ALTERNATIVE action on an AUTO_ORDER_FAILED
+ * notification. Logged under the failed run's cronRunId.
+ *
+ * POST /api/subscriptions/:id/order-alternative
+ */
+export const orderAlternative = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { logId } = req.body;
+
+    const log = await AutoOrderLog.findOne({ _id: logId, subscriptionId: id });
+    if (!log) {
+      return sendResponse(res, 404, false, "Auto-order not found");
+    }
+
+    if (log.userId.toString() !== req.user._id.toString()) {
+      return sendResponse(res, 403, false, "Access denied");
+    }
+
+    const result = await orderFromAlternative(log);
+
+    if (!result.success) {
+      return sendResponse(
+        res,
+        400,
+        false,
+        result.skipped ? result.reason : result.error,
+        result.logId
+          ? {
+              failureCategory: result.failureCategory,
+              logId: result.logId,
+              alternativeAvailable: result.alternativeAvailable,
+            }
+          : null
+      );
+    }
+
+    console.log(`> Alternative auto-order ${result.orderNumber} placed from ${result.kitchenName} for subscription ${id}`);
+
+    return sendResponse(res, 201, true, `Order placed from ${result.kitchenName}`, {
+      orderId: result.orderId,
+      orderNumber: result.orderNumber,
+      kitchen: { _id: result.kitchenId, name: result.kitchenName },
+    });
+  } catch (error) {
+    console.log("> Order alternative error:", error);
+    return sendResponse(res, 500, false, "Server error");
+  }
+};
+
 /**
  * Unskip a meal (remove from skipped slots)
  *
@@ -1257,6 +1941,32 @@ export const unskipMeal = async (req, res) => {
   }
 };
 
+/**
+ * Run auto-ordering for a meal window from an external trigger
+ * Live runs go through the scheduler so they share the day's slot with the
+ * internal cron and can never place the same meal window twice in a day.
+ * Dry runs bypass the scheduler since they create nothing.
+ * @param {string} mealWindow - LUNCH or DINNER
+ * @param {boolean} dryRun - Only report what would be ordered
+ * @returns {Promise<{executed: boolean, results?: Object, run?: Object}>}
+ */
+async function executeAutoOrderTrigger(mealWindow, dryRun) {
+  if (dryRun) {
+    return { executed: true, results: await runAutoOrderBatch(mealWindow, true) };
+  }
+
+  const jobName = mealWindow === "LUNCH" ? "autoOrderLunch" : "autoOrderDinner";
+  const outcome = await runJob(jobName, { trigger: "EXTERNAL" });
+
+  if (!outcome.executed) {
+    return { executed: false, run: outcome.run };
+  }
+  if (!outcome.success) {
+    throw new Error(outcome.error);
+  }
+  return { executed: true, results: outcome.output };
+}
+
 /**
  * Trigger auto-ordering (for external cron/scheduler)
  * Protected by CRON_SECRET header
@@ -1279,7 +1989,15 @@ export const triggerAutoOrders = async (req, res) => {
       return sendResponse(res, 200, true, "Auto-ordering is disabled", { disabled: true });
     }
 
-    const results = await runAutoOrderBatch(mealWindow, dryRun);
+    const { executed, results, run } = await executeAutoOrderTrigger(mealWindow, dryRun);
+    if (!executed) {
+      return sendResponse(res, 200, true, `${mealWindow} auto-ordering already ran for this slot`, {
+        alreadyRun: true,
+        runKey: run?.runKey,
+        status: run?.status,
+        startedAt: run?.startedAt,
+      });
+    }
 
     console.log(`> Auto-ordering triggered for ${mealWindow}: ${results.ordersCreated} orders created`);
 
@@ -1312,7 +2030,15 @@ export const triggerLunchAutoOrders = async (req, res) => {
       return sendResponse(res, 200, true, "Auto-ordering is disabled", { disabled: true });
     }
 
-    const results = await runAutoOrderBatch("LUNCH", dryRun);
+    const { executed, results, run } = await executeAutoOrderTrigger("LUNCH", dryRun);
+    if (!executed) {
+      return sendResponse(res, 200, true, "LUNCH auto-ordering already ran for this slot", {
+        alreadyRun: true,
+        runKey: run?.runKey,
+        status: run?.status,
+        startedAt: run?.startedAt,
+      });
+    }
 
     console.log(`> LUNCH auto-ordering triggered: ${results.ordersCreated} orders created`);
 
@@ -1345,7 +2071,15 @@ export const triggerDinnerAutoOrders = async (req, res) => {
       return sendResponse(res, 200, true, "Auto-ordering is disabled", { disabled: true });
     }
 
-    const results = await runAutoOrderBatch("DINNER", dryRun);
+    const { executed, results, run } = await executeAutoOrderTrigger("DINNER", dryRun);
+    if (!executed) {
+      return sendResponse(res, 200, true, "DINNER auto-ordering already ran for this slot", {
+        alreadyRun: true,
+        runKey: run?.runKey,
+        status: run?.status,
+        startedAt: run?.startedAt,
+      });
+    }
 
     console.log(`> DINNER auto-ordering triggered: ${results.ordersCreated} orders created`);
 
@@ -1370,6 +2104,7 @@ export const getAutoOrderLogs = async (req, res) => {
       mealWindow,
       failureCategory,
       cronRunId,
+      trigger,
       dateFrom,
       dateTo,
       page = 1,
@@ -1383,6 +2118,7 @@ export const getAutoOrderLogs = async (req, res) => {
     if (mealWindow) query.mealWindow = mealWindow;
     if (failureCategory) query.failureCategory = failureCategory;
     if (cronRunId) query.cronRunId = cronRunId;
+    if (trigger) query.trigger = trigger;
     if (dateFrom || dateTo) {
       query.processedDate = {};
       if (dateFrom) query.processedDate.$gte = new Date(dateFrom);
@@ -1476,10 +2212,11 @@ export const getAutoOrderFailureSummary = async (req, res) => {
       const category = item._id.failureCategory || "UNKNOWN";
       const mealWindow = item._id.mealWindow;
       if (!failuresByCategory[category]) {
-        failuresByCategory[category] = { total: 0, LUNCH: 0, DINNER: 0 };
+        failuresByCategory[category] = { total: 0, LUNCH: 0, DINNER: 0, recovered: 0 };
       }
       failuresByCategory[category][mealWindow] = item.count;
       failuresByCategory[category].total += item.count;
+      failuresByCategory[category].recovered += item.recovered;
     });
 
     return sendResponse(res, 200, true, "Auto-order failure summary", {
@@ -1493,6 +2230,148 @@ export const getAutoOrderFailureSummary = async (req, res) => {
   }
 };
 
+/**
+ * Forecast an auto-order run (admin)
+ * Dry run of the batch: predicted orders per kitchen and zone, expected
+ * failures and voucher burn. Writes no orders or logs.
+ *
+ * GET /api/subscriptions/auto-order-forecast
+ */
+export const getAutoOrderForecast = async (req, res) => {
+  try {
+    const { mealWindow, date } = req.validatedQuery || req.query;
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const runDate = date ? new Date(date) : new Date(today.getTime() + dayMs);
+    runDate.setHours(0, 0, 0, 0);
+
+    if (runDate < today) {
+      return sendResponse(res, 400, false, "Forecast date can't be in the past");
+    }
+    // Eligibility and voucher balances are read as of now
+    if (runDate.getTime() - today.getTime() > 7 * dayMs) {
+      return sendResponse(res, 400, false, "Forecasts cover the next 7 days only");
+    }
+
+    const forecast = await buildAutoOrderForecast(mealWindow, runDate);
+
+    return sendResponse(res, 200, true, "Auto-order forecast", { forecast });
+  } catch (error) {
+    console.log("> Get auto-order forecast error:", error);
+    return sendResponse(res, 500, false, "Server error");
+  }
+};
+
+/**
+ * Auto-renewal report
+ * Outcomes for renewals due in the date range, upcoming renewals and the
+ * renewals needing attention.
+ *
+ * GET /api/subscriptions/admin/renewals/report
+ */
+export const getRenewalReport = async (req, res) => {
+  try {
+    const query = req.validatedQuery || req.query;
+    const { dateFrom, dateTo, upcomingDays = 7, status, page = 1, limit = 50 } = query;
+    const now = new Date();
+
+    // Default to the last 30 days of due renewals
+    const from = dateFrom ? new Date(dateFrom) : new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const to = dateTo ? new Date(dateTo) : now;
+    const upcomingUntil = new Date(now.getTime() + upcomingDays * 24 * 60 * 60 * 1000);
+
+    const dueFilter = {
+      endDate: { $gte: from, $lte: to },
+      $or: [{ isAutoRenew: true }, { "renewal.status": { $ne: null } }],
+    };
+
+    const listFilter = { ...dueFilter };
+    if (status) listFilter["renewal.status"] = status;
+
+    const skip = (page - 1) * limit;
+
+    const [outcomes, failureReasons, revenue, upcoming, renewals, total] = await Promise.all([
+      Subscription.aggregate([
+        { $match: dueFilter },
+        { $group: { _id: { $ifNull: ["$renewal.status", "NOT_ATTEMPTED"] }, count: { $sum: 1 } } },
+      ]),
+      Subscription.aggregate([
+        { $match: { ...dueFilter, "renewal.status": { $in: ["FAILED", "RETRY_SCHEDULED"] } } },
+        { $group: { _id: "$renewal.lastFailureReason", count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 10 },
+      ]),
+      Subscription.aggregate([
+        { $match: { renewedFromId: { $ne: null }, purchaseDate: { $gte: from, $lte: to } } },
+        { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: "$amountPaid" } } },
+      ]),
+      Subscription.aggregate([
+        {
+          $match: {
+            isAutoRenew: true,
+            status: "ACTIVE",
+            "renewalMandate.status": "ACTIVE",
+            endDate: { $gt: now, $lte: upcomingUntil },
+          },
+        },
+        {
+          $lookup: {
+            from: "subscriptionplans",
+            localField: "planId",
+            foreignField: "_id",
+            as: "plan",
+          },
+        },
+        { $unwind: "$plan" },
+        { $group: { _id: null, count: { $sum: 1 }, expectedAmount: { $sum: "$plan.price" } } },
+      ]),
+      Subscription.find(listFilter)
+        .select("userId planId endDate status isAutoRenew renewal renewalMandate.status renewalMandate.method")
+        .populate("userId", "name phone")
+        .populate("planId", "name price")
+        .sort({ endDate: -1 })
+        .skip(skip)
+        .limit(limit),
+      Subscription.countDocuments(listFilter),
+    ]);
+
+    const summary = { NOT_ATTEMPTED: 0, PENDING_PAYMENT: 0, RETRY_SCHEDULED: 0, RENEWED: 0, FAILED: 0 };
+    outcomes.forEach((o) => {
+      summary[o._id] = o.count;
+    });
+    const due = Object.values(summary).reduce((sum, count) => sum + count, 0);
+
+    return sendResponse(res, 200, true, "Renewal report", {
+      summary: {
+        ...summary,
+        due,
+        successRate: due > 0 ? Math.round((summary.RENEWED / due) * 10000) / 100 : 0,
+        renewalRevenue: revenue[0]?.amount || 0,
+        renewedCount: revenue[0]?.count || 0,
+      },
+      upcoming: {
+        days: upcomingDays,
+        count: upcoming[0]?.count || 0,
+        expectedAmount: upcoming[0]?.expectedAmount || 0,
+      },
+      failureReasons: failureReasons.map((r) => ({ reason: r._id || "Unknown", count: r.count })),
+      renewals,
+      dateRange: { from, to },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.log("> Get renewal report error:", error);
+    return sendResponse(res, 500, false, "Server error");
+  }
+};
+
 export default {
   // Plan management
   createPlan,
@@ -1507,15 +2386,30 @@ export default {
   purchaseSubscription,
   getMySubscriptions,
   getSubscriptionById,
+  getSubscriptionInvoice,
   cancelSubscription,
   getAllSubscriptions,
   adminCancelSubscription,
+  // Auto-renewal
+  enableAutoRenew,
+  verifyAutoRenewMandate,
+  disableAutoRenew,
+  getRenewalReport,
+  // Plan change
+  getPlanChangeQuote,
+  changePlan,
+  verifyPlanChange,
+  // Gifts
+  purchaseGift,
+  getSentGifts,
+  cancelGift,
   // Auto-ordering
   updateAutoOrderSettings,
   pauseSubscription,
   resumeSubscription,
   skipMeal,
   unskipMeal,
+  orderAlternative,
   triggerAutoOrders,
   // Cron endpoints
   triggerLunchAutoOrders,
@@ -1523,4 +2417,5 @@ export default {
   // Admin logs
   getAutoOrderLogs,
   getAutoOrderFailureSummary,
+  getAutoOrderForecast,
 };
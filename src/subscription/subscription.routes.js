@@ -2,6 +2,7 @@ import { Router } from "express";
 import subscriptionController from "./subscription.controller.js";
 import { adminAuthMiddleware, adminMiddleware, roleMiddleware, optionalAuthMiddleware } from "../../middlewares/auth.middleware.js";
 import { validateBody, validateQuery, validateParams } from "../../middlewares/validate.middleware.js";
+import { idempotency } from "../../middlewares/idempotency.middleware.js";
 import {
   createPlanSchema,
   updatePlanSchema,
@@ -15,9 +16,19 @@ import {
   pauseSubscriptionSchema,
   skipMealSchema,
   unskipMealSchema,
+  orderAlternativeSchema,
   cronTriggerSchema,
   queryAutoOrderLogsSchema,
   queryFailureSummarySchema,
+  autoOrderForecastSchema,
+  invoiceQuerySchema,
+  confirmAutoRenewSchema,
+  queryRenewalReportSchema,
+  changePlanSchema,
+  verifyPlanChangeSchema,
+  purchaseGiftSchema,
+  querySentGiftsSchema,
+  cancelGiftSchema,
 } from "./subscription.validation.js";
 import Joi from "joi";
 
@@ -127,10 +138,40 @@ router.post(
   "/purchase",
   adminAuthMiddleware,
   roleMiddleware(["CUSTOMER", "ADMIN"]),
+  idempotency(),
   validateBody(purchaseSubscriptionSchema),
   subscriptionController.purchaseSubscription
 );
 
+// Buy a subscription as a gift
+router.post(
+  "/gifts",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER"]),
+  idempotency(),
+  validateBody(purchaseGiftSchema),
+  subscriptionController.purchaseGift
+);
+
+// Get gifts I've sent
+router.get(
+  "/gifts/sent",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER"]),
+  validateQuery(querySentGiftsSchema),
+  subscriptionController.getSentGifts
+);
+
+// Cancel an unclaimed gift
+router.patch(
+  "/gifts/:id/cancel",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER"]),
+  validateParams(idParamSchema),
+  validateBody(cancelGiftSchema),
+  subscriptionController.cancelGift
+);
+
 // Get my subscriptions
 router.get(
   "/my-subscriptions",
@@ -153,6 +194,15 @@ router.get(
   subscriptionController.getAllSubscriptions
 );
 
+// Auto-renewal report
+router.get(
+  "/admin/renewals/report",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateQuery(queryRenewalReportSchema),
+  subscriptionController.getRenewalReport
+);
+
 /**
  * SYSTEM - AUTO-ORDER TRIGGER
  * Protected by CRON_SECRET header for external schedulers
@@ -206,6 +256,15 @@ router.get(
   subscriptionController.getAutoOrderFailureSummary
 );
 
+// Forecast an auto-order run (dry run, writes nothing)
+router.get(
+  "/auto-order-forecast",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateQuery(autoOrderForecastSchema),
+  subscriptionController.getAutoOrderForecast
+);
+
 /**
  * SUBSCRIPTION BY ID ROUTES
  */
@@ -218,6 +277,16 @@ router.get(
   subscriptionController.getSubscriptionById
 );
 
+// Download GST invoice for the purchase (PDF or HTML)
+router.get(
+  "/:id/invoice",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER", "ADMIN"]),
+  validateParams(idParamSchema),
+  validateQuery(invoiceQuerySchema),
+  subscriptionController.getSubscriptionInvoice
+);
+
 // Cancel subscription (customer-initiated)
 router.post(
   "/:id/cancel",
@@ -238,6 +307,73 @@ router.post(
   subscriptionController.adminCancelSubscription
 );
 
+/**
+ * AUTO-RENEWAL ROUTES
+ */
+
+// Turn on auto-renew (returns mandate checkout details if needed)
+router.post(
+  "/:id/auto-renew",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER"]),
+  validateParams(idParamSchema),
+  subscriptionController.enableAutoRenew
+);
+
+// Confirm mandate after checkout
+router.post(
+  "/:id/auto-renew/verify",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER"]),
+  validateParams(idParamSchema),
+  validateBody(confirmAutoRenewSchema),
+  subscriptionController.verifyAutoRenewMandate
+);
+
+// Turn off auto-renew
+router.delete(
+  "/:id/auto-renew",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER", "ADMIN"]),
+  validateParams(idParamSchema),
+  subscriptionController.disableAutoRenew
+);
+
+/**
+ * PLAN CHANGE ROUTES
+ */
+
+// Price a change to another plan
+router.post(
+  "/:id/change-plan/quote",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER"]),
+  validateParams(idParamSchema),
+  validateBody(changePlanSchema),
+  subscriptionController.getPlanChangeQuote
+);
+
+// Change plan (returns checkout details when there is a difference to pay)
+router.post(
+  "/:id/change-plan",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER"]),
+  idempotency(),
+  validateParams(idParamSchema),
+  validateBody(changePlanSchema),
+  subscriptionController.changePlan
+);
+
+// Complete a paid plan change after checkout
+router.post(
+  "/:id/change-plan/verify",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER"]),
+  validateParams(idParamSchema),
+  validateBody(verifyPlanChangeSchema),
+  subscriptionController.verifyPlanChange
+);
+
 /**
  * AUTO-ORDERING ROUTES
  */
@@ -291,4 +427,15 @@ router.post(
   subscriptionController.unskipMeal
 );
 
+// Order a failed auto-order from another kitchen (notification action)
+router.post(
+  "/:id/order-alternative",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER"]),
+  idempotency(),
+  validateParams(idParamSchema),
+  validateBody(orderAlternativeSchema),
+  subscriptionController.orderAlternative
+);
+
 export default router;
@@ -1,4 +1,5 @@
 import Joi from "joi";
+import { normalizePhone, isValidPhone } from "../../utils/phone.utils.js";
 
 /**
  * Subscription Validation Schemas
@@ -72,10 +73,58 @@ export const purchaseSubscriptionSchema = Joi.object({
   planId: Joi.string().hex().length(24).required().messages({
     "any.required": "Plan ID is required",
   }),
+  razorpayOrderId: Joi.string().trim(),
+  razorpayPaymentId: Joi.string().trim(),
+  razorpaySignature: Joi.string().trim(),
   paymentId: Joi.string().max(100).trim().allow("", null),
   paymentMethod: Joi.string().max(50).trim().allow("", null),
 });
 
+/**
+ * Buy a subscription as a gift
+ */
+export const purchaseGiftSchema = Joi.object({
+  planId: Joi.string().hex().length(24).required().messages({
+    "any.required": "Plan ID is required",
+  }),
+  recipientPhone: Joi.string()
+    .required()
+    .custom((value, helpers) => {
+      const normalized = normalizePhone(value);
+      if (!normalized || !isValidPhone(normalized)) {
+        return helpers.error("string.pattern.base");
+      }
+      return normalized;
+    })
+    .messages({
+      "any.required": "Recipient phone is required",
+      "string.pattern.base": "Recipient phone must be a valid 10-digit Indian mobile number",
+    }),
+  recipientName: Joi.string().max(100).trim().allow("", null),
+  message: Joi.string().max(300).trim().allow("", null),
+  razorpayOrderId: Joi.string().trim(),
+  razorpayPaymentId: Joi.string().trim(),
+  razorpaySignature: Joi.string().trim(),
+  paymentId: Joi.string().max(100).trim().allow("", null),
+  paymentMethod: Joi.string().max(50).trim().allow("", null),
+});
+
+/**
+ * Query sent gifts
+ */
+export const querySentGiftsSchema = Joi.object({
+  status: Joi.string().valid("PENDING_CLAIM", "CLAIMED", "CANCELLED"),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+});
+
+/**
+ * Cancel an unclaimed gift
+ */
+export const cancelGiftSchema = Joi.object({
+  reason: Joi.string().max(300).trim().allow("", null),
+});
+
 /**
  * Cancel subscription
  */
@@ -132,6 +181,24 @@ export const updateAutoOrderSettingsSchema = Joi.object({
   defaultMealType: Joi.string().valid("LUNCH", "DINNER", "BOTH"),
   defaultKitchenId: Joi.string().hex().length(24).allow(null),
   defaultAddressId: Joi.string().hex().length(24).allow(null),
+  autoOrderPreferences: Joi.object({
+    lunchVariant: Joi.string().max(50).trim().allow("", null),
+    dinnerVariant: Joi.string().max(50).trim().allow("", null),
+    addons: Joi.array()
+      .items(
+        Joi.object({
+          addonId: Joi.string().hex().length(24).required(),
+          quantity: Joi.number().integer().min(1).max(10).default(1),
+          mealWindow: Joi.string().valid("LUNCH", "DINNER", "BOTH").default("BOTH"),
+        })
+      )
+      .max(10)
+      .unique("addonId")
+      .messages({
+        "array.unique": "Each add-on can only be added once",
+      }),
+    dietaryFilter: Joi.boolean(),
+  }).min(1),
 }).min(1);
 
 /**
@@ -173,6 +240,16 @@ export const unskipMealSchema = Joi.object({
     }),
 });
 
+/**
+ * Order a failed auto-order from another kitchen
+ * logId comes from the AUTO_ORDER_FAILED notification data
+ */
+export const orderAlternativeSchema = Joi.object({
+  logId: Joi.string().hex().length(24).required().messages({
+    "any.required": "Auto-order log ID is required",
+  }),
+});
+
 /**
  * Cron trigger (for dedicated lunch/dinner endpoints)
  */
@@ -194,21 +271,37 @@ export const queryAutoOrderLogsSchema = Joi.object({
     "NO_ZONE",
     "NO_KITCHEN",
     "KITCHEN_NOT_SERVING_ZONE",
+    "KITCHEN_SOLD_OUT",
     "NO_MENU_ITEM",
     "VOUCHER_REDEMPTION_FAILED",
     "ORDER_CREATION_FAILED",
     "SUBSCRIPTION_PAUSED",
     "SLOT_SKIPPED",
     "SUBSCRIPTION_EXPIRED",
+    "DIETARY_MISMATCH",
+    "KITCHEN_CLOSED",
+    "ZONE_CLOSED",
     "UNKNOWN"
   ),
   cronRunId: Joi.string().max(100),
+  trigger: Joi.string().valid("BATCH", "RETRY", "CUSTOMER"),
   dateFrom: Joi.date(),
   dateTo: Joi.date(),
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(50),
 });
 
+/**
+ * Forecast an auto-order run
+ * date defaults to tomorrow
+ */
+export const autoOrderForecastSchema = Joi.object({
+  mealWindow: Joi.string().valid("LUNCH", "DINNER").required().messages({
+    "any.required": "Meal window is required",
+  }),
+  date: Joi.date(),
+});
+
 /**
  * Query failure summary
  */
@@ -217,6 +310,64 @@ export const queryFailureSummarySchema = Joi.object({
   dateTo: Joi.date(),
 });
 
+/**
+ * Invoice download
+ */
+export const invoiceQuerySchema = Joi.object({
+  format: Joi.string().valid("pdf", "html").default("pdf"),
+});
+
+/**
+ * Confirm auto-renew mandate after checkout
+ */
+export const confirmAutoRenewSchema = Joi.object({
+  razorpayOrderId: Joi.string().trim().required().messages({
+    "any.required": "Razorpay order ID is required",
+  }),
+  razorpayPaymentId: Joi.string().trim().required().messages({
+    "any.required": "Razorpay payment ID is required",
+  }),
+  razorpaySignature: Joi.string().trim().required().messages({
+    "any.required": "Razorpay signature is required",
+  }),
+});
+
+/**
+ * Quote or start a plan change
+ */
+export const changePlanSchema = Joi.object({
+  newPlanId: Joi.string().hex().length(24).required().messages({
+    "any.required": "New plan ID is required",
+  }),
+});
+
+/**
+ * Confirm a paid plan change after checkout
+ */
+export const verifyPlanChangeSchema = Joi.object({
+  razorpayOrderId: Joi.string().trim().required().messages({
+    "any.required": "Razorpay order ID is required",
+  }),
+  razorpayPaymentId: Joi.string().trim().required().messages({
+    "any.required": "Razorpay payment ID is required",
+  }),
+  razorpaySignature: Joi.string().trim().required().messages({
+    "any.required": "Razorpay signature is required",
+  }),
+});
+
+/**
+ * Query renewal report (admin)
+ */
+export const queryRenewalReportSchema = Joi.object({
+  dateFrom: Joi.date(),
+  dateTo: Joi.date(),
+  upcomingDays: Joi.number().integer().min(1).max(60).default(7),
+  status: Joi.string().valid("PENDING_PAYMENT", "RETRY_SCHEDULED", "RENEWED", "FAILED"),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+});
+
 export default {
   createPlanSchema,
   updatePlanSchema,
@@ -230,7 +381,17 @@ export default {
   pauseSubscriptionSchema,
   skipMealSchema,
   unskipMealSchema,
+  orderAlternativeSchema,
   cronTriggerSchema,
   queryAutoOrderLogsSchema,
   queryFailureSummarySchema,
+  autoOrderForecastSchema,
+  invoiceQuerySchema,
+  confirmAutoRenewSchema,
+  queryRenewalReportSchema,
+  changePlanSchema,
+  verifyPlanChangeSchema,
+  purchaseGiftSchema,
+  querySentGiftsSchema,
+  cancelGiftSchema,
 };
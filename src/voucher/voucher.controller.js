@@ -4,10 +4,15 @@ import Subscription from "../../schema/subscription.schema.js";
 import Kitchen from "../../schema/kitchen.schema.js";
 import { sendResponse } from "../../utils/response.utils.js";
 import { safeAuditLog } from "../../utils/audit.utils.js";
+import VoucherTransfer from "../../schema/voucherTransfer.schema.js";
+import User from "../../schema/user.schema.js";
 import {
   redeemVouchersWithTransaction,
   restoreVouchersForOrder,
+  transferVouchers as transferUserVouchers,
 } from "../../services/voucher.service.js";
+import { sendToUser } from "../../services/notification.service.js";
+import { GIFT_TEMPLATES, buildFromTemplate } from "../../services/notification-templates.service.js";
 import {
   checkCutoffTime,
   getCutoffTimes as getSystemCutoffTimes,
@@ -187,6 +192,7 @@ export const getMyVouchers = async (req, res) => {
       expired: 0,
       restored: 0,
       cancelled: 0,
+      transferred: 0,
       total: 0,
     };
 
@@ -358,6 +364,138 @@ export const checkVoucherEligibility = async (req, res) => {
   }
 };
 
+/**
+ * Transfer vouchers to another customer
+ * Moves the sender's soonest-expiring AVAILABLE vouchers, within the
+ * per-transfer and monthly caps in the voucherTransfer config.
+ *
+ * POST /api/vouchers/transfer
+ * @body {string} recipientPhone - Recipient's registered phone
+ * @body {number} count - Vouchers to transfer
+ * @body {string} mealType - Only vouchers usable for LUNCH or DINNER (optional)
+ * @body {string} note - Note to the recipient (optional)
+ * @returns {Object} { transfer, vouchers }
+ */
+export const transferVouchers = async (req, res) => {
+  try {
+    const { recipientPhone, count, mealType, note } = req.body;
+
+    if (recipientPhone === req.user.phone) {
+      return sendResponse(res, 400, false, "You cannot transfer vouchers to yourself");
+    }
+
+    const recipient = await User.findByPhone(recipientPhone);
+    if (!recipient || recipient.role !== "CUSTOMER" || recipient.status !== "ACTIVE") {
+      return sendResponse(res, 404, false, "No active customer found with this phone number");
+    }
+
+    const result = await transferUserVouchers({
+      fromUserId: req.user._id,
+      toUserId: recipient._id,
+      count,
+      mealType,
+      note,
+    });
+
+    if (!result.success) {
+      return sendResponse(res, 400, false, result.error);
+    }
+
+    const { transfer, vouchers } = result;
+
+    safeAuditLog(req, {
+      action: "TRANSFER",
+      entityType: "VOUCHER",
+      entityId: transfer._id,
+      entityName: transfer.transferNumber,
+      newValue: {
+        toUserId: recipient._id,
+        count,
+        sourceVoucherIds: transfer.sourceVoucherIds,
+        voucherIds: transfer.voucherIds,
+      },
+      description: `Transferred ${count} vouchers to ${recipient.phone}`,
+    });
+
+    const earliestExpiry = vouchers.reduce(
+      (min, v) => (v.expiryDate < min ? v.expiryDate : min),
+      vouchers[0].expiryDate
+    );
+    const notification = buildFromTemplate(GIFT_TEMPLATES.VOUCHERS_RECEIVED, {
+      senderName: req.user.name || "A friend",
+      count,
+      expiryDate: earliestExpiry.toLocaleDateString("en-IN", {
+        day: "numeric",
+        month: "short",
+        year: "numeric",
+        timeZone: "Asia/Kolkata",
+      }),
+    });
+    sendToUser(recipient._id, "VOUCHERS_RECEIVED", notification.title, notification.body, {
+      data: { transferId: transfer._id.toString() },
+      entityType: "VOUCHER",
+      entityId: transfer._id,
+      channels: notification.channels,
+    });
+
+    return sendResponse(res, 200, true, "Vouchers transferred", {
+      transfer,
+      recipient: { name: recipient.name, phone: recipient.phone },
+      vouchers: vouchers.map((v) => ({
+        _id: v._id,
+        mealType: v.mealType,
+        expiryDate: v.expiryDate,
+      })),
+    });
+  } catch (error) {
+    console.log("> Transfer vouchers error:", error);
+    return sendResponse(res, 500, false, "Server error");
+  }
+};
+
+/**
+ * Get customer's voucher transfers (sent and received)
+ *
+ * GET /api/vouchers/transfers
+ */
+export const getMyTransfers = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { direction, page = 1, limit = 20 } = req.validatedQuery || req.query;
+
+    const query =
+      direction === "SENT"
+        ? { fromUserId: userId }
+        : direction === "RECEIVED"
+          ? { toUserId: userId }
+          : { $or: [{ fromUserId: userId }, { toUserId: userId }] };
+
+    const skip = (page - 1) * limit;
+
+    const [transfers, total] = await Promise.all([
+      VoucherTransfer.find(query)
+        .select("-sourceVoucherIds -voucherIds")
+        .populate("fromUserId", "name phone")
+        .populate("toUserId", "name phone")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      VoucherTransfer.countDocuments(query),
+    ]);
+
+    return sendResponse(res, 200, true, "Voucher transfers", {
+      transfers: transfers.map((t) => ({
+        ...t.toObject(),
+        direction: t.fromUserId?._id?.toString() === userId.toString() ? "SENT" : "RECEIVED",
+      })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.log("> Get voucher transfers error:", error);
+    return sendResponse(res, 500, false, "Server error");
+  }
+};
+
 /**
  * Redeem vouchers (internal API for order service)
  * Uses voucher service for atomic transaction with subscription sync
@@ -525,6 +663,7 @@ export const getVoucherStats = async (req, res) => {
       totalAvailable: 0,
       totalRestored: 0,
       totalCancelled: 0,
+      totalTransferred: 0,
     };
 
     for (const stat of stats) {
@@ -532,7 +671,10 @@ export const getVoucherStats = async (req, res) => {
         stat._id.charAt(0) + stat._id.slice(1).toLowerCase()
       }`;
       result[key] = stat.count;
-      result.totalIssued += stat.count;
+      // A transfer re-issues the voucher to the recipient; count it once
+      if (stat._id !== "TRANSFERRED") {
+        result.totalIssued += stat.count;
+      }
     }
 
     // Calculate rates
@@ -767,6 +909,8 @@ export default {
   getMyVouchers,
   getVoucherById,
   checkVoucherEligibility,
+  transferVouchers,
+  getMyTransfers,
   // Internal functions
   redeemVouchers,
   restoreVouchers,
@@ -2,6 +2,7 @@ import { Router } from "express";
 import voucherController from "./voucher.controller.js";
 import { adminAuthMiddleware, adminMiddleware, roleMiddleware, internalAuthMiddleware } from "../../middlewares/auth.middleware.js";
 import { validateBody, validateQuery, validateParams } from "../../middlewares/validate.middleware.js";
+import { idempotency } from "../../middlewares/idempotency.middleware.js";
 import {
   checkEligibilitySchema,
   redeemVouchersSchema,
@@ -11,6 +12,8 @@ import {
   getBalanceSchema,
   queryVouchersSchema,
   adminQueryVouchersSchema,
+  transferVouchersSchema,
+  queryTransfersSchema,
 } from "./voucher.validation.js";
 import Joi from "joi";
 
@@ -68,6 +71,25 @@ router.post(
   voucherController.checkVoucherEligibility
 );
 
+// Transfer vouchers to another customer
+router.post(
+  "/transfer",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER"]),
+  idempotency(),
+  validateBody(transferVouchersSchema),
+  voucherController.transferVouchers
+);
+
+// Get my voucher transfers
+router.get(
+  "/transfers",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER"]),
+  validateQuery(queryTransfersSchema),
+  voucherController.getMyTransfers
+);
+
 /**
  * INTERNAL ROUTES (Service-to-Service)
  */
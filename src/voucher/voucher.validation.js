@@ -1,4 +1,5 @@
 import Joi from "joi";
+import { normalizePhone, isValidPhone } from "../../utils/phone.utils.js";
 
 /**
  * Voucher Validation Schemas
@@ -10,6 +11,7 @@ const VOUCHER_STATUSES = [
   "EXPIRED",
   "RESTORED",
   "CANCELLED",
+  "TRANSFERRED",
 ];
 const MEAL_WINDOWS = ["LUNCH", "DINNER"];
 
@@ -119,6 +121,39 @@ export const adminQueryVouchersSchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(50),
 });
 
+/**
+ * Transfer vouchers to another customer
+ */
+export const transferVouchersSchema = Joi.object({
+  recipientPhone: Joi.string()
+    .required()
+    .custom((value, helpers) => {
+      const normalized = normalizePhone(value);
+      if (!normalized || !isValidPhone(normalized)) {
+        return helpers.error("string.pattern.base");
+      }
+      return normalized;
+    })
+    .messages({
+      "any.required": "Recipient phone is required",
+      "string.pattern.base": "Recipient phone must be a valid 10-digit Indian mobile number",
+    }),
+  count: Joi.number().integer().min(1).max(100).required().messages({
+    "any.required": "Voucher count is required",
+  }),
+  mealType: Joi.string().valid(...MEAL_WINDOWS),
+  note: Joi.string().max(200).trim().allow("", null),
+});
+
+/**
+ * Query voucher transfer history
+ */
+export const queryTransfersSchema = Joi.object({
+  direction: Joi.string().valid("SENT", "RECEIVED"),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20),
+});
+
 export default {
   checkEligibilitySchema,
   redeemVouchersSchema,
@@ -128,4 +163,6 @@ export default {
   getBalanceSchema,
   queryVouchersSchema,
   adminQueryVouchersSchema,
+  transferVouchersSchema,
+  queryTransfersSchema,
 };
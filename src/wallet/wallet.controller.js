@@ -0,0 +1,283 @@
+import User from "../../schema/user.schema.js";
+import WalletRecharge from "../../schema/walletRecharge.schema.js";
+import { sendResponse } from "../../utils/response.utils.js";
+import { safeAuditLog } from "../../utils/audit.utils.js";
+import paymentService from "../../services/payment.service.js";
+import {
+  getOrCreateWallet,
+  getWalletStatement,
+  creditWallet,
+  debitWallet,
+  MAX_WALLET_BALANCE,
+} from "../../services/wallet.service.js";
+
+/**
+ * Wallet Controller
+ * Customer balance, statement and top-ups; admin lookups and adjustments
+ */
+
+const RECENT_ENTRIES_LIMIT = 5;
+
+/**
+ * Shape a wallet document for API responses
+ * @param {Object} wallet - Wallet document
+ * @returns {Object}
+ */
+function toWalletSummary(wallet) {
+  return {
+    _id: wallet._id,
+    userId: wallet.userId,
+    balance: wallet.balance,
+    lifetimeCredits: wallet.lifetimeCredits,
+    lifetimeDebits: wallet.lifetimeDebits,
+    lastTransactionAt: wallet.lastTransactionAt,
+  };
+}
+
+/**
+ *
+ * CUSTOMER FUNCTIONS
+ *
+ */
+
+/**
+ * Get wallet balance with recent entries
+ * @route GET /api/wallet
+ * @access Authenticated Customer
+ */
+export async function getMyWallet(req, res) {
+  try {
+    const userId = req.user._id;
+
+    const wallet = await getOrCreateWallet(userId);
+    const { entries } = await getWalletStatement(userId, { limit: RECENT_ENTRIES_LIMIT });
+
+    return sendResponse(res, 200, true, "Wallet retrieved", {
+      wallet: toWalletSummary(wallet),
+      recentEntries: entries,
+    });
+  } catch (error) {
+    console.log("Get wallet error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve wallet");
+  }
+}
+
+/**
+ * Get wallet statement
+ * @route GET /api/wallet/statement
+ * @access Authenticated Customer
+ */
+export async function getMyStatement(req, res) {
+  try {
+    const userId = req.user._id;
+    const query = req.validatedQuery || req.query;
+
+    const wallet = await getOrCreateWallet(userId);
+    const statement = await getWalletStatement(userId, {
+      type: query.type,
+      source: query.source,
+      dateFrom: query.dateFrom,
+      dateTo: query.dateTo,
+      page: parseInt(query.page) || 1,
+      limit: parseInt(query.limit) || 20,
+    });
+
+    return sendResponse(res, 200, true, "Wallet statement retrieved", {
+      balance: wallet.balance,
+      ...statement,
+    });
+  } catch (error) {
+    console.log("Get wallet statement error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve wallet statement");
+  }
+}
+
+/**
+ * Start a wallet top-up through Razorpay
+ * The client completes checkout and calls POST /api/payment/verify;
+ * the wallet is credited once the payment is captured.
+ * @route POST /api/wallet/topup
+ * @access Authenticated Customer
+ */
+export async function initiateTopup(req, res) {
+  try {
+    const userId = req.user._id;
+    const { amount } = req.body;
+
+    const wallet = await getOrCreateWallet(userId);
+    if (wallet.balance + amount > MAX_WALLET_BALANCE) {
+      return sendResponse(
+        res,
+        400,
+        false,
+        `Wallet balance cannot exceed ${MAX_WALLET_BALANCE}`
+      );
+    }
+
+    const recharge = await WalletRecharge.create({ userId, amount });
+
+    const paymentOrder = await paymentService.createPaymentOrder({
+      purchaseType: "WALLET_RECHARGE",
+      referenceId: recharge._id,
+      amount,
+      userId,
+      metadata: {
+        walletId: wallet._id.toString(),
+      },
+    });
+
+    recharge.razorpayOrderId = paymentOrder.razorpayOrderId;
+    await recharge.save();
+
+    return sendResponse(res, 200, true, "Top-up payment order created", {
+      rechargeId: recharge._id,
+      razorpayOrderId: paymentOrder.razorpayOrderId,
+      amount: paymentOrder.amountRupees,
+      currency: "INR",
+      key: paymentOrder.key,
+      expiresAt: paymentOrder.expiresAt,
+      prefill: {
+        name: req.user.name || "",
+        email: req.user.email || "",
+        contact: req.user.phone || "",
+      },
+    });
+  } catch (error) {
+    console.log("Initiate wallet top-up error:", error);
+    return sendResponse(res, 500, false, error.message || "Failed to start wallet top-up");
+  }
+}
+
+/**
+ *
+ * ADMIN FUNCTIONS
+ *
+ */
+
+/**
+ * Get a customer's wallet
+ * @route GET /api/wallet/admin/:userId
+ * @access Admin
+ */
+export async function adminGetWallet(req, res) {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findById(userId).select("name phone role");
+    if (!user) {
+      return sendResponse(res, 404, false, "User not found");
+    }
+
+    const wallet = await getOrCreateWallet(userId);
+    const { entries } = await getWalletStatement(userId, { limit: RECENT_ENTRIES_LIMIT });
+
+    return sendResponse(res, 200, true, "Wallet retrieved", {
+      user,
+      wallet: toWalletSummary(wallet),
+      recentEntries: entries,
+    });
+  } catch (error) {
+    console.log("Admin get wallet error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve wallet");
+  }
+}
+
+/**
+ * Get a customer's wallet statement
+ * @route GET /api/wallet/admin/:userId/statement
+ * @access Admin
+ */
+export async function adminGetStatement(req, res) {
+  try {
+    const { userId } = req.params;
+    const query = req.validatedQuery || req.query;
+
+    const wallet = await getOrCreateWallet(userId);
+    const statement = await getWalletStatement(userId, {
+      type: query.type,
+      source: query.source,
+      dateFrom: query.dateFrom,
+      dateTo: query.dateTo,
+      page: parseInt(query.page) || 1,
+      limit: parseInt(query.limit) || 20,
+    });
+
+    return sendResponse(res, 200, true, "Wallet statement retrieved", {
+      balance: wallet.balance,
+      ...statement,
+    });
+  } catch (error) {
+    console.log("Admin get wallet statement error:", error);
+    return sendResponse(res, 500, false, "Failed to retrieve wallet statement");
+  }
+}
+
+/**
+ * Credit cashback or post a manual correction to a customer's wallet
+ * @route POST /api/wallet/admin/:userId/adjust
+ * @access Admin
+ */
+export async function adminAdjustWallet(req, res) {
+  try {
+    const { userId } = req.params;
+    const { type, amount, source = "ADJUSTMENT", reason } = req.body;
+
+    const user = await User.findById(userId).select("name role");
+    if (!user) {
+      return sendResponse(res, 404, false, "User not found");
+    }
+
+    const previousWallet = await getOrCreateWallet(userId);
+    if (type === "CREDIT" && previousWallet.balance + amount > MAX_WALLET_BALANCE) {
+      return sendResponse(
+        res,
+        400,
+        false,
+        `Wallet balance cannot exceed ${MAX_WALLET_BALANCE}`
+      );
+    }
+
+    const entryParams = {
+      userId,
+      amount,
+      source,
+      description: reason,
+      performedBy: req.user._id,
+    };
+    const result = type === "CREDIT"
+      ? await creditWallet(entryParams)
+      : await debitWallet(entryParams);
+
+    if (!result.success) {
+      return sendResponse(res, 400, false, result.error);
+    }
+
+    safeAuditLog(req, {
+      action: "UPDATE",
+      entityType: "WALLET",
+      entityId: previousWallet._id,
+      entityName: user.name,
+      previousValue: { balance: previousWallet.balance },
+      newValue: { balance: result.balance },
+      changedFields: ["balance"],
+      description: `${type} ${amount} (${source}): ${reason}`,
+    });
+
+    return sendResponse(res, 200, true, "Wallet adjusted", {
+      entry: result.entry,
+      balance: result.balance,
+    });
+  } catch (error) {
+    console.log("Admin adjust wallet error:", error);
+    return sendResponse(res, 500, false, "Failed to adjust wallet");
+  }
+}
+
+export default {
+  getMyWallet,
+  getMyStatement,
+  initiateTopup,
+  adminGetWallet,
+  adminGetStatement,
+  adminAdjustWallet,
+};
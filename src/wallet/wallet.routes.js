@@ -0,0 +1,77 @@
+import { Router } from "express";
+import walletController from "./wallet.controller.js";
+import { adminAuthMiddleware, adminMiddleware, roleMiddleware } from "../../middlewares/auth.middleware.js";
+import { validateBody, validateQuery, validateParams } from "../../middlewares/validate.middleware.js";
+import {
+  topupSchema,
+  queryStatementSchema,
+  userIdParamSchema,
+  adjustWalletSchema,
+} from "./wallet.validation.js";
+
+const router = Router();
+
+/**
+ * CUSTOMER ROUTES
+ */
+
+// Get wallet balance and recent entries
+router.get(
+  "/",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER"]),
+  walletController.getMyWallet
+);
+
+// Get wallet statement
+router.get(
+  "/statement",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER"]),
+  validateQuery(queryStatementSchema),
+  walletController.getMyStatement
+);
+
+// Start a top-up (verified via /api/payment/verify)
+router.post(
+  "/topup",
+  adminAuthMiddleware,
+  roleMiddleware(["CUSTOMER"]),
+  validateBody(topupSchema),
+  walletController.initiateTopup
+);
+
+/**
+ * ADMIN ROUTES
+ */
+
+// Get customer wallet
+router.get(
+  "/admin/:userId",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(userIdParamSchema),
+  walletController.adminGetWallet
+);
+
+// Get customer wallet statement
+router.get(
+  "/admin/:userId/statement",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(userIdParamSchema),
+  validateQuery(queryStatementSchema),
+  walletController.adminGetStatement
+);
+
+// Credit cashback or post a manual adjustment
+router.post(
+  "/admin/:userId/adjust",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(userIdParamSchema),
+  validateBody(adjustWalletSchema),
+  walletController.adminAdjustWallet
+);
+
+export default router;
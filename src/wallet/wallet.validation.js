@@ -0,0 +1,90 @@
+import Joi from "joi";
+import {
+  MIN_TOPUP_AMOUNT,
+  MAX_TOPUP_AMOUNT,
+} from "../../services/wallet.service.js";
+
+/**
+ * Wallet Validation Schemas
+ */
+
+const ENTRY_TYPES = ["CREDIT", "DEBIT"];
+const ENTRY_SOURCES = [
+  "TOPUP",
+  "ORDER_PAYMENT",
+  "ORDER_REVERSAL",
+  "REFUND",
+  "CASHBACK",
+  "ADJUSTMENT",
+];
+
+/**
+ * Top up wallet (customer)
+ */
+export const topupSchema = Joi.object({
+  amount: Joi.number()
+    .min(MIN_TOPUP_AMOUNT)
+    .max(MAX_TOPUP_AMOUNT)
+    .precision(2)
+    .required()
+    .messages({
+      "any.required": "Top-up amount is required",
+      "number.min": `Minimum top-up is ${MIN_TOPUP_AMOUNT}`,
+      "number.max": `Maximum top-up is ${MAX_TOPUP_AMOUNT}`,
+    }),
+});
+
+/**
+ * Query wallet statement
+ */
+export const queryStatementSchema = Joi.object({
+  type: Joi.string().valid(...ENTRY_TYPES),
+  source: Joi.string().valid(...ENTRY_SOURCES),
+  dateFrom: Joi.date(),
+  dateTo: Joi.date(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+/**
+ * User ID param (admin)
+ */
+export const userIdParamSchema = Joi.object({
+  userId: Joi.string().hex().length(24).required(),
+});
+
+/**
+ * Manual wallet adjustment (admin)
+ */
+export const adjustWalletSchema = Joi.object({
+  type: Joi.string()
+    .valid(...ENTRY_TYPES)
+    .required()
+    .messages({
+      "any.required": "Entry type is required",
+    }),
+  amount: Joi.number().min(0.01).max(MAX_TOPUP_AMOUNT).precision(2).required().messages({
+    "any.required": "Amount is required",
+    "number.min": "Amount must be greater than 0",
+  }),
+  source: Joi.string()
+    .valid("CASHBACK", "ADJUSTMENT")
+    .default("ADJUSTMENT")
+    .when("type", {
+      is: "DEBIT",
+      then: Joi.valid(Joi.override, "ADJUSTMENT").messages({
+        "any.only": "Debits can only be recorded as ADJUSTMENT",
+      }),
+    }),
+  reason: Joi.string().min(5).max(500).trim().required().messages({
+    "any.required": "Reason is required",
+    "string.min": "Reason must be at least 5 characters",
+  }),
+});
+
+export default {
+  topupSchema,
+  queryStatementSchema,
+  userIdParamSchema,
+  adjustWalletSchema,
+};
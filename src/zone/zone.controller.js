@@ -4,12 +4,55 @@ import CustomerAddress from "../../schema/customerAddress.schema.js";
 import Order from "../../schema/order.schema.js";
 import { sendResponse } from "../../utils/response.utils.js";
 import { safeAuditLog } from "../../utils/audit.utils.js";
+import {
+  extractGeometry,
+  validateBoundary,
+  boundariesOverlap,
+} from "../../utils/geo.utils.js";
 
 /**
  * Zone Controller
  * Handles zone and city management
  */
 
+/**
+ * Helper: Whether a save failed because MongoDB could not index the boundary
+ * (self-intersecting ring, duplicate vertices, etc.)
+ */
+const isInvalidGeometryError = (error) =>
+  error?.code === 16755 || /geo keys|Loop is not valid|Edges \d+ and \d+ cross/i.test(error?.message || "");
+
+/**
+ * Helper: Compact zone summary for overlap reports
+ */
+const toZoneSummary = (zone) => ({
+  _id: zone._id,
+  name: zone.name,
+  pincode: zone.pincode,
+  city: zone.city,
+  status: zone.status,
+});
+
+/**
+ * Helper: Find zones whose boundary overlaps the given boundary by area
+ * Candidates come from the 2dsphere index; zones that only share an edge are dropped.
+ * @param {Object} boundary - GeoJSON Polygon or MultiPolygon
+ * @param {ObjectId} [excludeZoneId] - Zone to leave out (the zone being edited)
+ * @returns {Promise<Array>} Overlapping zones
+ */
+const findOverlappingZones = async (boundary, excludeZoneId = null) => {
+  const filter = { boundary: { $geoIntersects: { $geometry: boundary } } };
+  if (excludeZoneId) {
+    filter._id = { $ne: excludeZoneId };
+  }
+
+  const candidates = await Zone.find(filter).select("name pincode city status boundary").lean();
+
+  return candidates
+    .filter((zone) => boundariesOverlap(boundary, zone.boundary))
+    .map(toZoneSummary);
+};
+
 /**
  * Create a new zone
  *
@@ -28,11 +71,19 @@ export const createZone = async (req, res) => {
       orderingEnabled,
       displayOrder,
     } = req.body;
-
-    // Check if pincode already exists
-    const existingZone = await Zone.findOne({ pincode });
-    if (existingZone) {
-      return sendResponse(res, 400, "Zone with this pincode already exists");
+    const boundary = extractGeometry(req.body.boundary);
+
+    // Without a boundary the zone is matched by pincode alone, so that pincode must be free
+    if (!boundary) {
+      const existingZone = await Zone.findOne({ pincode, "boundary.type": { $exists: false } });
+      if (existingZone) {
+        return sendResponse(res, 400, "Zone with this pincode already exists");
+      }
+    } else {
+      const boundaryError = validateBoundary(boundary);
+      if (boundaryError) {
+        return sendResponse(res, 400, boundaryError);
+      }
     }
 
     const zone = new Zone({
@@ -47,7 +98,21 @@ export const createZone = async (req, res) => {
       createdBy: req.user._id,
     });
 
-    await zone.save();
+    if (boundary) {
+      zone.boundary = boundary;
+      zone.boundaryUpdatedAt = new Date();
+    }
+
+    try {
+      await zone.save();
+    } catch (saveError) {
+      if (isInvalidGeometryError(saveError)) {
+        return sendResponse(res, 400, "Invalid boundary polygon", null, saveError.message);
+      }
+      throw saveError;
+    }
+
+    const overlaps = boundary ? await findOverlappingZones(boundary, zone._id) : [];
 
     // Log audit entry
     safeAuditLog(req, {
@@ -60,7 +125,13 @@ export const createZone = async (req, res) => {
 
     console.log(`> Zone created: ${zone.pincode} - ${zone.name}`);
 
-    return sendResponse(res, 201, "Zone created successfully", { zone });
+    return sendResponse(res, 201, "Zone created successfully", {
+      zone,
+      overlaps,
+      warning: overlaps.length > 0
+        ? `Boundary overlaps ${overlaps.length} other zone(s)`
+        : undefined,
+    });
   } catch (error) {
     console.log("> Create zone error:", error);
     return sendResponse(res, 500, "Server error");
@@ -105,9 +176,10 @@ export const getZones = async (req, res) => {
         {
           $addFields: {
             kitchenCount: { $size: "$kitchens" },
+            hasBoundary: { $gt: [{ $ifNull: ["$boundary.type", null] }, null] },
           },
         },
-        { $project: { kitchens: 0 } },
+        { $project: { kitchens: 0, boundary: 0 } },
         { $sort: { displayOrder: 1, city: 1, name: 1 } },
         { $skip: skip },
         { $limit: parseInt(limit) },
@@ -331,6 +403,244 @@ export const toggleOrdering = async (req, res) => {
   }
 };
 
+/**
+ * Set or replace a zone's boundary polygon
+ *
+ * PUT /api/zones/:id/boundary
+ * Admin only
+ */
+export const updateZoneBoundary = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const boundary = extractGeometry(req.body.boundary);
+
+    const boundaryError = validateBoundary(boundary);
+    if (boundaryError) {
+      return sendResponse(res, 400, boundaryError);
+    }
+
+    const zone = await Zone.findById(id);
+    if (!zone) {
+      return sendResponse(res, 404, "Zone not found");
+    }
+
+    const previousValue = zone.hasBoundary() ? { boundary: zone.boundary } : null;
+
+    zone.boundary = boundary;
+    zone.boundaryUpdatedAt = new Date();
+
+    try {
+      await zone.save();
+    } catch (saveError) {
+      if (isInvalidGeometryError(saveError)) {
+        return sendResponse(res, 400, "Invalid boundary polygon", null, saveError.message);
+      }
+      throw saveError;
+    }
+
+    const overlaps = await findOverlappingZones(boundary, zone._id);
+
+    // Log audit entry
+    safeAuditLog(req, {
+      action: "UPDATE",
+      entityType: "ZONE",
+      entityId: zone._id,
+      entityName: `${zone.name} (${zone.pincode})`,
+      previousValue,
+      newValue: { boundary },
+      changedFields: ["boundary"],
+    });
+
+    console.log(`> Zone boundary updated: ${zone.pincode} - ${zone.name}, overlaps: ${overlaps.length}`);
+
+    return sendResponse(res, 200, "Zone boundary updated", {
+      zone,
+      overlaps,
+      warning: overlaps.length > 0
+        ? `Boundary overlaps ${overlaps.length} other zone(s)`
+        : undefined,
+    });
+  } catch (error) {
+    console.log("> Update zone boundary error:", error);
+    return sendResponse(res, 500, "Server error");
+  }
+};
+
+/**
+ * Remove a zone's boundary (zone falls back to pincode matching)
+ *
+ * DELETE /api/zones/:id/boundary
+ * Admin only
+ */
+export const removeZoneBoundary = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const zone = await Zone.findById(id);
+    if (!zone) {
+      return sendResponse(res, 404, "Zone not found");
+    }
+
+    if (!zone.hasBoundary()) {
+      return sendResponse(res, 400, "Zone has no boundary");
+    }
+
+    // A pincode-only zone must not collide with another pincode-only zone
+    const pincodeConflict = await Zone.exists({
+      _id: { $ne: zone._id },
+      pincode: zone.pincode,
+      "boundary.type": { $exists: false },
+    });
+    if (pincodeConflict) {
+      return sendResponse(
+        res,
+        400,
+        "Another zone already matches this pincode without a boundary. Edit the boundary instead."
+      );
+    }
+
+    const previousValue = { boundary: zone.boundary };
+
+    zone.boundary = undefined;
+    zone.boundaryUpdatedAt = new Date();
+    await zone.save();
+
+    // Log audit entry
+    safeAuditLog(req, {
+      action: "UPDATE",
+      entityType: "ZONE",
+      entityId: zone._id,
+      entityName: `${zone.name} (${zone.pincode})`,
+      previousValue,
+      newValue: { boundary: null },
+      changedFields: ["boundary"],
+    });
+
+    console.log(`> Zone boundary removed: ${zone.pincode} - ${zone.name}`);
+
+    return sendResponse(res, 200, "Zone boundary removed", { zone });
+  } catch (error) {
+    console.log("> Remove zone boundary error:", error);
+    return sendResponse(res, 500, "Server error");
+  }
+};
+
+/**
+ * Upload boundaries for several zones from a GeoJSON FeatureCollection
+ * Each feature identifies its zone by properties.zoneId
+ *
+ * POST /api/zones/boundaries/import
+ * Admin only
+ */
+export const importZoneBoundaries = async (req, res) => {
+  try {
+    const { features } = req.body;
+
+    const results = [];
+    let updated = 0;
+
+    for (const [index, feature] of features.entries()) {
+      const zoneId = feature.properties?.zoneId;
+      const result = { index, zoneId: zoneId || null, success: false };
+
+      const boundaryError = validateBoundary(feature.geometry);
+      if (boundaryError) {
+        results.push({ ...result, error: boundaryError });
+        continue;
+      }
+
+      const zone = zoneId ? await Zone.findById(zoneId) : null;
+      if (!zone) {
+        results.push({ ...result, error: "Zone not found" });
+        continue;
+      }
+
+      zone.boundary = feature.geometry;
+      zone.boundaryUpdatedAt = new Date();
+
+      try {
+        await zone.save();
+      } catch (saveError) {
+        if (!isInvalidGeometryError(saveError)) throw saveError;
+        results.push({ ...result, error: `Invalid boundary polygon: ${saveError.message}` });
+        continue;
+      }
+
+      updated++;
+      results.push({ ...result, name: zone.name, success: true });
+    }
+
+    // Check overlaps once all boundaries are in place
+    for (const result of results) {
+      if (!result.success) continue;
+      const feature = features[result.index];
+      result.overlaps = await findOverlappingZones(feature.geometry, result.zoneId);
+    }
+
+    // Log audit entry
+    safeAuditLog(req, {
+      action: "UPDATE",
+      entityType: "ZONE",
+      entityName: "Zone boundary import",
+      changedFields: ["boundary"],
+      newValue: {
+        zoneIds: results.filter((r) => r.success).map((r) => r.zoneId),
+      },
+    });
+
+    const overlapCount = results.filter((r) => r.overlaps?.length > 0).length;
+
+    console.log(`> Zone boundaries imported: ${updated}/${features.length}, with overlaps: ${overlapCount}`);
+
+    return sendResponse(res, 200, "Zone boundaries imported", {
+      total: features.length,
+      updated,
+      failed: features.length - updated,
+      zonesWithOverlaps: overlapCount,
+      results,
+    });
+  } catch (error) {
+    console.log("> Import zone boundaries error:", error);
+    return sendResponse(res, 500, "Server error");
+  }
+};
+
+/**
+ * List pairs of zones whose boundaries overlap
+ *
+ * GET /api/zones/overlaps
+ * Admin only
+ */
+export const getZoneOverlaps = async (req, res) => {
+  try {
+    const { city, status } = req.query;
+
+    const filter = { "boundary.type": { $exists: true } };
+    if (city) filter.city = new RegExp(`^${city}$`, "i");
+    if (status) filter.status = status;
+
+    const zones = await Zone.find(filter).select("name pincode city status boundary").lean();
+
+    const overlaps = [];
+    for (let i = 0; i < zones.length; i++) {
+      for (let j = i + 1; j < zones.length; j++) {
+        if (boundariesOverlap(zones[i].boundary, zones[j].boundary)) {
+          overlaps.push({ zoneA: toZoneSummary(zones[i]), zoneB: toZoneSummary(zones[j]) });
+        }
+      }
+    }
+
+    return sendResponse(res, 200, "Zone overlaps retrieved", {
+      zonesChecked: zones.length,
+      overlapCount: overlaps.length,
+      overlaps,
+    });
+  } catch (error) {
+    console.log("> Get zone overlaps error:", error);
+    return sendResponse(res, 500, "Server error");
+  }
+};
+
 /**
  * Delete zone
  *
@@ -486,22 +796,23 @@ export const getActiveZones = async (req, res) => {
 
 /**
  * Look up zone by pincode
+ * Resolves by latitude/longitude against zone boundaries when given,
+ * falling back to the pincode
  *
- * GET /api/zones/lookup/:pincode
+ * GET /api/zones/lookup/:pincode?latitude=&longitude=
  * Public
  */
 export const lookupZoneByPincode = async (req, res) => {
   try {
     const { pincode } = req.params;
+    const { latitude, longitude } = req.validatedQuery || req.query;
 
     // Validate pincode format
     if (!/^\d{6}$/.test(pincode)) {
       return sendResponse(res, 400, "Invalid pincode format");
     }
 
-    const zone = await Zone.findOne({ pincode }).select(
-      "pincode name city status orderingEnabled"
-    );
+    const { zone, resolvedBy } = await Zone.resolveForLocation({ latitude, longitude, pincode });
 
     if (!zone) {
       return sendResponse(res, 200, "Pincode lookup complete", {
@@ -522,6 +833,7 @@ export const lookupZoneByPincode = async (req, res) => {
         name: zone.name,
         city: zone.city,
       },
+      resolvedBy,
       isServiceable,
       message: isServiceable
         ? "This pincode is serviceable"
@@ -541,6 +853,10 @@ export default {
   activateZone,
   deactivateZone,
   toggleOrdering,
+  updateZoneBoundary,
+  removeZoneBoundary,
+  importZoneBoundaries,
+  getZoneOverlaps,
   deleteZone,
   getCities,
   getZonesByCity,
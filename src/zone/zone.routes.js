@@ -6,6 +6,10 @@ import {
   createZoneSchema,
   updateZoneSchema,
   toggleOrderingSchema,
+  zoneBoundarySchema,
+  importBoundariesSchema,
+  queryOverlapsSchema,
+  lookupQuerySchema,
   queryZonesSchema,
   cityStatusSchema,
   pincodeSchema,
@@ -41,6 +45,7 @@ router.get(
 router.get(
   "/lookup/:pincode",
   validateParams(pincodeSchema),
+  validateQuery(lookupQuerySchema),
   zoneController.lookupZoneByPincode
 );
 
@@ -73,6 +78,24 @@ router.get(
   zoneController.getZones
 );
 
+// List overlapping zone boundaries
+router.get(
+  "/overlaps",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateQuery(queryOverlapsSchema),
+  zoneController.getZoneOverlaps
+);
+
+// Import zone boundaries (GeoJSON FeatureCollection)
+router.post(
+  "/boundaries/import",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateBody(importBoundariesSchema),
+  zoneController.importZoneBoundaries
+);
+
 // Get zone by ID
 router.get(
   "/:id",
@@ -110,6 +133,25 @@ router.patch(
   zoneController.deactivateZone
 );
 
+// Set zone boundary
+router.put(
+  "/:id/boundary",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(idParamSchema),
+  validateBody(zoneBoundarySchema),
+  zoneController.updateZoneBoundary
+);
+
+// Remove zone boundary
+router.delete(
+  "/:id/boundary",
+  adminAuthMiddleware,
+  adminMiddleware,
+  validateParams(idParamSchema),
+  zoneController.removeZoneBoundary
+);
+
 // Toggle ordering
 router.patch(
   "/:id/ordering",
@@ -5,6 +5,28 @@ import { commonSchemas } from "../../middlewares/validate.middleware.js";
  * Zone Validation Schemas
  */
 
+/**
+ * GeoJSON boundary geometry (ring checks happen in the controller)
+ */
+const boundaryGeometrySchema = Joi.object({
+  type: Joi.string().valid("Polygon", "MultiPolygon").required().messages({
+    "any.only": "Boundary must be a GeoJSON Polygon or MultiPolygon",
+  }),
+  coordinates: Joi.array().min(1).required(),
+});
+
+/**
+ * Boundary as a bare geometry or a GeoJSON Feature wrapping one
+ */
+const boundarySchema = Joi.alternatives().try(
+  boundaryGeometrySchema,
+  Joi.object({
+    type: Joi.string().valid("Feature").required(),
+    geometry: boundaryGeometrySchema.required(),
+    properties: Joi.object().unknown(true).allow(null),
+  })
+);
+
 /**
  * Create zone
  */
@@ -29,6 +51,7 @@ export const createZoneSchema = Joi.object({
   status: Joi.string().valid("ACTIVE", "INACTIVE").default("INACTIVE"),
   orderingEnabled: Joi.boolean().default(true),
   displayOrder: Joi.number().integer().min(0).default(0),
+  boundary: boundarySchema,
 });
 
 /**
@@ -51,6 +74,53 @@ export const toggleOrderingSchema = Joi.object({
   }),
 });
 
+/**
+ * Set zone boundary
+ */
+export const zoneBoundarySchema = Joi.object({
+  boundary: boundarySchema.required().messages({
+    "any.required": "Boundary is required",
+  }),
+});
+
+/**
+ * Import zone boundaries (GeoJSON FeatureCollection)
+ */
+export const importBoundariesSchema = Joi.object({
+  type: Joi.string().valid("FeatureCollection").required(),
+  features: Joi.array()
+    .items(
+      Joi.object({
+        type: Joi.string().valid("Feature").required(),
+        geometry: boundaryGeometrySchema.required(),
+        properties: Joi.object({
+          zoneId: Joi.string().hex().length(24).required().messages({
+            "any.required": "Each feature needs properties.zoneId",
+          }),
+        }).unknown(true).required(),
+      })
+    )
+    .min(1)
+    .max(500)
+    .required(),
+});
+
+/**
+ * Query zone overlaps
+ */
+export const queryOverlapsSchema = Joi.object({
+  city: Joi.string().max(100).trim(),
+  status: Joi.string().valid("ACTIVE", "INACTIVE"),
+});
+
+/**
+ * Zone lookup coordinates
+ */
+export const lookupQuerySchema = Joi.object({
+  latitude: Joi.number().min(-90).max(90),
+  longitude: Joi.number().min(-180).max(180),
+}).and("latitude", "longitude");
+
 /**
  * Query zones
  */
@@ -89,6 +159,10 @@ export default {
   createZoneSchema,
   updateZoneSchema,
   toggleOrderingSchema,
+  zoneBoundarySchema,
+  importBoundariesSchema,
+  queryOverlapsSchema,
+  lookupQuerySchema,
   queryZonesSchema,
   cityStatusSchema,
   pincodeSchema,
@@ -0,0 +1,257 @@
+/**
+ * Geo Utility
+ * Helpers for coordinates and GeoJSON zone boundaries
+ *
+ * Coordinates follow GeoJSON order: [longitude, latitude].
+ * Overlap checks treat coordinates as planar, which is accurate enough at
+ * city scale where delivery zones live.
+ */
+
+const EPSILON = 1e-12;
+
+/**
+ * Build a GeoJSON Point from latitude/longitude
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {Object} GeoJSON Point
+ */
+export function toGeoPoint(latitude, longitude) {
+  return { type: "Point", coordinates: [Number(longitude), Number(latitude)] };
+}
+
+/**
+ * Check whether a latitude/longitude pair is usable
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {boolean}
+ */
+export function hasValidCoordinates(latitude, longitude) {
+  if (latitude === null || latitude === undefined || latitude === "") return false;
+  if (longitude === null || longitude === undefined || longitude === "") return false;
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  return (
+    Number.isFinite(lat) && Number.isFinite(lng) &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180
+  );
+}
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {{latitude: number, longitude: number}} from - Start point
+ * @param {{latitude: number, longitude: number}} to - End point
+ * @returns {number} Distance in kilometres
+ */
+export function haversineDistanceKm(from, to) {
+  const EARTH_RADIUS_KM = 6371;
+  const toRad = (deg) => (deg * Math.PI) / 180;
+
+  const dLat = toRad(to.latitude - from.latitude);
+  const dLng = toRad(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Extract a Polygon/MultiPolygon geometry from a geometry or Feature
+ * @param {Object} input - GeoJSON geometry or Feature
+ * @returns {Object|null} Geometry
+ */
+export function extractGeometry(input) {
+  if (!input) return null;
+  if (input.type === "Feature") return input.geometry || null;
+  return input;
+}
+
+/**
+ * Validate a zone boundary geometry
+ * Checks shape only - MongoDB rejects self-intersecting rings on save
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateBoundary(geometry) {
+  if (!geometry || !["Polygon", "MultiPolygon"].includes(geometry.type)) {
+    return "Boundary must be a GeoJSON Polygon or MultiPolygon";
+  }
+
+  const polygons = getPolygons(geometry);
+  if (polygons.length === 0) {
+    return "Boundary has no polygons";
+  }
+
+  for (const rings of polygons) {
+    if (!Array.isArray(rings) || rings.length === 0) {
+      return "Each polygon needs at least one ring";
+    }
+
+    for (const ring of rings) {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        return "Each ring needs at least 4 positions";
+      }
+
+      for (const position of ring) {
+        if (!Array.isArray(position) || !hasValidCoordinates(position[1], position[0])) {
+          return "Ring positions must be [longitude, latitude]";
+        }
+      }
+
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        return "Each ring must be closed (first and last positions equal)";
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Normalize a geometry into a list of polygons (each a list of rings)
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Array<Array<Array<number[]>>>} Polygons
+ */
+function getPolygons(geometry) {
+  if (geometry.type === "Polygon") return [geometry.coordinates];
+  if (geometry.type === "MultiPolygon") return geometry.coordinates || [];
+  return [];
+}
+
+/**
+ * Orientation of point c relative to segment a-b
+ * @returns {number} 1 (left), -1 (right) or 0 (collinear)
+ */
+function orientation(a, b, c) {
+  const value = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  if (Math.abs(value) < EPSILON) return 0;
+  return value > 0 ? 1 : -1;
+}
+
+/**
+ * Whether point p lies on segment a-b
+ */
+function isOnSegment(p, a, b) {
+  return (
+    orientation(a, b, p) === 0 &&
+    p[0] >= Math.min(a[0], b[0]) - EPSILON && p[0] <= Math.max(a[0], b[0]) + EPSILON &&
+    p[1] >= Math.min(a[1], b[1]) - EPSILON && p[1] <= Math.max(a[1], b[1]) + EPSILON
+  );
+}
+
+/**
+ * Whether segments a-b and c-d cross at a single interior point
+ * Touching endpoints and collinear overlaps are not proper crossings
+ */
+function segmentsCrossProperly(a, b, c, d) {
+  const o1 = orientation(a, b, c);
+  const o2 = orientation(a, b, d);
+  const o3 = orientation(c, d, a);
+  const o4 = orientation(c, d, b);
+  return o1 !== 0 && o2 !== 0 && o3 !== 0 && o4 !== 0 && o1 !== o2 && o3 !== o4;
+}
+
+/**
+ * Classify a point against a ring
+ * @returns {string} INSIDE, OUTSIDE or BOUNDARY
+ */
+function classifyInRing(point, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+
+    if (isOnSegment(point, a, b)) return "BOUNDARY";
+
+    const crosses = (a[1] > point[1]) !== (b[1] > point[1]) &&
+      point[0] < ((b[0] - a[0]) * (point[1] - a[1])) / (b[1] - a[1]) + a[0];
+    if (crosses) inside = !inside;
+  }
+
+  return inside ? "INSIDE" : "OUTSIDE";
+}
+
+/**
+ * Classify a point against a polygon with holes
+ * @returns {string} INSIDE, OUTSIDE or BOUNDARY
+ */
+function classifyInPolygon(point, rings) {
+  const [outer, ...holes] = rings;
+
+  const outerResult = classifyInRing(point, outer);
+  if (outerResult !== "INSIDE") return outerResult;
+
+  for (const hole of holes) {
+    const holeResult = classifyInRing(point, hole);
+    if (holeResult === "BOUNDARY") return "BOUNDARY";
+    if (holeResult === "INSIDE") return "OUTSIDE";
+  }
+
+  return "INSIDE";
+}
+
+/**
+ * Vertices and edge midpoints of a polygon, used as sample points
+ */
+function samplePoints(rings) {
+  const points = [];
+  for (const ring of rings) {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const a = ring[i];
+      const b = ring[i + 1];
+      points.push(a, [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2]);
+    }
+  }
+  return points;
+}
+
+/**
+ * Whether two polygons share interior area
+ */
+function polygonPairOverlaps(p, q) {
+  const edges = (rings) => rings.flatMap((ring) =>
+    ring.slice(0, -1).map((a, i) => [a, ring[i + 1]])
+  );
+
+  const qEdges = edges(q);
+  for (const [a, b] of edges(p)) {
+    for (const [c, d] of qEdges) {
+      if (segmentsCrossProperly(a, b, c, d)) return true;
+    }
+  }
+
+  const pInQ = samplePoints(p).map((point) => classifyInPolygon(point, q));
+  const qInP = samplePoints(q).map((point) => classifyInPolygon(point, p));
+
+  if (pInQ.includes("INSIDE") || qInP.includes("INSIDE")) return true;
+
+  // Identical shapes: every sample of one lies on the other's boundary
+  return !pInQ.includes("OUTSIDE") && !qInP.includes("OUTSIDE");
+}
+
+/**
+ * Check whether two boundaries overlap by area
+ * Zones that only share an edge or a corner are not considered overlapping.
+ * @param {Object} a - GeoJSON Polygon or MultiPolygon
+ * @param {Object} b - GeoJSON Polygon or MultiPolygon
+ * @returns {boolean}
+ */
+export function boundariesOverlap(a, b) {
+  const polygonsA = getPolygons(a);
+  const polygonsB = getPolygons(b);
+
+  return polygonsA.some((p) => polygonsB.some((q) => polygonPairOverlaps(p, q)));
+}
+
+export default {
+  toGeoPoint,
+  hasValidCoordinates,
+  haversineDistanceKm,
+  extractGeometry,
+  validateBoundary,
+  boundariesOverlap,
+};
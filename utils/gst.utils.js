@@ -0,0 +1,139 @@
+/**
+ * GST Utility
+ * State codes, GSTIN checks, financial years and CGST/SGST/IGST splits
+ */
+
+export const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// SAC for restaurant and food delivery services
+export const RESTAURANT_SERVICE_SAC = "996331";
+
+// GST state codes (first two digits of a GSTIN)
+const STATE_CODES = {
+  "jammu and kashmir": "01",
+  "himachal pradesh": "02",
+  punjab: "03",
+  chandigarh: "04",
+  uttarakhand: "05",
+  haryana: "06",
+  delhi: "07",
+  rajasthan: "08",
+  "uttar pradesh": "09",
+  bihar: "10",
+  sikkim: "11",
+  "arunachal pradesh": "12",
+  nagaland: "13",
+  manipur: "14",
+  mizoram: "15",
+  tripura: "16",
+  meghalaya: "17",
+  assam: "18",
+  "west bengal": "19",
+  jharkhand: "20",
+  odisha: "21",
+  chhattisgarh: "22",
+  "madhya pradesh": "23",
+  gujarat: "24",
+  "dadra and nagar haveli and daman and diu": "26",
+  maharashtra: "27",
+  karnataka: "29",
+  goa: "30",
+  lakshadweep: "31",
+  kerala: "32",
+  "tamil nadu": "33",
+  puducherry: "34",
+  "andaman and nicobar islands": "35",
+  telangana: "36",
+  "andhra pradesh": "37",
+  ladakh: "38",
+};
+
+const STATE_ALIASES = {
+  "new delhi": "delhi",
+  "nct of delhi": "delhi",
+  orissa: "odisha",
+  pondicherry: "puducherry",
+  "j&k": "jammu and kashmir",
+  "jammu & kashmir": "jammu and kashmir",
+  "andaman & nicobar islands": "andaman and nicobar islands",
+};
+
+/**
+ * Normalize a state name for comparison
+ * @param {string} state - State name as entered
+ * @returns {string|null} Lower-case canonical name
+ */
+export function normalizeState(state) {
+  if (!state || typeof state !== "string") return null;
+  const name = state.trim().toLowerCase().replace(/\s+/g, " ");
+  if (!name) return null;
+  return STATE_ALIASES[name] || name;
+}
+
+/**
+ * Get the GST state code for a state name
+ * @param {string} state - State name
+ * @returns {string|null} Two-digit code
+ */
+export function getStateCode(state) {
+  const name = normalizeState(state);
+  return name ? STATE_CODES[name] || null : null;
+}
+
+/**
+ * Check the format of a GSTIN
+ * @param {string} gstin - GSTIN
+ * @returns {boolean}
+ */
+export function isValidGstin(gstin) {
+  return typeof gstin === "string" && GSTIN_PATTERN.test(gstin);
+}
+
+/**
+ * GST state code from the first two digits of a GSTIN
+ * @param {string} gstin - GSTIN
+ * @returns {string|null} Two-digit code
+ */
+export function getGstinStateCode(gstin) {
+  return isValidGstin(gstin) ? gstin.slice(0, 2) : null;
+}
+
+/**
+ * Whether supply is within one state (CGST + SGST) or across states (IGST)
+ * Compares state codes so "Delhi" and "New Delhi" compare equal.
+ * @param {string} supplierCode - Supplier state code
+ * @param {string} recipientCode - Place of supply state code
+ * @returns {boolean|null} null when either side is unknown
+ */
+export function isIntraState(supplierCode, recipientCode) {
+  if (!supplierCode || !recipientCode) return null;
+  return supplierCode === recipientCode;
+}
+
+/**
+ * Indian financial year (April-March, IST) for a date
+ * @param {Date} date - Date (default now)
+ * @returns {string} e.g. "2026-27"
+ */
+export function getFinancialYear(date = new Date()) {
+  const istOffset = 5.5 * 60 * 60 * 1000; // IST is UTC+5:30
+  const ist = new Date(date.getTime() + istOffset);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+}
+
+/**
+ * Split a tax amount into CGST/SGST or IGST
+ * Odd paise go to CGST so the parts always add up to the total.
+ * @param {number} totalTax - Total tax amount
+ * @param {boolean} intraState - Same-state supply
+ * @returns {{cgst: number, sgst: number, igst: number}}
+ */
+export function splitTax(totalTax, intraState) {
+  const paise = Math.round((totalTax || 0) * 100);
+  if (!intraState) {
+    return { cgst: 0, sgst: 0, igst: paise / 100 };
+  }
+  const sgst = Math.floor(paise / 2);
+  return { cgst: (paise - sgst) / 100, sgst: sgst / 100, igst: 0 };
+}